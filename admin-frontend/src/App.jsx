@@ -38,6 +38,7 @@ function App() {
             console.log('✅ App.jsx: User authenticated:', response.data.user.username);
           } else {
             console.warn('⚠️  App.jsx: getMe failed:', response.error);
+            // 非管理员账号（FORBIDDEN）由 httpAdapter 跳转到无权限页面
             // 只有在明确是认证错误时才清除 token
             if (response.error?.code === 'UNAUTHORIZED' || response.error?.code === 'TOKEN_INVALID' || response.error?.code === 'TOKEN_EXPIRED') {
               console.warn('🔓 App.jsx: Clearing invalid token');
@@ -62,7 +63,13 @@ function App() {
     }
   }, []);
 
-  const handleLogout = () => {
+  const handleLogout = async () => {
+    // 吊销 Refresh Token（失败不影响本地退出）
+    try {
+      await api.admin.auth.logout();
+    } catch (error) {
+      console.error('Logout error:', error);
+    }
     setUser(null);
     api.setToken(null);
     window.location.href = '/admin/login';
@@ -79,6 +86,7 @@ function App() {
   // 检查当前路径
   const currentPath = window.location.pathname;
   const isLoginPage = currentPath === '/admin/login';
+  const isForbiddenPage = currentPath === '/admin/forbidden';
 
   return (
     <ConfigProvider
@@ -114,7 +122,7 @@ function App() {
       }}
     >
       <div className="app">
-        {user && !isLoginPage ? (
+        {user && !isLoginPage && !isForbiddenPage ? (
           <div className="admin-layout">
             <header className="admin-header">
               <h1>Agent Track Admin</h1>
@@ -23,11 +23,15 @@
  * 【接口规范】
  * 所有适配器必须实现以下方法：
  * - admin.auth.login(userId, password)
+ * - admin.auth.logout()
  * - admin.users.getList(options)
  * - admin.users.getById(userId)
  * - admin.agents.getList(options)
  * - admin.agents.getById(agentId)
  * - admin.statistics.getDashboard()
+ * - admin.statistics.getUsers(options) / getAgents(options) / getConversations(options) / getModels(options)
+ * - admin.settings.getList()
+ * - admin.settings.update(key, value)
  */
 class AdminApiAdapter {
   /**
@@ -45,6 +49,14 @@ class AdminApiAdapter {
         throw new Error('Not implemented: admin.auth.login');
       },
 
+      /**
+       * 退出登录（吊销 Refresh Token 并清除本地 Token）
+       * @returns {Promise<object>} 吊销结果
+       */
+      logout: async () => {
+        throw new Error('Not implemented: admin.auth.logout');
+      },
+
       /**
        * 获取当前管理员信息
        * @returns {Promise<object>} 管理员信息
@@ -91,6 +103,16 @@ class AdminApiAdapter {
         throw new Error('Not implemented: admin.users.updateStatus');
       },
 
+      /**
+       * 修改用户角色
+       * @param {string} userId - 用户 ID
+       * @param {string} role - 角色（'user' | 'admin'）
+       * @returns {Promise<object>} 更新后的用户数据
+       */
+      updateRole: async (userId, role) => {
+        throw new Error('Not implemented: admin.users.updateRole');
+      },
+
       /**
        * 重置用户密码
        * @param {string} userId - 用户 ID
@@ -101,6 +123,34 @@ class AdminApiAdapter {
         throw new Error('Not implemented: admin.users.resetPassword');
       },
 
+      /**
+       * 签发一次性重置码（用户凭此在忘记密码中设置新密码）
+       * @param {string} userId - 用户 ID
+       * @returns {Promise<object>} { resetToken, expiresAt }
+       */
+      createResetToken: async (userId) => {
+        throw new Error('Not implemented: admin.users.createResetToken');
+      },
+
+      /**
+       * 获取用户今天的配额状态
+       * @param {string} userId - 用户 ID
+       * @returns {Promise<object>} { date, resetAt, messages: { used, limit }, tokens: { used, limit }, exceeded, custom, defaults }
+       */
+      getQuota: async (userId) => {
+        throw new Error('Not implemented: admin.users.getQuota');
+      },
+
+      /**
+       * 设置用户的自定义每日配额
+       * @param {string} userId - 用户 ID
+       * @param {object} quota - { dailyMessages, dailyTokens }（null 使用默认配额，0 表示不限）
+       * @returns {Promise<object>} 修改后的配额状态
+       */
+      updateQuota: async (userId, quota) => {
+        throw new Error('Not implemented: admin.users.updateQuota');
+      },
+
       /**
        * 删除用户（软删除）
        * @param {string} userId - 用户 ID
@@ -171,34 +221,112 @@ class AdminApiAdapter {
       },
 
       /**
-       * 获取用户统计
+       * 获取用户统计（按用户汇总 LLM 用量，按估算费用降序）
+       *
+       * 以下用量统计接口的参数和返回格式相同：
        * @param {object} options - 查询选项
-       * @param {string} [options.startDate] - 开始日期
-       * @param {string} [options.endDate] - 结束日期
-       * @returns {Promise<object>} 用户统计数据
+       * @param {string} [options.startDate] - 开始日期（YYYY-MM-DD，默认最近 30 天）
+       * @param {string} [options.endDate] - 结束日期（YYYY-MM-DD，默认今天）
+       * @param {string} [options.userId] - 只统计该用户
+       * @param {string} [options.agentId] - 只统计该 NPC
+       * @param {number} [options.limit] - 最多返回的条数（默认 50）
+       * @returns {Promise<object>} { range, groupBy, totals, items: [{ key, label, requests, promptTokens,
+       *   completionTokens, totalTokens, cost, unpricedRequests, avgLatencyMs }] }
        */
       getUsers: async (options = {}) => {
         throw new Error('Not implemented: admin.statistics.getUsers');
       },
 
       /**
-       * 获取 NPC 统计
-       * @returns {Promise<object>} NPC 统计数据
+       * 获取 NPC 统计（按 NPC 汇总 LLM 用量，key 为 NPC ID，label 为 NPC 名称）
+       * @param {object} options - 查询选项（同 getUsers）
+       * @returns {Promise<object>} 用量统计
        */
-      getAgents: async () => {
+      getAgents: async (options = {}) => {
         throw new Error('Not implemented: admin.statistics.getAgents');
       },
 
       /**
-       * 获取对话统计
-       * @param {object} options - 查询选项
-       * @param {string} [options.startDate] - 开始日期
-       * @param {string} [options.endDate] - 结束日期
-       * @returns {Promise<object>} 对话统计数据
+       * 获取对话统计（按日期汇总 LLM 用量，key 为 YYYY-MM-DD）
+       * @param {object} options - 查询选项（同 getUsers）
+       * @returns {Promise<object>} 用量统计
        */
       getConversations: async (options = {}) => {
         throw new Error('Not implemented: admin.statistics.getConversations');
       },
+
+      /**
+       * 获取模型统计（按模型汇总 LLM 用量，key 为模型，label 为提供商）
+       * @param {object} options - 查询选项（同 getUsers）
+       * @returns {Promise<object>} 用量统计
+       */
+      getModels: async (options = {}) => {
+        throw new Error('Not implemented: admin.statistics.getModels');
+      },
+    },
+
+    /**
+     * 系统设置 API
+     */
+    settings: {
+      /**
+       * 获取系统设置
+       * @returns {Promise<object>} { settings: [{ key, value, defaultValue, type, description, updatedBy, updatedAt }] }
+       */
+      getList: async () => {
+        throw new Error('Not implemented: admin.settings.getList');
+      },
+
+      /**
+       * 修改系统设置
+       * @param {string} key - 设置名称
+       * @param {*} value - 新值
+       * @returns {Promise<object>} { setting }
+       */
+      update: async (key, value) => {
+        throw new Error('Not implemented: admin.settings.update');
+      },
+    },
+
+    /**
+     * 公告 API（已发布的公告出现在所有用户的通知中心）
+     */
+    announcements: {
+      /**
+       * 获取公告列表（包含已下线的公告）
+       * @returns {Promise<object>} { announcements: [{ id, title, content, isActive, createdBy, createdAt, updatedAt }] }
+       */
+      getList: async () => {
+        throw new Error('Not implemented: admin.announcements.getList');
+      },
+
+      /**
+       * 发布公告
+       * @param {object} data - { title, content, isActive }
+       * @returns {Promise<object>} { announcement }
+       */
+      create: async (data) => {
+        throw new Error('Not implemented: admin.announcements.create');
+      },
+
+      /**
+       * 修改公告
+       * @param {string} announcementId - 公告 ID
+       * @param {object} data - 要修改的字段 { title, content, isActive }
+       * @returns {Promise<object>} { announcement }
+       */
+      update: async (announcementId, data) => {
+        throw new Error('Not implemented: admin.announcements.update');
+      },
+
+      /**
+       * 删除公告
+       * @param {string} announcementId - 公告 ID
+       * @returns {Promise<object>} { announcementId }
+       */
+      remove: async (announcementId) => {
+        throw new Error('Not implemented: admin.announcements.remove');
+      },
     },
   };
 
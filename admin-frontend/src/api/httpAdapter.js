@@ -28,6 +28,11 @@ class HttpAdapter extends AdminApiAdapter {
 
   token = null;
 
+  /**
+   * 进行中的刷新请求（同一时间只发一次刷新）
+   */
+  refreshPromise = null;
+
   setToken(token) {
     this.token = token;
     if (token) {
@@ -48,11 +53,118 @@ class HttpAdapter extends AdminApiAdapter {
     return this.token || null;
   }
 
+  setRefreshToken(refreshToken) {
+    if (refreshToken) {
+      localStorage.setItem('admin_refresh_token', refreshToken);
+    } else {
+      localStorage.removeItem('admin_refresh_token');
+    }
+  }
+
+  /**
+   * 使用其他标签页刷新得到的 Access Token
+   *
+   * @param {string|null} failedToken - 收到 TOKEN_EXPIRED 的请求所用的 Access Token
+   * @returns {boolean} localStorage 中是否已有不同于 failedToken 的 Access Token
+   */
+  adoptStoredToken(failedToken) {
+    const storedToken = localStorage.getItem('admin_access_token');
+    if (storedToken && storedToken !== failedToken) {
+      this.token = storedToken;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 在所有标签页共用的刷新锁内执行（Web Locks API，不支持时直接执行）
+   *
+   * @param {Function} work - 持有锁时执行的异步函数
+   * @returns {Promise<*>} work 的返回值
+   */
+  async withRefreshLock(work) {
+    if (typeof navigator !== 'undefined' && navigator.locks?.request) {
+      return await navigator.locks.request('admin_token_refresh', work);
+    }
+    return await work();
+  }
+
+  /**
+   * 刷新 Access Token
+   *
+   * Refresh Token 每次刷新后轮换，重复使用会被后端吊销整个登录，
+   * 所以并发请求共用同一次刷新，并且在跨标签页的锁内刷新；
+   * 其他标签页已刷新过（包括等锁期间）时直接使用新的 Access Token
+   *
+   * @param {string|null} failedToken - 收到 TOKEN_EXPIRED 的请求所用的 Access Token
+   * @returns {Promise<boolean>} 是否刷新成功
+   */
+  async refreshAccessToken(failedToken) {
+    if (this.adoptStoredToken(failedToken)) {
+      return true;
+    }
+
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.withRefreshLock(async () => {
+        if (this.adoptStoredToken(failedToken)) {
+          return true;
+        }
+
+        const refreshToken = localStorage.getItem('admin_refresh_token');
+        if (!refreshToken) {
+          return false;
+        }
+
+        try {
+          const response = await fetch(`${this.baseURL}/api/admin/auth/refresh`, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              Accept: 'application/json',
+            },
+            body: JSON.stringify({ refreshToken }),
+          });
+          const responseData = await response.json().catch(() => ({}));
+
+          if (!response.ok || !responseData.success) {
+            return false;
+          }
+
+          this.setToken(responseData.data.accessToken);
+          this.setRefreshToken(responseData.data.refreshToken);
+          return true;
+        } catch (error) {
+          console.error('❌ Refresh token error:', error);
+          return false;
+        }
+      }).finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+
+    return await this.refreshPromise;
+  }
+
+  /**
+   * 登录失效：清除登录状态并跳转到登录页
+   */
+  handleAuthExpired() {
+    this.setToken(null);
+    this.setRefreshToken(null);
+    localStorage.removeItem('admin_user');
+    setTimeout(() => {
+      if (window.location.pathname !== '/admin/login') {
+        window.location.href = '/admin/login';
+      }
+    }, 100);
+  }
+
   /**
    * 发送 HTTP 请求
    */
-  async request(method, path, params = null, data = null, skipAuth = false) {
+  async request(method, path, params = null, data = null, skipAuth = false, retried = false) {
     let url; // 在外部定义，确保 catch 块可以访问
+    let sentToken = null;
     try {
       url = `${this.baseURL}${path}`;
 
@@ -70,6 +182,7 @@ class HttpAdapter extends AdminApiAdapter {
       // skipAuth 为 true 时跳过 token（用于登录等不需要认证的请求）
       if (!skipAuth) {
         const token = this.loadToken();
+        sentToken = token;
         if (token) {
           headers['Authorization'] = `Bearer ${token}`;
           console.log('🔑 Using token for request:', token.substring(0, 20) + '...');
@@ -121,20 +234,27 @@ class HttpAdapter extends AdminApiAdapter {
         };
       }
 
-      // Token 过期处理
-      if (response.status === 401) {
+      // Token 过期处理：先用 Refresh Token 刷新并重试一次，刷新失败再跳转到登录页
+      if (response.status === 401 && !skipAuth) {
         const errorCode = responseData.error?.code;
+        if (errorCode === 'TOKEN_EXPIRED' && !retried && (await this.refreshAccessToken(sentToken))) {
+          return await this.request(method, path, params, data, skipAuth, true);
+        }
         if (errorCode === 'TOKEN_EXPIRED' || errorCode === 'TOKEN_INVALID' || errorCode === 'UNAUTHORIZED') {
-          this.setToken(null);
-          localStorage.removeItem('admin_user');
-          setTimeout(() => {
-            if (window.location.pathname !== '/admin/login') {
-              window.location.href = '/admin/login';
-            }
-          }, 100);
+          this.handleAuthExpired();
         }
       }
 
+      // 角色权限不足（非管理员账号）：跳转到无权限页面
+      // 登录请求（skipAuth）的 403 由登录页自己提示
+      if (response.status === 403 && responseData.error?.code === 'FORBIDDEN' && !skipAuth) {
+        setTimeout(() => {
+          if (window.location.pathname !== '/admin/forbidden') {
+            window.location.href = '/admin/forbidden';
+          }
+        }, 100);
+      }
+
       if (!response.ok) {
         return {
           success: false,
@@ -194,10 +314,21 @@ class HttpAdapter extends AdminApiAdapter {
         }, true); // skipAuth = true
         if (response.success && response.data.accessToken) {
           this.setToken(response.data.accessToken);
+          this.setRefreshToken(response.data.refreshToken);
         }
         return response;
       },
 
+      logout: async () => {
+        const refreshToken = localStorage.getItem('admin_refresh_token');
+        this.setToken(null);
+        this.setRefreshToken(null);
+        if (!refreshToken) {
+          return { success: true, data: { revoked: 0 }, timestamp: Date.now() };
+        }
+        return await this.request('POST', '/api/admin/auth/logout', null, { refreshToken }, true);
+      },
+
       getMe: async () => {
         return await this.request('GET', '/api/admin/auth/me');
       },
@@ -216,12 +347,28 @@ class HttpAdapter extends AdminApiAdapter {
         return await this.request('PUT', `/api/admin/users/${userId}/status`, null, { status });
       },
 
+      updateRole: async (userId, role) => {
+        return await this.request('PUT', `/api/admin/users/${userId}/role`, null, { role });
+      },
+
       resetPassword: async (userId, newPassword) => {
         return await this.request('POST', `/api/admin/users/${userId}/reset-password`, null, {
           newPassword,
         });
       },
 
+      createResetToken: async (userId) => {
+        return await this.request('POST', `/api/admin/users/${userId}/reset-token`);
+      },
+
+      getQuota: async (userId) => {
+        return await this.request('GET', `/api/admin/users/${userId}/quota`);
+      },
+
+      updateQuota: async (userId, quota) => {
+        return await this.request('PUT', `/api/admin/users/${userId}/quota`, null, quota);
+      },
+
       delete: async (userId) => {
         return await this.request('DELETE', `/api/admin/users/${userId}`);
       },
@@ -254,13 +401,45 @@ class HttpAdapter extends AdminApiAdapter {
         return await this.request('GET', '/api/admin/statistics/users', options);
       },
 
-      getAgents: async () => {
-        return await this.request('GET', '/api/admin/statistics/agents');
+      getAgents: async (options = {}) => {
+        return await this.request('GET', '/api/admin/statistics/agents', options);
       },
 
       getConversations: async (options = {}) => {
         return await this.request('GET', '/api/admin/statistics/conversations', options);
       },
+
+      getModels: async (options = {}) => {
+        return await this.request('GET', '/api/admin/statistics/models', options);
+      },
+    },
+
+    settings: {
+      getList: async () => {
+        return await this.request('GET', '/api/admin/settings');
+      },
+
+      update: async (key, value) => {
+        return await this.request('PUT', `/api/admin/settings/${encodeURIComponent(key)}`, null, { value });
+      },
+    },
+
+    announcements: {
+      getList: async () => {
+        return await this.request('GET', '/api/admin/announcements');
+      },
+
+      create: async (data) => {
+        return await this.request('POST', '/api/admin/announcements', null, data);
+      },
+
+      update: async (announcementId, data) => {
+        return await this.request('PUT', `/api/admin/announcements/${encodeURIComponent(announcementId)}`, null, data);
+      },
+
+      remove: async (announcementId) => {
+        return await this.request('DELETE', `/api/admin/announcements/${encodeURIComponent(announcementId)}`);
+      },
     },
   };
 }
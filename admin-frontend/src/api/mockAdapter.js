@@ -18,6 +18,7 @@ import {
   mockUserStatistics,
   mockAgentStatistics,
   mockConversationStatistics,
+  mockModelStatistics,
 } from '../mocks/data/statistics.js';
 
 /**
@@ -25,6 +26,25 @@ import {
  */
 const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
+// 系统设置（Mock）
+const mockSettings = [
+  {
+    key: 'shared_key_pool_enabled',
+    value: true,
+    defaultValue: true,
+    type: 'boolean',
+    description: '没有自己 API Key 的用户是否可以使用服务器配置的共享 API Key',
+    updatedBy: null,
+    updatedAt: null,
+  },
+];
+
+// 公告（Mock）
+const mockAnnouncements = [];
+
+// 用户自定义配额（Mock）{ [userId]: { dailyMessages, dailyTokens } }
+const mockQuotas = {};
+
 /**
  * Mock API 适配器
  */
@@ -85,6 +105,15 @@ class MockAdapter extends AdminApiAdapter {
         };
       },
 
+      logout: async () => {
+        this.setToken(null);
+        return {
+          success: true,
+          data: { revoked: 0 },
+          timestamp: Date.now(),
+        };
+      },
+
       getMe: async () => {
         await delay(300);
 
@@ -217,6 +246,35 @@ class MockAdapter extends AdminApiAdapter {
         };
       },
 
+      updateRole: async (userId, role) => {
+        await delay(300);
+
+        const userIndex = mockUsers.findIndex((u) => u.id === userId);
+        if (userIndex === -1) {
+          return {
+            success: false,
+            error: {
+              code: 'USER_NOT_FOUND',
+              message: '用户不存在',
+            },
+            timestamp: Date.now(),
+          };
+        }
+
+        mockUsers[userIndex] = {
+          ...mockUsers[userIndex],
+          role,
+        };
+
+        return {
+          success: true,
+          data: {
+            user: mockUsers[userIndex],
+          },
+          timestamp: Date.now(),
+        };
+      },
+
       resetPassword: async (userId, newPassword) => {
         await delay(300);
 
@@ -241,6 +299,63 @@ class MockAdapter extends AdminApiAdapter {
         };
       },
 
+      createResetToken: async (userId) => {
+        await delay(300);
+
+        const user = mockUsers.find((u) => u.id === userId);
+        if (!user) {
+          return {
+            success: false,
+            error: {
+              code: 'USER_NOT_FOUND',
+              message: '用户不存在',
+            },
+            timestamp: Date.now(),
+          };
+        }
+
+        return {
+          success: true,
+          data: {
+            resetToken: 'MOCK-2345-6789-ABCD',
+            expiresAt: Date.now() + 24 * 60 * 60 * 1000,
+          },
+          timestamp: Date.now(),
+        };
+      },
+
+      getQuota: async (userId) => {
+        await delay(200);
+
+        const custom = mockQuotas[userId] || null;
+        const limit = (value, fallback) => ((value ?? fallback) > 0 ? value ?? fallback : null);
+        const now = new Date();
+        return {
+          success: true,
+          data: {
+            date: now.toISOString().slice(0, 10),
+            resetAt: new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1).getTime(),
+            messages: { used: 12, limit: limit(custom?.dailyMessages, 200) },
+            tokens: { used: 18000, limit: limit(custom?.dailyTokens, 0) },
+            exceeded: null,
+            custom,
+            defaults: { dailyMessages: 200, dailyTokens: 0 },
+          },
+          timestamp: Date.now(),
+        };
+      },
+
+      updateQuota: async (userId, quota) => {
+        await delay(300);
+
+        if (quota.dailyMessages == null && quota.dailyTokens == null) {
+          delete mockQuotas[userId];
+        } else {
+          mockQuotas[userId] = { dailyMessages: quota.dailyMessages ?? null, dailyTokens: quota.dailyTokens ?? null };
+        }
+        return await this.admin.users.getQuota(userId);
+      },
+
       delete: async (userId) => {
         await delay(300);
 
@@ -424,7 +539,7 @@ class MockAdapter extends AdminApiAdapter {
         };
       },
 
-      getAgents: async () => {
+      getAgents: async (options = {}) => {
         await delay(500);
 
         return {
@@ -443,6 +558,126 @@ class MockAdapter extends AdminApiAdapter {
           timestamp: Date.now(),
         };
       },
+
+      getModels: async (options = {}) => {
+        await delay(500);
+
+        return {
+          success: true,
+          data: mockModelStatistics,
+          timestamp: Date.now(),
+        };
+      },
+    },
+
+    settings: {
+      getList: async () => {
+        await delay(300);
+
+        return {
+          success: true,
+          data: { settings: mockSettings },
+          timestamp: Date.now(),
+        };
+      },
+
+      update: async (key, value) => {
+        await delay(300);
+
+        const setting = mockSettings.find((s) => s.key === key);
+        if (!setting) {
+          return {
+            success: false,
+            error: { code: 'SETTING_NOT_FOUND', message: `设置不存在：${key}` },
+            timestamp: Date.now(),
+          };
+        }
+
+        setting.value = value;
+        setting.updatedBy = 'admin';
+        setting.updatedAt = Date.now();
+
+        return {
+          success: true,
+          data: { setting },
+          timestamp: Date.now(),
+        };
+      },
+    },
+
+    announcements: {
+      getList: async () => {
+        await delay(300);
+
+        return {
+          success: true,
+          data: { announcements: [...mockAnnouncements].sort((a, b) => b.createdAt - a.createdAt) },
+          timestamp: Date.now(),
+        };
+      },
+
+      create: async (data) => {
+        await delay(300);
+
+        const now = Date.now();
+        const announcement = {
+          id: `announcement_${now}`,
+          title: data.title,
+          content: data.content || '',
+          isActive: data.isActive !== false,
+          createdBy: 'admin',
+          createdAt: now,
+          updatedAt: now,
+        };
+        mockAnnouncements.push(announcement);
+
+        return {
+          success: true,
+          data: { announcement },
+          timestamp: Date.now(),
+        };
+      },
+
+      update: async (announcementId, data) => {
+        await delay(300);
+
+        const announcement = mockAnnouncements.find((a) => a.id === announcementId);
+        if (!announcement) {
+          return {
+            success: false,
+            error: { code: 'ANNOUNCEMENT_NOT_FOUND', message: '公告不存在' },
+            timestamp: Date.now(),
+          };
+        }
+
+        Object.assign(announcement, data, { updatedAt: Date.now() });
+
+        return {
+          success: true,
+          data: { announcement },
+          timestamp: Date.now(),
+        };
+      },
+
+      remove: async (announcementId) => {
+        await delay(300);
+
+        const index = mockAnnouncements.findIndex((a) => a.id === announcementId);
+        if (index === -1) {
+          return {
+            success: false,
+            error: { code: 'ANNOUNCEMENT_NOT_FOUND', message: '公告不存在' },
+            timestamp: Date.now(),
+          };
+        }
+        mockAnnouncements.splice(index, 1);
+
+        return {
+          success: true,
+          data: { announcementId },
+          timestamp: Date.now(),
+        };
+      },
     },
   };
 }
@@ -49,64 +49,80 @@ const mockDashboard = {
 };
 
 /**
- * Mock 用户统计数据
+ * 生成一组用量统计（与后端 UsageRepository 的汇总字段一致）
  */
-const mockUserStatistics = {
-  trends: generateDateRange(30).map((item, index) => ({
-    ...item,
-    newUsers: Math.floor(Math.random() * 20) + 5,
-    activeUsers: Math.floor(Math.random() * 50) + 30,
-  })),
-  retention: {
-    day1: 0.65,
-    day7: 0.45,
-    day30: 0.25,
-  },
-};
+function usageStats(requests) {
+  const promptTokens = requests * 1200;
+  const completionTokens = requests * 250;
+  return {
+    requests,
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+    cost: Number((requests * 0.0074).toFixed(6)),
+    unpricedRequests: 0,
+    avgLatencyMs: 1800 + Math.floor(Math.random() * 800),
+  };
+}
 
 /**
- * Mock NPC 统计数据
+ * 生成用量统计响应 { range, groupBy, totals, items }
  */
-const mockAgentStatistics = {
-  trends: generateDateRange(30).map((item, index) => ({
-    ...item,
-    newAgents: Math.floor(Math.random() * 15) + 3,
-  })),
-  popular: [
-    { id: 'agent_5', name: '写作助手', usageCount: 567 },
-    { id: 'agent_3', name: '心理咨询师', usageCount: 234 },
-    { id: 'agent_7', name: '数据分析师', usageCount: 156 },
-    { id: 'agent_2', name: '编程助手', usageCount: 89 },
-    { id: 'agent_8', name: '产品经理', usageCount: 78 },
-  ],
-  distribution: {
-    general: 120,
-    special: 3300,
-  },
-};
+function usageResponse(groupBy, items) {
+  const dates = generateDateRange(30);
+  const totalRequests = items.reduce((sum, item) => sum + item.requests, 0);
+  return {
+    range: { startDate: dates[0].date, endDate: dates[dates.length - 1].date },
+    groupBy,
+    totals: usageStats(totalRequests),
+    items,
+  };
+}
 
 /**
- * Mock 对话统计数据
+ * Mock 用户用量统计（按用户汇总）
  */
-const mockConversationStatistics = {
-  trends: generateDateRange(30).map((item, index) => ({
-    ...item,
-    count: Math.floor(Math.random() * 200) + 100,
-  })),
-  averageRounds: 8.5,
-  topTopics: [
-    { topic: '学习计划', count: 1234 },
-    { topic: '编程问题', count: 987 },
-    { topic: '心理支持', count: 756 },
-    { topic: '写作建议', count: 654 },
-    { topic: '数据分析', count: 432 },
-  ],
-};
+const mockUserStatistics = usageResponse('user', [
+  { key: 'user_1', label: '张三', ...usageStats(320) },
+  { key: 'user_2', label: '李四', ...usageStats(185) },
+  { key: 'user_3', label: '王五', ...usageStats(96) },
+]);
+
+/**
+ * Mock NPC 用量统计（按 NPC 汇总）
+ */
+const mockAgentStatistics = usageResponse('agent', [
+  { key: 'agent_5', label: '写作助手', ...usageStats(267) },
+  { key: 'agent_3', label: '心理咨询师', ...usageStats(134) },
+  { key: 'agent_7', label: '数据分析师', ...usageStats(56) },
+]);
+
+/**
+ * Mock 对话用量统计（按日期汇总）
+ */
+const mockConversationStatistics = usageResponse(
+  'day',
+  generateDateRange(30).map((item) => ({
+    key: item.date,
+    label: null,
+    ...usageStats(Math.floor(Math.random() * 40) + 5),
+  }))
+);
+
+/**
+ * Mock 模型用量统计（按模型汇总）
+ */
+const mockModelStatistics = usageResponse('model', [
+  { key: 'anthropic/claude-sonnet-4.5', label: 'openrouter', ...usageStats(410) },
+  { key: 'openai/gpt-4.1', label: 'openrouter', ...usageStats(150) },
+  { key: 'llama3.1:8b', label: 'ollama', ...usageStats(41) },
+]);
 
 export {
   mockDashboard,
   mockUserStatistics,
   mockAgentStatistics,
   mockConversationStatistics,
+  mockModelStatistics,
 };
 
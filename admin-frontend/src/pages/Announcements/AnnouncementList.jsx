@@ -0,0 +1,244 @@
+/**
+ * ============================================
+ * 公告管理页面 (AnnouncementList.jsx)
+ * ============================================
+ *
+ * 【文件职责】
+ * 管理后台公告管理页面：发布、修改、上线 / 下线和删除公告
+ * 已发布的公告出现在所有用户的通知中心，发布后用户看到未读提醒
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+import { useState, useEffect } from 'react';
+import { Table, Input, Button, Space, Switch, Modal, Typography, message, Popconfirm } from 'antd';
+import { PlusOutlined, ReloadOutlined } from '@ant-design/icons';
+import api from '../../api';
+
+const { TextArea } = Input;
+
+/**
+ * 标题和内容的最大长度（与后端校验一致）
+ */
+const TITLE_MAX_LENGTH = 200;
+const CONTENT_MAX_LENGTH = 10000;
+
+function AnnouncementList() {
+  const [loading, setLoading] = useState(true);
+  const [reloadKey, setReloadKey] = useState(0); // 递增时重新加载列表
+  const [announcements, setAnnouncements] = useState([]);
+  const [editor, setEditor] = useState(null); // 正在编辑的公告 { id?, title, content, isActive }，id 为空表示新建
+  const [saving, setSaving] = useState(false);
+  const [togglingId, setTogglingId] = useState(null);
+
+  useEffect(() => {
+    const loadAnnouncements = async () => {
+      try {
+        const response = await api.admin.announcements.getList();
+        if (response.success) {
+          setAnnouncements(response.data.announcements);
+        } else {
+          message.error(response.error?.message || '加载公告失败');
+        }
+      } catch {
+        message.error('加载公告发生错误');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadAnnouncements();
+  }, [reloadKey]);
+
+  // 重新加载列表（刷新按钮、修改之后）
+  const reloadAnnouncements = () => {
+    setLoading(true);
+    setReloadKey((key) => key + 1);
+  };
+
+  const handleSave = async () => {
+    if (!editor.title.trim()) {
+      message.warning('请填写公告标题');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const data = { title: editor.title, content: editor.content, isActive: editor.isActive };
+      const response = editor.id
+        ? await api.admin.announcements.update(editor.id, data)
+        : await api.admin.announcements.create(data);
+      if (response.success) {
+        message.success(editor.id ? '公告已保存' : '公告已发布');
+        setEditor(null);
+        reloadAnnouncements();
+      } else {
+        message.error(response.error?.message || '保存失败');
+      }
+    } catch {
+      message.error('保存发生错误');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (record, isActive) => {
+    setTogglingId(record.id);
+    try {
+      const response = await api.admin.announcements.update(record.id, { isActive });
+      if (response.success) {
+        setAnnouncements((prev) => prev.map((a) => (a.id === record.id ? response.data.announcement : a)));
+      } else {
+        message.error(response.error?.message || '操作失败');
+      }
+    } catch {
+      message.error('操作发生错误');
+    } finally {
+      setTogglingId(null);
+    }
+  };
+
+  const handleDelete = async (announcementId) => {
+    try {
+      const response = await api.admin.announcements.remove(announcementId);
+      if (response.success) {
+        message.success('公告已删除');
+        reloadAnnouncements();
+      } else {
+        message.error(response.error?.message || '删除失败');
+      }
+    } catch {
+      message.error('删除发生错误');
+    }
+  };
+
+  const columns = [
+    {
+      title: '标题',
+      dataIndex: 'title',
+      key: 'title',
+      ellipsis: true,
+    },
+    {
+      title: '内容',
+      dataIndex: 'content',
+      key: 'content',
+      ellipsis: true,
+    },
+    {
+      title: '发布',
+      dataIndex: 'isActive',
+      key: 'isActive',
+      width: 80,
+      render: (isActive, record) => (
+        <Switch
+          size="small"
+          checked={isActive}
+          loading={togglingId === record.id}
+          onChange={(checked) => handleToggleActive(record, checked)}
+        />
+      ),
+    },
+    {
+      title: '发布时间',
+      dataIndex: 'createdAt',
+      key: 'createdAt',
+      width: 180,
+      render: (createdAt) => new Date(createdAt).toLocaleString(),
+    },
+    {
+      title: '操作',
+      key: 'action',
+      width: 140,
+      render: (_, record) => (
+        <Space>
+          <Button
+            size="small"
+            onClick={() => setEditor({
+              id: record.id,
+              title: record.title,
+              content: record.content,
+              isActive: record.isActive,
+            })}
+          >
+            编辑
+          </Button>
+          <Popconfirm
+            title="删除这条公告？"
+            description="删除后用户的通知中心不再显示"
+            onConfirm={() => handleDelete(record.id)}
+            okText="删除"
+            cancelText="取消"
+          >
+            <Button size="small" danger>删除</Button>
+          </Popconfirm>
+        </Space>
+      ),
+    },
+  ];
+
+  return (
+    <div style={{ padding: 24 }}>
+      <div style={{ marginBottom: 16 }}>
+        <Space>
+          <Button
+            type="primary"
+            icon={<PlusOutlined />}
+            onClick={() => setEditor({ title: '', content: '', isActive: true })}
+          >
+            发布公告
+          </Button>
+          <Button icon={<ReloadOutlined />} onClick={reloadAnnouncements}>
+            刷新
+          </Button>
+        </Space>
+      </div>
+      <Table
+        columns={columns}
+        dataSource={announcements}
+        loading={loading}
+        rowKey="id"
+        pagination={false}
+      />
+      <Modal
+        title={editor?.id ? '编辑公告' : '发布公告'}
+        open={Boolean(editor)}
+        onCancel={() => setEditor(null)}
+        onOk={handleSave}
+        okText={editor?.id ? '保存' : '发布'}
+        cancelText="取消"
+        confirmLoading={saving}
+        destroyOnClose
+      >
+        {editor && (
+          <Space direction="vertical" style={{ width: '100%' }}>
+            <Typography.Text>标题</Typography.Text>
+            <Input
+              value={editor.title}
+              maxLength={TITLE_MAX_LENGTH}
+              onChange={(e) => setEditor({ ...editor, title: e.target.value })}
+            />
+            <Typography.Text>内容</Typography.Text>
+            <TextArea
+              rows={6}
+              value={editor.content}
+              maxLength={CONTENT_MAX_LENGTH}
+              onChange={(e) => setEditor({ ...editor, content: e.target.value })}
+            />
+            <Space>
+              <Switch
+                checked={editor.isActive}
+                onChange={(checked) => setEditor({ ...editor, isActive: checked })}
+              />
+              <Typography.Text>
+                {editor.isActive ? '发布（出现在所有用户的通知中心）' : '暂不发布'}
+              </Typography.Text>
+            </Space>
+          </Space>
+        )}
+      </Modal>
+    </div>
+  );
+}
+
+export default AnnouncementList;
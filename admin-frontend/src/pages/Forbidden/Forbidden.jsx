@@ -0,0 +1,39 @@
+/**
+ * ============================================
+ * 无权限页面 (Forbidden.jsx)
+ * ============================================
+ *
+ * 【文件职责】
+ * 当前账号不是管理员时展示的页面（后端返回 403 FORBIDDEN 时跳转到这里）
+ *
+ * @author AI Assistant
+ * @created 2025-12-06
+ */
+
+import { Result, Button } from 'antd';
+import api from '../../api';
+
+function Forbidden() {
+  const handleSwitchAccount = () => {
+    api.setToken(null);
+    localStorage.removeItem('admin_user');
+    window.location.href = '/admin/login';
+  };
+
+  return (
+    <div style={{ minHeight: '100vh', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+      <Result
+        status="403"
+        title="403"
+        subTitle="当前账号没有管理后台权限，请使用管理员账号登录。"
+        extra={
+          <Button type="primary" onClick={handleSwitchAccount}>
+            切换账号
+          </Button>
+        }
+      />
+    </div>
+  );
+}
+
+export default Forbidden;
@@ -12,31 +12,24 @@
 
 import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Form, Input, Button, Card, message } from 'antd';
+import { Form, Input, Button, Card, Alert, message } from 'antd';
 import { UserOutlined, LockOutlined } from '@ant-design/icons';
 import api from '../../api';
 import styles from './Login.module.css';
 
 function Login() {
   const [loading, setLoading] = useState(false);
+  const [forbidden, setForbidden] = useState(false);
   const navigate = useNavigate();
 
   const handleSubmit = async (values) => {
     setLoading(true);
+    setForbidden(false);
     try {
       // 去除前后空格和换行符
       const userId = (values.userId?.trim() || '').replace(/\s+/g, '');
       const password = (values.password?.trim() || '').replace(/[\r\n]/g, '');
       
-      console.log('🔐 Frontend login attempt:');
-      console.log('   User ID:', userId);
-      console.log('   Password (masked):', '*'.repeat(password.length));
-      console.log('   Password length:', password.length);
-      // 输出密码的十六进制表示（用于调试）
-      const passwordHex = Array.from(password).map(c => c.charCodeAt(0).toString(16).padStart(2, '0')).join('');
-      console.log('   Password bytes (hex):', passwordHex);
-      console.log('   Password character codes:', Array.from(password).map(c => c.charCodeAt(0)).join(','));
-      
       if (!userId || !password) {
         message.error('请输入用户 ID 和密码');
         setLoading(false);
@@ -51,6 +44,9 @@ function Login() {
         // 不立即 reload，让 React Router 处理导航
         // token 已经通过 httpAdapter 保存到 localStorage
         navigate('/admin/dashboard');
+      } else if (response.error?.code === 'FORBIDDEN') {
+        // 账号密码正确，但不是管理员
+        setForbidden(true);
       } else {
         const errorMessage = response.error?.message || 'Login failed';
         console.error('❌ Login failed:', response.error);
@@ -73,6 +69,15 @@ function Login() {
            <div style={{ width: 48, height: 48, background: '#007aff', borderRadius: 12, margin: '0 auto 16px', display: 'flex', alignItems: 'center', justifyContent: 'center', color: 'white', fontSize: 24 }}>A</div>
         </div>
         <h1 className={styles.title}>Sign in</h1>
+        {forbidden && (
+          <Alert
+            type="error"
+            showIcon
+            style={{ marginBottom: 16 }}
+            message="没有管理后台权限"
+            description="该账号不是管理员，请使用管理员账号登录。"
+          />
+        )}
         <Form onFinish={handleSubmit} layout="vertical" size="large">
           <Form.Item
             name="userId"
@@ -101,7 +106,7 @@ function Login() {
           </Form.Item>
         </Form>
         <div className={styles.footer}>
-          <p>Demo Account: admin_Kaine / j877413lxy</p>
+          {api.mode === 'mock' && <p>Demo Account: admin / admin123</p>}
           <p>Mode: {api.mode === 'mock' ? 'Mock Data' : 'HTTP API'}</p>
         </div>
       </Card>
@@ -0,0 +1,113 @@
+/**
+ * ============================================
+ * 系统设置页面 (Settings.jsx)
+ * ============================================
+ *
+ * 【文件职责】
+ * 管理后台系统设置页面，目前包括：
+ * - 共享 API Key 池开关：关闭后，没有填写自己 API Key 的用户无法使用需要 Key 的模型
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+import { useState, useEffect } from 'react';
+import { Card, List, Switch, Typography, Tag, message } from 'antd';
+import api from '../../api';
+
+const { Text } = Typography;
+
+/**
+ * 设置标题
+ */
+const SETTING_TITLES = {
+  shared_key_pool_enabled: '允许使用共享 API Key',
+};
+
+function Settings() {
+  const [loading, setLoading] = useState(true);
+  const [settings, setSettings] = useState([]);
+  const [savingKey, setSavingKey] = useState(null);
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        const response = await api.admin.settings.getList();
+        if (response.success) {
+          setSettings(response.data.settings);
+        } else {
+          message.error(response.error?.message || '加载系统设置失败');
+        }
+      } catch {
+        message.error('加载系统设置发生错误');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadSettings();
+  }, []);
+
+  const handleChange = async (key, value) => {
+    setSavingKey(key);
+    try {
+      const response = await api.admin.settings.update(key, value);
+      if (response.success) {
+        setSettings((prev) => prev.map((s) => (s.key === key ? response.data.setting : s)));
+        message.success('设置已保存');
+      } else {
+        message.error(response.error?.message || '保存失败');
+      }
+    } catch {
+      message.error('保存发生错误');
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  return (
+    <div style={{ padding: 24 }}>
+      <Card title="系统设置" bordered={false}>
+        <List
+          loading={loading}
+          dataSource={settings}
+          renderItem={(setting) => (
+            <List.Item
+              actions={[
+                setting.type === 'boolean' ? (
+                  <Switch
+                    checked={setting.value}
+                    loading={savingKey === setting.key}
+                    onChange={(checked) => handleChange(setting.key, checked)}
+                  />
+                ) : (
+                  <Text code>{JSON.stringify(setting.value)}</Text>
+                ),
+              ]}
+            >
+              <List.Item.Meta
+                title={
+                  <>
+                    {SETTING_TITLES[setting.key] || setting.key}
+                    {setting.updatedAt ? null : <Tag style={{ marginLeft: 8 }}>默认值</Tag>}
+                  </>
+                }
+                description={
+                  <>
+                    <div>{setting.description}</div>
+                    {setting.updatedAt && (
+                      <Text type="secondary" style={{ fontSize: 12 }}>
+                        {setting.updatedBy} 修改于 {new Date(setting.updatedAt).toLocaleString()}
+                      </Text>
+                    )}
+                  </>
+                }
+              />
+            </List.Item>
+          )}
+        />
+      </Card>
+    </div>
+  );
+}
+
+export default Settings;
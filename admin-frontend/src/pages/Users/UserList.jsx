@@ -11,41 +11,49 @@
  */
 
 import { useState, useEffect } from 'react';
-import { Table, Input, Button, Space, Tag, message, Popconfirm } from 'antd';
+import { Table, Input, InputNumber, Button, Space, Tag, Select, Modal, Alert, Typography, Descriptions, message, Popconfirm } from 'antd';
 import { SearchOutlined, ReloadOutlined } from '@ant-design/icons';
 import api from '../../api';
 
 function UserList() {
-  const [loading, setLoading] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [reloadKey, setReloadKey] = useState(0); // 递增时重新加载列表
   const [users, setUsers] = useState([]);
   const [total, setTotal] = useState(0);
   const [page, setPage] = useState(1);
   const [pageSize, setPageSize] = useState(20);
   const [search, setSearch] = useState('');
+  const [resetToken, setResetToken] = useState(null); // 刚签发的重置码 { userId, resetToken, expiresAt }
+  const [quotaEditor, setQuotaEditor] = useState(null); // 正在编辑配额的用户 { userId, status, dailyMessages, dailyTokens }
+  const [savingQuota, setSavingQuota] = useState(false);
 
   useEffect(() => {
+    const loadUsers = async () => {
+      try {
+        const response = await api.admin.users.getList({
+          page,
+          pageSize,
+          search: search || undefined,
+        });
+        if (response.success) {
+          setUsers(response.data.users);
+          setTotal(response.data.total);
+        } else {
+          message.error(response.error?.message || '加载用户列表失败');
+        }
+      } catch {
+        message.error('加载用户列表发生错误');
+      } finally {
+        setLoading(false);
+      }
+    };
     loadUsers();
-  }, [page, pageSize, search]);
+  }, [page, pageSize, search, reloadKey]);
 
-  const loadUsers = async () => {
+  // 重新加载列表（刷新按钮、修改之后）
+  const reloadUsers = () => {
     setLoading(true);
-    try {
-      const response = await api.admin.users.getList({
-        page,
-        pageSize,
-        search: search || undefined,
-      });
-      if (response.success) {
-        setUsers(response.data.users);
-        setTotal(response.data.total);
-      } else {
-        message.error(response.error?.message || '加载用户列表失败');
-      }
-    } catch (error) {
-      message.error('加载用户列表发生错误');
-    } finally {
-      setLoading(false);
-    }
+    setReloadKey((key) => key + 1);
   };
 
   const handleStatusChange = async (userId, status) => {
@@ -53,25 +61,90 @@ function UserList() {
       const response = await api.admin.users.updateStatus(userId, status);
       if (response.success) {
         message.success('操作成功');
-        loadUsers();
+        reloadUsers();
       } else {
         message.error(response.error?.message || '操作失败');
       }
-    } catch (error) {
+    } catch {
       message.error('操作发生错误');
     }
   };
 
+  const handleRoleChange = async (userId, role) => {
+    try {
+      const response = await api.admin.users.updateRole(userId, role);
+      if (response.success) {
+        message.success('角色已更新，对方重新登录后生效');
+        reloadUsers();
+      } else {
+        message.error(response.error?.message || '修改角色失败');
+      }
+    } catch {
+      message.error('修改角色发生错误');
+    }
+  };
+
+  const handleCreateResetToken = async (userId) => {
+    try {
+      const response = await api.admin.users.createResetToken(userId);
+      if (response.success) {
+        setResetToken({ userId, ...response.data });
+      } else {
+        message.error(response.error?.message || '签发重置码失败');
+      }
+    } catch {
+      message.error('签发重置码发生错误');
+    }
+  };
+
+  const handleOpenQuota = async (userId) => {
+    try {
+      const response = await api.admin.users.getQuota(userId);
+      if (response.success) {
+        setQuotaEditor({
+          userId,
+          status: response.data,
+          dailyMessages: response.data.custom?.dailyMessages ?? null,
+          dailyTokens: response.data.custom?.dailyTokens ?? null,
+        });
+      } else {
+        message.error(response.error?.message || '获取配额失败');
+      }
+    } catch {
+      message.error('获取配额发生错误');
+    }
+  };
+
+  // 保存自定义配额；两项都留空时恢复默认配额
+  const handleSaveQuota = async (quota) => {
+    setSavingQuota(true);
+    try {
+      const response = await api.admin.users.updateQuota(quotaEditor.userId, quota);
+      if (response.success) {
+        message.success(response.data.custom ? '配额已更新' : '已恢复默认配额');
+        setQuotaEditor(null);
+      } else {
+        message.error(response.error?.message || '保存配额失败');
+      }
+    } catch {
+      message.error('保存配额发生错误');
+    } finally {
+      setSavingQuota(false);
+    }
+  };
+
+  const formatLimit = (limit) => (limit == null ? '不限' : limit.toLocaleString());
+
   const handleDelete = async (userId) => {
     try {
       const response = await api.admin.users.delete(userId);
       if (response.success) {
         message.success('删除成功');
-        loadUsers();
+        reloadUsers();
       } else {
         message.error(response.error?.message || '删除失败');
       }
-    } catch (error) {
+    } catch {
       message.error('删除发生错误');
     }
   };
@@ -91,7 +164,18 @@ function UserList() {
       title: '角色',
       dataIndex: 'role',
       key: 'role',
-      render: (role) => <Tag>{role}</Tag>,
+      render: (role, record) => (
+        <Select
+          size="small"
+          value={role}
+          style={{ width: 96 }}
+          onChange={(value) => handleRoleChange(record.id, value)}
+          options={[
+            { value: 'user', label: '普通用户' },
+            { value: 'admin', label: '管理员' },
+          ]}
+        />
+      ),
     },
     {
       title: '状态',
@@ -139,6 +223,18 @@ function UserList() {
               启用
             </Button>
           )}
+          <Popconfirm
+            title="签发新的重置码？"
+            description="该用户之前未使用的重置码会失效"
+            onConfirm={() => handleCreateResetToken(record.id)}
+            okText="签发"
+            cancelText="取消"
+          >
+            <Button size="small">重置码</Button>
+          </Popconfirm>
+          <Button size="small" onClick={() => handleOpenQuota(record.id)}>
+            配额
+          </Button>
           <Popconfirm
             title="确定要删除这个用户吗？"
             onConfirm={() => handleDelete(record.id)}
@@ -163,11 +259,14 @@ function UserList() {
             placeholder="搜索用户 ID 或用户名"
             prefix={<SearchOutlined style={{ color: 'rgba(0,0,0,0.25)' }} />}
             value={search}
-            onChange={(e) => setSearch(e.target.value)}
+            onChange={(e) => {
+              setLoading(true);
+              setSearch(e.target.value);
+            }}
             style={{ width: 260 }}
             allowClear
           />
-          <Button icon={<ReloadOutlined />} onClick={loadUsers}>
+          <Button icon={<ReloadOutlined />} onClick={reloadUsers}>
             刷新
           </Button>
         </Space>
@@ -185,12 +284,104 @@ function UserList() {
             showSizeChanger: true,
             showTotal: (total) => `共 ${total} 条`,
             onChange: (newPage, newPageSize) => {
+              setLoading(true);
               setPage(newPage);
               setPageSize(newPageSize);
             },
           }}
         />
       </div>
+      <Modal
+        title="一次性重置码"
+        open={Boolean(resetToken)}
+        onCancel={() => setResetToken(null)}
+        footer={
+          <Button type="primary" onClick={() => setResetToken(null)}>
+            关闭
+          </Button>
+        }
+        maskClosable={false}
+      >
+        {resetToken && (
+          <>
+            <Alert
+              type="warning"
+              showIcon
+              style={{ marginBottom: 16 }}
+              message="重置码只显示这一次"
+              description={`请通过可信渠道转交给用户 ${resetToken.userId}，用户在登录页「忘记密码」中选择「管理员重置码」即可设置新密码。重置码只能使用一次。`}
+            />
+            <Typography.Paragraph copyable={{ text: resetToken.resetToken }} style={{ fontFamily: 'monospace', fontSize: 20, textAlign: 'center' }}>
+              {resetToken.resetToken}
+            </Typography.Paragraph>
+            <Typography.Text type="secondary">
+              有效期至 {new Date(resetToken.expiresAt).toLocaleString()}
+            </Typography.Text>
+          </>
+        )}
+      </Modal>
+      <Modal
+        title={`每日配额${quotaEditor ? ` - ${quotaEditor.userId}` : ''}`}
+        open={Boolean(quotaEditor)}
+        onCancel={() => setQuotaEditor(null)}
+        footer={
+          <Space>
+            <Button
+              disabled={!quotaEditor?.status.custom}
+              loading={savingQuota}
+              onClick={() => handleSaveQuota({ dailyMessages: null, dailyTokens: null })}
+            >
+              恢复默认
+            </Button>
+            <Button
+              type="primary"
+              loading={savingQuota}
+              onClick={() => handleSaveQuota({
+                dailyMessages: quotaEditor.dailyMessages,
+                dailyTokens: quotaEditor.dailyTokens,
+              })}
+            >
+              保存
+            </Button>
+          </Space>
+        }
+      >
+        {quotaEditor && (
+          <>
+            <Descriptions size="small" column={1} style={{ marginBottom: 16 }}>
+              <Descriptions.Item label="今日回复数">
+                {quotaEditor.status.messages.used.toLocaleString()} / {formatLimit(quotaEditor.status.messages.limit)}
+              </Descriptions.Item>
+              <Descriptions.Item label="今日 token">
+                {quotaEditor.status.tokens.used.toLocaleString()} / {formatLimit(quotaEditor.status.tokens.limit)}
+              </Descriptions.Item>
+            </Descriptions>
+            <Space direction="vertical" style={{ width: '100%' }}>
+              <Typography.Text>每日最多回复数</Typography.Text>
+              <InputNumber
+                min={0}
+                precision={0}
+                style={{ width: '100%' }}
+                placeholder={`默认 ${formatLimit(quotaEditor.status.defaults.dailyMessages || null)}`}
+                value={quotaEditor.dailyMessages}
+                onChange={(value) => setQuotaEditor({ ...quotaEditor, dailyMessages: value })}
+              />
+              <Typography.Text>每日最多 token 数</Typography.Text>
+              <InputNumber
+                min={0}
+                precision={0}
+                style={{ width: '100%' }}
+                placeholder={`默认 ${formatLimit(quotaEditor.status.defaults.dailyTokens || null)}`}
+                value={quotaEditor.dailyTokens}
+                onChange={(value) => setQuotaEditor({ ...quotaEditor, dailyTokens: value })}
+              />
+              <Typography.Text type="secondary">
+                留空使用默认配额，0 表示不限；修改在用户下次发送消息时生效，每天 0 点（服务器时间）恢复。
+              </Typography.Text>
+            </Space>
+          </>
+        )}
+      </Modal>
     </div>
   );
 }
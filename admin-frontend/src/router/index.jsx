@@ -15,6 +15,9 @@ import Login from '../pages/Login/Login';
 import Dashboard from '../pages/Dashboard/Dashboard';
 import UserList from '../pages/Users/UserList';
 import AgentList from '../pages/Agents/AgentList';
+import Settings from '../pages/Settings/Settings';
+import AnnouncementList from '../pages/Announcements/AnnouncementList';
+import Forbidden from '../pages/Forbidden/Forbidden';
 
 const router = createBrowserRouter([
   {
@@ -41,6 +44,18 @@ const router = createBrowserRouter([
     path: '/admin/agents',
     element: <AgentList />,
   },
+  {
+    path: '/admin/settings',
+    element: <Settings />,
+  },
+  {
+    path: '/admin/announcements',
+    element: <AnnouncementList />,
+  },
+  {
+    path: '/admin/forbidden',
+    element: <Forbidden />,
+  },
   {
     path: '*',
     element: (
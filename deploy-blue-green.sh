@@ -149,6 +149,11 @@ docker run -d \
   -e OPENROUTER_API_KEY="${OPENROUTER_API_KEY:-}" \
   -e OPENAI_API_KEY="${OPENAI_API_KEY:-}" \
   -e DEEPSEEK_API_KEY="${DEEPSEEK_API_KEY:-}" \
+  -e ANTHROPIC_API_KEY="${ANTHROPIC_API_KEY:-}" \
+  -e API_KEY_MASTER_KEY="${API_KEY_MASTER_KEY:-}" \
+  -e RATE_LIMIT_STORE=${RATE_LIMIT_STORE:-mysql} \
+  -e QUOTA_DAILY_MESSAGES="${QUOTA_DAILY_MESSAGES:-}" \
+  -e QUOTA_DAILY_TOKENS="${QUOTA_DAILY_TOKENS:-}" \
   --restart unless-stopped \
   --add-host=host.docker.internal:host-gateway \
   agent-track-npc-version-backend:${NEW_ENV}
@@ -2,7 +2,7 @@
  * Auth Middleware 测试
  */
 
-const { authenticate, optionalAuthenticate } = require('../../middleware/auth');
+const { authenticate, optionalAuthenticate, requireRole } = require('../../middleware/auth');
 const { verifyToken } = require('../../utils/jwt');
 
 // Mock JWT 工具
@@ -42,7 +42,8 @@ describe('Auth Middleware', () => {
       expect(verifyToken).toHaveBeenCalledWith(token);
       expect(req.user).toEqual({
         userId: 'test_user_123',
-        username: 'testuser'
+        username: 'testuser',
+        role: 'user'
       });
       expect(next).toHaveBeenCalled();
       expect(res.status).not.toHaveBeenCalled();
@@ -158,7 +159,8 @@ describe('Auth Middleware', () => {
 
       expect(req.user).toEqual({
         userId: 'test_user_123',
-        username: 'testuser'
+        username: 'testuser',
+        role: 'user'
       });
       expect(next).toHaveBeenCalled();
     });
@@ -200,5 +202,53 @@ describe('Auth Middleware', () => {
       expect(next).toHaveBeenCalled();
     });
   });
+  describe('requireRole', () => {
+    it('应该把 Token 中的角色附加到 req.user', () => {
+      req.headers.authorization = 'Bearer admin.token.here';
+      verifyToken.mockReturnValue({
+        userId: 'admin_1',
+        username: 'admin',
+        role: 'admin',
+        type: 'access'
+      });
+
+      authenticate(req, res, next);
+
+      expect(req.user.role).toBe('admin');
+    });
+
+    it('应该允许指定角色的用户访问', () => {
+      req.user = { userId: 'admin_1', username: 'admin', role: 'admin' };
+
+      requireRole('admin')(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('应该拒绝其他角色的用户', () => {
+      req.user = { userId: 'test_user_123', username: 'testuser', role: 'user' };
+
+      requireRole('admin')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: '没有权限访问该接口'
+        },
+        timestamp: expect.any(Number)
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('应该拒绝未认证的请求', () => {
+      requireRole('admin')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
 });
 
@@ -0,0 +1,171 @@
+/**
+ * Idempotency Middleware 测试
+ */
+
+const { idempotency, hashRequest } = require('../../middleware/idempotency');
+const idempotencyRepository = require('../../repositories/IdempotencyRepository');
+
+jest.mock('../../repositories/IdempotencyRepository');
+
+describe('Idempotency Middleware', () => {
+  const route = 'POST /api/v1/messages';
+  const body = { agentId: 'agent_1', text: 'Hello' };
+  let res, next, sendJson;
+
+  const createRequest = (key = 'key_1', overrides = {}) => ({
+    method: 'POST',
+    baseUrl: '/api/v1/messages',
+    path: '/',
+    body,
+    user: { userId: 'user_1' },
+    get: jest.fn((name) => (name === 'Idempotency-Key' ? key : undefined)),
+    ...overrides
+  });
+
+  const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sendJson = jest.fn();
+    res = {
+      statusCode: 200,
+      set: jest.fn().mockReturnThis(),
+      status: jest.fn(function status(code) {
+        this.statusCode = code;
+        return this;
+      }),
+      json: sendJson
+    };
+    next = jest.fn();
+    idempotencyRepository.deleteExpired.mockResolvedValue(0);
+    idempotencyRepository.complete.mockResolvedValue(true);
+    idempotencyRepository.release.mockResolvedValue(true);
+  });
+
+  it('应该在没有 Idempotency-Key 时直接放行', async () => {
+    await idempotency()(createRequest('key_1', { get: jest.fn(() => undefined) }), res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(idempotencyRepository.reserve).not.toHaveBeenCalled();
+  });
+
+  it('应该拒绝过长的 Idempotency-Key', async () => {
+    await idempotency()(createRequest('k'.repeat(256)), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(sendJson.mock.calls[0][0].error.code).toBe('VALIDATION_ERROR');
+  });
+
+  it('应该占用幂等键，并在响应前保存响应', async () => {
+    idempotencyRepository.reserve.mockResolvedValue(true);
+
+    await idempotency()(createRequest(), res, next);
+    expect(next).toHaveBeenCalled();
+    expect(idempotencyRepository.reserve).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'user_1',
+      key: 'key_1',
+      route,
+      requestHash: hashRequest(route, body)
+    }));
+
+    res.status(200).json({ success: true, data: { userEventId: 'event_1' } });
+    await flush();
+
+    expect(idempotencyRepository.complete).toHaveBeenCalledWith(
+      'user_1',
+      'key_1',
+      200,
+      { success: true, data: { userEventId: 'event_1' } }
+    );
+    expect(sendJson).toHaveBeenCalledWith({ success: true, data: { userEventId: 'event_1' } });
+  });
+
+  it.each([500, 429])('应该在 %i 响应时释放幂等键', async (statusCode) => {
+    idempotencyRepository.reserve.mockResolvedValue(true);
+
+    await idempotency()(createRequest(), res, next);
+    res.status(statusCode).json({ success: false });
+    await flush();
+
+    expect(idempotencyRepository.release).toHaveBeenCalledWith('user_1', 'key_1');
+    expect(idempotencyRepository.complete).not.toHaveBeenCalled();
+    expect(sendJson).toHaveBeenCalledWith({ success: false });
+  });
+
+  it('应该重放已完成请求的响应', async () => {
+    idempotencyRepository.reserve.mockResolvedValue(false);
+    idempotencyRepository.findByKey.mockResolvedValue({
+      status: 'completed',
+      requestHash: hashRequest(route, body),
+      responseStatus: 200,
+      responseBody: { success: true, data: { userEventId: 'event_1' } },
+      createdAt: Date.now(),
+      expiresAt: Date.now() + 60000
+    });
+
+    await idempotency()(createRequest(), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.set).toHaveBeenCalledWith('Idempotent-Replayed', 'true');
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(sendJson).toHaveBeenCalledWith({ success: true, data: { userEventId: 'event_1' } });
+  });
+
+  it('应该拒绝用同一个键发送不同的请求', async () => {
+    idempotencyRepository.reserve.mockResolvedValue(false);
+    idempotencyRepository.findByKey.mockResolvedValue({
+      status: 'completed',
+      requestHash: 'other_hash',
+      createdAt: Date.now(),
+      expiresAt: Date.now() + 60000
+    });
+
+    await idempotency()(createRequest(), res, next);
+
+    expect(res.status).toHaveBeenCalledWith(422);
+    expect(sendJson.mock.calls[0][0].error.code).toBe('IDEMPOTENCY_KEY_REUSED');
+  });
+
+  it('应该在第一次请求仍在处理时返回 409 和 Retry-After', async () => {
+    idempotencyRepository.reserve.mockResolvedValue(false);
+    idempotencyRepository.findByKey.mockResolvedValue({
+      status: 'processing',
+      requestHash: hashRequest(route, body),
+      createdAt: Date.now(),
+      expiresAt: Date.now() + 60000
+    });
+
+    await idempotency()(createRequest(), res, next);
+
+    expect(res.set).toHaveBeenCalledWith('Retry-After', '1');
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(sendJson.mock.calls[0][0].error.code).toBe('IDEMPOTENCY_IN_PROGRESS');
+    expect(idempotencyRepository.takeOver).not.toHaveBeenCalled();
+  });
+
+  it('应该接管超时未完成的同一个请求', async () => {
+    idempotencyRepository.reserve.mockResolvedValue(false);
+    idempotencyRepository.findByKey.mockResolvedValue({
+      status: 'processing',
+      requestHash: hashRequest(route, body),
+      createdAt: Date.now() - 120000,
+      expiresAt: Date.now() + 60000
+    });
+    idempotencyRepository.takeOver.mockResolvedValue(true);
+
+    await idempotency()(createRequest(), res, next);
+
+    expect(idempotencyRepository.takeOver).toHaveBeenCalled();
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('应该在幂等键存储出错时放行', async () => {
+    idempotencyRepository.reserve.mockRejectedValue(new Error('db down'));
+
+    await idempotency()(createRequest(), res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+  });
+});
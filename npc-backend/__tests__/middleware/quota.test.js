@@ -0,0 +1,70 @@
+/**
+ * Quota Middleware 测试
+ */
+
+const { checkDailyQuota } = require('../../middleware/quota');
+const quotaService = require('../../services/QuotaService');
+
+jest.mock('../../services/QuotaService');
+
+describe('Quota Middleware', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = { user: { userId: 'user_1' } };
+    res = {
+      set: jest.fn().mockReturnThis(),
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    next = jest.fn();
+  });
+
+  it('应该在配额内放行', async () => {
+    quotaService.assertWithinQuota.mockResolvedValue(null);
+
+    await checkDailyQuota(req, res, next);
+
+    expect(quotaService.assertWithinQuota).toHaveBeenCalledWith('user_1');
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('应该在配额用完时返回 429', async () => {
+    const error = new Error('今天的对话次数已用完（10 次），明天 0 点恢复');
+    error.code = 'QUOTA_EXCEEDED';
+    error.retryAfter = 120;
+    error.quota = { exceeded: 'messages' };
+    quotaService.assertWithinQuota.mockRejectedValue(error);
+
+    await checkDailyQuota(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.set).toHaveBeenCalledWith('Retry-After', '120');
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      error: {
+        code: 'QUOTA_EXCEEDED',
+        message: error.message,
+        details: { retryAfter: 120, quota: { exceeded: 'messages' } }
+      }
+    }));
+  });
+
+  it('应该在配额查询出错时放行', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    quotaService.assertWithinQuota.mockRejectedValue(new Error('db down'));
+
+    await checkDailyQuota(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  it('应该跳过未登录的请求', async () => {
+    await checkDailyQuota({ user: null }, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(quotaService.assertWithinQuota).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Rate Limiter Middleware 测试
+ */
+
+const { rateLimit, createMemoryStore, createMysqlStore } = require('../../middleware/rateLimiter');
+const rateLimitRepository = require('../../repositories/RateLimitRepository');
+
+jest.mock('../../repositories/RateLimitRepository');
+
+describe('Rate Limiter Middleware', () => {
+  const originalEnv = { ...process.env };
+  let store, res, next;
+
+  const createRequest = (overrides = {}) => ({
+    ip: '10.0.0.1',
+    user: { userId: 'user_1' },
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.RATE_LIMIT_ENABLED = 'true';
+    process.env.RATE_LIMIT_MESSAGES_MAX = '2';
+    process.env.RATE_LIMIT_MESSAGES_WINDOW_MS = '60000';
+    store = createMemoryStore();
+    res = {
+      set: jest.fn().mockReturnThis(),
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    next = jest.fn();
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  describe('rateLimit', () => {
+    it('应该在限制内放行并设置 X-RateLimit 响应头', async () => {
+      const limiter = rateLimit('messages', { store });
+
+      await limiter(createRequest(), res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(res.set).toHaveBeenCalledWith(expect.objectContaining({
+        'X-RateLimit-Limit': '2',
+        'X-RateLimit-Remaining': '1',
+        'X-RateLimit-Reset': expect.any(String)
+      }));
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('应该在超出限制时返回 429 和 Retry-After', async () => {
+      const limiter = rateLimit('messages', { store });
+
+      await limiter(createRequest(), res, next);
+      await limiter(createRequest(), res, next);
+      await limiter(createRequest(), res, next);
+
+      expect(next).toHaveBeenCalledTimes(2);
+      expect(res.set).toHaveBeenCalledWith('Retry-After', '60');
+      expect(res.status).toHaveBeenCalledWith(429);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        success: false,
+        error: expect.objectContaining({
+          code: 'RATE_LIMIT_EXCEEDED',
+          details: { retryAfter: 60 }
+        })
+      }));
+    });
+
+    it('应该按用户分别计数', async () => {
+      const limiter = rateLimit('messages', { store });
+
+      await limiter(createRequest(), res, next);
+      await limiter(createRequest(), res, next);
+      await limiter(createRequest({ user: { userId: 'user_2' } }), res, next);
+
+      expect(next).toHaveBeenCalledTimes(3);
+    });
+
+    it('应该对 login 策略按 IP 计数', async () => {
+      process.env.RATE_LIMIT_LOGIN_MAX = '1';
+      const limiter = rateLimit('login', { store });
+
+      await limiter(createRequest({ user: null }), res, next);
+      await limiter(createRequest({ user: null }), res, next);
+      await limiter(createRequest({ user: null, ip: '10.0.0.2' }), res, next);
+
+      expect(next).toHaveBeenCalledTimes(2);
+      expect(res.status).toHaveBeenCalledTimes(1);
+    });
+
+    it('应该在关闭限流时直接放行', async () => {
+      process.env.RATE_LIMIT_ENABLED = 'false';
+      const failingStore = { increment: jest.fn() };
+      const limiter = rateLimit('messages', { store: failingStore });
+
+      await limiter(createRequest(), res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(failingStore.increment).not.toHaveBeenCalled();
+    });
+
+    it('应该在计数存储出错时放行', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const failingStore = { increment: jest.fn().mockRejectedValue(new Error('db down')) };
+      const limiter = rateLimit('messages', { store: failingStore });
+
+      await limiter(createRequest(), res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('应该在策略不存在时立即报错', () => {
+      expect(() => rateLimit('unknown')).toThrow('Unknown rate limit policy');
+    });
+  });
+
+  describe('createMemoryStore', () => {
+    it('应该在时间窗口结束后重新计数', async () => {
+      const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(1000);
+
+      await store.increment('messages:user:user_1', 100);
+      const second = await store.increment('messages:user:user_1', 100);
+      expect(second).toEqual({ hits: 2, resetAt: 1100 });
+
+      nowSpy.mockReturnValue(1100);
+      const third = await store.increment('messages:user:user_1', 100);
+      expect(third).toEqual({ hits: 1, resetAt: 1200 });
+    });
+  });
+
+  describe('createMysqlStore', () => {
+    it('应该通过 RateLimitRepository 计数', async () => {
+      rateLimitRepository.increment.mockResolvedValue({ hits: 3, resetAt: 5000 });
+      const mysqlStore = createMysqlStore();
+
+      const result = await mysqlStore.increment('login:ip:10.0.0.1', 60000);
+
+      expect(result).toEqual({ hits: 3, resetAt: 5000 });
+      expect(rateLimitRepository.increment).toHaveBeenCalledWith(
+        'login:ip:10.0.0.1',
+        60000,
+        expect.any(Number)
+      );
+    });
+  });
+});
@@ -58,6 +58,22 @@ describe('AgentRepository', () => {
       expect(result1.id).not.toBe(result2.id);
       expect(result1.id).toMatch(/^agent_\d+_[a-z0-9]+$/);
     });
+
+    it('应该以 JSON 保存生成参数', async () => {
+      query.mockResolvedValue([]);
+
+      const result = await agentRepository.create({
+        createdBy: 'test_user_123',
+        name: 'Test Agent',
+        type: 'general',
+        model: 'openai/gpt-3.5-turbo',
+        systemPrompt: 'You are helpful',
+        generationParams: { temperature: 1.1, stop: ['END'] }
+      });
+
+      expect(query.mock.calls[0][1]).toContain('{"temperature":1.1,"stop":["END"]}');
+      expect(result.generationParams).toEqual({ temperature: 1.1, stop: ['END'] });
+    });
   });
 
   describe('findById', () => {
@@ -89,6 +105,27 @@ describe('AgentRepository', () => {
       expect(result.systemPrompt).toBe('You are helpful'); // 字段名转换
     });
 
+    it('应该解析生成参数，格式错误时返回 null', async () => {
+      query.mockResolvedValueOnce([{ id: 'agent_1', generation_params: '{"topP":0.9}' }]);
+      expect((await agentRepository.findById('agent_1')).generationParams).toEqual({ topP: 0.9 });
+
+      query.mockResolvedValueOnce([{ id: 'agent_2', generation_params: 'not json' }]);
+      expect((await agentRepository.findById('agent_2')).generationParams).toBeNull();
+    });
+
+    it('应该解析备用模型列表，为空时返回空数组', async () => {
+      query.mockResolvedValueOnce([{
+        id: 'agent_1',
+        fallback_models: '[{"model":"llama3.1:8b","provider":"ollama"}]'
+      }]);
+      expect((await agentRepository.findById('agent_1')).fallbackModels).toEqual([
+        { model: 'llama3.1:8b', provider: 'ollama' }
+      ]);
+
+      query.mockResolvedValueOnce([{ id: 'agent_2', fallback_models: null }]);
+      expect((await agentRepository.findById('agent_2')).fallbackModels).toEqual([]);
+    });
+
     it('应该返回 null 当 ID 不存在', async () => {
       query.mockResolvedValue([]);
 
@@ -252,6 +289,17 @@ describe('AgentRepository', () => {
         expect.any(Array)
       );
     });
+
+    it('应该序列化生成参数，null 时清空', async () => {
+      query.mockResolvedValue([{ id: 'agent_123' }]);
+
+      await agentRepository.update('agent_123', { generationParams: { temperature: 0.2 } });
+      expect(query.mock.calls[0][0]).toContain('generation_params = ?');
+      expect(query.mock.calls[0][1][0]).toBe('{"temperature":0.2}');
+
+      await agentRepository.update('agent_123', { generationParams: null });
+      expect(query.mock.calls[2][1][0]).toBeNull();
+    });
   });
 
   describe('remove', () => {
@@ -0,0 +1,110 @@
+/**
+ * AnnouncementRepository 测试
+ */
+
+const announcementRepository = require('../../repositories/AnnouncementRepository');
+const { query } = require('../../config/database');
+
+// Mock 数据库
+jest.mock('../../config/database', () => ({
+  query: jest.fn()
+}));
+
+describe('AnnouncementRepository', () => {
+  const row = {
+    id: 'announcement_1',
+    title: '维护通知',
+    content: '今晚维护',
+    is_active: 1,
+    created_by: 'admin_1',
+    created_at: '1000',
+    updated_at: '2000'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('create', () => {
+    it('应该插入公告并返回公告对象', async () => {
+      query.mockResolvedValue({ affectedRows: 1 });
+
+      const announcement = await announcementRepository.create({
+        title: '维护通知',
+        content: '今晚维护',
+        createdBy: 'admin_1'
+      });
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('INSERT INTO announcements');
+      expect(params).toEqual([
+        expect.stringMatching(/^announcement_/),
+        '维护通知',
+        '今晚维护',
+        1,
+        'admin_1',
+        expect.any(Number),
+        expect.any(Number)
+      ]);
+      expect(announcement).toEqual(expect.objectContaining({ title: '维护通知', isActive: true }));
+    });
+  });
+
+  describe('findAll', () => {
+    it('应该按创建时间倒序查询并映射字段', async () => {
+      query.mockResolvedValue([row]);
+
+      const announcements = await announcementRepository.findAll({ limit: 10 });
+
+      const sql = query.mock.calls[0][0];
+      expect(sql).toContain('ORDER BY created_at DESC');
+      expect(sql).toContain('LIMIT 10');
+      expect(sql).not.toContain('is_active = 1');
+      expect(announcements).toEqual([{
+        id: 'announcement_1',
+        title: '维护通知',
+        content: '今晚维护',
+        isActive: true,
+        createdBy: 'admin_1',
+        createdAt: 1000,
+        updatedAt: 2000
+      }]);
+    });
+
+    it('应该支持只查询已发布的公告', async () => {
+      query.mockResolvedValue([]);
+
+      await announcementRepository.findAll({ activeOnly: true });
+
+      expect(query.mock.calls[0][0]).toContain('WHERE is_active = 1');
+    });
+  });
+
+  describe('update', () => {
+    it('应该只更新提供的字段', async () => {
+      query.mockResolvedValueOnce({ affectedRows: 1 }).mockResolvedValueOnce([{ ...row, is_active: 0 }]);
+
+      const announcement = await announcementRepository.update('announcement_1', { isActive: false });
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('SET is_active = ?, updated_at = ?');
+      expect(params).toEqual([0, expect.any(Number), 'announcement_1']);
+      expect(announcement.isActive).toBe(false);
+    });
+
+    it('应该在公告不存在时返回 null', async () => {
+      query.mockResolvedValue({ affectedRows: 0 });
+
+      await expect(announcementRepository.update('missing', { title: '新标题' })).resolves.toBeNull();
+    });
+  });
+
+  describe('remove', () => {
+    it('应该删除公告', async () => {
+      query.mockResolvedValue({ affectedRows: 1 });
+
+      await expect(announcementRepository.remove('announcement_1')).resolves.toBe(true);
+      expect(query.mock.calls[0][0]).toContain('DELETE FROM announcements');
+    });
+  });
+});
@@ -50,6 +50,132 @@ describe('EventRepository', () => {
       expect(result1.id).not.toBe(result2.id);
       expect(result1.id).toMatch(/^event_\d+_[a-z0-9]+$/);
     });
+
+    it('应该记录回复实际使用的模型', async () => {
+      query.mockResolvedValue([]);
+
+      const result = await eventRepository.createEvent({
+        ...validEventData,
+        fromType: 'agent',
+        model: 'llama3.1:8b',
+        provider: 'ollama'
+      });
+
+      expect(query.mock.calls[0][0]).toContain('model, provider');
+      expect(query.mock.calls[0][1]).toEqual(expect.arrayContaining(['llama3.1:8b', 'ollama']));
+      expect(result.model).toBe('llama3.1:8b');
+      expect(result.provider).toBe('ollama');
+    });
+
+    it('应该保存回复状态，默认为 complete', async () => {
+      query.mockResolvedValue([]);
+
+      const normal = await eventRepository.createEvent(validEventData);
+      const pending = await eventRepository.createEvent({
+        ...validEventData,
+        fromType: 'agent',
+        content: '',
+        status: 'pending'
+      });
+
+      expect(query.mock.calls[0][0]).toContain('status, error_code');
+      expect(normal).toMatchObject({ status: 'complete', errorCode: null });
+      expect(pending.status).toBe('pending');
+      expect(query.mock.calls[1][1]).toEqual(expect.arrayContaining(['pending']));
+    });
+
+    it('传入时间戳时应该使用该时间戳', async () => {
+      query.mockResolvedValue([]);
+
+      const result = await eventRepository.createEvent({
+        ...validEventData,
+        fromType: 'agent',
+        content: '',
+        status: 'pending',
+        timestamp: 1001
+      });
+
+      expect(result.timestamp).toBe(1001);
+      expect(query.mock.calls[0][1][15]).toBe(1001);
+    });
+  });
+
+  describe('回复状态', () => {
+    it('应该把数据库行的状态映射到 Event 对象', async () => {
+      query.mockResolvedValue([
+        { id: 'event_1', from_type: 'agent', content: '超时', status: 'failed', error_code: 'LLM_API_TIMEOUT' },
+        { id: 'event_2', from_type: 'user', content: '旧数据' }
+      ]);
+
+      const events = await eventRepository.getEventsBySession('session_123');
+
+      expect(events[0]).toMatchObject({ status: 'failed', errorCode: 'LLM_API_TIMEOUT' });
+      expect(events[1]).toMatchObject({ status: 'complete', errorCode: null });
+    });
+
+    it('应该原地更新回复并清空未传的字段', async () => {
+      query.mockResolvedValue({ affectedRows: 1 });
+
+      const updated = await eventRepository.updateReplyEvent('event_1', {
+        status: 'complete',
+        content: '你好',
+        model: 'gpt-4o-mini',
+        provider: 'openai',
+        contextWindow: { eventIds: ['event_0'] }
+      });
+
+      const [sql, params] = query.mock.calls[0];
+      expect(updated).toBe(true);
+      expect(sql).toContain('SET status = ?, error_code = ?, content = ?');
+      expect(sql).not.toContain('timestamp');
+      expect(params).toEqual([
+        'complete',
+        null,
+        '你好',
+        'gpt-4o-mini',
+        'openai',
+        JSON.stringify({ eventIds: ['event_0'] }),
+        'event_1'
+      ]);
+    });
+
+    it('应该只在当前状态符合时更新', async () => {
+      query.mockResolvedValue({ affectedRows: 0 });
+
+      const updated = await eventRepository.updateReplyEvent(
+        'event_1',
+        { status: 'pending' },
+        { expectedStatus: 'failed' }
+      );
+
+      const [sql, params] = query.mock.calls[0];
+      expect(updated).toBe(false);
+      expect(sql).toContain('AND status = ?');
+      expect(params[params.length - 1]).toBe('failed');
+      expect(params[2]).toBe('');
+    });
+
+    it('应该按 ID 批量获取会话中的事件', async () => {
+      query.mockResolvedValue([{ id: 'event_1', session_id: 'session_123', status: 'pending', content: '' }]);
+
+      const events = await eventRepository.getEventsByIds('session_123', ['event_1', 'event_2']);
+
+      expect(query.mock.calls[0][0]).toContain('id IN (?, ?)');
+      expect(query.mock.calls[0][1]).toEqual(['session_123', 'event_1', 'event_2']);
+      expect(events[0]).toMatchObject({ id: 'event_1', status: 'pending' });
+      await expect(eventRepository.getEventsByIds('session_123', [])).resolves.toEqual([]);
+    });
+
+    it('应该只移动还在等待生成的占位回复', async () => {
+      query.mockResolvedValue({ affectedRows: 1 });
+
+      const moved = await eventRepository.moveReplyEvent('event_reply', 'event_user_2', 2001);
+
+      const [sql, params] = query.mock.calls[0];
+      expect(moved).toBe(true);
+      expect(sql).toContain("AND from_type = 'agent' AND status = 'pending' AND superseded_at IS NULL");
+      expect(params).toEqual(['event_user_2', 2001, 'event_reply']);
+    });
   });
 
   describe('getEventsBySession', () => {
@@ -129,7 +255,317 @@ describe('EventRepository', () => {
     });
   });
 
+  describe('已被替代的事件', () => {
+    it('getEventsBySession 和 getRecentEvents 应该排除已被替代的事件', async () => {
+      query.mockResolvedValue([]);
+
+      await eventRepository.getEventsBySession('session_123');
+      await eventRepository.getRecentEvents('session_123', 20);
+
+      expect(query).toHaveBeenNthCalledWith(
+        1,
+        expect.stringContaining('superseded_at IS NULL'),
+        ['session_123']
+      );
+      expect(query).toHaveBeenNthCalledWith(
+        2,
+        expect.stringContaining('superseded_at IS NULL'),
+        ['session_123']
+      );
+    });
+
+    it('supersedeEventsFrom 应该按 (timestamp, id) 标记起点及之后的有效事件并返回数量', async () => {
+      query.mockResolvedValue({ affectedRows: 3 });
+
+      const count = await eventRepository.supersedeEventsFrom('session_123', { timestamp: 5000, id: 'event_5' });
+
+      expect(count).toBe(3);
+      expect(query).toHaveBeenCalledWith(
+        expect.stringMatching(/UPDATE events[\s\S]*SET superseded_at = \?[\s\S]*timestamp > \? OR \(timestamp = \? AND id >= \?\)/),
+        [expect.any(Number), 'session_123', 5000, 5000, 'event_5']
+      );
+    });
+
+    it('supersedeEventsFrom 不包含起点时应该只标记同一毫秒内排在起点之后的事件', async () => {
+      query.mockResolvedValue({ affectedRows: 1 });
+
+      await eventRepository.supersedeEventsFrom('session_123', { timestamp: 5000, id: 'event_5' }, { inclusive: false });
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toMatch(/timestamp = \? AND id > \?/);
+      expect(params).toEqual([expect.any(Number), 'session_123', 5000, 5000, 'event_5']);
+    });
+
+    it('createEvent 应该保存父事件 ID', async () => {
+      query.mockResolvedValue([]);
+
+      const result = await eventRepository.createEvent({
+        sessionId: 'session_123',
+        parentId: 'event_parent',
+        userId: 'user_1',
+        agentId: 'agent_1',
+        fromType: 'agent',
+        fromId: 'agent_1',
+        toType: 'user',
+        toId: 'user_1',
+        content: 'Reply'
+      });
+
+      expect(result.parentId).toBe('event_parent');
+      expect(query.mock.calls[0][0]).toContain('parent_id');
+      expect(query.mock.calls[0][1][2]).toBe('event_parent');
+    });
+
+    it('getEventTreeBySession 应该包含已被替代的事件', async () => {
+      query.mockResolvedValue([
+        { id: 'event_1', session_id: 'session_123', parent_id: null, superseded_at: null, timestamp: 1 },
+        { id: 'event_2', session_id: 'session_123', parent_id: 'event_1', superseded_at: 5, timestamp: 2 }
+      ]);
+
+      const result = await eventRepository.getEventTreeBySession('session_123');
+
+      expect(query.mock.calls[0][0]).not.toContain('superseded_at IS NULL');
+      expect(result[1]).toMatchObject({ parentId: 'event_1', supersededAt: 5 });
+    });
+
+    it('restoreEvents 应该清除 superseded_at', async () => {
+      query.mockResolvedValue({ affectedRows: 2 });
+
+      const count = await eventRepository.restoreEvents(['event_1', 'event_2']);
+
+      expect(count).toBe(2);
+      expect(query).toHaveBeenCalledWith(
+        expect.stringMatching(/SET superseded_at = NULL[\s\S]*WHERE id IN \(\?, \?\)/),
+        ['event_1', 'event_2']
+      );
+    });
+
+    it('restoreEvents 在列表为空时不查询数据库', async () => {
+      const count = await eventRepository.restoreEvents([]);
+
+      expect(count).toBe(0);
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('游标分页', () => {
+    const row = (id, timestamp) => ({
+      id,
+      session_id: 'session_123',
+      parent_id: null,
+      user_id: 'user_1',
+      agent_id: 'agent_1',
+      from_type: 'user',
+      from_id: 'user_1',
+      to_type: 'agent',
+      to_id: 'agent_1',
+      content: id,
+      timestamp,
+      superseded_at: null
+    });
+
+    it('getEventsPage 应该多取一条判断是否还有更早的事件，并按时间升序返回', async () => {
+      query.mockResolvedValue([row('e3', 300), row('e2', 200), row('e1', 100)]);
+
+      const page = await eventRepository.getEventsPage('session_123', { limit: 2 });
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('ORDER BY timestamp DESC, id DESC');
+      expect(sql).toContain('LIMIT 3');
+      expect(params).toEqual(['session_123']);
+      expect(page.events.map(e => e.id)).toEqual(['e2', 'e3']);
+      expect(page.hasMore).toBe(true);
+    });
+
+    it('getEventsPage 应该按 (timestamp, id) 游标查询更早的事件', async () => {
+      query.mockResolvedValue([row('e1', 100)]);
+
+      const page = await eventRepository.getEventsPage('session_123', {
+        before: { timestamp: 200, id: 'e2' },
+        limit: 2
+      });
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('(timestamp < ? OR (timestamp = ? AND id < ?))');
+      expect(params).toEqual(['session_123', 200, 200, 'e2']);
+      expect(page.hasMore).toBe(false);
+    });
+
+    it('getEventsAfter 应该查询游标之后的事件并限制数量', async () => {
+      query.mockResolvedValue([row('e2', 200), row('e3', 300)]);
+
+      const page = await eventRepository.getEventsAfter('session_123', { timestamp: 100, id: 'e1' }, 1);
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('(timestamp > ? OR (timestamp = ? AND id > ?))');
+      expect(sql).toContain('LIMIT 2');
+      expect(params).toEqual(['session_123', 100, 100, 'e1']);
+      expect(page.events.map(e => e.id)).toEqual(['e2']);
+      expect(page.hasMore).toBe(true);
+    });
+
+    it('getEventsByParentIds 应该查询指定父事件和根事件的子事件', async () => {
+      query.mockResolvedValue([{ id: 'a1', session_id: 'session_123', parent_id: 'u1', from_type: 'agent', timestamp: 200 }]);
+
+      const events = await eventRepository.getEventsByParentIds('session_123', ['u1', 'u2'], true);
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('parent_id IN (?, ?) OR parent_id IS NULL');
+      expect(params).toEqual(['session_123', 'u1', 'u2']);
+      expect(events[0]).toEqual({ id: 'a1', sessionId: 'session_123', parentId: 'u1', fromType: 'agent', timestamp: 200, supersededAt: null });
+    });
+
+    it('getEventsByParentIds 在没有条件时不查询数据库', async () => {
+      expect(await eventRepository.getEventsByParentIds('session_123', [], false)).toEqual([]);
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    it('getEventsSupersededAt 应该按被替代时间查询会话中的事件', async () => {
+      query.mockResolvedValue([{ id: 'a1', session_id: 'session_123', parent_id: 'u1', from_type: 'agent', timestamp: 200, superseded_at: 500 }]);
+
+      const events = await eventRepository.getEventsSupersededAt('session_123', 500);
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('session_id = ? AND superseded_at = ?');
+      expect(params).toEqual(['session_123', 500]);
+      expect(events[0]).toMatchObject({ id: 'a1', parentId: 'u1', supersededAt: 500 });
+    });
+  });
+
+  describe('searchEvents', () => {
+    it('应该用全文索引搜索并返回总数和带 Agent、会话信息的事件', async () => {
+      query
+        .mockResolvedValueOnce([{ total: '3' }])
+        .mockResolvedValueOnce([{
+          id: 'event_1',
+          session_id: 'session_1',
+          user_id: 'user_1',
+          agent_id: 'agent_1',
+          from_type: 'agent',
+          from_id: 'agent_1',
+          to_type: 'user',
+          to_id: 'user_1',
+          content: '我们来制定学习计划',
+          timestamp: '1000',
+          agent_name: '小助手',
+          agent_avatar_url: null,
+          session_title: '期末复习'
+        }]);
+
+      const result = await eventRepository.searchEvents('user_1', '+"学习计划"', { limit: 20, offset: 0 });
+
+      const [sql, params] = query.mock.calls[1];
+      expect(sql).toContain('MATCH(e.content) AGAINST(? IN BOOLEAN MODE)');
+      expect(sql).toContain('e.superseded_at IS NULL');
+      expect(sql).toContain("e.status IN ('complete', 'stopped')");
+      expect(sql).toContain('s.deleted_at IS NULL');
+      expect(params).toEqual(['user_1', '+"学习计划"']);
+      expect(result.total).toBe(3);
+      expect(result.events[0]).toMatchObject({
+        id: 'event_1',
+        sessionId: 'session_1',
+        timestamp: 1000,
+        agentName: '小助手',
+        sessionTitle: '期末复习'
+      });
+    });
+
+    it('应该按 Agent、发送方和时间范围筛选', async () => {
+      query.mockResolvedValueOnce([{ total: 0 }]).mockResolvedValueOnce([]);
+
+      await eventRepository.searchEvents('user_1', '+"计划"', {
+        agentId: 'agent_1',
+        fromType: 'user',
+        startTime: 100,
+        endTime: 200,
+        limit: 10,
+        offset: 10
+      });
+
+      const [countSql, countParams] = query.mock.calls[0];
+      expect(countSql).toContain('e.agent_id = ?');
+      expect(countSql).toContain('e.from_type = ?');
+      expect(countSql).toContain('e.timestamp >= ?');
+      expect(countSql).toContain('e.timestamp < ?');
+      expect(countParams).toEqual(['user_1', '+"计划"', 'agent_1', 'user', 100, 200]);
+      expect(query.mock.calls[1][1]).toEqual(countParams);
+      expect(query.mock.calls[1][0]).toContain('LIMIT 10 OFFSET 10');
+    });
+
+    it('应该把 LIMIT / OFFSET 转成整数直接拼接到 SQL（不使用参数化）', async () => {
+      query.mockResolvedValueOnce([{ total: 0 }]).mockResolvedValueOnce([]);
+
+      await eventRepository.searchEvents('user_1', '+"计划"', { limit: '1000; DROP', offset: -5 });
+
+      const [sql, params] = query.mock.calls[1];
+      expect(sql).not.toContain('LIMIT ?');
+      expect(sql).not.toContain('OFFSET ?');
+      expect(sql).toContain('LIMIT 100 OFFSET 0');
+      expect(params).toEqual(['user_1', '+"计划"']);
+    });
+  });
+
   // 注意：EventRepository 目前没有 findByUserId 和 findByAgentId 方法
   // 这些功能可能在未来添加，或者通过其他方式实现
-});
 
+  describe('countPendingReplies', () => {
+    it('应该统计指定时间之后创建的生成中回复', async () => {
+      query.mockResolvedValue([{ count: '2' }]);
+
+      const count = await eventRepository.countPendingReplies('user_1', 1000);
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain("from_type = 'agent'");
+      expect(sql).toContain("status = 'pending'");
+      expect(sql).toContain('superseded_at IS NULL');
+      expect(params).toEqual(['user_1', 1000]);
+      expect(count).toBe(2);
+    });
+  });
+
+  describe('未读回复', () => {
+    it('countUnreadReplies 应该按会话的已读游标统计生成完成的 Agent 回复', async () => {
+      query.mockResolvedValue([{ session_id: 'session_1', agent_id: 'agent_1', count: '2' }]);
+
+      const rows = await eventRepository.countUnreadReplies('user_1');
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('JOIN sessions s ON s.id = e.session_id');
+      expect(sql).toContain("e.from_type = 'agent'");
+      expect(sql).toContain("e.status <> 'pending'");
+      expect(sql).toContain('e.timestamp > s.last_read_at');
+      expect(sql).toContain('GROUP BY e.session_id, e.agent_id');
+      expect(params).toEqual(['user_1']);
+      expect(rows).toEqual([{ sessionId: 'session_1', agentId: 'agent_1', count: 2 }]);
+    });
+
+    it('getUnreadReplies 应该按时间倒序返回最近的未读回复', async () => {
+      query.mockResolvedValue([{
+        id: 'e2',
+        session_id: 'session_1',
+        user_id: 'user_1',
+        agent_id: 'agent_1',
+        from_type: 'agent',
+        content: '你好',
+        status: 'complete',
+        timestamp: 200
+      }]);
+
+      const events = await eventRepository.getUnreadReplies('user_1', 5);
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('ORDER BY e.timestamp DESC, e.id DESC');
+      expect(sql).toContain('LIMIT 5');
+      expect(params).toEqual(['user_1']);
+      expect(events[0]).toEqual(expect.objectContaining({ id: 'e2', sessionId: 'session_1', content: '你好' }));
+    });
+
+    it('findFirstPendingReply 应该返回最早的生成中回复', async () => {
+      query.mockResolvedValueOnce([{ id: 'e5', timestamp: '500' }]).mockResolvedValueOnce([]);
+
+      expect(await eventRepository.findFirstPendingReply('session_1')).toEqual({ id: 'e5', timestamp: 500 });
+      expect(await eventRepository.findFirstPendingReply('session_2')).toBeNull();
+      expect(query.mock.calls[0][0]).toContain("status = 'pending'");
+    });
+  });
+});
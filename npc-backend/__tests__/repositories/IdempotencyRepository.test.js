@@ -0,0 +1,130 @@
+/**
+ * IdempotencyRepository 测试
+ */
+
+const idempotencyRepository = require('../../repositories/IdempotencyRepository');
+const { query } = require('../../config/database');
+
+// Mock 数据库
+jest.mock('../../config/database', () => ({
+  query: jest.fn()
+}));
+
+describe('IdempotencyRepository', () => {
+  const data = {
+    userId: 'user_1',
+    key: 'key_1',
+    route: 'POST /api/v1/messages',
+    requestHash: 'hash_1',
+    now: 1000,
+    expiresAt: 86401000
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('reserve', () => {
+    it('应该用 INSERT IGNORE 占用幂等键', async () => {
+      query.mockResolvedValue({ affectedRows: 1 });
+
+      const reserved = await idempotencyRepository.reserve(data);
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('INSERT IGNORE INTO idempotency_keys');
+      expect(params).toEqual(['user_1', 'key_1', 'POST /api/v1/messages', 'hash_1', 1000, 86401000]);
+      expect(reserved).toBe(true);
+    });
+
+    it('应该在键已存在时返回 false', async () => {
+      query.mockResolvedValue({ affectedRows: 0 });
+
+      await expect(idempotencyRepository.reserve(data)).resolves.toBe(false);
+    });
+  });
+
+  describe('findByKey', () => {
+    it('应该映射字段并解析保存的响应体', async () => {
+      query.mockResolvedValue([{
+        user_id: 'user_1',
+        idempotency_key: 'key_1',
+        route: 'POST /api/v1/messages',
+        request_hash: 'hash_1',
+        status: 'completed',
+        response_status: 200,
+        response_body: '{"success":true}',
+        created_at: '1000',
+        expires_at: '86401000'
+      }]);
+
+      const result = await idempotencyRepository.findByKey('user_1', 'key_1');
+
+      expect(result).toEqual({
+        userId: 'user_1',
+        key: 'key_1',
+        route: 'POST /api/v1/messages',
+        requestHash: 'hash_1',
+        status: 'completed',
+        responseStatus: 200,
+        responseBody: { success: true },
+        createdAt: 1000,
+        expiresAt: 86401000
+      });
+    });
+
+    it('应该在键不存在时返回 null', async () => {
+      query.mockResolvedValue([]);
+
+      await expect(idempotencyRepository.findByKey('user_1', 'missing')).resolves.toBeNull();
+    });
+  });
+
+  describe('takeOver', () => {
+    it('应该只接管已过期或已放弃的键', async () => {
+      query.mockResolvedValue({ affectedRows: 1 });
+
+      const taken = await idempotencyRepository.takeOver(data, 500);
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain("AND (expires_at <= ? OR (status = 'processing' AND created_at < ?))");
+      expect(params).toEqual(['POST /api/v1/messages', 'hash_1', 1000, 86401000, 'user_1', 'key_1', 1000, 500]);
+      expect(taken).toBe(true);
+    });
+  });
+
+  describe('complete', () => {
+    it('应该保存处理中的键的响应', async () => {
+      query.mockResolvedValue({ affectedRows: 1 });
+
+      await idempotencyRepository.complete('user_1', 'key_1', 200, { success: true });
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain("SET status = 'completed'");
+      expect(sql).toContain("AND status = 'processing'");
+      expect(params).toEqual([200, '{"success":true}', 'user_1', 'key_1']);
+    });
+  });
+
+  describe('release', () => {
+    it('应该只删除处理中的键', async () => {
+      query.mockResolvedValue({ affectedRows: 1 });
+
+      await expect(idempotencyRepository.release('user_1', 'key_1')).resolves.toBe(true);
+      expect(query).toHaveBeenCalledWith(
+        expect.stringContaining("AND status = 'processing'"),
+        ['user_1', 'key_1']
+      );
+    });
+  });
+
+  describe('deleteExpired', () => {
+    it('应该删除已过期的键', async () => {
+      query.mockResolvedValue({ affectedRows: 2 });
+
+      const deleted = await idempotencyRepository.deleteExpired(5000);
+
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('DELETE FROM idempotency_keys'), [5000]);
+      expect(deleted).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * JobRepository 测试
+ */
+
+const jobRepository = require('../../repositories/JobRepository');
+const { query } = require('../../config/database');
+
+// Mock 数据库
+jest.mock('../../config/database', () => ({
+  query: jest.fn()
+}));
+
+describe('JobRepository', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const row = {
+    id: 'job_1',
+    type: 'llm_reply',
+    payload: '{"sessionId":"session_1"}',
+    user_id: 'user_1',
+    session_id: 'session_1',
+    status: 'running',
+    attempts: 1,
+    max_attempts: 3,
+    run_at: '1000',
+    locked_by: 'worker_1:1',
+    lease_until: '61000',
+    last_error: null,
+    created_at: '1000',
+    updated_at: '1000',
+    finished_at: null
+  };
+
+  describe('create', () => {
+    it('应该以 queued 状态保存任务，payload 保存为 JSON', async () => {
+      query.mockResolvedValue({ affectedRows: 1 });
+
+      const job = await jobRepository.create({
+        id: 'job_1',
+        type: 'llm_reply',
+        payload: { sessionId: 'session_1' },
+        userId: 'user_1',
+        sessionId: 'session_1',
+        maxAttempts: 3,
+        runAt: 1000
+      });
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('INSERT INTO jobs');
+      expect(params.slice(0, 7)).toEqual([
+        'job_1', 'llm_reply', '{"sessionId":"session_1"}', 'user_1', 'session_1', 3, 1000
+      ]);
+      expect(job.status).toBe('queued');
+      expect(job.attempts).toBe(0);
+    });
+
+    it('createClaimed 应该以 running 状态保存任务并写入领取标识和租约', async () => {
+      query.mockResolvedValue({ affectedRows: 1 });
+
+      const job = await jobRepository.createClaimed({
+        id: 'job_2',
+        type: 'llm_reply',
+        payload: { replyEventId: 'event_2' },
+        userId: 'user_1',
+        sessionId: 'session_1',
+        maxAttempts: 3,
+        lockedBy: 'worker_1:5',
+        leaseUntil: 61000
+      });
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain("'running', 1");
+      expect(params).toEqual([
+        'job_2', 'llm_reply', '{"replyEventId":"event_2"}', 'user_1', 'session_1', 3,
+        expect.any(Number), 'worker_1:5', 61000, expect.any(Number), expect.any(Number)
+      ]);
+      expect(job).toMatchObject({ status: 'running', attempts: 1, lockedBy: 'worker_1:5', leaseUntil: 61000 });
+    });
+  });
+
+  describe('claimNext', () => {
+    it('应该原子地领取一条到期任务并按领取标识查回', async () => {
+      query
+        .mockResolvedValueOnce({ affectedRows: 1 })
+        .mockResolvedValueOnce([row]);
+
+      const job = await jobRepository.claimNext('worker_1:1', 60000, 1000);
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain("WHERE q.status = 'queued' AND q.run_at <= ?");
+      expect(sql).toContain('LIMIT 1');
+      expect(sql).toContain("WHERE j.status = 'queued'");
+      expect(params).toEqual([1000, 'worker_1:1', 61000, 1000]);
+      expect(query.mock.calls[1][1]).toEqual(['worker_1:1']);
+      expect(job).toMatchObject({
+        id: 'job_1',
+        payload: { sessionId: 'session_1' },
+        attempts: 1,
+        maxAttempts: 3,
+        leaseUntil: 61000,
+        finishedAt: null
+      });
+    });
+
+    it('应该跳过会话中有执行中或更早等待中任务的任务（同一会话按顺序执行）', async () => {
+      query.mockResolvedValueOnce({ affectedRows: 0 });
+
+      await jobRepository.claimNext('worker_1:1', 60000, 1000);
+
+      const [sql] = query.mock.calls[0];
+      expect(sql).toContain('p.session_id = q.session_id AND p.type = q.type');
+      expect(sql).toContain("p.status = 'running'");
+      expect(sql).toContain("p.status = 'queued' AND (p.created_at < q.created_at");
+    });
+
+    it('应该在没有到期任务时返回 null', async () => {
+      query.mockResolvedValueOnce({ affectedRows: 0 });
+
+      expect(await jobRepository.claimNext('worker_1:2', 60000, 1000)).toBeNull();
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('状态更新', () => {
+    it('续租和标记成功都应该校验领取标识', async () => {
+      query.mockResolvedValue({ affectedRows: 0 });
+
+      expect(await jobRepository.extendLease('job_1', 'worker_1:1', 90000)).toBe(false);
+      expect(await jobRepository.markSucceeded('job_1', 'worker_1:1')).toBe(false);
+      query.mock.calls.forEach(([sql, params]) => {
+        expect(sql).toContain('locked_by = ?');
+        expect(params).toContain('worker_1:1');
+      });
+    });
+
+    it('重新排队应该清空领取标识并推后执行时间', async () => {
+      query.mockResolvedValue({ affectedRows: 1 });
+
+      expect(await jobRepository.reschedule('job_1', 'worker_1:1', 6000, '超时')).toBe(true);
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain("status = 'queued', locked_by = NULL");
+      expect(params).toEqual([6000, '超时', expect.any(Number), 'job_1', 'worker_1:1']);
+    });
+  });
+
+  describe('取消', () => {
+    it('应该把等待中或执行中的任务改为 cancelled，不校验领取标识', async () => {
+      query.mockResolvedValue({ affectedRows: 1 });
+
+      expect(await jobRepository.markCancelled('job_1')).toBe(true);
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain("SET status = 'cancelled', locked_by = NULL");
+      expect(sql).toContain("WHERE id = ? AND status IN ('queued', 'running')");
+      expect(params).toEqual([expect.any(Number), expect.any(Number), 'job_1']);
+    });
+
+    it('cancelQueued 应该只取消还没被领取过的任务', async () => {
+      query.mockResolvedValue({ affectedRows: 0 });
+
+      expect(await jobRepository.cancelQueued('job_1')).toBe(false);
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain("SET status = 'cancelled'");
+      expect(sql).toContain("WHERE id = ? AND status = 'queued' AND attempts = 0");
+      expect(params).toEqual([expect.any(Number), expect.any(Number), 'job_1']);
+    });
+
+    it('应该按会话和类型查询未结束的任务', async () => {
+      query.mockResolvedValue([row]);
+
+      const jobs = await jobRepository.findActiveBySession('session_1', 'llm_reply');
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain("status IN ('queued', 'running')");
+      expect(params).toEqual(['session_1', 'llm_reply']);
+      expect(jobs[0]).toMatchObject({ id: 'job_1', payload: { sessionId: 'session_1' } });
+    });
+  });
+
+  describe('requeueExpired', () => {
+    it('应该把租约过期的运行中任务放回队列', async () => {
+      query.mockResolvedValue({ affectedRows: 2 });
+
+      const count = await jobRepository.requeueExpired(5000);
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain("WHERE status = 'running' AND lease_until < ?");
+      expect(params).toEqual([5000, 5000, 5000]);
+      expect(count).toBe(2);
+    });
+  });
+
+  describe('deleteFinishedBefore', () => {
+    it('应该只删除已结束的任务', async () => {
+      query.mockResolvedValue({ affectedRows: 4 });
+
+      const deleted = await jobRepository.deleteFinishedBefore(5000);
+
+      expect(query).toHaveBeenCalledWith(expect.stringContaining("status IN ('succeeded', 'failed', 'cancelled')"), [5000]);
+      expect(deleted).toBe(4);
+    });
+  });
+});
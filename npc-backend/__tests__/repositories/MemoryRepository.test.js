@@ -0,0 +1,114 @@
+/**
+ * MemoryRepository 测试
+ */
+
+const memoryRepository = require('../../repositories/MemoryRepository');
+const { query } = require('../../config/database');
+
+// Mock 数据库
+jest.mock('../../config/database', () => ({
+  query: jest.fn()
+}));
+
+describe('MemoryRepository', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getSessionSummary', () => {
+    it('应该返回会话摘要', async () => {
+      query.mockResolvedValueOnce([{
+        session_id: 'session_123',
+        summary: '用户在准备考研',
+        covered_until: 5000,
+        updated_at: 6000
+      }]);
+
+      const result = await memoryRepository.getSessionSummary('session_123');
+
+      expect(result).toEqual({
+        sessionId: 'session_123',
+        summary: '用户在准备考研',
+        coveredUntil: 5000,
+        updatedAt: 6000
+      });
+    });
+
+    it('应该返回 null 当没有摘要', async () => {
+      query.mockResolvedValueOnce([]);
+
+      const result = await memoryRepository.getSessionSummary('session_123');
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('upsertSessionSummary', () => {
+    it('应该插入或覆盖会话摘要', async () => {
+      query.mockResolvedValueOnce({ affectedRows: 1 });
+
+      const result = await memoryRepository.upsertSessionSummary('session_123', '摘要', 5000);
+
+      expect(result.coveredUntil).toBe(5000);
+      expect(query.mock.calls[0][0]).toContain('ON DUPLICATE KEY UPDATE');
+      expect(query.mock.calls[0][1]).toEqual(['session_123', '摘要', 5000, expect.any(Number)]);
+    });
+  });
+
+  describe('agent_memories', () => {
+    it('应该按用户和 Agent 查询记忆', async () => {
+      query.mockResolvedValueOnce([{
+        id: 'mem_1',
+        user_id: 'test_user_123',
+        agent_id: 'agent_1',
+        content: '喜欢猫',
+        source: 'auto',
+        source_session_id: 'session_123',
+        created_at: 1000,
+        updated_at: 1000
+      }]);
+
+      const result = await memoryRepository.findMemoriesByUserAndAgent('test_user_123', 'agent_1');
+
+      expect(result).toEqual([expect.objectContaining({
+        id: 'mem_1',
+        userId: 'test_user_123',
+        content: '喜欢猫',
+        sourceSessionId: 'session_123'
+      })]);
+      expect(query.mock.calls[0][1]).toEqual(['test_user_123', 'agent_1']);
+    });
+
+    it('应该创建记忆', async () => {
+      query.mockResolvedValueOnce({ affectedRows: 1 });
+
+      const result = await memoryRepository.createMemory({
+        userId: 'test_user_123',
+        agentId: 'agent_1',
+        content: '喜欢猫'
+      });
+
+      expect(result.id).toMatch(/^mem_/);
+      expect(result.source).toBe('auto');
+      expect(query.mock.calls[0][0]).toContain('INSERT INTO agent_memories');
+    });
+
+    it('应该在编辑记忆时标记来源为 user', async () => {
+      query.mockResolvedValueOnce({ affectedRows: 1 });
+
+      const result = await memoryRepository.updateMemory('mem_1', '喜欢狗');
+
+      expect(result).toBe(true);
+      expect(query.mock.calls[0][0]).toContain("source = 'user'");
+      expect(query.mock.calls[0][1]).toEqual(['喜欢狗', expect.any(Number), 'mem_1']);
+    });
+
+    it('应该删除记忆', async () => {
+      query.mockResolvedValueOnce({ affectedRows: 0 });
+
+      const result = await memoryRepository.deleteMemory('mem_missing');
+
+      expect(result).toBe(false);
+    });
+  });
+});
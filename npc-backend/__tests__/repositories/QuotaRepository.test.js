@@ -0,0 +1,67 @@
+/**
+ * QuotaRepository 测试
+ */
+
+const quotaRepository = require('../../repositories/QuotaRepository');
+const { query } = require('../../config/database');
+
+// Mock 数据库
+jest.mock('../../config/database', () => ({
+  query: jest.fn()
+}));
+
+describe('QuotaRepository', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('findByUserId', () => {
+    it('应该返回映射后的自定义配额', async () => {
+      query.mockResolvedValue([{
+        user_id: 'user_1',
+        daily_messages: 500,
+        daily_tokens: null,
+        updated_by: 'admin_1',
+        updated_at: 1000
+      }]);
+
+      const quota = await quotaRepository.findByUserId('user_1');
+
+      expect(quota).toEqual({
+        userId: 'user_1',
+        dailyMessages: 500,
+        dailyTokens: null,
+        updatedBy: 'admin_1',
+        updatedAt: 1000
+      });
+    });
+
+    it('应该在没有自定义配额时返回 null', async () => {
+      query.mockResolvedValue([]);
+
+      expect(await quotaRepository.findByUserId('user_1')).toBeNull();
+    });
+  });
+
+  describe('upsert', () => {
+    it('应该插入或覆盖自定义配额', async () => {
+      query.mockResolvedValue({ affectedRows: 1 });
+
+      const quota = await quotaRepository.upsert('user_1', { dailyMessages: 50 }, 'admin_1');
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('ON DUPLICATE KEY UPDATE');
+      expect(params).toEqual(['user_1', 50, null, 'admin_1', expect.any(Number)]);
+      expect(quota.dailyTokens).toBeNull();
+    });
+  });
+
+  describe('deleteByUserId', () => {
+    it('应该删除自定义配额', async () => {
+      query.mockResolvedValue({ affectedRows: 1 });
+
+      expect(await quotaRepository.deleteByUserId('user_1')).toBe(true);
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('DELETE FROM user_quotas'), ['user_1']);
+    });
+  });
+});
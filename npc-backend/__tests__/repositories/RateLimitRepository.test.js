@@ -0,0 +1,43 @@
+/**
+ * RateLimitRepository 测试
+ */
+
+const rateLimitRepository = require('../../repositories/RateLimitRepository');
+const { query } = require('../../config/database');
+
+// Mock 数据库
+jest.mock('../../config/database', () => ({
+  query: jest.fn()
+}));
+
+describe('RateLimitRepository', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('increment', () => {
+    it('应该用一条 upsert 计数，并返回当前窗口的计数', async () => {
+      query
+        .mockResolvedValueOnce({ affectedRows: 2 })
+        .mockResolvedValueOnce([{ hits: 4, reset_at: '61000' }]);
+
+      const result = await rateLimitRepository.increment('messages:user:user_1', 60000, 1000);
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('ON DUPLICATE KEY UPDATE');
+      expect(params).toEqual(['messages:user:user_1', 61000, 1000, 1000]);
+      expect(result).toEqual({ hits: 4, resetAt: 61000 });
+    });
+  });
+
+  describe('deleteExpired', () => {
+    it('应该删除已结束的时间窗口', async () => {
+      query.mockResolvedValue({ affectedRows: 3 });
+
+      const deleted = await rateLimitRepository.deleteExpired(5000);
+
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('DELETE FROM rate_limit_counters'), [5000]);
+      expect(deleted).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * RealtimeRepository 测试
+ */
+
+const realtimeRepository = require('../../repositories/RealtimeRepository');
+const { query } = require('../../config/database');
+
+// Mock 数据库
+jest.mock('../../config/database', () => ({
+  query: jest.fn()
+}));
+
+describe('RealtimeRepository', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('create', () => {
+    it('应该序列化事件数据并返回自增 ID', async () => {
+      query.mockResolvedValue({ insertId: 42 });
+
+      const id = await realtimeRepository.create({
+        userId: 'user_1',
+        type: 'event.created',
+        payload: { sessionId: 'session_1' },
+        origin: 'host_1',
+        createdAt: 1000
+      });
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('INSERT INTO realtime_events');
+      expect(params).toEqual(['user_1', 'event.created', '{"sessionId":"session_1"}', 'host_1', 1000]);
+      expect(id).toBe(42);
+    });
+  });
+
+  describe('findBetween', () => {
+    it('应该按发布时间和 ID 升序读取游标之后的事件并映射字段', async () => {
+      query.mockResolvedValue([{
+        id: '7',
+        user_id: 'user_1',
+        type: 'agent.updated',
+        payload: '{"agentId":"agent_1"}',
+        origin: 'host_2',
+        created_at: '1000'
+      }]);
+
+      const events = await realtimeRepository.findBetween({ createdAt: 900, id: 5 }, 2000, 100);
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('(created_at > ? OR (created_at = ? AND id > ?)) AND created_at <= ?');
+      expect(sql).toContain('ORDER BY created_at ASC, id ASC');
+      expect(sql).toContain('LIMIT 100');
+      expect(sql).not.toContain('LIMIT ?');
+      expect(params).toEqual([900, 900, 5, 2000]);
+      expect(events).toEqual([{
+        id: 7,
+        userId: 'user_1',
+        type: 'agent.updated',
+        payload: { agentId: 'agent_1' },
+        origin: 'host_2',
+        createdAt: 1000
+      }]);
+    });
+
+    it('应该在事件数据无法解析时返回空对象', async () => {
+      query.mockResolvedValue([{ id: 8, user_id: 'user_1', type: 'x', payload: '{', origin: 'h', created_at: 1 }]);
+
+      const events = await realtimeRepository.findBetween({ createdAt: 0, id: 0 }, 2000, 100);
+
+      expect(events[0].payload).toEqual({});
+    });
+  });
+
+  describe('deleteBefore', () => {
+    it('应该删除旧事件并返回条数', async () => {
+      query.mockResolvedValue({ affectedRows: 3 });
+
+      const deleted = await realtimeRepository.deleteBefore(5000);
+
+      expect(query.mock.calls[0][0]).toContain('DELETE FROM realtime_events');
+      expect(query.mock.calls[0][1]).toEqual([5000]);
+      expect(deleted).toBe(3);
+    });
+  });
+});
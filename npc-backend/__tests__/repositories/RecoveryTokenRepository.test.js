@@ -0,0 +1,134 @@
+/**
+ * RecoveryTokenRepository 测试
+ */
+
+const recoveryTokenRepository = require('../../repositories/RecoveryTokenRepository');
+const { query } = require('../../config/database');
+
+// Mock 数据库
+jest.mock('../../config/database', () => ({
+  query: jest.fn()
+}));
+
+describe('RecoveryTokenRepository', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createTokens', () => {
+    it('应该一次插入多条凭证摘要', async () => {
+      query.mockResolvedValueOnce({ affectedRows: 2 });
+
+      const tokens = await recoveryTokenRepository.createTokens('user_1', 'recovery_code', ['hash_a', 'hash_b']);
+
+      expect(tokens).toHaveLength(2);
+      expect(tokens[0]).toMatchObject({ userId: 'user_1', type: 'recovery_code', tokenHash: 'hash_a', expiresAt: null });
+      expect(tokens[0].id).toMatch(/^rtk_/);
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('INSERT INTO user_recovery_tokens');
+      expect(params).toHaveLength(14);
+      expect(params.slice(1, 6)).toEqual(['user_1', 'recovery_code', 'hash_a', null, null]);
+    });
+
+    it('应该保存过期时间和签发人', async () => {
+      query.mockResolvedValueOnce({ affectedRows: 1 });
+
+      await recoveryTokenRepository.createTokens('user_1', 'reset_token', ['hash_a'], {
+        expiresAt: 5000,
+        createdBy: 'admin_1'
+      });
+
+      const params = query.mock.calls[0][1];
+      expect(params.slice(1, 6)).toEqual(['user_1', 'reset_token', 'hash_a', 5000, 'admin_1']);
+    });
+
+    it('应该在没有凭证时不访问数据库', async () => {
+      const tokens = await recoveryTokenRepository.createTokens('user_1', 'recovery_code', []);
+
+      expect(tokens).toEqual([]);
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findActiveToken', () => {
+    it('应该只查询未使用且未过期的凭证', async () => {
+      query.mockResolvedValueOnce([{
+        id: 'rtk_1',
+        user_id: 'user_1',
+        type: 'reset_token',
+        token_hash: 'hash_a',
+        expires_at: 9000,
+        used_at: null,
+        created_by: 'admin_1',
+        created_at: 1000
+      }]);
+
+      const token = await recoveryTokenRepository.findActiveToken('user_1', 'reset_token', 'hash_a', 2000);
+
+      expect(token).toEqual({
+        id: 'rtk_1',
+        userId: 'user_1',
+        type: 'reset_token',
+        tokenHash: 'hash_a',
+        expiresAt: 9000,
+        usedAt: null,
+        createdBy: 'admin_1',
+        createdAt: 1000
+      });
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('used_at IS NULL');
+      expect(sql).toContain('expires_at > ?');
+      expect(params).toEqual(['user_1', 'reset_token', 'hash_a', 2000]);
+    });
+
+    it('应该返回 null 当凭证不可用', async () => {
+      query.mockResolvedValueOnce([]);
+
+      const token = await recoveryTokenRepository.findActiveToken('user_1', 'recovery_code', 'hash_x', 2000);
+
+      expect(token).toBeNull();
+    });
+  });
+
+  describe('countActiveTokens', () => {
+    it('应该返回可用凭证数量', async () => {
+      query.mockResolvedValueOnce([{ count: 6 }]);
+
+      const count = await recoveryTokenRepository.countActiveTokens('user_1', 'recovery_code', 2000);
+
+      expect(count).toBe(6);
+    });
+  });
+
+  describe('markTokenUsed', () => {
+    it('应该只标记未使用的凭证', async () => {
+      query.mockResolvedValueOnce({ affectedRows: 1 });
+
+      const result = await recoveryTokenRepository.markTokenUsed('rtk_1', 3000);
+
+      expect(result).toBe(true);
+      expect(query.mock.calls[0][0]).toContain('used_at IS NULL');
+      expect(query.mock.calls[0][1]).toEqual([3000, 'rtk_1']);
+    });
+
+    it('应该返回 false 当凭证已被使用', async () => {
+      query.mockResolvedValueOnce({ affectedRows: 0 });
+
+      const result = await recoveryTokenRepository.markTokenUsed('rtk_1', 3000);
+
+      expect(result).toBe(false);
+    });
+  });
+
+  describe('revokeTokens', () => {
+    it('应该作废用户某类型的全部未使用凭证', async () => {
+      query.mockResolvedValueOnce({ affectedRows: 3 });
+
+      const count = await recoveryTokenRepository.revokeTokens('user_1', 'recovery_code', 3000);
+
+      expect(count).toBe(3);
+      expect(query.mock.calls[0][1]).toEqual([3000, 'user_1', 'recovery_code']);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * RefreshTokenRepository 测试
+ */
+
+const refreshTokenRepository = require('../../repositories/RefreshTokenRepository');
+const { query } = require('../../config/database');
+
+// Mock 数据库
+jest.mock('../../config/database', () => ({
+  query: jest.fn()
+}));
+
+describe('RefreshTokenRepository', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('create', () => {
+    it('应该登记 Refresh Token', async () => {
+      query.mockResolvedValueOnce({ affectedRows: 1 });
+
+      const token = await refreshTokenRepository.create({
+        id: 'rt_1',
+        userId: 'user_1',
+        familyId: 'rtf_1',
+        expiresAt: 5000
+      });
+
+      expect(token).toMatchObject({ id: 'rt_1', userId: 'user_1', familyId: 'rtf_1', revokedAt: null });
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('INSERT INTO refresh_tokens');
+      expect(params.slice(0, 4)).toEqual(['rt_1', 'user_1', 'rtf_1', 5000]);
+    });
+  });
+
+  describe('findById', () => {
+    it('应该映射数据库行', async () => {
+      query.mockResolvedValueOnce([{
+        id: 'rt_1',
+        user_id: 'user_1',
+        family_id: 'rtf_1',
+        expires_at: 5000,
+        revoked_at: 3000,
+        revoke_reason: 'rotated',
+        replaced_by: 'rt_2',
+        created_at: 1000
+      }]);
+
+      const token = await refreshTokenRepository.findById('rt_1');
+
+      expect(token).toEqual({
+        id: 'rt_1',
+        userId: 'user_1',
+        familyId: 'rtf_1',
+        expiresAt: 5000,
+        revokedAt: 3000,
+        revokeReason: 'rotated',
+        replacedBy: 'rt_2',
+        createdAt: 1000
+      });
+    });
+
+    it('应该返回 null 当记录不存在', async () => {
+      query.mockResolvedValueOnce([]);
+
+      expect(await refreshTokenRepository.findById('missing')).toBeNull();
+    });
+  });
+
+  describe('markRotated', () => {
+    it('应该只轮换未吊销的 Token', async () => {
+      query.mockResolvedValueOnce({ affectedRows: 1 });
+
+      const rotated = await refreshTokenRepository.markRotated('rt_1', 'rt_2', 3000);
+
+      expect(rotated).toBe(true);
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('revoked_at IS NULL');
+      expect(params).toEqual([3000, 'rt_2', 'rt_1']);
+    });
+
+    it('应该在 Token 已被轮换时返回 false', async () => {
+      query.mockResolvedValueOnce({ affectedRows: 0 });
+
+      expect(await refreshTokenRepository.markRotated('rt_1', 'rt_2', 3000)).toBe(false);
+    });
+  });
+
+  describe('revokeFamily', () => {
+    it('应该吊销家族内的有效 Token', async () => {
+      query.mockResolvedValueOnce({ affectedRows: 2 });
+
+      const count = await refreshTokenRepository.revokeFamily('rtf_1', 'logout', 3000);
+
+      expect(count).toBe(2);
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('family_id = ?'), [3000, 'logout', 'rtf_1']);
+    });
+  });
+
+  describe('revokeAllForUser', () => {
+    it('应该吊销用户的全部有效 Token', async () => {
+      query.mockResolvedValueOnce({ affectedRows: 3 });
+
+      const count = await refreshTokenRepository.revokeAllForUser('user_1', 'password_changed', 3000);
+
+      expect(count).toBe(3);
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('user_id = ?'), [3000, 'password_changed', 'user_1']);
+    });
+  });
+});
@@ -142,5 +142,123 @@ describe('SessionRepository', () => {
       );
     });
   });
-});
 
+  describe('多会话', () => {
+    const participants = [
+      { type: 'user', id: 'test_user_123' },
+      { type: 'agent', id: 'test_agent_123' }
+    ];
+
+    it('应该只把最近活跃的未归档会话作为默认会话', async () => {
+      query.mockResolvedValueOnce([]);
+
+      await sessionRepository.findSessionByParticipants(participants);
+
+      const sql = query.mock.calls[0][0];
+      expect(sql).toContain('archived_at IS NULL');
+      expect(sql).toContain('deleted_at IS NULL');
+      expect(sql).toContain('ORDER BY last_active_at DESC');
+    });
+
+    it('应该总是创建新会话', async () => {
+      query.mockResolvedValueOnce({ affectedRows: 1 });
+
+      const result = await sessionRepository.createSession(participants, '新话题');
+
+      expect(result.title).toBe('新话题');
+      expect(result.archivedAt).toBeNull();
+      expect(query).toHaveBeenCalledTimes(1);
+      expect(query.mock.calls[0][0]).toContain('INSERT INTO sessions');
+      expect(query.mock.calls[0][1]).toEqual([
+        result.sessionId,
+        JSON.stringify(participants),
+        '新话题',
+        expect.any(Number),
+        expect.any(Number)
+      ]);
+    });
+
+    it('应该映射标题和归档时间', async () => {
+      query.mockResolvedValueOnce([{
+        id: 'session_123',
+        participants: JSON.stringify(participants),
+        title: '学习计划',
+        created_at: 1000,
+        last_active_at: 2000,
+        archived_at: 3000
+      }]);
+
+      const result = await sessionRepository.findSessionById('session_123');
+
+      expect(result.title).toBe('学习计划');
+      expect(result.archivedAt).toBe(3000);
+      expect(query.mock.calls[0][0]).toContain('deleted_at IS NULL');
+    });
+
+    it('应该更新会话标题', async () => {
+      query.mockResolvedValueOnce({ affectedRows: 1 });
+
+      const result = await sessionRepository.updateSessionTitle('session_123', '改名');
+
+      expect(result).toBe(true);
+      expect(query).toHaveBeenCalledWith(
+        expect.stringContaining('SET title = ?'),
+        ['改名', 'session_123']
+      );
+    });
+
+    it('应该归档和取消归档会话', async () => {
+      query.mockResolvedValue({ affectedRows: 1 });
+
+      await sessionRepository.setSessionArchived('session_123', true);
+      await sessionRepository.setSessionArchived('session_123', false);
+
+      expect(query.mock.calls[0][1]).toEqual([expect.any(Number), 'session_123']);
+      expect(query.mock.calls[1][1]).toEqual([null, 'session_123']);
+    });
+
+    it('应该软删除会话', async () => {
+      query.mockResolvedValueOnce({ affectedRows: 0 });
+
+      const result = await sessionRepository.softDeleteSession('session_missing');
+
+      expect(result).toBe(false);
+      expect(query.mock.calls[0][0]).toContain('SET deleted_at = ?');
+    });
+  });
+
+  describe('已读游标', () => {
+    it('updateReadCursor 应该只让已读游标前进', async () => {
+      query.mockResolvedValue({ affectedRows: 1 });
+
+      const result = await sessionRepository.updateReadCursor('session_123', { timestamp: 3000, id: 'event_9' });
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('SET last_read_at = ?, last_read_event_id = ?');
+      expect(sql).toContain('last_read_at < ?');
+      expect(params).toEqual([3000, 'event_9', 'session_123', 3000, 3000, 'event_9', 'event_9']);
+      expect(result).toBe(true);
+    });
+
+    it('updateReadCursor 在游标没有前进时返回 false', async () => {
+      query.mockResolvedValue({ affectedRows: 0 });
+
+      const result = await sessionRepository.updateReadCursor('session_123', { timestamp: 1000, id: null });
+
+      expect(result).toBe(false);
+      expect(query.mock.calls[0][1][1]).toBeNull();
+    });
+
+    it('markAllSessionsRead 应该更新用户的所有会话，并停在生成中的回复之前', async () => {
+      query.mockResolvedValue({ affectedRows: 4 });
+
+      const count = await sessionRepository.markAllSessionsRead('user_1', 5000);
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain("e.status = 'pending'");
+      expect(sql).toContain('JSON_CONTAINS(participants, ?)');
+      expect(params).toEqual([5000, 5000, JSON.stringify({ type: 'user', id: 'user_1' })]);
+      expect(count).toBe(4);
+    });
+  });
+});
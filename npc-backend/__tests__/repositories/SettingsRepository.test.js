@@ -0,0 +1,54 @@
+/**
+ * SettingsRepository 测试
+ */
+
+const settingsRepository = require('../../repositories/SettingsRepository');
+const { query } = require('../../config/database');
+
+// Mock 数据库
+jest.mock('../../config/database', () => ({
+  query: jest.fn()
+}));
+
+describe('SettingsRepository', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('findAll', () => {
+    it('应该解析 JSON 值', async () => {
+      query.mockResolvedValueOnce([
+        { setting_key: 'shared_key_pool_enabled', setting_value: 'false', updated_by: 'admin_1', updated_at: 1000 },
+        { setting_key: 'broken', setting_value: '{oops', updated_by: null, updated_at: 1000 }
+      ]);
+
+      const settings = await settingsRepository.findAll();
+
+      expect(settings).toEqual([
+        { key: 'shared_key_pool_enabled', value: false, updatedBy: 'admin_1', updatedAt: 1000 },
+        { key: 'broken', value: null, updatedBy: null, updatedAt: 1000 }
+      ]);
+    });
+  });
+
+  describe('findByKey', () => {
+    it('应该在不存在时返回 null', async () => {
+      query.mockResolvedValueOnce([]);
+
+      expect(await settingsRepository.findByKey('missing')).toBeNull();
+    });
+  });
+
+  describe('upsert', () => {
+    it('应该序列化值并记录修改人', async () => {
+      query.mockResolvedValueOnce({ affectedRows: 1 });
+
+      const setting = await settingsRepository.upsert('shared_key_pool_enabled', false, 'admin_1');
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('INSERT INTO system_settings');
+      expect(params.slice(0, 3)).toEqual(['shared_key_pool_enabled', 'false', 'admin_1']);
+      expect(setting).toMatchObject({ key: 'shared_key_pool_enabled', value: false, updatedBy: 'admin_1' });
+    });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * UsageRepository 测试
+ */
+
+const usageRepository = require('../../repositories/UsageRepository');
+const { query } = require('../../config/database');
+
+// Mock 数据库
+jest.mock('../../config/database', () => ({
+  query: jest.fn()
+}));
+
+describe('UsageRepository', () => {
+  const filters = { startDate: '2025-12-01', endDate: '2025-12-10' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('create', () => {
+    it('应该插入用量记录，缺少的 token 数保存为 NULL', async () => {
+      query.mockResolvedValue({ affectedRows: 1 });
+
+      await usageRepository.create({
+        id: 'usage_1',
+        eventId: 'event_1',
+        userId: 'user_1',
+        agentId: 'agent_1',
+        sessionId: 'session_1',
+        model: 'openai/gpt-4.1',
+        provider: 'openrouter',
+        promptTokens: 100,
+        latencyMs: 900,
+        cost: null,
+        usageDate: '2025-12-10',
+        createdAt: 1000
+      });
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('INSERT INTO llm_usage');
+      expect(params).toEqual([
+        'usage_1', 'event_1', 'user_1', 'agent_1', 'session_1', 'openai/gpt-4.1', 'openrouter',
+        100, null, 900, null, '2025-12-10', 1000
+      ]);
+    });
+  });
+
+  describe('getTotals', () => {
+    it('应该按日期和用户筛选，并把汇总结果转换为数字', async () => {
+      query.mockResolvedValue([{
+        requests: 3,
+        prompt_tokens: '1200',
+        completion_tokens: '300',
+        cost: '0.012000',
+        unpriced_requests: '1',
+        avg_latency_ms: '1234.5000'
+      }]);
+
+      const totals = await usageRepository.getTotals({ ...filters, userId: 'user_1' });
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('u.user_id = ?');
+      expect(params).toEqual(['2025-12-01', '2025-12-10', 'user_1']);
+      expect(totals).toEqual({
+        requests: 3,
+        promptTokens: 1200,
+        completionTokens: 300,
+        totalTokens: 1500,
+        cost: 0.012,
+        unpricedRequests: 1,
+        avgLatencyMs: 1235
+      });
+    });
+  });
+
+  describe('aggregate', () => {
+    it('应该按用户分组并关联用户名', async () => {
+      query.mockResolvedValue([{
+        group_key: 'user_1',
+        label: 'alice',
+        requests: 2,
+        prompt_tokens: '10',
+        completion_tokens: '5',
+        cost: '0',
+        unpriced_requests: '0',
+        avg_latency_ms: '100'
+      }]);
+
+      const items = await usageRepository.aggregate('user', filters, 20);
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('LEFT JOIN users');
+      expect(sql).toContain('LIMIT 20');
+      expect(sql).not.toContain('LIMIT ?');
+      expect(params).toEqual(['2025-12-01', '2025-12-10']);
+      expect(items[0]).toMatchObject({ key: 'user_1', label: 'alice', requests: 2, totalTokens: 15 });
+    });
+
+    it('应该按日期升序分组', async () => {
+      query.mockResolvedValue([]);
+
+      await usageRepository.aggregate('day', filters);
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain("DATE_FORMAT(u.usage_date, '%Y-%m-%d')");
+      expect(sql).toContain('ORDER BY group_key ASC');
+      expect(sql).not.toContain('LIMIT');
+      expect(params).toEqual(['2025-12-01', '2025-12-10']);
+    });
+
+    it('应该拒绝不支持的分组方式', async () => {
+      await expect(usageRepository.aggregate('session', filters)).rejects.toThrow('Unsupported usage group');
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+});
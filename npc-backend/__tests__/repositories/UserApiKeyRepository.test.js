@@ -0,0 +1,89 @@
+/**
+ * UserApiKeyRepository 测试
+ */
+
+const userApiKeyRepository = require('../../repositories/UserApiKeyRepository');
+const { query } = require('../../config/database');
+
+// Mock 数据库
+jest.mock('../../config/database', () => ({
+  query: jest.fn()
+}));
+
+describe('UserApiKeyRepository', () => {
+  const row = {
+    id: 'uak_1',
+    user_id: 'user_1',
+    provider: 'openrouter',
+    encrypted_key: 'v1:iv:tag:data',
+    key_hint: 'sk-o…a1b2',
+    validated_at: 2000,
+    created_at: 1000,
+    updated_at: 2000
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('upsert', () => {
+    it('应该插入或覆盖同一提供商的 Key 并返回最新记录', async () => {
+      query.mockResolvedValueOnce({ affectedRows: 1 }).mockResolvedValueOnce([row]);
+
+      const record = await userApiKeyRepository.upsert({
+        id: 'uak_1',
+        userId: 'user_1',
+        provider: 'openrouter',
+        encryptedKey: 'v1:iv:tag:data',
+        keyHint: 'sk-o…a1b2',
+        validatedAt: 2000
+      });
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('INSERT INTO user_api_keys');
+      expect(sql).toContain('ON DUPLICATE KEY UPDATE');
+      expect(params.slice(0, 6)).toEqual(['uak_1', 'user_1', 'openrouter', 'v1:iv:tag:data', 'sk-o…a1b2', 2000]);
+      expect(record).toEqual({
+        id: 'uak_1',
+        userId: 'user_1',
+        provider: 'openrouter',
+        encryptedKey: 'v1:iv:tag:data',
+        keyHint: 'sk-o…a1b2',
+        validatedAt: 2000,
+        createdAt: 1000,
+        updatedAt: 2000
+      });
+    });
+  });
+
+  describe('findByUser', () => {
+    it('应该返回用户的全部 Key', async () => {
+      query.mockResolvedValueOnce([row]);
+
+      const records = await userApiKeyRepository.findByUser('user_1');
+
+      expect(records).toHaveLength(1);
+      expect(records[0].provider).toBe('openrouter');
+      expect(query.mock.calls[0][1]).toEqual(['user_1']);
+    });
+  });
+
+  describe('findByUserAndProvider', () => {
+    it('应该在不存在时返回 null', async () => {
+      query.mockResolvedValueOnce([]);
+
+      const record = await userApiKeyRepository.findByUserAndProvider('user_1', 'openai');
+
+      expect(record).toBeNull();
+    });
+  });
+
+  describe('deleteByUserAndProvider', () => {
+    it('应该返回是否删除了记录', async () => {
+      query.mockResolvedValueOnce({ affectedRows: 1 }).mockResolvedValueOnce({ affectedRows: 0 });
+
+      expect(await userApiKeyRepository.deleteByUserAndProvider('user_1', 'openrouter')).toBe(true);
+      expect(await userApiKeyRepository.deleteByUserAndProvider('user_1', 'openrouter')).toBe(false);
+    });
+  });
+});
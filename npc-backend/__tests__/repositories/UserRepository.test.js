@@ -160,5 +160,108 @@ describe('UserRepository', () => {
       );
     });
   });
-});
 
+  describe('updateRole', () => {
+    it('应该更新角色并返回用户', async () => {
+      query.mockResolvedValueOnce({ affectedRows: 1 }).mockResolvedValueOnce([{
+        id: 'test_user_123',
+        username: 'testuser',
+        role: 'admin',
+        created_at: 1000,
+        updated_at: 2000
+      }]);
+
+      const result = await userRepository.updateRole('test_user_123', 'admin');
+
+      expect(result.role).toBe('admin');
+      expect(query).toHaveBeenCalledWith(
+        expect.stringMatching(/UPDATE[\s\S]*users[\s\S]*SET[\s\S]*role/i),
+        ['admin', expect.any(Number), 'test_user_123']
+      );
+    });
+
+    it('应该返回 null 当用户不存在', async () => {
+      query.mockResolvedValue({ affectedRows: 0 });
+
+      const result = await userRepository.updateRole('nonexistent', 'admin');
+
+      expect(result).toBeNull();
+    });
+
+    it('应该把缺少角色的旧数据当作普通用户', async () => {
+      query.mockResolvedValue([{ id: 'test_user_123', username: 'testuser', created_at: 1000, updated_at: 1000 }]);
+
+      const result = await userRepository.findById('test_user_123');
+
+      expect(result.role).toBe('user');
+    });
+  });
+
+  describe('updateStatus', () => {
+    it('应该更新状态并返回用户', async () => {
+      query.mockResolvedValueOnce({ affectedRows: 1 }).mockResolvedValueOnce([{
+        id: 'test_user_123',
+        username: 'testuser',
+        status: 'disabled',
+        created_at: 1000,
+        updated_at: 2000
+      }]);
+
+      const result = await userRepository.updateStatus('test_user_123', 'disabled');
+
+      expect(result.status).toBe('disabled');
+      expect(query).toHaveBeenCalledWith(
+        expect.stringMatching(/UPDATE[\s\S]*users[\s\S]*SET[\s\S]*status/i),
+        ['disabled', expect.any(Number), 'test_user_123']
+      );
+    });
+
+    it('应该返回 null 当用户不存在', async () => {
+      query.mockResolvedValue({ affectedRows: 0 });
+
+      const result = await userRepository.updateStatus('nonexistent', 'disabled');
+
+      expect(result).toBeNull();
+    });
+
+    it('应该把缺少状态的旧数据当作正常账号', async () => {
+      query.mockResolvedValue([{ id: 'test_user_123', username: 'testuser', created_at: 1000, updated_at: 1000 }]);
+
+      const result = await userRepository.findById('test_user_123');
+
+      expect(result.status).toBe('active');
+    });
+  });
+
+  describe('通知已读时间', () => {
+    it('应该返回通知已读时间', async () => {
+      query.mockResolvedValue([{ notifications_read_at: '3000', created_at: 1000 }]);
+
+      await expect(userRepository.getNotificationsReadAt('test_user_123')).resolves.toBe(3000);
+    });
+
+    it('应该在从未标记已读时以注册时间为准', async () => {
+      query.mockResolvedValue([{ notifications_read_at: null, created_at: 1000 }]);
+
+      await expect(userRepository.getNotificationsReadAt('test_user_123')).resolves.toBe(1000);
+    });
+
+    it('应该返回 null 当用户不存在', async () => {
+      query.mockResolvedValue([]);
+
+      await expect(userRepository.getNotificationsReadAt('nonexistent')).resolves.toBeNull();
+    });
+
+    it('应该更新通知已读时间', async () => {
+      query.mockResolvedValue({ affectedRows: 1 });
+
+      const result = await userRepository.updateNotificationsReadAt('test_user_123', 5000);
+
+      expect(result).toBe(true);
+      expect(query).toHaveBeenCalledWith(
+        expect.stringContaining('SET notifications_read_at = ?'),
+        [5000, 'test_user_123']
+      );
+    });
+  });
+});
@@ -0,0 +1,517 @@
+/**
+ * Admin API 路由测试
+ *
+ * 使用真实的 JWT 和认证中间件，验证管理后台的角色权限
+ */
+
+const request = require('supertest');
+const express = require('express');
+const adminRouter = require('../../routes/admin');
+const userService = require('../../services/UserService');
+const accountRecoveryService = require('../../services/AccountRecoveryService');
+const tokenService = require('../../services/TokenService');
+const settingsService = require('../../services/SettingsService');
+const usageService = require('../../services/UsageService');
+const quotaService = require('../../services/QuotaService');
+const announcementService = require('../../services/AnnouncementService');
+const { generateAccessToken } = require('../../utils/jwt');
+const { query } = require('../../config/database');
+
+// Mock 依赖
+jest.mock('../../services/UserService');
+jest.mock('../../services/AgentService');
+jest.mock('../../services/AccountRecoveryService');
+jest.mock('../../services/TokenService');
+jest.mock('../../services/SettingsService');
+jest.mock('../../services/UsageService');
+jest.mock('../../services/QuotaService');
+jest.mock('../../services/AnnouncementService');
+jest.mock('../../config/database');
+
+const app = express();
+app.use(express.json());
+app.use('/api/admin', adminRouter);
+
+describe('Admin API Routes', () => {
+  const adminToken = generateAccessToken({ userId: 'admin_1', username: 'admin', role: 'admin' });
+  const userToken = generateAccessToken({ userId: 'test_user_123', username: 'testuser' });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /api/admin/auth/login', () => {
+    it('应该为管理员签发带角色的 Token', async () => {
+      userService.login.mockResolvedValue({ id: 'admin_1', username: 'admin', role: 'admin' });
+      tokenService.issueTokens.mockResolvedValue({
+        accessToken: 'access_token_123',
+        refreshToken: 'refresh_token_123',
+        expiresIn: '15m'
+      });
+
+      const response = await request(app)
+        .post('/api/admin/auth/login')
+        .send({ userId: 'admin_1', password: 'secret' })
+        .expect(200);
+
+      expect(response.body.data.user.role).toBe('admin');
+      expect(response.body.data.accessToken).toBe('access_token_123');
+      expect(response.body.data.refreshToken).toBe('refresh_token_123');
+    });
+
+    it('应该拒绝普通用户登录管理后台', async () => {
+      userService.login.mockResolvedValue({ id: 'test_user_123', username: 'testuser', role: 'user' });
+
+      const response = await request(app)
+        .post('/api/admin/auth/login')
+        .send({ userId: 'test_user_123', password: 'secret' })
+        .expect(403);
+
+      expect(response.body.error.code).toBe('FORBIDDEN');
+      expect(response.body.data).toBeUndefined();
+      expect(tokenService.issueTokens).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/admin/auth/refresh', () => {
+    it('应该为管理员换发新的 Token', async () => {
+      tokenService.refreshTokens.mockResolvedValue({
+        user: { id: 'admin_1', username: 'admin', role: 'admin' },
+        accessToken: 'new_access',
+        refreshToken: 'new_refresh',
+        expiresIn: '15m'
+      });
+
+      const response = await request(app)
+        .post('/api/admin/auth/refresh')
+        .send({ refreshToken: 'old_refresh' })
+        .expect(200);
+
+      expect(response.body.data.accessToken).toBe('new_access');
+    });
+
+    it('应该拒绝已不是管理员的账号并吊销新 Token', async () => {
+      tokenService.refreshTokens.mockResolvedValue({
+        user: { id: 'test_user_123', username: 'testuser', role: 'user' },
+        accessToken: 'new_access',
+        refreshToken: 'new_refresh',
+        expiresIn: '15m'
+      });
+
+      const response = await request(app)
+        .post('/api/admin/auth/refresh')
+        .send({ refreshToken: 'old_refresh' })
+        .expect(403);
+
+      expect(response.body.data).toBeUndefined();
+      expect(tokenService.revokeToken).toHaveBeenCalledWith('new_refresh');
+    });
+
+    it('应该在 Token 无效时返回 401', async () => {
+      const error = new Error('登录已过期，请重新登录');
+      error.code = 'REFRESH_TOKEN_INVALID';
+      tokenService.refreshTokens.mockRejectedValue(error);
+
+      await request(app)
+        .post('/api/admin/auth/refresh')
+        .send({ refreshToken: 'bad' })
+        .expect(401);
+    });
+  });
+
+  describe('PUT /api/admin/users/:userId/status', () => {
+    it('应该禁用用户', async () => {
+      userService.updateUserStatus.mockResolvedValue({ id: 'test_user_123', username: 'testuser', status: 'disabled' });
+
+      const response = await request(app)
+        .put('/api/admin/users/test_user_123/status')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'disabled' })
+        .expect(200);
+
+      expect(response.body.data.user.status).toBe('disabled');
+      expect(userService.updateUserStatus).toHaveBeenCalledWith('test_user_123', 'disabled', 'admin_1');
+    });
+
+    it('应该拒绝无效状态', async () => {
+      await request(app)
+        .put('/api/admin/users/test_user_123/status')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'banned' })
+        .expect(400);
+
+      expect(userService.updateUserStatus).not.toHaveBeenCalled();
+    });
+
+    it('应该在用户不存在时返回 404', async () => {
+      const error = new Error('用户不存在');
+      error.code = 'USER_NOT_FOUND';
+      userService.updateUserStatus.mockRejectedValue(error);
+
+      await request(app)
+        .put('/api/admin/users/nonexistent/status')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'disabled' })
+        .expect(404);
+    });
+  });
+
+  describe('角色权限', () => {
+    it('应该拒绝未登录的请求', async () => {
+      await request(app).get('/api/admin/users').expect(401);
+    });
+
+    it('应该拒绝普通用户访问管理接口', async () => {
+      const response = await request(app)
+        .delete('/api/admin/users/other_user')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+
+      expect(response.body.error.code).toBe('FORBIDDEN');
+      expect(userService.getUserById).not.toHaveBeenCalled();
+    });
+
+    it('应该允许管理员访问管理接口', async () => {
+      query.mockResolvedValue([{ count: 0 }]);
+
+      const response = await request(app)
+        .get('/api/admin/statistics/dashboard')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+    });
+  });
+
+  describe('PUT /api/admin/users/:userId/role', () => {
+    it('应该修改用户角色', async () => {
+      userService.updateUserRole.mockResolvedValue({ id: 'test_user_123', username: 'testuser', role: 'admin' });
+
+      const response = await request(app)
+        .put('/api/admin/users/test_user_123/role')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'admin' })
+        .expect(200);
+
+      expect(response.body.data.user.role).toBe('admin');
+      expect(userService.updateUserRole).toHaveBeenCalledWith('test_user_123', 'admin', 'admin_1');
+    });
+
+    it('应该在参数无效时返回 400', async () => {
+      const error = new Error('无效的用户角色');
+      error.code = 'VALIDATION_ERROR';
+      userService.updateUserRole.mockRejectedValue(error);
+
+      await request(app)
+        .put('/api/admin/users/test_user_123/role')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'root' })
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/admin/users/:userId/reset-token', () => {
+    it('应该签发一次性重置码并记录签发人', async () => {
+      const expiresAt = Date.now() + 3600000;
+      accountRecoveryService.issueResetToken.mockResolvedValue({ token: 'ABCD-EFGH-JKLM-NPQR', expiresAt });
+
+      const response = await request(app)
+        .post('/api/admin/users/test_user_123/reset-token')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(201);
+
+      expect(response.body.data).toEqual({ resetToken: 'ABCD-EFGH-JKLM-NPQR', expiresAt });
+      expect(accountRecoveryService.issueResetToken).toHaveBeenCalledWith('test_user_123', 'admin_1');
+    });
+
+    it('应该在用户不存在时返回 404', async () => {
+      const error = new Error('用户不存在');
+      error.code = 'USER_NOT_FOUND';
+      accountRecoveryService.issueResetToken.mockRejectedValue(error);
+
+      await request(app)
+        .post('/api/admin/users/nonexistent/reset-token')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+
+    it('应该拒绝普通用户签发重置码', async () => {
+      await request(app)
+        .post('/api/admin/users/other_user/reset-token')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+
+      expect(accountRecoveryService.issueResetToken).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('/api/admin/users/:userId/quota', () => {
+    it('应该返回用户今天的配额状态', async () => {
+      userService.getUserById.mockResolvedValue({ id: 'test_user_123' });
+      quotaService.getQuotaStatus.mockResolvedValue({
+        messages: { used: 5, limit: 200 },
+        tokens: { used: 100, limit: null },
+        custom: null
+      });
+
+      const response = await request(app)
+        .get('/api/admin/users/test_user_123/quota')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.messages).toEqual({ used: 5, limit: 200 });
+      expect(quotaService.getQuotaStatus).toHaveBeenCalledWith('test_user_123');
+    });
+
+    it('应该在用户不存在时返回 404', async () => {
+      const error = new Error('用户不存在');
+      error.code = 'USER_NOT_FOUND';
+      userService.getUserById.mockRejectedValue(error);
+
+      await request(app)
+        .get('/api/admin/users/nonexistent/quota')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+
+      expect(quotaService.getQuotaStatus).not.toHaveBeenCalled();
+    });
+
+    it('应该保存自定义配额并记录修改人', async () => {
+      quotaService.setUserQuota.mockResolvedValue({
+        messages: { used: 5, limit: 500 },
+        custom: { dailyMessages: 500, dailyTokens: null }
+      });
+
+      const response = await request(app)
+        .put('/api/admin/users/test_user_123/quota')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ dailyMessages: 500, dailyTokens: null })
+        .expect(200);
+
+      expect(quotaService.setUserQuota).toHaveBeenCalledWith(
+        'test_user_123',
+        { dailyMessages: 500, dailyTokens: null },
+        'admin_1'
+      );
+      expect(response.body.data.custom.dailyMessages).toBe(500);
+    });
+
+    it('应该把无效的配额映射为 400', async () => {
+      const error = new Error('dailyMessages 必须是非负整数（0 表示不限）');
+      error.code = 'VALIDATION_ERROR';
+      quotaService.setUserQuota.mockRejectedValue(error);
+
+      await request(app)
+        .put('/api/admin/users/test_user_123/quota')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ dailyMessages: -1 })
+        .expect(400);
+    });
+
+    it('应该拒绝普通用户修改配额', async () => {
+      await request(app)
+        .put('/api/admin/users/test_user_123/quota')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ dailyMessages: 10000 })
+        .expect(403);
+
+      expect(quotaService.setUserQuota).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('/api/admin/settings', () => {
+    it('应该返回系统设置', async () => {
+      settingsService.listSettings.mockResolvedValue([
+        { key: 'shared_key_pool_enabled', value: true, defaultValue: true, type: 'boolean' }
+      ]);
+
+      const response = await request(app)
+        .get('/api/admin/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.settings[0].key).toBe('shared_key_pool_enabled');
+    });
+
+    it('应该修改设置并记录修改人', async () => {
+      settingsService.updateSetting.mockResolvedValue({ key: 'shared_key_pool_enabled', value: false });
+
+      const response = await request(app)
+        .put('/api/admin/settings/shared_key_pool_enabled')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ value: false })
+        .expect(200);
+
+      expect(response.body.data.setting.value).toBe(false);
+      expect(settingsService.updateSetting).toHaveBeenCalledWith('shared_key_pool_enabled', false, 'admin_1');
+    });
+
+    it('应该把未知设置和无效值映射为 404 / 400', async () => {
+      const notFound = new Error('设置不存在：unknown');
+      notFound.code = 'SETTING_NOT_FOUND';
+      const invalid = new Error('设置 shared_key_pool_enabled 的值必须是 boolean');
+      invalid.code = 'VALIDATION_ERROR';
+      settingsService.updateSetting.mockRejectedValueOnce(notFound).mockRejectedValueOnce(invalid);
+
+      await request(app)
+        .put('/api/admin/settings/unknown')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ value: true })
+        .expect(404);
+      await request(app)
+        .put('/api/admin/settings/shared_key_pool_enabled')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ value: 'no' })
+        .expect(400);
+    });
+
+    it('应该拒绝普通用户修改设置', async () => {
+      await request(app)
+        .put('/api/admin/settings/shared_key_pool_enabled')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ value: false })
+        .expect(403);
+
+      expect(settingsService.updateSetting).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('/api/admin/announcements', () => {
+    const announcement = { id: 'announcement_1', title: '维护通知', content: '今晚维护', isActive: true };
+
+    it('应该返回公告列表', async () => {
+      announcementService.listAnnouncements.mockResolvedValue([announcement]);
+
+      const response = await request(app)
+        .get('/api/admin/announcements')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.announcements).toEqual([announcement]);
+    });
+
+    it('应该发布公告并记录发布人', async () => {
+      announcementService.createAnnouncement.mockResolvedValue(announcement);
+
+      const response = await request(app)
+        .post('/api/admin/announcements')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ title: '维护通知', content: '今晚维护' })
+        .expect(201);
+
+      expect(response.body.data.announcement.id).toBe('announcement_1');
+      expect(announcementService.createAnnouncement).toHaveBeenCalledWith(
+        { title: '维护通知', content: '今晚维护' },
+        'admin_1'
+      );
+    });
+
+    it('应该修改和删除公告，并把错误映射为 400 / 404', async () => {
+      const notFound = new Error('公告不存在');
+      notFound.code = 'ANNOUNCEMENT_NOT_FOUND';
+      const invalid = new Error('公告标题不能为空');
+      invalid.code = 'VALIDATION_ERROR';
+      announcementService.updateAnnouncement
+        .mockResolvedValueOnce({ ...announcement, isActive: false })
+        .mockRejectedValueOnce(invalid);
+      announcementService.deleteAnnouncement.mockRejectedValueOnce(notFound);
+
+      const response = await request(app)
+        .put('/api/admin/announcements/announcement_1')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ isActive: false })
+        .expect(200);
+      expect(response.body.data.announcement.isActive).toBe(false);
+      expect(announcementService.updateAnnouncement).toHaveBeenCalledWith('announcement_1', { isActive: false });
+
+      await request(app)
+        .put('/api/admin/announcements/announcement_1')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ title: '' })
+        .expect(400);
+      await request(app)
+        .delete('/api/admin/announcements/announcement_missing')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+
+    it('应该拒绝普通用户发布公告', async () => {
+      await request(app)
+        .post('/api/admin/announcements')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ title: '维护通知' })
+        .expect(403);
+
+      expect(announcementService.createAnnouncement).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/admin/statistics/*', () => {
+    it('应该按路由对应的分组方式返回用量统计', async () => {
+      usageService.getUsageStatistics.mockResolvedValue({
+        range: { startDate: '2025-12-01', endDate: '2025-12-10' },
+        groupBy: 'user',
+        totals: { requests: 3, cost: 0.12 },
+        items: [{ key: 'test_user_123', label: 'testuser', requests: 3, cost: 0.12 }]
+      });
+
+      const response = await request(app)
+        .get('/api/admin/statistics/users?startDate=2025-12-01&endDate=2025-12-10&limit=10')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.items[0].label).toBe('testuser');
+      expect(usageService.getUsageStatistics).toHaveBeenCalledWith('user', {
+        startDate: '2025-12-01',
+        endDate: '2025-12-10',
+        userId: undefined,
+        agentId: undefined,
+        limit: '10'
+      });
+
+      await request(app)
+        .get('/api/admin/statistics/agents')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      await request(app)
+        .get('/api/admin/statistics/conversations')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      await request(app)
+        .get('/api/admin/statistics/models')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(usageService.getUsageStatistics.mock.calls.map((call) => call[0]))
+        .toEqual(['user', 'agent', 'day', 'model']);
+    });
+
+    it('应该把无效的日期范围映射为 400', async () => {
+      const invalid = new Error('startDate 不能晚于 endDate');
+      invalid.code = 'VALIDATION_ERROR';
+      usageService.getUsageStatistics.mockRejectedValue(invalid);
+
+      const response = await request(app)
+        .get('/api/admin/statistics/conversations?startDate=2025-12-10&endDate=2025-12-01')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('应该拒绝普通用户查看用量统计', async () => {
+      await request(app)
+        .get('/api/admin/statistics/users')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+
+      expect(usageService.getUsageStatistics).not.toHaveBeenCalled();
+    });
+  });
+});
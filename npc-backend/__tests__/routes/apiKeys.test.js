@@ -0,0 +1,113 @@
+/**
+ * API Keys 路由测试
+ */
+
+const request = require('supertest');
+const express = require('express');
+const apiKeysRouter = require('../../routes/apiKeys');
+const userApiKeyService = require('../../services/UserApiKeyService');
+
+// Mock 依赖
+jest.mock('../../services/UserApiKeyService');
+jest.mock('../../middleware/auth', () => ({
+  authenticate: jest.fn((req, res, next) => {
+    req.user = {
+      userId: 'test_user_123',
+      username: 'testuser'
+    };
+    next();
+  })
+}));
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/api-keys', apiKeysRouter);
+
+/**
+ * 创建带错误码的错误
+ */
+function codedError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+describe('API Keys Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/v1/api-keys', () => {
+    it('应该返回当前用户的 Key 列表', async () => {
+      userApiKeyService.listApiKeys.mockResolvedValue({
+        keys: [{ provider: 'openrouter', configured: true, keyHint: 'sk-o…1234' }],
+        sharedPoolEnabled: false,
+        encryptionConfigured: true
+      });
+
+      const response = await request(app).get('/api/v1/api-keys').expect(200);
+
+      expect(userApiKeyService.listApiKeys).toHaveBeenCalledWith('test_user_123');
+      expect(response.body.data.sharedPoolEnabled).toBe(false);
+      expect(response.body.data.keys[0].keyHint).toBe('sk-o…1234');
+    });
+  });
+
+  describe('PUT /api/v1/api-keys/:provider', () => {
+    it('应该保存 Key 并返回脱敏信息', async () => {
+      userApiKeyService.saveApiKey.mockResolvedValue({
+        provider: 'openrouter',
+        configured: true,
+        keyHint: 'sk-o…1234'
+      });
+
+      const response = await request(app)
+        .put('/api/v1/api-keys/openrouter')
+        .send({ apiKey: 'sk-or-v1-user-own-key-1234' })
+        .expect(200);
+
+      expect(userApiKeyService.saveApiKey).toHaveBeenCalledWith(
+        'test_user_123',
+        'openrouter',
+        'sk-or-v1-user-own-key-1234'
+      );
+      expect(response.body.data.key.keyHint).toBe('sk-o…1234');
+      expect(JSON.stringify(response.body)).not.toContain('sk-or-v1-user-own-key-1234');
+    });
+
+    it('应该把错误码映射为对应的状态码', async () => {
+      const cases = [
+        ['INVALID_API_KEY', 400],
+        ['INVALID_PROVIDER', 400],
+        ['API_KEY_VALIDATION_FAILED', 502],
+        ['MASTER_KEY_MISSING', 503]
+      ];
+
+      for (const [code, status] of cases) {
+        userApiKeyService.saveApiKey.mockRejectedValueOnce(codedError(code, code));
+        const response = await request(app)
+          .put('/api/v1/api-keys/openrouter')
+          .send({ apiKey: 'whatever-key' })
+          .expect(status);
+        expect(response.body.error.code).toBe(code);
+      }
+    });
+  });
+
+  describe('DELETE /api/v1/api-keys/:provider', () => {
+    it('应该删除 Key', async () => {
+      userApiKeyService.deleteApiKey.mockResolvedValue();
+
+      const response = await request(app).delete('/api/v1/api-keys/openrouter').expect(200);
+
+      expect(userApiKeyService.deleteApiKey).toHaveBeenCalledWith('test_user_123', 'openrouter');
+      expect(response.body.data.provider).toBe('openrouter');
+    });
+
+    it('应该在没有保存 Key 时返回 404', async () => {
+      userApiKeyService.deleteApiKey.mockRejectedValue(codedError('API_KEY_NOT_FOUND', '没有保存该提供商的 API Key'));
+
+      await request(app).delete('/api/v1/api-keys/openai').expect(404);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Memories API 路由测试
+ */
+
+const request = require('supertest');
+const express = require('express');
+const memoriesRouter = require('../../routes/memories');
+const memoryService = require('../../services/MemoryService');
+
+// Mock 依赖
+jest.mock('../../services/MemoryService');
+jest.mock('../../middleware/auth', () => ({
+  authenticate: jest.fn((req, res, next) => {
+    // Mock 认证中间件：直接通过，设置 req.user
+    req.user = {
+      userId: 'test_user_123',
+      username: 'testuser'
+    };
+    next();
+  })
+}));
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/memories', memoriesRouter);
+
+describe('Memories API Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/v1/memories', () => {
+    it('应该返回记忆列表和会话摘要', async () => {
+      memoryService.listMemories.mockResolvedValue({
+        memories: [{ id: 'mem_1', content: '喜欢猫' }],
+        summary: null
+      });
+
+      const response = await request(app)
+        .get('/api/v1/memories?agentId=agent_1&sessionId=session_123')
+        .expect(200);
+
+      expect(response.body.data.memories).toHaveLength(1);
+      expect(memoryService.listMemories).toHaveBeenCalledWith(
+        'test_user_123',
+        'agent_1',
+        'session_123'
+      );
+    });
+
+    it('应该在参数错误时返回 400', async () => {
+      memoryService.listMemories.mockRejectedValue({
+        code: 'VALIDATION_ERROR',
+        message: 'Agent ID 不能为空'
+      });
+
+      await request(app)
+        .get('/api/v1/memories')
+        .expect(400);
+    });
+  });
+
+  describe('PUT /api/v1/memories/:memoryId', () => {
+    it('应该编辑记忆', async () => {
+      memoryService.updateMemory.mockResolvedValue({ id: 'mem_1', content: '喜欢狗', source: 'user' });
+
+      const response = await request(app)
+        .put('/api/v1/memories/mem_1')
+        .send({ content: '喜欢狗' })
+        .expect(200);
+
+      expect(response.body.data.memory.content).toBe('喜欢狗');
+      expect(memoryService.updateMemory).toHaveBeenCalledWith('test_user_123', 'mem_1', '喜欢狗');
+    });
+
+    it('应该在记忆不存在时返回 404', async () => {
+      memoryService.updateMemory.mockRejectedValue({
+        code: 'MEMORY_NOT_FOUND',
+        message: '记忆不存在'
+      });
+
+      const response = await request(app)
+        .put('/api/v1/memories/mem_missing')
+        .send({ content: 'x' })
+        .expect(404);
+
+      expect(response.body.error.code).toBe('MEMORY_NOT_FOUND');
+    });
+  });
+
+  describe('DELETE /api/v1/memories/:memoryId', () => {
+    it('应该删除记忆', async () => {
+      memoryService.deleteMemory.mockResolvedValue();
+
+      const response = await request(app)
+        .delete('/api/v1/memories/mem_1')
+        .expect(200);
+
+      expect(response.body.data.memoryId).toBe('mem_1');
+      expect(memoryService.deleteMemory).toHaveBeenCalledWith('test_user_123', 'mem_1');
+    });
+  });
+});
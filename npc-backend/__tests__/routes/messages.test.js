@@ -6,10 +6,20 @@ const request = require('supertest');
 const express = require('express');
 const messagesRouter = require('../../routes/messages');
 const messageService = require('../../services/MessageService');
+const eventService = require('../../services/EventService');
+const quotaService = require('../../services/QuotaService');
+const jobService = require('../../services/JobService');
+const sessionService = require('../../services/SessionService');
+const idempotencyRepository = require('../../repositories/IdempotencyRepository');
 const { authenticate } = require('../../middleware/auth');
 
 // Mock 依赖
 jest.mock('../../services/MessageService');
+jest.mock('../../services/EventService');
+jest.mock('../../services/QuotaService');
+jest.mock('../../services/JobService');
+jest.mock('../../services/SessionService');
+jest.mock('../../repositories/IdempotencyRepository');
 jest.mock('../../middleware/auth', () => ({
   authenticate: jest.fn((req, res, next) => {
     req.user = {
@@ -139,6 +149,400 @@ describe('Messages API Routes', () => {
         })
       );
     });
+
+    it('应该在今日配额用完时返回 429 和 Retry-After', async () => {
+      const quota = {
+        messages: { used: 200, limit: 200 },
+        tokens: { used: 1000, limit: null },
+        exceeded: 'messages',
+      };
+      const error = new Error('今天的对话次数已用完（200 次），明天 0 点恢复');
+      error.code = 'QUOTA_EXCEEDED';
+      error.quota = quota;
+      error.retryAfter = 3600;
+      quotaService.assertWithinQuota.mockRejectedValueOnce(error);
+
+      const response = await request(app)
+        .post('/api/v1/messages')
+        .send(validMessageData)
+        .expect(429);
+
+      expect(response.headers['retry-after']).toBe('3600');
+      expect(response.body.error.code).toBe('QUOTA_EXCEEDED');
+      expect(response.body.error.details).toEqual({ retryAfter: 3600, quota });
+      expect(quotaService.assertWithinQuota).toHaveBeenCalledWith('test_user_123');
+      expect(messageService.sendMessage).not.toHaveBeenCalled();
+    });
+
+    it('应该用 Idempotency-Key 重放第一次的响应而不重复发送', async () => {
+      const firstResponse = {
+        success: true,
+        data: { userEventId: 'event_123', replyEventId: 'event_456', status: 'pending' },
+        timestamp: 1703001234567
+      };
+      idempotencyRepository.reserve.mockResolvedValue(false);
+      idempotencyRepository.findByKey.mockResolvedValue({
+        status: 'completed',
+        requestHash: require('../../middleware/idempotency').hashRequest('POST /api/v1/messages', validMessageData),
+        responseStatus: 200,
+        responseBody: firstResponse,
+        createdAt: Date.now(),
+        expiresAt: Date.now() + 60000
+      });
+
+      const response = await request(app)
+        .post('/api/v1/messages')
+        .set('Idempotency-Key', 'key_123')
+        .send(validMessageData)
+        .expect(200);
+
+      expect(response.headers['idempotent-replayed']).toBe('true');
+      expect(response.body).toEqual(firstResponse);
+      expect(messageService.sendMessage).not.toHaveBeenCalled();
+    });
+  });
+  describe('POST /api/v1/messages/stream', () => {
+    const validMessageData = {
+      agentId: 'test_agent_123',
+      text: 'Hello, AI!'
+    };
+
+    const ack = {
+      userEventId: 'event_123',
+      sessionId: 'session_123',
+      timestamp: 1703001234567,
+      maxLineWidth: 10,
+      status: 'pending'
+    };
+
+    it('应该以 SSE 推送 start、delta 和 done 帧', async () => {
+      messageService.streamMessage.mockImplementation(async ({ onStart, onDelta }) => {
+        onStart(ack);
+        onDelta('你');
+        onDelta('好');
+        return {
+          ...ack,
+          status: 'complete',
+          agentEvent: { eventId: 'event_456', content: '你好', timestamp: 1703001234999, maxLineWidth: 4 },
+          error: null
+        };
+      });
+
+      const response = await request(app)
+        .post('/api/v1/messages/stream')
+        .send(validMessageData)
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/text\/event-stream/);
+      expect(response.text).toContain('event: start\ndata: {"userEventId":"event_123"');
+      expect(response.text).toContain('event: delta\ndata: {"content":"你"}');
+      expect(response.text).toContain('event: delta\ndata: {"content":"好"}');
+      expect(response.text).toContain('event: done\ndata: {"eventId":"event_456"');
+      expect(messageService.streamMessage).toHaveBeenCalledWith(
+        expect.objectContaining({ userId: 'test_user_123', agentId: 'test_agent_123' })
+      );
+    });
+
+    it('应该在 LLM 失败时推送 error 帧', async () => {
+      messageService.streamMessage.mockImplementation(async ({ onStart }) => {
+        onStart(ack);
+        return {
+          ...ack,
+          status: 'failed',
+          agentEvent: { eventId: 'event_err', content: 'AI 服务响应超时，请稍后再试。', timestamp: 1, maxLineWidth: 1 },
+          error: { code: 'LLM_API_TIMEOUT', message: 'AI 服务响应超时，请稍后再试。' }
+        };
+      });
+
+      const response = await request(app)
+        .post('/api/v1/messages/stream')
+        .send(validMessageData)
+        .expect(200);
+
+      expect(response.text).toContain('event: error');
+      expect(response.text).toContain('"code":"LLM_API_TIMEOUT"');
+      expect(response.text).toContain('"eventId":"event_err"');
+      expect(response.text).not.toContain('event: done');
+    });
+
+    it('应该在开始推流前出错时返回 JSON 错误', async () => {
+      messageService.streamMessage.mockRejectedValue({
+        code: 'VALIDATION_ERROR',
+        message: '消息内容不能为空'
+      });
+
+      const response = await request(app)
+        .post('/api/v1/messages/stream')
+        .send({ agentId: 'test_agent_123' })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('应该在会话中有生成中的回复时返回 409', async () => {
+      messageService.streamMessage.mockRejectedValue({
+        code: 'REPLY_IN_PROGRESS',
+        message: '上一条回复还在生成中，请稍候'
+      });
+
+      const response = await request(app)
+        .post('/api/v1/messages/stream')
+        .send(validMessageData)
+        .expect(409);
+
+      expect(response.body.error.code).toBe('REPLY_IN_PROGRESS');
+    });
+  });
+  describe('POST /api/v1/messages/:eventId/regenerate', () => {
+    it('应该重新生成回复', async () => {
+      messageService.regenerateReply.mockResolvedValue({
+        userEventId: 'event_user_1',
+        sessionId: 'session_123',
+        status: 'pending',
+        supersededCount: 1
+      });
+
+      const response = await request(app)
+        .post('/api/v1/messages/event_agent_1/regenerate')
+        .send({})
+        .expect(200);
+
+      expect(response.body.data.userEventId).toBe('event_user_1');
+      expect(messageService.regenerateReply).toHaveBeenCalledWith(
+        expect.objectContaining({ userId: 'test_user_123', eventId: 'event_agent_1' })
+      );
+    });
+
+    it('应该在消息不存在时返回 404', async () => {
+      messageService.regenerateReply.mockRejectedValue({ code: 'EVENT_NOT_FOUND', message: '消息不存在' });
+
+      const response = await request(app)
+        .post('/api/v1/messages/event_missing/regenerate')
+        .send({})
+        .expect(404);
+
+      expect(response.body.error.code).toBe('EVENT_NOT_FOUND');
+    });
+
+    it('应该在消息已被替代时返回 409', async () => {
+      messageService.regenerateReply.mockRejectedValue({ code: 'EVENT_SUPERSEDED', message: '已被替代' });
+
+      await request(app)
+        .post('/api/v1/messages/event_old/regenerate')
+        .send({})
+        .expect(409);
+    });
+  });
+
+  describe('POST /api/v1/messages/:eventId/retry', () => {
+    it('应该重试生成失败的回复', async () => {
+      messageService.retryReply.mockResolvedValue({
+        userEventId: 'event_user_1',
+        replyEventId: 'event_agent_1',
+        sessionId: 'session_123',
+        status: 'pending',
+        jobId: 'job_1'
+      });
+
+      const response = await request(app)
+        .post('/api/v1/messages/event_agent_1/retry')
+        .send({ contextLimit: 10 })
+        .expect(200);
+
+      expect(response.body.data.replyEventId).toBe('event_agent_1');
+      expect(messageService.retryReply).toHaveBeenCalledWith({
+        userId: 'test_user_123',
+        eventId: 'event_agent_1',
+        contextLimit: 10
+      });
+    });
+
+    it('应该在回复没有失败时返回 409', async () => {
+      messageService.retryReply.mockRejectedValue({ code: 'REPLY_NOT_FAILED', message: '该回复正在生成中' });
+
+      const response = await request(app)
+        .post('/api/v1/messages/event_agent_1/retry')
+        .send({})
+        .expect(409);
+
+      expect(response.body.error.code).toBe('REPLY_NOT_FAILED');
+    });
+  });
+
+  describe('POST /api/v1/messages/:eventId/cancel', () => {
+    it('应该停止生成并返回已保存的回复', async () => {
+      messageService.cancelReply.mockResolvedValue({
+        replyEventId: 'event_agent_1',
+        sessionId: 'session_123',
+        status: 'stopped',
+        errorCode: null,
+        content: '生成了一半',
+        model: 'openai/gpt-3.5-turbo',
+        timestamp: 1703001234567,
+        maxLineWidth: 10
+      });
+
+      const response = await request(app)
+        .post('/api/v1/messages/event_agent_1/cancel')
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ replyEventId: 'event_agent_1', status: 'stopped', content: '生成了一半' });
+      expect(messageService.cancelReply).toHaveBeenCalledWith({
+        userId: 'test_user_123',
+        eventId: 'event_agent_1'
+      });
+    });
+
+    it('应该在回复已经生成结束时返回 409', async () => {
+      messageService.cancelReply.mockRejectedValue({ code: 'REPLY_NOT_PENDING', message: '该回复已经生成结束' });
+
+      const response = await request(app)
+        .post('/api/v1/messages/event_agent_1/cancel')
+        .expect(409);
+
+      expect(response.body.error.code).toBe('REPLY_NOT_PENDING');
+    });
+  });
+
+  describe('PUT /api/v1/messages/:eventId', () => {
+    it('应该编辑用户消息', async () => {
+      messageService.editMessage.mockResolvedValue({
+        userEventId: 'event_user_2',
+        sessionId: 'session_123',
+        status: 'pending',
+        supersededCount: 2
+      });
+
+      const response = await request(app)
+        .put('/api/v1/messages/event_user_1')
+        .send({ text: '新问题' })
+        .expect(200);
+
+      expect(response.body.data.userEventId).toBe('event_user_2');
+      expect(messageService.editMessage).toHaveBeenCalledWith(
+        expect.objectContaining({ userId: 'test_user_123', eventId: 'event_user_1', text: '新问题' })
+      );
+    });
+
+    it('应该拒绝空内容', async () => {
+      messageService.editMessage.mockRejectedValue({ code: 'VALIDATION_ERROR', message: '消息内容不能为空' });
+
+      await request(app)
+        .put('/api/v1/messages/event_user_1')
+        .send({ text: '' })
+        .expect(400);
+    });
+  });
+  describe('POST /api/v1/messages/:eventId/switch-branch', () => {
+    it('应该返回新的激活路径', async () => {
+      eventService.switchBranch.mockResolvedValue({
+        sessionId: 'session_123',
+        events: [
+          { id: 'u1', fromType: 'user', content: 'Q1', siblingIds: ['u1'], siblingIndex: 0 },
+          { id: 'a1', fromType: 'agent', content: 'A1', siblingIds: ['a1', 'a1b'], siblingIndex: 0 }
+        ],
+        hasMore: true,
+        before: '100_u1'
+      });
+
+      const response = await request(app)
+        .post('/api/v1/messages/a1/switch-branch')
+        .send({})
+        .expect(200);
+
+      expect(response.body.data.sessionId).toBe('session_123');
+      expect(response.body.data.events[1]).toMatchObject({ id: 'a1', siblingIndex: 0 });
+      expect(response.body.data.events[1].maxLineWidth).toBeDefined();
+      expect(response.body.data).toMatchObject({ hasMore: true, before: '100_u1' });
+      expect(eventService.switchBranch).toHaveBeenCalledWith('a1', 'test_user_123');
+    });
+
+    it('应该在消息不存在时返回 404', async () => {
+      eventService.switchBranch.mockRejectedValue({ code: 'EVENT_NOT_FOUND', message: '消息不存在' });
+
+      await request(app)
+        .post('/api/v1/messages/missing/switch-branch')
+        .send({})
+        .expect(404);
+    });
+  });
+
+  describe('GET /api/v1/messages/check', () => {
+    beforeEach(() => {
+      sessionService.getSessionForUser.mockResolvedValue({ sessionId: 'session_123' });
+    });
+
+    it('应该返回 lastEventId 之后的新消息', async () => {
+      eventService.getEventsAfter.mockResolvedValue({
+        events: [{ id: 'event_2', fromType: 'agent', content: '回复', timestamp: 2 }],
+        hasMore: false
+      });
+
+      const response = await request(app)
+        .get('/api/v1/messages/check?sessionId=session_123&lastEventId=event_1&limit=20')
+        .expect(200);
+
+      expect(sessionService.getSessionForUser).toHaveBeenCalledWith('session_123', 'test_user_123');
+      expect(eventService.getEventsAfter).toHaveBeenCalledWith('session_123', 'event_1', { limit: '20' });
+      expect(response.body.data.hasNew).toBe(true);
+      expect(response.body.data.hasMore).toBe(false);
+      expect(response.body.data.events[0].maxLineWidth).toBeDefined();
+      expect(response.body.data.updated).toEqual([]);
+      expect(eventService.getEventsByIds).not.toHaveBeenCalled();
+    });
+
+    it('应该通过 updated 返回正在等待的回复的最新状态', async () => {
+      eventService.getEventsAfter.mockResolvedValue({ events: [], hasMore: false });
+      eventService.getEventsByIds.mockResolvedValue([
+        { id: 'event_reply', fromType: 'agent', content: '回复', status: 'complete', timestamp: 2 }
+      ]);
+
+      const response = await request(app)
+        .get('/api/v1/messages/check?sessionId=session_123&lastEventId=event_reply&pending=event_reply,%20event_x')
+        .expect(200);
+
+      expect(eventService.getEventsByIds).toHaveBeenCalledWith('session_123', ['event_reply', 'event_x']);
+      expect(response.body.data.hasNew).toBe(false);
+      expect(response.body.data.updated[0]).toMatchObject({ id: 'event_reply', status: 'complete' });
+    });
+
+    it('应该在缺少 sessionId 时返回 400', async () => {
+      await request(app).get('/api/v1/messages/check').expect(400);
+
+      expect(eventService.getEventsAfter).not.toHaveBeenCalled();
+    });
+
+    it('应该在会话不属于当前用户时返回 404 且不返回消息', async () => {
+      sessionService.getSessionForUser.mockRejectedValue({ code: 'SESSION_NOT_FOUND', message: '会话不存在' });
+
+      const response = await request(app)
+        .get('/api/v1/messages/check?sessionId=session_other&pending=event_x')
+        .expect(404);
+
+      expect(response.body.error.code).toBe('SESSION_NOT_FOUND');
+      expect(eventService.getEventsAfter).not.toHaveBeenCalled();
+      expect(eventService.getEventsByIds).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/v1/messages/jobs/:jobId', () => {
+    it('应该返回当前用户的回复任务状态', async () => {
+      jobService.getJobForUser.mockResolvedValue({ jobId: 'job_1', status: 'queued', attempts: 0 });
+
+      const response = await request(app).get('/api/v1/messages/jobs/job_1').expect(200);
+
+      expect(jobService.getJobForUser).toHaveBeenCalledWith('job_1', 'test_user_123');
+      expect(response.body.data.status).toBe('queued');
+    });
+
+    it('应该在任务不存在时返回 404', async () => {
+      jobService.getJobForUser.mockRejectedValue({ code: 'JOB_NOT_FOUND', message: '任务不存在' });
+
+      const response = await request(app).get('/api/v1/messages/jobs/job_x').expect(404);
+
+      expect(response.body.error.code).toBe('JOB_NOT_FOUND');
+    });
   });
 });
 
@@ -0,0 +1,76 @@
+/**
+ * Models API 路由测试
+ */
+
+const request = require('supertest');
+const express = require('express');
+const modelsRouter = require('../../routes/models');
+const models = require('../../config/models');
+
+// Mock 依赖
+jest.mock('../../config/models');
+jest.mock('../../middleware/auth', () => ({
+  authenticate: jest.fn((req, res, next) => {
+    req.user = {
+      userId: 'test_user_123',
+      username: 'testuser'
+    };
+    next();
+  })
+}));
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/models', modelsRouter);
+
+describe('Models API Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/v1/models', () => {
+    it('应该返回提供商目录和默认模型', async () => {
+      const providers = [
+        {
+          name: 'openrouter',
+          label: 'OpenRouter',
+          allowCustomModels: true,
+          models: [{ id: 'openai/gpt-4.1', label: 'GPT-4.1' }]
+        },
+        {
+          name: 'ollama',
+          label: 'Ollama',
+          allowCustomModels: false,
+          models: [{ id: 'llama3.1:8b', label: 'Llama 3.1 8B' }]
+        }
+      ];
+      models.getProviderCatalog.mockReturnValue(providers);
+      models.getDefaultModel.mockReturnValue({ model: 'openai/gpt-4.1', provider: 'openrouter' });
+
+      const response = await request(app)
+        .get('/api/v1/models')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.providers).toEqual(providers);
+      expect(response.body.data.defaultModel).toEqual({
+        model: 'openai/gpt-4.1',
+        provider: 'openrouter'
+      });
+    });
+
+    it('应该在读取失败时返回 500', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      models.getProviderCatalog.mockImplementation(() => {
+        throw new Error('boom');
+      });
+
+      const response = await request(app)
+        .get('/api/v1/models')
+        .expect(500);
+
+      expect(response.body.error.code).toBe('SYSTEM_ERROR');
+      console.error.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Notifications API 路由测试
+ */
+
+const request = require('supertest');
+const express = require('express');
+const notificationsRouter = require('../../routes/notifications');
+const notificationService = require('../../services/NotificationService');
+
+// Mock 依赖
+jest.mock('../../services/NotificationService');
+jest.mock('../../middleware/auth', () => ({
+  authenticate: jest.fn((req, res, next) => {
+    req.user = {
+      userId: 'test_user_123',
+      username: 'testuser'
+    };
+    next();
+  })
+}));
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/notifications', notificationsRouter);
+
+describe('Notifications API Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/v1/notifications', () => {
+    it('应该返回当前用户的通知列表和未读数', async () => {
+      const result = {
+        items: [{ id: 'reply:e1', type: 'reply', title: '学习教练', unread: true }],
+        unread: { replies: 1, announcements: 0, changelogs: 0, total: 1 }
+      };
+      notificationService.getNotifications.mockResolvedValue(result);
+
+      const response = await request(app)
+        .get('/api/v1/notifications?limit=10')
+        .expect(200);
+
+      expect(response.body.data).toEqual(result);
+      expect(notificationService.getNotifications).toHaveBeenCalledWith('test_user_123', { limit: '10' });
+    });
+
+    it('应该在查询失败时返回 500', async () => {
+      notificationService.getNotifications.mockRejectedValue(new Error('db down'));
+
+      const response = await request(app)
+        .get('/api/v1/notifications')
+        .expect(500);
+
+      expect(response.body.error.code).toBe('SYSTEM_ERROR');
+    });
+  });
+
+  describe('POST /api/v1/notifications/read', () => {
+    it('应该全部标记为已读', async () => {
+      notificationService.markNotificationsRead.mockResolvedValue({ readAt: 5000 });
+
+      const response = await request(app)
+        .post('/api/v1/notifications/read')
+        .send({ all: true })
+        .expect(200);
+
+      expect(response.body.data.readAt).toBe(5000);
+      expect(notificationService.markNotificationsRead).toHaveBeenCalledWith('test_user_123', { all: true });
+    });
+
+    it('应该拒绝不是布尔值的 all', async () => {
+      const response = await request(app)
+        .post('/api/v1/notifications/read')
+        .send({ all: 'yes' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+      expect(notificationService.markNotificationsRead).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Realtime 路由测试
+ */
+
+const request = require('supertest');
+const express = require('express');
+const realtimeRouter = require('../../routes/realtime');
+const realtimeService = require('../../services/RealtimeService');
+
+// Mock 依赖
+jest.mock('../../services/RealtimeService', () => ({
+  subscribe: jest.fn(),
+  INSTANCE_ID: 'host_1'
+}));
+jest.mock('../../utils/jwt', () => ({
+  verifyToken: jest.fn(() => ({ exp: Math.floor(Date.now() / 1000) + 900 }))
+}));
+jest.mock('../../middleware/auth', () => ({
+  authenticate: jest.fn((req, res, next) => {
+    req.user = {
+      userId: 'test_user_123',
+      username: 'testuser'
+    };
+    next();
+  })
+}));
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/realtime', realtimeRouter);
+
+describe('Realtime Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/v1/realtime/stream', () => {
+    it('应该订阅当前用户并以 SSE 推送事件', async () => {
+      const unsubscribe = jest.fn();
+      realtimeService.subscribe.mockImplementation((userId, subscriber) => {
+        // 连接建立后推送一条事件，然后模拟实例退出结束连接
+        setImmediate(() => {
+          subscriber.onMessage({ type: 'agent.updated', data: { agentId: 'agent_1' }, timestamp: 1000 });
+          subscriber.onClose();
+        });
+        return unsubscribe;
+      });
+
+      const response = await request(app)
+        .get('/api/v1/realtime/stream')
+        .set('Authorization', 'Bearer token')
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/text\/event-stream/);
+      expect(realtimeService.subscribe).toHaveBeenCalledWith('test_user_123', expect.any(Object));
+      expect(response.text).toContain('event: ready\ndata: {"instanceId":"host_1"');
+      expect(response.text).toContain(
+        'event: message\ndata: {"type":"agent.updated","data":{"agentId":"agent_1"},"timestamp":1000}'
+      );
+      expect(unsubscribe).toHaveBeenCalledTimes(1);
+    });
+
+    it('应该在连接数超过上限时返回 429', async () => {
+      realtimeService.subscribe.mockImplementation(() => {
+        throw { code: 'TOO_MANY_CONNECTIONS', message: '同时打开的页面太多' };
+      });
+
+      const response = await request(app).get('/api/v1/realtime/stream').expect(429);
+
+      expect(response.body.error.code).toBe('TOO_MANY_CONNECTIONS');
+    });
+  });
+});
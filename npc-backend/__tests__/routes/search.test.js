@@ -0,0 +1,76 @@
+/**
+ * Search 路由测试
+ */
+
+const request = require('supertest');
+const express = require('express');
+const searchRouter = require('../../routes/search');
+const searchService = require('../../services/SearchService');
+
+// Mock 依赖
+jest.mock('../../services/SearchService');
+jest.mock('../../middleware/auth', () => ({
+  authenticate: jest.fn((req, res, next) => {
+    req.user = {
+      userId: 'test_user_123',
+      username: 'testuser'
+    };
+    next();
+  })
+}));
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/search', searchRouter);
+
+describe('Search Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/v1/search', () => {
+    it('应该在当前用户的会话中搜索消息', async () => {
+      searchService.searchMessages.mockResolvedValue({
+        query: '学习计划',
+        terms: ['学习计划'],
+        total: 1,
+        hasMore: false,
+        items: [{ eventId: 'event_1', snippet: '学习计划', highlights: [[0, 4]] }]
+      });
+
+      const response = await request(app)
+        .get('/api/v1/search')
+        .query({ q: '学习计划', agentId: 'agent_1', from: 'agent', startDate: '2025-12-01', limit: '10' })
+        .expect(200);
+
+      expect(searchService.searchMessages).toHaveBeenCalledWith('test_user_123', {
+        q: '学习计划',
+        agentId: 'agent_1',
+        from: 'agent',
+        startDate: '2025-12-01',
+        endDate: undefined,
+        limit: '10',
+        offset: undefined
+      });
+      expect(response.body.data.items[0].eventId).toBe('event_1');
+    });
+
+    it('应该把参数错误映射为 400', async () => {
+      const error = new Error('请输入搜索内容');
+      error.code = 'VALIDATION_ERROR';
+      searchService.searchMessages.mockRejectedValueOnce(error);
+
+      const response = await request(app).get('/api/v1/search').expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('应该把其他错误映射为 500', async () => {
+      searchService.searchMessages.mockRejectedValueOnce(new Error('db down'));
+
+      const response = await request(app).get('/api/v1/search?q=test').expect(500);
+
+      expect(response.body.error.code).toBe('SYSTEM_ERROR');
+    });
+  });
+});
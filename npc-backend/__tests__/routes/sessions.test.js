@@ -0,0 +1,270 @@
+/**
+ * Sessions API 路由测试
+ */
+
+const request = require('supertest');
+const express = require('express');
+const sessionsRouter = require('../../routes/sessions');
+const sessionService = require('../../services/SessionService');
+const agentService = require('../../services/AgentService');
+const notificationService = require('../../services/NotificationService');
+
+// Mock 依赖
+jest.mock('../../services/SessionService');
+jest.mock('../../services/AgentService');
+jest.mock('../../services/NotificationService');
+jest.mock('../../middleware/auth', () => ({
+  authenticate: jest.fn((req, res, next) => {
+    // Mock 认证中间件：直接通过，设置 req.user
+    req.user = {
+      userId: 'test_user_123',
+      username: 'testuser'
+    };
+    next();
+  })
+}));
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/sessions', sessionsRouter);
+
+describe('Sessions API Routes', () => {
+  const mockAgent = {
+    id: 'agent_123',
+    name: 'Test Agent',
+    type: 'general',
+    model: 'openai/gpt-3.5-turbo',
+    avatarUrl: null
+  };
+
+  const mockSession = {
+    sessionId: 'session_123',
+    participants: [
+      { type: 'user', id: 'test_user_123' },
+      { type: 'agent', id: 'agent_123' }
+    ],
+    title: '学习计划',
+    createdAt: 1000,
+    lastActiveAt: 2000,
+    archivedAt: null
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    notificationService.getUnreadCounts.mockResolvedValue({ sessions: {}, agents: {} });
+  });
+
+  describe('GET /api/v1/sessions', () => {
+    it('应该返回带标题和 Agent 信息的会话列表', async () => {
+      sessionService.getSessionsByUser.mockResolvedValue([mockSession]);
+      agentService.getAgentById.mockResolvedValue(mockAgent);
+      notificationService.getUnreadCounts.mockResolvedValue({
+        sessions: { session_123: 2 },
+        agents: { agent_123: 2 }
+      });
+
+      const response = await request(app)
+        .get('/api/v1/sessions')
+        .expect(200);
+
+      expect(response.body.data.sessions).toEqual([
+        expect.objectContaining({
+          sessionId: 'session_123',
+          agentId: 'agent_123',
+          title: '学习计划',
+          lastActiveAt: 2000,
+          archivedAt: null,
+          unreadCount: 2,
+          agent: expect.objectContaining({ id: 'agent_123', name: 'Test Agent' })
+        })
+      ]);
+      expect(sessionService.getSessionsByUser).toHaveBeenCalledWith('test_user_123', {
+        agentId: undefined,
+        includeArchived: true
+      });
+    });
+
+    it('应该支持按 Agent 过滤并排除已归档的会话', async () => {
+      sessionService.getSessionsByUser.mockResolvedValue([]);
+
+      await request(app)
+        .get('/api/v1/sessions?agentId=agent_123&includeArchived=false')
+        .expect(200);
+
+      expect(sessionService.getSessionsByUser).toHaveBeenCalledWith('test_user_123', {
+        agentId: 'agent_123',
+        includeArchived: false
+      });
+    });
+  });
+
+  describe('POST /api/v1/sessions', () => {
+    it('应该为 Agent 新建会话', async () => {
+      agentService.getAgentById.mockResolvedValue(mockAgent);
+      sessionService.createSession.mockResolvedValue({ ...mockSession, title: '新话题' });
+
+      const response = await request(app)
+        .post('/api/v1/sessions')
+        .send({ agentId: 'agent_123', title: '新话题' })
+        .expect(201);
+
+      expect(response.body.data.session.title).toBe('新话题');
+      expect(sessionService.createSession).toHaveBeenCalledWith(
+        'test_user_123',
+        'agent_123',
+        '新话题'
+      );
+    });
+
+    it('应该在 Agent 不存在时返回 404', async () => {
+      agentService.getAgentById.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/v1/sessions')
+        .send({ agentId: 'agent_missing' })
+        .expect(404);
+
+      expect(response.body.error.code).toBe('AGENT_NOT_FOUND');
+      expect(sessionService.createSession).not.toHaveBeenCalled();
+    });
+
+    it('应该在缺少 agentId 时返回 400', async () => {
+      const response = await request(app)
+        .post('/api/v1/sessions')
+        .send({})
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('PUT /api/v1/sessions/:sessionId', () => {
+    it('应该重命名会话', async () => {
+      sessionService.renameSession.mockResolvedValue({ ...mockSession, title: '改名' });
+      agentService.getAgentById.mockResolvedValue(mockAgent);
+
+      const response = await request(app)
+        .put('/api/v1/sessions/session_123')
+        .send({ title: '改名' })
+        .expect(200);
+
+      expect(response.body.data.session.title).toBe('改名');
+      expect(sessionService.renameSession).toHaveBeenCalledWith(
+        'session_123',
+        'test_user_123',
+        '改名'
+      );
+      expect(sessionService.archiveSession).not.toHaveBeenCalled();
+    });
+
+    it('应该归档会话', async () => {
+      sessionService.archiveSession.mockResolvedValue({ ...mockSession, archivedAt: 3000 });
+      agentService.getAgentById.mockResolvedValue(mockAgent);
+
+      const response = await request(app)
+        .put('/api/v1/sessions/session_123')
+        .send({ archived: true })
+        .expect(200);
+
+      expect(response.body.data.session.archivedAt).toBe(3000);
+      expect(sessionService.archiveSession).toHaveBeenCalledWith(
+        'session_123',
+        'test_user_123',
+        true
+      );
+    });
+
+    it('应该拒绝没有可更新字段的请求', async () => {
+      const response = await request(app)
+        .put('/api/v1/sessions/session_123')
+        .send({})
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('应该在会话不存在时返回 404', async () => {
+      sessionService.renameSession.mockRejectedValue({
+        code: 'SESSION_NOT_FOUND',
+        message: '会话不存在'
+      });
+
+      const response = await request(app)
+        .put('/api/v1/sessions/session_other')
+        .send({ title: 'x' })
+        .expect(404);
+
+      expect(response.body.error.code).toBe('SESSION_NOT_FOUND');
+    });
+  });
+
+  describe('DELETE /api/v1/sessions/:sessionId', () => {
+    it('应该删除会话', async () => {
+      sessionService.deleteSession.mockResolvedValue();
+
+      const response = await request(app)
+        .delete('/api/v1/sessions/session_123')
+        .expect(200);
+
+      expect(response.body.data.sessionId).toBe('session_123');
+      expect(sessionService.deleteSession).toHaveBeenCalledWith('session_123', 'test_user_123');
+    });
+
+    it('应该在会话不属于当前用户时返回 404', async () => {
+      sessionService.deleteSession.mockRejectedValue({
+        code: 'SESSION_NOT_FOUND',
+        message: '会话不存在'
+      });
+
+      await request(app)
+        .delete('/api/v1/sessions/session_other')
+        .expect(404);
+    });
+  });
+
+  describe('PUT /api/v1/sessions/:sessionId/read', () => {
+    it('应该把会话标记为读到指定消息', async () => {
+      const result = { sessionId: 'session_123', lastReadAt: 3000, lastReadEventId: 'event_9', updated: true };
+      sessionService.markSessionRead.mockResolvedValue(result);
+
+      const response = await request(app)
+        .put('/api/v1/sessions/session_123/read')
+        .send({ eventId: 'event_9' })
+        .expect(200);
+
+      expect(response.body.data).toEqual(result);
+      expect(sessionService.markSessionRead).toHaveBeenCalledWith('session_123', 'test_user_123', 'event_9');
+    });
+
+    it('应该在不提供 eventId 时标记到当前时间', async () => {
+      sessionService.markSessionRead.mockResolvedValue({ sessionId: 'session_123', updated: true });
+
+      await request(app)
+        .put('/api/v1/sessions/session_123/read')
+        .expect(200);
+
+      expect(sessionService.markSessionRead).toHaveBeenCalledWith('session_123', 'test_user_123', undefined);
+    });
+
+    it('应该拒绝格式不正确的 eventId', async () => {
+      const response = await request(app)
+        .put('/api/v1/sessions/session_123/read')
+        .send({ eventId: 123 })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+      expect(sessionService.markSessionRead).not.toHaveBeenCalled();
+    });
+
+    it('应该在会话不属于当前用户时返回 404', async () => {
+      sessionService.markSessionRead.mockRejectedValue({
+        code: 'SESSION_NOT_FOUND',
+        message: '会话不存在'
+      });
+
+      await request(app)
+        .put('/api/v1/sessions/session_other/read')
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Usage 路由测试
+ */
+
+const request = require('supertest');
+const express = require('express');
+const usageRouter = require('../../routes/usage');
+const usageService = require('../../services/UsageService');
+const quotaService = require('../../services/QuotaService');
+
+// Mock 依赖
+jest.mock('../../services/UsageService');
+jest.mock('../../services/QuotaService');
+jest.mock('../../middleware/auth', () => ({
+  authenticate: jest.fn((req, res, next) => {
+    req.user = {
+      userId: 'test_user_123',
+      username: 'testuser'
+    };
+    next();
+  })
+}));
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/usage', usageRouter);
+
+describe('Usage Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/v1/usage', () => {
+    it('应该返回当前用户在指定日期范围内的用量', async () => {
+      usageService.getUserUsage.mockResolvedValue({
+        range: { startDate: '2025-12-01', endDate: '2025-12-10' },
+        totals: { requests: 2, totalTokens: 300, cost: 0.01 },
+        daily: [],
+        agents: [],
+        models: []
+      });
+
+      const response = await request(app)
+        .get('/api/v1/usage?startDate=2025-12-01&endDate=2025-12-10')
+        .expect(200);
+
+      expect(usageService.getUserUsage).toHaveBeenCalledWith('test_user_123', {
+        startDate: '2025-12-01',
+        endDate: '2025-12-10'
+      });
+      expect(response.body.data.totals.requests).toBe(2);
+    });
+
+    it('应该把日期参数错误映射为 400', async () => {
+      const error = new Error('startDate 格式不正确，应为 YYYY-MM-DD');
+      error.code = 'VALIDATION_ERROR';
+      usageService.getUserUsage.mockRejectedValue(error);
+
+      const response = await request(app).get('/api/v1/usage?startDate=12/01').expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('应该在系统错误时返回 500', async () => {
+      usageService.getUserUsage.mockRejectedValue(new Error('db down'));
+
+      const response = await request(app).get('/api/v1/usage').expect(500);
+
+      expect(response.body.error.code).toBe('SYSTEM_ERROR');
+    });
+  });
+
+  describe('GET /api/v1/usage/quota', () => {
+    it('应该返回当前用户今天的配额状态', async () => {
+      quotaService.getQuotaStatus.mockResolvedValue({
+        date: '2025-12-10',
+        messages: { used: 12, limit: 200 },
+        tokens: { used: 3000, limit: null },
+        exceeded: null
+      });
+
+      const response = await request(app).get('/api/v1/usage/quota').expect(200);
+
+      expect(quotaService.getQuotaStatus).toHaveBeenCalledWith('test_user_123');
+      expect(response.body.data.messages).toEqual({ used: 12, limit: 200 });
+    });
+
+    it('应该在系统错误时返回 500', async () => {
+      quotaService.getQuotaStatus.mockRejectedValue(new Error('db down'));
+
+      const response = await request(app).get('/api/v1/usage/quota').expect(500);
+
+      expect(response.body.error.code).toBe('SYSTEM_ERROR');
+    });
+  });
+});
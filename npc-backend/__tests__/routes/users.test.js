@@ -6,10 +6,14 @@ const request = require('supertest');
 const express = require('express');
 const usersRouter = require('../../routes/users');
 const userService = require('../../services/UserService');
-const { generateAccessToken, generateRefreshToken } = require('../../utils/jwt');
+const accountRecoveryService = require('../../services/AccountRecoveryService');
+const tokenService = require('../../services/TokenService');
+const { verifyToken } = require('../../utils/jwt');
 
 // Mock 依赖
 jest.mock('../../services/UserService');
+jest.mock('../../services/AccountRecoveryService');
+jest.mock('../../services/TokenService');
 jest.mock('../../utils/jwt');
 
 const app = express();
@@ -34,8 +38,11 @@ describe('Users API Routes', () => {
       };
 
       userService.login.mockResolvedValue(mockUser);
-      generateAccessToken.mockReturnValue('access_token_123');
-      generateRefreshToken.mockReturnValue('refresh_token_123');
+      tokenService.issueTokens.mockResolvedValue({
+        accessToken: 'access_token_123',
+        refreshToken: 'refresh_token_123',
+        expiresIn: '15m'
+      });
 
       const response = await request(app)
         .post('/api/v1/users/login')
@@ -47,6 +54,21 @@ describe('Users API Routes', () => {
       expect(response.body.data.accessToken).toBe('access_token_123');
       expect(response.body.data.refreshToken).toBe('refresh_token_123');
       expect(userService.login).toHaveBeenCalledWith(loginData.userId, loginData.password);
+      expect(tokenService.issueTokens).toHaveBeenCalledWith(mockUser);
+    });
+
+    it('应该拒绝已禁用的账号', async () => {
+      const error = new Error('账号已被禁用');
+      error.code = 'USER_DISABLED';
+      userService.login.mockRejectedValue(error);
+
+      const response = await request(app)
+        .post('/api/v1/users/login')
+        .send({ userId: 'test_user_123', password: 'right-pass-2025' })
+        .expect(403);
+
+      expect(response.body.error.code).toBe('USER_DISABLED');
+      expect(tokenService.issueTokens).not.toHaveBeenCalled();
     });
 
     it('应该拒绝缺少 userId 的请求', async () => {
@@ -118,6 +140,7 @@ describe('Users API Routes', () => {
       };
 
       userService.register.mockResolvedValue(mockUser);
+      accountRecoveryService.generateRecoveryCodes.mockResolvedValue(['AAAAA-BBBBB', 'CCCCC-DDDDD']);
 
       const response = await request(app)
         .post('/api/v1/users/register')
@@ -127,7 +150,23 @@ describe('Users API Routes', () => {
       expect(response.body.success).toBe(true);
       expect(response.body.data.id).toBe(registerData.userId);
       expect(response.body.data.username).toBe(registerData.username);
+      expect(response.body.data.recoveryCodes).toEqual(['AAAAA-BBBBB', 'CCCCC-DDDDD']);
       expect(userService.register).toHaveBeenCalledWith(registerData);
+      expect(accountRecoveryService.generateRecoveryCodes).toHaveBeenCalledWith(registerData.userId);
+    });
+
+    it('恢复码生成失败时应该仍然注册成功', async () => {
+      userService.register.mockResolvedValue({ id: 'new_user_123', username: 'newuser' });
+      accountRecoveryService.generateRecoveryCodes.mockRejectedValue(new Error('db down'));
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const response = await request(app)
+        .post('/api/v1/users/register')
+        .send({ userId: 'new_user_123', username: 'newuser' })
+        .expect(201);
+
+      expect(response.body.data.recoveryCodes).toEqual([]);
+      warnSpy.mockRestore();
     });
 
     it('应该拒绝缺少必填字段的请求', async () => {
@@ -178,18 +217,17 @@ describe('Users API Routes', () => {
   });
 
   describe('POST /api/v1/users/forgot-password', () => {
-    it('应该成功重置密码', async () => {
+    it('应该凭恢复码重置密码', async () => {
       const resetData = {
         userId: 'test_user_123',
+        recoveryCode: 'AAAAA-BBBBB',
         newPassword: 'newpassword123'
       };
 
-      const mockUser = {
-        id: resetData.userId,
-        username: 'testuser'
-      };
-
-      userService.forgotPassword.mockResolvedValue(mockUser);
+      accountRecoveryService.recoverPassword.mockResolvedValue({
+        user: { id: resetData.userId, username: 'testuser' },
+        remainingRecoveryCodes: 7
+      });
 
       const response = await request(app)
         .post('/api/v1/users/forgot-password')
@@ -198,16 +236,19 @@ describe('Users API Routes', () => {
 
       expect(response.body.success).toBe(true);
       expect(response.body.data.id).toBe(resetData.userId);
-      expect(userService.forgotPassword).toHaveBeenCalledWith(
-        resetData.userId,
-        resetData.newPassword
-      );
+      expect(response.body.data.remainingRecoveryCodes).toBe(7);
+      expect(accountRecoveryService.recoverPassword).toHaveBeenCalledWith({
+        userId: resetData.userId,
+        recoveryCode: resetData.recoveryCode,
+        resetToken: undefined,
+        newPassword: resetData.newPassword
+      });
     });
 
     it('应该拒绝缺少 userId 的请求', async () => {
       const response = await request(app)
         .post('/api/v1/users/forgot-password')
-        .send({ newPassword: 'newpassword123' })
+        .send({ newPassword: 'newpassword123', recoveryCode: 'AAAAA-BBBBB' })
         .expect(400);
 
       expect(response.body.success).toBe(false);
@@ -217,28 +258,169 @@ describe('Users API Routes', () => {
     it('应该拒绝缺少新密码的请求', async () => {
       const response = await request(app)
         .post('/api/v1/users/forgot-password')
-        .send({ userId: 'test_user_123' })
+        .send({ userId: 'test_user_123', recoveryCode: 'AAAAA-BBBBB' })
         .expect(400);
 
       expect(response.body.success).toBe(false);
       expect(response.body.error.code).toBe('VALIDATION_ERROR');
     });
 
-    it('应该处理用户不存在错误', async () => {
-      const error = new Error('账号不存在');
-      error.code = 'USER_NOT_FOUND';
-      userService.forgotPassword.mockRejectedValue(error);
+    it('应该拒绝没有恢复码或重置码的请求', async () => {
+      const response = await request(app)
+        .post('/api/v1/users/forgot-password')
+        .send({ userId: 'test_user_123', newPassword: 'newpassword123' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+      expect(accountRecoveryService.recoverPassword).not.toHaveBeenCalled();
+    });
+
+    it('应该处理无效的恢复凭证', async () => {
+      const error = new Error('重置码无效、已使用或已过期');
+      error.code = 'INVALID_RECOVERY_CREDENTIAL';
+      accountRecoveryService.recoverPassword.mockRejectedValue(error);
 
       const response = await request(app)
         .post('/api/v1/users/forgot-password')
         .send({
-          userId: 'nonexistent',
+          userId: 'test_user_123',
+          resetToken: 'ABCD-EFGH-JKLM-NPQR',
           newPassword: 'newpassword123'
         })
-        .expect(404);
+        .expect(400);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.error.code).toBe('USER_NOT_FOUND');
+      expect(response.body.error.code).toBe('INVALID_RECOVERY_CREDENTIAL');
+    });
+  });
+
+  describe('/api/v1/users/recovery-codes', () => {
+    beforeEach(() => {
+      verifyToken.mockReturnValue({ userId: 'test_user_123', username: 'testuser', role: 'user', type: 'access' });
+    });
+
+    it('应该返回剩余恢复码数量', async () => {
+      accountRecoveryService.getRecoveryCodeStatus.mockResolvedValue(5);
+
+      const response = await request(app)
+        .get('/api/v1/users/recovery-codes')
+        .set('Authorization', 'Bearer valid_token')
+        .expect(200);
+
+      expect(response.body.data.remaining).toBe(5);
+      expect(accountRecoveryService.getRecoveryCodeStatus).toHaveBeenCalledWith('test_user_123');
+    });
+
+    it('应该验证密码后重新生成恢复码', async () => {
+      accountRecoveryService.regenerateRecoveryCodes.mockResolvedValue(['AAAAA-BBBBB']);
+
+      const response = await request(app)
+        .post('/api/v1/users/recovery-codes')
+        .set('Authorization', 'Bearer valid_token')
+        .send({ password: 'current-pass' })
+        .expect(200);
+
+      expect(response.body.data.recoveryCodes).toEqual(['AAAAA-BBBBB']);
+      expect(accountRecoveryService.regenerateRecoveryCodes).toHaveBeenCalledWith('test_user_123', 'current-pass');
+    });
+
+    it('应该在密码错误时返回 401', async () => {
+      const error = new Error('密码错误');
+      error.code = 'INVALID_PASSWORD';
+      accountRecoveryService.regenerateRecoveryCodes.mockRejectedValue(error);
+
+      const response = await request(app)
+        .post('/api/v1/users/recovery-codes')
+        .set('Authorization', 'Bearer valid_token')
+        .send({ password: 'wrong-pass' })
+        .expect(401);
+
+      expect(response.body.error.code).toBe('INVALID_PASSWORD');
+    });
+
+    it('应该拒绝未登录的请求', async () => {
+      await request(app)
+        .post('/api/v1/users/recovery-codes')
+        .send({ password: 'current-pass' })
+        .expect(401);
+
+      expect(accountRecoveryService.regenerateRecoveryCodes).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/v1/users/refresh', () => {
+    it('应该换发新的 Token', async () => {
+      tokenService.refreshTokens.mockResolvedValue({
+        user: { id: 'test_user_123', username: 'testuser', role: 'user' },
+        accessToken: 'new_access',
+        refreshToken: 'new_refresh',
+        expiresIn: '15m'
+      });
+
+      const response = await request(app)
+        .post('/api/v1/users/refresh')
+        .send({ refreshToken: 'old_refresh' })
+        .expect(200);
+
+      expect(response.body.data.accessToken).toBe('new_access');
+      expect(response.body.data.refreshToken).toBe('new_refresh');
+      expect(tokenService.refreshTokens).toHaveBeenCalledWith('old_refresh');
+    });
+
+    it('应该拒绝缺少 refreshToken 的请求', async () => {
+      await request(app)
+        .post('/api/v1/users/refresh')
+        .send({})
+        .expect(400);
+
+      expect(tokenService.refreshTokens).not.toHaveBeenCalled();
+    });
+
+    it('应该在 Token 被重复使用时返回 401', async () => {
+      const error = new Error('登录状态异常，请重新登录');
+      error.code = 'REFRESH_TOKEN_REUSED';
+      tokenService.refreshTokens.mockRejectedValue(error);
+
+      const response = await request(app)
+        .post('/api/v1/users/refresh')
+        .send({ refreshToken: 'rotated_refresh' })
+        .expect(401);
+
+      expect(response.body.error.code).toBe('REFRESH_TOKEN_REUSED');
+    });
+
+    it('应该在账号被禁用时返回 403', async () => {
+      const error = new Error('账号不存在或已被禁用');
+      error.code = 'USER_DISABLED';
+      tokenService.refreshTokens.mockRejectedValue(error);
+
+      await request(app)
+        .post('/api/v1/users/refresh')
+        .send({ refreshToken: 'some_refresh' })
+        .expect(403);
+    });
+  });
+
+  describe('POST /api/v1/users/logout', () => {
+    it('应该吊销 Refresh Token', async () => {
+      tokenService.revokeToken.mockResolvedValue(1);
+
+      const response = await request(app)
+        .post('/api/v1/users/logout')
+        .send({ refreshToken: 'some_refresh' })
+        .expect(200);
+
+      expect(response.body.data.revoked).toBe(1);
+      expect(tokenService.revokeToken).toHaveBeenCalledWith('some_refresh');
+    });
+
+    it('Token 无效时也应该返回成功', async () => {
+      tokenService.revokeToken.mockResolvedValue(0);
+
+      await request(app)
+        .post('/api/v1/users/logout')
+        .send({})
+        .expect(200);
     });
   });
 });
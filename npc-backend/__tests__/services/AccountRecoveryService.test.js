@@ -0,0 +1,204 @@
+/**
+ * AccountRecoveryService 测试
+ */
+
+const crypto = require('crypto');
+const accountRecoveryService = require('../../services/AccountRecoveryService');
+const recoveryTokenRepository = require('../../repositories/RecoveryTokenRepository');
+const userRepository = require('../../repositories/UserRepository');
+const userService = require('../../services/UserService');
+
+// Mock 依赖
+jest.mock('../../repositories/RecoveryTokenRepository');
+jest.mock('../../repositories/UserRepository');
+jest.mock('../../services/UserService');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('AccountRecoveryService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.RESET_TOKEN_TTL_HOURS;
+  });
+
+  describe('generateRecoveryCodes', () => {
+    it('应该作废旧恢复码并只保存新恢复码的摘要', async () => {
+      const codes = await accountRecoveryService.generateRecoveryCodes('test_user_123');
+
+      expect(codes).toHaveLength(8);
+      codes.forEach((code) => expect(code).toMatch(/^[2-9A-HJ-NP-Z]{5}-[2-9A-HJ-NP-Z]{5}$/));
+      expect(new Set(codes).size).toBe(8);
+
+      expect(recoveryTokenRepository.revokeTokens).toHaveBeenCalledWith(
+        'test_user_123',
+        'recovery_code',
+        expect.any(Number)
+      );
+      const [userId, type, hashes] = recoveryTokenRepository.createTokens.mock.calls[0];
+      expect(userId).toBe('test_user_123');
+      expect(type).toBe('recovery_code');
+      expect(hashes).toEqual(codes.map((code) => sha256(code.replace('-', ''))));
+    });
+  });
+
+  describe('regenerateRecoveryCodes', () => {
+    it('应该先验证当前密码', async () => {
+      const error = new Error('密码错误');
+      error.code = 'INVALID_PASSWORD';
+      userService.login.mockRejectedValue(error);
+
+      await expect(
+        accountRecoveryService.regenerateRecoveryCodes('test_user_123', 'wrong-pass')
+      ).rejects.toMatchObject({ code: 'INVALID_PASSWORD' });
+      expect(recoveryTokenRepository.createTokens).not.toHaveBeenCalled();
+    });
+
+    it('应该在密码正确时生成新恢复码', async () => {
+      userService.login.mockResolvedValue({ id: 'test_user_123' });
+
+      const codes = await accountRecoveryService.regenerateRecoveryCodes('test_user_123', 'current-pass');
+
+      expect(codes).toHaveLength(8);
+      expect(userService.login).toHaveBeenCalledWith('test_user_123', 'current-pass');
+    });
+  });
+
+  describe('issueResetToken', () => {
+    it('应该签发带有效期的重置码', async () => {
+      process.env.RESET_TOKEN_TTL_HOURS = '2';
+      userRepository.findById.mockResolvedValue({ id: 'test_user_123' });
+
+      const before = Date.now();
+      const { token, expiresAt } = await accountRecoveryService.issueResetToken('test_user_123', 'admin_1');
+
+      expect(token).toMatch(/^([2-9A-HJ-NP-Z]{4}-){3}[2-9A-HJ-NP-Z]{4}$/);
+      expect(expiresAt).toBeGreaterThanOrEqual(before + 2 * 3600000);
+      expect(recoveryTokenRepository.revokeTokens).toHaveBeenCalledWith('test_user_123', 'reset_token', expect.any(Number));
+      expect(recoveryTokenRepository.createTokens).toHaveBeenCalledWith(
+        'test_user_123',
+        'reset_token',
+        [sha256(token.replace(/-/g, ''))],
+        { expiresAt, createdBy: 'admin_1' }
+      );
+    });
+
+    it('应该拒绝不存在的用户', async () => {
+      userRepository.findById.mockResolvedValue(null);
+
+      await expect(
+        accountRecoveryService.issueResetToken('nonexistent', 'admin_1')
+      ).rejects.toMatchObject({ code: 'USER_NOT_FOUND' });
+      expect(recoveryTokenRepository.createTokens).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recoverPassword', () => {
+    const baseData = {
+      userId: 'test_user_123',
+      newPassword: 'newpassword123'
+    };
+
+    it('应该凭恢复码重置密码并消耗恢复码', async () => {
+      recoveryTokenRepository.findActiveToken.mockResolvedValue({ id: 'rtk_1' });
+      recoveryTokenRepository.markTokenUsed.mockResolvedValue(true);
+      recoveryTokenRepository.countActiveTokens.mockResolvedValue(7);
+      userService.resetPassword.mockResolvedValue({ id: 'test_user_123', username: 'testuser' });
+
+      const result = await accountRecoveryService.recoverPassword({
+        ...baseData,
+        recoveryCode: ' aaaaa-bbbbb '
+      });
+
+      expect(result).toEqual({
+        user: { id: 'test_user_123', username: 'testuser' },
+        remainingRecoveryCodes: 7
+      });
+      // 输入忽略大小写、空格和分隔符
+      expect(recoveryTokenRepository.findActiveToken).toHaveBeenCalledWith(
+        'test_user_123',
+        'recovery_code',
+        sha256('AAAAABBBBB'),
+        expect.any(Number)
+      );
+      expect(recoveryTokenRepository.markTokenUsed).toHaveBeenCalledWith('rtk_1', expect.any(Number));
+      expect(userService.resetPassword).toHaveBeenCalledWith('test_user_123', 'newpassword123');
+      // 密码更换后作废未使用的重置码
+      expect(recoveryTokenRepository.revokeTokens).toHaveBeenCalledWith('test_user_123', 'reset_token', expect.any(Number));
+    });
+
+    it('应该凭管理员重置码重置密码', async () => {
+      recoveryTokenRepository.findActiveToken.mockResolvedValue({ id: 'rtk_2' });
+      recoveryTokenRepository.markTokenUsed.mockResolvedValue(true);
+      userService.resetPassword.mockResolvedValue({ id: 'test_user_123' });
+
+      await accountRecoveryService.recoverPassword({
+        ...baseData,
+        resetToken: 'ABCD-EFGH-JKLM-NPQR'
+      });
+
+      expect(recoveryTokenRepository.findActiveToken).toHaveBeenCalledWith(
+        'test_user_123',
+        'reset_token',
+        sha256('ABCDEFGHJKLMNPQR'),
+        expect.any(Number)
+      );
+    });
+
+    it('应该拒绝无效或过期的凭证', async () => {
+      recoveryTokenRepository.findActiveToken.mockResolvedValue(null);
+
+      await expect(
+        accountRecoveryService.recoverPassword({ ...baseData, resetToken: 'ABCD-EFGH-JKLM-NPQR' })
+      ).rejects.toMatchObject({ code: 'INVALID_RECOVERY_CREDENTIAL' });
+      expect(userService.resetPassword).not.toHaveBeenCalled();
+    });
+
+    it('应该拒绝已被并发请求使用的凭证', async () => {
+      recoveryTokenRepository.findActiveToken.mockResolvedValue({ id: 'rtk_1' });
+      recoveryTokenRepository.markTokenUsed.mockResolvedValue(false);
+
+      await expect(
+        accountRecoveryService.recoverPassword({ ...baseData, recoveryCode: 'AAAAA-BBBBB' })
+      ).rejects.toMatchObject({ code: 'INVALID_RECOVERY_CREDENTIAL' });
+      expect(userService.resetPassword).not.toHaveBeenCalled();
+    });
+
+    it('应该在新密码不合格时不消耗凭证', async () => {
+      await expect(
+        accountRecoveryService.recoverPassword({
+          userId: 'test_user_123',
+          newPassword: '12345678',
+          recoveryCode: 'AAAAA-BBBBB'
+        })
+      ).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      expect(recoveryTokenRepository.findActiveToken).not.toHaveBeenCalled();
+    });
+
+    it('应该要求恰好提供一种凭证', async () => {
+      await expect(
+        accountRecoveryService.recoverPassword(baseData)
+      ).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      await expect(
+        accountRecoveryService.recoverPassword({
+          ...baseData,
+          recoveryCode: 'AAAAA-BBBBB',
+          resetToken: 'ABCD-EFGH-JKLM-NPQR'
+        })
+      ).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+
+    it('应该拒绝空 userId 和空新密码', async () => {
+      await expect(
+        accountRecoveryService.recoverPassword({ newPassword: 'newpassword123', recoveryCode: 'AAAAA-BBBBB' })
+      ).rejects.toMatchObject({ code: 'VALIDATION_ERROR', message: '用户 ID 不能为空' });
+      await expect(
+        accountRecoveryService.recoverPassword({ userId: 'test_user_123', newPassword: ' ', recoveryCode: 'AAAAA-BBBBB' })
+      ).rejects.toMatchObject({ code: 'VALIDATION_ERROR', message: '新密码不能为空' });
+    });
+  });
+});
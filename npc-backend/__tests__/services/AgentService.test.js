@@ -3,14 +3,19 @@
  */
 
 const agentService = require('../../services/AgentService');
+const models = require('../../config/models');
 const agentRepository = require('../../repositories/AgentRepository');
 const sessionService = require('../../services/SessionService');
 const eventService = require('../../services/EventService');
+const realtimeService = require('../../services/RealtimeService');
+const notificationService = require('../../services/NotificationService');
 
 // Mock 依赖
 jest.mock('../../repositories/AgentRepository');
 jest.mock('../../services/SessionService');
 jest.mock('../../services/EventService');
+jest.mock('../../services/RealtimeService');
+jest.mock('../../services/NotificationService');
 jest.mock('../../config/models', () => ({
   isValidModel: jest.fn((model) => {
     const validModels = ['openai/gpt-3.5-turbo', 'openai/gpt-4', 'anthropic/claude-3-sonnet'];
@@ -48,6 +53,7 @@ describe('AgentService', () => {
       expect(result).toBeDefined();
       expect(result.name).toBe(validAgentData.name);
       expect(agentRepository.create).toHaveBeenCalled();
+      expect(realtimeService.publish).toHaveBeenCalledWith('test_user_123', 'agent.created', { agentId: 'agent_123' });
     });
 
     it('应该拒绝空 userId', async () => {
@@ -99,6 +105,53 @@ describe('AgentService', () => {
       });
     });
 
+    it('应该保存指定的提供商', async () => {
+      agentRepository.checkNameExists.mockResolvedValue(false);
+      agentRepository.create.mockResolvedValue({ id: 'agent_123' });
+
+      await agentService.createAgent({ ...validAgentData, provider: ' ollama ' });
+
+      expect(models.isValidModelProvider).toHaveBeenCalledWith('openai/gpt-3.5-turbo', 'ollama');
+      expect(agentRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({ provider: 'ollama' })
+      );
+    });
+
+    it('应该在未指定提供商时按模型推断', async () => {
+      agentRepository.checkNameExists.mockResolvedValue(false);
+      agentRepository.create.mockResolvedValue({ id: 'agent_123' });
+      models.getModelProvider.mockReturnValueOnce(undefined);
+
+      await agentService.createAgent(validAgentData);
+
+      expect(agentRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({ provider: 'openrouter' })
+      );
+    });
+
+    it('应该拒绝未启用的提供商', async () => {
+      models.isProviderEnabled.mockReturnValueOnce(false);
+
+      await expect(agentService.createAgent({
+        ...validAgentData,
+        provider: 'disabled'
+      })).rejects.toMatchObject({
+        code: 'INVALID_PROVIDER'
+      });
+      expect(agentRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('应该拒绝提供商不支持的模型', async () => {
+      models.isValidModelProvider.mockReturnValueOnce(false);
+
+      await expect(agentService.createAgent({
+        ...validAgentData,
+        provider: 'ollama'
+      })).rejects.toMatchObject({
+        code: 'INVALID_MODEL'
+      });
+    });
+
     it('应该拒绝 systemPrompt 超过5000字符', async () => {
       await expect(agentService.createAgent({
         ...validAgentData,
@@ -109,6 +162,94 @@ describe('AgentService', () => {
       });
     });
 
+    it('应该保存生成参数并去掉空值', async () => {
+      agentRepository.checkNameExists.mockResolvedValue(false);
+      agentRepository.create.mockResolvedValue({ id: 'agent_123', ...validAgentData });
+
+      await agentService.createAgent({
+        ...validAgentData,
+        generationParams: { temperature: 1.2, maxTokens: 512, topP: null, stop: [] }
+      });
+
+      expect(agentRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        generationParams: { temperature: 1.2, maxTokens: 512 }
+      }));
+    });
+
+    it('应该拒绝超出范围的生成参数', async () => {
+      await expect(agentService.createAgent({
+        ...validAgentData,
+        generationParams: { temperature: 2.5 }
+      })).rejects.toMatchObject({
+        code: 'VALIDATION_ERROR',
+        message: 'temperature 必须是 0 到 2 之间的数字'
+      });
+
+      await expect(agentService.createAgent({
+        ...validAgentData,
+        generationParams: { maxTokens: 10.5 }
+      })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+
+      await expect(agentService.createAgent({
+        ...validAgentData,
+        generationParams: { stop: ['a', 'b', 'c', 'd', 'e'] }
+      })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+
+    it('应该拒绝未知的生成参数', async () => {
+      await expect(agentService.createAgent({
+        ...validAgentData,
+        generationParams: { seed: 42 }
+      })).rejects.toMatchObject({
+        code: 'VALIDATION_ERROR',
+        message: '不支持的生成参数：seed'
+      });
+      expect(agentRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('应该保存备用模型并补全提供商、去掉重复项', async () => {
+      agentRepository.checkNameExists.mockResolvedValue(false);
+      agentRepository.create.mockResolvedValue({ id: 'agent_123', ...validAgentData });
+
+      await agentService.createAgent({
+        ...validAgentData,
+        fallbackModels: [
+          { model: 'openai/gpt-4' },
+          { model: 'openai/gpt-4', provider: 'openrouter' },
+          { model: 'anthropic/claude-3-sonnet', provider: 'anthropic' }
+        ]
+      });
+
+      expect(agentRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        fallbackModels: [
+          { model: 'openai/gpt-4', provider: 'openrouter' },
+          { model: 'anthropic/claude-3-sonnet', provider: 'anthropic' }
+        ]
+      }));
+    });
+
+    it('应该拒绝无效的备用模型', async () => {
+      await expect(agentService.createAgent({
+        ...validAgentData,
+        fallbackModels: [{ model: 'invalid-model' }]
+      })).rejects.toMatchObject({ code: 'INVALID_MODEL' });
+
+      await expect(agentService.createAgent({
+        ...validAgentData,
+        fallbackModels: Array(4).fill({ model: 'openai/gpt-4' })
+      })).rejects.toMatchObject({
+        code: 'VALIDATION_ERROR',
+        message: '备用模型最多 3 个'
+      });
+
+      models.isProviderEnabled.mockReturnValueOnce(true).mockReturnValueOnce(false);
+      await expect(agentService.createAgent({
+        ...validAgentData,
+        fallbackModels: [{ model: 'openai/gpt-4', provider: 'disabled' }]
+      })).rejects.toMatchObject({ code: 'INVALID_PROVIDER' });
+      expect(agentRepository.create).not.toHaveBeenCalled();
+    });
+
     it('应该拒绝重复的名称', async () => {
       agentRepository.checkNameExists.mockResolvedValue(true);
 
@@ -143,6 +284,10 @@ describe('AgentService', () => {
   });
 
   describe('getAgentList', () => {
+    beforeEach(() => {
+      notificationService.getUnreadCounts.mockResolvedValue({ sessions: {}, agents: {} });
+    });
+
     it('应该返回用户的 Agent 列表', async () => {
       const userId = 'test_user_123';
       const mockAgents = [
@@ -207,6 +352,25 @@ describe('AgentService', () => {
       expect(result[0].id).toBe('agent_1');
       expect(result[0].lastMessageAt).toBe(3000);
     });
+
+    it('应该附带每个 Agent 的未读回复数', async () => {
+      const userId = 'test_user_123';
+      agentRepository.findByUserId.mockResolvedValue([
+        { id: 'agent_1', createdBy: userId, name: 'Agent 1', createdAt: 1000 },
+        { id: 'agent_2', createdBy: userId, name: 'Agent 2', createdAt: 2000 }
+      ]);
+      sessionService.getSessionsByUser.mockResolvedValue([]);
+      notificationService.getUnreadCounts.mockResolvedValue({
+        sessions: { session_1: 3 },
+        agents: { agent_1: 3 }
+      });
+
+      const result = await agentService.getAgentList(userId);
+
+      expect(notificationService.getUnreadCounts).toHaveBeenCalledWith(userId);
+      expect(result.find((agent) => agent.id === 'agent_1').unreadCount).toBe(3);
+      expect(result.find((agent) => agent.id === 'agent_2').unreadCount).toBe(0);
+    });
   });
 
   describe('getAgentById', () => {
@@ -267,6 +431,7 @@ describe('AgentService', () => {
       expect(result).toBeDefined();
       expect(result.name).toBe('New Name');
       expect(agentRepository.update).toHaveBeenCalled();
+      expect(realtimeService.publish).toHaveBeenCalledWith(userId, 'agent.updated', { agentId });
     });
 
     it('应该拒绝更新不存在的 Agent', async () => {
@@ -319,6 +484,85 @@ describe('AgentService', () => {
 
       expect(result).toBeDefined();
     });
+
+    it('应该在只修改模型时保留支持该模型的原提供商', async () => {
+      agentRepository.findById.mockResolvedValue({ ...existingAgent, provider: 'ollama' });
+      agentRepository.update.mockResolvedValue(existingAgent);
+
+      await agentService.updateAgent(agentId, userId, { model: 'openai/gpt-4' });
+
+      expect(agentRepository.update).toHaveBeenCalledWith(agentId, {
+        model: 'openai/gpt-4',
+        provider: 'ollama'
+      });
+    });
+
+    it('应该在原提供商不支持新模型时按模型推断提供商', async () => {
+      agentRepository.findById.mockResolvedValue({ ...existingAgent, provider: 'ollama' });
+      agentRepository.update.mockResolvedValue(existingAgent);
+      models.isValidModelProvider.mockReturnValueOnce(false);
+
+      await agentService.updateAgent(agentId, userId, { model: 'openai/gpt-4' });
+
+      expect(agentRepository.update).toHaveBeenCalledWith(agentId, {
+        model: 'openai/gpt-4',
+        provider: 'openrouter'
+      });
+    });
+
+    it('应该拒绝切换到未启用的提供商', async () => {
+      agentRepository.findById.mockResolvedValue(existingAgent);
+      models.isProviderEnabled.mockReturnValueOnce(false);
+
+      await expect(agentService.updateAgent(agentId, userId, {
+        provider: 'disabled'
+      })).rejects.toMatchObject({
+        code: 'INVALID_PROVIDER'
+      });
+      expect(agentRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('应该更新生成参数，null 表示恢复默认值', async () => {
+      agentRepository.findById.mockResolvedValue(existingAgent);
+      agentRepository.update.mockResolvedValue(existingAgent);
+
+      await agentService.updateAgent(agentId, userId, {
+        generationParams: { presencePenalty: -0.5, stop: ['END'] }
+      });
+      expect(agentRepository.update).toHaveBeenLastCalledWith(agentId, {
+        generationParams: { presencePenalty: -0.5, stop: ['END'] }
+      });
+
+      await agentService.updateAgent(agentId, userId, { generationParams: null });
+      expect(agentRepository.update).toHaveBeenLastCalledWith(agentId, { generationParams: null });
+    });
+
+    it('应该更新备用模型，null 表示不使用备用模型', async () => {
+      agentRepository.findById.mockResolvedValue(existingAgent);
+      agentRepository.update.mockResolvedValue(existingAgent);
+
+      await agentService.updateAgent(agentId, userId, {
+        fallbackModels: [{ model: 'openai/gpt-4', provider: 'openrouter' }]
+      });
+      expect(agentRepository.update).toHaveBeenLastCalledWith(agentId, {
+        fallbackModels: [{ model: 'openai/gpt-4', provider: 'openrouter' }]
+      });
+
+      await agentService.updateAgent(agentId, userId, { fallbackModels: null });
+      expect(agentRepository.update).toHaveBeenLastCalledWith(agentId, { fallbackModels: null });
+    });
+
+    it('应该拒绝无效的生成参数', async () => {
+      agentRepository.findById.mockResolvedValue(existingAgent);
+
+      await expect(agentService.updateAgent(agentId, userId, {
+        generationParams: { topP: '0.9' }
+      })).rejects.toMatchObject({
+        code: 'VALIDATION_ERROR',
+        message: 'top_p 必须是 0 到 1 之间的数字'
+      });
+      expect(agentRepository.update).not.toHaveBeenCalled();
+    });
   });
 
   describe('deleteAgent', () => {
@@ -348,6 +592,7 @@ describe('AgentService', () => {
           deleted: true
         })
       );
+      expect(realtimeService.publish).toHaveBeenCalledWith(userId, 'agent.deleted', { agentId });
     });
 
     it('应该成功硬删除 Agent', async () => {
@@ -361,6 +606,7 @@ describe('AgentService', () => {
       expect(result.success).toBe(true);
       expect(result.message).toBe('NPC 已永久删除');
       expect(agentRepository.remove).toHaveBeenCalledWith(agentId);
+      expect(realtimeService.publish).toHaveBeenCalledWith(userId, 'agent.deleted', { agentId });
     });
 
     it('应该拒绝删除不存在的 Agent', async () => {
@@ -0,0 +1,81 @@
+/**
+ * AnnouncementService 测试
+ */
+
+const announcementService = require('../../services/AnnouncementService');
+const announcementRepository = require('../../repositories/AnnouncementRepository');
+
+jest.mock('../../repositories/AnnouncementRepository');
+
+describe('AnnouncementService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe('createAnnouncement', () => {
+    it('应该去掉标题首尾空白并记录发布人', async () => {
+      announcementRepository.create.mockResolvedValue({ id: 'announcement_1', title: '维护通知' });
+
+      const announcement = await announcementService.createAnnouncement(
+        { title: '  维护通知  ', content: '今晚维护' },
+        'admin_1'
+      );
+
+      expect(announcementRepository.create).toHaveBeenCalledWith({
+        title: '维护通知',
+        content: '今晚维护',
+        createdBy: 'admin_1'
+      });
+      expect(announcement.id).toBe('announcement_1');
+    });
+
+    it('应该拒绝空标题和过长的标题', async () => {
+      await expect(announcementService.createAnnouncement({ title: ' ' }, 'admin_1'))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      await expect(announcementService.createAnnouncement({ title: 'x'.repeat(201) }, 'admin_1'))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      expect(announcementRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('应该拒绝不是布尔值的 isActive', async () => {
+      await expect(announcementService.createAnnouncement({ title: '通知', isActive: 'yes' }, 'admin_1'))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+  });
+
+  describe('updateAnnouncement', () => {
+    it('应该只更新提供的字段', async () => {
+      announcementRepository.update.mockResolvedValue({ id: 'announcement_1', isActive: false });
+
+      await announcementService.updateAnnouncement('announcement_1', { isActive: false });
+
+      expect(announcementRepository.update).toHaveBeenCalledWith('announcement_1', { isActive: false });
+    });
+
+    it('应该在没有可更新的字段时拒绝', async () => {
+      await expect(announcementService.updateAnnouncement('announcement_1', {}))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+
+    it('应该在公告不存在时抛出 ANNOUNCEMENT_NOT_FOUND', async () => {
+      announcementRepository.update.mockResolvedValue(null);
+
+      await expect(announcementService.updateAnnouncement('missing', { title: '新标题' }))
+        .rejects.toMatchObject({ code: 'ANNOUNCEMENT_NOT_FOUND' });
+    });
+  });
+
+  describe('deleteAnnouncement', () => {
+    it('应该在公告不存在时抛出 ANNOUNCEMENT_NOT_FOUND', async () => {
+      announcementRepository.remove.mockResolvedValue(false);
+
+      await expect(announcementService.deleteAnnouncement('missing'))
+        .rejects.toMatchObject({ code: 'ANNOUNCEMENT_NOT_FOUND' });
+    });
+  });
+});
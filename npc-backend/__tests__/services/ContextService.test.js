@@ -0,0 +1,182 @@
+/**
+ * ContextService 测试
+ */
+
+const contextService = require('../../services/ContextService');
+const eventService = require('../../services/EventService');
+const { estimateTokens } = require('../../utils/textUtils');
+
+// Mock 依赖
+jest.mock('../../services/EventService');
+
+describe('ContextService', () => {
+  const originalMaxTokens = process.env.MAX_CONTEXT_TOKENS;
+  const originalReserve = process.env.REPLY_RESERVE_TOKENS;
+
+  /**
+   * 生成按时间递增的对话事件，每条内容长度相同
+   */
+  const createEvents = (count, content) => Array.from({ length: count }, (_, i) => ({
+    id: `event_${i + 1}`,
+    fromType: i % 2 === 0 ? 'user' : 'agent',
+    content,
+    timestamp: (i + 1) * 1000
+  }));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    if (originalMaxTokens === undefined) {
+      delete process.env.MAX_CONTEXT_TOKENS;
+    } else {
+      process.env.MAX_CONTEXT_TOKENS = originalMaxTokens;
+    }
+    if (originalReserve === undefined) {
+      delete process.env.REPLY_RESERVE_TOKENS;
+    } else {
+      process.env.REPLY_RESERVE_TOKENS = originalReserve;
+    }
+  });
+
+  describe('estimateTokens', () => {
+    it('应该按中文每字 1 个、其他字符每 4 个 1 个估算', () => {
+      expect(estimateTokens('你好世界')).toBe(4);
+      expect(estimateTokens('hello world!')).toBe(3);
+      expect(estimateTokens('你好 abc')).toBe(3);
+      expect(estimateTokens('')).toBe(0);
+      expect(estimateTokens(null)).toBe(0);
+    });
+  });
+
+  describe('fitContextWindow', () => {
+    it('应该在预算内保留全部事件', () => {
+      const events = createEvents(3, '短消息');
+
+      const window = contextService.fitContextWindow(events, {
+        model: 'openai/gpt-4.1',
+        systemPrompt: 'You are helpful'
+      });
+
+      expect(window.eventIds).toEqual(['event_1', 'event_2', 'event_3']);
+      expect(window.droppedCount).toBe(0);
+      expect(window.budget).toBe(32000 - 4096);
+    });
+
+    it('应该超出预算时从最旧的一端截断', () => {
+      process.env.MAX_CONTEXT_TOKENS = '1200';
+      process.env.REPLY_RESERVE_TOKENS = '200';
+      // 每条约 300 + 4 个 token，预算 1000 只能放下 3 条
+      const events = createEvents(5, '长'.repeat(300));
+
+      const window = contextService.fitContextWindow(events, {
+        model: 'openai/gpt-4.1'
+      });
+
+      expect(window.eventIds).toEqual(['event_3', 'event_4', 'event_5']);
+      expect(window.droppedCount).toBe(2);
+      expect(window.tokenEstimate).toBe(3 * 304);
+      expect(window.budget).toBe(1000);
+    });
+
+    it('应该把 system prompt 计入预算', () => {
+      process.env.MAX_CONTEXT_TOKENS = '1200';
+      process.env.REPLY_RESERVE_TOKENS = '200';
+      const events = createEvents(5, '长'.repeat(300));
+
+      const window = contextService.fitContextWindow(events, {
+        model: 'openai/gpt-4.1',
+        systemPrompt: '设'.repeat(200)
+      });
+
+      expect(window.eventIds).toEqual(['event_4', 'event_5']);
+      expect(window.tokenEstimate).toBe(200 + 2 * 304);
+    });
+
+    it('应该总是保留最新一条事件', () => {
+      process.env.MAX_CONTEXT_TOKENS = '500';
+      process.env.REPLY_RESERVE_TOKENS = '100';
+      const events = createEvents(2, '长'.repeat(1000));
+
+      const window = contextService.fitContextWindow(events, {
+        model: 'openai/gpt-4.1'
+      });
+
+      expect(window.eventIds).toEqual(['event_2']);
+      expect(window.tokenEstimate).toBeGreaterThan(window.budget);
+    });
+
+    it('应该对未知模型使用默认上下文大小', () => {
+      process.env.MAX_CONTEXT_TOKENS = '100000';
+
+      const window = contextService.fitContextWindow([], {
+        model: 'custom/unknown-model'
+      });
+
+      expect(window.budget).toBe(32768 - 4096);
+      expect(window.events).toEqual([]);
+    });
+  });
+
+  describe('buildContextWindow', () => {
+    it('应该读取候选事件并按预算选取', async () => {
+      const events = createEvents(2, 'hi');
+      eventService.getRecentEvents.mockResolvedValue(events);
+
+      const window = await contextService.buildContextWindow({
+        sessionId: 'session_123',
+        model: 'openai/gpt-4.1',
+        systemPrompt: 'You are helpful'
+      });
+
+      expect(eventService.getRecentEvents).toHaveBeenCalledWith('session_123', 200);
+      expect(window.events).toEqual(events);
+    });
+
+    it('应该使用 maxEvents 限制候选事件数量', async () => {
+      eventService.getRecentEvents.mockResolvedValue([]);
+
+      await contextService.buildContextWindow({
+        sessionId: 'session_123',
+        model: 'openai/gpt-4.1',
+        maxEvents: 20
+      });
+
+      expect(eventService.getRecentEvents).toHaveBeenCalledWith('session_123', 20);
+    });
+
+    it('应该去掉生成中和生成失败的回复', async () => {
+      const events = createEvents(2, 'hi');
+      eventService.getRecentEvents.mockResolvedValue([
+        events[0],
+        { ...events[1], status: 'failed' },
+        { ...events[1], id: 'pending', status: 'pending', content: '' }
+      ]);
+
+      const window = await contextService.buildContextWindow({
+        sessionId: 'session_123',
+        model: 'openai/gpt-4.1'
+      });
+
+      expect(window.events).toEqual([events[0]]);
+    });
+
+    it('应该在传入 before 时只读取它之前的事件', async () => {
+      eventService.getEventsBefore.mockResolvedValue([]);
+
+      await contextService.buildContextWindow({
+        sessionId: 'session_123',
+        model: 'openai/gpt-4.1',
+        before: { timestamp: 2000, id: 'event_reply' }
+      });
+
+      expect(eventService.getEventsBefore).toHaveBeenCalledWith(
+        'session_123',
+        { timestamp: 2000, id: 'event_reply' },
+        200
+      );
+      expect(eventService.getRecentEvents).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -6,11 +6,13 @@ const eventService = require('../../services/EventService');
 const eventRepository = require('../../repositories/EventRepository');
 const sessionService = require('../../services/SessionService');
 const agentService = require('../../services/AgentService');
+const realtimeService = require('../../services/RealtimeService');
 
 // Mock 依赖
 jest.mock('../../repositories/EventRepository');
 jest.mock('../../services/SessionService');
 jest.mock('../../services/AgentService');
+jest.mock('../../services/RealtimeService');
 
 describe('EventService', () => {
   beforeEach(() => {
@@ -46,6 +48,13 @@ describe('EventService', () => {
       expect(result.id).toBe('event_123');
       expect(eventRepository.createEvent).toHaveBeenCalled();
       expect(sessionService.updateSessionActivity).toHaveBeenCalled();
+      expect(realtimeService.publish).toHaveBeenCalledWith('test_user_123', 'event.created', {
+        sessionId: 'session_123',
+        agentId: 'test_agent_123',
+        eventId: 'event_123',
+        fromType: 'user',
+        status: undefined,
+      });
     });
 
     it('应该拒绝空 sessionId', async () => {
@@ -98,6 +107,54 @@ describe('EventService', () => {
       });
     });
 
+    it('应该允许 pending 的占位回复没有内容', async () => {
+      agentService.getAgentById.mockResolvedValue({ id: 'test_agent_123' });
+      eventRepository.createEvent.mockResolvedValue({ id: 'event_pending', status: 'pending' });
+
+      await eventService.createEvent({
+        ...validEventData,
+        fromType: 'agent',
+        fromId: 'test_agent_123',
+        toType: 'user',
+        toId: 'test_user_123',
+        content: '',
+        status: 'pending'
+      });
+
+      expect(eventRepository.createEvent).toHaveBeenCalledWith(expect.objectContaining({
+        content: '',
+        status: 'pending',
+        errorCode: null
+      }));
+    });
+
+    it('应该允许在生成第一个字之前停止的回复没有内容', async () => {
+      agentService.getAgentById.mockResolvedValue({ id: 'test_agent_123' });
+      eventRepository.createEvent.mockResolvedValue({ id: 'event_stopped', status: 'stopped' });
+
+      await eventService.createEvent({
+        ...validEventData,
+        fromType: 'agent',
+        fromId: 'test_agent_123',
+        toType: 'user',
+        toId: 'test_user_123',
+        content: '',
+        status: 'stopped'
+      });
+
+      expect(eventRepository.createEvent).toHaveBeenCalledWith(expect.objectContaining({
+        content: '',
+        status: 'stopped'
+      }));
+    });
+
+    it('应该拒绝无效的回复状态', async () => {
+      await expect(eventService.createEvent({
+        ...validEventData,
+        status: 'done'
+      })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+
     it('应该拒绝不存在的 Agent', async () => {
       agentService.getAgentById.mockResolvedValue(null);
 
@@ -164,5 +221,424 @@ describe('EventService', () => {
       expect(eventRepository.getEventsBySession).toHaveBeenCalledWith(sessionId);
     });
   });
-});
+  describe('supersedeEventsFrom', () => {
+    it('应该调用 Repository 截断时间线', async () => {
+      eventRepository.supersedeEventsFrom.mockResolvedValue(2);
+
+      const count = await eventService.supersedeEventsFrom('session_123', { timestamp: 1000, id: 'event_1' });
+
+      expect(count).toBe(2);
+      expect(eventRepository.supersedeEventsFrom).toHaveBeenCalledWith(
+        'session_123',
+        { timestamp: 1000, id: 'event_1' },
+        { inclusive: true }
+      );
+    });
+
+    it('不包含起点时应该只截断起点之后的事件', async () => {
+      eventRepository.supersedeEventsFrom.mockResolvedValue(1);
+
+      await eventService.supersedeEventsFrom('session_123', { timestamp: 1000, id: 'event_1' }, { inclusive: false });
+
+      expect(eventRepository.supersedeEventsFrom).toHaveBeenCalledWith(
+        'session_123',
+        { timestamp: 1000, id: 'event_1' },
+        { inclusive: false }
+      );
+    });
+
+    it('应该拒绝无效的起始事件', async () => {
+      await expect(eventService.supersedeEventsFrom('session_123', { timestamp: 'abc', id: 'event_1' }))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      await expect(eventService.supersedeEventsFrom('session_123', { timestamp: 1000 }))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      expect(eventRepository.supersedeEventsFrom).not.toHaveBeenCalled();
+    });
+  });
+  describe('对话分支', () => {
+    // 对话树：
+    // u1 ─┬─ a1（旧回复，被替代于 500）── u2 ── a2
+    //     └─ a1b（重新生成的回复，激活）
+    const tree = [
+      { id: 'u1', sessionId: 'session_123', userId: 'user_1', parentId: null, fromType: 'user', content: 'Q1', timestamp: 100, supersededAt: null },
+      { id: 'a1', sessionId: 'session_123', userId: 'user_1', parentId: 'u1', fromType: 'agent', content: 'A1', timestamp: 200, supersededAt: 500 },
+      { id: 'u2', sessionId: 'session_123', userId: 'user_1', parentId: 'a1', fromType: 'user', content: 'Q2', timestamp: 300, supersededAt: 500 },
+      { id: 'a2', sessionId: 'session_123', userId: 'user_1', parentId: 'u2', fromType: 'agent', content: 'A2', timestamp: 400, supersededAt: 500 },
+      { id: 'a1b', sessionId: 'session_123', userId: 'user_1', parentId: 'u1', fromType: 'agent', content: 'A1b', timestamp: 600, supersededAt: null }
+    ];
+
+    it('createEvent 未指定父事件时应该接在激活路径末尾', async () => {
+      agentService.getAgentById.mockResolvedValue({ id: 'agent_1' });
+      eventRepository.getRecentEvents.mockResolvedValue([{ id: 'a1b' }]);
+      eventRepository.createEvent.mockResolvedValue({ id: 'u3', sessionId: 'session_123' });
+
+      await eventService.createEvent({
+        sessionId: 'session_123',
+        userId: 'user_1',
+        agentId: 'agent_1',
+        fromType: 'user',
+        fromId: 'user_1',
+        toType: 'agent',
+        toId: 'agent_1',
+        content: 'Q3'
+      });
+
+      expect(eventRepository.getRecentEvents).toHaveBeenCalledWith('session_123', 1);
+      expect(eventRepository.createEvent).toHaveBeenCalledWith(expect.objectContaining({ parentId: 'a1b' }));
+    });
+
+    it('createEvent 指定父事件时不再查询激活路径', async () => {
+      agentService.getAgentById.mockResolvedValue({ id: 'agent_1' });
+      eventRepository.createEvent.mockResolvedValue({ id: 'a3', sessionId: 'session_123' });
+
+      await eventService.createEvent({
+        sessionId: 'session_123',
+        parentId: 'u1',
+        userId: 'user_1',
+        agentId: 'agent_1',
+        fromType: 'agent',
+        fromId: 'agent_1',
+        toType: 'user',
+        toId: 'user_1',
+        content: 'A'
+      });
+
+      expect(eventRepository.getRecentEvents).not.toHaveBeenCalled();
+      expect(eventRepository.createEvent).toHaveBeenCalledWith(expect.objectContaining({ parentId: 'u1' }));
+    });
+
+    // 按父事件查询兄弟分支（同 EventRepository.getEventsByParentIds）
+    const mockParentIdsQuery = () => {
+      eventRepository.getEventsByParentIds.mockImplementation(async (sessionId, parentIds, includeRoots) =>
+        tree.filter(e => parentIds.includes(e.parentId) || (includeRoots && !e.parentId)));
+    };
+
+    it('getActivePath 应该只返回激活路径并附带兄弟分支信息', async () => {
+      eventRepository.getEventsBySession.mockResolvedValue(tree.filter(e => !e.supersededAt));
+      mockParentIdsQuery();
+
+      const path = await eventService.getActivePath('session_123');
+
+      expect(path.map(e => e.id)).toEqual(['u1', 'a1b']);
+      expect(path[0]).toMatchObject({ siblingIds: ['u1'], siblingIndex: 0 });
+      expect(path[1]).toMatchObject({ siblingIds: ['a1', 'a1b'], siblingIndex: 1 });
+      expect(eventRepository.getEventTreeBySession).not.toHaveBeenCalled();
+    });
+
+    it('switchBranch 应该截断当前分支并恢复目标分支的后续路径', async () => {
+      eventRepository.findEventById.mockImplementation(async (id) => tree.find(e => e.id === id) || null);
+      mockParentIdsQuery();
+      eventRepository.getEventsSupersededAt.mockResolvedValue(tree.filter(e => e.supersededAt === 500));
+      eventRepository.supersedeEventsFrom.mockResolvedValue(1);
+      eventRepository.restoreEvents.mockResolvedValue(3);
+      eventRepository.getEventsPage.mockResolvedValue({ events: [], hasMore: false });
+
+      const result = await eventService.switchBranch('a1', 'user_1');
+
+      expect(result).toMatchObject({ sessionId: 'session_123', hasMore: false, before: null });
+      expect(eventRepository.getEventsByParentIds).toHaveBeenCalledWith('session_123', ['u1'], false);
+      expect(eventRepository.supersedeEventsFrom).toHaveBeenCalledWith(
+        'session_123',
+        expect.objectContaining({ id: 'a1b', timestamp: 600 })
+      );
+      expect(eventRepository.getEventsSupersededAt).toHaveBeenCalledWith('session_123', 500);
+      expect(eventRepository.restoreEvents).toHaveBeenCalledWith(['a1', 'u2', 'a2']);
+      expect(eventRepository.getEventTreeBySession).not.toHaveBeenCalled();
+      expect(realtimeService.publish).toHaveBeenCalledWith(
+        'user_1',
+        'session.updated',
+        expect.objectContaining({ sessionId: 'session_123', reason: 'branch' })
+      );
+    });
+
+    it('switchBranch 只恢复父事件链能追溯到目标的事件', async () => {
+      eventRepository.findEventById.mockImplementation(async (id) => tree.find(e => e.id === id) || null);
+      mockParentIdsQuery();
+      eventRepository.getEventsSupersededAt.mockResolvedValue([
+        ...tree.filter(e => e.supersededAt === 500),
+        { id: 'x1', sessionId: 'session_123', parentId: 'other', fromType: 'agent', timestamp: 450, supersededAt: 500 }
+      ]);
+      eventRepository.getEventsPage.mockResolvedValue({ events: [], hasMore: false });
+
+      await eventService.switchBranch('a1', 'user_1');
+
+      expect(eventRepository.restoreEvents).toHaveBeenCalledWith(['a1', 'u2', 'a2']);
+    });
+
+    it('switchBranch 父事件不在激活路径上时应该拒绝', async () => {
+      const events = [
+        { ...tree[0], supersededAt: 700 },
+        tree[1]
+      ];
+      eventRepository.findEventById.mockImplementation(async (id) => events.find(e => e.id === id) || null);
+
+      await expect(eventService.switchBranch('a1', 'user_1'))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      expect(eventRepository.supersedeEventsFrom).not.toHaveBeenCalled();
+      expect(eventRepository.restoreEvents).not.toHaveBeenCalled();
+    });
+
+    it('switchBranch 目标已激活时不修改数据', async () => {
+      eventRepository.findEventById.mockResolvedValue(tree[4]);
+      eventRepository.getEventsPage.mockResolvedValue({ events: [], hasMore: false });
+
+      await eventService.switchBranch('a1b', 'user_1');
+
+      expect(eventRepository.supersedeEventsFrom).not.toHaveBeenCalled();
+      expect(eventRepository.restoreEvents).not.toHaveBeenCalled();
+      expect(realtimeService.publish).not.toHaveBeenCalled();
+    });
+
+    it('switchBranch 应该拒绝其他用户的消息', async () => {
+      eventRepository.findEventById.mockResolvedValue(tree[1]);
+
+      await expect(eventService.switchBranch('a1', 'other_user'))
+        .rejects.toMatchObject({ code: 'EVENT_NOT_FOUND' });
+    });
+  });
+
+  describe('getHistoryByUserAndAgent', () => {
+    const session = {
+      sessionId: 'session_456',
+      participants: [
+        { type: 'user', id: 'test_user_123' },
+        { type: 'agent', id: 'test_agent_123' }
+      ],
+      title: '第二个话题',
+      createdAt: 1000,
+      lastActiveAt: 2000,
+      archivedAt: null
+    };
 
+    it('应该在未指定会话时使用默认会话', async () => {
+      sessionService.findSessionByParticipants.mockResolvedValue(session);
+      eventRepository.getEventsPage.mockResolvedValue({ events: [], hasMore: false });
+
+      const result = await eventService.getHistoryByUserAndAgent('test_user_123', 'test_agent_123');
+
+      expect(result.session.title).toBe('第二个话题');
+      expect(sessionService.getSessionForUser).not.toHaveBeenCalled();
+    });
+
+    it('应该返回指定会话的历史', async () => {
+      sessionService.getSessionForUser.mockResolvedValue(session);
+      eventRepository.getEventsPage.mockResolvedValue({
+        events: [{ id: 'e1', sessionId: 'session_456', parentId: null, fromType: 'user', content: 'hi', timestamp: 1 }],
+        hasMore: false
+      });
+      eventRepository.getEventsByParentIds.mockResolvedValue([
+        { id: 'e1', sessionId: 'session_456', parentId: null, fromType: 'user', timestamp: 1 }
+      ]);
+
+      const result = await eventService.getHistoryByUserAndAgent(
+        'test_user_123',
+        'test_agent_123',
+        'session_456'
+      );
+
+      expect(sessionService.getSessionForUser).toHaveBeenCalledWith(
+        'session_456',
+        'test_user_123',
+        'test_agent_123'
+      );
+      expect(sessionService.findSessionByParticipants).not.toHaveBeenCalled();
+      expect(result.session.sessionId).toBe('session_456');
+      expect(result.events).toHaveLength(1);
+      expect(result.hasMore).toBe(false);
+      expect(result.before).toBeNull();
+    });
+
+    it('应该按 before 游标返回更早的一页', async () => {
+      sessionService.findSessionByParticipants.mockResolvedValue(session);
+      eventRepository.getEventsPage.mockResolvedValue({
+        events: [{ id: 'evt_b', sessionId: 'session_456', parentId: 'evt_a', fromType: 'agent', content: 'B', timestamp: 200 }],
+        hasMore: true
+      });
+      eventRepository.getEventsByParentIds.mockResolvedValue([]);
+
+      const result = await eventService.getHistoryByUserAndAgent(
+        'test_user_123',
+        'test_agent_123',
+        undefined,
+        { before: '300_evt_c', limit: '1' }
+      );
+
+      expect(eventRepository.getEventsPage).toHaveBeenCalledWith('session_456', {
+        before: { timestamp: 300, id: 'evt_c' },
+        limit: 1
+      });
+      expect(result.hasMore).toBe(true);
+      expect(result.before).toBe('200_evt_b');
+    });
+
+    it('应该拒绝格式不正确的游标和数量', async () => {
+      sessionService.findSessionByParticipants.mockResolvedValue(session);
+
+      await expect(
+        eventService.getHistoryByUserAndAgent('test_user_123', 'test_agent_123', undefined, { before: 'abc' })
+      ).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      await expect(
+        eventService.getHistoryByUserAndAgent('test_user_123', 'test_agent_123', undefined, { limit: '0' })
+      ).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      expect(eventRepository.getEventsPage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getActivePathPage', () => {
+    it('应该只查询当前页事件的兄弟分支', async () => {
+      eventRepository.getEventsPage.mockResolvedValue({
+        events: [
+          { id: 'u1', parentId: null, fromType: 'user', timestamp: 100 },
+          { id: 'a1b', parentId: 'u1', fromType: 'agent', timestamp: 300 }
+        ],
+        hasMore: false
+      });
+      eventRepository.getEventsByParentIds.mockResolvedValue([
+        { id: 'u1', parentId: null, fromType: 'user', timestamp: 100 },
+        { id: 'a1', parentId: 'u1', fromType: 'agent', timestamp: 200 },
+        { id: 'a1b', parentId: 'u1', fromType: 'agent', timestamp: 300 }
+      ]);
+
+      const page = await eventService.getActivePathPage('session_123');
+
+      expect(eventRepository.getEventsPage).toHaveBeenCalledWith('session_123', { before: null, limit: 50 });
+      expect(eventRepository.getEventsByParentIds).toHaveBeenCalledWith('session_123', ['u1'], true);
+      expect(page.events[1]).toMatchObject({ siblingIds: ['a1', 'a1b'], siblingIndex: 1 });
+      expect(page.before).toBeNull();
+    });
+
+    it('应该把每页数量限制在 200 以内', async () => {
+      eventRepository.getEventsPage.mockResolvedValue({ events: [], hasMore: false });
+
+      await eventService.getActivePathPage('session_123', { limit: 1000 });
+
+      expect(eventRepository.getEventsPage).toHaveBeenCalledWith('session_123', { before: null, limit: 200 });
+      expect(eventRepository.getEventsByParentIds).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getEventsAfter', () => {
+    it('应该按最后已知事件的时间位置查询之后的事件', async () => {
+      eventRepository.findEventById.mockResolvedValue({ id: 'u1', sessionId: 'session_123', timestamp: '100' });
+      eventRepository.getEventsAfter.mockResolvedValue({
+        events: [{ id: 'a1', parentId: 'u1', fromType: 'agent', timestamp: 200 }],
+        hasMore: true
+      });
+      eventRepository.getEventsByParentIds.mockResolvedValue([
+        { id: 'a1', parentId: 'u1', fromType: 'agent', timestamp: 200 }
+      ]);
+
+      const result = await eventService.getEventsAfter('session_123', 'u1', { limit: 1 });
+
+      expect(eventRepository.getEventsAfter).toHaveBeenCalledWith('session_123', { timestamp: 100, id: 'u1' }, 1);
+      expect(result.events[0]).toMatchObject({ id: 'a1', siblingIds: ['a1'] });
+      expect(result.hasMore).toBe(true);
+    });
+
+    it('应该在事件不属于该会话时返回最新的一页', async () => {
+      eventRepository.findEventById.mockResolvedValue({ id: 'x1', sessionId: 'other_session', timestamp: 100 });
+      eventRepository.getEventsPage.mockResolvedValue({ events: [], hasMore: true });
+
+      const result = await eventService.getEventsAfter('session_123', 'x1');
+
+      expect(eventRepository.getEventsAfter).not.toHaveBeenCalled();
+      expect(eventRepository.getEventsPage).toHaveBeenCalledWith('session_123', { limit: 50 });
+      expect(result).toEqual({ events: [], hasMore: false });
+    });
+  });
+
+  describe('updateReplyEvent', () => {
+    it('应该写入结果并更新会话活动时间', async () => {
+      eventRepository.updateReplyEvent.mockResolvedValue(true);
+      eventRepository.findEventById.mockResolvedValue({
+        id: 'event_1',
+        sessionId: 'session_123',
+        userId: 'user_1',
+        agentId: 'agent_1',
+        fromType: 'agent',
+        status: 'complete',
+      });
+
+      const event = await eventService.updateReplyEvent('event_1', { status: 'complete', content: '你好' });
+
+      expect(event).toMatchObject({ id: 'event_1', status: 'complete' });
+      expect(sessionService.updateSessionActivity).toHaveBeenCalledWith('session_123');
+      expect(realtimeService.publish).toHaveBeenCalledWith('user_1', 'event.updated', {
+        sessionId: 'session_123',
+        agentId: 'agent_1',
+        eventId: 'event_1',
+        fromType: 'agent',
+        status: 'complete',
+      });
+    });
+
+    it('应该在没有更新时返回 null', async () => {
+      eventRepository.updateReplyEvent.mockResolvedValue(false);
+
+      const event = await eventService.updateReplyEvent(
+        'event_1',
+        { status: 'pending' },
+        { expectedStatus: 'failed' }
+      );
+
+      expect(event).toBeNull();
+      expect(eventRepository.updateReplyEvent).toHaveBeenCalledWith(
+        'event_1',
+        { status: 'pending' },
+        { expectedStatus: 'failed' }
+      );
+      expect(eventRepository.findEventById).not.toHaveBeenCalled();
+    });
+
+    it('应该拒绝无效的状态', async () => {
+      await expect(
+        eventService.updateReplyEvent('event_1', { status: 'done' })
+      ).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+  });
+
+  describe('moveReplyEvent', () => {
+    it('应该把占位回复移到指定消息之后', async () => {
+      eventRepository.moveReplyEvent.mockResolvedValue(true);
+      eventRepository.findEventById.mockResolvedValue({
+        id: 'event_reply',
+        sessionId: 'session_123',
+        userId: 'user_1',
+        agentId: 'agent_1',
+        parentId: 'event_user_2',
+        timestamp: 2001,
+      });
+
+      const event = await eventService.moveReplyEvent('event_reply', { id: 'event_user_2', timestamp: 2000 });
+
+      expect(eventRepository.moveReplyEvent).toHaveBeenCalledWith('event_reply', 'event_user_2', 2001);
+      expect(event).toMatchObject({ id: 'event_reply', parentId: 'event_user_2' });
+      expect(realtimeService.publish).toHaveBeenCalledWith('user_1', 'session.updated', {
+        sessionId: 'session_123',
+        agentId: 'agent_1',
+        reason: 'reordered',
+      });
+    });
+
+    it('应该在占位回复已经开始生成时返回 null', async () => {
+      eventRepository.moveReplyEvent.mockResolvedValue(false);
+
+      const event = await eventService.moveReplyEvent('event_reply', { id: 'event_user_2', timestamp: 2000 });
+
+      expect(event).toBeNull();
+      expect(eventRepository.findEventById).not.toHaveBeenCalled();
+      expect(realtimeService.publish).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getEventsByIds', () => {
+    it('应该去重并忽略无效的 ID', async () => {
+      eventRepository.getEventsByIds.mockResolvedValue([]);
+
+      await eventService.getEventsByIds('session_123', ['event_1', '', 'event_1', null, 'event_2']);
+
+      expect(eventRepository.getEventsByIds).toHaveBeenCalledWith('session_123', ['event_1', 'event_2']);
+      await expect(eventService.getEventsByIds('session_123', [])).resolves.toEqual([]);
+    });
+  });
+});
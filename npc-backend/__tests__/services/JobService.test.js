@@ -0,0 +1,360 @@
+/**
+ * JobService 测试
+ */
+
+const jobService = require('../../services/JobService');
+const jobRepository = require('../../repositories/JobRepository');
+
+jest.mock('../../repositories/JobRepository');
+
+describe('JobService', () => {
+  const config = {
+    concurrency: 2,
+    pollIntervalMs: 1000,
+    leaseMs: 60000,
+    maxAttempts: 3,
+    retryBaseMs: 5000,
+    retryMaxMs: 300000,
+    retentionDays: 7
+  };
+
+  const job = {
+    id: 'job_1',
+    type: 'test_job',
+    payload: { value: 1 },
+    userId: 'user_1',
+    status: 'running',
+    attempts: 1,
+    maxAttempts: 3,
+    lockedBy: 'worker_1:1',
+    lastError: null
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jobRepository.markSucceeded.mockResolvedValue(true);
+    jobRepository.markFailed.mockResolvedValue(true);
+    jobRepository.reschedule.mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+    console.error.mockRestore();
+  });
+
+  describe('computeBackoff', () => {
+    it('应该按指数退避并且不超过上限', () => {
+      expect(jobService.computeBackoff(1, config)).toBe(5000);
+      expect(jobService.computeBackoff(3, config)).toBe(20000);
+      expect(jobService.computeBackoff(20, config)).toBe(300000);
+    });
+  });
+
+  describe('enqueue', () => {
+    it('应该以默认最多执行次数保存任务', async () => {
+      jobRepository.create.mockImplementation(async (data) => ({ ...data, status: 'queued' }));
+
+      const created = await jobService.enqueue('test_job', { value: 1 }, { userId: 'user_1', sessionId: 'session_1' });
+
+      expect(created.id).toMatch(/^job_/);
+      expect(jobRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'test_job',
+        payload: { value: 1 },
+        userId: 'user_1',
+        sessionId: 'session_1',
+        maxAttempts: 3,
+        runAt: expect.any(Number)
+      }));
+    });
+
+    it('应该拒绝空的任务类型', async () => {
+      await expect(jobService.enqueue('', {})).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      expect(jobRepository.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('runInline', () => {
+    beforeEach(() => {
+      jobRepository.createClaimed.mockImplementation(async (data) => ({ ...data, status: 'running', attempts: 1 }));
+    });
+
+    it('应该创建本实例持有的任务，执行成功后标记成功', async () => {
+      const work = jest.fn().mockResolvedValue('done');
+
+      const result = await jobService.runInline('test_job', { value: 1 }, { userId: 'user_1', sessionId: 'session_1' }, work);
+
+      expect(result).toBe('done');
+      const created = jobRepository.createClaimed.mock.calls[0][0];
+      expect(created).toMatchObject({
+        type: 'test_job',
+        payload: { value: 1 },
+        userId: 'user_1',
+        sessionId: 'session_1',
+        lockedBy: expect.stringContaining(jobService.WORKER_ID)
+      });
+      expect(created.leaseUntil).toBeGreaterThan(Date.now());
+      expect(work).toHaveBeenCalledWith({ job: expect.objectContaining({ id: created.id }), signal: expect.any(Object) });
+      expect(jobRepository.markSucceeded).toHaveBeenCalledWith(created.id, created.lockedBy);
+    });
+
+    it('应该在执行失败时标记失败（不重试）并抛出错误', async () => {
+      const work = jest.fn().mockRejectedValue({ code: 'LLM_API_ABORTED', message: '已中止' });
+
+      await expect(jobService.runInline('test_job', {}, {}, work)).rejects.toMatchObject({ code: 'LLM_API_ABORTED' });
+
+      const created = jobRepository.createClaimed.mock.calls[0][0];
+      expect(jobRepository.markFailed).toHaveBeenCalledWith(created.id, created.lockedBy, '已中止');
+      expect(jobRepository.reschedule).not.toHaveBeenCalled();
+      expect(jobRepository.markSucceeded).not.toHaveBeenCalled();
+    });
+
+    it('取消任务时应该中止执行函数的 signal', async () => {
+      jobRepository.markCancelled.mockResolvedValue(true);
+      let signal = null;
+      const work = jest.fn(async (context) => {
+        signal = context.signal;
+        await jobService.cancel(context.job.id);
+        return 'stopped';
+      });
+
+      await jobService.runInline('test_job', {}, {}, work);
+
+      expect(signal.aborted).toBe(true);
+    });
+  });
+
+  describe('getJobForUser', () => {
+    it('应该返回自己的任务状态', async () => {
+      jobRepository.findById.mockResolvedValue({ ...job, status: 'succeeded' });
+
+      const status = await jobService.getJobForUser('job_1', 'user_1');
+
+      expect(status).toMatchObject({ jobId: 'job_1', status: 'succeeded', attempts: 1 });
+      expect(status.payload).toBeUndefined();
+    });
+
+    it('应该在任务属于其他用户时抛出 JOB_NOT_FOUND', async () => {
+      jobRepository.findById.mockResolvedValue(job);
+
+      await expect(jobService.getJobForUser('job_1', 'user_2')).rejects.toMatchObject({
+        code: 'JOB_NOT_FOUND'
+      });
+    });
+  });
+
+  describe('runJob', () => {
+    it('应该调用处理函数并标记成功', async () => {
+      const handler = jest.fn().mockResolvedValue({ ok: true });
+      jobService.registerHandler('test_job', handler);
+
+      await jobService.runJob(job, config);
+
+      expect(handler).toHaveBeenCalledWith({ value: 1 }, {
+        job,
+        attempt: 1,
+        isFinalAttempt: false,
+        signal: expect.any(AbortSignal)
+      });
+      expect(jobRepository.markSucceeded).toHaveBeenCalledWith('job_1', 'worker_1:1');
+    });
+
+    it('应该在失败且还有次数时退避后重新排队', async () => {
+      jobService.registerHandler('test_job', jest.fn().mockRejectedValue({ message: '超时' }));
+      const before = Date.now();
+
+      await jobService.runJob({ ...job, attempts: 2 }, config);
+
+      const [jobId, lockedBy, runAt, errorMessage] = jobRepository.reschedule.mock.calls[0];
+      expect([jobId, lockedBy, errorMessage]).toEqual(['job_1', 'worker_1:1', '超时']);
+      expect(runAt).toBeGreaterThanOrEqual(before + 10000);
+      expect(jobRepository.markFailed).not.toHaveBeenCalled();
+    });
+
+    it('应该在最后一次执行失败时标记失败', async () => {
+      const handler = jest.fn().mockRejectedValue(new Error('still failing'));
+      jobService.registerHandler('test_job', handler);
+
+      await jobService.runJob({ ...job, attempts: 3 }, config);
+
+      expect(handler.mock.calls[0][1].isFinalAttempt).toBe(true);
+      expect(jobRepository.markFailed).toHaveBeenCalledWith('job_1', 'worker_1:1', 'still failing');
+      expect(jobRepository.reschedule).not.toHaveBeenCalled();
+    });
+
+    it('应该在错误不可重试时直接标记失败', async () => {
+      jobService.registerHandler('test_job', jest.fn().mockRejectedValue({ message: 'bad', retryable: false }));
+
+      await jobService.runJob(job, config);
+
+      expect(jobRepository.markFailed).toHaveBeenCalledWith('job_1', 'worker_1:1', 'bad');
+    });
+
+    it('应该在超过最多执行次数时不再执行（实例多次在执行中途退出）', async () => {
+      const handler = jest.fn();
+      jobService.registerHandler('test_job', handler);
+
+      await jobService.runJob({ ...job, attempts: 4, lastError: '租约过期' }, config);
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(jobRepository.markFailed).toHaveBeenCalledWith('job_1', 'worker_1:1', '租约过期');
+    });
+
+    it('应该在最终失败时回调 onFailed', async () => {
+      const onFailed = jest.fn().mockResolvedValue();
+      jobService.registerHandler(
+        'test_job',
+        jest.fn().mockRejectedValue({ code: 'LLM_API_ERROR', message: 'bad', retryable: false }),
+        { onFailed }
+      );
+      jobRepository.markFailed.mockResolvedValue(true);
+
+      await jobService.runJob(job, config);
+
+      expect(onFailed).toHaveBeenCalledWith({ value: 1 }, {
+        job,
+        code: 'LLM_API_ERROR',
+        message: 'bad'
+      });
+    });
+
+    it('应该在超过最多执行次数时回调 onFailed，租约已丢失时不回调', async () => {
+      const onFailed = jest.fn().mockResolvedValue();
+      jobService.registerHandler('test_job', jest.fn(), { onFailed });
+      jobRepository.markFailed.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+      await jobService.runJob({ ...job, attempts: 4, lastError: '租约过期' }, config);
+      await jobService.runJob({ ...job, attempts: 4, lastError: '租约过期' }, config);
+
+      expect(onFailed).toHaveBeenCalledTimes(1);
+      expect(onFailed.mock.calls[0][1]).toMatchObject({ code: 'JOB_MAX_ATTEMPTS', message: '租约过期' });
+    });
+
+    it('应该在重新排队时不回调 onFailed', async () => {
+      const onFailed = jest.fn();
+      jobService.registerHandler('test_job', jest.fn().mockRejectedValue({ message: '超时' }), { onFailed });
+
+      await jobService.runJob(job, config);
+
+      expect(onFailed).not.toHaveBeenCalled();
+    });
+
+    it('应该在没有处理函数时标记失败', async () => {
+      await jobService.runJob({ ...job, type: 'unknown_job' }, config);
+
+      expect(jobRepository.markFailed).toHaveBeenCalledWith(
+        'job_1',
+        'worker_1:1',
+        '未知的任务类型：unknown_job'
+      );
+    });
+  });
+
+  describe('cancel', () => {
+    it('应该取消任务并中止本实例正在执行的处理函数', async () => {
+      jobRepository.markCancelled.mockResolvedValue(true);
+      let signal = null;
+      const handler = jest.fn((payload, context) => {
+        signal = context.signal;
+        return new Promise((resolve, reject) => {
+          context.signal.addEventListener('abort', () => reject({ code: 'ABORTED', message: '已中止' }));
+        });
+      });
+      jobService.registerHandler('test_job', handler);
+      jobRepository.reschedule.mockResolvedValue(false);
+
+      const running = jobService.runJob(job, config);
+      expect(await jobService.cancel('job_1')).toBe(true);
+      await running;
+
+      expect(jobRepository.markCancelled).toHaveBeenCalledWith('job_1');
+      expect(signal.aborted).toBe(true);
+      expect(jobRepository.markSucceeded).not.toHaveBeenCalled();
+    });
+
+    it('应该在任务已经结束时返回 false', async () => {
+      jobRepository.markCancelled.mockResolvedValue(false);
+
+      expect(await jobService.cancel('job_9')).toBe(false);
+    });
+
+    it('应该在续租失败（任务被取消或被其他实例重新领取）时中止处理函数', async () => {
+      jest.useFakeTimers();
+      try {
+        jobRepository.extendLease.mockResolvedValue(false);
+        let signal = null;
+        const handler = jest.fn((payload, context) => {
+          signal = context.signal;
+          return new Promise((resolve) => {
+            context.signal.addEventListener('abort', () => resolve());
+          });
+        });
+        jobService.registerHandler('test_job', handler);
+
+        const running = jobService.runJob(job, { ...config, leaseMs: 3000 });
+        await jest.advanceTimersByTimeAsync(1000);
+        await running;
+
+        expect(jobRepository.extendLease).toHaveBeenCalledWith('job_1', 'worker_1:1', expect.any(Number));
+        expect(signal.aborted).toBe(true);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+
+  describe('cancelQueued', () => {
+    it('应该只取消还在排队的任务', async () => {
+      jobRepository.cancelQueued.mockResolvedValue(true);
+
+      expect(await jobService.cancelQueued('job_1')).toBe(true);
+      expect(jobRepository.cancelQueued).toHaveBeenCalledWith('job_1');
+      expect(jobRepository.markCancelled).not.toHaveBeenCalled();
+    });
+
+    it('应该在任务已被领取时返回 false', async () => {
+      jobRepository.cancelQueued.mockResolvedValue(false);
+
+      expect(await jobService.cancelQueued('job_1')).toBe(false);
+    });
+  });
+
+  describe('findActiveJobs', () => {
+    it('应该查询会话中等待执行或执行中的任务', async () => {
+      jobRepository.findActiveBySession.mockResolvedValue([job]);
+
+      expect(await jobService.findActiveJobs('session_1', 'test_job')).toEqual([job]);
+      expect(jobRepository.findActiveBySession).toHaveBeenCalledWith('session_1', 'test_job');
+    });
+  });
+
+  describe('claimJobs', () => {
+    it('应该领取任务直到没有到期任务或占满并发数', async () => {
+      const handler = jest.fn().mockResolvedValue();
+      jobService.registerHandler('test_job', handler);
+      jobRepository.claimNext
+        .mockResolvedValueOnce(job)
+        .mockResolvedValueOnce({ ...job, id: 'job_2', lockedBy: 'worker_1:2' })
+        .mockResolvedValueOnce({ ...job, id: 'job_3' });
+
+      const claimed = await jobService.claimJobs(config);
+
+      expect(claimed).toBe(2);
+      expect(jobRepository.claimNext).toHaveBeenCalledTimes(2);
+      expect(jobRepository.claimNext.mock.calls[0][0]).toContain(jobService.WORKER_ID);
+      expect(jobRepository.claimNext.mock.calls[0][0]).not.toBe(jobRepository.claimNext.mock.calls[1][0]);
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(jobRepository.markSucceeded).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('recoverStaleJobs', () => {
+    it('应该把租约过期的任务放回队列', async () => {
+      jobRepository.requeueExpired.mockResolvedValue(2);
+
+      expect(await jobService.recoverStaleJobs()).toBe(2);
+      expect(jobRepository.requeueExpired).toHaveBeenCalledWith(expect.any(Number));
+    });
+  });
+});
@@ -0,0 +1,602 @@
+/**
+ * LLMService 测试
+ */
+
+const llmService = require('../../services/LLMService');
+const userApiKeyService = require('../../services/UserApiKeyService');
+
+jest.mock('../../services/UserApiKeyService');
+
+/**
+ * 构造一个返回 SSE 数据的 fetch 响应
+ *
+ * @param {Array<string>} chunks - 按顺序返回的网络数据块
+ */
+function createStreamResponse(chunks) {
+  const encoder = new TextEncoder();
+  return {
+    ok: true,
+    status: 200,
+    body: new ReadableStream({
+      start(controller) {
+        chunks.forEach((chunk) => controller.enqueue(encoder.encode(chunk)));
+        controller.close();
+      }
+    })
+  };
+}
+
+describe('LLMService', () => {
+  const originalFetch = global.fetch;
+  const originalKey = process.env.OPENROUTER_API_KEY;
+
+  const baseOptions = {
+    model: 'openai/gpt-3.5-turbo',
+    provider: 'openrouter',
+    systemPrompt: 'You are helpful',
+    messages: [{ role: 'user', content: 'Hi' }]
+  };
+
+  beforeEach(() => {
+    process.env.OPENROUTER_API_KEY = 'test-key';
+    global.fetch = jest.fn();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    if (originalKey === undefined) {
+      delete process.env.OPENROUTER_API_KEY;
+    } else {
+      process.env.OPENROUTER_API_KEY = originalKey;
+    }
+    jest.restoreAllMocks();
+  });
+
+  describe('generateReply', () => {
+    it('应该返回非流式回复内容', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: async () => ({ choices: [{ message: { content: '  你好  ' } }] })
+      });
+
+      const reply = await llmService.generateReply(baseOptions);
+
+      expect(reply).toBe('你好');
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body.stream).toBeUndefined();
+    });
+
+    it('应该解析流式响应并逐段回调增量', async () => {
+      global.fetch.mockResolvedValue(createStreamResponse([
+        ': OPENROUTER PROCESSING\n\n',
+        'data: {"choices":[{"delta":{"content":"你"}}]}\n\ndata: {"choi',
+        'ces":[{"delta":{"content":"好"}}]}\n\n',
+        'data: {"choices":[{"delta":{}}]}\n\n',
+        'data: [DONE]\n\n'
+      ]));
+      const onDelta = jest.fn();
+
+      const reply = await llmService.generateReply({ ...baseOptions, stream: true, onDelta });
+
+      expect(reply).toBe('你好');
+      expect(onDelta.mock.calls).toEqual([['你'], ['好']]);
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body.stream).toBe(true);
+    });
+
+    it('应该在流式输出开始后出错时不再重试', async () => {
+      global.fetch.mockResolvedValue(createStreamResponse([
+        'data: {"choices":[{"delta":{"content":"部分"}}]}\n\n',
+        'data: {"error":{"message":"upstream failed"}}\n\n'
+      ]));
+      const onDelta = jest.fn();
+
+      await expect(
+        llmService.generateReply({ ...baseOptions, stream: true, onDelta })
+      ).rejects.toMatchObject({ code: 'LLM_API_ERROR', partial: true });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(onDelta).toHaveBeenCalledWith('部分');
+    });
+
+    it('应该在外部信号中止时抛出 LLM_API_ABORTED', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(
+        llmService.generateReply({ ...baseOptions, stream: true, signal: controller.signal })
+      ).rejects.toMatchObject({ code: 'LLM_API_ABORTED' });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('buildPromptFromEvents', () => {
+    it('应该跳过已被替代、生成中和生成失败的回复', () => {
+      const messages = llmService.buildPromptFromEvents([
+        { fromType: 'user', content: '你好' },
+        { fromType: 'agent', content: 'AI 服务响应超时，请稍后再试。', status: 'failed' },
+        { fromType: 'agent', content: '旧回复', status: 'complete', supersededAt: 1 },
+        { fromType: 'agent', content: '你好呀', status: 'complete' },
+        { fromType: 'user', content: '在吗' },
+        { fromType: 'agent', content: '', status: 'pending' }
+      ]);
+
+      expect(messages).toEqual([
+        { role: 'user', content: '你好' },
+        { role: 'assistant', content: '你好呀' },
+        { role: 'user', content: '在吗' }
+      ]);
+    });
+  });
+
+  describe('错误分类', () => {
+    it('应该在请求本身有问题（400）时不重试', async () => {
+      global.fetch.mockResolvedValue({
+        ok: false,
+        status: 400,
+        statusText: 'Bad Request',
+        json: async () => ({ error: { message: 'invalid model', type: 'invalid_request_error' } })
+      });
+
+      await expect(llmService.generateReply(baseOptions)).rejects.toMatchObject({
+        code: 'LLM_API_ERROR',
+        status: 400,
+        retryable: false,
+        message: 'invalid model'
+      });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('自定义提供商', () => {
+    const originalProviders = process.env.LLM_PROVIDERS;
+
+    afterEach(() => {
+      if (originalProviders === undefined) {
+        delete process.env.LLM_PROVIDERS;
+      } else {
+        process.env.LLM_PROVIDERS = originalProviders;
+      }
+      delete process.env.VLLM_TOKEN;
+    });
+
+    it('应该调用无需认证的本地提供商且不发送 Authorization 头', async () => {
+      process.env.LLM_PROVIDERS = JSON.stringify([
+        { name: 'ollama', base_url: 'http://localhost:11434/v1/', auth: 'none' }
+      ]);
+      global.fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: async () => ({ choices: [{ message: { content: '本地回复' } }] })
+      });
+
+      const reply = await llmService.generateReply({
+        ...baseOptions,
+        model: 'llama3.1:8b',
+        provider: 'ollama'
+      });
+
+      expect(reply).toBe('本地回复');
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe('http://localhost:11434/v1/chat/completions');
+      expect(init.headers.Authorization).toBeUndefined();
+      expect(JSON.parse(init.body).model).toBe('llama3.1:8b');
+    });
+
+    it('应该按配置的请求头发送 API Key', async () => {
+      process.env.LLM_PROVIDERS = JSON.stringify([
+        {
+          name: 'vllm',
+          base_url: 'http://gpu-box:8000/v1',
+          auth: 'header',
+          auth_header: 'api-key',
+          api_key_env: 'VLLM_TOKEN'
+        }
+      ]);
+      process.env.VLLM_TOKEN = 'vllm-key';
+      global.fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: async () => ({ choices: [{ message: { content: 'ok' } }] })
+      });
+
+      await llmService.generateReply({ ...baseOptions, model: 'qwen2.5', provider: 'vllm' });
+
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe('http://gpu-box:8000/v1/chat/completions');
+      expect(init.headers['api-key']).toBe('vllm-key');
+      expect(init.headers.Authorization).toBeUndefined();
+    });
+
+    it('应该在需要认证的提供商缺少 API Key 时抛出 API_KEY_MISSING', async () => {
+      process.env.LLM_PROVIDERS = JSON.stringify([
+        { name: 'vllm', base_url: 'http://gpu-box:8000/v1', api_key_env: 'VLLM_TOKEN' }
+      ]);
+
+      await expect(
+        llmService.generateReply({ ...baseOptions, model: 'qwen2.5', provider: 'vllm' })
+      ).rejects.toMatchObject({ code: 'API_KEY_MISSING' });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('应该拒绝未注册的提供商', async () => {
+      await expect(
+        llmService.generateReply({ ...baseOptions, provider: 'unknown' })
+      ).rejects.toMatchObject({ code: 'INVALID_PROVIDER' });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('生成参数', () => {
+    const originalProviders = process.env.LLM_PROVIDERS;
+
+    afterEach(() => {
+      if (originalProviders === undefined) {
+        delete process.env.LLM_PROVIDERS;
+      } else {
+        process.env.LLM_PROVIDERS = originalProviders;
+      }
+    });
+
+    it('应该在未设置时只发送默认 temperature', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: async () => ({ choices: [{ message: { content: 'ok' } }] })
+      });
+
+      await llmService.generateReply({ ...baseOptions, generationParams: null });
+
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body.temperature).toBe(0.7);
+      expect(body).not.toHaveProperty('max_tokens');
+      expect(body).not.toHaveProperty('top_p');
+    });
+
+    it('应该把生成参数转换为 OpenAI 格式的字段', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: async () => ({ choices: [{ message: { content: 'ok' } }] })
+      });
+
+      await llmService.generateReply({
+        ...baseOptions,
+        generationParams: {
+          temperature: 1.3,
+          maxTokens: 256,
+          topP: 0.9,
+          stop: ['END'],
+          frequencyPenalty: 0.5,
+          presencePenalty: -0.5
+        }
+      });
+
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body).toMatchObject({
+        temperature: 1.3,
+        max_tokens: 256,
+        top_p: 0.9,
+        stop: ['END'],
+        frequency_penalty: 0.5,
+        presence_penalty: -0.5
+      });
+    });
+
+    it('应该丢弃 Anthropic 格式不支持的参数并打印警告', async () => {
+      process.env.LLM_PROVIDERS = JSON.stringify([
+        { name: 'claude-proxy', base_url: 'http://proxy/v1', api: 'anthropic', auth: 'none' }
+      ]);
+      global.fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: async () => ({ content: [{ type: 'text', text: 'ok' }], stop_reason: 'end_turn' })
+      });
+
+      const reply = await llmService.generateReply({
+        ...baseOptions,
+        model: 'claude-sonnet-4-5',
+        provider: 'claude-proxy',
+        generationParams: { temperature: 0.2, stop: ['END'], frequencyPenalty: 1, presencePenalty: 1 }
+      });
+
+      expect(reply).toBe('ok');
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body.temperature).toBe(0.2);
+      expect(body.stop_sequences).toEqual(['END']);
+      expect(body).not.toHaveProperty('frequency_penalty');
+      expect(body).not.toHaveProperty('presence_penalty');
+      expect(console.warn).toHaveBeenCalledWith(
+        expect.stringContaining('dropped: frequencyPenalty, presencePenalty')
+      );
+    });
+
+    it('应该丢弃提供商配置为 unsupported_params 的参数', async () => {
+      process.env.LLM_PROVIDERS = JSON.stringify([
+        {
+          name: 'ollama',
+          base_url: 'http://localhost:11434/v1',
+          auth: 'none',
+          unsupported_params: ['presence_penalty']
+        }
+      ]);
+      global.fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: async () => ({ choices: [{ message: { content: 'ok' } }] })
+      });
+
+      await llmService.generateReply({
+        ...baseOptions,
+        model: 'llama3.1:8b',
+        provider: 'ollama',
+        generationParams: { topP: 0.8, presencePenalty: 1 }
+      });
+
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body.top_p).toBe(0.8);
+      expect(body).not.toHaveProperty('presence_penalty');
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('dropped: presencePenalty'));
+    });
+  });
+
+  describe('备用模型', () => {
+    const originalProviders = process.env.LLM_PROVIDERS;
+    const okResponse = (content) => ({
+      ok: true,
+      status: 200,
+      json: async () => ({ choices: [{ message: { content } }] })
+    });
+    const errorResponse = (status) => ({
+      ok: false,
+      status,
+      statusText: 'Error',
+      json: async () => ({ error: { message: `upstream ${status}` } })
+    });
+
+    beforeEach(() => {
+      process.env.LLM_PROVIDERS = JSON.stringify([
+        { name: 'ollama', base_url: 'http://localhost:11434/v1', auth: 'none' }
+      ]);
+    });
+
+    afterEach(() => {
+      if (originalProviders === undefined) {
+        delete process.env.LLM_PROVIDERS;
+      } else {
+        process.env.LLM_PROVIDERS = originalProviders;
+      }
+    });
+
+    it('应该在主模型 429 时立即切换到跨提供商的备用模型', async () => {
+      global.fetch
+        .mockResolvedValueOnce(errorResponse(429))
+        .mockResolvedValueOnce(okResponse('备用回复'));
+      const onModelUsed = jest.fn();
+
+      const reply = await llmService.generateReply({
+        ...baseOptions,
+        fallbackModels: [{ model: 'llama3.1:8b', provider: 'ollama' }],
+        onModelUsed
+      });
+
+      expect(reply).toBe('备用回复');
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(global.fetch.mock.calls[1][0]).toBe('http://localhost:11434/v1/chat/completions');
+      expect(JSON.parse(global.fetch.mock.calls[1][1].body).model).toBe('llama3.1:8b');
+      expect(onModelUsed).toHaveBeenCalledWith({
+        model: 'llama3.1:8b',
+        provider: 'ollama',
+        fallback: true,
+        usage: expect.objectContaining({ latencyMs: expect.any(Number) })
+      });
+    });
+
+    it('应该在主模型成功时回调主模型', async () => {
+      global.fetch.mockResolvedValue(okResponse('主回复'));
+      const onModelUsed = jest.fn();
+
+      await llmService.generateReply({
+        ...baseOptions,
+        fallbackModels: [{ model: 'llama3.1:8b', provider: 'ollama' }],
+        onModelUsed
+      });
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(onModelUsed).toHaveBeenCalledWith({
+        model: 'openai/gpt-3.5-turbo',
+        provider: 'openrouter',
+        fallback: false,
+        usage: expect.objectContaining({ latencyMs: expect.any(Number) })
+      });
+    });
+
+    it('应该按顺序尝试多个备用模型', async () => {
+      global.fetch
+        .mockResolvedValueOnce(errorResponse(503))
+        .mockResolvedValueOnce(errorResponse(500))
+        .mockResolvedValueOnce(okResponse('第二个备用'));
+
+      const reply = await llmService.generateReply({
+        ...baseOptions,
+        fallbackModels: [
+          { model: 'qwen2.5', provider: 'ollama' },
+          { model: 'llama3.1:8b', provider: 'ollama' }
+        ]
+      });
+
+      expect(reply).toBe('第二个备用');
+      expect(JSON.parse(global.fetch.mock.calls[2][1].body).model).toBe('llama3.1:8b');
+    });
+
+    it('应该在请求错误（400）时不切换备用模型', async () => {
+      global.fetch.mockResolvedValue(errorResponse(400));
+
+      await expect(
+        llmService.generateReply({
+          ...baseOptions,
+          fallbackModels: [{ model: 'llama3.1:8b', provider: 'ollama' }]
+        })
+      ).rejects.toMatchObject({ code: 'LLM_API_ERROR', status: 400 });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('应该跳过不可用的备用模型并抛出最后的错误', async () => {
+      global.fetch.mockResolvedValueOnce(errorResponse(429));
+      userApiKeyService.resolveApiKeys.mockResolvedValueOnce({ source: 'pool', apiKeys: null });
+
+      await expect(
+        llmService.generateReply({
+          ...baseOptions,
+          userId: 'user_1',
+          fallbackModels: [{ model: 'gpt-4.1', provider: 'disabled-provider' }]
+        })
+      ).rejects.toMatchObject({ status: 429 });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('is not available, skipped'));
+    });
+  });
+
+  describe('用量', () => {
+    const originalProviders = process.env.LLM_PROVIDERS;
+
+    afterEach(() => {
+      if (originalProviders === undefined) {
+        delete process.env.LLM_PROVIDERS;
+      } else {
+        process.env.LLM_PROVIDERS = originalProviders;
+      }
+    });
+
+    it('应该通过 onModelUsed 返回非流式响应的 token 用量和耗时', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: async () => ({
+          choices: [{ message: { content: '你好' } }],
+          usage: { prompt_tokens: 42, completion_tokens: 7, total_tokens: 49 }
+        })
+      });
+      const onModelUsed = jest.fn();
+
+      await llmService.generateReply({ ...baseOptions, onModelUsed });
+
+      expect(onModelUsed).toHaveBeenCalledWith({
+        model: 'openai/gpt-3.5-turbo',
+        provider: 'openrouter',
+        fallback: false,
+        usage: { promptTokens: 42, completionTokens: 7, latencyMs: expect.any(Number) }
+      });
+    });
+
+    it('应该在流式请求中要求返回用量，并读取最后一条数据中的 usage', async () => {
+      global.fetch.mockResolvedValue(createStreamResponse([
+        'data: {"choices":[{"delta":{"content":"你好"}}]}\n\n',
+        'data: {"choices":[],"usage":{"prompt_tokens":30,"completion_tokens":2}}\n\n',
+        'data: [DONE]\n\n'
+      ]));
+      const onModelUsed = jest.fn();
+
+      const reply = await llmService.generateReply({ ...baseOptions, stream: true, onModelUsed });
+
+      expect(reply).toBe('你好');
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body.stream_options).toEqual({ include_usage: true });
+      expect(onModelUsed.mock.calls[0][0].usage).toMatchObject({ promptTokens: 30, completionTokens: 2 });
+    });
+
+    it('应该合并 Anthropic 流式事件中分开返回的输入和输出 token 数', async () => {
+      process.env.LLM_PROVIDERS = JSON.stringify([
+        { name: 'claude-proxy', base_url: 'http://proxy/v1', api: 'anthropic', auth: 'none' }
+      ]);
+      global.fetch.mockResolvedValue(createStreamResponse([
+        'event: message_start\ndata: {"type":"message_start","message":{"usage":{"input_tokens":25,"output_tokens":1}}}\n\n',
+        'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"text_delta","text":"好"}}\n\n',
+        'event: message_delta\ndata: {"type":"message_delta","delta":{"stop_reason":"end_turn"},"usage":{"output_tokens":9}}\n\n',
+        'event: message_stop\ndata: {"type":"message_stop"}\n\n'
+      ]));
+      const onModelUsed = jest.fn();
+
+      await llmService.generateReply({
+        ...baseOptions,
+        model: 'claude-sonnet-4-5',
+        provider: 'claude-proxy',
+        stream: true,
+        onModelUsed
+      });
+
+      expect(onModelUsed.mock.calls[0][0].usage).toMatchObject({ promptTokens: 25, completionTokens: 9 });
+    });
+
+    it('应该在提供商没有返回用量时回调 null token 数', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: async () => ({ choices: [{ message: { content: '你好' } }] })
+      });
+      const onModelUsed = jest.fn();
+
+      await llmService.generateReply({ ...baseOptions, onModelUsed });
+
+      expect(onModelUsed.mock.calls[0][0].usage).toMatchObject({ promptTokens: null, completionTokens: null });
+    });
+  });
+
+  describe('用户自己的 API Key', () => {
+    it('应该优先使用用户保存的 API Key', async () => {
+      userApiKeyService.resolveApiKeys.mockResolvedValue({ source: 'user', apiKeys: ['user-own-key'] });
+      global.fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: async () => ({ choices: [{ message: { content: 'ok' } }] })
+      });
+
+      await llmService.generateReply({ ...baseOptions, userId: 'user_1' });
+
+      expect(userApiKeyService.resolveApiKeys).toHaveBeenCalledWith('user_1', 'openrouter');
+      expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer user-own-key');
+    });
+
+    it('应该在没有个人 Key 时使用共享 Key 池', async () => {
+      userApiKeyService.resolveApiKeys.mockResolvedValue({ source: 'pool', apiKeys: null });
+      global.fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: async () => ({ choices: [{ message: { content: 'ok' } }] })
+      });
+
+      await llmService.generateReply({ ...baseOptions, userId: 'user_1' });
+
+      expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer test-key');
+    });
+
+    it('应该在共享 Key 池关闭时直接抛出 API_KEY_REQUIRED', async () => {
+      const error = new Error('请先在设置中填写你自己的 OpenRouter API Key');
+      error.code = 'API_KEY_REQUIRED';
+      userApiKeyService.resolveApiKeys.mockRejectedValue(error);
+
+      await expect(
+        llmService.generateReply({ ...baseOptions, userId: 'user_1' })
+      ).rejects.toMatchObject({ code: 'API_KEY_REQUIRED' });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('应该在个人 Key 被拒绝时标记 keySource 且不回退到共享 Key 池', async () => {
+      userApiKeyService.resolveApiKeys.mockResolvedValue({ source: 'user', apiKeys: ['user-own-key'] });
+      global.fetch.mockResolvedValue({
+        ok: false,
+        status: 401,
+        statusText: 'Unauthorized',
+        json: async () => ({ error: { message: 'No auth credentials found' } })
+      });
+
+      await expect(
+        llmService.generateReply({ ...baseOptions, userId: 'user_1' })
+      ).rejects.toMatchObject({ code: 'LLM_API_ERROR', status: 401, keySource: 'user' });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * MemoryService 测试
+ */
+
+const memoryService = require('../../services/MemoryService');
+const memoryRepository = require('../../repositories/MemoryRepository');
+const eventService = require('../../services/EventService');
+const sessionService = require('../../services/SessionService');
+const llmService = require('../../services/LLMService');
+
+// Mock 依赖
+jest.mock('../../repositories/MemoryRepository');
+jest.mock('../../services/EventService');
+jest.mock('../../services/SessionService');
+jest.mock('../../services/LLMService');
+
+describe('MemoryService', () => {
+  const agent = {
+    id: 'agent_1',
+    name: '学习教练',
+    model: 'openai/gpt-3.5-turbo',
+    provider: 'openrouter'
+  };
+
+  /**
+   * 生成按时间递增的对话事件
+   */
+  const createEvents = (count) => Array.from({ length: count }, (_, i) => ({
+    id: `event_${i + 1}`,
+    fromType: i % 2 === 0 ? 'user' : 'agent',
+    content: `消息 ${i + 1}`,
+    timestamp: (i + 1) * 1000
+  }));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getMemoryContext', () => {
+    it('应该拼接长期记忆和会话摘要', async () => {
+      memoryRepository.findMemoriesByUserAndAgent.mockResolvedValue([
+        { content: '用户是大三学生' },
+        { content: '用户喜欢猫' }
+      ]);
+      memoryRepository.getSessionSummary.mockResolvedValue({ summary: '之前聊了考研计划' });
+
+      const context = await memoryService.getMemoryContext({
+        userId: 'test_user_123',
+        agentId: 'agent_1',
+        sessionId: 'session_123'
+      });
+
+      expect(context).toContain('【长期记忆】');
+      expect(context).toContain('- 用户是大三学生\n- 用户喜欢猫');
+      expect(context).toContain('【对话摘要】');
+      expect(context).toContain('之前聊了考研计划');
+    });
+
+    it('应该在没有记忆时返回空字符串', async () => {
+      memoryRepository.findMemoriesByUserAndAgent.mockResolvedValue([]);
+      memoryRepository.getSessionSummary.mockResolvedValue(null);
+
+      const context = await memoryService.getMemoryContext({
+        userId: 'test_user_123',
+        agentId: 'agent_1',
+        sessionId: 'session_123'
+      });
+
+      expect(context).toBe('');
+    });
+  });
+
+  describe('parseSummaryReply', () => {
+    it('应该解析包在代码块里的 JSON', () => {
+      const result = memoryService.parseSummaryReply(
+        '```json\n{"summary": "摘要", "facts": ["喜欢猫", "", 1]}\n```'
+      );
+
+      expect(result).toEqual({ summary: '摘要', facts: ['喜欢猫'] });
+    });
+
+    it('应该在无法解析时返回 null', () => {
+      expect(memoryService.parseSummaryReply('好的，我来总结一下')).toBeNull();
+      expect(memoryService.parseSummaryReply('{"facts": []}')).toBeNull();
+    });
+  });
+
+  describe('updateMemories', () => {
+    const options = {
+      sessionId: 'session_123',
+      userId: 'test_user_123',
+      agentId: 'agent_1',
+      agent,
+      windowStart: 7000
+    };
+
+    it('应该在窗口外的消息不足一批时跳过', async () => {
+      memoryRepository.getSessionSummary.mockResolvedValue({ summary: '旧摘要', coveredUntil: 2000 });
+      eventService.getEventsBySession.mockResolvedValue(createEvents(10));
+
+      const result = await memoryService.updateMemories(options);
+
+      expect(result).toBeNull();
+      expect(llmService.generateReply).not.toHaveBeenCalled();
+    });
+
+    it('应该摘要窗口外的旧消息并追加新的事实', async () => {
+      memoryRepository.getSessionSummary.mockResolvedValue(null);
+      eventService.getEventsBySession.mockResolvedValue(createEvents(10));
+      memoryRepository.findMemoriesByUserAndAgent.mockResolvedValue([{ content: '用户喜欢猫' }]);
+      llmService.generateReply.mockResolvedValue(
+        '{"summary": "用户讨论了考研", "facts": ["用户喜欢猫", "用户在准备考研", "用户在准备考研"]}'
+      );
+      memoryRepository.upsertSessionSummary.mockImplementation(async (sessionId, summary, coveredUntil) => ({
+        sessionId, summary, coveredUntil
+      }));
+      memoryRepository.createMemory.mockImplementation(async (data) => ({ id: 'mem_new', ...data }));
+
+      const result = await memoryService.updateMemories(options);
+
+      // 窗口从 7000 开始，1000~6000 的 6 条消息需要摘要
+      const request = llmService.generateReply.mock.calls[0][0];
+      expect(request.model).toBe(agent.model);
+      expect(request.messages[0].content).toContain('用户：消息 1');
+      expect(request.messages[0].content).toContain('学习教练：消息 6');
+      expect(request.messages[0].content).not.toContain('消息 7');
+      expect(memoryRepository.upsertSessionSummary).toHaveBeenCalledWith(
+        'session_123',
+        '用户讨论了考研',
+        6000
+      );
+      // 已知事实和重复事实不会再次保存
+      expect(memoryRepository.createMemory).toHaveBeenCalledTimes(1);
+      expect(memoryRepository.createMemory).toHaveBeenCalledWith(expect.objectContaining({
+        content: '用户在准备考研',
+        sourceSessionId: 'session_123'
+      }));
+      expect(result.addedMemories).toHaveLength(1);
+    });
+
+    it('应该在模型输出无法解析时不推进摘要位置', async () => {
+      memoryRepository.getSessionSummary.mockResolvedValue(null);
+      eventService.getEventsBySession.mockResolvedValue(createEvents(10));
+      memoryRepository.findMemoriesByUserAndAgent.mockResolvedValue([]);
+      llmService.generateReply.mockResolvedValue('not json');
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const result = await memoryService.updateMemories(options);
+
+      expect(result).toBeNull();
+      expect(memoryRepository.upsertSessionSummary).not.toHaveBeenCalled();
+      console.warn.mockRestore();
+    });
+  });
+
+  describe('记忆管理', () => {
+    const memory = {
+      id: 'mem_1',
+      userId: 'test_user_123',
+      agentId: 'agent_1',
+      content: '喜欢猫',
+      source: 'auto'
+    };
+
+    it('应该返回记忆列表和会话摘要', async () => {
+      sessionService.getSessionForUser.mockResolvedValue({ sessionId: 'session_123' });
+      memoryRepository.findMemoriesByUserAndAgent.mockResolvedValue([memory]);
+      memoryRepository.getSessionSummary.mockResolvedValue({ summary: '摘要' });
+
+      const result = await memoryService.listMemories('test_user_123', 'agent_1', 'session_123');
+
+      expect(result.memories).toEqual([memory]);
+      expect(result.summary.summary).toBe('摘要');
+      expect(sessionService.getSessionForUser).toHaveBeenCalledWith(
+        'session_123',
+        'test_user_123',
+        'agent_1'
+      );
+    });
+
+    it('应该拒绝空的 agentId', async () => {
+      await expect(memoryService.listMemories('test_user_123', '')).rejects.toMatchObject({
+        code: 'VALIDATION_ERROR'
+      });
+    });
+
+    it('应该编辑自己的记忆', async () => {
+      memoryRepository.findMemoryById.mockResolvedValue(memory);
+      memoryRepository.updateMemory.mockResolvedValue(true);
+
+      const result = await memoryService.updateMemory('test_user_123', 'mem_1', '  喜欢狗 ');
+
+      expect(result.content).toBe('喜欢狗');
+      expect(result.source).toBe('user');
+      expect(memoryRepository.updateMemory).toHaveBeenCalledWith('mem_1', '喜欢狗');
+    });
+
+    it('应该拒绝编辑他人的记忆', async () => {
+      memoryRepository.findMemoryById.mockResolvedValue(memory);
+
+      await expect(
+        memoryService.updateMemory('other_user', 'mem_1', '喜欢狗')
+      ).rejects.toMatchObject({ code: 'MEMORY_NOT_FOUND' });
+      expect(memoryRepository.updateMemory).not.toHaveBeenCalled();
+    });
+
+    it('应该拒绝空的记忆内容', async () => {
+      await expect(
+        memoryService.updateMemory('test_user_123', 'mem_1', '   ')
+      ).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+
+    it('应该删除自己的记忆', async () => {
+      memoryRepository.findMemoryById.mockResolvedValue(memory);
+      memoryRepository.deleteMemory.mockResolvedValue(true);
+
+      await memoryService.deleteMemory('test_user_123', 'mem_1');
+
+      expect(memoryRepository.deleteMemory).toHaveBeenCalledWith('mem_1');
+    });
+  });
+});
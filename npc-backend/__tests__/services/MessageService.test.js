@@ -7,16 +7,26 @@ const sessionService = require('../../services/SessionService');
 const eventService = require('../../services/EventService');
 const agentService = require('../../services/AgentService');
 const llmService = require('../../services/LLMService');
+const memoryService = require('../../services/MemoryService');
+const usageService = require('../../services/UsageService');
+const jobService = require('../../services/JobService');
+const realtimeService = require('../../services/RealtimeService');
 
 // Mock 依赖
 jest.mock('../../services/SessionService');
 jest.mock('../../services/EventService');
 jest.mock('../../services/AgentService');
 jest.mock('../../services/LLMService');
+jest.mock('../../services/MemoryService');
+jest.mock('../../services/UsageService');
+jest.mock('../../services/JobService');
+jest.mock('../../services/RealtimeService');
 
 describe('MessageService', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    jobService.enqueue.mockResolvedValue({ id: 'job_123' });
+    jobService.findActiveJobs.mockResolvedValue([]);
   });
 
   describe('sendMessage', () => {
@@ -46,7 +56,7 @@ describe('MessageService', () => {
       id: 'event_user_123',
       sessionId: 'session_123',
       content: validOptions.text,
-      createdAt: Date.now()
+      timestamp: 1000
     };
 
     const mockAgentEvent = {
@@ -56,23 +66,43 @@ describe('MessageService', () => {
       createdAt: Date.now()
     };
 
-    it('应该成功发送消息并返回 AI 回复', async () => {
+    it('应该保存用户消息并把回复任务入队', async () => {
       agentService.getAgentById.mockResolvedValue(mockAgent);
       sessionService.getOrCreateSession.mockResolvedValue(mockSession);
-      eventService.createEvent.mockResolvedValue(mockUserEvent);
-      eventService.getRecentEvents.mockResolvedValue([mockUserEvent]);
-      llmService.generateReply.mockResolvedValue('AI Reply');
+      eventService.createEvent
+        .mockResolvedValueOnce(mockUserEvent)
+        .mockResolvedValueOnce({ id: 'event_pending_123', status: 'pending' });
 
       const result = await messageService.sendMessage(validOptions);
 
       expect(result).toBeDefined();
       expect(result.userEventId).toBe(mockUserEvent.id);
+      expect(result.replyEventId).toBe('event_pending_123');
       expect(result.sessionId).toBe(mockSession.sessionId);
       expect(result.status).toBe('pending');
-      // 等待异步操作完成
-      await new Promise(resolve => setImmediate(resolve));
-      // 用户消息Event（同步）+ Agent回复Event（异步）= 2次调用
+      expect(result.jobId).toBe('job_123');
+      expect(jobService.enqueue).toHaveBeenCalledWith(
+        'llm_reply',
+        {
+          sessionId: 'session_123',
+          userId: 'test_user_123',
+          agentId: 'test_agent_123',
+          parentEventId: 'event_user_123',
+          replyEventId: 'event_pending_123',
+          contextLimit: null
+        },
+        { userId: 'test_user_123', sessionId: 'session_123' }
+      );
+      // 同步创建用户消息和 pending 的占位回复，回复内容由 Worker 生成
       expect(eventService.createEvent).toHaveBeenCalledTimes(2);
+      expect(eventService.createEvent).toHaveBeenLastCalledWith(expect.objectContaining({
+        parentId: 'event_user_123',
+        fromType: 'agent',
+        content: '',
+        status: 'pending',
+        timestamp: 1001 // 紧跟在用户消息之后，同一毫秒内也不会排到用户消息前面
+      }));
+      expect(llmService.generateReply).not.toHaveBeenCalled();
     });
 
     it('应该拒绝空 userId', async () => {
@@ -114,39 +144,1123 @@ describe('MessageService', () => {
       });
     });
 
-    it('应该处理 LLM API 错误', async () => {
+    it('应该在入队失败时抛出错误', async () => {
       agentService.getAgentById.mockResolvedValue(mockAgent);
       sessionService.getOrCreateSession.mockResolvedValue(mockSession);
       eventService.createEvent.mockResolvedValue(mockUserEvent);
-      eventService.getRecentEvents.mockResolvedValue([mockUserEvent]);
-      
-      // LLM 调用是异步的，不会阻塞主流程
-      // 用户消息会成功创建，LLM 错误在后台处理
-      const error = new Error('LLM API 调用失败');
-      error.code = 'LLM_API_ERROR';
-      llmService.generateReply.mockRejectedValue(error);
-
-      // sendMessage 应该成功返回，因为 LLM 调用是异步的
-      const result = await messageService.sendMessage(validOptions);
-      expect(result).toBeDefined();
-      expect(result.status).toBe('pending');
-      // LLM 错误会在后台处理，不会影响主流程
+      jobService.enqueue.mockRejectedValue(new Error('db down'));
+
+      await expect(messageService.sendMessage(validOptions)).rejects.toThrow('db down');
     });
 
-    it('应该使用自定义 contextLimit', async () => {
+    it('应该把自定义 contextLimit 放进回复任务', async () => {
       agentService.getAgentById.mockResolvedValue(mockAgent);
       sessionService.getOrCreateSession.mockResolvedValue(mockSession);
       eventService.createEvent.mockResolvedValue(mockUserEvent);
-      eventService.getRecentEvents.mockResolvedValue([mockUserEvent]);
-      llmService.generateReply.mockResolvedValue('AI Reply');
 
       await messageService.sendMessage({
         ...validOptions,
         contextLimit: 50
       });
 
-      expect(eventService.getRecentEvents).toHaveBeenCalledWith('session_123', 50);
+      expect(jobService.enqueue.mock.calls[0][1].contextLimit).toBe(50);
+      expect(eventService.getRecentEvents).not.toHaveBeenCalled();
+    });
+
+    describe('连续发送', () => {
+      const queuedJob = {
+        id: 'job_prev',
+        status: 'queued',
+        attempts: 0,
+        payload: {
+          sessionId: 'session_123',
+          userId: 'test_user_123',
+          agentId: 'test_agent_123',
+          parentEventId: 'event_user_prev',
+          replyEventId: 'event_pending_prev',
+          contextLimit: null
+        }
+      };
+      const pendingReply = {
+        id: 'event_pending_prev',
+        parentId: 'event_user_prev',
+        fromType: 'agent',
+        status: 'pending'
+      };
+
+      beforeEach(() => {
+        agentService.getAgentById.mockResolvedValue(mockAgent);
+        sessionService.getOrCreateSession.mockResolvedValue(mockSession);
+        eventService.createEvent.mockResolvedValue(mockUserEvent);
+        jobService.findActiveJobs.mockResolvedValue([queuedJob]);
+        eventService.getRecentEvents.mockResolvedValue([pendingReply]);
+        jobService.cancelQueued.mockResolvedValue(true);
+        eventService.moveReplyEvent.mockResolvedValue({ ...pendingReply, parentId: 'event_user_123' });
+      });
+
+      it('应该把还没开始生成的回复移到新消息之后，合并为一轮', async () => {
+        const result = await messageService.sendMessage(validOptions);
+
+        expect(jobService.cancelQueued).toHaveBeenCalledWith('job_prev');
+        expect(jobService.cancel).not.toHaveBeenCalled();
+        expect(eventService.createEvent).toHaveBeenCalledTimes(1);
+        expect(eventService.createEvent).toHaveBeenCalledWith(expect.objectContaining({
+          parentId: 'event_user_prev',
+          fromType: 'user'
+        }));
+        expect(eventService.moveReplyEvent).toHaveBeenCalledWith('event_pending_prev', mockUserEvent);
+        expect(jobService.enqueue.mock.calls[0][1]).toMatchObject({
+          parentEventId: 'event_user_123',
+          replyEventId: 'event_pending_prev'
+        });
+        expect(result).toMatchObject({
+          userEventId: 'event_user_123',
+          replyEventId: 'event_pending_prev',
+          batched: true
+        });
+      });
+
+      it('应该在上一条回复已经开始生成时照常排队', async () => {
+        jobService.findActiveJobs.mockResolvedValue([{ ...queuedJob, status: 'running', attempts: 1 }]);
+        eventService.createEvent
+          .mockResolvedValueOnce(mockUserEvent)
+          .mockResolvedValueOnce({ id: 'event_pending_123', status: 'pending' });
+
+        const result = await messageService.sendMessage(validOptions);
+
+        expect(jobService.cancelQueued).not.toHaveBeenCalled();
+        expect(eventService.moveReplyEvent).not.toHaveBeenCalled();
+        expect(result).toMatchObject({ replyEventId: 'event_pending_123', batched: false });
+      });
+
+      it('应该在占位回复不是最后一条事件时照常排队', async () => {
+        eventService.getRecentEvents.mockResolvedValue([{ id: 'event_other', fromType: 'user' }]);
+
+        await messageService.sendMessage(validOptions);
+
+        expect(jobService.cancelQueued).not.toHaveBeenCalled();
+      });
+
+      it('应该在任务取消前被领取时照常排队', async () => {
+        jobService.cancelQueued.mockResolvedValue(false);
+
+        const result = await messageService.sendMessage(validOptions);
+
+        expect(eventService.createEvent).toHaveBeenCalledWith(expect.not.objectContaining({
+          parentId: 'event_user_prev'
+        }));
+        expect(eventService.moveReplyEvent).not.toHaveBeenCalled();
+        expect(jobService.cancel).not.toHaveBeenCalled(); // 已被领取的任务不会被中止
+        expect(result.batched).toBe(false);
+      });
+
+      it('应该在保存新消息失败时恢复被取消的任务', async () => {
+        eventService.createEvent.mockRejectedValue({ code: 'DB_ERROR', message: 'db down' });
+
+        await expect(messageService.sendMessage(validOptions)).rejects.toMatchObject({ code: 'DB_ERROR' });
+        expect(jobService.enqueue).toHaveBeenCalledWith(
+          'llm_reply',
+          queuedJob.payload,
+          { userId: 'test_user_123', sessionId: 'session_123' }
+        );
+      });
+    });
+
+    it('应该逐个处理同一会话的并发发送', async () => {
+      agentService.getAgentById.mockResolvedValue(mockAgent);
+      sessionService.getOrCreateSession.mockResolvedValue(mockSession);
+      const order = [];
+      let releaseFirst;
+      eventService.createEvent.mockImplementation(async (data) => {
+        order.push(`${data.fromType}:${data.content || 'reply'}`);
+        if (data.content === 'first') {
+          await new Promise((resolve) => { releaseFirst = resolve; });
+        }
+        return { id: `event_${order.length}`, timestamp: order.length };
+      });
+
+      const first = messageService.sendMessage({ ...validOptions, text: 'first' });
+      const second = messageService.sendMessage({ ...validOptions, text: 'second' });
+      await new Promise((resolve) => setImmediate(resolve));
+      releaseFirst();
+      await Promise.all([first, second]);
+
+      expect(order).toEqual(['user:first', 'agent:reply', 'user:second', 'agent:reply']);
     });
   });
-});
+  describe('streamMessage', () => {
+    const validOptions = {
+      userId: 'test_user_123',
+      agentId: 'test_agent_123',
+      text: 'Hello, AI!'
+    };
+
+    const mockAgent = {
+      id: 'test_agent_123',
+      systemPrompt: 'You are helpful',
+      model: 'openai/gpt-3.5-turbo',
+      provider: 'openrouter'
+    };
+
+    const mockUserEvent = { id: 'event_user_123', sessionId: 'session_123', content: 'Hello, AI!', timestamp: 1 };
+    const mockPlaceholder = { id: 'event_agent_123', sessionId: 'session_123', content: '', status: 'pending', timestamp: 2 };
+
+    beforeEach(() => {
+      agentService.getAgentById.mockResolvedValue(mockAgent);
+      sessionService.getOrCreateSession.mockResolvedValue({ sessionId: 'session_123' });
+      eventService.getRecentEvents.mockResolvedValue([mockUserEvent]);
+      eventService.createEvent.mockImplementation(async (data) => (
+        data.fromType === 'agent' ? mockPlaceholder : mockUserEvent
+      ));
+      eventService.updateReplyEvent.mockImplementation(async (id, fields) => ({ ...mockPlaceholder, ...fields, id }));
+      jobService.runInline.mockImplementation(async (type, payload, options, work) => (
+        work({ job: { id: 'job_stream' }, signal: new AbortController().signal })
+      ));
+    });
+
+    it('应该在本实例持有的回复任务中生成，实例退出后由 Worker 接着生成占位回复', async () => {
+      llmService.generateReply.mockResolvedValue('AI Reply');
+
+      await messageService.streamMessage(validOptions);
+
+      expect(jobService.runInline).toHaveBeenCalledWith(
+        'llm_reply',
+        {
+          sessionId: 'session_123',
+          userId: 'test_user_123',
+          agentId: 'test_agent_123',
+          parentEventId: 'event_user_123',
+          replyEventId: 'event_agent_123',
+          contextLimit: null
+        },
+        { userId: 'test_user_123', sessionId: 'session_123' },
+        expect.any(Function)
+      );
+      expect(jobService.enqueue).not.toHaveBeenCalled();
+    });
+
+    it('应该在回复任务被取消或租约丢失时中止生成且不写入结果', async () => {
+      const controller = new AbortController();
+      jobService.runInline.mockImplementation(async (type, payload, options, work) => (
+        work({ job: { id: 'job_stream' }, signal: controller.signal })
+      ));
+      llmService.generateReply.mockImplementation(({ signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject({ code: 'LLM_API_ABORTED', message: '已中止' }));
+        controller.abort();
+      }));
+
+      await expect(messageService.streamMessage(validOptions)).rejects.toMatchObject({ code: 'LLM_API_ABORTED' });
+      expect(eventService.updateReplyEvent).not.toHaveBeenCalled();
+    });
+
+    it('应该以流式模式调用 LLM 并回调增量', async () => {
+      llmService.generateReply.mockImplementation(async ({ onDelta }) => {
+        onDelta('AI ');
+        onDelta('Reply');
+        return 'AI Reply';
+      });
+
+      const onStart = jest.fn();
+      const onDelta = jest.fn();
+      const result = await messageService.streamMessage({ ...validOptions, onStart, onDelta });
+
+      expect(eventService.createEvent).toHaveBeenLastCalledWith(expect.objectContaining({
+        fromType: 'agent',
+        parentId: 'event_user_123',
+        content: '',
+        status: 'pending',
+        timestamp: 2
+      }));
+      expect(onStart).toHaveBeenCalledWith(expect.objectContaining({
+        userEventId: 'event_user_123',
+        replyEventId: 'event_agent_123',
+        sessionId: 'session_123'
+      }));
+      expect(onDelta.mock.calls).toEqual([['AI '], ['Reply']]);
+      expect(llmService.generateReply).toHaveBeenCalledWith(expect.objectContaining({ stream: true }));
+      expect(eventService.updateReplyEvent).toHaveBeenCalledWith(
+        'event_agent_123',
+        expect.objectContaining({ status: 'complete', content: 'AI Reply' }),
+        { expectedStatus: 'pending' }
+      );
+      expect(result.status).toBe('complete');
+      expect(result.agentEvent.eventId).toBe('event_agent_123');
+      expect(result.error).toBeNull();
+    });
+
+    it('应该在回复上记录实际使用的备用模型', async () => {
+      llmService.generateReply.mockImplementation(async ({ onModelUsed }) => {
+        onModelUsed({ model: 'llama3.1:8b', provider: 'ollama', fallback: true });
+        return 'AI Reply';
+      });
+
+      const result = await messageService.streamMessage(validOptions);
+
+      expect(eventService.updateReplyEvent).toHaveBeenLastCalledWith(
+        'event_agent_123',
+        expect.objectContaining({ model: 'llama3.1:8b', provider: 'ollama' }),
+        { expectedStatus: 'pending' }
+      );
+      expect(result.agentEvent).toMatchObject({ model: 'llama3.1:8b', provider: 'ollama' });
+    });
+
+    it('应该按实际使用的模型记录回复的用量', async () => {
+      const usage = { promptTokens: 120, completionTokens: 30, latencyMs: 850 };
+      llmService.generateReply.mockImplementation(async ({ onModelUsed }) => {
+        onModelUsed({ model: 'openai/gpt-4.1', provider: 'openrouter', fallback: false, usage });
+        return 'AI Reply';
+      });
+
+      await messageService.streamMessage(validOptions);
+
+      expect(usageService.recordUsage).toHaveBeenCalledWith({
+        eventId: 'event_agent_123',
+        userId: validOptions.userId,
+        agentId: validOptions.agentId,
+        sessionId: 'session_123',
+        model: 'openai/gpt-4.1',
+        provider: 'openrouter',
+        usage
+      });
+    });
+
+    it('应该在记录用量失败时仍然返回回复', async () => {
+      llmService.generateReply.mockResolvedValue('AI Reply');
+      usageService.recordUsage.mockRejectedValueOnce(new Error('db down'));
+
+      const result = await messageService.streamMessage(validOptions);
+
+      expect(result.status).toBe('complete');
+      expect(result.agentEvent.content).toBe('AI Reply');
+    });
+
+    it('应该在 LLM 失败时保存错误消息并返回 error', async () => {
+      llmService.generateReply.mockRejectedValue({ code: 'LLM_API_TIMEOUT', message: 'timeout' });
+
+      const result = await messageService.streamMessage(validOptions);
+
+      expect(result.status).toBe('failed');
+      expect(result.agentEvent.eventId).toBe('event_agent_123');
+      expect(result.agentEvent.status).toBe('failed');
+      expect(result.error).toEqual({
+        code: 'LLM_API_TIMEOUT',
+        message: 'AI 服务响应超时，请稍后再试。'
+      });
+      expect(eventService.updateReplyEvent).toHaveBeenLastCalledWith(
+        'event_agent_123',
+        expect.objectContaining({ status: 'failed', errorCode: 'LLM_API_TIMEOUT' }),
+        { expectedStatus: 'pending' }
+      );
+    });
+
+    it('应该用用户 ID 调用 LLM，并在个人 API Key 失效时提示用户更新', async () => {
+      llmService.generateReply.mockRejectedValue({
+        code: 'LLM_API_ERROR',
+        message: 'No auth credentials found',
+        status: 401,
+        keySource: 'user'
+      });
+
+      const result = await messageService.streamMessage(validOptions);
+
+      expect(llmService.generateReply).toHaveBeenCalledWith(
+        expect.objectContaining({ userId: 'test_user_123' })
+      );
+      expect(result.error.message).toBe('你保存的 API Key 无效、已过期或没有权限，请在设置中更新。');
+    });
+
+    it('应该在会话中有生成中的回复时拒绝流式发送', async () => {
+      jobService.findActiveJobs.mockResolvedValue([{ id: 'job_prev', status: 'running' }]);
+      const onStart = jest.fn();
+
+      await expect(messageService.streamMessage({ ...validOptions, onStart }))
+        .rejects.toMatchObject({ code: 'REPLY_IN_PROGRESS' });
+      expect(eventService.createEvent).not.toHaveBeenCalled();
+      expect(onStart).not.toHaveBeenCalled();
+    });
+
+    it('应该在最后一条回复仍是 pending 时拒绝流式发送', async () => {
+      eventService.getRecentEvents.mockResolvedValue([{ id: 'event_agent_prev', fromType: 'agent', status: 'pending' }]);
+
+      await expect(messageService.streamMessage(validOptions))
+        .rejects.toMatchObject({ code: 'REPLY_IN_PROGRESS' });
+      expect(eventService.createEvent).not.toHaveBeenCalled();
+    });
+
+    it('应该在参数无效时直接抛出错误且不回调 onStart', async () => {
+      const onStart = jest.fn();
+
+      await expect(messageService.streamMessage({ ...validOptions, text: '', onStart }))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      expect(onStart).not.toHaveBeenCalled();
+    });
+
+    it('应该在用户停止生成时保存已生成的部分', async () => {
+      eventService.getEventById.mockImplementation(async (id) => (
+        id === 'event_agent_123'
+          ? { ...mockPlaceholder, userId: 'test_user_123', fromType: 'agent', supersededAt: null }
+          : null
+      ));
+      jobService.findActiveJobs.mockResolvedValue([]);
+
+      let cancelled = null;
+      llmService.generateReply.mockImplementation(({ onDelta, signal }) => new Promise((resolve, reject) => {
+        onDelta('AI ');
+        signal.addEventListener('abort', () => reject({ code: 'LLM_API_ABORTED', message: '已中止' }));
+        cancelled = messageService.cancelReply({ userId: 'test_user_123', eventId: 'event_agent_123' });
+      }));
+
+      const result = await messageService.streamMessage({ ...validOptions, onDelta: jest.fn() });
+
+      expect(result.status).toBe('stopped');
+      expect(result.error).toBeNull();
+      expect(result.agentEvent).toMatchObject({ eventId: 'event_agent_123', status: 'stopped', content: 'AI ' });
+      expect(eventService.updateReplyEvent).toHaveBeenCalledWith(
+        'event_agent_123',
+        expect.objectContaining({ status: 'stopped', content: 'AI ' }),
+        { expectedStatus: 'pending' }
+      );
+      await expect(cancelled).resolves.toMatchObject({ replyEventId: 'event_agent_123' });
+    });
+  });
+  describe('regenerateReply 和 editMessage', () => {
+    const mockAgent = {
+      id: 'test_agent_123',
+      systemPrompt: 'You are helpful',
+      model: 'openai/gpt-3.5-turbo',
+      provider: 'openrouter'
+    };
+
+    const userEvent = {
+      id: 'event_user_1',
+      sessionId: 'session_123',
+      userId: 'test_user_123',
+      agentId: 'test_agent_123',
+      fromType: 'user',
+      content: '问题',
+      timestamp: 1000,
+      supersededAt: null
+    };
+
+    const agentEvent = {
+      id: 'event_agent_1',
+      sessionId: 'session_123',
+      parentId: 'event_user_1',
+      userId: 'test_user_123',
+      agentId: 'test_agent_123',
+      fromType: 'agent',
+      content: '旧回复',
+      timestamp: 2000,
+      supersededAt: null
+    };
+
+    beforeEach(() => {
+      agentService.getAgentById.mockResolvedValue(mockAgent);
+      eventService.getEventById.mockImplementation(async (id) =>
+        [userEvent, agentEvent].find((e) => e.id === id) || null);
+      eventService.supersedeEventsFrom.mockResolvedValue(1);
+      eventService.getRecentEvents.mockResolvedValue([userEvent]);
+      llmService.generateReply.mockResolvedValue('新回复');
+    });
+
+    it('重新生成应该截断旧回复并基于对应的用户消息生成新回复', async () => {
+      eventService.createEvent.mockResolvedValue({ id: 'event_agent_2', content: '新回复', timestamp: 3000 });
+
+      const result = await messageService.regenerateReply({
+        userId: 'test_user_123',
+        eventId: 'event_agent_1'
+      });
+
+      expect(eventService.supersedeEventsFrom).toHaveBeenCalledWith(
+        'session_123',
+        expect.objectContaining({ id: 'event_user_1', timestamp: 1000 }),
+        { inclusive: false }
+      );
+      expect(eventService.createEvent).toHaveBeenCalledWith(expect.objectContaining({
+        parentId: 'event_user_1',
+        status: 'pending',
+        timestamp: 1001
+      }));
+      expect(realtimeService.publish).toHaveBeenCalledWith('test_user_123', 'session.updated', {
+        sessionId: 'session_123',
+        agentId: 'test_agent_123',
+        reason: 'superseded'
+      });
+      expect(eventService.getEventById).toHaveBeenCalledWith('event_user_1');
+      expect(result).toMatchObject({
+        userEventId: 'event_user_1',
+        sessionId: 'session_123',
+        status: 'pending',
+        supersededCount: 1,
+        jobId: 'job_123'
+      });
+      expect(jobService.enqueue).toHaveBeenCalledWith(
+        'llm_reply',
+        expect.objectContaining({ sessionId: 'session_123', parentEventId: 'event_user_1' }),
+        expect.any(Object)
+      );
+    });
+
+    it('重新生成应该拒绝不属于当前用户的消息', async () => {
+      eventService.getEventById.mockResolvedValue({ ...agentEvent, userId: 'other_user' });
+
+      await expect(messageService.regenerateReply({
+        userId: 'test_user_123',
+        eventId: 'event_agent_1'
+      })).rejects.toMatchObject({ code: 'EVENT_NOT_FOUND' });
+      expect(eventService.supersedeEventsFrom).not.toHaveBeenCalled();
+    });
+
+    it('重新生成应该拒绝已被替代的消息', async () => {
+      eventService.getEventById.mockResolvedValue({ ...agentEvent, supersededAt: 5000 });
+
+      await expect(messageService.regenerateReply({
+        userId: 'test_user_123',
+        eventId: 'event_agent_1'
+      })).rejects.toMatchObject({ code: 'EVENT_SUPERSEDED' });
+    });
+
+    it('编辑应该替代原用户消息并创建新的用户消息', async () => {
+      eventService.getEventById.mockResolvedValue(userEvent);
+      eventService.createEvent.mockResolvedValue({ id: 'event_user_2', content: '新问题', timestamp: 3000 });
+
+      const result = await messageService.editMessage({
+        userId: 'test_user_123',
+        eventId: 'event_user_1',
+        text: ' 新问题 '
+      });
+
+      expect(eventService.supersedeEventsFrom).toHaveBeenCalledWith(
+        'session_123',
+        expect.objectContaining({ id: 'event_user_1', timestamp: 1000 })
+      );
+      expect(eventService.createEvent).toHaveBeenCalledWith(expect.objectContaining({
+        sessionId: 'session_123',
+        fromType: 'user',
+        content: '新问题'
+      }));
+      expect(eventService.createEvent).toHaveBeenLastCalledWith(expect.objectContaining({
+        parentId: 'event_user_2',
+        status: 'pending',
+        timestamp: 3001
+      }));
+      expect(result).toMatchObject({ userEventId: 'event_user_2', status: 'pending', jobId: 'job_123' });
+      expect(jobService.enqueue.mock.calls[0][1].parentEventId).toBe('event_user_2');
+    });
+
+    it('编辑应该拒绝 Agent 回复', async () => {
+      eventService.getEventById.mockResolvedValue(agentEvent);
+
+      await expect(messageService.editMessage({
+        userId: 'test_user_123',
+        eventId: 'event_agent_1',
+        text: '新问题'
+      })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      expect(eventService.supersedeEventsFrom).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('指定会话发送消息', () => {
+    const mockAgent = {
+      id: 'test_agent_123',
+      systemPrompt: 'You are helpful',
+      model: 'openai/gpt-3.5-turbo',
+      provider: 'openrouter'
+    };
+    const mockSession = { sessionId: 'session_456', participants: [], title: null };
+    const mockUserEvent = { id: 'event_user_1', sessionId: 'session_456', timestamp: 1000 };
+
+    beforeEach(() => {
+      agentService.getAgentById.mockResolvedValue(mockAgent);
+      eventService.createEvent.mockResolvedValue(mockUserEvent);
+      eventService.getRecentEvents.mockResolvedValue([mockUserEvent]);
+      llmService.generateReply.mockResolvedValue('AI Reply');
+    });
+
+    it('应该发送到指定的会话并为未命名会话生成标题', async () => {
+      sessionService.getSessionForUser.mockResolvedValue(mockSession);
+
+      const result = await messageService.sendMessage({
+        userId: 'test_user_123',
+        agentId: 'test_agent_123',
+        sessionId: 'session_456',
+        text: '你好'
+      });
+
+      expect(result.sessionId).toBe('session_456');
+      expect(sessionService.getSessionForUser).toHaveBeenCalledWith(
+        'session_456',
+        'test_user_123',
+        'test_agent_123'
+      );
+      expect(sessionService.getOrCreateSession).not.toHaveBeenCalled();
+      expect(sessionService.ensureSessionTitle).toHaveBeenCalledWith(mockSession, '你好');
+    });
+
+    it('应该在会话不属于当前用户时拒绝发送', async () => {
+      sessionService.getSessionForUser.mockRejectedValue({
+        code: 'SESSION_NOT_FOUND',
+        message: '会话不存在'
+      });
+
+      await expect(messageService.sendMessage({
+        userId: 'test_user_123',
+        agentId: 'test_agent_123',
+        sessionId: 'session_other',
+        text: '你好'
+      })).rejects.toMatchObject({ code: 'SESSION_NOT_FOUND' });
+      expect(eventService.createEvent).not.toHaveBeenCalled();
+    });
 
+    it('应该在生成标题失败时继续发送', async () => {
+      sessionService.getOrCreateSession.mockResolvedValue(mockSession);
+      sessionService.ensureSessionTitle.mockRejectedValue(new Error('db down'));
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const result = await messageService.sendMessage({
+        userId: 'test_user_123',
+        agentId: 'test_agent_123',
+        text: '你好'
+      });
+
+      expect(result.status).toBe('pending');
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('retryReply', () => {
+    const mockAgent = { id: 'test_agent_123', model: 'openai/gpt-3.5-turbo', provider: 'openrouter' };
+    const userEvent = {
+      id: 'event_user_1',
+      sessionId: 'session_123',
+      userId: 'test_user_123',
+      agentId: 'test_agent_123',
+      fromType: 'user',
+      content: '问题',
+      timestamp: 1000,
+      supersededAt: null
+    };
+    const failedEvent = {
+      id: 'event_agent_1',
+      sessionId: 'session_123',
+      parentId: 'event_user_1',
+      userId: 'test_user_123',
+      agentId: 'test_agent_123',
+      fromType: 'agent',
+      content: 'AI 服务响应超时，请稍后再试。',
+      status: 'failed',
+      errorCode: 'LLM_API_TIMEOUT',
+      timestamp: 2000,
+      supersededAt: null
+    };
+    const laterEvent = { ...userEvent, id: 'event_user_2', parentId: 'event_agent_1', timestamp: 3000 };
+
+    beforeEach(() => {
+      agentService.getAgentById.mockResolvedValue(mockAgent);
+      eventService.getEventById.mockImplementation(async (id) =>
+        [userEvent, failedEvent, laterEvent].find((e) => e.id === id) || null);
+      eventService.updateReplyEvent.mockResolvedValue({ ...failedEvent, status: 'pending', content: '' });
+    });
+
+    it('应该把失败的回复改回 pending 并入队，不截断之后的消息', async () => {
+      const result = await messageService.retryReply({
+        userId: 'test_user_123',
+        eventId: 'event_agent_1'
+      });
+
+      expect(eventService.updateReplyEvent).toHaveBeenCalledWith(
+        'event_agent_1',
+        { status: 'pending' },
+        { expectedStatus: 'failed' }
+      );
+      expect(eventService.supersedeEventsFrom).not.toHaveBeenCalled();
+      expect(eventService.createEvent).not.toHaveBeenCalled();
+      expect(jobService.enqueue.mock.calls[0][1]).toMatchObject({
+        parentEventId: 'event_user_1',
+        replyEventId: 'event_agent_1'
+      });
+      expect(result).toEqual({
+        userEventId: 'event_user_1',
+        replyEventId: 'event_agent_1',
+        sessionId: 'session_123',
+        timestamp: 2000,
+        status: 'pending',
+        jobId: 'job_123'
+      });
+    });
+
+    it('应该在旧数据没有父事件时使用之前最近的用户消息', async () => {
+      eventService.getEventById.mockResolvedValue({ ...failedEvent, parentId: null });
+      eventService.getEventsBefore.mockResolvedValue([userEvent]);
+
+      const result = await messageService.retryReply({
+        userId: 'test_user_123',
+        eventId: 'event_agent_1'
+      });
+
+      expect(result.userEventId).toBe('event_user_1');
+      expect(eventService.getEventsBefore).toHaveBeenCalledWith(
+        'session_123',
+        expect.objectContaining({ id: 'event_agent_1', timestamp: 2000 })
+      );
+    });
+
+    it('应该拒绝没有失败的回复', async () => {
+      eventService.getEventById.mockResolvedValue({ ...failedEvent, status: 'complete' });
+
+      await expect(messageService.retryReply({
+        userId: 'test_user_123',
+        eventId: 'event_agent_1'
+      })).rejects.toMatchObject({ code: 'REPLY_NOT_FAILED' });
+      expect(jobService.enqueue).not.toHaveBeenCalled();
+    });
+
+    it('应该在并发重试时只入队一次', async () => {
+      eventService.updateReplyEvent.mockResolvedValue(null);
+
+      await expect(messageService.retryReply({
+        userId: 'test_user_123',
+        eventId: 'event_agent_1'
+      })).rejects.toMatchObject({ code: 'REPLY_NOT_FAILED' });
+      expect(jobService.enqueue).not.toHaveBeenCalled();
+    });
+
+    it('应该拒绝用户消息', async () => {
+      eventService.getEventById.mockResolvedValue(userEvent);
+
+      await expect(messageService.retryReply({
+        userId: 'test_user_123',
+        eventId: 'event_user_1'
+      })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+  });
+
+  describe('processReplyJob', () => {
+    const agent = {
+      id: 'test_agent_123',
+      systemPrompt: 'You are helpful',
+      model: 'openai/gpt-3.5-turbo',
+      provider: 'openrouter'
+    };
+    const userEvent = { id: 'event_user_1', fromType: 'user', content: '问题', timestamp: 1000 };
+    const payload = {
+      sessionId: 'session_123',
+      userId: 'test_user_123',
+      agentId: 'test_agent_123',
+      parentEventId: 'event_user_1',
+      contextLimit: null
+    };
+
+    beforeEach(() => {
+      agentService.getAgentById.mockResolvedValue(agent);
+      eventService.getEventById.mockResolvedValue({ ...userEvent, supersededAt: null });
+      eventService.getRecentEvents.mockResolvedValue([userEvent]);
+    });
+
+    it('应该生成并保存对应用户消息的回复', async () => {
+      llmService.generateReply.mockResolvedValue('AI Reply');
+      eventService.createEvent.mockResolvedValue({ id: 'event_reply' });
+
+      const result = await messageService.processReplyJob(payload, { isFinalAttempt: false });
+
+      expect(result).toEqual({ eventId: 'event_reply' });
+      expect(eventService.createEvent).toHaveBeenCalledWith(expect.objectContaining({
+        parentId: 'event_user_1',
+        content: 'AI Reply'
+      }));
+    });
+
+    it('应该只使用截止到对应用户消息的历史', async () => {
+      eventService.getRecentEvents.mockResolvedValue([
+        userEvent,
+        { id: 'event_user_2', fromType: 'user', content: '下一个问题', timestamp: 2000 }
+      ]);
+      llmService.generateReply.mockResolvedValue('AI Reply');
+      eventService.createEvent.mockResolvedValue({ id: 'event_reply' });
+
+      await messageService.processReplyJob(payload, {});
+
+      expect(llmService.generateReply.mock.calls[0][0].messages).toEqual([userEvent]);
+    });
+
+    it('应该在用户消息已被替代时跳过', async () => {
+      eventService.getEventById.mockResolvedValue({ ...userEvent, supersededAt: 5000 });
+
+      const result = await messageService.processReplyJob(payload, {});
+
+      expect(result).toEqual({ skipped: true });
+      expect(llmService.generateReply).not.toHaveBeenCalled();
+    });
+
+    it('应该在已经有回复时跳过（上一次执行保存回复后实例退出）', async () => {
+      eventService.getRecentEvents.mockResolvedValue([
+        userEvent,
+        { id: 'event_reply', fromType: 'agent', parentId: 'event_user_1', content: 'AI Reply', timestamp: 2000 }
+      ]);
+
+      const result = await messageService.processReplyJob(payload, {});
+
+      expect(result).toEqual({ skipped: true });
+      expect(llmService.generateReply).not.toHaveBeenCalled();
+    });
+
+    it('应该在临时错误且不是最后一次执行时抛出错误重试，不保存错误消息', async () => {
+      llmService.generateReply.mockRejectedValue({ code: 'LLM_API_TIMEOUT', message: '超时' });
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(
+        messageService.processReplyJob(payload, { isFinalAttempt: false })
+      ).rejects.toMatchObject({ code: 'LLM_API_TIMEOUT' });
+      expect(eventService.createEvent).not.toHaveBeenCalled();
+      errorSpy.mockRestore();
+    });
+
+    it('应该在最后一次执行失败时保存错误消息并标记为不可重试', async () => {
+      llmService.generateReply.mockRejectedValue({ code: 'LLM_API_ERROR', message: '服务繁忙', status: 503 });
+      eventService.createEvent.mockResolvedValue({ id: 'event_error' });
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(
+        messageService.processReplyJob(payload, { isFinalAttempt: true })
+      ).rejects.toMatchObject({ code: 'LLM_API_ERROR', retryable: false });
+      expect(eventService.createEvent).toHaveBeenCalledWith(expect.objectContaining({
+        content: 'AI 服务调用失败：服务繁忙'
+      }));
+      errorSpy.mockRestore();
+    });
+
+    it('应该在请求本身有问题时直接保存错误消息，不重试', async () => {
+      llmService.generateReply.mockRejectedValue({ code: 'LLM_API_ERROR', message: 'bad request', status: 400 });
+      eventService.createEvent.mockResolvedValue({ id: 'event_error' });
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(
+        messageService.processReplyJob(payload, { isFinalAttempt: false })
+      ).rejects.toMatchObject({ retryable: false });
+      expect(eventService.createEvent).toHaveBeenCalledTimes(1);
+      errorSpy.mockRestore();
+    });
+
+    describe('占位回复', () => {
+      const replyPayload = { ...payload, replyEventId: 'event_reply' };
+      const pendingReply = {
+        id: 'event_reply',
+        fromType: 'agent',
+        parentId: 'event_user_1',
+        content: '',
+        status: 'pending',
+        timestamp: 1500,
+        supersededAt: null
+      };
+
+      beforeEach(() => {
+        eventService.getEventById.mockImplementation(async (id) =>
+          id === 'event_reply' ? pendingReply : { ...userEvent, supersededAt: null }
+        );
+        eventService.getEventsBefore.mockResolvedValue([userEvent]);
+      });
+
+      it('应该把回复写入占位回复，上下文只包含占位回复之前的消息', async () => {
+        llmService.generateReply.mockResolvedValue('AI Reply');
+        eventService.updateReplyEvent.mockResolvedValue({ ...pendingReply, status: 'complete', content: 'AI Reply' });
+
+        const result = await messageService.processReplyJob(replyPayload, {});
+
+        expect(result).toEqual({ eventId: 'event_reply' });
+        expect(eventService.getEventsBefore).toHaveBeenCalledWith(
+          'session_123',
+          { timestamp: 1500, id: 'event_reply' },
+          expect.any(Number)
+        );
+        expect(eventService.updateReplyEvent).toHaveBeenCalledWith('event_reply', expect.objectContaining({
+          status: 'complete',
+          content: 'AI Reply',
+          model: 'openai/gpt-3.5-turbo'
+        }), { expectedStatus: 'pending' });
+        expect(eventService.createEvent).not.toHaveBeenCalled();
+        expect(realtimeService.publish.mock.calls
+          .filter(([, type]) => type === 'reply.typing')
+          .map(([userId, , data]) => [userId, data.eventId, data.active])
+        ).toEqual([
+          ['test_user_123', 'event_reply', true],
+          ['test_user_123', 'event_reply', false]
+        ]);
+      });
+
+      it('应该在最后一次执行失败时把占位回复标记为 failed', async () => {
+        llmService.generateReply.mockRejectedValue({ code: 'LLM_API_TIMEOUT', message: '超时' });
+        eventService.updateReplyEvent.mockResolvedValue({ ...pendingReply, status: 'failed' });
+        const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await expect(
+          messageService.processReplyJob(replyPayload, { isFinalAttempt: true })
+        ).rejects.toMatchObject({ code: 'LLM_API_TIMEOUT', retryable: false });
+        expect(eventService.updateReplyEvent).toHaveBeenCalledWith('event_reply', expect.objectContaining({
+          status: 'failed',
+          errorCode: 'LLM_API_TIMEOUT',
+          content: 'AI 服务响应超时，请稍后再试。'
+        }), { expectedStatus: 'pending' });
+        errorSpy.mockRestore();
+      });
+
+      it('应该在占位回复已经有结果时跳过', async () => {
+        eventService.getEventById.mockImplementation(async (id) =>
+          id === 'event_reply'
+            ? { ...pendingReply, status: 'complete' }
+            : { ...userEvent, supersededAt: null }
+        );
+
+        const result = await messageService.processReplyJob(replyPayload, {});
+
+        expect(result).toEqual({ skipped: true });
+        expect(llmService.generateReply).not.toHaveBeenCalled();
+      });
+
+      it('应该在生成期间回复已被停止时丢弃结果', async () => {
+        llmService.generateReply.mockResolvedValue('AI Reply');
+        eventService.updateReplyEvent.mockImplementation(async () => {
+          eventService.getEventById.mockResolvedValue({ ...pendingReply, status: 'stopped', content: 'AI' });
+          return null;
+        });
+        const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        const result = await messageService.processReplyJob(replyPayload, {});
+
+        expect(result).toEqual({ eventId: 'event_reply' });
+        expect(logSpy).toHaveBeenCalledWith(expect.stringContaining('already stopped, result discarded'));
+        logSpy.mockRestore();
+      });
+    });
+  });
+
+  describe('cancelReply', () => {
+    const pendingReply = {
+      id: 'event_agent_1',
+      sessionId: 'session_123',
+      parentId: 'event_user_1',
+      userId: 'test_user_123',
+      agentId: 'test_agent_123',
+      fromType: 'agent',
+      content: '',
+      status: 'pending',
+      timestamp: 2000,
+      supersededAt: null
+    };
+
+    beforeEach(() => {
+      eventService.getEventById.mockResolvedValue(pendingReply);
+      jobService.findActiveJobs.mockResolvedValue([
+        { id: 'job_other', payload: { replyEventId: 'event_agent_0' } },
+        { id: 'job_1', payload: { replyEventId: 'event_agent_1' } }
+      ]);
+      jobService.cancel.mockResolvedValue(true);
+    });
+
+    it('应该取消对应的任务并把没有在本实例生成的回复标记为 stopped', async () => {
+      eventService.updateReplyEvent.mockImplementation(async () => {
+        eventService.getEventById.mockResolvedValue({ ...pendingReply, status: 'stopped' });
+        return { ...pendingReply, status: 'stopped' };
+      });
+
+      const result = await messageService.cancelReply({
+        userId: 'test_user_123',
+        eventId: 'event_agent_1'
+      });
+
+      expect(jobService.findActiveJobs).toHaveBeenCalledWith('session_123', 'llm_reply');
+      expect(jobService.cancel).toHaveBeenCalledTimes(1);
+      expect(jobService.cancel).toHaveBeenCalledWith('job_1');
+      expect(eventService.updateReplyEvent).toHaveBeenCalledWith(
+        'event_agent_1',
+        { status: 'stopped', content: '' },
+        { expectedStatus: 'pending' }
+      );
+      expect(result).toMatchObject({
+        replyEventId: 'event_agent_1',
+        sessionId: 'session_123',
+        status: 'stopped',
+        content: ''
+      });
+    });
+
+    it('应该拒绝已经生成结束的回复', async () => {
+      eventService.getEventById.mockResolvedValue({ ...pendingReply, status: 'complete' });
+
+      await expect(messageService.cancelReply({
+        userId: 'test_user_123',
+        eventId: 'event_agent_1'
+      })).rejects.toMatchObject({ code: 'REPLY_NOT_PENDING' });
+      expect(jobService.cancel).not.toHaveBeenCalled();
+    });
+
+    it('应该拒绝用户消息', async () => {
+      eventService.getEventById.mockResolvedValue({ ...pendingReply, fromType: 'user' });
+
+      await expect(messageService.cancelReply({
+        userId: 'test_user_123',
+        eventId: 'event_agent_1'
+      })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+  });
+
+  describe('markReplyFailed', () => {
+    it('应该只把仍为 pending 的占位回复标记为 failed', async () => {
+      eventService.updateReplyEvent.mockResolvedValue({ id: 'event_reply', status: 'failed' });
+
+      await messageService.markReplyFailed(
+        { replyEventId: 'event_reply' },
+        { job: { id: 'job_1' }, code: 'JOB_MAX_ATTEMPTS', message: '租约过期（实例退出或处理超时）' }
+      );
+
+      expect(eventService.updateReplyEvent).toHaveBeenCalledWith(
+        'event_reply',
+        {
+          status: 'failed',
+          errorCode: 'JOB_MAX_ATTEMPTS',
+          content: 'AI 回复生成失败：租约过期（实例退出或处理超时）'
+        },
+        { expectedStatus: 'pending' }
+      );
+    });
+
+    it('应该忽略没有占位回复的旧任务', async () => {
+      await messageService.markReplyFailed({}, { code: 'JOB_FAILED', message: 'x' });
+
+      expect(eventService.updateReplyEvent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('长期记忆', () => {
+    const agent = {
+      id: 'test_agent_123',
+      systemPrompt: 'You are helpful',
+      model: 'openai/gpt-3.5-turbo',
+      provider: 'openrouter'
+    };
+    const historyEvents = [
+      { id: 'event_1', fromType: 'user', content: 'hi', timestamp: 1000 },
+      { id: 'event_2', fromType: 'user', content: 'hello', timestamp: 2000 }
+    ];
+    const options = {
+      sessionId: 'session_123',
+      userId: 'test_user_123',
+      agentId: 'test_agent_123',
+      agent,
+      historyEvents
+    };
+
+    it('应该把记忆附加到 system prompt 并在回复后整理记忆', async () => {
+      memoryService.getMemoryContext.mockResolvedValue('【长期记忆】\n- 喜欢猫');
+      llmService.generateReply.mockResolvedValue('AI Reply');
+      eventService.createEvent.mockResolvedValue({ id: 'event_reply' });
+
+      await messageService.processLLMReplyAsync(options);
+
+      expect(llmService.generateReply.mock.calls[0][0].systemPrompt).toBe(
+        'You are helpful\n\n【长期记忆】\n- 喜欢猫'
+      );
+      expect(memoryService.scheduleMemoryUpdate).toHaveBeenCalledWith({
+        sessionId: 'session_123',
+        userId: 'test_user_123',
+        agentId: 'test_agent_123',
+        agent,
+        windowStart: 1000
+      });
+    });
+
+    it('应该在读取记忆失败时只使用人设', async () => {
+      memoryService.getMemoryContext.mockRejectedValue(new Error('db down'));
+      llmService.generateReply.mockResolvedValue('AI Reply');
+      eventService.createEvent.mockResolvedValue({ id: 'event_reply' });
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const result = await messageService.processLLMReplyAsync(options);
+
+      expect(result.error).toBeNull();
+      expect(llmService.generateReply.mock.calls[0][0].systemPrompt).toBe('You are helpful');
+      warnSpy.mockRestore();
+    });
+
+    it('应该在回复失败时不整理记忆', async () => {
+      llmService.generateReply.mockRejectedValue({ code: 'LLM_API_ERROR', message: 'fail' });
+      eventService.createEvent.mockResolvedValue({ id: 'event_error' });
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await messageService.processLLMReplyAsync(options);
+
+      expect(memoryService.scheduleMemoryUpdate).not.toHaveBeenCalled();
+      errorSpy.mockRestore();
+    });
+  });
+  describe('上下文窗口', () => {
+    const originalMaxTokens = process.env.MAX_CONTEXT_TOKENS;
+    const originalReserve = process.env.REPLY_RESERVE_TOKENS;
+    const agent = {
+      id: 'test_agent_123',
+      systemPrompt: 'You are helpful',
+      model: 'openai/gpt-4.1',
+      provider: 'openrouter'
+    };
+    const historyEvents = [
+      { id: 'event_1', fromType: 'user', content: '长'.repeat(600), timestamp: 1000 },
+      { id: 'event_2', fromType: 'agent', content: '长'.repeat(600), timestamp: 2000 },
+      { id: 'event_3', fromType: 'user', content: '新问题', timestamp: 3000 }
+    ];
+    const options = {
+      sessionId: 'session_123',
+      userId: 'test_user_123',
+      agentId: 'test_agent_123',
+      agent,
+      historyEvents
+    };
+
+    afterEach(() => {
+      if (originalMaxTokens === undefined) {
+        delete process.env.MAX_CONTEXT_TOKENS;
+      } else {
+        process.env.MAX_CONTEXT_TOKENS = originalMaxTokens;
+      }
+      if (originalReserve === undefined) {
+        delete process.env.REPLY_RESERVE_TOKENS;
+      } else {
+        process.env.REPLY_RESERVE_TOKENS = originalReserve;
+      }
+    });
+
+    it('应该在回复 Event 上记录所用的上下文窗口', async () => {
+      llmService.generateReply.mockResolvedValue('AI Reply');
+      eventService.createEvent.mockResolvedValue({ id: 'event_reply' });
+
+      await messageService.processLLMReplyAsync(options);
+
+      expect(eventService.createEvent).toHaveBeenCalledWith(expect.objectContaining({
+        content: 'AI Reply',
+        contextWindow: expect.objectContaining({
+          model: 'openai/gpt-4.1',
+          eventIds: ['event_1', 'event_2', 'event_3'],
+          tokenEstimate: expect.any(Number)
+        })
+      }));
+    });
+
+    it('应该在记忆占用预算后从最旧的一端截断并调整摘要边界', async () => {
+      process.env.MAX_CONTEXT_TOKENS = '1500';
+      process.env.REPLY_RESERVE_TOKENS = '200';
+      memoryService.getMemoryContext.mockResolvedValue('记'.repeat(400));
+      llmService.generateReply.mockResolvedValue('AI Reply');
+      eventService.createEvent.mockResolvedValue({ id: 'event_reply' });
+
+      await messageService.processLLMReplyAsync(options);
+
+      const messages = llmService.generateReply.mock.calls[0][0].messages;
+      expect(messages.map((event) => event.id)).toEqual(['event_2', 'event_3']);
+      expect(eventService.createEvent).toHaveBeenCalledWith(expect.objectContaining({
+        parentId: 'event_3',
+        contextWindow: expect.objectContaining({ eventIds: ['event_2', 'event_3'] })
+      }));
+      expect(memoryService.scheduleMemoryUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ windowStart: 2000 })
+      );
+    });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * NotificationService 测试
+ */
+
+const notificationService = require('../../services/NotificationService');
+const eventRepository = require('../../repositories/EventRepository');
+const sessionRepository = require('../../repositories/SessionRepository');
+const agentRepository = require('../../repositories/AgentRepository');
+const announcementRepository = require('../../repositories/AnnouncementRepository');
+const versionRepository = require('../../repositories/VersionRepository');
+const userRepository = require('../../repositories/UserRepository');
+const realtimeService = require('../../services/RealtimeService');
+
+jest.mock('../../repositories/EventRepository');
+jest.mock('../../repositories/SessionRepository');
+jest.mock('../../repositories/AgentRepository');
+jest.mock('../../repositories/AnnouncementRepository');
+jest.mock('../../repositories/VersionRepository');
+jest.mock('../../repositories/UserRepository');
+jest.mock('../../services/RealtimeService');
+
+describe('NotificationService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getUnreadCounts', () => {
+    it('应该按会话和 NPC 汇总未读回复数', async () => {
+      eventRepository.countUnreadReplies.mockResolvedValue([
+        { sessionId: 'session_1', agentId: 'agent_1', count: 2 },
+        { sessionId: 'session_2', agentId: 'agent_1', count: 1 },
+        { sessionId: 'session_3', agentId: 'agent_2', count: 4 }
+      ]);
+
+      const counts = await notificationService.getUnreadCounts('user_1');
+
+      expect(counts).toEqual({
+        sessions: { session_1: 2, session_2: 1, session_3: 4 },
+        agents: { agent_1: 3, agent_2: 4 }
+      });
+    });
+
+    it('应该在统计失败时返回空计数', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      eventRepository.countUnreadReplies.mockRejectedValue(new Error('db down'));
+
+      await expect(notificationService.getUnreadCounts('user_1')).resolves.toEqual({ sessions: {}, agents: {} });
+      expect(console.warn).toHaveBeenCalled();
+      console.warn.mockRestore();
+    });
+  });
+
+  describe('getNotifications', () => {
+    beforeEach(() => {
+      eventRepository.countUnreadReplies.mockResolvedValue([
+        { sessionId: 'session_1', agentId: 'agent_1', count: 2 },
+        { sessionId: 'session_2', agentId: 'agent_deleted', count: 5 }
+      ]);
+      eventRepository.getUnreadReplies.mockResolvedValue([
+        { id: 'e2', sessionId: 'session_1', agentId: 'agent_1', content: '第二条回复', status: 'complete', timestamp: 4000 },
+        { id: 'e9', sessionId: 'session_2', agentId: 'agent_deleted', content: '已删除 NPC 的回复', status: 'complete', timestamp: 3500 }
+      ]);
+      agentRepository.findById.mockImplementation(async (agentId) => (
+        agentId === 'agent_1'
+          ? { id: 'agent_1', name: '学习教练', avatarUrl: null, deleted: false }
+          : { id: agentId, name: '旧 NPC', deleted: true }
+      ));
+      announcementRepository.findAll.mockResolvedValue([
+        { id: 'announcement_1', title: '维护通知', content: '今晚维护', createdAt: 3000 },
+        { id: 'announcement_0', title: '欢迎', content: '欢迎使用', createdAt: 1000 }
+      ]);
+      versionRepository.getAllActiveVersions.mockResolvedValue([
+        { version: '1.6.0', title: 'v1.6.0 版本更新', content: '## 更新内容', createdAt: 2500 }
+      ]);
+      userRepository.getNotificationsReadAt.mockResolvedValue(2000);
+    });
+
+    it('应该按时间倒序合并未读回复、公告和版本更新日志', async () => {
+      const result = await notificationService.getNotifications('user_1');
+
+      expect(result.items.map((item) => item.id)).toEqual([
+        'reply:e2',
+        'announcement:announcement_1',
+        'changelog:1.6.0',
+        'announcement:announcement_0'
+      ]);
+      expect(result.items[0]).toEqual(expect.objectContaining({
+        type: 'reply',
+        title: '学习教练',
+        sessionId: 'session_1',
+        agentId: 'agent_1',
+        eventId: 'e2',
+        unread: true
+      }));
+      expect(result.items[3].unread).toBe(false);
+    });
+
+    it('应该统计未读数，已删除 NPC 的回复不计入', async () => {
+      const result = await notificationService.getNotifications('user_1');
+
+      expect(result.unread).toEqual({ replies: 2, announcements: 1, changelogs: 1, total: 4 });
+    });
+
+    it('应该限制返回条数', async () => {
+      const result = await notificationService.getNotifications('user_1', { limit: '2' });
+
+      expect(eventRepository.getUnreadReplies).toHaveBeenCalledWith('user_1', 2);
+      expect(announcementRepository.findAll).toHaveBeenCalledWith({ activeOnly: true, limit: 2 });
+      expect(result.items).toHaveLength(2);
+    });
+
+    it('应该截取过长的回复内容', async () => {
+      eventRepository.getUnreadReplies.mockResolvedValue([
+        { id: 'e2', sessionId: 'session_1', agentId: 'agent_1', content: '长'.repeat(300), status: 'complete', timestamp: 4000 }
+      ]);
+
+      const result = await notificationService.getNotifications('user_1');
+
+      expect(result.items[0].content).toBe(`${'长'.repeat(120)}...`);
+    });
+  });
+
+  describe('markNotificationsRead', () => {
+    it('应该标记公告和版本更新日志为已读并推送给其他设备', async () => {
+      const result = await notificationService.markNotificationsRead('user_1');
+
+      expect(userRepository.updateNotificationsReadAt).toHaveBeenCalledWith('user_1', result.readAt);
+      expect(sessionRepository.markAllSessionsRead).not.toHaveBeenCalled();
+      expect(realtimeService.publish).toHaveBeenCalledWith('user_1', 'notifications.read', { all: false });
+    });
+
+    it('应该在 all 为 true 时同时把所有会话标记为已读', async () => {
+      const result = await notificationService.markNotificationsRead('user_1', { all: true });
+
+      expect(sessionRepository.markAllSessionsRead).toHaveBeenCalledWith('user_1', result.readAt);
+      expect(realtimeService.publish).toHaveBeenCalledWith('user_1', 'notifications.read', { all: true });
+    });
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * QuotaService 测试
+ */
+
+const quotaService = require('../../services/QuotaService');
+const quotaRepository = require('../../repositories/QuotaRepository');
+const usageRepository = require('../../repositories/UsageRepository');
+const userRepository = require('../../repositories/UserRepository');
+const eventRepository = require('../../repositories/EventRepository');
+
+jest.mock('../../repositories/QuotaRepository');
+jest.mock('../../repositories/EventRepository');
+jest.mock('../../repositories/UsageRepository');
+jest.mock('../../repositories/UserRepository');
+
+describe('QuotaService', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.QUOTA_DAILY_MESSAGES = '10';
+    process.env.QUOTA_DAILY_TOKENS = '0';
+    quotaRepository.findByUserId.mockResolvedValue(null);
+    usageRepository.getTotals.mockResolvedValue({ requests: 3, totalTokens: 1500 });
+    eventRepository.countPendingReplies.mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  describe('getQuotaStatus', () => {
+    it('应该按今天的用量和默认配额返回状态', async () => {
+      const status = await quotaService.getQuotaStatus('user_1');
+
+      const [filters] = usageRepository.getTotals.mock.calls[0];
+      expect(filters.userId).toBe('user_1');
+      expect(filters.startDate).toBe(filters.endDate);
+      expect(status.date).toBe(filters.startDate);
+      expect(status.messages).toEqual({ used: 3, pending: 0, limit: 10 });
+      expect(status.tokens).toEqual({ used: 1500, limit: null });
+      expect(status.exceeded).toBeNull();
+      expect(status.custom).toBeNull();
+      expect(status.resetAt).toBeGreaterThan(Date.now());
+    });
+
+    it('应该优先使用自定义配额，null 项使用默认值', async () => {
+      quotaRepository.findByUserId.mockResolvedValue({
+        userId: 'user_1',
+        dailyMessages: null,
+        dailyTokens: 1000
+      });
+
+      const status = await quotaService.getQuotaStatus('user_1');
+
+      expect(status.messages.limit).toBe(10);
+      expect(status.tokens.limit).toBe(1000);
+      expect(status.exceeded).toBe('tokens');
+      expect(status.custom).toEqual({ dailyMessages: null, dailyTokens: 1000 });
+    });
+
+    it('应该把自定义配额 0 视为不限', async () => {
+      quotaRepository.findByUserId.mockResolvedValue({
+        userId: 'user_1',
+        dailyMessages: 0,
+        dailyTokens: null
+      });
+      usageRepository.getTotals.mockResolvedValue({ requests: 50, totalTokens: 0 });
+
+      const status = await quotaService.getQuotaStatus('user_1');
+
+      expect(status.messages.limit).toBeNull();
+      expect(status.exceeded).toBeNull();
+    });
+  });
+
+  describe('assertWithinQuota', () => {
+    it('应该在配额用完时抛出 QUOTA_EXCEEDED', async () => {
+      usageRepository.getTotals.mockResolvedValue({ requests: 10, totalTokens: 0 });
+
+      await expect(quotaService.assertWithinQuota('user_1')).rejects.toMatchObject({
+        code: 'QUOTA_EXCEEDED',
+        retryAfter: expect.any(Number),
+        quota: expect.objectContaining({ exceeded: 'messages' })
+      });
+    });
+
+    it('应该把今天排队和生成中的回复计入回复数', async () => {
+      usageRepository.getTotals.mockResolvedValue({ requests: 7, totalTokens: 0 });
+      eventRepository.countPendingReplies.mockResolvedValue(3);
+
+      await expect(quotaService.assertWithinQuota('user_1')).rejects.toMatchObject({
+        code: 'QUOTA_EXCEEDED',
+        quota: expect.objectContaining({ messages: { used: 10, pending: 3, limit: 10 } })
+      });
+
+      const [userId, since] = eventRepository.countPendingReplies.mock.calls[0];
+      expect(userId).toBe('user_1');
+      expect(since).toBeLessThanOrEqual(Date.now());
+      expect(new Date(since).getHours()).toBe(0);
+    });
+
+    it('应该在配额内返回状态', async () => {
+      const status = await quotaService.assertWithinQuota('user_1');
+
+      expect(status.messages.used).toBe(3);
+    });
+
+    it('应该在默认配额和自定义配额都不限时不查询用量', async () => {
+      process.env.QUOTA_DAILY_MESSAGES = '0';
+
+      const status = await quotaService.assertWithinQuota('user_1');
+
+      expect(status).toBeNull();
+      expect(usageRepository.getTotals).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('setUserQuota', () => {
+    beforeEach(() => {
+      userRepository.findById.mockResolvedValue({ id: 'user_1' });
+    });
+
+    it('应该保存自定义配额并记录修改人', async () => {
+      await quotaService.setUserQuota('user_1', { dailyMessages: '50', dailyTokens: null }, 'admin_1');
+
+      expect(quotaRepository.upsert).toHaveBeenCalledWith(
+        'user_1',
+        { dailyMessages: 50, dailyTokens: null },
+        'admin_1'
+      );
+    });
+
+    it('应该在两项都为空时删除自定义配额', async () => {
+      await quotaService.setUserQuota('user_1', { dailyMessages: null, dailyTokens: '' }, 'admin_1');
+
+      expect(quotaRepository.deleteByUserId).toHaveBeenCalledWith('user_1');
+      expect(quotaRepository.upsert).not.toHaveBeenCalled();
+    });
+
+    it('应该拒绝负数或小数', async () => {
+      await expect(
+        quotaService.setUserQuota('user_1', { dailyMessages: -1 }, 'admin_1')
+      ).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      await expect(
+        quotaService.setUserQuota('user_1', { dailyTokens: 1.5 }, 'admin_1')
+      ).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+
+    it('应该在用户不存在时抛出 USER_NOT_FOUND', async () => {
+      userRepository.findById.mockResolvedValue(null);
+
+      await expect(
+        quotaService.setUserQuota('ghost', { dailyMessages: 5 }, 'admin_1')
+      ).rejects.toMatchObject({ code: 'USER_NOT_FOUND' });
+    });
+  });
+});
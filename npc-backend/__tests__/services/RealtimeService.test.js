@@ -0,0 +1,179 @@
+/**
+ * RealtimeService 测试
+ */
+
+const realtimeService = require('../../services/RealtimeService');
+const realtimeRepository = require('../../repositories/RealtimeRepository');
+
+jest.mock('../../repositories/RealtimeRepository');
+
+describe('RealtimeService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    realtimeRepository.create.mockResolvedValue(1);
+    realtimeRepository.findBetween.mockResolvedValue([]);
+    realtimeRepository.deleteBefore.mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    realtimeService.stop();
+    console.warn.mockRestore();
+  });
+
+  describe('publish', () => {
+    it('应该写入中转表并推送给该用户在本实例上的所有连接', async () => {
+      const first = jest.fn();
+      const second = jest.fn();
+      const other = jest.fn();
+      realtimeService.subscribe('user_1', { onMessage: first });
+      realtimeService.subscribe('user_1', { onMessage: second });
+      realtimeService.subscribe('user_2', { onMessage: other });
+
+      await realtimeService.publish('user_1', 'agent.updated', { agentId: 'agent_1' });
+
+      expect(realtimeRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'user_1',
+        type: 'agent.updated',
+        payload: { agentId: 'agent_1' },
+        origin: realtimeService.INSTANCE_ID
+      }));
+      expect(first).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'agent.updated',
+        data: { agentId: 'agent_1' }
+      }));
+      expect(second).toHaveBeenCalledTimes(1);
+      expect(other).not.toHaveBeenCalled();
+    });
+
+    it('应该在写入中转表失败时仍然推送给本实例的连接', async () => {
+      const onMessage = jest.fn();
+      realtimeService.subscribe('user_1', { onMessage });
+      realtimeRepository.create.mockRejectedValue(new Error('db down'));
+
+      await expect(realtimeService.publish('user_1', 'agent.deleted', { agentId: 'agent_1' })).resolves.toBeUndefined();
+
+      expect(onMessage).toHaveBeenCalledTimes(1);
+    });
+
+    it('应该在某个连接推送出错时继续推送其他连接', async () => {
+      const broken = jest.fn(() => {
+        throw new Error('socket closed');
+      });
+      const healthy = jest.fn();
+      realtimeService.subscribe('user_1', { onMessage: broken });
+      realtimeService.subscribe('user_1', { onMessage: healthy });
+
+      await realtimeService.publish('user_1', 'event.created', { sessionId: 'session_1' });
+
+      expect(healthy).toHaveBeenCalledTimes(1);
+    });
+
+    it('应该忽略没有用户 ID 的事件', async () => {
+      await realtimeService.publish(null, 'event.created', {});
+
+      expect(realtimeRepository.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('subscribe', () => {
+    it('取消订阅后不再推送', async () => {
+      const onMessage = jest.fn();
+      const unsubscribe = realtimeService.subscribe('user_1', { onMessage });
+      expect(realtimeService.getConnectionCount('user_1')).toBe(1);
+
+      unsubscribe();
+      await realtimeService.publish('user_1', 'agent.updated', {});
+
+      expect(realtimeService.getConnectionCount('user_1')).toBe(0);
+      expect(onMessage).not.toHaveBeenCalled();
+    });
+
+    it('应该限制每个用户的连接数', () => {
+      for (let i = 0; i < realtimeService.MAX_CONNECTIONS_PER_USER; i++) {
+        realtimeService.subscribe('user_1', { onMessage: jest.fn() });
+      }
+
+      expect(() => realtimeService.subscribe('user_1', { onMessage: jest.fn() }))
+        .toThrow(expect.objectContaining({ code: 'TOO_MANY_CONNECTIONS' }));
+    });
+  });
+
+  describe('poll', () => {
+    it('应该从开始轮询时起，只推送其他实例写入的事件', async () => {
+      const onMessage = jest.fn();
+      realtimeService.subscribe('user_1', { onMessage });
+      realtimeRepository.findBetween.mockResolvedValueOnce([
+        { id: 11, userId: 'user_1', type: 'event.updated', payload: { eventId: 'e1' }, origin: 'other_host', createdAt: 1000 },
+        { id: 12, userId: 'user_1', type: 'event.updated', payload: { eventId: 'e2' }, origin: realtimeService.INSTANCE_ID, createdAt: 1001 }
+      ]);
+
+      const before = Date.now();
+      await realtimeService.poll();
+
+      const [cursor, until] = realtimeRepository.findBetween.mock.calls[0];
+      expect(until).toBeGreaterThanOrEqual(before - 1000);
+      expect(cursor).toEqual({ createdAt: until, id: 0 });
+      expect(onMessage).toHaveBeenCalledTimes(1);
+      expect(onMessage).toHaveBeenCalledWith({ type: 'event.updated', data: { eventId: 'e1' }, timestamp: 1000 });
+    });
+
+    it('应该推送晚提交的事件，并且不重复推送已推送的事件', async () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(10000);
+      const onMessage = jest.fn();
+      realtimeService.subscribe('user_1', { onMessage });
+      const early = { id: 21, userId: 'user_1', type: 'event.updated', payload: { eventId: 'e1' }, origin: 'other_host', createdAt: 9500 };
+      const late = { id: 20, userId: 'user_1', type: 'event.created', payload: { eventId: 'e0' }, origin: 'other_host', createdAt: 9499 };
+      realtimeRepository.findBetween
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([early])
+        .mockResolvedValueOnce([late, early]);
+
+      await realtimeService.poll();
+      now.mockReturnValue(10600);
+      await realtimeService.poll();
+      now.mockReturnValue(11200);
+      await realtimeService.poll();
+      now.mockRestore();
+
+      // 每次都从窗口起点读取（不是从已读取的最大 ID 之后）
+      expect(realtimeRepository.findBetween.mock.calls.map(([cursor]) => cursor))
+        .toEqual([{ createdAt: 9000, id: 0 }, { createdAt: 9000, id: 0 }, { createdAt: 9000, id: 0 }]);
+      expect(onMessage.mock.calls.map(([message]) => message.data.eventId)).toEqual(['e1', 'e0']);
+    });
+
+    it('应该在一批读满时从最后一条事件之后继续读取', async () => {
+      realtimeService.subscribe('user_1', { onMessage: jest.fn() });
+      const batch = Array.from({ length: 500 }, (_, i) => (
+        { id: i + 1, userId: 'user_1', type: 'x', payload: {}, origin: 'other_host', createdAt: 5000 + i }
+      ));
+      realtimeRepository.findBetween.mockResolvedValueOnce(batch);
+
+      await realtimeService.poll();
+
+      expect(realtimeRepository.findBetween).toHaveBeenCalledTimes(2);
+      expect(realtimeRepository.findBetween.mock.calls[1][0]).toEqual({ createdAt: 5499, id: 500 });
+    });
+
+    it('应该在读取失败时只打印警告', async () => {
+      realtimeService.subscribe('user_1', { onMessage: jest.fn() });
+      realtimeRepository.findBetween.mockRejectedValue(new Error('db down'));
+
+      await expect(realtimeService.poll()).resolves.toBeUndefined();
+      expect(console.warn).toHaveBeenCalled();
+    });
+  });
+
+  describe('stop', () => {
+    it('应该结束所有连接', () => {
+      const onClose = jest.fn();
+      realtimeService.subscribe('user_1', { onMessage: jest.fn(), onClose });
+      realtimeService.subscribe('user_2', { onMessage: jest.fn(), onClose });
+
+      realtimeService.stop();
+
+      expect(onClose).toHaveBeenCalledTimes(2);
+      expect(realtimeService.getConnectionCount('user_1')).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * SearchService 测试
+ */
+
+const searchService = require('../../services/SearchService');
+const eventRepository = require('../../repositories/EventRepository');
+
+jest.mock('../../repositories/EventRepository');
+
+describe('SearchService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    eventRepository.searchEvents.mockResolvedValue({ total: 0, events: [] });
+  });
+
+  describe('parseTerms / buildBooleanQuery', () => {
+    it('应该按空格拆分关键词并去掉全文检索的特殊字符', () => {
+      expect(searchService.parseTerms('学习  "计划" -考试 学习')).toEqual(['学习', '计划', '考试']);
+    });
+
+    it('应该把关键词转为短语匹配，1 个字的关键词按前缀匹配', () => {
+      expect(searchService.buildBooleanQuery(['学习计划', '我'])).toBe('+"学习计划" +我*');
+    });
+  });
+
+  describe('buildSnippet', () => {
+    it('应该返回关键词在摘要中的位置（不区分大小写）', () => {
+      const { snippet, highlights } = searchService.buildSnippet('Hello 学习计划 and hello', ['hello']);
+
+      expect(snippet).toBe('Hello 学习计划 and hello');
+      expect(highlights).toEqual([[0, 5], [15, 20]]);
+    });
+
+    it('应该截取第一个关键词附近的内容并加省略号', () => {
+      const content = `${'前'.repeat(100)}关键词${'后'.repeat(200)}`;
+
+      const { snippet, highlights } = searchService.buildSnippet(content, ['关键词']);
+
+      expect(snippet.startsWith('…')).toBe(true);
+      expect(snippet.endsWith('…')).toBe(true);
+      expect(snippet.length).toBe(122);
+      const [start, end] = highlights[0];
+      expect(snippet.slice(start, end)).toBe('关键词');
+    });
+
+    it('应该合并重叠的高亮并把换行替换为空格', () => {
+      const { snippet, highlights } = searchService.buildSnippet('学习计划\n学习', ['学习', '习计']);
+
+      expect(snippet).toBe('学习计划 学习');
+      expect(highlights).toEqual([[0, 3], [5, 7]]);
+    });
+
+    it('应该在找不到关键词时从开头截取', () => {
+      const { snippet, highlights } = searchService.buildSnippet('ＡＢＣ', ['abc']);
+
+      expect(snippet).toBe('ＡＢＣ');
+      expect(highlights).toEqual([]);
+    });
+  });
+
+  describe('searchMessages', () => {
+    it('应该搜索并返回带摘要的结果', async () => {
+      eventRepository.searchEvents.mockResolvedValue({
+        total: 21,
+        events: [{
+          id: 'event_1',
+          sessionId: 'session_1',
+          sessionTitle: '期末复习',
+          agentId: 'agent_1',
+          agentName: '小助手',
+          agentAvatarUrl: null,
+          fromType: 'agent',
+          content: '我们来制定学习计划',
+          timestamp: 1000
+        }]
+      });
+
+      const result = await searchService.searchMessages('user_1', { q: ' 学习计划 ', limit: '1', offset: '0' });
+
+      expect(eventRepository.searchEvents).toHaveBeenCalledWith('user_1', '+"学习计划"', {
+        agentId: null,
+        fromType: null,
+        startTime: null,
+        endTime: null,
+        limit: 1,
+        offset: 0
+      });
+      expect(result).toMatchObject({ query: '学习计划', total: 21, hasMore: true });
+      expect(result.items[0]).toEqual({
+        eventId: 'event_1',
+        sessionId: 'session_1',
+        sessionTitle: '期末复习',
+        agentId: 'agent_1',
+        agentName: '小助手',
+        agentAvatarUrl: null,
+        fromType: 'agent',
+        timestamp: 1000,
+        snippet: '我们来制定学习计划',
+        highlights: [[5, 9]]
+      });
+    });
+
+    it('应该把日期范围转换为时间戳（含结束日期当天）', async () => {
+      await searchService.searchMessages('user_1', {
+        q: '计划',
+        agentId: 'agent_1',
+        from: 'user',
+        startDate: '2025-12-01',
+        endDate: '2025-12-01'
+      });
+
+      const [, , filters] = eventRepository.searchEvents.mock.calls[0];
+      expect(filters.agentId).toBe('agent_1');
+      expect(filters.fromType).toBe('user');
+      expect(filters.startTime).toBe(new Date(2025, 11, 1).getTime());
+      expect(filters.endTime).toBe(new Date(2025, 11, 2).getTime());
+    });
+
+    it('应该限制每页最多 50 条', async () => {
+      await searchService.searchMessages('user_1', { q: '计划', limit: 500 });
+
+      expect(eventRepository.searchEvents.mock.calls[0][2].limit).toBe(50);
+    });
+
+    it('应该拒绝空的、过长的或只有符号的搜索内容', async () => {
+      await expect(searchService.searchMessages('user_1', { q: '  ' })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      await expect(searchService.searchMessages('user_1', { q: 'a'.repeat(101) })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      await expect(searchService.searchMessages('user_1', { q: '+-*' })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      expect(eventRepository.searchEvents).not.toHaveBeenCalled();
+    });
+
+    it('应该拒绝不正确的筛选参数', async () => {
+      await expect(searchService.searchMessages('user_1', { q: '计划', from: 'system' })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      await expect(searchService.searchMessages('user_1', { q: '计划', startDate: '12/01' })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      await expect(
+        searchService.searchMessages('user_1', { q: '计划', startDate: '2025-12-10', endDate: '2025-12-01' })
+      ).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      await expect(searchService.searchMessages('user_1', { q: '计划', offset: -1 })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+  });
+});
@@ -4,9 +4,13 @@
 
 const sessionService = require('../../services/SessionService');
 const sessionRepository = require('../../repositories/SessionRepository');
+const eventRepository = require('../../repositories/EventRepository');
+const realtimeService = require('../../services/RealtimeService');
 
 // Mock Repository
 jest.mock('../../repositories/SessionRepository');
+jest.mock('../../repositories/EventRepository');
+jest.mock('../../services/RealtimeService');
 
 describe('SessionService', () => {
   beforeEach(() => {
@@ -171,5 +175,214 @@ describe('SessionService', () => {
       expect(sessionRepository.updateSessionActivity).toHaveBeenCalledWith(sessionId);
     });
   });
-});
 
+  describe('多会话管理', () => {
+    const userId = 'test_user_123';
+    const ownSession = {
+      sessionId: 'session_123',
+      participants: [
+        { type: 'user', id: userId },
+        { type: 'agent', id: 'agent_1' }
+      ],
+      title: null,
+      archivedAt: null
+    };
+
+    it('应该按 Agent 和归档状态过滤会话列表', async () => {
+      sessionRepository.findSessionsByUser.mockResolvedValue([
+        ownSession,
+        { ...ownSession, sessionId: 'session_archived', archivedAt: 1000 },
+        {
+          ...ownSession,
+          sessionId: 'session_other_agent',
+          participants: [
+            { type: 'user', id: userId },
+            { type: 'agent', id: 'agent_2' }
+          ]
+        }
+      ]);
+
+      const result = await sessionService.getSessionsByUser(userId, {
+        agentId: 'agent_1',
+        includeArchived: false
+      });
+
+      expect(result.map((s) => s.sessionId)).toEqual(['session_123']);
+    });
+
+    it('应该新建会话并清理标题', async () => {
+      sessionRepository.createSession.mockResolvedValue({ ...ownSession, title: '新话题' });
+
+      await sessionService.createSession(userId, 'agent_1', '  新话题  ');
+
+      expect(sessionRepository.createSession).toHaveBeenCalledWith(
+        [
+          { type: 'user', id: userId },
+          { type: 'agent', id: 'agent_1' }
+        ],
+        '新话题'
+      );
+    });
+
+    it('应该拒绝过长的会话标题', async () => {
+      await expect(
+        sessionService.createSession(userId, 'agent_1', 'a'.repeat(101))
+      ).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      expect(sessionRepository.createSession).not.toHaveBeenCalled();
+    });
+
+    it('应该返回属于用户的会话', async () => {
+      sessionRepository.findSessionById.mockResolvedValue(ownSession);
+
+      const result = await sessionService.getSessionForUser('session_123', userId, 'agent_1');
+
+      expect(result).toBe(ownSession);
+    });
+
+    it('应该把他人的会话视为不存在', async () => {
+      sessionRepository.findSessionById.mockResolvedValue(ownSession);
+
+      await expect(
+        sessionService.getSessionForUser('session_123', 'other_user')
+      ).rejects.toMatchObject({ code: 'SESSION_NOT_FOUND' });
+    });
+
+    it('应该拒绝与其他 Agent 的会话', async () => {
+      sessionRepository.findSessionById.mockResolvedValue(ownSession);
+
+      await expect(
+        sessionService.getSessionForUser('session_123', userId, 'agent_2')
+      ).rejects.toMatchObject({ code: 'SESSION_NOT_FOUND' });
+    });
+
+    it('应该重命名会话，空标题表示清除标题', async () => {
+      sessionRepository.findSessionById.mockResolvedValue(ownSession);
+      sessionRepository.updateSessionTitle.mockResolvedValue(true);
+
+      const result = await sessionService.renameSession('session_123', userId, '   ');
+
+      expect(result.title).toBeNull();
+      expect(sessionRepository.updateSessionTitle).toHaveBeenCalledWith('session_123', null);
+    });
+
+    it('应该归档会话', async () => {
+      sessionRepository.findSessionById
+        .mockResolvedValueOnce(ownSession)
+        .mockResolvedValueOnce({ ...ownSession, archivedAt: 5000 });
+      sessionRepository.setSessionArchived.mockResolvedValue(true);
+
+      const result = await sessionService.archiveSession('session_123', userId, true);
+
+      expect(result.archivedAt).toBe(5000);
+      expect(sessionRepository.setSessionArchived).toHaveBeenCalledWith('session_123', true);
+    });
+
+    it('应该在删除前校验会话归属', async () => {
+      sessionRepository.findSessionById.mockResolvedValue(null);
+
+      await expect(
+        sessionService.deleteSession('session_missing', userId)
+      ).rejects.toMatchObject({ code: 'SESSION_NOT_FOUND' });
+      expect(sessionRepository.softDeleteSession).not.toHaveBeenCalled();
+    });
+
+    it('应该用第一条消息为未命名会话生成标题', async () => {
+      sessionRepository.updateSessionTitle.mockResolvedValue(true);
+
+      const title = await sessionService.ensureSessionTitle(
+        ownSession,
+        '帮我\n制定一个为期三个月的英语学习计划，每天大概有一个小时的空闲时间'
+      );
+
+      expect(title).toBe('帮我 制定一个为期三个月的英语学习计划，每天大概有一个小时的…');
+      expect(sessionRepository.updateSessionTitle).toHaveBeenCalledWith('session_123', title);
+    });
+
+    it('应该保留已有的会话标题', async () => {
+      const title = await sessionService.ensureSessionTitle(
+        { ...ownSession, title: '已命名' },
+        '新消息'
+      );
+
+      expect(title).toBe('已命名');
+      expect(sessionRepository.updateSessionTitle).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('markSessionRead', () => {
+    const userId = 'test_user_123';
+    const ownSession = {
+      sessionId: 'session_123',
+      participants: [
+        { type: 'user', id: userId },
+        { type: 'agent', id: 'agent_1' }
+      ],
+      title: null,
+      archivedAt: null
+    };
+
+    beforeEach(() => {
+      sessionRepository.findSessionById.mockResolvedValue(ownSession);
+      sessionRepository.updateReadCursor.mockResolvedValue(true);
+      eventRepository.findFirstPendingReply.mockResolvedValue(null);
+    });
+
+    it('应该把已读游标移到指定消息并推送给其他设备', async () => {
+      eventRepository.findEventById.mockResolvedValue({ id: 'event_9', sessionId: 'session_123', timestamp: 3000 });
+
+      const result = await sessionService.markSessionRead('session_123', userId, 'event_9');
+
+      expect(sessionRepository.updateReadCursor).toHaveBeenCalledWith('session_123', { timestamp: 3000, id: 'event_9' });
+      expect(result).toEqual({ sessionId: 'session_123', lastReadAt: 3000, lastReadEventId: 'event_9', updated: true });
+      expect(realtimeService.publish).toHaveBeenCalledWith(userId, 'session.read', {
+        sessionId: 'session_123',
+        agentId: 'agent_1'
+      });
+    });
+
+    it('应该在不指定消息时标记到当前时间', async () => {
+      const before = Date.now();
+
+      await sessionService.markSessionRead('session_123', userId);
+
+      const cursor = sessionRepository.updateReadCursor.mock.calls[0][1];
+      expect(cursor.id).toBeNull();
+      expect(cursor.timestamp).toBeGreaterThanOrEqual(before);
+      expect(eventRepository.findEventById).not.toHaveBeenCalled();
+    });
+
+    it('已读游标不应越过生成中的回复', async () => {
+      eventRepository.findEventById.mockResolvedValue({ id: 'event_9', sessionId: 'session_123', timestamp: 3000 });
+      eventRepository.findFirstPendingReply.mockResolvedValue({ id: 'event_5', timestamp: 2000 });
+
+      const result = await sessionService.markSessionRead('session_123', userId, 'event_9');
+
+      expect(sessionRepository.updateReadCursor).toHaveBeenCalledWith('session_123', { timestamp: 1999, id: null });
+      expect(result.lastReadAt).toBe(1999);
+    });
+
+    it('应该拒绝不属于该会话的消息', async () => {
+      eventRepository.findEventById.mockResolvedValue({ id: 'event_9', sessionId: 'session_other', timestamp: 3000 });
+
+      await expect(
+        sessionService.markSessionRead('session_123', userId, 'event_9')
+      ).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      expect(sessionRepository.updateReadCursor).not.toHaveBeenCalled();
+    });
+
+    it('已读位置没有前进时不推送', async () => {
+      sessionRepository.updateReadCursor.mockResolvedValue(false);
+
+      const result = await sessionService.markSessionRead('session_123', userId);
+
+      expect(result.updated).toBe(false);
+      expect(realtimeService.publish).not.toHaveBeenCalled();
+    });
+
+    it('应该在会话不属于当前用户时拒绝', async () => {
+      await expect(
+        sessionService.markSessionRead('session_123', 'other_user')
+      ).rejects.toMatchObject({ code: 'SESSION_NOT_FOUND' });
+    });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * SettingsService 测试
+ */
+
+const settingsService = require('../../services/SettingsService');
+const settingsRepository = require('../../repositories/SettingsRepository');
+
+jest.mock('../../repositories/SettingsRepository');
+
+describe('SettingsService', () => {
+  const originalDefault = process.env.SHARED_KEY_POOL_ENABLED;
+
+  beforeEach(() => {
+    settingsService.clearCache();
+    delete process.env.SHARED_KEY_POOL_ENABLED;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    if (originalDefault === undefined) {
+      delete process.env.SHARED_KEY_POOL_ENABLED;
+    } else {
+      process.env.SHARED_KEY_POOL_ENABLED = originalDefault;
+    }
+    jest.restoreAllMocks();
+  });
+
+  describe('getSetting', () => {
+    it('应该在没有记录时使用环境变量中的默认值', async () => {
+      settingsRepository.findAll.mockResolvedValue([]);
+
+      expect(await settingsService.getSetting('shared_key_pool_enabled')).toBe(true);
+
+      settingsService.clearCache();
+      process.env.SHARED_KEY_POOL_ENABLED = 'false';
+      expect(await settingsService.getSetting('shared_key_pool_enabled')).toBe(false);
+    });
+
+    it('应该优先使用管理员保存的值并缓存读取结果', async () => {
+      settingsRepository.findAll.mockResolvedValue([
+        { key: 'shared_key_pool_enabled', value: false, updatedBy: 'admin_1', updatedAt: 1000 }
+      ]);
+
+      expect(await settingsService.getSetting('shared_key_pool_enabled')).toBe(false);
+      expect(await settingsService.getSetting('shared_key_pool_enabled')).toBe(false);
+      expect(settingsRepository.findAll).toHaveBeenCalledTimes(1);
+    });
+
+    it('应该在数据库读取失败时回退到默认值', async () => {
+      settingsRepository.findAll.mockRejectedValue(new Error('connection refused'));
+
+      expect(await settingsService.getSetting('shared_key_pool_enabled')).toBe(true);
+    });
+
+    it('应该拒绝未定义的设置', async () => {
+      await expect(settingsService.getSetting('unknown')).rejects.toMatchObject({ code: 'SETTING_NOT_FOUND' });
+    });
+  });
+
+  describe('listSettings', () => {
+    it('应该返回设置的当前值、默认值和说明', async () => {
+      settingsRepository.findAll.mockResolvedValue([
+        { key: 'shared_key_pool_enabled', value: false, updatedBy: 'admin_1', updatedAt: 1000 }
+      ]);
+
+      const settings = await settingsService.listSettings();
+
+      expect(settings).toEqual([
+        expect.objectContaining({
+          key: 'shared_key_pool_enabled',
+          value: false,
+          defaultValue: true,
+          type: 'boolean',
+          updatedBy: 'admin_1',
+          updatedAt: 1000
+        })
+      ]);
+    });
+  });
+
+  describe('updateSetting', () => {
+    it('应该保存设置并刷新缓存', async () => {
+      settingsRepository.findAll.mockResolvedValueOnce([]);
+      expect(await settingsService.getSetting('shared_key_pool_enabled')).toBe(true);
+
+      settingsRepository.upsert.mockResolvedValue({
+        key: 'shared_key_pool_enabled',
+        value: false,
+        updatedBy: 'admin_1',
+        updatedAt: 2000
+      });
+      const setting = await settingsService.updateSetting('shared_key_pool_enabled', false, 'admin_1');
+
+      expect(settingsRepository.upsert).toHaveBeenCalledWith('shared_key_pool_enabled', false, 'admin_1');
+      expect(setting).toMatchObject({ value: false, updatedBy: 'admin_1' });
+
+      settingsRepository.findAll.mockResolvedValueOnce([
+        { key: 'shared_key_pool_enabled', value: false, updatedBy: 'admin_1', updatedAt: 2000 }
+      ]);
+      expect(await settingsService.getSetting('shared_key_pool_enabled')).toBe(false);
+    });
+
+    it('应该拒绝类型不匹配的值', async () => {
+      await expect(
+        settingsService.updateSetting('shared_key_pool_enabled', 'no', 'admin_1')
+      ).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      expect(settingsRepository.upsert).not.toHaveBeenCalled();
+    });
+
+    it('应该拒绝未定义的设置', async () => {
+      await expect(
+        settingsService.updateSetting('unknown', true, 'admin_1')
+      ).rejects.toMatchObject({ code: 'SETTING_NOT_FOUND' });
+    });
+  });
+});
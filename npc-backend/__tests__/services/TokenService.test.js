@@ -0,0 +1,165 @@
+/**
+ * TokenService 测试
+ */
+
+const tokenService = require('../../services/TokenService');
+const refreshTokenRepository = require('../../repositories/RefreshTokenRepository');
+const userRepository = require('../../repositories/UserRepository');
+const { generateAccessToken, generateRefreshToken, decodeToken } = require('../../utils/jwt');
+
+// Mock 依赖
+jest.mock('../../repositories/RefreshTokenRepository');
+jest.mock('../../repositories/UserRepository');
+
+describe('TokenService', () => {
+  const user = { id: 'test_user_123', username: 'testuser', role: 'user', status: 'active' };
+  const activeRecord = {
+    id: 'rt_1',
+    userId: 'test_user_123',
+    familyId: 'rtf_1',
+    revokedAt: null,
+    revokeReason: null
+  };
+  const oldRefreshToken = generateRefreshToken({ userId: 'test_user_123', tokenId: 'rt_1', familyId: 'rtf_1' });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('issueTokens', () => {
+    it('应该签发一对 Token 并登记 Refresh Token', async () => {
+      const result = await tokenService.issueTokens(user);
+
+      expect(decodeToken(result.accessToken)).toMatchObject({ userId: 'test_user_123', role: 'user', type: 'access' });
+      const refresh = decodeToken(result.refreshToken);
+      expect(refresh.type).toBe('refresh');
+      expect(refresh.jti).toMatch(/^rt_/);
+      expect(refresh.familyId).toMatch(/^rtf_/);
+      expect(result.expiresIn).toBeDefined();
+
+      expect(refreshTokenRepository.create).toHaveBeenCalledWith({
+        id: refresh.jti,
+        userId: 'test_user_123',
+        familyId: refresh.familyId,
+        expiresAt: refresh.exp * 1000
+      });
+    });
+  });
+
+  describe('refreshTokens', () => {
+    it('应该轮换 Refresh Token 并沿用家族', async () => {
+      refreshTokenRepository.findById.mockResolvedValue(activeRecord);
+      refreshTokenRepository.markRotated.mockResolvedValue(true);
+      userRepository.findById.mockResolvedValue({ ...user, role: 'admin' });
+
+      const result = await tokenService.refreshTokens(oldRefreshToken);
+
+      const refresh = decodeToken(result.refreshToken);
+      expect(refresh.familyId).toBe('rtf_1');
+      expect(refreshTokenRepository.markRotated).toHaveBeenCalledWith('rt_1', refresh.jti, expect.any(Number));
+      // 角色以数据库为准
+      expect(result.user).toEqual({ id: 'test_user_123', username: 'testuser', role: 'admin' });
+      expect(decodeToken(result.accessToken).role).toBe('admin');
+    });
+
+    it('应该在已轮换的 Token 被再次使用时吊销整个家族', async () => {
+      refreshTokenRepository.findById.mockResolvedValue({ ...activeRecord, revokedAt: 1000, revokeReason: 'rotated' });
+
+      await expect(tokenService.refreshTokens(oldRefreshToken)).rejects.toMatchObject({
+        code: 'REFRESH_TOKEN_REUSED'
+      });
+      expect(refreshTokenRepository.revokeFamily).toHaveBeenCalledWith('rtf_1', 'reuse_detected', expect.any(Number));
+      expect(refreshTokenRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('应该在并发刷新失败时按重复使用处理', async () => {
+      refreshTokenRepository.findById.mockResolvedValue(activeRecord);
+      refreshTokenRepository.markRotated.mockResolvedValue(false);
+      userRepository.findById.mockResolvedValue(user);
+
+      await expect(tokenService.refreshTokens(oldRefreshToken)).rejects.toMatchObject({
+        code: 'REFRESH_TOKEN_REUSED'
+      });
+      expect(refreshTokenRepository.revokeFamily).toHaveBeenCalledWith('rtf_1', 'reuse_detected', expect.any(Number));
+    });
+
+    it('应该拒绝已吊销的 Token', async () => {
+      refreshTokenRepository.findById.mockResolvedValue({ ...activeRecord, revokedAt: 1000, revokeReason: 'logout' });
+
+      await expect(tokenService.refreshTokens(oldRefreshToken)).rejects.toMatchObject({
+        code: 'REFRESH_TOKEN_REVOKED'
+      });
+      expect(refreshTokenRepository.revokeFamily).not.toHaveBeenCalled();
+    });
+
+    it('应该拒绝已禁用用户并吊销家族', async () => {
+      refreshTokenRepository.findById.mockResolvedValue(activeRecord);
+      userRepository.findById.mockResolvedValue({ ...user, status: 'disabled' });
+
+      await expect(tokenService.refreshTokens(oldRefreshToken)).rejects.toMatchObject({
+        code: 'USER_DISABLED'
+      });
+      expect(refreshTokenRepository.revokeFamily).toHaveBeenCalledWith('rtf_1', 'user_disabled', expect.any(Number));
+      expect(refreshTokenRepository.markRotated).not.toHaveBeenCalled();
+    });
+
+    it('应该拒绝 Access Token 和未登记的 Token', async () => {
+      const accessToken = generateAccessToken({ userId: 'test_user_123', username: 'testuser' });
+      await expect(tokenService.refreshTokens(accessToken)).rejects.toMatchObject({
+        code: 'REFRESH_TOKEN_INVALID'
+      });
+
+      refreshTokenRepository.findById.mockResolvedValue(null);
+      await expect(tokenService.refreshTokens(oldRefreshToken)).rejects.toMatchObject({
+        code: 'REFRESH_TOKEN_INVALID'
+      });
+    });
+
+    it('应该拒绝无效和空的 Token', async () => {
+      await expect(tokenService.refreshTokens('invalid.token.here')).rejects.toMatchObject({
+        code: 'REFRESH_TOKEN_INVALID'
+      });
+      await expect(tokenService.refreshTokens('')).rejects.toMatchObject({
+        code: 'VALIDATION_ERROR'
+      });
+    });
+  });
+
+  describe('revokeToken', () => {
+    it('应该吊销 Token 所在的家族', async () => {
+      refreshTokenRepository.findById.mockResolvedValue(activeRecord);
+      refreshTokenRepository.revokeFamily.mockResolvedValue(1);
+
+      const count = await tokenService.revokeToken(oldRefreshToken);
+
+      expect(count).toBe(1);
+      expect(refreshTokenRepository.revokeFamily).toHaveBeenCalledWith('rtf_1', 'logout', expect.any(Number));
+    });
+
+    it('Token 无效时应该直接返回 0', async () => {
+      expect(await tokenService.revokeToken(undefined)).toBe(0);
+      expect(await tokenService.revokeToken('invalid.token.here')).toBe(0);
+      expect(refreshTokenRepository.revokeFamily).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('revokeAllForUser', () => {
+    it('应该吊销用户的全部 Token', async () => {
+      refreshTokenRepository.revokeAllForUser.mockResolvedValue(2);
+
+      const count = await tokenService.revokeAllForUser('test_user_123', tokenService.REVOKE_REASONS.PASSWORD_CHANGED);
+
+      expect(count).toBe(2);
+      expect(refreshTokenRepository.revokeAllForUser).toHaveBeenCalledWith(
+        'test_user_123',
+        'password_changed',
+        expect.any(Number)
+      );
+    });
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * UsageService 测试
+ */
+
+const usageService = require('../../services/UsageService');
+const usageRepository = require('../../repositories/UsageRepository');
+
+jest.mock('../../repositories/UsageRepository');
+
+describe('UsageService', () => {
+  const originalProviders = process.env.LLM_PROVIDERS;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.LLM_PROVIDERS = JSON.stringify([
+      { name: 'ollama', base_url: 'http://localhost:11434/v1', auth: 'none' },
+      {
+        name: 'proxy',
+        base_url: 'https://proxy.example.com/v1',
+        models: [{ id: 'openai/gpt-4.1', input_price: 1, output_price: 4 }]
+      }
+    ]);
+    usageRepository.create.mockImplementation(async (data) => data);
+  });
+
+  afterEach(() => {
+    if (originalProviders === undefined) {
+      delete process.env.LLM_PROVIDERS;
+    } else {
+      process.env.LLM_PROVIDERS = originalProviders;
+    }
+  });
+
+  describe('calculateCost', () => {
+    it('应该按每百万 token 的价格计算费用', () => {
+      expect(usageService.calculateCost(
+        { promptTokens: 1000, completionTokens: 500 },
+        { input: 3, output: 15 }
+      )).toBe(0.0105);
+    });
+
+    it('应该在没有价格或没有 token 数时返回 null', () => {
+      expect(usageService.calculateCost({ promptTokens: 1000, completionTokens: 500 }, null)).toBeNull();
+      expect(usageService.calculateCost(
+        { promptTokens: null, completionTokens: null },
+        { input: 3, output: 15 }
+      )).toBeNull();
+    });
+  });
+
+  describe('recordUsage', () => {
+    const baseOptions = {
+      eventId: 'event_agent_1',
+      userId: 'user_1',
+      agentId: 'agent_1',
+      sessionId: 'session_1'
+    };
+
+    it('应该使用预设价格表计算费用并记录当天日期', async () => {
+      const record = await usageService.recordUsage({
+        ...baseOptions,
+        model: 'anthropic/claude-sonnet-4.5',
+        provider: 'openrouter',
+        usage: { promptTokens: 2000, completionTokens: 1000, latencyMs: 1500 }
+      });
+
+      expect(record).toMatchObject({
+        eventId: 'event_agent_1',
+        promptTokens: 2000,
+        completionTokens: 1000,
+        latencyMs: 1500,
+        cost: 0.021
+      });
+      expect(record.id).toMatch(/^usage_\d+_[a-z0-9]+$/);
+      expect(record.usageDate).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+    });
+
+    it('应该优先使用提供商配置的价格，本地服务按免费计算', async () => {
+      const usage = { promptTokens: 1000000, completionTokens: 1000000, latencyMs: 10 };
+
+      const proxied = await usageService.recordUsage({
+        ...baseOptions, model: 'openai/gpt-4.1', provider: 'proxy', usage
+      });
+      const local = await usageService.recordUsage({
+        ...baseOptions, model: 'llama3.1:8b', provider: 'ollama', usage
+      });
+
+      expect(proxied.cost).toBe(5);
+      expect(local.cost).toBe(0);
+    });
+
+    it('应该在提供商没有返回用量时仍然记录请求', async () => {
+      const record = await usageService.recordUsage({
+        ...baseOptions, model: 'some/unknown-model', provider: 'openrouter', usage: null
+      });
+
+      expect(record).toMatchObject({
+        promptTokens: null,
+        completionTokens: null,
+        latencyMs: 0,
+        cost: null
+      });
+    });
+  });
+
+  describe('resolveDateRange', () => {
+    it('应该默认返回截至今天的最近 30 天', () => {
+      const range = usageService.resolveDateRange();
+      const days = (new Date(range.endDate) - new Date(range.startDate)) / (24 * 60 * 60 * 1000) + 1;
+
+      expect(days).toBe(30);
+    });
+
+    it('应该拒绝格式错误、顺序颠倒或过长的范围', () => {
+      expect(() => usageService.resolveDateRange({ startDate: '2025-13-01' }))
+        .toThrow(expect.objectContaining({ code: 'VALIDATION_ERROR' }));
+      expect(() => usageService.resolveDateRange({ startDate: '2025-12-10', endDate: '2025-12-01' }))
+        .toThrow(expect.objectContaining({ code: 'VALIDATION_ERROR' }));
+      expect(() => usageService.resolveDateRange({ startDate: '2024-01-01', endDate: '2025-12-01' }))
+        .toThrow(expect.objectContaining({ code: 'VALIDATION_ERROR' }));
+    });
+  });
+
+  describe('getUserUsage', () => {
+    it('应该只统计当前用户，并返回每日、按 Agent 和按模型的明细', async () => {
+      usageRepository.getTotals.mockResolvedValue({ requests: 3 });
+      usageRepository.aggregate.mockImplementation(async (groupBy) => [{ key: groupBy }]);
+
+      const result = await usageService.getUserUsage('user_1', {
+        startDate: '2025-12-01',
+        endDate: '2025-12-10'
+      });
+
+      const filters = { startDate: '2025-12-01', endDate: '2025-12-10', userId: 'user_1' };
+      expect(usageRepository.getTotals).toHaveBeenCalledWith(filters);
+      expect(usageRepository.aggregate).toHaveBeenCalledWith('day', filters);
+      expect(result).toEqual({
+        range: { startDate: '2025-12-01', endDate: '2025-12-10' },
+        totals: { requests: 3 },
+        daily: [{ key: 'day' }],
+        agents: [{ key: 'agent' }],
+        models: [{ key: 'model' }]
+      });
+    });
+  });
+
+  describe('getUsageStatistics', () => {
+    it('应该按分组方式汇总，并限制返回条数', async () => {
+      usageRepository.getTotals.mockResolvedValue({ requests: 0 });
+      usageRepository.aggregate.mockResolvedValue([]);
+
+      await usageService.getUsageStatistics('user', {
+        startDate: '2025-12-01',
+        endDate: '2025-12-10',
+        limit: '9999'
+      });
+      await usageService.getUsageStatistics('day', { startDate: '2025-12-01', endDate: '2025-12-10' });
+
+      expect(usageRepository.aggregate).toHaveBeenNthCalledWith(
+        1, 'user', expect.objectContaining({ startDate: '2025-12-01' }), 500
+      );
+      expect(usageRepository.aggregate).toHaveBeenNthCalledWith(2, 'day', expect.any(Object), null);
+    });
+
+    it('应该拒绝不支持的分组方式', async () => {
+      await expect(usageService.getUsageStatistics('session'))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * UserApiKeyService 测试
+ */
+
+const userApiKeyService = require('../../services/UserApiKeyService');
+const userApiKeyRepository = require('../../repositories/UserApiKeyRepository');
+const settingsService = require('../../services/SettingsService');
+const { encryptSecret } = require('../../utils/encryption');
+
+jest.mock('../../repositories/UserApiKeyRepository');
+jest.mock('../../services/SettingsService');
+
+describe('UserApiKeyService', () => {
+  const originalFetch = global.fetch;
+  const originalEnv = {
+    API_KEY_MASTER_KEY: process.env.API_KEY_MASTER_KEY,
+    OPENROUTER_API_KEY: process.env.OPENROUTER_API_KEY,
+    ENABLE_ANTHROPIC: process.env.ENABLE_ANTHROPIC,
+    LLM_PROVIDERS: process.env.LLM_PROVIDERS
+  };
+
+  const userKey = 'sk-or-v1-user-own-key-1234';
+
+  beforeEach(() => {
+    process.env.API_KEY_MASTER_KEY = 'test-master-key';
+    process.env.OPENROUTER_API_KEY = 'pool-key';
+    delete process.env.ENABLE_ANTHROPIC;
+    process.env.LLM_PROVIDERS = JSON.stringify([
+      { name: 'ollama', base_url: 'http://localhost:11434/v1', auth: 'none' }
+    ]);
+    global.fetch = jest.fn();
+    settingsService.getSetting.mockResolvedValue(true);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    for (const [name, value] of Object.entries(originalEnv)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+    jest.restoreAllMocks();
+  });
+
+  describe('listApiKeys', () => {
+    it('应该只列出需要 Key 的已启用提供商，并且只返回脱敏后的 Key', async () => {
+      userApiKeyRepository.findByUser.mockResolvedValue([
+        {
+          id: 'uak_1',
+          userId: 'user_1',
+          provider: 'openrouter',
+          encryptedKey: 'v1:iv:tag:data',
+          keyHint: 'sk-o…1234',
+          validatedAt: 2000,
+          updatedAt: 2000
+        }
+      ]);
+
+      const result = await userApiKeyService.listApiKeys('user_1');
+
+      expect(result.sharedPoolEnabled).toBe(true);
+      expect(result.encryptionConfigured).toBe(true);
+      expect(result.keys.map((key) => key.provider)).toEqual(['openrouter']);
+      expect(result.keys[0]).toEqual({
+        provider: 'openrouter',
+        label: 'OpenRouter',
+        configured: true,
+        keyHint: 'sk-o…1234',
+        validatedAt: 2000,
+        updatedAt: 2000,
+        sharedKeyAvailable: true
+      });
+      expect(JSON.stringify(result)).not.toContain('v1:iv:tag:data');
+    });
+  });
+
+  describe('saveApiKey', () => {
+    it('应该向提供商验证后加密保存', async () => {
+      global.fetch.mockResolvedValue({ ok: true, status: 200 });
+      userApiKeyRepository.upsert.mockImplementation(async (data) => ({ ...data, updatedAt: 3000 }));
+
+      const key = await userApiKeyService.saveApiKey('user_1', 'openrouter', `  ${userKey}  `);
+
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://openrouter.ai/api/v1/key');
+      expect(init.method).toBe('GET');
+      expect(init.headers.Authorization).toBe(`Bearer ${userKey}`);
+
+      const saved = userApiKeyRepository.upsert.mock.calls[0][0];
+      expect(saved.encryptedKey).not.toContain(userKey);
+      expect(saved.keyHint).toBe('sk-o…1234');
+      expect(key).toMatchObject({ provider: 'openrouter', configured: true, keyHint: 'sk-o…1234' });
+      expect(JSON.stringify(key)).not.toContain(userKey);
+    });
+
+    it('应该用 Anthropic 格式的请求头验证 Anthropic Key', async () => {
+      process.env.ENABLE_ANTHROPIC = 'true';
+      global.fetch.mockResolvedValue({ ok: true, status: 200 });
+      userApiKeyRepository.upsert.mockImplementation(async (data) => data);
+
+      await userApiKeyService.saveApiKey('user_1', 'anthropic', 'sk-ant-api03-abcdefgh');
+
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://api.anthropic.com/v1/models');
+      expect(init.headers['x-api-key']).toBe('sk-ant-api03-abcdefgh');
+      expect(init.headers['anthropic-version']).toBe('2023-06-01');
+    });
+
+    it('应该在提供商拒绝 Key 时抛出 INVALID_API_KEY 且不保存', async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 401 });
+
+      await expect(
+        userApiKeyService.saveApiKey('user_1', 'openrouter', userKey)
+      ).rejects.toMatchObject({ code: 'INVALID_API_KEY' });
+      expect(userApiKeyRepository.upsert).not.toHaveBeenCalled();
+    });
+
+    it('应该在提供商不可用时抛出 API_KEY_VALIDATION_FAILED', async () => {
+      global.fetch.mockRejectedValue(new TypeError('fetch failed'));
+
+      await expect(
+        userApiKeyService.saveApiKey('user_1', 'openrouter', userKey)
+      ).rejects.toMatchObject({ code: 'API_KEY_VALIDATION_FAILED' });
+    });
+
+    it('应该拒绝格式不正确的 Key 和不需要 Key 的提供商', async () => {
+      await expect(
+        userApiKeyService.saveApiKey('user_1', 'openrouter', 'has space key')
+      ).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      await expect(
+        userApiKeyService.saveApiKey('user_1', 'ollama', userKey)
+      ).rejects.toMatchObject({ code: 'INVALID_PROVIDER' });
+      await expect(
+        userApiKeyService.saveApiKey('user_1', 'openai', userKey)
+      ).rejects.toMatchObject({ code: 'INVALID_PROVIDER' });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('应该在未配置主密钥时抛出 MASTER_KEY_MISSING', async () => {
+      delete process.env.API_KEY_MASTER_KEY;
+
+      await expect(
+        userApiKeyService.saveApiKey('user_1', 'openrouter', userKey)
+      ).rejects.toMatchObject({ code: 'MASTER_KEY_MISSING' });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteApiKey', () => {
+    it('应该在没有保存 Key 时抛出 API_KEY_NOT_FOUND', async () => {
+      userApiKeyRepository.deleteByUserAndProvider.mockResolvedValue(false);
+
+      await expect(
+        userApiKeyService.deleteApiKey('user_1', 'openrouter')
+      ).rejects.toMatchObject({ code: 'API_KEY_NOT_FOUND' });
+    });
+  });
+
+  describe('resolveApiKeys', () => {
+    it('应该优先返回解密后的个人 Key', async () => {
+      userApiKeyRepository.findByUserAndProvider.mockResolvedValue({
+        provider: 'openrouter',
+        encryptedKey: encryptSecret(userKey),
+        keyHint: 'sk-o…1234'
+      });
+
+      const result = await userApiKeyService.resolveApiKeys('user_1', 'openrouter');
+
+      expect(result).toEqual({ source: 'user', apiKeys: [userKey] });
+      expect(settingsService.getSetting).not.toHaveBeenCalled();
+    });
+
+    it('应该在没有个人 Key 时按设置使用共享 Key 池', async () => {
+      userApiKeyRepository.findByUserAndProvider.mockResolvedValue(null);
+
+      const result = await userApiKeyService.resolveApiKeys('user_1', 'openrouter');
+
+      expect(result).toEqual({ source: 'pool', apiKeys: null });
+      expect(settingsService.getSetting).toHaveBeenCalledWith('shared_key_pool_enabled');
+    });
+
+    it('应该在共享 Key 池关闭且没有个人 Key 时抛出 API_KEY_REQUIRED', async () => {
+      userApiKeyRepository.findByUserAndProvider.mockResolvedValue(null);
+      settingsService.getSetting.mockResolvedValue(false);
+
+      await expect(
+        userApiKeyService.resolveApiKeys('user_1', 'openrouter')
+      ).rejects.toMatchObject({ code: 'API_KEY_REQUIRED' });
+    });
+
+    it('应该把无法解密的个人 Key 当作没有 Key 处理', async () => {
+      userApiKeyRepository.findByUserAndProvider.mockResolvedValue({
+        provider: 'openrouter',
+        encryptedKey: 'v1:bad:bad:bad',
+        keyHint: 'sk-o…1234'
+      });
+
+      const result = await userApiKeyService.resolveApiKeys('user_1', 'openrouter');
+
+      expect(result.source).toBe('pool');
+      expect(console.warn.mock.calls[0][0]).not.toContain(userKey);
+    });
+
+    it('应该对不需要认证的本地服务直接返回', async () => {
+      const result = await userApiKeyService.resolveApiKeys('user_1', 'ollama');
+
+      expect(result).toEqual({ source: 'none', apiKeys: null });
+      expect(userApiKeyRepository.findByUserAndProvider).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -4,9 +4,12 @@
 
 const userService = require('../../services/UserService');
 const userRepository = require('../../repositories/UserRepository');
+const tokenService = require('../../services/TokenService');
+const { hashPassword, verifyPassword } = require('../../utils/password');
 
 // Mock Repository
 jest.mock('../../repositories/UserRepository');
+jest.mock('../../services/TokenService');
 
 describe('UserService', () => {
   beforeEach(() => {
@@ -71,6 +74,69 @@ describe('UserService', () => {
         message: '密码错误'
       });
     });
+
+    it('应该校验哈希密码且不重新保存', async () => {
+      const mockUser = {
+        id: 'test_user_123',
+        username: 'testuser',
+        password: await hashPassword('correct_password')
+      };
+
+      userRepository.findById.mockResolvedValue(mockUser);
+
+      const result = await userService.login('test_user_123', 'correct_password');
+
+      expect(result.id).toBe('test_user_123');
+      expect(userRepository.updatePassword).not.toHaveBeenCalled();
+    });
+
+    it('应该在历史明文密码登录成功后改为哈希保存', async () => {
+      const mockUser = {
+        id: 'test_user_123',
+        username: 'testuser',
+        password: 'legacy_password'
+      };
+
+      userRepository.findById.mockResolvedValue(mockUser);
+      userRepository.updatePassword.mockResolvedValue(mockUser);
+
+      await userService.login('test_user_123', 'legacy_password');
+
+      const [savedUserId, savedPassword] = userRepository.updatePassword.mock.calls[0];
+      expect(savedUserId).toBe('test_user_123');
+      expect(savedPassword).toMatch(/^scrypt\$/);
+      expect((await verifyPassword('legacy_password', savedPassword)).valid).toBe(true);
+    });
+
+    it('重新哈希失败时不应该影响登录', async () => {
+      const mockUser = {
+        id: 'test_user_123',
+        username: 'testuser',
+        password: 'legacy_password'
+      };
+
+      userRepository.findById.mockResolvedValue(mockUser);
+      userRepository.updatePassword.mockRejectedValue(new Error('db down'));
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const result = await userService.login('test_user_123', 'legacy_password');
+
+      expect(result.id).toBe('test_user_123');
+      warnSpy.mockRestore();
+    });
+
+    it('应该拒绝已禁用的账号', async () => {
+      userRepository.findById.mockResolvedValue({
+        id: 'test_user_123',
+        username: 'testuser',
+        password: await hashPassword('right-pass-2025'),
+        status: 'disabled'
+      });
+
+      await expect(userService.login('test_user_123', 'right-pass-2025')).rejects.toMatchObject({
+        code: 'USER_DISABLED'
+      });
+    });
   });
 
   describe('register', () => {
@@ -119,11 +185,10 @@ describe('UserService', () => {
 
       const result = await userService.register(userData);
 
-      expect(userRepository.create).toHaveBeenCalledWith(
-        expect.objectContaining({
-          password: '123456'
-        })
-      );
+      // 默认密码同样以哈希保存
+      const savedPassword = userRepository.create.mock.calls[0][0].password;
+      expect(savedPassword).toMatch(/^scrypt\$/);
+      expect((await verifyPassword('123456', savedPassword)).valid).toBe(true);
     });
 
     it('应该拒绝重复的 userId', async () => {
@@ -164,7 +229,7 @@ describe('UserService', () => {
     });
   });
 
-  describe('forgotPassword', () => {
+  describe('resetPassword', () => {
     it('应该成功重置密码', async () => {
       const userId = 'test_user_123';
       const newPassword = 'newpassword123';
@@ -180,23 +245,28 @@ describe('UserService', () => {
         password: newPassword
       });
 
-      const result = await userService.forgotPassword(userId, newPassword);
+      const result = await userService.resetPassword(userId, newPassword);
 
       expect(result).toBeDefined();
       expect(result.id).toBe(userId);
       expect(result.password).toBeUndefined(); // 密码不应该返回
-      expect(userRepository.updatePassword).toHaveBeenCalledWith(userId, newPassword.trim());
+      // 保存的是新密码的哈希
+      const [savedUserId, savedPassword] = userRepository.updatePassword.mock.calls[0];
+      expect(savedUserId).toBe(userId);
+      expect((await verifyPassword(newPassword, savedPassword)).valid).toBe(true);
+      // 修改密码后吊销该用户的全部登录
+      expect(tokenService.revokeAllForUser).toHaveBeenCalledWith(userId, 'password_changed');
     });
 
     it('应该拒绝空 userId', async () => {
-      await expect(userService.forgotPassword('', 'newpassword')).rejects.toMatchObject({
+      await expect(userService.resetPassword('', 'newpassword')).rejects.toMatchObject({
         code: 'VALIDATION_ERROR',
         message: '用户 ID 不能为空'
       });
     });
 
     it('应该拒绝空新密码', async () => {
-      await expect(userService.forgotPassword('user123', '')).rejects.toMatchObject({
+      await expect(userService.resetPassword('user123', '')).rejects.toMatchObject({
         code: 'VALIDATION_ERROR',
         message: '新密码不能为空'
       });
@@ -205,7 +275,7 @@ describe('UserService', () => {
     it('应该拒绝不存在的用户', async () => {
       userRepository.findById.mockResolvedValue(null);
 
-      await expect(userService.forgotPassword('nonexistent', 'newpassword')).rejects.toMatchObject({
+      await expect(userService.resetPassword('nonexistent', 'newpassword')).rejects.toMatchObject({
         code: 'USER_NOT_FOUND',
         message: '账号不存在'
       });
@@ -221,11 +291,201 @@ describe('UserService', () => {
       userRepository.findById.mockResolvedValue(mockUser);
       userRepository.updatePassword.mockResolvedValue(null);
 
-      await expect(userService.forgotPassword(userId, 'newpassword')).rejects.toMatchObject({
+      await expect(userService.resetPassword(userId, 'newpassword')).rejects.toMatchObject({
         code: 'UPDATE_FAILED',
         message: '更新密码失败'
       });
     });
+
+    it('应该拒绝弱密码', async () => {
+      userRepository.findById.mockResolvedValue({ id: 'test_user_123', username: 'testuser' });
+
+      await expect(userService.resetPassword('test_user_123', '12345678')).rejects.toMatchObject({
+        code: 'VALIDATION_ERROR'
+      });
+      await expect(userService.resetPassword('test_user_123', 'short1')).rejects.toMatchObject({
+        code: 'VALIDATION_ERROR'
+      });
+      expect(userRepository.updatePassword).not.toHaveBeenCalled();
+      expect(tokenService.revokeAllForUser).not.toHaveBeenCalled();
+    });
+
+    it('应该以哈希保存管理员重置的密码', async () => {
+      userRepository.findById.mockResolvedValue({ id: 'test_user_123', username: 'testuser' });
+      userRepository.updatePassword.mockResolvedValue({ id: 'test_user_123', username: 'testuser' });
+
+      const result = await userService.resetPassword('test_user_123', 'reset-pass-2025');
+
+      expect(result.password).toBeUndefined();
+      const savedPassword = userRepository.updatePassword.mock.calls[0][1];
+      expect((await verifyPassword('reset-pass-2025', savedPassword)).valid).toBe(true);
+    });
+
+    it('应该拒绝常见密码', async () => {
+      userRepository.findById.mockResolvedValue({ id: 'test_user_123', username: 'testuser' });
+
+      await expect(userService.resetPassword('test_user_123', 'password')).rejects.toMatchObject({
+        code: 'VALIDATION_ERROR'
+      });
+    });
+  });
+
+  describe('updateUserRole', () => {
+    it('应该更新用户角色', async () => {
+      userRepository.updateRole.mockResolvedValue({
+        id: 'test_user_123',
+        username: 'testuser',
+        password: 'secret',
+        role: 'admin'
+      });
+
+      const result = await userService.updateUserRole('test_user_123', 'admin', 'admin_1');
+
+      expect(result.role).toBe('admin');
+      expect(result.password).toBeUndefined();
+      expect(userRepository.updateRole).toHaveBeenCalledWith('test_user_123', 'admin');
+    });
+
+    it('应该拒绝无效角色', async () => {
+      await expect(userService.updateUserRole('test_user_123', 'root', 'admin_1')).rejects.toMatchObject({
+        code: 'VALIDATION_ERROR',
+        message: '无效的用户角色'
+      });
+      expect(userRepository.updateRole).not.toHaveBeenCalled();
+    });
+
+    it('应该拒绝修改自己的角色', async () => {
+      await expect(userService.updateUserRole('admin_1', 'user', 'admin_1')).rejects.toMatchObject({
+        code: 'VALIDATION_ERROR',
+        message: '不能修改自己的角色'
+      });
+    });
+
+    it('应该拒绝不存在的用户', async () => {
+      userRepository.updateRole.mockResolvedValue(null);
+
+      await expect(userService.updateUserRole('nonexistent', 'admin', 'admin_1')).rejects.toMatchObject({
+        code: 'USER_NOT_FOUND'
+      });
+    });
+  });
+
+  describe('updateUserStatus', () => {
+    it('应该禁用用户并吊销其全部 Token', async () => {
+      userRepository.updateStatus.mockResolvedValue({
+        id: 'test_user_123',
+        username: 'testuser',
+        password: 'secret',
+        status: 'disabled'
+      });
+
+      const result = await userService.updateUserStatus('test_user_123', 'disabled', 'admin_1');
+
+      expect(result.status).toBe('disabled');
+      expect(result.password).toBeUndefined();
+      expect(userRepository.updateStatus).toHaveBeenCalledWith('test_user_123', 'disabled');
+      expect(tokenService.revokeAllForUser).toHaveBeenCalledWith('test_user_123', 'user_disabled');
+    });
+
+    it('启用用户时不应该吊销 Token', async () => {
+      userRepository.updateStatus.mockResolvedValue({ id: 'test_user_123', status: 'active' });
+
+      await userService.updateUserStatus('test_user_123', 'active', 'admin_1');
+
+      expect(tokenService.revokeAllForUser).not.toHaveBeenCalled();
+    });
+
+    it('应该拒绝无效状态', async () => {
+      await expect(userService.updateUserStatus('test_user_123', 'banned', 'admin_1')).rejects.toMatchObject({
+        code: 'VALIDATION_ERROR',
+        message: '无效的账号状态'
+      });
+      expect(userRepository.updateStatus).not.toHaveBeenCalled();
+    });
+
+    it('应该拒绝修改自己的状态', async () => {
+      await expect(userService.updateUserStatus('admin_1', 'disabled', 'admin_1')).rejects.toMatchObject({
+        code: 'VALIDATION_ERROR',
+        message: '不能修改自己的账号状态'
+      });
+    });
+
+    it('应该拒绝不存在的用户', async () => {
+      userRepository.updateStatus.mockResolvedValue(null);
+
+      await expect(userService.updateUserStatus('nonexistent', 'disabled', 'admin_1')).rejects.toMatchObject({
+        code: 'USER_NOT_FOUND'
+      });
+      expect(tokenService.revokeAllForUser).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('autoLogin', () => {
+    const oldUser = {
+      id: 'old_user',
+      username: 'olduser',
+      password: '',
+      createdAt: new Date('2025-11-01T00:00:00.000Z').getTime()
+    };
+
+    afterEach(() => {
+      delete process.env.AUTO_LOGIN_CUTOFF;
+    });
+
+    it('应该允许截止时间前注册且未设置密码的老用户自动登录', async () => {
+      userRepository.findById.mockResolvedValue(oldUser);
+      userRepository.updatePassword.mockResolvedValue({ ...oldUser, password: 'hashed' });
+
+      const result = await userService.autoLogin('old_user');
+
+      expect(result.id).toBe('old_user');
+      expect(result.password).toBeUndefined();
+      expect(userRepository.updatePassword).toHaveBeenCalledWith('old_user', expect.stringMatching(/^scrypt\$/));
+    });
+
+    it('应该允许仍使用默认密码的老用户自动登录', async () => {
+      userRepository.findById.mockResolvedValue({ ...oldUser, password: await hashPassword('123456') });
+
+      const result = await userService.autoLogin('old_user');
+
+      expect(result.id).toBe('old_user');
+      expect(userRepository.updatePassword).not.toHaveBeenCalled();
+    });
+
+    it('应该拒绝已设置自己密码的老用户', async () => {
+      userRepository.findById.mockResolvedValue({ ...oldUser, password: await hashPassword('my-own-pass') });
+
+      await expect(userService.autoLogin('old_user')).rejects.toMatchObject({
+        code: 'AUTO_LOGIN_NOT_ALLOWED'
+      });
+    });
+
+    it('应该拒绝截止时间之后注册的用户', async () => {
+      userRepository.findById.mockResolvedValue({ ...oldUser, createdAt: new Date('2025-12-01T00:00:00.000Z').getTime() });
+
+      await expect(userService.autoLogin('old_user')).rejects.toMatchObject({
+        code: 'AUTO_LOGIN_NOT_ALLOWED'
+      });
+    });
+
+    it('应该按配置的截止时间判断', async () => {
+      process.env.AUTO_LOGIN_CUTOFF = '2025-10-01';
+      userRepository.findById.mockResolvedValue(oldUser);
+
+      await expect(userService.autoLogin('old_user')).rejects.toMatchObject({
+        code: 'AUTO_LOGIN_NOT_ALLOWED'
+      });
+    });
+
+    it('应该在自动登录关闭时拒绝所有用户', async () => {
+      process.env.AUTO_LOGIN_CUTOFF = 'off';
+      userRepository.findById.mockResolvedValue(oldUser);
+
+      await expect(userService.autoLogin('old_user')).rejects.toMatchObject({
+        code: 'AUTO_LOGIN_NOT_ALLOWED'
+      });
+      expect(userRepository.updatePassword).not.toHaveBeenCalled();
+    });
   });
 });
 
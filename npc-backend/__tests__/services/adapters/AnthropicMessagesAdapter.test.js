@@ -0,0 +1,314 @@
+/**
+ * AnthropicMessagesAdapter 测试
+ *
+ * 适配器单元测试 + 通过本地模拟服务器调用 LLMService 的端到端测试
+ */
+
+const http = require('http');
+const anthropicAdapter = require('../../../services/adapters/AnthropicMessagesAdapter');
+const { getAdapter } = require('../../../services/adapters');
+const llmService = require('../../../services/LLMService');
+
+describe('AnthropicMessagesAdapter', () => {
+  describe('buildRequest', () => {
+    it('应该把 system prompt 放到顶层并使用内容块', () => {
+      const request = anthropicAdapter.buildRequest({
+        baseUrl: 'https://api.anthropic.com/v1',
+        model: 'claude-sonnet-4-5',
+        systemPrompt: 'You are helpful',
+        messages: [{ role: 'user', content: 'Hi' }],
+        maxTokens: 1024
+      });
+
+      expect(request.url).toBe('https://api.anthropic.com/v1/messages');
+      expect(request.headers['anthropic-version']).toBe('2023-06-01');
+      expect(request.body).toEqual({
+        model: 'claude-sonnet-4-5',
+        max_tokens: 1024,
+        system: 'You are helpful',
+        messages: [{ role: 'user', content: [{ type: 'text', text: 'Hi' }] }],
+        temperature: 0.7
+      });
+    });
+
+    it('应该合并连续同角色消息并丢弃开头的 assistant 消息', () => {
+      const { body } = anthropicAdapter.buildRequest({
+        baseUrl: 'http://stub/v1',
+        model: 'claude',
+        systemPrompt: '',
+        messages: [
+          { role: 'assistant', content: '欢迎' },
+          { role: 'user', content: '第一句' },
+          { role: 'user', content: '第二句' },
+          { role: 'assistant', content: '   ' },
+          { role: 'assistant', content: '回复' }
+        ]
+      });
+
+      expect(body.system).toBeUndefined();
+      expect(body.max_tokens).toBe(4096);
+      expect(body.messages).toEqual([
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: '第一句' },
+            { type: 'text', text: '第二句' }
+          ]
+        },
+        { role: 'assistant', content: [{ type: 'text', text: '回复' }] }
+      ]);
+    });
+
+    it('应该把 system 角色的消息追加到顶层 system', () => {
+      const { body } = anthropicAdapter.buildRequest({
+        baseUrl: 'http://stub/v1',
+        model: 'claude',
+        systemPrompt: '人设',
+        messages: [
+          { role: 'system', content: '补充说明' },
+          { role: 'user', content: 'Hi' }
+        ],
+        stream: true
+      });
+
+      expect(body.system).toBe('人设\n\n补充说明');
+      expect(body.stream).toBe(true);
+    });
+
+    it('应该映射生成参数并把 temperature 截断到 1', () => {
+      const { body } = anthropicAdapter.buildRequest({
+        baseUrl: 'http://stub/v1',
+        model: 'claude',
+        systemPrompt: '人设',
+        messages: [{ role: 'user', content: 'Hi' }],
+        maxTokens: 1024,
+        generationParams: { temperature: 1.5, maxTokens: 300, topP: 0.9, stop: ['END'] }
+      });
+
+      expect(body.temperature).toBe(1);
+      expect(body.max_tokens).toBe(300);
+      expect(body.top_p).toBe(0.9);
+      expect(body.stop_sequences).toEqual(['END']);
+    });
+  });
+
+  describe('parseResponse', () => {
+    it('应该拼接文本内容块并返回 stop_reason', () => {
+      const parsed = anthropicAdapter.parseResponse({
+        content: [
+          { type: 'text', text: '你好' },
+          { type: 'tool_use', id: 'x' },
+          { type: 'text', text: '，世界' }
+        ],
+        stop_reason: 'max_tokens',
+        usage: { input_tokens: 12, output_tokens: 34 }
+      });
+
+      expect(parsed).toEqual({
+        content: '你好，世界',
+        stopReason: 'max_tokens',
+        truncated: true,
+        usage: { promptTokens: 12, completionTokens: 34 }
+      });
+    });
+
+    it('应该在没有文本内容时返回 null', () => {
+      expect(anthropicAdapter.parseResponse({ content: [] })).toBeNull();
+    });
+  });
+
+  describe('parseStreamEvent', () => {
+    it('应该解析增量文本和结束事件', () => {
+      expect(anthropicAdapter.parseStreamEvent({
+        type: 'content_block_delta',
+        delta: { type: 'text_delta', text: '你' }
+      })).toMatchObject({ delta: '你', done: false });
+      expect(anthropicAdapter.parseStreamEvent({ type: 'ping' })).toMatchObject({ delta: '', done: false });
+      expect(anthropicAdapter.parseStreamEvent({
+        type: 'message_delta',
+        delta: { stop_reason: 'end_turn' }
+      })).toMatchObject({ stopReason: 'end_turn' });
+      expect(anthropicAdapter.parseStreamEvent({ type: 'message_stop' })).toMatchObject({ done: true });
+    });
+
+    it('应该从 message_start 和 message_delta 中读取 token 用量', () => {
+      expect(anthropicAdapter.parseStreamEvent({
+        type: 'message_start',
+        message: { usage: { input_tokens: 25, output_tokens: 1 } }
+      }).usage).toEqual({ promptTokens: 25 });
+      expect(anthropicAdapter.parseStreamEvent({
+        type: 'message_delta',
+        delta: { stop_reason: 'end_turn' },
+        usage: { output_tokens: 15 }
+      }).usage).toEqual({ completionTokens: 15 });
+    });
+
+    it('应该在 error 事件时抛出错误', () => {
+      expect(() => anthropicAdapter.parseStreamEvent({
+        type: 'error',
+        error: { type: 'overloaded_error', message: 'Overloaded' }
+      })).toThrow(expect.objectContaining({ code: 'LLM_API_ERROR', errorType: 'overloaded_error' }));
+    });
+  });
+
+  describe('classifyError', () => {
+    it('应该区分可重试和不可重试的错误', () => {
+      expect(anthropicAdapter.classifyError(400, {
+        type: 'error',
+        error: { type: 'invalid_request_error', message: 'max_tokens: required' }
+      })).toEqual({
+        message: 'max_tokens: required',
+        type: 'invalid_request_error',
+        retryNextKey: false,
+        retryable: false
+      });
+      expect(anthropicAdapter.classifyError(529, {}, 'Overloaded')).toMatchObject({
+        message: 'LLM API 调用失败：529 Overloaded',
+        retryNextKey: false,
+        retryable: true
+      });
+      expect(anthropicAdapter.classifyError(429, {})).toMatchObject({
+        retryNextKey: true,
+        retryable: true
+      });
+    });
+  });
+
+  describe('getAdapter', () => {
+    it('应该按接口格式返回适配器，默认 openai', () => {
+      expect(getAdapter('anthropic')).toBe(anthropicAdapter);
+      expect(getAdapter().name).toBe('openai');
+      expect(getAdapter('unknown')).toBeUndefined();
+    });
+  });
+
+  describe('通过本地模拟服务器调用', () => {
+    let server;
+    let baseUrl;
+    let requests;
+    let handler;
+    const originalProviders = process.env.LLM_PROVIDERS;
+
+    beforeAll((done) => {
+      server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', (chunk) => {
+          raw += chunk;
+        });
+        req.on('end', () => {
+          requests.push({ url: req.url, headers: req.headers, body: JSON.parse(raw) });
+          handler(req, res);
+        });
+      });
+      server.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+        done();
+      });
+    });
+
+    afterAll((done) => {
+      server.close(done);
+    });
+
+    beforeEach(() => {
+      requests = [];
+      process.env.LLM_PROVIDERS = JSON.stringify([
+        { name: 'claude-stub', base_url: baseUrl, api: 'anthropic', api_key_env: 'STUB_ANTHROPIC_KEY' }
+      ]);
+      process.env.STUB_ANTHROPIC_KEY = 'stub-key';
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      if (originalProviders === undefined) {
+        delete process.env.LLM_PROVIDERS;
+      } else {
+        process.env.LLM_PROVIDERS = originalProviders;
+      }
+      delete process.env.STUB_ANTHROPIC_KEY;
+      jest.restoreAllMocks();
+    });
+
+    const options = {
+      model: 'claude-sonnet-4-5',
+      provider: 'claude-stub',
+      systemPrompt: 'You are helpful',
+      messages: [{ role: 'user', content: 'Hi' }]
+    };
+
+    it('应该发送 Messages 请求并解析回复', async () => {
+      handler = (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          type: 'message',
+          role: 'assistant',
+          content: [{ type: 'text', text: '  你好  ' }],
+          stop_reason: 'end_turn'
+        }));
+      };
+
+      const reply = await llmService.generateReply(options);
+
+      expect(reply).toBe('你好');
+      expect(requests).toHaveLength(1);
+      expect(requests[0].url).toBe('/v1/messages');
+      expect(requests[0].headers['x-api-key']).toBe('stub-key');
+      expect(requests[0].headers['anthropic-version']).toBe('2023-06-01');
+      expect(requests[0].headers.authorization).toBeUndefined();
+      expect(requests[0].body.system).toBe('You are helpful');
+      expect(requests[0].body.max_tokens).toBeGreaterThan(0);
+    });
+
+    it('应该解析流式事件并逐段回调', async () => {
+      handler = (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        const events = [
+          ['message_start', { type: 'message_start', message: { id: 'msg_1' } }],
+          ['content_block_start', { type: 'content_block_start', index: 0 }],
+          ['ping', { type: 'ping' }],
+          ['content_block_delta', { type: 'content_block_delta', delta: { type: 'text_delta', text: '你' } }],
+          ['content_block_delta', { type: 'content_block_delta', delta: { type: 'text_delta', text: '好' } }],
+          ['content_block_stop', { type: 'content_block_stop', index: 0 }],
+          ['message_delta', { type: 'message_delta', delta: { stop_reason: 'end_turn' } }],
+          ['message_stop', { type: 'message_stop' }]
+        ];
+        for (const [event, data] of events) {
+          res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+        res.end();
+      };
+      const deltas = [];
+
+      const reply = await llmService.generateReply({
+        ...options,
+        stream: true,
+        onDelta: (delta) => deltas.push(delta)
+      });
+
+      expect(reply).toBe('你好');
+      expect(deltas).toEqual(['你', '好']);
+      expect(requests[0].body.stream).toBe(true);
+    });
+
+    it('应该在请求错误（400）时直接失败且不重试', async () => {
+      handler = (req, res) => {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          type: 'error',
+          error: { type: 'invalid_request_error', message: 'messages: at least one message is required' }
+        }));
+      };
+
+      await expect(llmService.generateReply(options)).rejects.toMatchObject({
+        code: 'LLM_API_ERROR',
+        status: 400,
+        errorType: 'invalid_request_error',
+        retryable: false,
+        message: 'messages: at least one message is required'
+      });
+      expect(requests).toHaveLength(1);
+    });
+  });
+});
@@ -7,6 +7,8 @@
 process.env.NODE_ENV = 'test';
 process.env.JWT_SECRET = 'test-secret-key';
 process.env.DB_NAME = 'npc_db_test';
+// 接口限流在 middleware/rateLimiter.test.js 中单独测试，其他测试关闭限流避免相互影响
+process.env.RATE_LIMIT_ENABLED = 'false';
 
 // 设置较短的超时时间（避免测试挂起）
 jest.setTimeout(10000);
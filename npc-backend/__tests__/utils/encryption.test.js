@@ -0,0 +1,76 @@
+/**
+ * 密钥加密工具测试
+ */
+
+const {
+  isEncryptionConfigured,
+  encryptSecret,
+  decryptSecret,
+  maskSecret
+} = require('../../utils/encryption');
+
+describe('Encryption Utils', () => {
+  const originalMasterKey = process.env.API_KEY_MASTER_KEY;
+
+  beforeEach(() => {
+    process.env.API_KEY_MASTER_KEY = 'test-master-key';
+  });
+
+  afterEach(() => {
+    if (originalMasterKey === undefined) {
+      delete process.env.API_KEY_MASTER_KEY;
+    } else {
+      process.env.API_KEY_MASTER_KEY = originalMasterKey;
+    }
+  });
+
+  describe('encryptSecret / decryptSecret', () => {
+    it('应该加密后还原明文，且密文不包含明文', () => {
+      const stored = encryptSecret('sk-or-v1-abcdef123456');
+
+      expect(stored.startsWith('v1:')).toBe(true);
+      expect(stored).not.toContain('sk-or-v1-abcdef123456');
+      expect(decryptSecret(stored)).toBe('sk-or-v1-abcdef123456');
+    });
+
+    it('相同明文每次应该使用不同的 IV', () => {
+      expect(encryptSecret('same-secret')).not.toBe(encryptSecret('same-secret'));
+    });
+
+    it('应该在主密钥更换后解密失败', () => {
+      const stored = encryptSecret('sk-or-v1-abcdef123456');
+      process.env.API_KEY_MASTER_KEY = 'another-master-key';
+
+      expect(() => decryptSecret(stored)).toThrow(expect.objectContaining({ code: 'DECRYPTION_FAILED' }));
+    });
+
+    it('应该拒绝被篡改或格式错误的密文', () => {
+      const parts = encryptSecret('sk-or-v1-abcdef123456').split(':');
+      parts[3] = Buffer.from('tampered').toString('base64');
+
+      expect(() => decryptSecret(parts.join(':'))).toThrow(expect.objectContaining({ code: 'DECRYPTION_FAILED' }));
+      expect(() => decryptSecret('plain-text')).toThrow(expect.objectContaining({ code: 'DECRYPTION_FAILED' }));
+    });
+
+    it('应该拒绝被截短的认证标签', () => {
+      const parts = encryptSecret('sk-or-v1-abcdef123456').split(':');
+      parts[2] = Buffer.from(parts[2], 'base64').subarray(0, 4).toString('base64');
+
+      expect(() => decryptSecret(parts.join(':'))).toThrow(expect.objectContaining({ code: 'DECRYPTION_FAILED' }));
+    });
+
+    it('应该在未配置主密钥时抛出 MASTER_KEY_MISSING', () => {
+      delete process.env.API_KEY_MASTER_KEY;
+
+      expect(isEncryptionConfigured()).toBe(false);
+      expect(() => encryptSecret('secret')).toThrow(expect.objectContaining({ code: 'MASTER_KEY_MISSING' }));
+    });
+  });
+
+  describe('maskSecret', () => {
+    it('应该只保留首尾几位', () => {
+      expect(maskSecret('sk-or-v1-abcdef123456')).toBe('sk-o…3456');
+      expect(maskSecret('short-key')).toBe('…ey');
+    });
+  });
+});
@@ -31,6 +31,11 @@ describe('JWT Utils', () => {
       expect(decoded.type).toBe('access');
     });
 
+    it('Token 应该包含用户角色（默认 user）', () => {
+      expect(decodeToken(generateAccessToken(testPayload)).role).toBe('user');
+      expect(decodeToken(generateAccessToken({ ...testPayload, role: 'admin' })).role).toBe('admin');
+    });
+
     it('Token 应该包含过期时间', () => {
       const token = generateAccessToken(testPayload);
       const decoded = decodeToken(token);
@@ -53,6 +58,13 @@ describe('JWT Utils', () => {
       expect(decoded.type).toBe('refresh');
       expect(decoded.userId).toBe(testPayload.userId);
     });
+
+    it('Refresh Token 应该携带 Token ID 和家族 ID', () => {
+      const token = generateRefreshToken({ userId: 'test_user_123', tokenId: 'rt_1', familyId: 'rtf_1' });
+      const decoded = decodeToken(token);
+      expect(decoded.jti).toBe('rt_1');
+      expect(decoded.familyId).toBe('rtf_1');
+    });
   });
 
   describe('verifyToken', () => {
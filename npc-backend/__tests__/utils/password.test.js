@@ -0,0 +1,82 @@
+/**
+ * 密码哈希工具测试
+ */
+
+const {
+  hashPassword,
+  verifyPassword,
+  isHashedPassword
+} = require('../../utils/password');
+
+describe('Password Utils', () => {
+  describe('hashPassword', () => {
+    it('应该生成 scrypt 格式的哈希', async () => {
+      const hash = await hashPassword('secret-pass');
+
+      expect(isHashedPassword(hash)).toBe(true);
+      expect(hash.split('$')).toHaveLength(6);
+      expect(hash).not.toContain('secret-pass');
+    });
+
+    it('相同密码每次应该使用不同的盐', async () => {
+      const first = await hashPassword('secret-pass');
+      const second = await hashPassword('secret-pass');
+
+      expect(first).not.toBe(second);
+    });
+  });
+
+  describe('verifyPassword', () => {
+    it('应该校验正确的密码', async () => {
+      const hash = await hashPassword('secret-pass');
+
+      await expect(verifyPassword('secret-pass', hash)).resolves.toEqual({
+        valid: true,
+        needsRehash: false
+      });
+    });
+
+    it('应该拒绝错误的密码', async () => {
+      const hash = await hashPassword('secret-pass');
+
+      await expect(verifyPassword('wrong-pass', hash)).resolves.toEqual({
+        valid: false,
+        needsRehash: false
+      });
+    });
+
+    it('应该兼容历史明文密码并要求重新哈希', async () => {
+      await expect(verifyPassword('legacy', 'legacy')).resolves.toEqual({
+        valid: true,
+        needsRehash: true
+      });
+      await expect(verifyPassword('wrong', 'legacy')).resolves.toEqual({
+        valid: false,
+        needsRehash: false
+      });
+    });
+
+    it('参数变化的哈希校验通过后应该要求重新哈希', async () => {
+      const hash = await hashPassword('secret-pass');
+      const [, , r, p, salt, digest] = hash.split('$');
+      // 用更低的 N 重新计算，模拟旧参数生成的哈希
+      const crypto = require('crypto');
+      const oldDigest = crypto
+        .scryptSync('secret-pass', Buffer.from(salt, 'base64'), 64, { N: 1024, r: 8, p: 1 })
+        .toString('base64');
+      const oldHash = ['scrypt', 1024, r, p, salt, oldDigest].join('$');
+
+      expect(digest).not.toBe(oldDigest);
+      await expect(verifyPassword('secret-pass', oldHash)).resolves.toEqual({
+        valid: true,
+        needsRehash: true
+      });
+    });
+
+    it('应该拒绝空值和损坏的哈希', async () => {
+      await expect(verifyPassword('secret-pass', null)).resolves.toMatchObject({ valid: false });
+      await expect(verifyPassword(undefined, 'legacy')).resolves.toMatchObject({ valid: false });
+      await expect(verifyPassword('secret-pass', 'scrypt$broken')).resolves.toMatchObject({ valid: false });
+    });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * ============================================
+ * 账号安全配置 (auth.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 读取账号恢复和老用户自动登录相关的配置（环境变量，或 config.yaml 的 auth 节点）
+ *
+ * 【配置项】
+ * - AUTO_LOGIN_CUTOFF：老用户自动登录的注册时间截止点（ISO 日期），
+ *   只有在此之前注册、且从未设置过自己密码的用户可以自动登录；
+ *   设为 off 关闭自动登录，未设置时为 2025-11-25T00:00:00.000Z（V1 迁移日期）
+ * - RESET_TOKEN_TTL_HOURS：管理员签发的重置码有效期（小时，默认 24）
+ *
+ * 【被谁使用】
+ * - services/UserService.js: 自动登录
+ * - services/AccountRecoveryService.js: 签发重置码
+ *
+ * @author AI Assistant
+ * @created 2025-12-08
+ */
+
+/**
+ * 默认自动登录截止时间（V1 老用户迁移日期）
+ */
+const DEFAULT_AUTO_LOGIN_CUTOFF = "2025-11-25T00:00:00.000Z";
+
+/**
+ * 关闭自动登录的取值
+ */
+const DISABLED_VALUES = ["off", "false", "disabled", "none"];
+
+/**
+ * 默认重置码有效期（小时）
+ */
+const DEFAULT_RESET_TOKEN_TTL_HOURS = 24;
+
+/**
+ * 获取自动登录截止时间
+ *
+ * 【功能说明】
+ * 每次调用时读取环境变量，修改配置后无需改代码
+ *
+ * @returns {number|null} 截止时间戳（毫秒），null 表示自动登录已关闭
+ */
+function getAutoLoginCutoff() {
+  const raw = (process.env.AUTO_LOGIN_CUTOFF || "").trim();
+
+  if (DISABLED_VALUES.includes(raw.toLowerCase())) {
+    return null;
+  }
+
+  const cutoff = new Date(raw || DEFAULT_AUTO_LOGIN_CUTOFF).getTime();
+  if (!Number.isFinite(cutoff)) {
+    // 配置格式错误时按关闭处理，避免意外放开
+    console.warn(`[Auth Config] Invalid AUTO_LOGIN_CUTOFF "${raw}", auto-login disabled`);
+    return null;
+  }
+
+  return cutoff;
+}
+
+/**
+ * 获取重置码有效期
+ *
+ * @returns {number} 有效期（毫秒）
+ */
+function getResetTokenTtlMs() {
+  const hours = parseFloat(process.env.RESET_TOKEN_TTL_HOURS);
+  const ttlHours = Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_RESET_TOKEN_TTL_HOURS;
+  return Math.round(ttlHours * 60 * 60 * 1000);
+}
+
+module.exports = {
+  getAutoLoginCutoff,
+  getResetTokenTtlMs,
+};
@@ -56,10 +56,20 @@ const ENV_FILE_PATH = path.join(__dirname, "..", ".env");
  *   user: root
  *   password: ""
  *   name: npc_db
+ * auth:
+ *   auto_login_cutoff: "2025-11-25"   # 老用户自动登录截止日期，off 表示关闭
+ *   reset_token_ttl_hours: 24         # 管理员重置码有效期
  * llm:
  *   openrouter:
  *     enabled: true
  *     api_key: "..."
+ *   providers:                          # 自定义 OpenAI 兼容提供商（格式见 config/providers.js）
+ *     - name: ollama
+ *       base_url: http://localhost:11434/v1
+ *       auth: none
+ *   user_api_keys:                      # 用户自己的 API Key
+ *     master_key: "..."                 # 加密主密钥（API_KEY_MASTER_KEY），未配置时用户无法保存 Key
+ *     shared_pool_enabled: true         # 没有个人 Key 的用户能否使用共享 Key（管理后台可修改）
  *
  * @returns {Object|null} 配置对象，如果文件不存在则返回 null
  */
@@ -105,6 +115,38 @@ function loadYAMLConfig() {
       }
     }
 
+    if (config.auth) {
+      // 账号安全配置（环境变量优先）
+      if (config.auth.auto_login_cutoff !== undefined && !process.env.AUTO_LOGIN_CUTOFF) {
+        // 未加引号的日期会被 YAML 解析为 Date
+        const cutoff = config.auth.auto_login_cutoff;
+        process.env.AUTO_LOGIN_CUTOFF = cutoff instanceof Date ? cutoff.toISOString() : String(cutoff);
+      }
+      if (config.auth.reset_token_ttl_hours && !process.env.RESET_TOKEN_TTL_HOURS) {
+        process.env.RESET_TOKEN_TTL_HOURS = String(config.auth.reset_token_ttl_hours);
+      }
+    }
+
+    if (config.rate_limit) {
+      // 限流与每日配额配置（环境变量优先，见 config/rateLimit.js）
+      const rateLimit = config.rate_limit;
+      if (rateLimit.enabled !== undefined && !process.env.RATE_LIMIT_ENABLED) {
+        process.env.RATE_LIMIT_ENABLED = String(rateLimit.enabled);
+      }
+      if (rateLimit.store && !process.env.RATE_LIMIT_STORE) {
+        process.env.RATE_LIMIT_STORE = String(rateLimit.store);
+      }
+      if (rateLimit.daily_messages !== undefined && !process.env.QUOTA_DAILY_MESSAGES) {
+        process.env.QUOTA_DAILY_MESSAGES = String(rateLimit.daily_messages);
+      }
+      if (rateLimit.daily_tokens !== undefined && !process.env.QUOTA_DAILY_TOKENS) {
+        process.env.QUOTA_DAILY_TOKENS = String(rateLimit.daily_tokens);
+      }
+      if (rateLimit.trust_proxy !== undefined && !process.env.TRUST_PROXY) {
+        process.env.TRUST_PROXY = String(rateLimit.trust_proxy);
+      }
+    }
+
     if (config.llm) {
       // YAML 配置优先级：如果 YAML 中有配置，优先使用 YAML（覆盖环境变量）
       // 这样可以在 config.yaml 中统一管理所有配置
@@ -159,6 +201,54 @@ function loadYAMLConfig() {
           process.env.DEEPSEEK_API_KEY = cleanedApiKey;
         }
       }
+
+      // Anthropic 配置（原生 Messages API）
+      if (config.llm.anthropic) {
+        if (config.llm.anthropic.enabled !== undefined) {
+          process.env.ENABLE_ANTHROPIC = String(config.llm.anthropic.enabled);
+        }
+        if (config.llm.anthropic.api_key) {
+          // 清理 API Key：去除空格
+          const cleanedApiKey = config.llm.anthropic.api_key
+            .split(',')
+            .map(key => key.trim())
+            .filter(key => key.length > 0)
+            .join(',');
+          process.env.ANTHROPIC_API_KEY = cleanedApiKey;
+        }
+      }
+
+      // 用户自己的 API Key（环境变量优先，主密钥不应随意更换）
+      if (config.llm.user_api_keys) {
+        const userKeys = config.llm.user_api_keys;
+        if (userKeys.master_key && !process.env.API_KEY_MASTER_KEY) {
+          process.env.API_KEY_MASTER_KEY = String(userKeys.master_key);
+        }
+        if (userKeys.shared_pool_enabled !== undefined && !process.env.SHARED_KEY_POOL_ENABLED) {
+          process.env.SHARED_KEY_POOL_ENABLED = String(userKeys.shared_pool_enabled);
+        }
+      }
+
+      // 自定义提供商：整体序列化为 LLM_PROVIDERS
+      // 配置中的 api_key 写入该提供商的 api_key_env，不放进 LLM_PROVIDERS
+      if (Array.isArray(config.llm.providers)) {
+        const providers = config.llm.providers.map((entry) => {
+          if (!entry || typeof entry !== "object" || !entry.api_key) {
+            return entry;
+          }
+          const { api_key: apiKey, ...rest } = entry;
+          const apiKeyEnv =
+            rest.api_key_env ||
+            `${String(rest.name || "").toUpperCase().replace(/[^A-Z0-9]/g, "_")}_API_KEY`;
+          process.env[apiKeyEnv] = String(apiKey)
+            .split(',')
+            .map(key => key.trim())
+            .filter(key => key.length > 0)
+            .join(',');
+          return { ...rest, api_key_env: apiKeyEnv };
+        });
+        process.env.LLM_PROVIDERS = JSON.stringify(providers);
+      }
     }
 
     return config;
@@ -245,6 +335,15 @@ function init() {
     if (process.env.DEEPSEEK_API_KEY) {
       console.log(`   - DeepSeek API Key: configured`);
     }
+    if (process.env.ANTHROPIC_API_KEY) {
+      console.log(`   - Anthropic API Key: configured`);
+    }
+    console.log(`   - User API Key Encryption: ${process.env.API_KEY_MASTER_KEY ? "configured" : "(not set)"}`);
+    if (process.env.LLM_PROVIDERS) {
+      const { getProviders } = require("./providers");
+      const custom = getProviders().filter((provider) => !provider.builtin);
+      console.log(`   - Custom LLM Providers: ${custom.map((provider) => provider.name).join(", ") || "(none)"}`);
+    }
   }
 }
 
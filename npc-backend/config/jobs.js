@@ -0,0 +1,90 @@
+/**
+ * ============================================
+ * 后台任务配置 (jobs.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 读取后台任务 Worker 的配置（环境变量）
+ *
+ * 【配置项】
+ * - JOB_WORKER_ENABLED：是否在本实例运行 Worker（默认 true，设为 false 时只入队不执行）
+ * - JOB_CONCURRENCY：每个实例同时执行的任务数（默认 4）
+ * - JOB_POLL_INTERVAL_MS：没有任务时的轮询间隔（默认 1000）
+ * - JOB_LEASE_MS：任务租约时长（默认 60000），执行期间每 1/3 租约时长续租一次，
+ *   实例退出后最多经过这么久，任务会被其他实例重新执行
+ * - JOB_MAX_ATTEMPTS：每个任务最多执行次数（默认 3）
+ * - JOB_RETRY_BASE_MS / JOB_RETRY_MAX_MS：重试退避的初始间隔和上限（默认 5000 / 300000），
+ *   第 n 次失败后等待 min(初始间隔 × 2^(n-1), 上限)
+ * - JOB_RETENTION_DAYS：已结束的任务保留天数（默认 7）
+ *
+ * 【被谁使用】
+ * - services/JobService.js: 任务队列和 Worker
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+/**
+ * 默认配置
+ */
+const DEFAULTS = {
+  concurrency: 4,
+  pollIntervalMs: 1000,
+  leaseMs: 60 * 1000,
+  maxAttempts: 3,
+  retryBaseMs: 5 * 1000,
+  retryMaxMs: 5 * 60 * 1000,
+  retentionDays: 7,
+};
+
+/**
+ * 读取正整数环境变量
+ *
+ * @param {string} name - 环境变量名
+ * @param {number} fallback - 未设置或格式不正确时的默认值
+ * @returns {number} 配置值
+ */
+function readInteger(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === "") {
+    return fallback;
+  }
+  const value = parseInt(raw, 10);
+  if (!Number.isFinite(value) || value < 1) {
+    console.warn(`[Jobs Config] Invalid ${name} "${raw}", using ${fallback}`);
+    return fallback;
+  }
+  return value;
+}
+
+/**
+ * 是否在本实例运行 Worker
+ *
+ * @returns {boolean} 是否运行
+ */
+function isWorkerEnabled() {
+  return process.env.JOB_WORKER_ENABLED !== "false";
+}
+
+/**
+ * 获取 Worker 配置
+ *
+ * @returns {Object} { concurrency, pollIntervalMs, leaseMs, maxAttempts, retryBaseMs, retryMaxMs, retentionDays }
+ */
+function getJobConfig() {
+  return {
+    concurrency: readInteger("JOB_CONCURRENCY", DEFAULTS.concurrency),
+    pollIntervalMs: readInteger("JOB_POLL_INTERVAL_MS", DEFAULTS.pollIntervalMs),
+    leaseMs: readInteger("JOB_LEASE_MS", DEFAULTS.leaseMs),
+    maxAttempts: readInteger("JOB_MAX_ATTEMPTS", DEFAULTS.maxAttempts),
+    retryBaseMs: readInteger("JOB_RETRY_BASE_MS", DEFAULTS.retryBaseMs),
+    retryMaxMs: readInteger("JOB_RETRY_MAX_MS", DEFAULTS.retryMaxMs),
+    retentionDays: readInteger("JOB_RETENTION_DAYS", DEFAULTS.retentionDays),
+  };
+}
+
+module.exports = {
+  DEFAULTS,
+  isWorkerEnabled,
+  getJobConfig,
+};
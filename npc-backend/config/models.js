@@ -4,130 +4,201 @@
  * ============================================
  *
  * 【文件职责】
- * 管理支持的 LLM 模型配置，从环境变量读取并解析模型列表和提供商启用状态
+ * 管理支持的 LLM 模型配置：每个提供商的模型列表、模型验证和上下文大小
  *
  * 【主要功能】
- * 1. 从环境变量读取启用的提供商列表
- * 2. 从环境变量读取预设的模型列表（可选）
- * 3. 解析模型配置（格式：模型名:提供商）
- * 4. 提供模型验证函数（支持预设模型和自定义模型）
- * 5. 提供获取模型列表和提供商列表的函数
+ * 1. 从提供商注册表（config/providers.js）读取启用的提供商
+ * 2. 合并 OpenRouter 预设模型和自定义提供商配置的模型列表
+ * 3. 提供模型验证函数（支持预设模型和自定义模型）
+ * 4. 提供获取模型列表和提供商列表的函数，以及前端使用的模型目录
  *
  * 【工作流程】
- * 环境变量 → 解析提供商启用状态 → 解析预设模型 → 提供验证函数
+ * 提供商注册表 → 各提供商的模型列表 → 提供验证函数
  *
  * 【环境变量格式】
- * # 启用提供商（必须）
+ * # 启用内置提供商（OpenRouter 默认启用）
  * ENABLE_OPENAI=true
  * ENABLE_DEEPSEEK=true
  * ENABLE_OPENROUTER=true
  *
- * # 预设模型配置（可选，格式：模型名:提供商）
- * MODELS=gpt-4:openai,gpt-3.5-turbo:openai,deepseek-chat:deepseek
+ * # 自定义 OpenAI 兼容提供商（JSON 数组，格式见 config/providers.js）
+ * LLM_PROVIDERS=[{"name":"ollama","base_url":"http://localhost:11434/v1","auth":"none"}]
  *
  * 【配置模式】
- * 1. 只启用提供商，不配置模型：
- *    - ENABLE_OPENAI=true
- *    - MODELS= 或 不设置
- *    - 用户可以输入任意模型名称（需要指定提供商）
+ * 1. 提供商不配置模型列表（或 allow_custom_models: true）：
+ *    - 用户可以输入任意模型名称
  *
- * 2. 启用提供商并配置预设模型：
- *    - ENABLE_OPENAI=true
- *    - MODELS=gpt-4:openai,gpt-3.5-turbo:openai
- *    - 用户只能选择预设的模型
+ * 2. 提供商配置了模型列表且 allow_custom_models: false：
+ *    - 用户只能选择列表中的模型
  *
  * 【依赖】
- * - dotenv: 环境变量管理（在 server.js 中已加载）
+ * - config/providers.js: 提供商注册表
+ *
+ * # 上下文窗口（可选，单位为 token）
+ * MAX_CONTEXT_TOKENS=32000      # 单次请求上下文上限（控制成本，默认 32000）
+ * REPLY_RESERVE_TOKENS=4096     # 为模型回复预留的 token 数（默认 4096）
  *
  * 【被谁使用】
  * - services/AgentService.js: 验证模型有效性
  * - services/LLMService.js: 获取模型提供商
+ * - services/ContextService.js: 获取模型上下文大小
+ * - services/UsageService.js: 获取模型价格，计算回复费用
  *
  * @author AI Assistant
  * @created 2025-11-20
- * @lastModified 2025-11-20
+ * @lastModified 2025-12-10
  */
 
+const { getProviders, getProvider } = require("./providers");
+
 /**
  * 解析启用的提供商列表
  *
  * 【功能说明】
- * 统一使用 OpenRouter 作为模型供应商
- *
- * 【配置说明】
- * V1 版本统一使用 OpenRouter，所有模型都通过 OpenRouter 调用
+ * 从提供商注册表读取启用状态（每次调用时读取，配置变更后立即生效）
  *
- * @returns {Object<string, boolean>} 提供商启用状态 { openai: false, deepseek: false, openrouter: true }
+ * @returns {Object<string, boolean>} 提供商启用状态 { openrouter: true, openai: false, ollama: true, ... }
  */
 function parseEnabledProviders() {
-  // V1 版本统一使用 OpenRouter
-  return {
-    openai: false,
-    deepseek: false,
-    openrouter: true,
-  };
+  const enabled = {};
+  for (const provider of getProviders()) {
+    enabled[provider.name] = provider.enabled === true;
+  }
+  return enabled;
 }
 
 /**
- * 解析环境变量中的预设模型配置
+ * OpenRouter 预设模型列表
  *
  * 【功能说明】
- * V1 版本统一使用 OpenRouter，所有模型都通过 OpenRouter 调用
- *
- * 【预设模型列表】
- * - anthropic/claude-sonnet-4.5
- * - anthropic/claude-sonnet-4
- * - anthropic/claude-3.7-sonnet
- * - google/gemini-3-pro-preview
- * - google/gemini-2.5-pro
- * - openai/gpt-5
- * - openai/gpt-4.1
- * - tngtech/deepseek-r1t2-chimera:free
- *
- * @returns {Object<string, string>} 预设模型配置对象 { 模型名: 'openrouter' }
+ * 前端下拉框展示的默认选项，OpenRouter 同时允许输入列表外的模型
  */
-function parsePresetModels() {
-  // V1 版本预设模型列表（统一使用 OpenRouter）
-  const presetModelList = [
-    "anthropic/claude-sonnet-4.5",
-    "anthropic/claude-sonnet-4",
-    "anthropic/claude-3.7-sonnet",
-    "google/gemini-3-pro-preview",
-    "google/gemini-2.5-pro",
-    "openai/gpt-5",
-    "openai/gpt-4.1",
-    "tngtech/deepseek-r1t2-chimera:free",
-  ];
+const OPENROUTER_PRESET_MODELS = [
+  { id: "anthropic/claude-sonnet-4.5", label: "Claude Sonnet 4.5 (推荐)" },
+  { id: "anthropic/claude-sonnet-4", label: "Claude Sonnet 4" },
+  { id: "anthropic/claude-3.7-sonnet", label: "Claude 3.7 Sonnet" },
+  { id: "google/gemini-3-pro-preview", label: "Gemini 3 Pro Preview" },
+  { id: "google/gemini-2.5-pro", label: "Gemini 2.5 Pro" },
+  { id: "openai/gpt-5", label: "GPT-5" },
+  { id: "openai/gpt-4.1", label: "GPT-4.1" },
+  { id: "tngtech/deepseek-r1t2-chimera:free", label: "DeepSeek R1 T2 Chimera (免费)" },
+];
+
+/**
+ * 获取提供商的模型列表
+ *
+ * 【功能说明】
+ * 提供商配置了 models 时使用配置的列表；内置 OpenRouter 未配置时使用预设列表
+ *
+ * @param {string} provider - 提供商名称
+ * @returns {Array<Object>} [{ id, label, contextWindow }]，提供商不存在时返回空数组
+ */
+function getProviderModels(provider) {
+  const definition = getProvider(provider);
+  if (!definition) {
+    return [];
+  }
+
+  if (definition.models.length === 0 && definition.name === "openrouter") {
+    return OPENROUTER_PRESET_MODELS.map((model) => ({
+      ...model,
+      contextWindow: MODEL_CONTEXT_WINDOWS[model.id] || null,
+    }));
+  }
 
+  return definition.models;
+}
+
+/**
+ * 解析预设模型配置
+ *
+ * 【功能说明】
+ * 汇总启用的提供商声明的模型（同一模型出现在多个提供商时，取第一个）
+ *
+ * @returns {Object<string, string>} 预设模型配置对象 { 模型名: 提供商 }
+ */
+function parsePresetModels() {
   const models = {};
-  for (const modelName of presetModelList) {
-    models[modelName] = "openrouter";
+  for (const provider of getProviders()) {
+    if (!provider.enabled) {
+      continue;
+    }
+    for (const model of getProviderModels(provider.name)) {
+      if (!(model.id in models)) {
+        models[model.id] = provider.name;
+      }
+    }
   }
 
   return models;
 }
 
 /**
- * 启用的提供商列表
+ * 预设模型的上下文窗口大小（单位：token）
  *
  * 【功能说明】
- * 存储从环境变量解析的提供商启用状态
- *
- * 【格式】
- * { openai: true, deepseek: false, openrouter: true }
+ * 记录各模型官方声明的最大上下文长度，用于构建 LLM 上下文时计算 token 预算
+ * 未列出的模型（自定义模型）使用 DEFAULT_CONTEXT_WINDOW
  */
-const enabledProviders = parseEnabledProviders();
+const MODEL_CONTEXT_WINDOWS = {
+  "anthropic/claude-sonnet-4.5": 200000,
+  "anthropic/claude-sonnet-4": 200000,
+  "anthropic/claude-3.7-sonnet": 200000,
+  "google/gemini-3-pro-preview": 1048576,
+  "google/gemini-2.5-pro": 1048576,
+  "openai/gpt-5": 400000,
+  "openai/gpt-4.1": 1047576,
+  "tngtech/deepseek-r1t2-chimera:free": 163840,
+};
 
 /**
- * 预设的模型配置
+ * 未知模型的默认上下文窗口大小（保守取值）
+ */
+const DEFAULT_CONTEXT_WINDOW = 32768;
+
+/**
+ * 预设模型的价格（单位：美元 / 百万 token）
  *
  * 【功能说明】
- * 存储从环境变量解析的预设模型配置
+ * 用于估算每次回复的费用（用量统计）。价格按提供商公开价格填写，可能随时调整；
+ * 提供商配置的 input_price / output_price 优先，未列出且未配置的模型不计算费用
+ */
+const MODEL_PRICES = {
+  "anthropic/claude-sonnet-4.5": { input: 3, output: 15 },
+  "anthropic/claude-sonnet-4": { input: 3, output: 15 },
+  "anthropic/claude-3.7-sonnet": { input: 3, output: 15 },
+  "google/gemini-3-pro-preview": { input: 2, output: 12 },
+  "google/gemini-2.5-pro": { input: 1.25, output: 10 },
+  "openai/gpt-5": { input: 1.25, output: 10 },
+  "openai/gpt-4.1": { input: 2, output: 8 },
+  "tngtech/deepseek-r1t2-chimera:free": { input: 0, output: 0 },
+};
+
+/**
+ * 模型在提供商中是否可用
  *
- * 【格式】
- * { 'gpt-4': 'openai', 'gpt-3.5-turbo': 'openai', ... }
+ * @param {string} modelName - 模型名称
+ * @param {Object} provider - 提供商定义
+ * @returns {boolean} 是否可用
  */
-const presetModels = parsePresetModels();
+function isModelAllowed(modelName, provider) {
+  if (provider.allowCustomModels) {
+    return true;
+  }
+  return getProviderModels(provider.name).some((model) => model.id === modelName);
+}
+
+/**
+ * 解析正整数环境变量
+ *
+ * @param {string} name - 环境变量名
+ * @param {number} defaultValue - 未设置或格式错误时的默认值
+ * @returns {number} 解析结果
+ */
+function parsePositiveIntEnv(name, defaultValue) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : defaultValue;
+}
 
 /**
  * 验证模型是否有效
@@ -136,16 +207,9 @@ const presetModels = parsePresetModels();
  * 检查指定的模型名称是否有效
  *
  * 【验证规则】
- * 1. 如果是预设模型，直接验证通过
- * 2. 如果不是预设模型，检查是否有启用的提供商（允许自定义模型）
- * 3. 如果没有任何启用的提供商，返回 false
- *
- * 【工作流程】
- * 1. 检查模型是否在预设列表中
- * 2. 如果在，返回 true
- * 3. 如果不在，检查是否有启用的提供商
- * 4. 如果有，返回 true（允许自定义模型）
- * 5. 如果没有，返回 false
+ * 1. 如果是启用的提供商声明的模型，直接验证通过
+ * 2. 如果不是，检查是否有允许自定义模型的启用提供商
+ * 3. 都没有，返回 false
  *
  * @param {string} modelName - 模型名称
  * @returns {boolean} 模型是否有效
@@ -160,16 +224,12 @@ function isValidModel(modelName) {
   }
 
   // 1. 检查是否是预设模型
-  if (modelName in presetModels) {
+  if (modelName in parsePresetModels()) {
     return true;
   }
 
-  // 2. 检查是否有启用的提供商（允许自定义模型）
-  const hasEnabledProvider = Object.values(enabledProviders).some(
-    (enabled) => enabled === true
-  );
-
-  return hasEnabledProvider;
+  // 2. 检查是否有允许自定义模型的启用提供商
+  return getProviders().some((provider) => provider.enabled && provider.allowCustomModels);
 }
 
 /**
@@ -179,8 +239,8 @@ function isValidModel(modelName) {
  * 根据模型名称获取对应的提供商
  *
  * 【工作流程】
- * 1. 如果是预设模型，直接返回预设的提供商
- * 2. 如果不是预设模型，需要用户指定提供商（返回 undefined，由调用方处理）
+ * 1. 如果是启用的提供商声明的模型，返回第一个声明它的提供商
+ * 2. 如果不是，需要用户指定提供商（返回 undefined，由调用方处理）
  *
  * @param {string} modelName - 模型名称
  * @returns {string|undefined} 提供商名称，如果模型不存在则返回 undefined
@@ -191,6 +251,7 @@ function isValidModel(modelName) {
  */
 function getModelProvider(modelName) {
   // 如果是预设模型，返回预设的提供商
+  const presetModels = parsePresetModels();
   if (modelName in presetModels) {
     return presetModels[modelName];
   }
@@ -206,8 +267,8 @@ function getModelProvider(modelName) {
  * 验证模型和提供商的组合是否有效
  *
  * 【验证规则】
- * 1. 如果是预设模型，验证提供商是否匹配
- * 2. 如果是自定义模型，验证提供商是否启用
+ * 1. 提供商必须已启用
+ * 2. 模型在提供商的模型列表中，或提供商允许自定义模型
  *
  * @param {string} modelName - 模型名称
  * @param {string} provider - 提供商名称
@@ -219,17 +280,13 @@ function isValidModelProvider(modelName, provider) {
   }
 
   // 1. 检查提供商是否启用
-  if (!enabledProviders[provider]) {
+  const definition = getProvider(provider);
+  if (!definition || !definition.enabled) {
     return false;
   }
 
-  // 2. 如果是预设模型，验证提供商是否匹配
-  if (modelName in presetModels) {
-    return presetModels[modelName] === provider;
-  }
-
-  // 3. 如果是自定义模型，只要提供商启用就允许
-  return true;
+  // 2. 检查模型是否在提供商的列表中，或提供商允许自定义模型
+  return isModelAllowed(modelName, definition);
 }
 
 /**
@@ -244,7 +301,7 @@ function isValidModelProvider(modelName, provider) {
  * getSupportedModels() // ['gpt-4', 'gpt-3.5-turbo', ...]
  */
 function getSupportedModels() {
-  return Object.keys(presetModels);
+  return Object.keys(parsePresetModels());
 }
 
 /**
@@ -256,9 +313,10 @@ function getSupportedModels() {
  * @returns {string[]} 启用的提供商列表
  *
  * @example
- * getEnabledProviders() // ['openai', 'deepseek']
+ * getEnabledProviders() // ['openrouter', 'ollama']
  */
 function getEnabledProviders() {
+  const enabledProviders = parseEnabledProviders();
   return Object.keys(enabledProviders).filter(
     (provider) => enabledProviders[provider] === true
   );
@@ -277,7 +335,7 @@ function getEnabledProviders() {
  * isProviderEnabled('openai') // true
  */
 function isProviderEnabled(provider) {
-  return enabledProviders[provider] === true;
+  return parseEnabledProviders()[provider] === true;
 }
 
 /**
@@ -289,7 +347,7 @@ function isProviderEnabled(provider) {
  * @returns {Object<string, string>} 预设模型配置对象
  */
 function getAllModels() {
-  return { ...presetModels };
+  return parsePresetModels();
 }
 
 /**
@@ -317,6 +375,77 @@ function getDefaultModel() {
   };
 }
 
+/**
+ * 获取模型的上下文配置
+ *
+ * 【功能说明】
+ * 返回构建 LLM 上下文时使用的 token 限制
+ *
+ * 【计算规则】
+ * - contextWindow：模型声明的上下文大小（提供商配置的 context_window 优先），
+ *   受 MAX_CONTEXT_TOKENS 限制（控制单次请求成本）
+ * - replyReserve：为模型回复预留的 token 数（REPLY_RESERVE_TOKENS）
+ *
+ * @param {string} modelName - 模型名称
+ * @param {string} [provider] - 提供商名称（可选）
+ * @returns {Object} { contextWindow: number, replyReserve: number }
+ *
+ * @example
+ * getModelContextConfig('openai/gpt-4.1') // { contextWindow: 32000, replyReserve: 4096 }
+ */
+function getModelContextConfig(modelName, provider) {
+  const configured = provider
+    ? getProviderModels(provider).find((model) => model.id === modelName)
+    : null;
+  const modelWindow =
+    (configured && configured.contextWindow) ||
+    MODEL_CONTEXT_WINDOWS[modelName] ||
+    DEFAULT_CONTEXT_WINDOW;
+  const maxContextTokens = parsePositiveIntEnv("MAX_CONTEXT_TOKENS", 32000);
+
+  return {
+    contextWindow: Math.min(modelWindow, maxContextTokens),
+    replyReserve: parsePositiveIntEnv("REPLY_RESERVE_TOKENS", 4096),
+  };
+}
+
+/**
+ * 获取模型价格
+ *
+ * 【功能说明】
+ * 返回计算回复费用时使用的价格（美元 / 百万 token）
+ *
+ * 【查找顺序】
+ * 1. 提供商配置中该模型的 input_price / output_price
+ * 2. 预设价格表 MODEL_PRICES
+ * 3. 不需要 API Key 的本地服务（auth: none）按免费计算
+ * 4. 以上都没有时返回 null（只记录 token 数，不计算费用）
+ *
+ * @param {string} modelName - 模型名称
+ * @param {string} [provider] - 提供商名称（可选）
+ * @returns {Object|null} { input: number, output: number }
+ *
+ * @example
+ * getModelPricing('openai/gpt-4.1', 'openrouter') // { input: 2, output: 8 }
+ */
+function getModelPricing(modelName, provider) {
+  const configured = provider
+    ? getProviderModels(provider).find((model) => model.id === modelName)
+    : null;
+  if (configured && configured.pricing) {
+    return configured.pricing;
+  }
+  if (MODEL_PRICES[modelName]) {
+    return MODEL_PRICES[modelName];
+  }
+
+  const definition = provider ? getProvider(provider) : null;
+  if (definition && definition.authStyle === "none") {
+    return { input: 0, output: 0 };
+  }
+  return null;
+}
+
 /**
  * 获取配置信息（用于调试和前端展示）
  *
@@ -326,16 +455,40 @@ function getDefaultModel() {
  * @returns {Object} 配置信息对象
  */
 function getConfigInfo() {
+  const presetModels = getAllModels();
   return {
     enabledProviders: getEnabledProviders(),
-    presetModels: getAllModels(),
+    presetModels,
     hasPresetModels: Object.keys(presetModels).length > 0,
-    allowCustomModels: Object.values(enabledProviders).some(
-      (enabled) => enabled === true
+    allowCustomModels: getProviders().some(
+      (provider) => provider.enabled && provider.allowCustomModels
     ),
+    providers: getProviderCatalog(),
   };
 }
 
+/**
+ * 获取模型目录（用于前端选择提供商和模型）
+ *
+ * 【功能说明】
+ * 返回启用的提供商及其模型列表，不包含接口地址和 API Key 等敏感信息
+ *
+ * @returns {Array<Object>} [{ name, label, allowCustomModels, models: [{ id, label }] }]
+ */
+function getProviderCatalog() {
+  return getProviders()
+    .filter((provider) => provider.enabled)
+    .map((provider) => ({
+      name: provider.name,
+      label: provider.label,
+      allowCustomModels: provider.allowCustomModels,
+      models: getProviderModels(provider.name).map((model) => ({
+        id: model.id,
+        label: model.label,
+      })),
+    }));
+}
+
 module.exports = {
   isValidModel,
   isValidModelProvider,
@@ -345,5 +498,9 @@ module.exports = {
   getEnabledProviders,
   isProviderEnabled,
   getDefaultModel,
+  getModelContextConfig,
+  getModelPricing,
   getConfigInfo,
+  getProviderModels,
+  getProviderCatalog,
 };
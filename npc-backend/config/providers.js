@@ -0,0 +1,413 @@
+/**
+ * ============================================
+ * LLM 提供商注册表 (providers.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 管理可用的 LLM 提供商：内置提供商（OpenRouter、OpenAI、DeepSeek、Anthropic）和
+ * 从配置注册的自定义提供商（Ollama、vLLM、LM Studio 等 OpenAI 兼容接口，或 Anthropic 格式的接口）
+ *
+ * 【主要功能】
+ * 1. 内置提供商定义，启用状态读取 ENABLE_OPENROUTER / ENABLE_OPENAI / ENABLE_DEEPSEEK / ENABLE_ANTHROPIC
+ * 2. 解析 LLM_PROVIDERS（JSON 数组，config.yaml 的 llm.providers 会写入这个环境变量）
+ * 3. 按提供商的认证方式读取 API Key、构建请求头
+ *
+ * 【自定义提供商配置】
+ * llm:
+ *   providers:
+ *     - name: ollama                        # 必填，小写字母、数字、- 和 _
+ *       label: Ollama（本地）                # 可选，前端展示名称
+ *       base_url: http://localhost:11434/v1 # 必填，接口地址（不含 /chat/completions 或 /messages）
+ *       api: openai                         # 接口格式：openai（默认，/chat/completions）/ anthropic（/messages）
+ *       auth: none                          # bearer / header / none（本地服务不需要 Key），默认 openai 格式为 bearer、anthropic 格式为 header
+ *       auth_header: api-key                # auth 为 header 时使用的请求头名称（anthropic 格式默认 x-api-key）
+ *       api_key_env: OLLAMA_API_KEY         # 读取 Key 的环境变量（默认 <NAME>_API_KEY，多个用逗号分隔）
+ *       headers: { X-Foo: bar }             # 可选，额外的固定请求头
+ *       validate_path: /models              # 可选，校验用户 API Key 时 GET 的路径（默认由接口格式决定）
+ *       unsupported_params: [presence_penalty] # 可选，接口格式支持但该服务不接受的生成参数（调用时丢弃）
+ *       enabled: true                       # 可选，默认 true
+ *       allow_custom_models: true           # 可选，是否允许使用列表外的模型（未配置 models 时默认 true）
+ *       models:                             # 可选，模型列表（字符串或对象）
+ *         - id: llama3.1:8b
+ *           label: Llama 3.1 8B
+ *           context_window: 131072
+ *           input_price: 0                  # 可选，每百万输入 token 的价格（美元），用于用量统计
+ *           output_price: 0                 # 可选，每百万输出 token 的价格（美元）
+ *
+ * 与内置提供商同名的配置会覆盖内置定义（例如把 openai 指向自建代理）
+ *
+ * 【说明】
+ * 每次调用时读取环境变量（自定义提供商按原始字符串缓存解析结果），修改配置后无需改代码
+ *
+ * 【被谁使用】
+ * - config/models.js: 模型列表和模型验证
+ * - services/LLMService.js: 请求地址、API Key 和请求头
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+/**
+ * 支持的认证方式
+ * - bearer：Authorization: Bearer <key>
+ * - header：<auth_header>: <key>
+ * - none：不发送 Key（本地服务）
+ */
+const AUTH_STYLES = ["bearer", "header", "none"];
+
+/**
+ * 支持的接口格式（对应 services/adapters 中的适配器）
+ */
+const API_STYLES = ["openai", "anthropic"];
+
+/**
+ * 提供商名称格式
+ */
+const PROVIDER_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+/**
+ * 自定义提供商解析缓存 { raw, providers }
+ */
+let customProviderCache = { raw: null, providers: [] };
+
+/**
+ * 获取内置提供商
+ *
+ * 【说明】
+ * OpenRouter 默认启用（ENABLE_OPENROUTER=false 可关闭），OpenAI、DeepSeek 和 Anthropic 需要显式启用
+ *
+ * @returns {Array<Object>} 内置提供商列表
+ */
+function getBuiltinProviders() {
+  return [
+    {
+      name: "openrouter",
+      label: "OpenRouter",
+      baseUrl: "https://openrouter.ai/api/v1",
+      api: "openai",
+      authStyle: "bearer",
+      authHeader: null,
+      apiKeyEnv: "OPENROUTER_API_KEY",
+      extraHeaders: {
+        "HTTP-Referer": process.env.OPENROUTER_REFERER || "https://github.com",
+        "X-Title": process.env.OPENROUTER_TITLE || "NPC Chat",
+      },
+      // OpenRouter 的 /models 不需要认证，用 /key 校验用户的 Key
+      validatePath: "/key",
+      unsupportedParams: [],
+      enabled: process.env.ENABLE_OPENROUTER !== "false",
+      allowCustomModels: true,
+      models: [],
+      builtin: true,
+    },
+    {
+      name: "openai",
+      label: "OpenAI",
+      baseUrl: "https://api.openai.com/v1",
+      api: "openai",
+      authStyle: "bearer",
+      authHeader: null,
+      apiKeyEnv: "OPENAI_API_KEY",
+      extraHeaders: {},
+      validatePath: null,
+      unsupportedParams: [],
+      enabled: process.env.ENABLE_OPENAI === "true",
+      allowCustomModels: true,
+      models: [],
+      builtin: true,
+    },
+    {
+      name: "deepseek",
+      label: "DeepSeek",
+      baseUrl: "https://api.deepseek.com/v1",
+      api: "openai",
+      authStyle: "bearer",
+      authHeader: null,
+      apiKeyEnv: "DEEPSEEK_API_KEY",
+      extraHeaders: {},
+      validatePath: null,
+      unsupportedParams: [],
+      enabled: process.env.ENABLE_DEEPSEEK === "true",
+      allowCustomModels: true,
+      models: [],
+      builtin: true,
+    },
+    {
+      name: "anthropic",
+      label: "Anthropic",
+      baseUrl: "https://api.anthropic.com/v1",
+      api: "anthropic",
+      authStyle: "header",
+      authHeader: "x-api-key",
+      apiKeyEnv: "ANTHROPIC_API_KEY",
+      extraHeaders: {},
+      validatePath: null,
+      unsupportedParams: [],
+      enabled: process.env.ENABLE_ANTHROPIC === "true",
+      allowCustomModels: true,
+      models: [],
+      builtin: true,
+    },
+  ];
+}
+
+/**
+ * 规范化模型价格
+ *
+ * 【说明】
+ * input_price / output_price 为每百万 token 的价格（美元），两项都配置且不为负数时才生效
+ *
+ * @param {Object} model - 配置中的模型对象
+ * @returns {Object|null} { input, output }，未配置时为 null
+ */
+function normalizePricing(model) {
+  const input = parseFloat(model.input_price ?? model.inputPrice);
+  const output = parseFloat(model.output_price ?? model.outputPrice);
+  if (!Number.isFinite(input) || !Number.isFinite(output) || input < 0 || output < 0) {
+    return null;
+  }
+  return { input, output };
+}
+
+/**
+ * 规范化模型列表
+ *
+ * @param {Array<string|Object>} models - 配置中的模型列表
+ * @returns {Array<Object>} [{ id, label, contextWindow, pricing }]
+ */
+function normalizeModels(models) {
+  if (!Array.isArray(models)) {
+    return [];
+  }
+
+  return models
+    .map((model) => {
+      if (typeof model === "string") {
+        return { id: model.trim(), label: model.trim(), contextWindow: null, pricing: null };
+      }
+      if (model && typeof model.id === "string") {
+        const contextWindow = parseInt(model.context_window ?? model.contextWindow, 10);
+        return {
+          id: model.id.trim(),
+          label: model.label || model.id.trim(),
+          contextWindow: Number.isFinite(contextWindow) && contextWindow > 0 ? contextWindow : null,
+          pricing: normalizePricing(model),
+        };
+      }
+      return null;
+    })
+    .filter((model) => model && model.id);
+}
+
+/**
+ * 规范化生成参数名称列表
+ *
+ * 【说明】
+ * 配置中可以写 snake_case（top_p）或 camelCase（topP），统一转换为 camelCase
+ *
+ * @param {Array<string>} names - 参数名称列表
+ * @returns {Array<string>} camelCase 参数名称列表
+ */
+function normalizeParamNames(names) {
+  if (!Array.isArray(names)) {
+    return [];
+  }
+
+  return names
+    .filter((name) => typeof name === "string" && name.trim())
+    .map((name) => name.trim().replace(/_([a-z])/g, (match, letter) => letter.toUpperCase()));
+}
+
+/**
+ * 规范化一条自定义提供商配置
+ *
+ * @param {Object} raw - 配置项（支持 snake_case 和 camelCase）
+ * @returns {Object} 提供商定义
+ * @throws {Error} 配置无效
+ */
+function normalizeProvider(raw) {
+  if (!raw || typeof raw !== "object") {
+    throw new Error("配置项必须是对象");
+  }
+
+  const name = String(raw.name || "").trim().toLowerCase();
+  if (!PROVIDER_NAME_PATTERN.test(name)) {
+    throw new Error(`提供商名称无效：${raw.name}`);
+  }
+
+  const baseUrl = String(raw.base_url ?? raw.baseUrl ?? "").trim().replace(/\/+$/, "");
+  try {
+    new URL(baseUrl);
+  } catch (error) {
+    throw new Error(`提供商 ${name} 的 base_url 无效`);
+  }
+
+  const api = String(raw.api ?? "openai").trim().toLowerCase();
+  if (!API_STYLES.includes(api)) {
+    throw new Error(`提供商 ${name} 的接口格式无效：${api}`);
+  }
+
+  // Anthropic 格式默认用 x-api-key 请求头认证
+  const defaultAuth = api === "anthropic" ? "header" : "bearer";
+  const authStyle = String(raw.auth ?? raw.authStyle ?? defaultAuth).trim().toLowerCase();
+  if (!AUTH_STYLES.includes(authStyle)) {
+    throw new Error(`提供商 ${name} 的认证方式无效：${authStyle}`);
+  }
+
+  const authHeader =
+    raw.auth_header ?? raw.authHeader ?? (api === "anthropic" ? "x-api-key" : null);
+  if (authStyle === "header" && !authHeader) {
+    throw new Error(`提供商 ${name} 使用 header 认证时必须配置 auth_header`);
+  }
+
+  const models = normalizeModels(raw.models);
+  const allowCustomModels = raw.allow_custom_models ?? raw.allowCustomModels;
+
+  return {
+    name,
+    label: raw.label || name,
+    baseUrl,
+    api,
+    authStyle,
+    authHeader,
+    apiKeyEnv:
+      authStyle === "none"
+        ? null
+        : raw.api_key_env ?? raw.apiKeyEnv ?? `${name.toUpperCase().replace(/[^A-Z0-9]/g, "_")}_API_KEY`,
+    extraHeaders: raw.headers && typeof raw.headers === "object" ? { ...raw.headers } : {},
+    validatePath: raw.validate_path ?? raw.validatePath ?? null,
+    unsupportedParams: normalizeParamNames(raw.unsupported_params ?? raw.unsupportedParams),
+    enabled: raw.enabled === undefined ? true : raw.enabled === true || raw.enabled === "true",
+    allowCustomModels:
+      allowCustomModels === undefined ? models.length === 0 : allowCustomModels === true || allowCustomModels === "true",
+    models,
+    builtin: false,
+  };
+}
+
+/**
+ * 解析自定义提供商（LLM_PROVIDERS）
+ *
+ * 【说明】
+ * 无效的配置项打印警告后跳过，不影响其他提供商
+ *
+ * @returns {Array<Object>} 自定义提供商列表
+ */
+function parseCustomProviders() {
+  const raw = process.env.LLM_PROVIDERS || "";
+  if (raw === customProviderCache.raw) {
+    return customProviderCache.providers;
+  }
+
+  let entries = [];
+  if (raw.trim()) {
+    try {
+      entries = JSON.parse(raw);
+    } catch (error) {
+      console.warn(`[Providers] LLM_PROVIDERS is not valid JSON, ignored: ${error.message}`);
+    }
+  }
+
+  const providers = [];
+  for (const entry of Array.isArray(entries) ? entries : []) {
+    try {
+      const provider = normalizeProvider(entry);
+      if (providers.some((existing) => existing.name === provider.name)) {
+        console.warn(`[Providers] Duplicate provider "${provider.name}" ignored`);
+        continue;
+      }
+      providers.push(provider);
+    } catch (error) {
+      console.warn(`[Providers] Invalid provider config ignored: ${error.message}`);
+    }
+  }
+
+  customProviderCache = { raw, providers };
+  return providers;
+}
+
+/**
+ * 获取全部提供商（含未启用的）
+ *
+ * 【顺序】
+ * 内置提供商在前（同名的自定义配置就地覆盖），其余自定义提供商按配置顺序追加
+ *
+ * @returns {Array<Object>} 提供商列表
+ */
+function getProviders() {
+  const custom = parseCustomProviders();
+  const providers = getBuiltinProviders().map((builtin) => {
+    const override = custom.find((provider) => provider.name === builtin.name);
+    return override ? { ...override, builtin: true } : builtin;
+  });
+
+  for (const provider of custom) {
+    if (!providers.some((existing) => existing.name === provider.name)) {
+      providers.push(provider);
+    }
+  }
+
+  return providers;
+}
+
+/**
+ * 按名称获取提供商（含未启用的）
+ *
+ * @param {string} name - 提供商名称
+ * @returns {Object|undefined} 提供商定义
+ */
+function getProvider(name) {
+  return getProviders().find((provider) => provider.name === name);
+}
+
+/**
+ * 读取提供商的 API Key 列表
+ *
+ * 【说明】
+ * - 支持多个 Key（逗号分隔），按顺序故障转移
+ * - 不需要认证的提供商返回 [null]（调用一次，不带 Key）
+ *
+ * @param {Object} provider - 提供商定义
+ * @returns {Array<string|null>} API Key 列表，未配置时为空数组
+ */
+function getProviderApiKeys(provider) {
+  if (provider.authStyle === "none") {
+    return [null];
+  }
+
+  return (process.env[provider.apiKeyEnv] || "")
+    .split(",")
+    .map((key) => key.trim())
+    .filter((key) => key.length > 0);
+}
+
+/**
+ * 构建请求头
+ *
+ * @param {Object} provider - 提供商定义
+ * @param {string|null} apiKey - API Key
+ * @returns {Object} 请求头
+ */
+function buildProviderHeaders(provider, apiKey) {
+  const headers = {
+    "Content-Type": "application/json",
+    ...provider.extraHeaders,
+  };
+
+  if (apiKey && provider.authStyle === "bearer") {
+    headers.Authorization = `Bearer ${apiKey}`;
+  } else if (apiKey && provider.authStyle === "header") {
+    headers[provider.authHeader] = apiKey;
+  }
+
+  return headers;
+}
+
+module.exports = {
+  AUTH_STYLES,
+  API_STYLES,
+  getProviders,
+  getProvider,
+  getProviderApiKeys,
+  buildProviderHeaders,
+};
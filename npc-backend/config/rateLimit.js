@@ -0,0 +1,187 @@
+/**
+ * ============================================
+ * 限流与配额配置 (rateLimit.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 读取接口限流策略、计数存储方式和每日配额默认值（环境变量，或 config.yaml 的 rate_limit 节点）
+ *
+ * 【配置项】
+ * - RATE_LIMIT_ENABLED：是否启用接口限流（默认 true，设为 false 关闭）
+ * - RATE_LIMIT_STORE：计数存储，memory（单实例，默认）或 mysql（蓝绿部署双实例共享计数）
+ * - RATE_LIMIT_<策略>_MAX / RATE_LIMIT_<策略>_WINDOW_MS：覆盖某个策略的次数和时间窗口，
+ *   例如 RATE_LIMIT_MESSAGES_MAX=30
+ * - QUOTA_DAILY_MESSAGES：每个用户每天最多的 AI 回复数（默认 200，0 表示不限）
+ * - QUOTA_DAILY_TOKENS：每个用户每天最多消耗的 token 数（默认 0，不限）
+ * - TRUST_PROXY：Express 的 trust proxy 设置，决定从哪里取客户端 IP
+ *   （默认只信任内网代理，即 Docker 网络中的 Nginx；设为 false 直接使用连接地址）
+ *
+ * 【被谁使用】
+ * - middleware/rateLimiter.js: 限流策略和计数存储
+ * - services/QuotaService.js: 每日配额默认值
+ * - server.js: trust proxy
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+/**
+ * 默认限流策略
+ *
+ * 【字段说明】
+ * - max：时间窗口内最多的请求数
+ * - windowMs：时间窗口（毫秒）
+ * - key：计数依据，user（已登录时按用户，否则按 IP）或 ip
+ * - message：超出限制时的提示
+ */
+const DEFAULT_POLICIES = {
+  messages: {
+    max: 20,
+    windowMs: 60 * 1000,
+    key: "user",
+    message: "发送太频繁，请稍后再试",
+  },
+  import: {
+    max: 5,
+    windowMs: 10 * 60 * 1000,
+    key: "user",
+    message: "导入太频繁，请稍后再试",
+  },
+  feedback: {
+    max: 10,
+    windowMs: 60 * 60 * 1000,
+    key: "user",
+    message: "反馈提交太频繁，请稍后再试",
+  },
+  login: {
+    max: 10,
+    windowMs: 15 * 60 * 1000,
+    key: "ip",
+    message: "登录尝试次数过多，请稍后再试",
+  },
+};
+
+/**
+ * 支持的计数存储
+ */
+const STORES = ["memory", "mysql"];
+
+/**
+ * 默认每日配额
+ */
+const DEFAULT_DAILY_MESSAGES = 200;
+const DEFAULT_DAILY_TOKENS = 0;
+
+/**
+ * 默认信任的代理（回环地址和内网地址）
+ */
+const DEFAULT_TRUST_PROXY = "loopback, linklocal, uniquelocal";
+
+/**
+ * 读取正整数环境变量
+ *
+ * @param {string} name - 环境变量名
+ * @param {number} fallback - 未设置或格式不正确时的默认值
+ * @param {boolean} [allowZero=false] - 是否允许 0
+ * @returns {number} 配置值
+ */
+function readInteger(name, fallback, allowZero = false) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === "") {
+    return fallback;
+  }
+  const value = parseInt(raw, 10);
+  if (!Number.isFinite(value) || value < 0 || (value === 0 && !allowZero)) {
+    console.warn(`[RateLimit Config] Invalid ${name} "${raw}", using ${fallback}`);
+    return fallback;
+  }
+  return value;
+}
+
+/**
+ * 是否启用接口限流
+ *
+ * 【功能说明】
+ * 每次调用时读取环境变量，修改配置后无需改代码
+ *
+ * @returns {boolean} 是否启用
+ */
+function isRateLimitEnabled() {
+  return process.env.RATE_LIMIT_ENABLED !== "false";
+}
+
+/**
+ * 获取计数存储方式
+ *
+ * @returns {string} memory 或 mysql
+ */
+function getRateLimitStore() {
+  const store = (process.env.RATE_LIMIT_STORE || "memory").trim().toLowerCase();
+  if (!STORES.includes(store)) {
+    console.warn(`[RateLimit Config] Unknown RATE_LIMIT_STORE "${store}", using memory`);
+    return "memory";
+  }
+  return store;
+}
+
+/**
+ * 获取限流策略
+ *
+ * @param {string} name - 策略名称：messages / import / feedback / login
+ * @returns {Object} { name, max, windowMs, key, message }
+ * @throws {Error} 策略不存在
+ */
+function getPolicy(name) {
+  const policy = DEFAULT_POLICIES[name];
+  if (!policy) {
+    throw new Error(`Unknown rate limit policy: ${name}`);
+  }
+
+  const prefix = `RATE_LIMIT_${name.toUpperCase()}`;
+  return {
+    ...policy,
+    name,
+    max: readInteger(`${prefix}_MAX`, policy.max),
+    windowMs: readInteger(`${prefix}_WINDOW_MS`, policy.windowMs),
+  };
+}
+
+/**
+ * 获取每日配额默认值
+ *
+ * @returns {Object} { dailyMessages, dailyTokens }（0 表示不限）
+ */
+function getDefaultQuota() {
+  return {
+    dailyMessages: readInteger("QUOTA_DAILY_MESSAGES", DEFAULT_DAILY_MESSAGES, true),
+    dailyTokens: readInteger("QUOTA_DAILY_TOKENS", DEFAULT_DAILY_TOKENS, true),
+  };
+}
+
+/**
+ * 获取 Express 的 trust proxy 设置
+ *
+ * @returns {boolean|number|string} trust proxy 取值
+ */
+function getTrustProxy() {
+  const raw = (process.env.TRUST_PROXY || "").trim();
+  if (!raw) {
+    return DEFAULT_TRUST_PROXY;
+  }
+  if (raw === "true" || raw === "false") {
+    return raw === "true";
+  }
+  if (/^\d+$/.test(raw)) {
+    return parseInt(raw, 10);
+  }
+  return raw;
+}
+
+module.exports = {
+  DEFAULT_POLICIES,
+  isRateLimitEnabled,
+  getRateLimitStore,
+  getPolicy,
+  getDefaultQuota,
+  getTrustProxy,
+};
@@ -10,6 +10,12 @@
  * 1. 从请求头提取 Token
  * 2. 验证 Token 有效性
  * 3. 将用户信息附加到 req.user
+ * 4. 按角色限制访问（requireRole）
+ *
+ * 【角色】
+ * - user：普通用户（默认）
+ * - admin：管理员，可以访问 /api/admin/* 和版本日志管理接口
+ * 角色在登录时写入 Token，修改角色后需要重新登录才会生效
  */
 
 const { verifyToken } = require('../utils/jwt');
@@ -66,6 +72,7 @@ function authenticate(req, res, next) {
     req.user = {
       userId: decoded.userId,
       username: decoded.username,
+      role: decoded.role || 'user', // 旧 Token 没有 role 字段，按普通用户处理
     };
 
     next();
@@ -108,6 +115,7 @@ function optionalAuthenticate(req, res, next) {
       req.user = {
         userId: decoded.userId,
         username: decoded.username,
+        role: decoded.role || 'user',
       };
     } else {
       req.user = null;
@@ -120,8 +128,56 @@ function optionalAuthenticate(req, res, next) {
   next();
 }
 
+/**
+ * 角色校验中间件
+ *
+ * 【功能说明】
+ * 只允许指定角色的用户访问，必须放在 authenticate 之后
+ *
+ * 【工作流程】
+ * 1. 未认证（没有 req.user）→ 返回 401
+ * 2. 角色不在允许列表中 → 返回 403 FORBIDDEN
+ * 3. 否则继续处理请求
+ *
+ * 【使用方式】
+ * router.get('/admin-only', authenticate, requireRole('admin'), (req, res) => {
+ *   // ...
+ * });
+ *
+ * @param {...string} roles - 允许访问的角色
+ * @returns {Function} Express 中间件
+ */
+function requireRole(...roles) {
+  return function (req, res, next) {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'UNAUTHORIZED',
+          message: '缺少认证 Token',
+        },
+        timestamp: Date.now(),
+      });
+    }
+
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: '没有权限访问该接口',
+        },
+        timestamp: Date.now(),
+      });
+    }
+
+    next();
+  };
+}
+
 module.exports = {
   authenticate,
   optionalAuthenticate,
+  requireRole,
 };
 
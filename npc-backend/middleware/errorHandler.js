@@ -25,7 +25,12 @@
  *
  * 【错误码映射】
  * - VALIDATION_ERROR → 400（参数验证失败）
+ * - FORBIDDEN → 403（角色权限不足）
  * - AGENT_NOT_FOUND → 404（Agent 不存在）
+ * - EVENT_NOT_FOUND → 404（消息不存在）
+ * - EVENT_SUPERSEDED → 409（消息已被重新生成或编辑替代）
+ * - SESSION_NOT_FOUND → 404（会话不存在）
+ * - MEMORY_NOT_FOUND → 404（记忆不存在）
  * - DUPLICATE_NAME → 409（名称重复）
  * - INVALID_MODEL → 400（无效的模型）
  * - PROVIDER_REQUIRED → 400（缺少提供商）
@@ -49,7 +54,12 @@ const { ValidationError } = require("../utils/validator");
  */
 const ERROR_CODE_TO_STATUS = {
   VALIDATION_ERROR: 400,
+  FORBIDDEN: 403,
   AGENT_NOT_FOUND: 404,
+  EVENT_NOT_FOUND: 404,
+  EVENT_SUPERSEDED: 409,
+  SESSION_NOT_FOUND: 404,
+  MEMORY_NOT_FOUND: 404,
   DUPLICATE_NAME: 409,
   INVALID_MODEL: 400,
   PROVIDER_REQUIRED: 400,
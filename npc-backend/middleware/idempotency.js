@@ -0,0 +1,235 @@
+/**
+ * ============================================
+ * 幂等请求中间件 (idempotency.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 处理 Idempotency-Key 请求头：客户端用同一个键重试同一个请求时，返回第一次的响应，
+ * 不会再次执行（例如网络中断后重试发送消息，不会创建重复的用户消息和回复）
+ *
+ * 【工作流程】
+ * 1. 没有 Idempotency-Key 请求头：直接放行
+ * 2. 占用幂等键（用户 ID + 键）成功：放行，响应发送前保存状态码和响应体
+ * 3. 键已存在：
+ *    - 请求接口或请求体不同 → 422 IDEMPOTENCY_KEY_REUSED
+ *    - 第一次请求仍在处理中 → 409 IDEMPOTENCY_IN_PROGRESS（带 Retry-After）
+ *    - 已完成 → 返回保存的状态码和响应体，响应头 Idempotent-Replayed: true
+ *
+ * 【说明】
+ * - 必须放在 authenticate 之后、限流和配额检查之前（重放的请求不计入限流和配额）
+ * - 5xx 和 429 响应不保存，同时释放幂等键，客户端可以用同一个键重试
+ * - 幂等键 24 小时后过期；处理中的键超过 60 秒未完成（实例退出）时，同一个请求可以接管
+ * - 幂等键存储出错时放行请求（只记录警告），与限流中间件一致
+ *
+ * 【依赖】
+ * - repositories/IdempotencyRepository.js: 幂等键存储（idempotency_keys 表，迁移 028）
+ *
+ * 【被谁使用】
+ * - routes/messages.js: POST /api/v1/messages
+ *
+ * 【错误响应】
+ * 400：{ success: false, error: { code: 'VALIDATION_ERROR', message } }
+ * 409：{ success: false, error: { code: 'IDEMPOTENCY_IN_PROGRESS', message, details: { retryAfter } } }
+ * 422：{ success: false, error: { code: 'IDEMPOTENCY_KEY_REUSED', message } }
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+const crypto = require("crypto");
+const idempotencyRepository = require("../repositories/IdempotencyRepository");
+
+/**
+ * 幂等键最大长度
+ */
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * 幂等键有效期（毫秒）
+ */
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 处理中的键超过该时长未完成时视为已放弃（毫秒）
+ */
+const PROCESSING_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * 清理过期幂等键的间隔（毫秒）
+ */
+const SWEEP_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * 上次清理过期幂等键的时间
+ */
+let lastSweepAt = Date.now();
+
+/**
+ * 计算请求摘要
+ *
+ * @param {string} route - 请求的接口（方法 + 路径）
+ * @param {Object} body - 请求体
+ * @returns {string} SHA-256（十六进制）
+ */
+function hashRequest(route, body) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ route, body: body || {} }))
+    .digest("hex");
+}
+
+/**
+ * 发送错误响应
+ *
+ * @param {Object} res - Express 响应对象
+ * @param {number} statusCode - HTTP 状态码
+ * @param {Object} error - { code, message, details? }
+ */
+function sendError(res, statusCode, error) {
+  res.status(statusCode).json({
+    success: false,
+    error,
+    timestamp: Date.now(),
+  });
+}
+
+/**
+ * 占用幂等键，键已存在时按规则接管
+ *
+ * @param {Object} data - 幂等键数据 { userId, key, route, requestHash, now, expiresAt }
+ * @returns {Promise<Object>} { reserved: true } 或 { reserved: false, existing }
+ */
+async function reserveKey(data) {
+  if (await idempotencyRepository.reserve(data)) {
+    return { reserved: true };
+  }
+
+  const existing = await idempotencyRepository.findByKey(data.userId, data.key);
+  if (!existing) {
+    // 键在两次查询之间被释放
+    return { reserved: await idempotencyRepository.reserve(data), existing: null };
+  }
+
+  const expired = existing.expiresAt <= data.now;
+  const abandoned =
+    existing.status === "processing" &&
+    existing.requestHash === data.requestHash &&
+    existing.createdAt < data.now - PROCESSING_TIMEOUT_MS;
+  if (expired || abandoned) {
+    const staleBefore = data.now - PROCESSING_TIMEOUT_MS;
+    if (await idempotencyRepository.takeOver(data, staleBefore)) {
+      return { reserved: true };
+    }
+  }
+
+  return { reserved: false, existing };
+}
+
+/**
+ * 创建幂等请求中间件
+ *
+ * @returns {Function} Express 中间件
+ *
+ * @example
+ * router.post("/", authenticate, idempotency(), rateLimit("messages"), handler);
+ */
+function idempotency() {
+  return async function idempotencyHandler(req, res, next) {
+    const rawKey = req.get("Idempotency-Key");
+    if (rawKey === undefined || !req.user || !req.user.userId) {
+      return next();
+    }
+
+    const key = rawKey.trim();
+    if (!key || key.length > MAX_KEY_LENGTH) {
+      return sendError(res, 400, {
+        code: "VALIDATION_ERROR",
+        message: `Idempotency-Key 必须是 1-${MAX_KEY_LENGTH} 个字符`,
+      });
+    }
+
+    const userId = req.user.userId;
+    // 去掉末尾的 "/"（POST /api/v1/messages 和 POST /api/v1/messages/ 是同一个接口）
+    const path = `${req.baseUrl}${req.path}`.replace(/(.)\/$/, "$1");
+    const route = `${req.method} ${path}`;
+    const now = Date.now();
+    const data = {
+      userId,
+      key,
+      route,
+      requestHash: hashRequest(route, req.body),
+      now,
+      expiresAt: now + KEY_TTL_MS,
+    };
+
+    if (now - lastSweepAt >= SWEEP_INTERVAL) {
+      lastSweepAt = now;
+      idempotencyRepository.deleteExpired(now).catch((error) => {
+        console.warn("[Idempotency] Failed to delete expired keys:", error.message);
+      });
+    }
+
+    let result;
+    try {
+      result = await reserveKey(data);
+    } catch (error) {
+      console.warn(`[Idempotency] Key store error for ${userId}:`, error.message);
+      return next();
+    }
+
+    if (!result.reserved) {
+      const { existing } = result;
+      if (!existing) {
+        // 键被释放后又被并发请求占用
+        res.set("Retry-After", "1");
+        return sendError(res, 409, {
+          code: "IDEMPOTENCY_IN_PROGRESS",
+          message: "相同的请求正在处理中，请稍后重试",
+          details: { retryAfter: 1 },
+        });
+      }
+      if (existing.requestHash !== data.requestHash) {
+        return sendError(res, 422, {
+          code: "IDEMPOTENCY_KEY_REUSED",
+          message: "该 Idempotency-Key 已用于其他请求",
+        });
+      }
+      if (existing.status !== "completed") {
+        res.set("Retry-After", "1");
+        return sendError(res, 409, {
+          code: "IDEMPOTENCY_IN_PROGRESS",
+          message: "相同的请求正在处理中，请稍后重试",
+          details: { retryAfter: 1 },
+        });
+      }
+
+      res.set("Idempotent-Replayed", "true");
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // 响应发送前保存（或释放）幂等键，客户端收到响应后立即重试也能拿到保存的响应
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      res.json = sendJson;
+      const statusCode = res.statusCode;
+      const settle =
+        statusCode >= 500 || statusCode === 429
+          ? idempotencyRepository.release(userId, key)
+          : idempotencyRepository.complete(userId, key, statusCode, body);
+
+      Promise.resolve(settle)
+        .catch((error) => {
+          console.warn(`[Idempotency] Failed to save response for ${userId}:`, error.message);
+        })
+        .finally(() => sendJson(body));
+      return res;
+    };
+
+    next();
+  };
+}
+
+module.exports = {
+  idempotency,
+  hashRequest,
+};
@@ -0,0 +1,68 @@
+/**
+ * ============================================
+ * 每日配额中间件 (quota.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 在生成 AI 回复的接口之前检查当前用户今天的配额，超出时直接返回 429
+ *
+ * 【工作流程】
+ * 读取 req.user → QuotaService 检查配额 → 未超出则继续，超出则返回 429 和 Retry-After
+ *
+ * 【说明】
+ * - 必须放在 authenticate 之后
+ * - 配额查询出错时放行请求（只记录警告），配额检查不能影响正常使用
+ *
+ * 【依赖】
+ * - services/QuotaService.js: 配额检查
+ *
+ * 【被谁使用】
+ * - routes/messages.js: 发送、重新生成、编辑消息
+ *
+ * 【错误响应】
+ * 429：{ success: false, error: { code: 'QUOTA_EXCEEDED', message, details: { retryAfter, quota } } }
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+const quotaService = require("../services/QuotaService");
+
+/**
+ * 检查每日配额
+ *
+ * @param {Object} req - Express 请求对象
+ * @param {Object} res - Express 响应对象
+ * @param {Function} next - 下一个中间件
+ */
+async function checkDailyQuota(req, res, next) {
+  if (!req.user || !req.user.userId) {
+    return next();
+  }
+
+  try {
+    await quotaService.assertWithinQuota(req.user.userId);
+  } catch (error) {
+    if (error.code !== "QUOTA_EXCEEDED") {
+      console.warn(`[Quota] Failed to check quota for ${req.user.userId}:`, error.message);
+      return next();
+    }
+
+    res.set("Retry-After", String(error.retryAfter));
+    return res.status(429).json({
+      success: false,
+      error: {
+        code: "QUOTA_EXCEEDED",
+        message: error.message,
+        details: { retryAfter: error.retryAfter, quota: error.quota },
+      },
+      timestamp: Date.now(),
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  checkDailyQuota,
+};
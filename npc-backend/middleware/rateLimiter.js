@@ -0,0 +1,211 @@
+/**
+ * ============================================
+ * 接口限流中间件 (rateLimiter.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 按策略限制单个用户（或 IP）在时间窗口内的请求数，防止接口被刷、共享 API Key 被耗尽
+ *
+ * 【主要功能】
+ * 1. 固定时间窗口计数：窗口内超过 max 次返回 429
+ * 2. 响应头：X-RateLimit-Limit / X-RateLimit-Remaining / X-RateLimit-Reset，超出时带 Retry-After
+ * 3. 计数存储：内存（单实例）或 MySQL（蓝绿部署双实例共享计数）
+ *
+ * 【工作流程】
+ * 读取策略 → 生成计数键 → 计数加一 → 设置响应头 → 未超出则继续，超出则返回 429
+ *
+ * 【策略】
+ * 见 config/rateLimit.js：messages（发送消息）、import（导入对话）、feedback（提交反馈）、login（登录）
+ *
+ * 【说明】
+ * - 计数键为"策略名:user:用户 ID"或"策略名:ip:客户端 IP"，按 user 计数的策略未登录时按 IP
+ * - 客户端 IP 取自 req.ip，经过 Nginx 时依赖 server.js 中的 trust proxy 设置
+ * - 计数存储出错时放行请求（只记录警告），限流不能影响正常使用
+ * - X-RateLimit-Reset 为窗口结束时间（Unix 秒），Retry-After 为需要等待的秒数
+ *
+ * 【依赖】
+ * - config/rateLimit.js: 策略和存储配置
+ * - repositories/RateLimitRepository.js: MySQL 计数存储
+ *
+ * 【被谁使用】
+ * - routes/messages.js / routes/import.js / routes/feedbacks.js / routes/users.js
+ *
+ * 【错误响应】
+ * 429：{ success: false, error: { code: 'RATE_LIMIT_EXCEEDED', message, details: { retryAfter } } }
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+const rateLimitRepository = require("../repositories/RateLimitRepository");
+const {
+  isRateLimitEnabled,
+  getRateLimitStore,
+  getPolicy,
+} = require("../config/rateLimit");
+
+/**
+ * 清理过期计数的间隔（毫秒）
+ */
+const SWEEP_INTERVAL = 5 * 60 * 1000;
+
+/**
+ * 创建内存计数存储
+ *
+ * 【说明】
+ * 计数只在当前进程内有效，适合单实例部署；过期的计数在后续请求中顺带清理
+ *
+ * @returns {Object} 计数存储 { increment(key, windowMs), reset() }
+ */
+function createMemoryStore() {
+  const counters = new Map();
+  let lastSweepAt = Date.now();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+
+      if (now - lastSweepAt >= SWEEP_INTERVAL) {
+        lastSweepAt = now;
+        for (const [counterKey, entry] of counters) {
+          if (entry.resetAt <= now) {
+            counters.delete(counterKey);
+          }
+        }
+      }
+
+      let entry = counters.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { hits: 0, resetAt: now + windowMs };
+        counters.set(key, entry);
+      }
+      entry.hits += 1;
+
+      return { hits: entry.hits, resetAt: entry.resetAt };
+    },
+
+    reset() {
+      counters.clear();
+    },
+  };
+}
+
+/**
+ * 创建 MySQL 计数存储
+ *
+ * 【说明】
+ * 多个后端实例共享 rate_limit_counters 表（迁移 024）；
+ * 每个实例每隔 SWEEP_INTERVAL 顺带删除一次过期计数
+ *
+ * @returns {Object} 计数存储 { increment(key, windowMs) }
+ */
+function createMysqlStore() {
+  let lastSweepAt = Date.now();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+
+      if (now - lastSweepAt >= SWEEP_INTERVAL) {
+        lastSweepAt = now;
+        rateLimitRepository.deleteExpired(now).catch((error) => {
+          console.warn("[RateLimit] Failed to delete expired counters:", error.message);
+        });
+      }
+
+      return rateLimitRepository.increment(key, windowMs, now);
+    },
+  };
+}
+
+/**
+ * 按配置创建的共享计数存储（首次使用时创建）
+ */
+let sharedStore = null;
+
+/**
+ * 获取按配置创建的计数存储
+ *
+ * @returns {Object} 计数存储
+ */
+function getStore() {
+  if (!sharedStore) {
+    sharedStore = getRateLimitStore() === "mysql" ? createMysqlStore() : createMemoryStore();
+  }
+  return sharedStore;
+}
+
+/**
+ * 生成计数键
+ *
+ * @param {Object} req - Express 请求对象
+ * @param {string} keyType - user 或 ip
+ * @returns {string} 计数键（不含策略名）
+ */
+function getClientKey(req, keyType) {
+  if (keyType === "user" && req.user && req.user.userId) {
+    return `user:${req.user.userId}`;
+  }
+  return `ip:${req.ip || (req.socket && req.socket.remoteAddress) || "unknown"}`;
+}
+
+/**
+ * 创建限流中间件
+ *
+ * @param {string} policyName - 策略名称（见 config/rateLimit.js）
+ * @param {Object} [options] - 选项
+ * @param {Object} [options.store] - 计数存储（默认按 RATE_LIMIT_STORE 创建）
+ * @returns {Function} Express 中间件
+ *
+ * @example
+ * router.post("/", authenticate, rateLimit("messages"), handler);
+ */
+function rateLimit(policyName, options = {}) {
+  // 立即校验策略名称，写错时启动即报错
+  getPolicy(policyName);
+
+  return async function rateLimiter(req, res, next) {
+    if (!isRateLimitEnabled()) {
+      return next();
+    }
+
+    const policy = getPolicy(policyName);
+    const key = `${policy.name}:${getClientKey(req, policy.key)}`;
+
+    let counter;
+    try {
+      counter = await (options.store || getStore()).increment(key, policy.windowMs);
+    } catch (error) {
+      console.warn(`[RateLimit] Counter store error for ${key}:`, error.message);
+      return next();
+    }
+
+    const retryAfter = Math.max(Math.ceil((counter.resetAt - Date.now()) / 1000), 1);
+    res.set({
+      "X-RateLimit-Limit": String(policy.max),
+      "X-RateLimit-Remaining": String(Math.max(policy.max - counter.hits, 0)),
+      "X-RateLimit-Reset": String(Math.ceil(counter.resetAt / 1000)),
+    });
+
+    if (counter.hits > policy.max) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: {
+          code: "RATE_LIMIT_EXCEEDED",
+          message: `${policy.message}（${retryAfter} 秒后可重试）`,
+          details: { retryAfter },
+        },
+        timestamp: Date.now(),
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  rateLimit,
+  createMemoryStore,
+  createMysqlStore,
+};
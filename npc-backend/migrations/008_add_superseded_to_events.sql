@@ -0,0 +1,16 @@
+-- ============================================
+-- 数据库迁移：为 events 表添加"已被替代"标记
+-- ============================================
+-- 说明：重新生成回复、编辑用户消息时，不物理删除旧事件，
+--       而是标记 superseded_at，查询对话历史和构建 LLM 上下文时排除这些事件
+-- 执行时间：2025-12-01
+
+USE npc_db;
+
+-- 添加 superseded_at 字段（NULL 表示事件有效）
+ALTER TABLE events
+ADD COLUMN superseded_at BIGINT NULL DEFAULT NULL COMMENT '被替代时间戳（重新生成/编辑后旧事件被标记，NULL 表示有效）'
+AFTER timestamp;
+
+-- 创建索引（查询会话有效事件并排序）
+CREATE INDEX idx_events_session_superseded_timestamp ON events(session_id, superseded_at, timestamp);
@@ -0,0 +1,27 @@
+-- ============================================
+-- 数据库迁移：为 events 表添加父事件指针（对话分支）
+-- ============================================
+-- 说明：每条事件记录它在对话树中的上一条事件（parent_id），
+--       父事件相同的事件互为兄弟分支（重新生成的回复、编辑后的问题）；
+--       superseded_at 为 NULL 的事件组成当前激活路径
+-- 执行时间：2025-12-02
+
+USE npc_db;
+
+-- 添加 parent_id 字段（NULL 表示会话的第一条消息）
+ALTER TABLE events
+ADD COLUMN parent_id VARCHAR(100) NULL DEFAULT NULL COMMENT '父事件 ID（对话树中的上一条事件，NULL 表示根事件）'
+AFTER session_id;
+
+-- 创建索引（查询兄弟分支）
+CREATE INDEX idx_events_session_parent ON events(session_id, parent_id);
+
+-- 回填历史数据：有效事件按时间顺序串成一条链（需要 MySQL 8.0+ 窗口函数）
+UPDATE events e
+JOIN (
+  SELECT id, LAG(id) OVER (PARTITION BY session_id ORDER BY timestamp, id) AS prev_id
+  FROM events
+  WHERE superseded_at IS NULL
+) chain ON e.id = chain.id
+SET e.parent_id = chain.prev_id
+WHERE e.parent_id IS NULL;
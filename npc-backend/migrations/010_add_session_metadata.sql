@@ -0,0 +1,18 @@
+-- ============================================
+-- 数据库迁移：为 sessions 表添加多会话元数据
+-- ============================================
+-- 说明：同一用户和 Agent 之间可以有多个会话，
+--       每个会话有标题，可以归档（从默认列表隐藏）或删除（软删除）；
+--       未指定会话时默认使用最近活跃的未归档会话
+-- 执行时间：2025-12-03
+
+USE npc_db;
+
+-- 添加会话标题、归档时间和删除时间字段
+ALTER TABLE sessions
+ADD COLUMN title VARCHAR(100) NULL DEFAULT NULL COMMENT '会话标题（NULL 表示未命名）' AFTER participants,
+ADD COLUMN archived_at BIGINT NULL DEFAULT NULL COMMENT '归档时间戳（NULL 表示未归档）' AFTER last_active_at,
+ADD COLUMN deleted_at BIGINT NULL DEFAULT NULL COMMENT '删除时间戳（软删除，NULL 表示未删除）' AFTER archived_at;
+
+-- 创建索引（按最后活动时间列出未删除的会话）
+CREATE INDEX idx_sessions_deleted_last_active ON sessions(deleted_at, last_active_at);
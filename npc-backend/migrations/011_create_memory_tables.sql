@@ -0,0 +1,30 @@
+-- ============================================
+-- 数据库迁移：创建长期记忆表
+-- ============================================
+-- 说明：session_summaries 保存每个会话中滑出上下文窗口的旧消息的滚动摘要，
+--       agent_memories 保存 NPC 记住的关于用户的长期事实（按用户 + Agent 隔离），
+--       两者都会注入到调用 LLM 时的 system prompt 中
+-- 执行时间：2025-12-04
+
+USE npc_db;
+
+-- 会话滚动摘要表（每个会话一条）
+CREATE TABLE IF NOT EXISTS session_summaries (
+  session_id VARCHAR(200) PRIMARY KEY COMMENT '会话 ID',
+  summary TEXT NOT NULL COMMENT '摘要内容',
+  covered_until BIGINT NOT NULL COMMENT '摘要已覆盖到的事件时间戳（毫秒，含）',
+  updated_at BIGINT NOT NULL COMMENT '更新时间戳（毫秒）'
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='会话滚动摘要表';
+
+-- Agent 长期记忆表（关于用户的事实）
+CREATE TABLE IF NOT EXISTS agent_memories (
+  id VARCHAR(100) PRIMARY KEY COMMENT '记忆 ID',
+  user_id VARCHAR(100) NOT NULL COMMENT '用户 ID',
+  agent_id VARCHAR(100) NOT NULL COMMENT 'Agent ID',
+  content TEXT NOT NULL COMMENT '记忆内容',
+  source VARCHAR(20) NOT NULL DEFAULT 'auto' COMMENT '来源：auto（对话中自动提取）、user（用户编辑过）',
+  source_session_id VARCHAR(200) NULL DEFAULT NULL COMMENT '提取自哪个会话',
+  created_at BIGINT NOT NULL COMMENT '创建时间戳（毫秒）',
+  updated_at BIGINT NOT NULL COMMENT '更新时间戳（毫秒）',
+  INDEX idx_agent_memories_user_agent (user_id, agent_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Agent 长期记忆表';
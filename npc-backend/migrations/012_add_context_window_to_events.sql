@@ -0,0 +1,13 @@
+-- ============================================
+-- 数据库迁移：为 events 表添加上下文窗口记录
+-- ============================================
+-- 说明：Agent 回复记录生成时实际发送给 LLM 的上下文窗口
+--       （模型、事件 ID 列表、token 估算、预算），以 JSON 文本保存，便于排查上下文问题
+-- 执行时间：2025-12-05
+
+USE npc_db;
+
+-- 添加 context_window 字段（用户消息为 NULL）
+ALTER TABLE events
+ADD COLUMN context_window TEXT NULL DEFAULT NULL COMMENT '生成回复时的上下文窗口（JSON：model, eventIds, tokenEstimate, budget）'
+AFTER content;
@@ -0,0 +1,16 @@
+-- ============================================
+-- 数据库迁移：为 users 表添加角色字段
+-- ============================================
+-- 说明：role 区分普通用户（user）和管理员（admin），
+--       管理后台接口（/api/admin/*）和版本日志管理接口只允许管理员访问
+-- 执行时间：2025-12-06
+
+USE npc_db;
+
+-- 添加 role 字段（已有用户默认为普通用户）
+ALTER TABLE users
+ADD COLUMN role VARCHAR(20) NOT NULL DEFAULT 'user' COMMENT '用户角色（user / admin）'
+AFTER password;
+
+-- 默认管理员账号（scripts/create-admin-user.js 创建）设为管理员
+UPDATE users SET role = 'admin' WHERE id = 'admin_Kaine';
@@ -0,0 +1,13 @@
+-- ============================================
+-- 数据库迁移：密码改为哈希存储
+-- ============================================
+-- 说明：password 字段改为保存 scrypt 哈希（格式 scrypt$N$r$p$salt$hash）。
+--       历史明文密码不在 SQL 中转换（MySQL 没有 scrypt），
+--       用户登录成功后自动升级，也可以执行 node scripts/hash-legacy-passwords.js 一次性转换
+-- 执行时间：2025-12-07
+
+USE npc_db;
+
+-- 更新字段注释（VARCHAR(255) 足够保存哈希）
+ALTER TABLE users
+MODIFY COLUMN password VARCHAR(255) NOT NULL COMMENT '密码哈希（scrypt，历史明文密码登录后自动升级）';
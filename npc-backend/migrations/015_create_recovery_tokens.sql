@@ -0,0 +1,23 @@
+-- ============================================
+-- 数据库迁移：创建账号恢复凭证表
+-- ============================================
+-- 说明：忘记密码不再只凭 userId 重置，需要提供以下凭证之一：
+--       recovery_code（注册时生成的恢复码，只展示一次）
+--       reset_token（管理员签发的一次性重置码，有有效期）
+--       两种凭证都只保存 SHA-256 摘要，使用后写入 used_at，不能重复使用
+-- 执行时间：2025-12-08
+
+USE npc_db;
+
+CREATE TABLE IF NOT EXISTS user_recovery_tokens (
+  id VARCHAR(100) PRIMARY KEY COMMENT '凭证 ID',
+  user_id VARCHAR(100) NOT NULL COMMENT '用户 ID',
+  type VARCHAR(20) NOT NULL COMMENT '凭证类型：recovery_code（恢复码）、reset_token（管理员重置码）',
+  token_hash CHAR(64) NOT NULL COMMENT '凭证的 SHA-256 摘要（十六进制）',
+  expires_at BIGINT NULL DEFAULT NULL COMMENT '过期时间戳（毫秒），NULL 表示不过期',
+  used_at BIGINT NULL DEFAULT NULL COMMENT '使用或作废时间戳（毫秒），NULL 表示未使用',
+  created_by VARCHAR(100) NULL DEFAULT NULL COMMENT '签发人（管理员重置码）',
+  created_at BIGINT NOT NULL COMMENT '创建时间戳（毫秒）',
+  UNIQUE KEY uk_user_recovery_tokens_hash (token_hash),
+  INDEX idx_user_recovery_tokens_user (user_id, type, used_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='账号恢复凭证表';
@@ -0,0 +1,11 @@
+-- ============================================
+-- 数据库迁移：为用户添加账号状态
+-- ============================================
+-- 说明：status 为账号状态（active 正常、disabled 已禁用），
+--       管理员禁用用户时吊销该用户的全部 Refresh Token，被禁用的账号不能登录和刷新 Token
+-- 执行时间：2025-12-09
+
+USE npc_db;
+
+ALTER TABLE users
+ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'active' COMMENT '账号状态：active（正常）、disabled（已禁用）' AFTER role;
@@ -0,0 +1,23 @@
+-- ============================================
+-- 数据库迁移：创建 Refresh Token 表
+-- ============================================
+-- 说明：登录时签发 Refresh Token 并在此登记，每次刷新都换发新的 Token（轮换），
+--       旧 Token 标记为 rotated。已轮换的 Token 再次被使用说明可能泄露，
+--       同一家族（family_id，同一次登录）的所有 Token 一起吊销。
+--       退出登录、修改密码、禁用用户时写入 revoked_at
+-- 执行时间：2025-12-09
+
+USE npc_db;
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id VARCHAR(100) PRIMARY KEY COMMENT 'Token ID（JWT 的 jti）',
+  user_id VARCHAR(100) NOT NULL COMMENT '用户 ID',
+  family_id VARCHAR(100) NOT NULL COMMENT 'Token 家族 ID（同一次登录轮换出的 Token 共用）',
+  expires_at BIGINT NOT NULL COMMENT '过期时间戳（毫秒）',
+  revoked_at BIGINT NULL DEFAULT NULL COMMENT '吊销时间戳（毫秒），NULL 表示有效',
+  revoke_reason VARCHAR(30) NULL DEFAULT NULL COMMENT '吊销原因：rotated、logout、reuse_detected、password_changed、user_disabled',
+  replaced_by VARCHAR(100) NULL DEFAULT NULL COMMENT '轮换后的新 Token ID',
+  created_at BIGINT NOT NULL COMMENT '创建时间戳（毫秒）',
+  INDEX idx_refresh_tokens_user (user_id, revoked_at),
+  INDEX idx_refresh_tokens_family (family_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Refresh Token 表';
@@ -0,0 +1,21 @@
+-- ============================================
+-- 数据库迁移：创建用户 API Key 表
+-- ============================================
+-- 说明：用户可以为每个提供商保存自己的 API Key，生成回复时优先使用。
+--       Key 用服务端主密钥（API_KEY_MASTER_KEY）以 AES-256-GCM 加密后存储，
+--       key_hint 只保留首尾几位用于展示，接口和日志中不出现明文
+-- 执行时间：2025-12-10
+
+USE npc_db;
+
+CREATE TABLE IF NOT EXISTS user_api_keys (
+  id VARCHAR(100) PRIMARY KEY COMMENT '记录 ID',
+  user_id VARCHAR(100) NOT NULL COMMENT '用户 ID',
+  provider VARCHAR(50) NOT NULL COMMENT '提供商名称（config/providers.js 中的 name）',
+  encrypted_key TEXT NOT NULL COMMENT '加密后的 API Key（v1:iv:tag:密文）',
+  key_hint VARCHAR(50) NOT NULL COMMENT '脱敏后的 Key（如 sk-o…a1b2）',
+  validated_at BIGINT NULL DEFAULT NULL COMMENT '最近一次校验通过的时间戳（毫秒）',
+  created_at BIGINT NOT NULL COMMENT '创建时间戳（毫秒）',
+  updated_at BIGINT NOT NULL COMMENT '更新时间戳（毫秒）',
+  UNIQUE KEY uk_user_api_keys_user_provider (user_id, provider)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='用户 API Key 表';
@@ -0,0 +1,16 @@
+-- ============================================
+-- 数据库迁移：创建系统设置表
+-- ============================================
+-- 说明：保存管理员在后台修改的运行时设置（键值对），
+--       例如 shared_key_pool_enabled（没有自己 API Key 的用户能否使用共享 Key 池）。
+--       没有记录的设置使用配置文件或环境变量中的默认值
+-- 执行时间：2025-12-10
+
+USE npc_db;
+
+CREATE TABLE IF NOT EXISTS system_settings (
+  setting_key VARCHAR(100) PRIMARY KEY COMMENT '设置名称',
+  setting_value TEXT NOT NULL COMMENT '设置值（JSON）',
+  updated_by VARCHAR(100) NULL DEFAULT NULL COMMENT '最后修改的管理员 ID',
+  updated_at BIGINT NOT NULL COMMENT '更新时间戳（毫秒）'
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='系统设置表';
@@ -0,0 +1,14 @@
+-- ============================================
+-- 数据库迁移：为 agents 表添加生成参数
+-- ============================================
+-- 说明：每个 NPC 可以单独设置生成参数（temperature、最大输出 token 数、top_p、
+--       停止序列、frequency/presence penalty），以 JSON 文本保存。
+--       为 NULL 或缺少某个参数时使用默认值（temperature 0.7，其余不发送）
+-- 执行时间：2025-12-10
+
+USE npc_db;
+
+-- 添加 generation_params 字段
+ALTER TABLE agents
+ADD COLUMN generation_params TEXT NULL DEFAULT NULL COMMENT '生成参数（JSON：temperature, maxTokens, topP, stop, frequencyPenalty, presencePenalty）'
+AFTER system_prompt;
@@ -0,0 +1,14 @@
+-- ============================================
+-- 数据库迁移：为 agents 表添加备用模型列表
+-- ============================================
+-- 说明：主模型限流（429）、出错（5xx）或超时时，按顺序改用的备用模型，
+--       以 JSON 数组保存 [{ "model": "...", "provider": "..." }]，可以跨提供商。
+--       为 NULL 时不切换模型（与旧版本行为一致）
+-- 执行时间：2025-12-10
+
+USE npc_db;
+
+-- 添加 fallback_models 字段
+ALTER TABLE agents
+ADD COLUMN fallback_models TEXT NULL DEFAULT NULL COMMENT '备用模型列表（JSON：[{ model, provider }]）'
+AFTER provider;
@@ -0,0 +1,14 @@
+-- ============================================
+-- 数据库迁移：为 events 表记录实际使用的模型
+-- ============================================
+-- 说明：Agent 回复记录生成时实际使用的模型和提供商。
+--       主模型不可用时会改用备用模型，所以不能只看 Agent 当前配置的模型；
+--       用户消息和旧数据为 NULL
+-- 执行时间：2025-12-10
+
+USE npc_db;
+
+-- 添加 model 和 provider 字段
+ALTER TABLE events
+ADD COLUMN model VARCHAR(255) NULL DEFAULT NULL COMMENT '生成回复实际使用的模型（用户消息为 NULL）' AFTER content,
+ADD COLUMN provider VARCHAR(50) NULL DEFAULT NULL COMMENT '生成回复实际使用的提供商（用户消息为 NULL）' AFTER model;
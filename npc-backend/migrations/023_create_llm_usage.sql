@@ -0,0 +1,29 @@
+-- ============================================
+-- 数据库迁移：创建 LLM 用量表
+-- ============================================
+-- 说明：每条 Agent 回复记录一行用量（实际使用的模型、输入/输出 token 数、耗时和估算费用），
+--       用于按用户、Agent 和日期统计。费用按记录时的模型价格计算（config/models.js），
+--       之后调整价格不影响历史记录；提供商没有返回用量或模型没有价格时对应字段为 NULL
+-- 执行时间：2025-12-10
+
+USE npc_db;
+
+CREATE TABLE IF NOT EXISTS llm_usage (
+  id VARCHAR(100) PRIMARY KEY COMMENT '记录 ID',
+  event_id VARCHAR(100) NOT NULL COMMENT 'Agent 回复的 Event ID',
+  user_id VARCHAR(100) NOT NULL COMMENT '用户 ID',
+  agent_id VARCHAR(100) NOT NULL COMMENT 'Agent ID',
+  session_id VARCHAR(200) NOT NULL COMMENT '会话 ID',
+  model VARCHAR(255) NOT NULL COMMENT '实际使用的模型',
+  provider VARCHAR(50) NOT NULL COMMENT '实际使用的提供商',
+  prompt_tokens INT NULL DEFAULT NULL COMMENT '输入 token 数（提供商没有返回时为 NULL）',
+  completion_tokens INT NULL DEFAULT NULL COMMENT '输出 token 数（提供商没有返回时为 NULL）',
+  latency_ms INT NOT NULL DEFAULT 0 COMMENT '耗时（毫秒，从发出请求到读完响应）',
+  cost DECIMAL(12, 6) NULL DEFAULT NULL COMMENT '估算费用（美元，模型没有价格时为 NULL）',
+  usage_date DATE NOT NULL COMMENT '统计日期（服务器本地时间）',
+  created_at BIGINT NOT NULL COMMENT '创建时间戳（毫秒）',
+  INDEX idx_llm_usage_user_date (user_id, usage_date),
+  INDEX idx_llm_usage_agent_date (agent_id, usage_date),
+  INDEX idx_llm_usage_date (usage_date),
+  INDEX idx_llm_usage_event (event_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='LLM 用量表';
@@ -0,0 +1,24 @@
+-- ============================================
+-- 数据库迁移：创建限流计数表和用户配额表
+-- ============================================
+-- 说明：rate_limit_counters 保存接口限流的计数（RATE_LIMIT_STORE=mysql 时使用，
+--       蓝绿部署的两个后端实例共享同一份计数）；
+--       user_quotas 保存管理员为单个用户设置的每日配额，没有记录的用户使用默认配额
+-- 执行时间：2025-12-10
+
+USE npc_db;
+
+CREATE TABLE IF NOT EXISTS rate_limit_counters (
+  counter_key VARCHAR(255) PRIMARY KEY COMMENT '计数键（策略:user:用户ID 或 策略:ip:IP）',
+  hits INT NOT NULL DEFAULT 0 COMMENT '当前时间窗口内的请求数',
+  reset_at BIGINT NOT NULL COMMENT '时间窗口结束时间戳（毫秒）',
+  INDEX idx_rate_limit_reset_at (reset_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='接口限流计数表';
+
+CREATE TABLE IF NOT EXISTS user_quotas (
+  user_id VARCHAR(100) PRIMARY KEY COMMENT '用户 ID',
+  daily_messages INT NULL DEFAULT NULL COMMENT '每日最多 AI 回复数（NULL 使用默认配额，0 表示不限）',
+  daily_tokens INT NULL DEFAULT NULL COMMENT '每日最多 token 数（NULL 使用默认配额，0 表示不限）',
+  updated_by VARCHAR(100) NULL COMMENT '最后修改的管理员 ID',
+  updated_at BIGINT NOT NULL COMMENT '最后修改时间戳（毫秒）'
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='用户配额表';
@@ -0,0 +1,14 @@
+-- ============================================
+-- 数据库迁移：为 events 表添加全文索引
+-- ============================================
+-- 说明：支持跨会话搜索消息内容。
+--       使用 ngram 分词器（MySQL 内置），按 2 个字符切分，中文和英文都能搜索；
+--       分词长度由服务器参数 ngram_token_size 控制（默认 2），修改后需要重建索引。
+--       大表建索引需要一些时间，建议在低峰期执行
+-- 执行时间：2025-12-10
+
+USE npc_db;
+
+-- 添加全文索引
+ALTER TABLE events
+ADD FULLTEXT INDEX ft_events_content (content) WITH PARSER ngram;
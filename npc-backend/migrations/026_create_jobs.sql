@@ -0,0 +1,33 @@
+-- ============================================
+-- 数据库迁移：创建后台任务表
+-- ============================================
+-- 说明：保存需要在后台执行的任务（目前是 Agent 回复生成），替代进程内的异步调用。
+--       后端重启（蓝绿部署切换）不会丢失任务：租约过期的运行中任务会被重新放回队列；
+--       两个后端实例通过原子 UPDATE 领取任务，同一个任务同一时间只会被一个实例执行。
+--       状态：queued（等待执行）/ running（执行中）/ succeeded（成功）/ failed（失败，不再重试）
+-- 执行时间：2025-12-10
+
+USE npc_db;
+
+CREATE TABLE IF NOT EXISTS jobs (
+  id VARCHAR(100) PRIMARY KEY COMMENT '任务 ID',
+  type VARCHAR(50) NOT NULL COMMENT '任务类型（llm_reply：生成 Agent 回复）',
+  payload TEXT NOT NULL COMMENT '任务参数（JSON）',
+  user_id VARCHAR(100) NULL DEFAULT NULL COMMENT '发起任务的用户 ID',
+  session_id VARCHAR(200) NULL DEFAULT NULL COMMENT '关联的会话 ID',
+  status VARCHAR(20) NOT NULL DEFAULT 'queued' COMMENT '状态：queued / running / succeeded / failed',
+  attempts INT NOT NULL DEFAULT 0 COMMENT '已开始执行的次数',
+  max_attempts INT NOT NULL DEFAULT 3 COMMENT '最多执行次数',
+  run_at BIGINT NOT NULL COMMENT '最早执行时间戳（毫秒，重试时按退避时间推后）',
+  locked_by VARCHAR(200) NULL DEFAULT NULL COMMENT '领取标识（实例 ID + 领取序号，执行中才有值）',
+  lease_until BIGINT NULL DEFAULT NULL COMMENT '租约到期时间戳（毫秒，执行期间定时续期）',
+  last_error TEXT NULL DEFAULT NULL COMMENT '最近一次失败的原因',
+  created_at BIGINT NOT NULL COMMENT '创建时间戳（毫秒）',
+  updated_at BIGINT NOT NULL COMMENT '更新时间戳（毫秒）',
+  finished_at BIGINT NULL DEFAULT NULL COMMENT '结束时间戳（毫秒，成功或最终失败时）',
+  INDEX idx_jobs_status_run_at (status, run_at),
+  INDEX idx_jobs_status_lease (status, lease_until),
+  INDEX idx_jobs_locked_by (locked_by),
+  INDEX idx_jobs_user (user_id, created_at),
+  INDEX idx_jobs_finished_at (finished_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='后台任务表';
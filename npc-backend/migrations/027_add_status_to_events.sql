@@ -0,0 +1,35 @@
+-- ============================================
+-- 数据库迁移：为 events 表添加回复状态
+-- ============================================
+-- 说明：Agent 回复有明确的状态：
+--       pending（后台任务生成中，content 为空）/ complete（正常回复）/ failed（生成失败，content 为错误说明）。
+--       失败的回复不再作为普通消息进入 LLM 上下文、长期记忆和搜索，用户可以在原位置重试；
+--       error_code 保存失败时的错误码（LLM_API_TIMEOUT、LLM_API_ERROR 等）。
+--       已有的错误消息（旧版本以普通 Agent 回复保存）按内容前缀回填为 failed
+-- 执行时间：2025-12-10
+
+USE npc_db;
+
+-- 添加 status 和 error_code 字段（用户消息始终为 complete）
+ALTER TABLE events
+ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'complete' COMMENT '回复状态：pending / complete / failed' AFTER content,
+ADD COLUMN error_code VARCHAR(50) NULL DEFAULT NULL COMMENT '生成失败时的错误码（仅 failed）' AFTER status;
+
+-- 回填旧的错误消息（错误消息没有记录模型）
+UPDATE events
+SET status = 'failed', error_code = 'UNKNOWN_ERROR'
+WHERE from_type = 'agent'
+  AND model IS NULL
+  AND (
+    content LIKE '抱歉，AI 回复生成失败%'
+    OR content LIKE 'AI 回复生成失败：%'
+    OR content LIKE 'AI 服务配置错误：%'
+    OR content LIKE 'AI 服务认证失败：%'
+    OR content LIKE 'AI 服务权限不足：%'
+    OR content LIKE 'AI 服务请求过于频繁%'
+    OR content LIKE 'AI 服务调用失败：%'
+    OR content LIKE 'AI 服务响应超时%'
+    OR content LIKE 'AI 服务提供商未启用：%'
+    OR content LIKE '你保存的 API Key 无效%'
+    OR content LIKE '%（管理员已关闭共享 API Key）。'
+  );
@@ -0,0 +1,29 @@
+-- ============================================
+-- 数据库迁移：发送消息的幂等键和会话内回复顺序
+-- ============================================
+-- 说明：idempotency_keys 保存带 Idempotency-Key 请求头的发送请求及其响应：
+--       客户端在网络中断后用同一个键重试时直接返回第一次的响应，不会重复创建用户消息和回复任务。
+--       同一用户的同一个键只能用于同一个请求（request_hash 不同时拒绝），24 小时后过期；
+--       status：processing（第一次请求处理中）/ completed（已保存响应）。
+--       jobs 新增 (session_id, status) 索引：Worker 领取回复任务时按会话检查
+--       是否有执行中或更早的任务，保证同一会话的回复按发送顺序逐个生成
+-- 执行时间：2025-12-10
+
+USE npc_db;
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  user_id VARCHAR(100) NOT NULL COMMENT '用户 ID',
+  idempotency_key VARCHAR(255) NOT NULL COMMENT '客户端提供的幂等键（Idempotency-Key 请求头）',
+  route VARCHAR(200) NOT NULL COMMENT '请求的接口（方法 + 路径）',
+  request_hash CHAR(64) NOT NULL COMMENT '请求接口和请求体的 SHA-256',
+  status VARCHAR(20) NOT NULL DEFAULT 'processing' COMMENT '状态：processing / completed',
+  response_status INT NULL DEFAULT NULL COMMENT '第一次请求的 HTTP 状态码',
+  response_body MEDIUMTEXT NULL DEFAULT NULL COMMENT '第一次请求的响应体（JSON）',
+  created_at BIGINT NOT NULL COMMENT '开始处理的时间戳（毫秒）',
+  expires_at BIGINT NOT NULL COMMENT '过期时间戳（毫秒），过期后同一个键可以重新使用',
+  PRIMARY KEY (user_id, idempotency_key),
+  INDEX idx_idempotency_keys_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='请求幂等键表';
+
+ALTER TABLE jobs
+ADD INDEX idx_jobs_session_status (session_id, status);
@@ -0,0 +1,21 @@
+-- ============================================
+-- 数据库迁移：实时推送事件中转表
+-- ============================================
+-- 说明：realtime_events 在后端实例之间中转实时推送事件（新消息、回复生成中、NPC 修改和删除等）。
+--       蓝绿部署时两个实例可能同时运行，回复任务可能由用户没有连接的那个实例执行：
+--       每个实例把发布的事件写入这张表，并轮询其他实例（origin 不同）写入的事件，
+--       推送给连接在本实例上的用户。事件只用于中转，保留 10 分钟后清理
+-- 执行时间：2025-12-10
+
+USE npc_db;
+
+CREATE TABLE IF NOT EXISTS realtime_events (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT COMMENT '自增 ID（实例按 ID 顺序读取）',
+  user_id VARCHAR(100) NOT NULL COMMENT '接收事件的用户 ID',
+  type VARCHAR(50) NOT NULL COMMENT '事件类型：event.created / event.updated / session.updated / reply.typing / agent.*',
+  payload MEDIUMTEXT NOT NULL COMMENT '事件数据（JSON）',
+  origin VARCHAR(255) NOT NULL COMMENT '发布事件的实例标识（主机名 + 进程 ID）',
+  created_at BIGINT NOT NULL COMMENT '发布时间戳（毫秒）',
+  PRIMARY KEY (id),
+  INDEX idx_realtime_events_created_at (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='实时推送事件中转表';
@@ -0,0 +1,40 @@
+-- ============================================
+-- 数据库迁移：未读计数和通知中心
+-- ============================================
+-- 说明：sessions 新增已读游标 (last_read_at, last_read_event_id)，按 (timestamp, id) 记录用户在该会话中
+--       读到的位置，之后生成完成的 Agent 回复计为未读；last_read_event_id 为空表示 last_read_at
+--       这一毫秒及之前的事件都已读。已有会话回填为最后活动时间，升级后不会出现大量旧消息未读。
+--       users 新增 notifications_read_at：通知中心里公告和版本更新日志的已读时间，
+--       为空时以注册时间为准；已有用户回填为当前时间。
+--       announcements 保存管理员发布的公告。
+-- 执行时间：2025-12-10
+
+USE npc_db;
+
+-- 会话已读游标
+ALTER TABLE sessions
+ADD COLUMN last_read_at BIGINT NULL DEFAULT NULL COMMENT '已读游标：最后已读事件的时间戳（毫秒）' AFTER last_active_at,
+ADD COLUMN last_read_event_id VARCHAR(255) NULL DEFAULT NULL COMMENT '已读游标：最后已读事件 ID（为空表示 last_read_at 这一毫秒都已读）' AFTER last_read_at;
+
+UPDATE sessions SET last_read_at = last_active_at WHERE last_read_at IS NULL;
+
+-- 统计未读回复时按用户读取 Agent 回复
+CREATE INDEX idx_events_user_from_timestamp ON events(user_id, from_type, timestamp);
+
+-- 公告和版本更新日志的已读时间
+ALTER TABLE users
+ADD COLUMN notifications_read_at BIGINT NULL DEFAULT NULL COMMENT '通知中心已读时间（公告、版本更新日志），为空时以注册时间为准' AFTER last_read_version;
+
+UPDATE users SET notifications_read_at = UNIX_TIMESTAMP() * 1000 WHERE notifications_read_at IS NULL;
+
+-- 公告表
+CREATE TABLE IF NOT EXISTS announcements (
+  id VARCHAR(100) PRIMARY KEY COMMENT '公告 ID',
+  title VARCHAR(200) NOT NULL COMMENT '标题',
+  content TEXT COMMENT '内容（Markdown 格式）',
+  is_active TINYINT(1) NOT NULL DEFAULT 1 COMMENT '是否发布（1=发布，0=下线）',
+  created_by VARCHAR(100) NULL DEFAULT NULL COMMENT '发布人（管理员用户 ID）',
+  created_at BIGINT NOT NULL COMMENT '创建时间戳（毫秒）',
+  updated_at BIGINT NOT NULL COMMENT '更新时间戳（毫秒）',
+  INDEX idx_announcements_active_created (is_active, created_at) COMMENT '按发布状态和时间列出公告'
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='公告表';
@@ -59,6 +59,70 @@ function generateId() {
   return `agent_${timestamp}_${random}`;
 }
 
+/**
+ * 序列化生成参数
+ *
+ * @param {Object|null} [params] - 生成参数
+ * @returns {string|null} JSON 字符串，没有参数时为 null
+ */
+function serializeGenerationParams(params) {
+  if (!params || Object.keys(params).length === 0) {
+    return null;
+  }
+  return JSON.stringify(params);
+}
+
+/**
+ * 解析生成参数
+ *
+ * 【功能说明】
+ * generation_params 以 JSON 字符串保存，格式错误或为空时返回 null
+ *
+ * @param {string|null} value - 数据库中的 generation_params 字段
+ * @returns {Object|null} { temperature, maxTokens, topP, stop, frequencyPenalty, presencePenalty } 或 null
+ */
+function parseGenerationParams(value) {
+  if (!value) {
+    return null;
+  }
+  try {
+    return typeof value === "string" ? JSON.parse(value) : value;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 序列化备用模型列表
+ *
+ * @param {Array<Object>|null} [fallbackModels] - 备用模型列表
+ * @returns {string|null} JSON 字符串，没有备用模型时为 null
+ */
+function serializeFallbackModels(fallbackModels) {
+  if (!Array.isArray(fallbackModels) || fallbackModels.length === 0) {
+    return null;
+  }
+  return JSON.stringify(fallbackModels);
+}
+
+/**
+ * 解析备用模型列表
+ *
+ * @param {string|null} value - 数据库中的 fallback_models 字段
+ * @returns {Array<Object>} [{ model, provider }]，为空或格式错误时返回空数组
+ */
+function parseFallbackModels(value) {
+  if (!value) {
+    return [];
+  }
+  try {
+    const parsed = typeof value === "string" ? JSON.parse(value) : value;
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
 /**
  * 创建 Agent
  *
@@ -80,6 +144,8 @@ function generateId() {
  * @param {string} [agentData.provider] - LLM 提供商（可选，预设模型会自动推断）
  * @param {string} agentData.systemPrompt - 人设描述
  * @param {string} [agentData.avatarUrl] - 头像 URL（可选）
+ * @param {Object} [agentData.generationParams] - 生成参数（可选，以 JSON 保存）
+ * @param {Array<Object>} [agentData.fallbackModels] - 备用模型列表（可选，以 JSON 保存）
  * @returns {Promise<Object>} 创建的 Agent 对象
  *
  * 【错误处理】
@@ -92,8 +158,8 @@ async function create(agentData) {
 
   const sql = `
     INSERT INTO agents (
-      id, user_id, name, type, model, provider, system_prompt, avatar_url, created_at, updated_at
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      id, user_id, name, type, model, provider, fallback_models, system_prompt, generation_params, avatar_url, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `;
 
   await query(sql, [
@@ -103,7 +169,9 @@ async function create(agentData) {
     agentData.type,
     agentData.model,
     agentData.provider || null,
+    serializeFallbackModels(agentData.fallbackModels),
     agentData.systemPrompt,
+    serializeGenerationParams(agentData.generationParams),
     agentData.avatarUrl || null,
     now,
     now,
@@ -116,7 +184,9 @@ async function create(agentData) {
     type: agentData.type,
     model: agentData.model,
     provider: agentData.provider || null,
+    fallbackModels: agentData.fallbackModels || [],
     systemPrompt: agentData.systemPrompt,
+    generationParams: agentData.generationParams || null,
     avatarUrl: agentData.avatarUrl || null,
     createdAt: now,
     updatedAt: now,
@@ -153,7 +223,9 @@ async function findById(agentId) {
     type: agent.type,
     model: agent.model,
     provider: agent.provider || null, // 从数据库读取 provider
+    fallbackModels: parseFallbackModels(agent.fallback_models),
     systemPrompt: agent.system_prompt,
+    generationParams: parseGenerationParams(agent.generation_params),
     avatarUrl: agent.avatar_url,
     createdAt: agent.created_at,
     updatedAt: agent.updated_at,
@@ -226,7 +298,9 @@ async function findByUserId(userId) {
     type: agent.type,
     model: agent.model,
     provider: agent.provider || null, // 从数据库读取 provider
+    fallbackModels: parseFallbackModels(agent.fallback_models),
     systemPrompt: agent.system_prompt,
+    generationParams: parseGenerationParams(agent.generation_params),
     avatarUrl: agent.avatar_url,
     createdAt: agent.created_at,
     updatedAt: agent.updated_at,
@@ -309,7 +383,7 @@ async function getExistingAgentIdByName(userId, name) {
  * @returns {Promise<Object>} 更新后的 Agent 对象
  */
 async function update(agentId, updateData) {
-  const allowedFields = ['name', 'type', 'model', 'provider', 'system_prompt', 'avatar_url', 'deleted', 'deleted_at'];
+  const allowedFields = ['name', 'type', 'model', 'provider', 'fallback_models', 'system_prompt', 'generation_params', 'avatar_url', 'deleted', 'deleted_at'];
   const fields = [];
   const values = [];
 
@@ -318,12 +392,16 @@ async function update(agentId, updateData) {
     // 将驼峰命名转换为下划线命名
     let dbKey = key;
     if (key === 'systemPrompt') dbKey = 'system_prompt';
+    else if (key === 'generationParams') dbKey = 'generation_params';
+    else if (key === 'fallbackModels') dbKey = 'fallback_models';
     else if (key === 'avatarUrl') dbKey = 'avatar_url';
     else if (key === 'deletedAt') dbKey = 'deleted_at';
     
     if (allowedFields.includes(dbKey)) {
       fields.push(`${dbKey} = ?`);
-      values.push(value);
+      if (dbKey === 'generation_params') values.push(serializeGenerationParams(value));
+      else if (dbKey === 'fallback_models') values.push(serializeFallbackModels(value));
+      else values.push(value);
     }
   }
 
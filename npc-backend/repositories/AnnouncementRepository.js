@@ -0,0 +1,182 @@
+/**
+ * ============================================
+ * 公告数据访问层 (AnnouncementRepository.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 管理管理员公告（announcements 表）的 MySQL 数据库访问操作
+ *
+ * 【主要功能】
+ * 1. 创建、修改、删除公告
+ * 2. 按 ID 查询公告
+ * 3. 查询公告列表（管理后台包含已下线的公告，通知中心只查询已发布的）
+ *
+ * 【依赖】
+ * - config/database.js: 数据库连接和查询方法
+ *
+ * 【被谁使用】
+ * - services/AnnouncementService.js: 管理后台的公告管理
+ * - services/NotificationService.js: 通知中心
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+const { query } = require("../config/database");
+
+/**
+ * 生成公告 ID
+ * 格式：announcement_时间戳_随机字符串
+ */
+function generateId() {
+  const timestamp = Date.now();
+  const random = Math.random().toString(36).substring(2, 8);
+  return `announcement_${timestamp}_${random}`;
+}
+
+/**
+ * 把数据库行映射为公告对象
+ *
+ * @param {Object} row - 数据库行
+ * @returns {Object} 公告对象
+ */
+function mapAnnouncement(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    content: row.content || "",
+    isActive: row.is_active === 1 || row.is_active === true,
+    createdBy: row.created_by || null,
+    createdAt: Number(row.created_at),
+    updatedAt: Number(row.updated_at),
+  };
+}
+
+/**
+ * 创建公告
+ *
+ * @param {Object} data - 公告数据
+ * @param {string} data.title - 标题
+ * @param {string} [data.content] - 内容（Markdown）
+ * @param {boolean} [data.isActive=true] - 是否发布
+ * @param {string|null} [data.createdBy] - 发布人 ID
+ * @returns {Promise<Object>} 创建的公告对象
+ */
+async function create(data) {
+  const now = Date.now();
+  const announcement = {
+    id: generateId(),
+    title: data.title,
+    content: data.content || "",
+    isActive: data.isActive !== false,
+    createdBy: data.createdBy || null,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const sql = `
+    INSERT INTO announcements (id, title, content, is_active, created_by, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `;
+  await query(sql, [
+    announcement.id,
+    announcement.title,
+    announcement.content,
+    announcement.isActive ? 1 : 0,
+    announcement.createdBy,
+    now,
+    now,
+  ]);
+
+  return announcement;
+}
+
+/**
+ * 按 ID 查询公告
+ *
+ * @param {string} id - 公告 ID
+ * @returns {Promise<Object|null>} 公告对象，不存在则返回 null
+ */
+async function findById(id) {
+  const sql = `SELECT * FROM announcements WHERE id = ?`;
+  const results = await query(sql, [id]);
+
+  return results.length > 0 ? mapAnnouncement(results[0]) : null;
+}
+
+/**
+ * 查询公告列表（按创建时间倒序）
+ *
+ * @param {Object} [options] - 查询选项
+ * @param {boolean} [options.activeOnly=false] - 只查询已发布的公告
+ * @param {number} [options.limit=50] - 最多返回的数量
+ * @returns {Promise<Array<Object>>} 公告对象数组
+ */
+async function findAll(options = {}) {
+  const { activeOnly = false, limit = 50 } = options;
+  // LIMIT 直接拼接（同 EventRepository.getRecentEvents）
+  const safeLimit = parseInt(limit, 10) || 50;
+  const sql = `
+    SELECT * FROM announcements
+    ${activeOnly ? "WHERE is_active = 1" : ""}
+    ORDER BY created_at DESC
+    LIMIT ${safeLimit}
+  `;
+  const results = await query(sql);
+
+  return results.map(mapAnnouncement);
+}
+
+/**
+ * 修改公告
+ *
+ * @param {string} id - 公告 ID
+ * @param {Object} fields - 要修改的字段（title / content / isActive，未提供的字段保持不变）
+ * @returns {Promise<Object|null>} 修改后的公告对象，不存在则返回 null
+ */
+async function update(id, fields) {
+  const sets = [];
+  const params = [];
+  if (fields.title !== undefined) {
+    sets.push("title = ?");
+    params.push(fields.title);
+  }
+  if (fields.content !== undefined) {
+    sets.push("content = ?");
+    params.push(fields.content);
+  }
+  if (fields.isActive !== undefined) {
+    sets.push("is_active = ?");
+    params.push(fields.isActive ? 1 : 0);
+  }
+  sets.push("updated_at = ?");
+  params.push(Date.now(), id);
+
+  const sql = `UPDATE announcements SET ${sets.join(", ")} WHERE id = ?`;
+  const result = await query(sql, params);
+  if (result.affectedRows === 0) {
+    return null;
+  }
+
+  return findById(id);
+}
+
+/**
+ * 删除公告
+ *
+ * @param {string} id - 公告 ID
+ * @returns {Promise<boolean>} 是否删除成功（不存在时返回 false）
+ */
+async function remove(id) {
+  const sql = `DELETE FROM announcements WHERE id = ?`;
+  const result = await query(sql, [id]);
+  return result.affectedRows > 0;
+}
+
+module.exports = {
+  create,
+  findById,
+  findAll,
+  update,
+  remove,
+};
@@ -10,6 +10,12 @@
  * 1. 提供 Event 的创建和查询操作
  * 2. 查询会话的所有事件（按时间升序）
  * 3. 查询会话的最近 N 条事件
+ * 4. 标记被替代的事件（重新生成/编辑后，旧事件不再出现在历史和上下文中）
+ * 5. 对话分支：记录父事件（parent_id），查询兄弟分支和同一时刻被替代的事件，恢复被替代的分支
+ * 6. 全文搜索：跨会话搜索用户的消息内容（FULLTEXT ngram 索引）
+ * 7. 游标分页：按 (timestamp, id) 向前翻页查询历史、查询某条事件之后的新事件
+ * 8. 连续发送：把还没开始生成的占位回复移到新的用户消息之后
+ * 9. 未读回复：按会话的已读游标（sessions.last_read_at / last_read_event_id）统计和查询未读的 Agent 回复
  *
  * 【工作流程】
  * 创建 Event → 插入数据库 → 返回结果
@@ -24,6 +30,8 @@
  *
  * 【被谁使用】
  * - services/EventService.js: 调用数据访问方法
+ * - services/NotificationService.js: 未读回复
+ * - services/SessionService.js: 标记已读时查询生成中的回复
  *
  * 【重要说明】
  * - 使用 MySQL 数据库存储
@@ -72,6 +80,7 @@ function generateEventId() {
  * 【参数说明】
  * @param {Object} eventData - Event 数据
  * @param {string} eventData.sessionId - 会话 ID
+ * @param {string|null} [eventData.parentId] - 父事件 ID（对话树中的上一条事件）
  * @param {string} eventData.userId - 用户 ID
  * @param {string} eventData.agentId - Agent ID
  * @param {string} eventData.fromType - 发送者类型（user/agent）
@@ -79,21 +88,28 @@ function generateEventId() {
  * @param {string} eventData.toType - 接收者类型（user/agent）
  * @param {string} eventData.toId - 接收者 ID
  * @param {string} eventData.content - 消息内容
+ * @param {Object|null} [eventData.contextWindow] - 生成回复时的上下文窗口（以 JSON 保存，调试用）
+ * @param {string|null} [eventData.model] - 生成回复实际使用的模型（可能是备用模型）
+ * @param {string|null} [eventData.provider] - 生成回复实际使用的提供商
+ * @param {string} [eventData.status="complete"] - 回复状态：pending / complete / failed / stopped
+ * @param {string|null} [eventData.errorCode] - 生成失败时的错误码（仅 failed）
+ * @param {number} [eventData.timestamp] - 事件时间戳（不传则取当前时间）
  * @returns {Promise<Object>} 创建的 Event 对象
  */
 async function createEvent(eventData) {
   const eventId = generateEventId();
-  const now = Date.now();
+  const now = eventData.timestamp || Date.now();
 
   const sql = `
     INSERT INTO events (
-      id, session_id, user_id, agent_id, from_type, from_id, to_type, to_id, content, timestamp
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      id, session_id, parent_id, user_id, agent_id, from_type, from_id, to_type, to_id, content, status, error_code, model, provider, context_window, timestamp
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `;
 
   await query(sql, [
     eventId,
     eventData.sessionId,
+    eventData.parentId || null,
     eventData.userId,
     eventData.agentId,
     eventData.fromType,
@@ -101,12 +117,18 @@ async function createEvent(eventData) {
     eventData.toType,
     eventData.toId,
     eventData.content,
+    eventData.status || "complete",
+    eventData.errorCode || null,
+    eventData.model || null,
+    eventData.provider || null,
+    eventData.contextWindow ? JSON.stringify(eventData.contextWindow) : null,
     now,
   ]);
 
   return {
     id: eventId,
     sessionId: eventData.sessionId,
+    parentId: eventData.parentId || null,
     userId: eventData.userId,
     agentId: eventData.agentId,
     fromType: eventData.fromType,
@@ -114,7 +136,12 @@ async function createEvent(eventData) {
     toType: eventData.toType,
     toId: eventData.toId,
     content: eventData.content,
+    model: eventData.model || null,
+    provider: eventData.provider || null,
+    status: eventData.status || "complete",
+    errorCode: eventData.errorCode || null,
     timestamp: now,
+    supersededAt: null,
   };
 }
 
@@ -122,7 +149,7 @@ async function createEvent(eventData) {
  * 获取会话的所有事件
  *
  * 【功能说明】
- * 获取指定会话的所有事件，按时间升序排列
+ * 获取指定会话的所有有效事件（不含已被替代的事件），按时间升序排列
  *
  * 【工作流程】
  * 1. 执行 SQL 查询（使用 session_id 索引）
@@ -136,7 +163,7 @@ async function createEvent(eventData) {
 async function getEventsBySession(sessionId) {
   const sql = `
     SELECT * FROM events 
-    WHERE session_id = ? 
+    WHERE session_id = ? AND superseded_at IS NULL
     ORDER BY timestamp ASC
   `;
   const results = await query(sql, [sessionId]);
@@ -144,6 +171,7 @@ async function getEventsBySession(sessionId) {
   return results.map((event) => ({
     id: event.id,
     sessionId: event.session_id,
+    parentId: event.parent_id || null,
     userId: event.user_id,
     agentId: event.agent_id,
     fromType: event.from_type,
@@ -151,7 +179,12 @@ async function getEventsBySession(sessionId) {
     toType: event.to_type,
     toId: event.to_id,
     content: event.content,
+    model: event.model || null,
+    provider: event.provider || null,
+    status: event.status || "complete",
+    errorCode: event.error_code || null,
     timestamp: event.timestamp,
+    supersededAt: event.superseded_at || null,
   }));
 }
 
@@ -159,7 +192,7 @@ async function getEventsBySession(sessionId) {
  * 获取会话的最近 N 条事件（用于构建上下文）
  *
  * 【功能说明】
- * 获取指定会话的最近 N 条事件，按时间升序排列（用于构建 LLM 上下文）
+ * 获取指定会话的最近 N 条有效事件（不含已被替代的事件），按时间升序排列（用于构建 LLM 上下文）
  *
  * 【工作流程】
  * 1. 执行 SQL 查询（使用 session_id 索引）
@@ -177,7 +210,7 @@ async function getRecentEvents(sessionId, limit = 20) {
   const safeLimit = parseInt(limit, 10) || 20;
   const sql = `
     SELECT * FROM events 
-    WHERE session_id = ? 
+    WHERE session_id = ? AND superseded_at IS NULL
     ORDER BY timestamp DESC 
     LIMIT ${safeLimit}
   `;
@@ -189,6 +222,7 @@ async function getRecentEvents(sessionId, limit = 20) {
     .map((event) => ({
       id: event.id,
       sessionId: event.session_id,
+      parentId: event.parent_id || null,
       userId: event.user_id,
       agentId: event.agent_id,
       fromType: event.from_type,
@@ -196,7 +230,12 @@ async function getRecentEvents(sessionId, limit = 20) {
       toType: event.to_type,
       toId: event.to_id,
       content: event.content,
+      model: event.model || null,
+      provider: event.provider || null,
+      status: event.status || "complete",
+      errorCode: event.error_code || null,
       timestamp: event.timestamp,
+      supersededAt: event.superseded_at || null,
     }));
 }
 
@@ -204,7 +243,7 @@ async function getRecentEvents(sessionId, limit = 20) {
  * 通过 ID 查询事件
  *
  * 【功能说明】
- * 根据 eventId 从数据库查询 Event
+ * 根据 eventId 从数据库查询 Event（包含生成回复时记录的上下文窗口，便于排查上下文问题）
  *
  * 【参数说明】
  * @param {string} eventId - Event ID
@@ -222,6 +261,7 @@ async function findEventById(eventId) {
   return {
     id: event.id,
     sessionId: event.session_id,
+    parentId: event.parent_id || null,
     userId: event.user_id,
     agentId: event.agent_id,
     fromType: event.from_type,
@@ -229,10 +269,491 @@ async function findEventById(eventId) {
     toType: event.to_type,
     toId: event.to_id,
     content: event.content,
+    model: event.model || null,
+    provider: event.provider || null,
+    status: event.status || "complete",
+    errorCode: event.error_code || null,
     timestamp: event.timestamp,
+    supersededAt: event.superseded_at || null,
+    contextWindow: parseContextWindow(event.context_window),
+  };
+}
+
+/**
+ * 解析事件记录的上下文窗口
+ *
+ * 【功能说明】
+ * context_window 以 JSON 字符串保存，格式错误或为空时返回 null
+ *
+ * @param {string|null} value - 数据库中的 context_window 字段
+ * @returns {Object|null} { model, eventIds, tokenEstimate, budget } 或 null
+ */
+function parseContextWindow(value) {
+  if (!value) {
+    return null;
+  }
+  try {
+    return typeof value === "string" ? JSON.parse(value) : value;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 标记会话中某条事件之后的事件为已被替代
+ *
+ * 【功能说明】
+ * 重新生成回复或编辑用户消息时，旧的时间线从该点截断：
+ * 不物理删除，只设置 superseded_at，之后的查询都会排除这些事件
+ *
+ * 【游标】
+ * 起点为 { timestamp, id }，按 (timestamp, id) 比较：
+ * 同一毫秒内排在起点之前的事件不受影响，排在之后的事件也不会漏掉
+ *
+ * 【参数说明】
+ * @param {string} sessionId - 会话 ID
+ * @param {Object} from - 起点事件 { timestamp, id }
+ * @param {Object} [options] - 选项
+ * @param {boolean} [options.inclusive=true] - 是否同时替代起点事件本身
+ * @returns {Promise<number>} 被标记的事件数量
+ */
+async function supersedeEventsFrom(sessionId, from, options = {}) {
+  const idOperator = options.inclusive === false ? ">" : ">=";
+  const sql = `
+    UPDATE events 
+    SET superseded_at = ? 
+    WHERE session_id = ? AND superseded_at IS NULL
+      AND (timestamp > ? OR (timestamp = ? AND id ${idOperator} ?))
+  `;
+  const result = await query(sql, [Date.now(), sessionId, from.timestamp, from.timestamp, from.id]);
+  return result.affectedRows || 0;
+}
+
+/**
+ * 把数据库行转换为 Event 对象
+ *
+ * @param {Object} event - events 表的一行
+ * @returns {Object} Event 对象
+ */
+function mapEvent(event) {
+  return {
+    id: event.id,
+    sessionId: event.session_id,
+    parentId: event.parent_id || null,
+    userId: event.user_id,
+    agentId: event.agent_id,
+    fromType: event.from_type,
+    fromId: event.from_id,
+    toType: event.to_type,
+    toId: event.to_id,
+    content: event.content,
+    model: event.model || null,
+    provider: event.provider || null,
+    status: event.status || "complete",
+    errorCode: event.error_code || null,
+    timestamp: event.timestamp,
+    supersededAt: event.superseded_at || null,
+  };
+}
+
+/**
+ * 分页获取会话的有效事件（向前翻页）
+ *
+ * 【功能说明】
+ * 获取指定会话中游标之前（更早）的最多 limit 条有效事件，按时间升序返回；
+ * 不传游标时返回最新的一页
+ *
+ * 【游标】
+ * 游标为 { timestamp, id }，按 (timestamp, id) 排序，同一毫秒的事件用 id 区分，翻页不会重复或遗漏。
+ * 查询走 idx_events_session_superseded_timestamp 索引（InnoDB 二级索引末尾隐含主键 id）
+ *
+ * 【参数说明】
+ * @param {string} sessionId - 会话 ID
+ * @param {Object} [options] - 查询选项
+ * @param {Object|null} [options.before] - 游标 { timestamp, id }，只返回它之前的事件
+ * @param {number} [options.limit=50] - 每页数量
+ * @returns {Promise<Object>} { events, hasMore } - events 按时间升序，hasMore 表示更早的事件还有没有
+ */
+async function getEventsPage(sessionId, options = {}) {
+  const { before = null, limit = 50 } = options;
+  // LIMIT 直接拼接（同 getRecentEvents），多取一条判断是否还有更早的事件
+  const safeLimit = parseInt(limit, 10) || 50;
+  const params = [sessionId];
+  let cursorCondition = "";
+  if (before) {
+    cursorCondition = "AND (timestamp < ? OR (timestamp = ? AND id < ?))";
+    params.push(before.timestamp, before.timestamp, before.id);
+  }
+
+  const sql = `
+    SELECT * FROM events
+    WHERE session_id = ? AND superseded_at IS NULL ${cursorCondition}
+    ORDER BY timestamp DESC, id DESC
+    LIMIT ${safeLimit + 1}
+  `;
+  const results = await query(sql, params);
+
+  return {
+    events: results.slice(0, safeLimit).reverse().map(mapEvent),
+    hasMore: results.length > safeLimit,
+  };
+}
+
+/**
+ * 获取会话中某条事件之后的有效事件（用于轮询新消息）
+ *
+ * 【参数说明】
+ * @param {string} sessionId - 会话 ID
+ * @param {Object} after - 游标 { timestamp, id }，只返回它之后的事件
+ * @param {number} [limit=50] - 最多返回的数量
+ * @returns {Promise<Object>} { events, hasMore } - events 按时间升序，hasMore 表示之后还有没有更多
+ */
+async function getEventsAfter(sessionId, after, limit = 50) {
+  const safeLimit = parseInt(limit, 10) || 50;
+  const sql = `
+    SELECT * FROM events
+    WHERE session_id = ? AND superseded_at IS NULL
+      AND (timestamp > ? OR (timestamp = ? AND id > ?))
+    ORDER BY timestamp ASC, id ASC
+    LIMIT ${safeLimit + 1}
+  `;
+  const results = await query(sql, [sessionId, after.timestamp, after.timestamp, after.id]);
+
+  return {
+    events: results.slice(0, safeLimit).map(mapEvent),
+    hasMore: results.length > safeLimit,
   };
 }
 
+/**
+ * 获取指定父事件的所有子事件（包括已被替代的分支）
+ *
+ * 【功能说明】
+ * 分页查询历史时，只查询当前页事件的兄弟分支，不需要加载整个对话树
+ *
+ * 【参数说明】
+ * @param {string} sessionId - 会话 ID
+ * @param {Array<string>} parentIds - 父事件 ID 列表
+ * @param {boolean} [includeRoots=false] - 是否包含没有父事件的事件（会话的第一条消息）
+ * @returns {Promise<Array<Object>>} Event 对象数组（只有 id、sessionId、parentId、fromType、timestamp、supersededAt），按时间升序
+ */
+async function getEventsByParentIds(sessionId, parentIds, includeRoots = false) {
+  const conditions = [];
+  if (parentIds.length > 0) {
+    conditions.push(`parent_id IN (${parentIds.map(() => "?").join(", ")})`);
+  }
+  if (includeRoots) {
+    conditions.push("parent_id IS NULL");
+  }
+  if (conditions.length === 0) {
+    return [];
+  }
+
+  const sql = `
+    SELECT id, session_id, parent_id, from_type, timestamp, superseded_at FROM events
+    WHERE session_id = ? AND (${conditions.join(" OR ")})
+    ORDER BY timestamp ASC, id ASC
+  `;
+  const results = await query(sql, [sessionId, ...parentIds]);
+
+  return results.map((event) => ({
+    id: event.id,
+    sessionId: event.session_id,
+    parentId: event.parent_id || null,
+    fromType: event.from_type,
+    timestamp: event.timestamp,
+    supersededAt: event.superseded_at || null,
+  }));
+}
+
+/**
+ * 获取会话中同一时刻被替代的事件
+ *
+ * 【功能说明】
+ * 切换分支时找出目标分支当初一起被替代的事件（它们的 superseded_at 相同），
+ * 查询走 idx_events_session_superseded_timestamp 索引，不需要加载整个对话树
+ *
+ * 【参数说明】
+ * @param {string} sessionId - 会话 ID
+ * @param {number} supersededAt - 被替代的时间戳
+ * @returns {Promise<Array<Object>>} Event 对象数组，按时间升序
+ */
+async function getEventsSupersededAt(sessionId, supersededAt) {
+  const sql = `
+    SELECT * FROM events
+    WHERE session_id = ? AND superseded_at = ?
+    ORDER BY timestamp ASC, id ASC
+  `;
+  const results = await query(sql, [sessionId, supersededAt]);
+
+  return results.map(mapEvent);
+}
+
+/**
+ * 获取会话的完整对话树
+ *
+ * 【功能说明】
+ * 获取指定会话的所有事件（包括已被替代的分支），按时间升序排列
+ * 用于计算兄弟分支和切换分支
+ *
+ * 【参数说明】
+ * @param {string} sessionId - 会话 ID
+ * @returns {Promise<Array<Object>>} Event 对象数组，按时间升序
+ */
+async function getEventTreeBySession(sessionId) {
+  const sql = `
+    SELECT * FROM events 
+    WHERE session_id = ? 
+    ORDER BY timestamp ASC
+  `;
+  const results = await query(sql, [sessionId]);
+
+  return results.map((event) => ({
+    id: event.id,
+    sessionId: event.session_id,
+    parentId: event.parent_id || null,
+    userId: event.user_id,
+    agentId: event.agent_id,
+    fromType: event.from_type,
+    fromId: event.from_id,
+    toType: event.to_type,
+    toId: event.to_id,
+    content: event.content,
+    model: event.model || null,
+    provider: event.provider || null,
+    status: event.status || "complete",
+    errorCode: event.error_code || null,
+    timestamp: event.timestamp,
+    supersededAt: event.superseded_at || null,
+  }));
+}
+
+/**
+ * 恢复被替代的事件
+ *
+ * 【功能说明】
+ * 切换分支时，把目标分支上的事件重新设为有效（清除 superseded_at）
+ *
+ * 【参数说明】
+ * @param {Array<string>} eventIds - Event ID 列表
+ * @returns {Promise<number>} 被恢复的事件数量
+ */
+async function restoreEvents(eventIds) {
+  if (!Array.isArray(eventIds) || eventIds.length === 0) {
+    return 0;
+  }
+
+  const placeholders = eventIds.map(() => "?").join(", ");
+  const sql = `
+    UPDATE events 
+    SET superseded_at = NULL 
+    WHERE id IN (${placeholders})
+  `;
+  const result = await query(sql, eventIds);
+  return result.affectedRows || 0;
+}
+
+/**
+ * 按 ID 批量获取会话中的事件
+ *
+ * 【功能说明】
+ * 轮询时获取生成中的回复的最新状态（回复完成后原地更新，时间位置不变，按游标查不到）
+ *
+ * 【参数说明】
+ * @param {string} sessionId - 会话 ID（不属于该会话的 ID 会被忽略）
+ * @param {Array<string>} eventIds - Event ID 列表
+ * @returns {Promise<Array<Object>>} Event 对象数组，按时间升序
+ */
+async function getEventsByIds(sessionId, eventIds) {
+  if (!Array.isArray(eventIds) || eventIds.length === 0) {
+    return [];
+  }
+
+  const placeholders = eventIds.map(() => "?").join(", ");
+  const sql = `
+    SELECT * FROM events
+    WHERE session_id = ? AND id IN (${placeholders})
+    ORDER BY timestamp ASC, id ASC
+  `;
+  const results = await query(sql, [sessionId, ...eventIds]);
+
+  return results.map(mapEvent);
+}
+
+/**
+ * 更新 Agent 回复的状态和内容
+ *
+ * 【功能说明】
+ * 后台任务生成回复时先创建 pending 的占位回复，生成结束后原地写入结果（complete / failed / stopped）；
+ * 用户重试失败的回复时再把它改回 pending。时间戳不变，回复留在原来的位置
+ *
+ * 【参数说明】
+ * @param {string} eventId - Event ID
+ * @param {Object} fields - 新的字段值（未传的字段清空）
+ * @param {string} fields.status - 回复状态：pending / complete / failed / stopped
+ * @param {string|null} [fields.errorCode] - 错误码（仅 failed）
+ * @param {string} [fields.content=""] - 回复内容（failed 时为错误说明，stopped 时为已生成的部分）
+ * @param {string|null} [fields.model] - 实际使用的模型
+ * @param {string|null} [fields.provider] - 实际使用的提供商
+ * @param {Object|null} [fields.contextWindow] - 上下文窗口
+ * @param {Object} [options] - 更新选项
+ * @param {string} [options.expectedStatus] - 只在当前状态为该值时更新（防止覆盖已经写入的结果）
+ * @returns {Promise<boolean>} 是否更新成功
+ */
+async function updateReplyEvent(eventId, fields, options = {}) {
+  const conditions = ["id = ?", "from_type = 'agent'"];
+  const params = [
+    fields.status,
+    fields.errorCode || null,
+    fields.content || "",
+    fields.model || null,
+    fields.provider || null,
+    fields.contextWindow ? JSON.stringify(fields.contextWindow) : null,
+    eventId,
+  ];
+  if (options.expectedStatus) {
+    conditions.push("status = ?");
+    params.push(options.expectedStatus);
+  }
+
+  const sql = `
+    UPDATE events
+    SET status = ?, error_code = ?, content = ?, model = ?, provider = ?, context_window = ?
+    WHERE ${conditions.join(" AND ")}
+  `;
+  const result = await query(sql, params);
+  return result.affectedRows > 0;
+}
+
+/**
+ * 移动 pending 的占位回复
+ *
+ * 【功能说明】
+ * 用户连续发送多条消息时，还没开始生成的占位回复改为接在最新的用户消息之后（修改父事件和时间戳），
+ * 由同一条回复回答这几条消息
+ *
+ * @param {string} eventId - 占位回复 Event ID
+ * @param {string} parentId - 新的父事件 ID
+ * @param {number} timestamp - 新的时间戳（毫秒）
+ * @returns {Promise<boolean>} 是否移动成功（false 表示回复已不是 pending 或已被替代）
+ */
+async function moveReplyEvent(eventId, parentId, timestamp) {
+  const sql = `
+    UPDATE events
+    SET parent_id = ?, timestamp = ?
+    WHERE id = ? AND from_type = 'agent' AND status = 'pending' AND superseded_at IS NULL
+  `;
+  const result = await query(sql, [parentId, timestamp, eventId]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * 未读 Agent 回复的查询条件（events 别名 e，sessions 别名 s，参数为 userId）
+ *
+ * 生成中（pending）的回复不算未读，生成完成后按它在时间线中的位置和已读游标比较；
+ * 已读游标的 last_read_event_id 为空表示 last_read_at 这一毫秒都已读
+ */
+const UNREAD_REPLY_CONDITIONS = `
+  e.user_id = ? AND e.from_type = 'agent' AND e.superseded_at IS NULL AND e.status <> 'pending'
+  AND s.deleted_at IS NULL
+  AND (
+    s.last_read_at IS NULL
+    OR e.timestamp > s.last_read_at
+    OR (e.timestamp = s.last_read_at AND s.last_read_event_id IS NOT NULL AND e.id > s.last_read_event_id)
+  )
+`;
+
+/**
+ * 按会话统计用户的未读 Agent 回复数
+ *
+ * @param {string} userId - 用户 ID
+ * @returns {Promise<Array<Object>>} [{ sessionId, agentId, count }]，没有未读回复的会话不返回
+ */
+async function countUnreadReplies(userId) {
+  const sql = `
+    SELECT e.session_id, e.agent_id, COUNT(*) AS count
+    FROM events e
+    JOIN sessions s ON s.id = e.session_id
+    WHERE ${UNREAD_REPLY_CONDITIONS}
+    GROUP BY e.session_id, e.agent_id
+  `;
+  const results = await query(sql, [userId]);
+
+  return results.map((row) => ({
+    sessionId: row.session_id,
+    agentId: row.agent_id,
+    count: Number(row.count),
+  }));
+}
+
+/**
+ * 查询用户最近的未读 Agent 回复
+ *
+ * @param {string} userId - 用户 ID
+ * @param {number} [limit=20] - 最多返回的数量
+ * @returns {Promise<Array<Object>>} Event 对象数组，按时间倒序
+ */
+async function getUnreadReplies(userId, limit = 20) {
+  // LIMIT 直接拼接（同 getRecentEvents）
+  const safeLimit = parseInt(limit, 10) || 20;
+  const sql = `
+    SELECT e.* FROM events e
+    JOIN sessions s ON s.id = e.session_id
+    WHERE ${UNREAD_REPLY_CONDITIONS}
+    ORDER BY e.timestamp DESC, e.id DESC
+    LIMIT ${safeLimit}
+  `;
+  const results = await query(sql, [userId]);
+
+  return results.map(mapEvent);
+}
+
+/**
+ * 统计用户生成中（pending）的 Agent 回复数
+ *
+ * 【功能说明】
+ * 排队和生成中的回复还没有写入 llm_usage，每日配额检查时需要一并计入，
+ * 否则连续发送的消息在第一条回复完成前都能通过检查
+ *
+ * @param {string} userId - 用户 ID
+ * @param {number} since - 只统计该时间戳（毫秒）之后创建的回复
+ * @returns {Promise<number>} 生成中的回复数
+ */
+async function countPendingReplies(userId, since) {
+  const sql = `
+    SELECT COUNT(*) AS count FROM events
+    WHERE user_id = ? AND from_type = 'agent' AND timestamp >= ?
+      AND status = 'pending' AND superseded_at IS NULL
+  `;
+  const results = await query(sql, [userId, since]);
+
+  return Number(results[0]?.count) || 0;
+}
+
+/**
+ * 查询会话中最早的生成中（pending）回复
+ *
+ * 【功能说明】
+ * 回复的时间戳是占位创建时的时间，生成完成后不会改变；
+ * 标记已读时已读游标不能越过生成中的回复，否则它生成完成后不会计为未读
+ *
+ * @param {string} sessionId - 会话 ID
+ * @returns {Promise<Object|null>} { id, timestamp }，没有生成中的回复时返回 null
+ */
+async function findFirstPendingReply(sessionId) {
+  const sql = `
+    SELECT id, timestamp FROM events
+    WHERE session_id = ? AND from_type = 'agent' AND status = 'pending' AND superseded_at IS NULL
+    ORDER BY timestamp ASC, id ASC
+    LIMIT 1
+  `;
+  const results = await query(sql, [sessionId]);
+
+  return results.length > 0
+    ? { id: results[0].id, timestamp: Number(results[0].timestamp) }
+    : null;
+}
+
 // ==================== 未来功能（已实现但未使用） ====================
 
 /**
@@ -284,6 +805,7 @@ async function getEventsBySessionWithOptions(sessionId, options = {}) {
  *
  * 【状态】
  * ⚠️ 未来功能：已实现但当前阶段不使用
+ * 跨会话的关键词搜索使用 searchEvents()（全文索引），不经过这里
  *
  * 【参数说明】
  * @param {Array<Object>} events - 事件列表
@@ -298,6 +820,104 @@ function filterEventsByTopic(events, topic) {
   });
 }
 
+/**
+ * 全文搜索用户的消息
+ *
+ * 【功能说明】
+ * 在用户参与的所有会话中搜索消息内容，返回匹配的事件及其 Agent 和会话信息
+ *
+ * 【搜索规则】
+ * - 使用 events.content 上的 FULLTEXT 索引（ngram 分词器，见 migrations/025）
+ * - booleanQuery 由服务层构建（BOOLEAN MODE 语法），这里不做转义
+ * - 不包含被替代的事件、已删除的会话和已删除的 Agent
+ * - 按时间倒序（最新的在前）
+ *
+ * 【参数说明】
+ * @param {string} userId - 用户 ID
+ * @param {string} booleanQuery - BOOLEAN MODE 查询语句
+ * @param {Object} [filters] - 筛选条件
+ * @param {string} [filters.agentId] - 只搜索该 Agent 的会话
+ * @param {string} [filters.fromType] - 只搜索该发送方的消息："user" 或 "agent"
+ * @param {number} [filters.startTime] - 开始时间戳（毫秒，含）
+ * @param {number} [filters.endTime] - 结束时间戳（毫秒，不含）
+ * @param {number} [filters.limit=20] - 返回数量
+ * @param {number} [filters.offset=0] - 偏移量
+ * @returns {Promise<Object>} { total, events }，events 额外包含 agentName、agentAvatarUrl、sessionTitle
+ */
+async function searchEvents(userId, booleanQuery, filters = {}) {
+  const { agentId, fromType, startTime, endTime, limit = 20, offset = 0 } = filters;
+
+  const conditions = [
+    "e.user_id = ?",
+    "e.superseded_at IS NULL",
+    "e.status IN ('complete', 'stopped')",
+    "MATCH(e.content) AGAINST(? IN BOOLEAN MODE)",
+    "(s.id IS NULL OR s.deleted_at IS NULL)",
+    "(a.deleted IS NULL OR a.deleted = FALSE)",
+  ];
+  const params = [userId, booleanQuery];
+
+  if (agentId) {
+    conditions.push("e.agent_id = ?");
+    params.push(agentId);
+  }
+  if (fromType) {
+    conditions.push("e.from_type = ?");
+    params.push(fromType);
+  }
+  if (startTime != null) {
+    conditions.push("e.timestamp >= ?");
+    params.push(startTime);
+  }
+  if (endTime != null) {
+    conditions.push("e.timestamp < ?");
+    params.push(endTime);
+  }
+
+  const from = `
+    FROM events e
+    LEFT JOIN sessions s ON s.id = e.session_id
+    LEFT JOIN agents a ON a.id = e.agent_id
+    WHERE ${conditions.join(" AND ")}
+  `;
+
+  // 注意：LIMIT / OFFSET 参数不能使用参数化查询，需要直接拼接（先转成整数并限制范围）
+  const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+  const safeOffset = Math.max(parseInt(offset, 10) || 0, 0);
+
+  const [countResults, results] = await Promise.all([
+    query(`SELECT COUNT(*) AS total ${from}`, params),
+    query(
+      `SELECT e.id, e.session_id, e.user_id, e.agent_id, e.from_type, e.from_id,
+              e.to_type, e.to_id, e.content, e.timestamp,
+              a.name AS agent_name, a.avatar_url AS agent_avatar_url, s.title AS session_title
+       ${from}
+       ORDER BY e.timestamp DESC, e.id DESC
+       LIMIT ${safeLimit} OFFSET ${safeOffset}`,
+      params
+    ),
+  ]);
+
+  return {
+    total: Number(countResults[0]?.total) || 0,
+    events: results.map((row) => ({
+      id: row.id,
+      sessionId: row.session_id,
+      userId: row.user_id,
+      agentId: row.agent_id,
+      fromType: row.from_type,
+      fromId: row.from_id,
+      toType: row.to_type,
+      toId: row.to_id,
+      content: row.content,
+      timestamp: Number(row.timestamp),
+      agentName: row.agent_name ?? null,
+      agentAvatarUrl: row.agent_avatar_url ?? null,
+      sessionTitle: row.session_title ?? null,
+    })),
+  };
+}
+
 /**
  * 清空所有数据（用于测试或重置）
  *
@@ -317,6 +937,21 @@ module.exports = {
   getEventsBySession,
   getRecentEvents,
   findEventById,
+  supersedeEventsFrom,
+  getEventTreeBySession,
+  restoreEvents,
+  getEventsByIds,
+  updateReplyEvent,
+  moveReplyEvent,
+  searchEvents,
+  getEventsPage,
+  getEventsAfter,
+  getEventsByParentIds,
+  getEventsSupersededAt,
+  countUnreadReplies,
+  getUnreadReplies,
+  countPendingReplies,
+  findFirstPendingReply,
 
   // 未来功能（已实现但未使用）
   getEventsBySessionWithOptions, // ⚠️ 未来功能：主题筛选
@@ -0,0 +1,180 @@
+/**
+ * ============================================
+ * 幂等键数据访问层 (IdempotencyRepository.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 管理请求幂等键（idempotency_keys 表）的 MySQL 数据库访问操作
+ *
+ * 【主要功能】
+ * 1. 占用幂等键（第一次请求开始处理）
+ * 2. 查询幂等键
+ * 3. 接管幂等键（已过期，或处理中的请求超时未完成）
+ * 4. 保存响应、释放幂等键
+ * 5. 清理已过期的幂等键
+ *
+ * 【说明】
+ * 占用用 INSERT IGNORE 完成，同一个键的并发请求只有一个能占用成功；
+ * 接管用带条件的 UPDATE 完成，同样只有一个请求能成功
+ *
+ * 【依赖】
+ * - config/database.js: 数据库连接和查询方法
+ *
+ * 【被谁使用】
+ * - middleware/idempotency.js: Idempotency-Key 请求头处理
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+const { query } = require("../config/database");
+
+/**
+ * 把数据库行映射为幂等键对象
+ *
+ * @param {Object} row - 数据库行
+ * @returns {Object} 幂等键对象（responseBody 已解析为对象）
+ */
+function mapKey(row) {
+  let responseBody = null;
+  try {
+    responseBody = row.response_body ? JSON.parse(row.response_body) : null;
+  } catch (error) {
+    console.warn(`[IdempotencyRepository] Invalid response body for key ${row.idempotency_key}`);
+  }
+
+  return {
+    userId: row.user_id,
+    key: row.idempotency_key,
+    route: row.route,
+    requestHash: row.request_hash,
+    status: row.status,
+    responseStatus: row.response_status === null ? null : Number(row.response_status),
+    responseBody,
+    createdAt: Number(row.created_at),
+    expiresAt: Number(row.expires_at),
+  };
+}
+
+/**
+ * 占用幂等键
+ *
+ * @param {Object} data - 幂等键数据
+ * @param {string} data.userId - 用户 ID
+ * @param {string} data.key - 幂等键
+ * @param {string} data.route - 请求的接口
+ * @param {string} data.requestHash - 请求摘要
+ * @param {number} data.now - 当前时间戳（毫秒）
+ * @param {number} data.expiresAt - 过期时间戳（毫秒）
+ * @returns {Promise<boolean>} 是否占用成功（false 表示键已存在）
+ */
+async function reserve({ userId, key, route, requestHash, now, expiresAt }) {
+  const sql = `
+    INSERT IGNORE INTO idempotency_keys
+      (user_id, idempotency_key, route, request_hash, status, created_at, expires_at)
+    VALUES (?, ?, ?, ?, 'processing', ?, ?)
+  `;
+  const result = await query(sql, [userId, key, route, requestHash, now, expiresAt]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * 查询幂等键
+ *
+ * @param {string} userId - 用户 ID
+ * @param {string} key - 幂等键
+ * @returns {Promise<Object|null>} 幂等键对象，不存在则返回 null
+ */
+async function findByKey(userId, key) {
+  const results = await query(
+    `SELECT * FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?`,
+    [userId, key]
+  );
+  return results.length > 0 ? mapKey(results[0]) : null;
+}
+
+/**
+ * 接管幂等键
+ *
+ * 【规则】
+ * 只有已过期的键，或者开始处理时间早于 staleBefore 仍未完成的键（第一次请求的实例已退出）可以接管；
+ * 接管后重新开始处理，之前保存的响应被清空
+ *
+ * @param {Object} data - 幂等键数据（同 reserve）
+ * @param {number} staleBefore - 处理中的键开始时间早于该时间戳时视为已放弃
+ * @returns {Promise<boolean>} 是否接管成功
+ */
+async function takeOver({ userId, key, route, requestHash, now, expiresAt }, staleBefore) {
+  const sql = `
+    UPDATE idempotency_keys
+    SET route = ?, request_hash = ?, status = 'processing', response_status = NULL, response_body = NULL,
+        created_at = ?, expires_at = ?
+    WHERE user_id = ? AND idempotency_key = ?
+      AND (expires_at <= ? OR (status = 'processing' AND created_at < ?))
+  `;
+  const result = await query(sql, [
+    route,
+    requestHash,
+    now,
+    expiresAt,
+    userId,
+    key,
+    now,
+    staleBefore,
+  ]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * 保存响应
+ *
+ * @param {string} userId - 用户 ID
+ * @param {string} key - 幂等键
+ * @param {number} responseStatus - HTTP 状态码
+ * @param {Object} responseBody - 响应体
+ * @returns {Promise<boolean>} 是否保存成功
+ */
+async function complete(userId, key, responseStatus, responseBody) {
+  const sql = `
+    UPDATE idempotency_keys
+    SET status = 'completed', response_status = ?, response_body = ?
+    WHERE user_id = ? AND idempotency_key = ? AND status = 'processing'
+  `;
+  const result = await query(sql, [responseStatus, JSON.stringify(responseBody), userId, key]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * 释放幂等键（请求失败且可以重试时，允许用同一个键再次请求）
+ *
+ * @param {string} userId - 用户 ID
+ * @param {string} key - 幂等键
+ * @returns {Promise<boolean>} 是否删除成功
+ */
+async function release(userId, key) {
+  const result = await query(
+    `DELETE FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ? AND status = 'processing'`,
+    [userId, key]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * 清理已过期的幂等键
+ *
+ * @param {number} [now=Date.now()] - 当前时间戳（毫秒）
+ * @returns {Promise<number>} 删除的条数
+ */
+async function deleteExpired(now = Date.now()) {
+  const result = await query(`DELETE FROM idempotency_keys WHERE expires_at <= ?`, [now]);
+  return result.affectedRows || 0;
+}
+
+module.exports = {
+  reserve,
+  findByKey,
+  takeOver,
+  complete,
+  release,
+  deleteExpired,
+};
@@ -0,0 +1,417 @@
+/**
+ * ============================================
+ * 后台任务数据访问层 (JobRepository.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 管理后台任务（jobs 表）的 MySQL 数据库访问操作
+ *
+ * 【主要功能】
+ * 1. 创建任务（排队等待，或由调用方直接领取并在请求中执行）
+ * 2. 领取任务（原子地把一条到期的 queued 任务改为 running，并写入领取标识和租约；
+ *    同一会话的任务按创建顺序逐个执行）
+ * 3. 续租、标记成功 / 失败、退避后重新排队
+ * 4. 把租约过期的运行中任务放回队列（实例崩溃或被重启）
+ * 5. 取消任务（用户停止生成）：等待中或执行中的任务改为 cancelled
+ * 6. 清理已结束的旧任务
+ *
+ * 【说明】
+ * 领取用单条 UPDATE ... ORDER BY ... LIMIT 1 完成，蓝绿部署的两个实例同时领取时
+ * 只有一个能更新成功；之后的续租和状态更新都带上领取标识（locked_by），
+ * 租约过期后被其他实例重新领取的任务，原实例不能再修改它
+ *
+ * 【依赖】
+ * - config/database.js: 数据库连接和查询方法
+ *
+ * 【被谁使用】
+ * - services/JobService.js: 任务队列和 Worker
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+const { query } = require("../config/database");
+
+/**
+ * 把数据库行映射为任务对象
+ *
+ * @param {Object} row - 数据库行
+ * @returns {Object} 任务对象（payload 已解析为对象）
+ */
+function mapJob(row) {
+  let payload = {};
+  try {
+    payload = row.payload ? JSON.parse(row.payload) : {};
+  } catch (error) {
+    console.warn(`[JobRepository] Invalid payload for job ${row.id}`);
+  }
+
+  return {
+    id: row.id,
+    type: row.type,
+    payload,
+    userId: row.user_id,
+    sessionId: row.session_id,
+    status: row.status,
+    attempts: Number(row.attempts),
+    maxAttempts: Number(row.max_attempts),
+    runAt: Number(row.run_at),
+    lockedBy: row.locked_by,
+    leaseUntil: row.lease_until === null ? null : Number(row.lease_until),
+    lastError: row.last_error,
+    createdAt: Number(row.created_at),
+    updatedAt: Number(row.updated_at),
+    finishedAt: row.finished_at === null ? null : Number(row.finished_at),
+  };
+}
+
+/**
+ * 创建任务
+ *
+ * @param {Object} jobData - 任务数据
+ * @param {string} jobData.id - 任务 ID
+ * @param {string} jobData.type - 任务类型
+ * @param {Object} jobData.payload - 任务参数
+ * @param {string} [jobData.userId] - 用户 ID
+ * @param {string} [jobData.sessionId] - 会话 ID
+ * @param {number} jobData.maxAttempts - 最多执行次数
+ * @param {number} jobData.runAt - 最早执行时间戳
+ * @returns {Promise<Object>} 任务对象
+ */
+async function create(jobData) {
+  const now = Date.now();
+  const sql = `
+    INSERT INTO jobs
+      (id, type, payload, user_id, session_id, status, attempts, max_attempts, run_at, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, 'queued', 0, ?, ?, ?, ?)
+  `;
+  await query(sql, [
+    jobData.id,
+    jobData.type,
+    JSON.stringify(jobData.payload || {}),
+    jobData.userId || null,
+    jobData.sessionId || null,
+    jobData.maxAttempts,
+    jobData.runAt,
+    now,
+    now,
+  ]);
+
+  return {
+    id: jobData.id,
+    type: jobData.type,
+    payload: jobData.payload || {},
+    userId: jobData.userId || null,
+    sessionId: jobData.sessionId || null,
+    status: "queued",
+    attempts: 0,
+    maxAttempts: jobData.maxAttempts,
+    runAt: jobData.runAt,
+    lockedBy: null,
+    leaseUntil: null,
+    lastError: null,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null,
+  };
+}
+
+/**
+ * 创建由调用方直接领取的任务
+ *
+ * 【说明】
+ * 任务以 running 状态创建（attempts 为 1），领取标识和租约与 claimNext 领取的任务相同；
+ * 调用方退出后租约过期，requeueExpired 会把它放回队列
+ *
+ * @param {Object} jobData - 任务数据（同 create，另加 lockedBy、leaseUntil）
+ * @param {string} jobData.lockedBy - 领取标识
+ * @param {number} jobData.leaseUntil - 租约到期时间戳
+ * @returns {Promise<Object>} 任务对象
+ */
+async function createClaimed(jobData) {
+  const now = Date.now();
+  const sql = `
+    INSERT INTO jobs
+      (id, type, payload, user_id, session_id, status, attempts, max_attempts, run_at, locked_by, lease_until, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, 'running', 1, ?, ?, ?, ?, ?, ?)
+  `;
+  await query(sql, [
+    jobData.id,
+    jobData.type,
+    JSON.stringify(jobData.payload || {}),
+    jobData.userId || null,
+    jobData.sessionId || null,
+    jobData.maxAttempts,
+    now,
+    jobData.lockedBy,
+    jobData.leaseUntil,
+    now,
+    now,
+  ]);
+
+  return {
+    id: jobData.id,
+    type: jobData.type,
+    payload: jobData.payload || {},
+    userId: jobData.userId || null,
+    sessionId: jobData.sessionId || null,
+    status: "running",
+    attempts: 1,
+    maxAttempts: jobData.maxAttempts,
+    runAt: now,
+    lockedBy: jobData.lockedBy,
+    leaseUntil: jobData.leaseUntil,
+    lastError: null,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null,
+  };
+}
+
+/**
+ * 按 ID 查询任务
+ *
+ * @param {string} jobId - 任务 ID
+ * @returns {Promise<Object|null>} 任务对象，不存在则返回 null
+ */
+async function findById(jobId) {
+  const results = await query(`SELECT * FROM jobs WHERE id = ?`, [jobId]);
+  return results.length > 0 ? mapJob(results[0]) : null;
+}
+
+/**
+ * 查询会话中等待执行或执行中的任务
+ *
+ * @param {string} sessionId - 会话 ID
+ * @param {string} type - 任务类型
+ * @returns {Promise<Array<Object>>} 任务列表（按创建时间升序）
+ */
+async function findActiveBySession(sessionId, type) {
+  const results = await query(
+    `SELECT * FROM jobs
+     WHERE session_id = ? AND type = ? AND status IN ('queued', 'running')
+     ORDER BY created_at ASC`,
+    [sessionId, type]
+  );
+  return results.map(mapJob);
+}
+
+/**
+ * 领取一条到期的任务
+ *
+ * 【规则】
+ * - 只领取 status = queued 且 run_at <= now 的任务，按 run_at、created_at 先后领取
+ * - 同一会话（session_id）同类型的任务按创建顺序逐个执行：会话中有执行中的任务，
+ *   或有更早创建的等待中任务（包括退避等待重试的任务）时，跳过该会话之后的任务
+ * - 领取时 attempts + 1，写入领取标识和租约到期时间
+ * - 领取标识每次领取都不同，更新成功后按领取标识查回任务
+ * - 候选任务放在带 LIMIT 的派生表中（先物化再更新，MySQL 不允许在 UPDATE 的子查询中直接引用被更新的表）
+ *
+ * @param {string} lockedBy - 领取标识
+ * @param {number} leaseMs - 租约时长（毫秒）
+ * @param {number} [now=Date.now()] - 当前时间戳（毫秒）
+ * @returns {Promise<Object|null>} 领取到的任务，没有到期任务时返回 null
+ */
+async function claimNext(lockedBy, leaseMs, now = Date.now()) {
+  const sql = `
+    UPDATE jobs AS j
+    JOIN (
+      SELECT q.id
+      FROM jobs AS q
+      WHERE q.status = 'queued' AND q.run_at <= ?
+        AND (
+          q.session_id IS NULL
+          OR NOT EXISTS (
+            SELECT 1 FROM jobs AS p
+            WHERE p.session_id = q.session_id AND p.type = q.type AND p.id <> q.id
+              AND (
+                p.status = 'running'
+                OR (p.status = 'queued' AND (p.created_at < q.created_at OR (p.created_at = q.created_at AND p.id < q.id)))
+              )
+          )
+        )
+      ORDER BY q.run_at ASC, q.created_at ASC
+      LIMIT 1
+    ) AS next_job ON next_job.id = j.id
+    SET j.status = 'running', j.locked_by = ?, j.lease_until = ?, j.attempts = j.attempts + 1, j.updated_at = ?
+    WHERE j.status = 'queued'
+  `;
+  const result = await query(sql, [now, lockedBy, now + leaseMs, now]);
+  if (!result.affectedRows) {
+    return null;
+  }
+
+  const results = await query(
+    `SELECT * FROM jobs WHERE locked_by = ? AND status = 'running' LIMIT 1`,
+    [lockedBy]
+  );
+  return results.length > 0 ? mapJob(results[0]) : null;
+}
+
+/**
+ * 续租
+ *
+ * @param {string} jobId - 任务 ID
+ * @param {string} lockedBy - 领取标识
+ * @param {number} leaseUntil - 新的租约到期时间戳
+ * @returns {Promise<boolean>} 是否续租成功（false 表示任务已被其他实例重新领取）
+ */
+async function extendLease(jobId, lockedBy, leaseUntil) {
+  const sql = `
+    UPDATE jobs
+    SET lease_until = ?, updated_at = ?
+    WHERE id = ? AND locked_by = ? AND status = 'running'
+  `;
+  const result = await query(sql, [leaseUntil, Date.now(), jobId, lockedBy]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * 标记任务成功
+ *
+ * @param {string} jobId - 任务 ID
+ * @param {string} lockedBy - 领取标识
+ * @returns {Promise<boolean>} 是否更新成功
+ */
+async function markSucceeded(jobId, lockedBy) {
+  const now = Date.now();
+  const sql = `
+    UPDATE jobs
+    SET status = 'succeeded', locked_by = NULL, lease_until = NULL, updated_at = ?, finished_at = ?
+    WHERE id = ? AND locked_by = ? AND status = 'running'
+  `;
+  const result = await query(sql, [now, now, jobId, lockedBy]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * 标记任务失败（不再重试）
+ *
+ * @param {string} jobId - 任务 ID
+ * @param {string} lockedBy - 领取标识
+ * @param {string} errorMessage - 失败原因
+ * @returns {Promise<boolean>} 是否更新成功
+ */
+async function markFailed(jobId, lockedBy, errorMessage) {
+  const now = Date.now();
+  const sql = `
+    UPDATE jobs
+    SET status = 'failed', locked_by = NULL, lease_until = NULL, last_error = ?, updated_at = ?, finished_at = ?
+    WHERE id = ? AND locked_by = ? AND status = 'running'
+  `;
+  const result = await query(sql, [errorMessage, now, now, jobId, lockedBy]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * 退避后重新排队
+ *
+ * @param {string} jobId - 任务 ID
+ * @param {string} lockedBy - 领取标识
+ * @param {number} runAt - 下次最早执行时间戳
+ * @param {string} errorMessage - 本次失败原因
+ * @returns {Promise<boolean>} 是否更新成功
+ */
+async function reschedule(jobId, lockedBy, runAt, errorMessage) {
+  const sql = `
+    UPDATE jobs
+    SET status = 'queued', locked_by = NULL, lease_until = NULL, run_at = ?, last_error = ?, updated_at = ?
+    WHERE id = ? AND locked_by = ? AND status = 'running'
+  `;
+  const result = await query(sql, [runAt, errorMessage, Date.now(), jobId, lockedBy]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * 取消任务
+ *
+ * 【说明】
+ * 不校验领取标识：执行中的任务被取消后，执行它的实例续租失败，从而中止执行；
+ * 之后该实例的标记成功 / 失败 / 重新排队都不会生效
+ *
+ * @param {string} jobId - 任务 ID
+ * @returns {Promise<boolean>} 是否取消成功（false 表示任务不存在或已经结束）
+ */
+async function markCancelled(jobId) {
+  const now = Date.now();
+  const sql = `
+    UPDATE jobs
+    SET status = 'cancelled', locked_by = NULL, lease_until = NULL, updated_at = ?, finished_at = ?
+    WHERE id = ? AND status IN ('queued', 'running')
+  `;
+  const result = await query(sql, [now, now, jobId]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * 取消还没被领取过的任务
+ *
+ * 【说明】
+ * 只取消 queued 且从未执行过的任务：与 Worker 领取互斥，
+ * 任务在此之前已被领取时不做任何修改，返回 false
+ *
+ * @param {string} jobId - 任务 ID
+ * @returns {Promise<boolean>} 是否取消成功
+ */
+async function cancelQueued(jobId) {
+  const now = Date.now();
+  const sql = `
+    UPDATE jobs
+    SET status = 'cancelled', updated_at = ?, finished_at = ?
+    WHERE id = ? AND status = 'queued' AND attempts = 0
+  `;
+  const result = await query(sql, [now, now, jobId]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * 把租约过期的运行中任务放回队列
+ *
+ * 【说明】
+ * 执行中的实例会定时续租，租约过期说明实例已经退出或卡住；
+ * 本次执行仍计入 attempts，立即可以被重新领取
+ *
+ * @param {number} [now=Date.now()] - 当前时间戳（毫秒）
+ * @returns {Promise<number>} 放回队列的任务数
+ */
+async function requeueExpired(now = Date.now()) {
+  const sql = `
+    UPDATE jobs
+    SET status = 'queued', locked_by = NULL, lease_until = NULL, run_at = ?,
+        last_error = '租约过期（实例退出或处理超时）', updated_at = ?
+    WHERE status = 'running' AND lease_until < ?
+  `;
+  const result = await query(sql, [now, now, now]);
+  return result.affectedRows || 0;
+}
+
+/**
+ * 清理已结束的旧任务
+ *
+ * @param {number} before - 结束时间早于该时间戳的任务会被删除
+ * @returns {Promise<number>} 删除的条数
+ */
+async function deleteFinishedBefore(before) {
+  const sql = `
+    DELETE FROM jobs
+    WHERE status IN ('succeeded', 'failed', 'cancelled') AND finished_at < ?
+  `;
+  const result = await query(sql, [before]);
+  return result.affectedRows || 0;
+}
+
+module.exports = {
+  create,
+  createClaimed,
+  findById,
+  findActiveBySession,
+  claimNext,
+  extendLease,
+  markSucceeded,
+  markFailed,
+  reschedule,
+  markCancelled,
+  cancelQueued,
+  requeueExpired,
+  deleteFinishedBefore,
+};
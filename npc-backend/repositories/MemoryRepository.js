@@ -0,0 +1,226 @@
+/**
+ * ============================================
+ * Memory 数据访问层 (MemoryRepository.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 管理长期记忆数据的 MySQL 数据库访问操作
+ *
+ * 【主要功能】
+ * 1. 会话滚动摘要的查询和保存（session_summaries 表，每个会话一条）
+ * 2. Agent 长期记忆的增删改查（agent_memories 表，按用户 + Agent 隔离）
+ *
+ * 【依赖】
+ * - config/database.js: 数据库连接和查询方法
+ *
+ * 【被谁使用】
+ * - services/MemoryService.js: 调用数据访问方法
+ *
+ * @author AI Assistant
+ * @created 2025-12-04
+ */
+
+const { query } = require("../config/database");
+
+/**
+ * 生成记忆 ID
+ *
+ * 【ID 格式】
+ * mem_1703001234567_abc123
+ *
+ * @returns {string} 记忆 ID
+ */
+function generateMemoryId() {
+  const timestamp = Date.now();
+  const random = Math.random().toString(36).substring(2, 8);
+  return `mem_${timestamp}_${random}`;
+}
+
+/**
+ * 查询会话摘要
+ *
+ * @param {string} sessionId - 会话 ID
+ * @returns {Promise<Object|null>} { sessionId, summary, coveredUntil, updatedAt }，不存在则返回 null
+ */
+async function getSessionSummary(sessionId) {
+  const sql = `SELECT * FROM session_summaries WHERE session_id = ?`;
+  const results = await query(sql, [sessionId]);
+
+  if (results.length === 0) {
+    return null;
+  }
+
+  const row = results[0];
+  return {
+    sessionId: row.session_id,
+    summary: row.summary,
+    coveredUntil: row.covered_until,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * 保存会话摘要（不存在则插入，存在则覆盖）
+ *
+ * @param {string} sessionId - 会话 ID
+ * @param {string} summary - 摘要内容
+ * @param {number} coveredUntil - 摘要已覆盖到的事件时间戳
+ * @returns {Promise<Object>} 保存后的摘要对象
+ */
+async function upsertSessionSummary(sessionId, summary, coveredUntil) {
+  const now = Date.now();
+  const sql = `
+    INSERT INTO session_summaries (session_id, summary, covered_until, updated_at)
+    VALUES (?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      summary = VALUES(summary),
+      covered_until = VALUES(covered_until),
+      updated_at = VALUES(updated_at)
+  `;
+  await query(sql, [sessionId, summary, coveredUntil, now]);
+
+  return {
+    sessionId,
+    summary,
+    coveredUntil,
+    updatedAt: now,
+  };
+}
+
+/**
+ * 查询用户在某个 Agent 下的所有记忆
+ *
+ * @param {string} userId - 用户 ID
+ * @param {string} agentId - Agent ID
+ * @returns {Promise<Array<Object>>} 记忆列表，按创建时间升序
+ */
+async function findMemoriesByUserAndAgent(userId, agentId) {
+  const sql = `
+    SELECT * FROM agent_memories
+    WHERE user_id = ? AND agent_id = ?
+    ORDER BY created_at ASC
+  `;
+  const results = await query(sql, [userId, agentId]);
+
+  return results.map((row) => ({
+    id: row.id,
+    userId: row.user_id,
+    agentId: row.agent_id,
+    content: row.content,
+    source: row.source,
+    sourceSessionId: row.source_session_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  }));
+}
+
+/**
+ * 通过 ID 查询记忆
+ *
+ * @param {string} memoryId - 记忆 ID
+ * @returns {Promise<Object|null>} 记忆对象，不存在则返回 null
+ */
+async function findMemoryById(memoryId) {
+  const sql = `SELECT * FROM agent_memories WHERE id = ?`;
+  const results = await query(sql, [memoryId]);
+
+  if (results.length === 0) {
+    return null;
+  }
+
+  const row = results[0];
+  return {
+    id: row.id,
+    userId: row.user_id,
+    agentId: row.agent_id,
+    content: row.content,
+    source: row.source,
+    sourceSessionId: row.source_session_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * 创建记忆
+ *
+ * @param {Object} memoryData - 记忆数据
+ * @param {string} memoryData.userId - 用户 ID
+ * @param {string} memoryData.agentId - Agent ID
+ * @param {string} memoryData.content - 记忆内容
+ * @param {string} [memoryData.source] - 来源（默认 auto）
+ * @param {string} [memoryData.sourceSessionId] - 提取自哪个会话
+ * @returns {Promise<Object>} 创建的记忆对象
+ */
+async function createMemory(memoryData) {
+  const id = generateMemoryId();
+  const now = Date.now();
+  const source = memoryData.source || "auto";
+  const sourceSessionId = memoryData.sourceSessionId || null;
+
+  const sql = `
+    INSERT INTO agent_memories
+      (id, user_id, agent_id, content, source, source_session_id, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `;
+  await query(sql, [
+    id,
+    memoryData.userId,
+    memoryData.agentId,
+    memoryData.content,
+    source,
+    sourceSessionId,
+    now,
+    now,
+  ]);
+
+  return {
+    id,
+    userId: memoryData.userId,
+    agentId: memoryData.agentId,
+    content: memoryData.content,
+    source,
+    sourceSessionId,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * 更新记忆内容
+ *
+ * 【说明】
+ * 用户编辑过的记忆来源标记为 user
+ *
+ * @param {string} memoryId - 记忆 ID
+ * @param {string} content - 新内容
+ * @returns {Promise<boolean>} 是否更新成功
+ */
+async function updateMemory(memoryId, content) {
+  const sql = `UPDATE agent_memories SET content = ?, source = 'user', updated_at = ? WHERE id = ?`;
+  const result = await query(sql, [content, Date.now(), memoryId]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * 删除记忆
+ *
+ * @param {string} memoryId - 记忆 ID
+ * @returns {Promise<boolean>} 是否删除成功
+ */
+async function deleteMemory(memoryId) {
+  const sql = `DELETE FROM agent_memories WHERE id = ?`;
+  const result = await query(sql, [memoryId]);
+  return result.affectedRows > 0;
+}
+
+module.exports = {
+  generateMemoryId,
+  getSessionSummary,
+  upsertSessionSummary,
+  findMemoriesByUserAndAgent,
+  findMemoryById,
+  createMemory,
+  updateMemory,
+  deleteMemory,
+};
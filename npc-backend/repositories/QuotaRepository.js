@@ -0,0 +1,109 @@
+/**
+ * ============================================
+ * 用户配额数据访问层 (QuotaRepository.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 管理管理员为单个用户设置的每日配额（user_quotas 表）的 MySQL 数据库访问操作
+ *
+ * 【主要功能】
+ * 1. 查询用户的自定义配额
+ * 2. 保存自定义配额（已存在则覆盖）
+ * 3. 删除自定义配额（恢复默认配额）
+ *
+ * 【说明】
+ * 字段为 NULL 表示该项使用默认配额，0 表示不限
+ *
+ * 【依赖】
+ * - config/database.js: 数据库连接和查询方法
+ *
+ * 【被谁使用】
+ * - services/QuotaService.js: 调用数据访问方法
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+const { query } = require("../config/database");
+
+/**
+ * 把数据库行映射为配额记录
+ *
+ * @param {Object} row - 数据库行
+ * @returns {Object} { userId, dailyMessages, dailyTokens, updatedBy, updatedAt }
+ */
+function mapQuota(row) {
+  return {
+    userId: row.user_id,
+    dailyMessages: row.daily_messages ?? null,
+    dailyTokens: row.daily_tokens ?? null,
+    updatedBy: row.updated_by ?? null,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * 查询用户的自定义配额
+ *
+ * @param {string} userId - 用户 ID
+ * @returns {Promise<Object|null>} 配额记录，没有自定义配额时返回 null
+ */
+async function findByUserId(userId) {
+  const sql = `SELECT * FROM user_quotas WHERE user_id = ?`;
+  const results = await query(sql, [userId]);
+
+  return results.length > 0 ? mapQuota(results[0]) : null;
+}
+
+/**
+ * 保存用户的自定义配额
+ *
+ * @param {string} userId - 用户 ID
+ * @param {Object} quota - { dailyMessages, dailyTokens }（null 表示使用默认配额）
+ * @param {string|null} updatedBy - 修改人 ID
+ * @returns {Promise<Object>} 保存后的配额记录
+ */
+async function upsert(userId, quota, updatedBy) {
+  const now = Date.now();
+  const sql = `
+    INSERT INTO user_quotas (user_id, daily_messages, daily_tokens, updated_by, updated_at)
+    VALUES (?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      daily_messages = VALUES(daily_messages),
+      daily_tokens = VALUES(daily_tokens),
+      updated_by = VALUES(updated_by),
+      updated_at = VALUES(updated_at)
+  `;
+  await query(sql, [
+    userId,
+    quota.dailyMessages ?? null,
+    quota.dailyTokens ?? null,
+    updatedBy || null,
+    now,
+  ]);
+
+  return {
+    userId,
+    dailyMessages: quota.dailyMessages ?? null,
+    dailyTokens: quota.dailyTokens ?? null,
+    updatedBy: updatedBy || null,
+    updatedAt: now,
+  };
+}
+
+/**
+ * 删除用户的自定义配额
+ *
+ * @param {string} userId - 用户 ID
+ * @returns {Promise<boolean>} 是否删除了记录
+ */
+async function deleteByUserId(userId) {
+  const result = await query(`DELETE FROM user_quotas WHERE user_id = ?`, [userId]);
+  return result.affectedRows > 0;
+}
+
+module.exports = {
+  findByUserId,
+  upsert,
+  deleteByUserId,
+};
@@ -0,0 +1,79 @@
+/**
+ * ============================================
+ * 限流计数数据访问层 (RateLimitRepository.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 管理接口限流计数（rate_limit_counters 表）的 MySQL 数据库访问操作
+ *
+ * 【主要功能】
+ * 1. 计数加一（时间窗口已结束时从 1 重新开始）
+ * 2. 清理已过期的计数
+ *
+ * 【说明】
+ * 只在 RATE_LIMIT_STORE=mysql 时使用，蓝绿部署的两个后端实例通过这张表共享计数；
+ * 计数加一用单条 INSERT ... ON DUPLICATE KEY UPDATE 完成，并发请求不会丢失计数
+ *
+ * 【依赖】
+ * - config/database.js: 数据库连接和查询方法
+ *
+ * 【被谁使用】
+ * - middleware/rateLimiter.js: MySQL 计数存储
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+const { query } = require("../config/database");
+
+/**
+ * 计数加一
+ *
+ * 【规则】
+ * - 计数不存在：创建，hits = 1，窗口结束时间 = now + windowMs
+ * - 窗口已结束（reset_at <= now）：hits 重置为 1，并开始新窗口
+ * - 否则：hits + 1，窗口结束时间不变
+ *
+ * @param {string} key - 计数键
+ * @param {number} windowMs - 时间窗口（毫秒）
+ * @param {number} [now=Date.now()] - 当前时间戳（毫秒）
+ * @returns {Promise<Object>} { hits, resetAt }
+ */
+async function increment(key, windowMs, now = Date.now()) {
+  // MySQL 按顺序执行赋值：hits 的条件使用的是旧的 reset_at，reset_at 放在最后更新
+  const sql = `
+    INSERT INTO rate_limit_counters (counter_key, hits, reset_at)
+    VALUES (?, 1, ?)
+    ON DUPLICATE KEY UPDATE
+      hits = IF(reset_at <= ?, 1, hits + 1),
+      reset_at = IF(reset_at <= ?, VALUES(reset_at), reset_at)
+  `;
+  await query(sql, [key, now + windowMs, now, now]);
+
+  const results = await query(
+    `SELECT hits, reset_at FROM rate_limit_counters WHERE counter_key = ?`,
+    [key]
+  );
+  const row = results[0] || { hits: 1, reset_at: now + windowMs };
+
+  return {
+    hits: Number(row.hits),
+    resetAt: Number(row.reset_at),
+  };
+}
+
+/**
+ * 清理已过期的计数
+ *
+ * @param {number} [now=Date.now()] - 当前时间戳（毫秒）
+ * @returns {Promise<number>} 删除的条数
+ */
+async function deleteExpired(now = Date.now()) {
+  const result = await query(`DELETE FROM rate_limit_counters WHERE reset_at <= ?`, [now]);
+  return result.affectedRows || 0;
+}
+
+module.exports = {
+  increment,
+  deleteExpired,
+};
@@ -0,0 +1,110 @@
+/**
+ * ============================================
+ * 实时推送事件数据访问层 (RealtimeRepository.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 管理实时推送事件中转表（realtime_events）的 MySQL 数据库访问操作
+ *
+ * 【主要功能】
+ * 1. 写入事件（发布事件的实例）
+ * 2. 按 (发布时间, ID) 顺序读取一段时间内的事件（其他实例轮询）
+ * 3. 清理旧事件
+ *
+ * 【依赖】
+ * - config/database.js: 数据库连接和查询方法
+ *
+ * 【被谁使用】
+ * - services/RealtimeService.js: 实时推送
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+const { query } = require("../config/database");
+
+/**
+ * 把数据库行映射为事件对象
+ *
+ * @param {Object} row - 数据库行
+ * @returns {Object} 事件对象（payload 已解析为对象）
+ */
+function mapEvent(row) {
+  let payload = {};
+  try {
+    payload = row.payload ? JSON.parse(row.payload) : {};
+  } catch (error) {
+    console.warn(`[RealtimeRepository] Invalid payload for event ${row.id}`);
+  }
+
+  return {
+    id: Number(row.id),
+    userId: row.user_id,
+    type: row.type,
+    payload,
+    origin: row.origin,
+    createdAt: Number(row.created_at),
+  };
+}
+
+/**
+ * 写入事件
+ *
+ * @param {Object} eventData - 事件数据
+ * @param {string} eventData.userId - 接收事件的用户 ID
+ * @param {string} eventData.type - 事件类型
+ * @param {Object} eventData.payload - 事件数据
+ * @param {string} eventData.origin - 发布事件的实例标识
+ * @param {number} eventData.createdAt - 发布时间戳（毫秒）
+ * @returns {Promise<number>} 事件 ID
+ */
+async function create({ userId, type, payload, origin, createdAt }) {
+  const sql = `
+    INSERT INTO realtime_events (user_id, type, payload, origin, created_at)
+    VALUES (?, ?, ?, ?, ?)
+  `;
+  const result = await query(sql, [userId, type, JSON.stringify(payload || {}), origin, createdAt]);
+  return Number(result.insertId);
+}
+
+/**
+ * 读取游标之后、指定时间之前发布的事件
+ *
+ * 【游标】
+ * 游标为 { createdAt, id }，按 (created_at, id) 排序，同一毫秒的事件用 id 区分，
+ * 查询走 idx_realtime_events_created_at 索引（InnoDB 二级索引末尾隐含主键 id）
+ *
+ * @param {Object} after - 游标 { createdAt, id }，只读取它之后的事件
+ * @param {number} createdBefore - 只读取发布时间不晚于该时间戳的事件
+ * @param {number} limit - 最多读取条数
+ * @returns {Promise<Array<Object>>} 事件列表（按发布时间、ID 升序）
+ */
+async function findBetween(after, createdBefore, limit) {
+  // 注意：LIMIT 参数不能使用参数化查询，需要直接拼接
+  const safeLimit = parseInt(limit, 10) || 100;
+  const results = await query(
+    `SELECT * FROM realtime_events
+     WHERE (created_at > ? OR (created_at = ? AND id > ?)) AND created_at <= ?
+     ORDER BY created_at ASC, id ASC
+     LIMIT ${safeLimit}`,
+    [after.createdAt, after.createdAt, after.id, createdBefore]
+  );
+  return results.map(mapEvent);
+}
+
+/**
+ * 清理旧事件
+ *
+ * @param {number} before - 发布时间早于该时间戳的事件会被删除
+ * @returns {Promise<number>} 删除的条数
+ */
+async function deleteBefore(before) {
+  const result = await query(`DELETE FROM realtime_events WHERE created_at < ?`, [before]);
+  return result.affectedRows || 0;
+}
+
+module.exports = {
+  create,
+  findBetween,
+  deleteBefore,
+};
@@ -0,0 +1,193 @@
+/**
+ * ============================================
+ * 账号恢复凭证数据访问层 (RecoveryTokenRepository.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 管理账号恢复凭证（user_recovery_tokens 表）的 MySQL 数据库访问操作
+ *
+ * 【主要功能】
+ * 1. 批量保存凭证摘要（恢复码、管理员重置码）
+ * 2. 按摘要查询未使用且未过期的凭证
+ * 3. 标记凭证已使用（条件更新，保证只能使用一次）
+ * 4. 作废用户某类型的全部未使用凭证
+ *
+ * 【依赖】
+ * - config/database.js: 数据库连接和查询方法
+ *
+ * 【被谁使用】
+ * - services/AccountRecoveryService.js: 调用数据访问方法
+ *
+ * 【重要说明】
+ * 表中只保存凭证的 SHA-256 摘要，明文凭证只在生成时返回一次
+ *
+ * @author AI Assistant
+ * @created 2025-12-08
+ */
+
+const { query } = require("../config/database");
+
+/**
+ * 生成凭证 ID
+ *
+ * 【ID 格式】
+ * rtk_1703001234567_abc123
+ *
+ * @returns {string} 凭证 ID
+ */
+function generateTokenId() {
+  const timestamp = Date.now();
+  const random = Math.random().toString(36).substring(2, 8);
+  return `rtk_${timestamp}_${random}`;
+}
+
+/**
+ * 把数据库行映射为凭证对象
+ *
+ * @param {Object} row - 数据库行
+ * @returns {Object} 凭证对象
+ */
+function mapToken(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    type: row.type,
+    tokenHash: row.token_hash,
+    expiresAt: row.expires_at,
+    usedAt: row.used_at,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * 批量保存凭证
+ *
+ * @param {string} userId - 用户 ID
+ * @param {string} type - 凭证类型（recovery_code / reset_token）
+ * @param {Array<string>} tokenHashes - 凭证摘要列表
+ * @param {Object} [options] - 选项
+ * @param {number} [options.expiresAt] - 过期时间戳（不传表示不过期）
+ * @param {string} [options.createdBy] - 签发人
+ * @returns {Promise<Array<Object>>} 保存的凭证列表
+ */
+async function createTokens(userId, type, tokenHashes, options = {}) {
+  const now = Date.now();
+  const expiresAt = options.expiresAt || null;
+  const createdBy = options.createdBy || null;
+
+  const tokens = tokenHashes.map((tokenHash) => ({
+    id: generateTokenId(),
+    userId,
+    type,
+    tokenHash,
+    expiresAt,
+    usedAt: null,
+    createdBy,
+    createdAt: now,
+  }));
+
+  if (tokens.length === 0) {
+    return tokens;
+  }
+
+  const placeholders = tokens.map(() => "(?, ?, ?, ?, ?, ?, ?)").join(", ");
+  const params = [];
+  tokens.forEach((token) => {
+    params.push(token.id, userId, type, token.tokenHash, expiresAt, createdBy, now);
+  });
+
+  const sql = `
+    INSERT INTO user_recovery_tokens
+      (id, user_id, type, token_hash, expires_at, created_by, created_at)
+    VALUES ${placeholders}
+  `;
+  await query(sql, params);
+
+  return tokens;
+}
+
+/**
+ * 按摘要查询可用凭证（未使用、未过期）
+ *
+ * @param {string} userId - 用户 ID
+ * @param {string} type - 凭证类型
+ * @param {string} tokenHash - 凭证摘要
+ * @param {number} now - 当前时间戳
+ * @returns {Promise<Object|null>} 凭证对象，不存在或不可用则返回 null
+ */
+async function findActiveToken(userId, type, tokenHash, now) {
+  const sql = `
+    SELECT * FROM user_recovery_tokens
+    WHERE user_id = ? AND type = ? AND token_hash = ?
+      AND used_at IS NULL
+      AND (expires_at IS NULL OR expires_at > ?)
+    LIMIT 1
+  `;
+  const results = await query(sql, [userId, type, tokenHash, now]);
+
+  return results.length > 0 ? mapToken(results[0]) : null;
+}
+
+/**
+ * 统计可用凭证数量
+ *
+ * @param {string} userId - 用户 ID
+ * @param {string} type - 凭证类型
+ * @param {number} now - 当前时间戳
+ * @returns {Promise<number>} 可用凭证数量
+ */
+async function countActiveTokens(userId, type, now) {
+  const sql = `
+    SELECT COUNT(*) AS count FROM user_recovery_tokens
+    WHERE user_id = ? AND type = ?
+      AND used_at IS NULL
+      AND (expires_at IS NULL OR expires_at > ?)
+  `;
+  const results = await query(sql, [userId, type, now]);
+
+  return results.length > 0 ? Number(results[0].count) : 0;
+}
+
+/**
+ * 标记凭证已使用
+ *
+ * 【说明】
+ * 只更新 used_at 为空的行，并发请求中只有一个能成功
+ *
+ * @param {string} tokenId - 凭证 ID
+ * @param {number} now - 当前时间戳
+ * @returns {Promise<boolean>} 是否标记成功（false 表示已被使用）
+ */
+async function markTokenUsed(tokenId, now) {
+  const sql = `UPDATE user_recovery_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL`;
+  const result = await query(sql, [now, tokenId]);
+
+  return result.affectedRows === 1;
+}
+
+/**
+ * 作废用户某类型的全部未使用凭证
+ *
+ * @param {string} userId - 用户 ID
+ * @param {string} type - 凭证类型
+ * @param {number} now - 当前时间戳
+ * @returns {Promise<number>} 作废的凭证数量
+ */
+async function revokeTokens(userId, type, now) {
+  const sql = `
+    UPDATE user_recovery_tokens SET used_at = ?
+    WHERE user_id = ? AND type = ? AND used_at IS NULL
+  `;
+  const result = await query(sql, [now, userId, type]);
+
+  return result.affectedRows || 0;
+}
+
+module.exports = {
+  createTokens,
+  findActiveToken,
+  countActiveTokens,
+  markTokenUsed,
+  revokeTokens,
+};
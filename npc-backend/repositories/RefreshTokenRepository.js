@@ -0,0 +1,159 @@
+/**
+ * ============================================
+ * Refresh Token 数据访问层 (RefreshTokenRepository.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 管理 Refresh Token 登记（refresh_tokens 表）的 MySQL 数据库访问操作
+ *
+ * 【主要功能】
+ * 1. 登记新签发的 Refresh Token
+ * 2. 按 Token ID 查询
+ * 3. 轮换：把旧 Token 标记为 rotated（条件更新，保证只能轮换一次）
+ * 4. 按家族或按用户吊销
+ *
+ * 【依赖】
+ * - config/database.js: 数据库连接和查询方法
+ *
+ * 【被谁使用】
+ * - services/TokenService.js: 调用数据访问方法
+ *
+ * @author AI Assistant
+ * @created 2025-12-09
+ */
+
+const { query } = require("../config/database");
+
+/**
+ * 把数据库行映射为 Token 记录
+ *
+ * @param {Object} row - 数据库行
+ * @returns {Object} Token 记录
+ */
+function mapToken(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    familyId: row.family_id,
+    expiresAt: row.expires_at,
+    revokedAt: row.revoked_at,
+    revokeReason: row.revoke_reason,
+    replacedBy: row.replaced_by,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * 登记 Refresh Token
+ *
+ * @param {Object} tokenData - Token 数据
+ * @param {string} tokenData.id - Token ID（jti）
+ * @param {string} tokenData.userId - 用户 ID
+ * @param {string} tokenData.familyId - 家族 ID
+ * @param {number} tokenData.expiresAt - 过期时间戳
+ * @returns {Promise<Object>} Token 记录
+ */
+async function create(tokenData) {
+  const now = Date.now();
+  const sql = `
+    INSERT INTO refresh_tokens (id, user_id, family_id, expires_at, created_at)
+    VALUES (?, ?, ?, ?, ?)
+  `;
+  await query(sql, [
+    tokenData.id,
+    tokenData.userId,
+    tokenData.familyId,
+    tokenData.expiresAt,
+    now,
+  ]);
+
+  return {
+    id: tokenData.id,
+    userId: tokenData.userId,
+    familyId: tokenData.familyId,
+    expiresAt: tokenData.expiresAt,
+    revokedAt: null,
+    revokeReason: null,
+    replacedBy: null,
+    createdAt: now,
+  };
+}
+
+/**
+ * 按 ID 查询 Token 记录
+ *
+ * @param {string} tokenId - Token ID
+ * @returns {Promise<Object|null>} Token 记录，不存在则返回 null
+ */
+async function findById(tokenId) {
+  const sql = `SELECT * FROM refresh_tokens WHERE id = ?`;
+  const results = await query(sql, [tokenId]);
+
+  return results.length > 0 ? mapToken(results[0]) : null;
+}
+
+/**
+ * 轮换 Token：把旧 Token 标记为 rotated 并记录新 Token ID
+ *
+ * 【说明】
+ * 只更新 revoked_at 为空的行，并发刷新中只有一个请求能成功
+ *
+ * @param {string} tokenId - 旧 Token ID
+ * @param {string} replacedBy - 新 Token ID
+ * @param {number} now - 当前时间戳
+ * @returns {Promise<boolean>} 是否轮换成功（false 表示已被轮换或吊销）
+ */
+async function markRotated(tokenId, replacedBy, now) {
+  const sql = `
+    UPDATE refresh_tokens
+    SET revoked_at = ?, revoke_reason = 'rotated', replaced_by = ?
+    WHERE id = ? AND revoked_at IS NULL
+  `;
+  const result = await query(sql, [now, replacedBy, tokenId]);
+
+  return result.affectedRows === 1;
+}
+
+/**
+ * 吊销整个家族的有效 Token
+ *
+ * @param {string} familyId - 家族 ID
+ * @param {string} reason - 吊销原因
+ * @param {number} now - 当前时间戳
+ * @returns {Promise<number>} 吊销数量
+ */
+async function revokeFamily(familyId, reason, now) {
+  const sql = `
+    UPDATE refresh_tokens SET revoked_at = ?, revoke_reason = ?
+    WHERE family_id = ? AND revoked_at IS NULL
+  `;
+  const result = await query(sql, [now, reason, familyId]);
+
+  return result.affectedRows || 0;
+}
+
+/**
+ * 吊销用户的全部有效 Token
+ *
+ * @param {string} userId - 用户 ID
+ * @param {string} reason - 吊销原因
+ * @param {number} now - 当前时间戳
+ * @returns {Promise<number>} 吊销数量
+ */
+async function revokeAllForUser(userId, reason, now) {
+  const sql = `
+    UPDATE refresh_tokens SET revoked_at = ?, revoke_reason = ?
+    WHERE user_id = ? AND revoked_at IS NULL
+  `;
+  const result = await query(sql, [now, reason, userId]);
+
+  return result.affectedRows || 0;
+}
+
+module.exports = {
+  create,
+  findById,
+  markRotated,
+  revokeFamily,
+  revokeAllForUser,
+};
@@ -8,8 +8,10 @@
  *
  * 【主要功能】
  * 1. 提供 Session 的创建和查询操作
- * 2. 单会话模式：同一参与者组合只有一个会话
- * 3. 参与者标准化排序
+ * 2. 多会话：同一参与者组合可以有多个会话，默认使用最近活跃的未归档会话
+ * 3. 会话重命名、归档、删除（软删除）
+ * 4. 参与者标准化排序
+ * 5. 已读游标：记录用户在会话中读到的位置（用于未读计数）
  *
  * 【工作流程】
  * 创建 Session → 插入数据库 → 返回结果
@@ -27,7 +29,7 @@
  *
  * 【重要说明】
  * - 使用 MySQL 数据库存储
- * - 单会话模式：同一参与者组合只有一个会话
+ * - 同一参与者组合可以有多个会话，已删除（deleted_at 非空）的会话不会被查询到
  * - participants 以 JSON 格式存储，查询时通过 JSON 匹配
  *
  * @author AI Assistant
@@ -94,16 +96,16 @@ function generateSessionId() {
 }
 
 /**
- * 查找会话（单会话模式）
+ * 查找默认会话
  *
  * 【功能说明】
- * 查找指定参与者的会话，如果不存在则返回 null
- * 同一参与者组合只有一个会话（单会话模式）
+ * 查找指定参与者最近活跃的会话（未归档、未删除），如果不存在则返回 null
+ * 未显式指定 sessionId 时，发送消息和查询历史都使用这个会话
  *
  * 【工作流程】
  * 1. 标准化参与者列表（排序）
  * 2. 将参与者列表转换为 JSON 字符串
- * 3. 在数据库中查询匹配的会话（通过 JSON 匹配）
+ * 3. 在数据库中查询匹配的会话（通过 JSON 匹配），取最后活动时间最新的一个
  *
  * 【参数说明】
  * @param {Array<{type: string, id: string}>} participants - 参与者列表
@@ -122,6 +124,9 @@ async function findSessionByParticipants(participants) {
   const sql = `
     SELECT * FROM sessions 
     WHERE participants = ?
+      AND archived_at IS NULL
+      AND deleted_at IS NULL
+    ORDER BY last_active_at DESC
     LIMIT 1
   `;
   const results = await query(sql, [participantsJson]);
@@ -134,60 +139,77 @@ async function findSessionByParticipants(participants) {
   return {
     sessionId: session.id,
     participants: JSON.parse(session.participants),
+    title: session.title || null,
     createdAt: session.created_at,
     lastActiveAt: session.last_active_at,
+    archivedAt: session.archived_at || null,
   };
 }
 
 /**
- * 获取或创建会话（单会话模式）
+ * 创建新会话
  *
  * 【功能说明】
- * 如果会话已存在，返回现有会话
- * 如果不存在，创建新会话
- * 同一参与者组合只有一个会话（单会话模式）
- *
- * 【工作流程】
- * 1. 标准化参与者列表（排序）
- * 2. 尝试查找现有会话
- * 3. 如果不存在，创建新会话
- * 4. 插入数据库
- * 5. 返回会话对象
+ * 为指定参与者创建一个新会话（不复用已有会话）
  *
  * 【参数说明】
  * @param {Array<{type: string, id: string}>} participants - 参与者列表
+ * @param {string|null} [title] - 会话标题（可选）
  * @returns {Promise<Object>} Session 对象
  */
-async function getOrCreateSession(participants) {
-  // 1. 标准化参与者列表（排序）
+async function createSession(participants, title = null) {
   const normalizedParticipants = normalizeParticipants(participants);
-
-  // 2. 尝试查找现有会话
-  const existingSession = await findSessionByParticipants(normalizedParticipants);
-  if (existingSession) {
-    return existingSession; // 返回现有会话
-  }
-
-  // 3. 创建新会话
   const sessionId = generateSessionId();
   const now = Date.now();
   const participantsJson = JSON.stringify(normalizedParticipants);
 
   const sql = `
-    INSERT INTO sessions (id, participants, created_at, last_active_at)
-    VALUES (?, ?, ?, ?)
+    INSERT INTO sessions (id, participants, title, created_at, last_active_at)
+    VALUES (?, ?, ?, ?, ?)
   `;
 
-  await query(sql, [sessionId, participantsJson, now, now]);
+  await query(sql, [sessionId, participantsJson, title, now, now]);
 
   return {
     sessionId,
     participants: normalizedParticipants,
+    title,
     createdAt: now,
     lastActiveAt: now,
+    archivedAt: null,
   };
 }
 
+/**
+ * 获取或创建会话
+ *
+ * 【功能说明】
+ * 如果参与者已有默认会话（最近活跃的未归档会话），返回该会话
+ * 如果不存在，创建新会话
+ *
+ * 【工作流程】
+ * 1. 标准化参与者列表（排序）
+ * 2. 尝试查找默认会话
+ * 3. 如果不存在，创建新会话
+ *
+ * 【参数说明】
+ * @param {Array<{type: string, id: string}>} participants - 参与者列表
+ * @returns {Promise<Object>} Session 对象
+ */
+async function getOrCreateSession(participants) {
+  // 1. 标准化参与者列表（排序）
+  const normalizedParticipants = normalizeParticipants(participants);
+
+  // 2. 尝试查找默认会话
+  const existingSession = await findSessionByParticipants(normalizedParticipants);
+  if (existingSession) {
+    return existingSession; // 返回现有会话
+  }
+
+  // 3. 创建新会话
+  return await createSession(normalizedParticipants);
+}
+
 /**
  * 更新会话最后活动时间
  *
@@ -207,12 +229,12 @@ async function updateSessionActivity(sessionId) {
  * 查询用户的所有会话
  *
  * 【功能说明】
- * 查询指定用户参与的所有会话，按最后活动时间倒序排列
+ * 查询指定用户参与的所有会话（不含已删除），按最后活动时间倒序排列
  *
  * 【工作流程】
  * 1. 在数据库中查询包含该用户的会话（通过 JSON 查询）
  * 2. 按最后活动时间倒序排序
- * 3. 返回会话对象数组
+ * 3. 返回会话对象数组（包含已归档的会话，由调用方按需过滤）
  *
  * 【参数说明】
  * @param {string} userId - 用户 ID
@@ -225,6 +247,7 @@ async function findSessionsByUser(userId) {
   const sql = `
     SELECT * FROM sessions 
     WHERE JSON_CONTAINS(participants, ?)
+      AND deleted_at IS NULL
     ORDER BY last_active_at DESC
   `;
   const results = await query(sql, [participantJson]);
@@ -232,8 +255,10 @@ async function findSessionsByUser(userId) {
   return results.map((session) => ({
     sessionId: session.id,
     participants: JSON.parse(session.participants),
+    title: session.title || null,
     createdAt: session.created_at,
     lastActiveAt: session.last_active_at,
+    archivedAt: session.archived_at || null,
   }));
 }
 
@@ -241,7 +266,7 @@ async function findSessionsByUser(userId) {
  * 查询 Agent 的所有会话
  *
  * 【功能说明】
- * 查询指定 Agent 参与的所有会话，按最后活动时间倒序排列
+ * 查询指定 Agent 参与的所有会话（不含已删除），按最后活动时间倒序排列
  *
  * 【工作流程】
  * 1. 在数据库中查询包含该 Agent 的会话（通过 JSON 查询）
@@ -258,6 +283,7 @@ async function findSessionsByAgent(agentId) {
   const sql = `
     SELECT * FROM sessions 
     WHERE JSON_CONTAINS(participants, ?)
+      AND deleted_at IS NULL
     ORDER BY last_active_at DESC
   `;
   const results = await query(sql, [participantJson]);
@@ -265,8 +291,10 @@ async function findSessionsByAgent(agentId) {
   return results.map((session) => ({
     sessionId: session.id,
     participants: JSON.parse(session.participants),
+    title: session.title || null,
     createdAt: session.created_at,
     lastActiveAt: session.last_active_at,
+    archivedAt: session.archived_at || null,
   }));
 }
 
@@ -274,14 +302,14 @@ async function findSessionsByAgent(agentId) {
  * 通过 ID 查询会话
  *
  * 【功能说明】
- * 根据 sessionId 从数据库查询 Session
+ * 根据 sessionId 从数据库查询 Session（已删除的会话视为不存在）
  *
  * 【参数说明】
  * @param {string} sessionId - Session ID
  * @returns {Promise<Object|null>} Session 对象，如果不存在则返回 null
  */
 async function findSessionById(sessionId) {
-  const sql = `SELECT * FROM sessions WHERE id = ?`;
+  const sql = `SELECT * FROM sessions WHERE id = ? AND deleted_at IS NULL`;
   const results = await query(sql, [sessionId]);
 
   if (results.length === 0) {
@@ -292,11 +320,124 @@ async function findSessionById(sessionId) {
   return {
     sessionId: session.id,
     participants: JSON.parse(session.participants),
+    title: session.title || null,
     createdAt: session.created_at,
     lastActiveAt: session.last_active_at,
+    archivedAt: session.archived_at || null,
   };
 }
 
+/**
+ * 更新会话标题
+ *
+ * 【参数说明】
+ * @param {string} sessionId - 会话 ID
+ * @param {string|null} title - 新标题（null 表示清除标题）
+ * @returns {Promise<boolean>} 是否更新成功（会话不存在或已删除时返回 false）
+ */
+async function updateSessionTitle(sessionId, title) {
+  const sql = `UPDATE sessions SET title = ? WHERE id = ? AND deleted_at IS NULL`;
+  const result = await query(sql, [title, sessionId]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * 归档或取消归档会话
+ *
+ * 【功能说明】
+ * 归档的会话不再作为默认会话使用，但历史记录保留，可以随时取消归档
+ *
+ * 【参数说明】
+ * @param {string} sessionId - 会话 ID
+ * @param {boolean} archived - true 归档，false 取消归档
+ * @returns {Promise<boolean>} 是否更新成功（会话不存在或已删除时返回 false）
+ */
+async function setSessionArchived(sessionId, archived) {
+  const sql = `UPDATE sessions SET archived_at = ? WHERE id = ? AND deleted_at IS NULL`;
+  const result = await query(sql, [archived ? Date.now() : null, sessionId]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * 删除会话（软删除）
+ *
+ * 【功能说明】
+ * 标记会话为已删除，删除后的会话不再出现在任何查询结果中
+ *
+ * 【参数说明】
+ * @param {string} sessionId - 会话 ID
+ * @returns {Promise<boolean>} 是否删除成功（会话不存在或已删除时返回 false）
+ */
+async function softDeleteSession(sessionId) {
+  const sql = `UPDATE sessions SET deleted_at = ? WHERE id = ? AND deleted_at IS NULL`;
+  const result = await query(sql, [Date.now(), sessionId]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * 更新会话的已读游标（只前进不后退）
+ *
+ * 【功能说明】
+ * 游标为 { timestamp, id }，按 (timestamp, id) 比较；id 为 null 表示 timestamp 这一毫秒都已读。
+ * 多个设备同时标记已读时，较旧的位置不会覆盖较新的位置
+ *
+ * 【参数说明】
+ * @param {string} sessionId - 会话 ID
+ * @param {Object} cursor - 已读位置 { timestamp, id }
+ * @returns {Promise<boolean>} 是否更新（已读位置没有前进或会话不存在时返回 false）
+ */
+async function updateReadCursor(sessionId, cursor) {
+  const eventId = cursor.id || null;
+  const sql = `
+    UPDATE sessions SET last_read_at = ?, last_read_event_id = ?
+    WHERE id = ? AND deleted_at IS NULL
+      AND (
+        last_read_at IS NULL
+        OR last_read_at < ?
+        OR (last_read_at = ? AND last_read_event_id IS NOT NULL AND (? IS NULL OR last_read_event_id < ?))
+      )
+  `;
+  const result = await query(sql, [
+    cursor.timestamp,
+    eventId,
+    sessionId,
+    cursor.timestamp,
+    cursor.timestamp,
+    eventId,
+    eventId,
+  ]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * 把用户的所有会话标记为已读
+ *
+ * 【功能说明】
+ * 已读游标设置为当前时间；会话中有生成中的回复时停在最早的生成中回复之前，
+ * 这条回复生成完成后仍然计为未读（同 SessionService.markSessionRead）
+ *
+ * 【参数说明】
+ * @param {string} userId - 用户 ID
+ * @param {number} timestamp - 已读时间（毫秒）
+ * @returns {Promise<number>} 更新的会话数
+ */
+async function markAllSessionsRead(userId, timestamp) {
+  const participantJson = JSON.stringify({ type: "user", id: userId });
+  const sql = `
+    UPDATE sessions
+    SET last_read_event_id = NULL,
+        last_read_at = LEAST(?, COALESCE((
+          SELECT MIN(e.timestamp) - 1 FROM events e
+          WHERE e.session_id = sessions.id AND e.from_type = 'agent'
+            AND e.status = 'pending' AND e.superseded_at IS NULL
+        ), ?))
+    WHERE JSON_CONTAINS(participants, ?)
+      AND deleted_at IS NULL
+  `;
+  const result = await query(sql, [timestamp, timestamp, participantJson]);
+  return result.affectedRows;
+}
+
 /**
  * 清空所有数据（用于测试或重置）
  *
@@ -314,10 +455,16 @@ module.exports = {
   normalizeParticipants,
   generateSessionId,
   findSessionByParticipants,
+  createSession,
   getOrCreateSession,
   updateSessionActivity,
   findSessionsByUser,
   findSessionsByAgent,
   findSessionById,
+  updateSessionTitle,
+  setSessionArchived,
+  softDeleteSession,
+  updateReadCursor,
+  markAllSessionsRead,
   clearAll,
 };
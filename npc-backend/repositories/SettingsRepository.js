@@ -0,0 +1,108 @@
+/**
+ * ============================================
+ * 系统设置数据访问层 (SettingsRepository.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 管理系统设置（system_settings 表）的 MySQL 数据库访问操作
+ *
+ * 【主要功能】
+ * 1. 查询全部设置
+ * 2. 按名称查询设置
+ * 3. 保存设置（已存在则覆盖）
+ *
+ * 【说明】
+ * setting_value 以 JSON 字符串存储，读写时自动序列化
+ *
+ * 【依赖】
+ * - config/database.js: 数据库连接和查询方法
+ *
+ * 【被谁使用】
+ * - services/SettingsService.js: 调用数据访问方法
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+const { query } = require("../config/database");
+
+/**
+ * 把数据库行映射为设置记录
+ *
+ * @param {Object} row - 数据库行
+ * @returns {Object} 设置记录 { key, value, updatedBy, updatedAt }
+ */
+function mapSetting(row) {
+  let value = null;
+  try {
+    value = JSON.parse(row.setting_value);
+  } catch (error) {
+    value = null;
+  }
+
+  return {
+    key: row.setting_key,
+    value,
+    updatedBy: row.updated_by,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * 查询全部设置
+ *
+ * @returns {Promise<Array<Object>>} 设置记录列表
+ */
+async function findAll() {
+  const sql = `SELECT * FROM system_settings`;
+  const results = await query(sql);
+
+  return results.map(mapSetting);
+}
+
+/**
+ * 按名称查询设置
+ *
+ * @param {string} key - 设置名称
+ * @returns {Promise<Object|null>} 设置记录，不存在则返回 null
+ */
+async function findByKey(key) {
+  const sql = `SELECT * FROM system_settings WHERE setting_key = ?`;
+  const results = await query(sql, [key]);
+
+  return results.length > 0 ? mapSetting(results[0]) : null;
+}
+
+/**
+ * 保存设置
+ *
+ * @param {string} key - 设置名称
+ * @param {*} value - 设置值（可 JSON 序列化）
+ * @param {string|null} updatedBy - 修改人 ID
+ * @returns {Promise<Object>} 保存后的设置记录
+ */
+async function upsert(key, value, updatedBy) {
+  const now = Date.now();
+  const sql = `
+    INSERT INTO system_settings (setting_key, setting_value, updated_by, updated_at)
+    VALUES (?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      setting_value = VALUES(setting_value),
+      updated_by = VALUES(updated_by),
+      updated_at = VALUES(updated_at)
+  `;
+  await query(sql, [key, JSON.stringify(value), updatedBy || null, now]);
+
+  return {
+    key,
+    value,
+    updatedBy: updatedBy || null,
+    updatedAt: now,
+  };
+}
+
+module.exports = {
+  findAll,
+  findByKey,
+  upsert,
+};
@@ -0,0 +1,229 @@
+/**
+ * ============================================
+ * LLM 用量数据访问层 (UsageRepository.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 管理 LLM 用量记录（llm_usage 表）的 MySQL 数据库访问操作
+ *
+ * 【主要功能】
+ * 1. 保存一条用量记录（每条 Agent 回复一条）
+ * 2. 汇总时间范围内的总用量
+ * 3. 按用户、Agent、模型或日期分组汇总
+ *
+ * 【说明】
+ * - 日期范围按 usage_date（YYYY-MM-DD，含首尾两天）筛选
+ * - 没有返回用量的记录 token 数为 NULL，汇总时按 0 计算；没有价格的记录单独统计条数（unpricedRequests）
+ *
+ * 【依赖】
+ * - config/database.js: 数据库连接和查询方法
+ *
+ * 【被谁使用】
+ * - services/UsageService.js: 调用数据访问方法
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+const { query } = require("../config/database");
+
+/**
+ * 分组方式
+ *
+ * 【字段说明】
+ * - key：分组依据（返回为 key）
+ * - label：展示名称（用户名 / Agent 名称 / 提供商 / 无）
+ * - join：需要关联的表
+ * - order：排序方式（按日期分组时按日期升序，其他按费用和请求数降序）
+ */
+const GROUPS = {
+  user: {
+    key: "u.user_id",
+    label: "MAX(users.username)",
+    join: "LEFT JOIN users ON users.id = u.user_id",
+    order: "cost DESC, requests DESC",
+  },
+  agent: {
+    key: "u.agent_id",
+    label: "MAX(agents.name)",
+    join: "LEFT JOIN agents ON agents.id = u.agent_id",
+    order: "cost DESC, requests DESC",
+  },
+  model: {
+    key: "u.model",
+    label: "MAX(u.provider)",
+    join: "",
+    order: "cost DESC, requests DESC",
+  },
+  day: {
+    key: "DATE_FORMAT(u.usage_date, '%Y-%m-%d')",
+    label: "NULL",
+    join: "",
+    order: "group_key ASC",
+  },
+};
+
+/**
+ * 汇总字段
+ */
+const AGGREGATE_COLUMNS = `
+  COUNT(*) AS requests,
+  COALESCE(SUM(u.prompt_tokens), 0) AS prompt_tokens,
+  COALESCE(SUM(u.completion_tokens), 0) AS completion_tokens,
+  COALESCE(SUM(u.cost), 0) AS cost,
+  SUM(CASE WHEN u.cost IS NULL THEN 1 ELSE 0 END) AS unpriced_requests,
+  COALESCE(AVG(u.latency_ms), 0) AS avg_latency_ms
+`;
+
+/**
+ * 把汇总结果行映射为统计数据
+ *
+ * 【说明】
+ * mysql2 把 SUM / AVG 的结果作为字符串返回，这里统一转换为数字
+ *
+ * @param {Object} row - 数据库行
+ * @returns {Object} { requests, promptTokens, completionTokens, totalTokens, cost, unpricedRequests, avgLatencyMs }
+ */
+function mapAggregate(row) {
+  const promptTokens = Number(row.prompt_tokens) || 0;
+  const completionTokens = Number(row.completion_tokens) || 0;
+
+  return {
+    requests: Number(row.requests) || 0,
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+    cost: Number(row.cost) || 0,
+    unpricedRequests: Number(row.unpriced_requests) || 0,
+    avgLatencyMs: Math.round(Number(row.avg_latency_ms) || 0),
+  };
+}
+
+/**
+ * 构建筛选条件
+ *
+ * @param {Object} filters - 筛选条件
+ * @param {string} filters.startDate - 开始日期（YYYY-MM-DD，含）
+ * @param {string} filters.endDate - 结束日期（YYYY-MM-DD，含）
+ * @param {string} [filters.userId] - 只统计该用户
+ * @param {string} [filters.agentId] - 只统计该 Agent
+ * @returns {Object} { where, params }
+ */
+function buildWhere(filters) {
+  const conditions = ["u.usage_date >= ?", "u.usage_date <= ?"];
+  const params = [filters.startDate, filters.endDate];
+
+  if (filters.userId) {
+    conditions.push("u.user_id = ?");
+    params.push(filters.userId);
+  }
+  if (filters.agentId) {
+    conditions.push("u.agent_id = ?");
+    params.push(filters.agentId);
+  }
+
+  return { where: conditions.join(" AND "), params };
+}
+
+/**
+ * 保存用量记录
+ *
+ * @param {Object} usageData - 用量数据
+ * @param {string} usageData.id - 记录 ID
+ * @param {string} usageData.eventId - Agent 回复的 Event ID
+ * @param {string} usageData.userId - 用户 ID
+ * @param {string} usageData.agentId - Agent ID
+ * @param {string} usageData.sessionId - 会话 ID
+ * @param {string} usageData.model - 实际使用的模型
+ * @param {string} usageData.provider - 实际使用的提供商
+ * @param {number|null} usageData.promptTokens - 输入 token 数
+ * @param {number|null} usageData.completionTokens - 输出 token 数
+ * @param {number} usageData.latencyMs - 耗时（毫秒）
+ * @param {number|null} usageData.cost - 估算费用（美元）
+ * @param {string} usageData.usageDate - 统计日期（YYYY-MM-DD）
+ * @param {number} usageData.createdAt - 创建时间戳（毫秒）
+ * @returns {Promise<Object>} 保存的记录
+ */
+async function create(usageData) {
+  const sql = `
+    INSERT INTO llm_usage
+      (id, event_id, user_id, agent_id, session_id, model, provider,
+       prompt_tokens, completion_tokens, latency_ms, cost, usage_date, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `;
+  await query(sql, [
+    usageData.id,
+    usageData.eventId,
+    usageData.userId,
+    usageData.agentId,
+    usageData.sessionId,
+    usageData.model,
+    usageData.provider,
+    usageData.promptTokens ?? null,
+    usageData.completionTokens ?? null,
+    usageData.latencyMs || 0,
+    usageData.cost ?? null,
+    usageData.usageDate,
+    usageData.createdAt,
+  ]);
+
+  return { ...usageData };
+}
+
+/**
+ * 汇总总用量
+ *
+ * @param {Object} filters - 筛选条件（见 buildWhere）
+ * @returns {Promise<Object>} 统计数据（见 mapAggregate）
+ */
+async function getTotals(filters) {
+  const { where, params } = buildWhere(filters);
+  const sql = `SELECT ${AGGREGATE_COLUMNS} FROM llm_usage u WHERE ${where}`;
+  const results = await query(sql, params);
+
+  return mapAggregate(results[0] || {});
+}
+
+/**
+ * 分组汇总用量
+ *
+ * @param {string} groupBy - 分组方式：user / agent / model / day
+ * @param {Object} filters - 筛选条件（见 buildWhere）
+ * @param {number} [limit] - 最多返回的分组数（不传则全部返回）
+ * @returns {Promise<Array<Object>>} [{ key, label, ...统计数据 }]
+ * @throws {Error} 不支持的分组方式
+ */
+async function aggregate(groupBy, filters, limit) {
+  const group = GROUPS[groupBy];
+  if (!group) {
+    throw new Error(`Unsupported usage group: ${groupBy}`);
+  }
+
+  const { where, params } = buildWhere(filters);
+  let sql = `
+    SELECT ${group.key} AS group_key, ${group.label} AS label, ${AGGREGATE_COLUMNS}
+    FROM llm_usage u
+    ${group.join}
+    WHERE ${where}
+    GROUP BY group_key
+    ORDER BY ${group.order}
+  `;
+  // 注意：LIMIT 参数不能使用参数化查询，需要直接拼接
+  const safeLimit = parseInt(limit, 10);
+  if (safeLimit > 0) {
+    sql += ` LIMIT ${safeLimit}`;
+  }
+  const results = await query(sql, params);
+
+  return results.map((row) => ({
+    key: row.group_key,
+    label: row.label ?? null,
+    ...mapAggregate(row),
+  }));
+}
+
+module.exports = {
+  create,
+  getTotals,
+  aggregate,
+};
@@ -0,0 +1,132 @@
+/**
+ * ============================================
+ * 用户 API Key 数据访问层 (UserApiKeyRepository.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 管理用户 API Key（user_api_keys 表）的 MySQL 数据库访问操作
+ *
+ * 【主要功能】
+ * 1. 保存（每个用户每个提供商一条，已存在则覆盖）
+ * 2. 按用户查询、按用户和提供商查询
+ * 3. 删除
+ *
+ * 【说明】
+ * 这一层只处理密文（encrypted_key），加密和解密由 services/UserApiKeyService.js 负责
+ *
+ * 【依赖】
+ * - config/database.js: 数据库连接和查询方法
+ *
+ * 【被谁使用】
+ * - services/UserApiKeyService.js: 调用数据访问方法
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+const { query } = require("../config/database");
+
+/**
+ * 把数据库行映射为 API Key 记录
+ *
+ * @param {Object} row - 数据库行
+ * @returns {Object} API Key 记录
+ */
+function mapApiKey(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    provider: row.provider,
+    encryptedKey: row.encrypted_key,
+    keyHint: row.key_hint,
+    validatedAt: row.validated_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * 保存 API Key（同一用户同一提供商已存在时覆盖）
+ *
+ * @param {Object} keyData - API Key 数据
+ * @param {string} keyData.id - 记录 ID（新建时使用）
+ * @param {string} keyData.userId - 用户 ID
+ * @param {string} keyData.provider - 提供商名称
+ * @param {string} keyData.encryptedKey - 加密后的 Key
+ * @param {string} keyData.keyHint - 脱敏后的 Key
+ * @param {number|null} keyData.validatedAt - 校验通过时间戳
+ * @returns {Promise<Object>} 保存后的记录
+ */
+async function upsert(keyData) {
+  const now = Date.now();
+  const sql = `
+    INSERT INTO user_api_keys
+      (id, user_id, provider, encrypted_key, key_hint, validated_at, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      encrypted_key = VALUES(encrypted_key),
+      key_hint = VALUES(key_hint),
+      validated_at = VALUES(validated_at),
+      updated_at = VALUES(updated_at)
+  `;
+  await query(sql, [
+    keyData.id,
+    keyData.userId,
+    keyData.provider,
+    keyData.encryptedKey,
+    keyData.keyHint,
+    keyData.validatedAt ?? null,
+    now,
+    now,
+  ]);
+
+  return findByUserAndProvider(keyData.userId, keyData.provider);
+}
+
+/**
+ * 查询用户的全部 API Key
+ *
+ * @param {string} userId - 用户 ID
+ * @returns {Promise<Array<Object>>} API Key 记录列表（按提供商排序）
+ */
+async function findByUser(userId) {
+  const sql = `SELECT * FROM user_api_keys WHERE user_id = ? ORDER BY provider ASC`;
+  const results = await query(sql, [userId]);
+
+  return results.map(mapApiKey);
+}
+
+/**
+ * 查询用户在某个提供商的 API Key
+ *
+ * @param {string} userId - 用户 ID
+ * @param {string} provider - 提供商名称
+ * @returns {Promise<Object|null>} API Key 记录，不存在则返回 null
+ */
+async function findByUserAndProvider(userId, provider) {
+  const sql = `SELECT * FROM user_api_keys WHERE user_id = ? AND provider = ?`;
+  const results = await query(sql, [userId, provider]);
+
+  return results.length > 0 ? mapApiKey(results[0]) : null;
+}
+
+/**
+ * 删除用户在某个提供商的 API Key
+ *
+ * @param {string} userId - 用户 ID
+ * @param {string} provider - 提供商名称
+ * @returns {Promise<boolean>} 是否删除了记录
+ */
+async function deleteByUserAndProvider(userId, provider) {
+  const sql = `DELETE FROM user_api_keys WHERE user_id = ? AND provider = ?`;
+  const result = await query(sql, [userId, provider]);
+
+  return result.affectedRows > 0;
+}
+
+module.exports = {
+  upsert,
+  findByUser,
+  findByUserAndProvider,
+  deleteByUserAndProvider,
+};
@@ -10,6 +10,9 @@
  * 1. 用户创建（注册）
  * 2. 根据 ID 查询用户
  * 3. 根据用户名查询用户
+ * 4. 更新用户角色
+ * 5. 更新账号状态（启用 / 禁用）
+ * 6. 通知中心已读时间（公告、版本更新日志）
  *
  * 【工作流程】
  * 创建用户 → 插入数据库 → 返回用户对象
@@ -20,10 +23,13 @@
  *
  * 【被谁使用】
  * - services/UserService.js: 调用数据访问方法
+ * - services/NotificationService.js: 通知中心已读时间
  *
  * 【重要说明】
  * - 使用 MySQL 数据库存储
- * - 密码当前明文存储（V1 版本），后续版本改为哈希
+ * - password 字段保存 scrypt 哈希（由 UserService 生成），V1 版本遗留的明文密码在用户登录成功后自动升级
+ * - role 为用户角色（user / admin），未设置时按 user 处理
+ * - status 为账号状态（active / disabled），未设置时按 active 处理
  *
  * @author AI Assistant
  * @created 2025-11-21
@@ -47,7 +53,8 @@ const { query } = require("../config/database");
  * @param {Object} userData - 用户数据
  * @param {string} userData.id - 用户 ID
  * @param {string} userData.username - 用户名
- * @param {string} userData.password - 密码（明文）
+ * @param {string} userData.password - 密码哈希
+ * @param {string} [userData.role] - 用户角色（默认 user）
  * @returns {Promise<Object>} 创建的用户对象
  *
  * 【错误处理】
@@ -58,14 +65,17 @@ async function create(userData) {
   const now = Date.now();
   
   const sql = `
-    INSERT INTO users (id, username, password, created_at, updated_at)
-    VALUES (?, ?, ?, ?, ?)
+    INSERT INTO users (id, username, password, role, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?)
   `;
   
+  const role = userData.role || "user";
+
   await query(sql, [
     userData.id,
     userData.username,
     userData.password,
+    role,
     now,
     now,
   ]);
@@ -74,6 +84,8 @@ async function create(userData) {
     id: userData.id,
     username: userData.username,
     password: userData.password,
+    role,
+    status: "active",
     createdAt: now,
     updatedAt: now,
   };
@@ -106,6 +118,8 @@ async function findById(id) {
     id: user.id,
     username: user.username,
     password: user.password,
+    role: user.role || "user",
+    status: user.status || "active",
     createdAt: user.created_at,
     updatedAt: user.updated_at,
   };
@@ -138,6 +152,8 @@ async function findByUsername(username) {
     id: user.id,
     username: user.username,
     password: user.password,
+    role: user.role || "user",
+    status: user.status || "active",
     createdAt: user.created_at,
     updatedAt: user.updated_at,
     lastReadVersion: user.last_read_version || null,
@@ -173,6 +189,43 @@ async function updateLastReadVersion(userId, version) {
   return await findById(userId);
 }
 
+/**
+ * 获取用户的通知已读时间
+ *
+ * 【功能说明】
+ * 通知中心里的公告和版本更新日志，创建时间晚于这个时间的计为未读；
+ * 从未标记过已读时以注册时间为准（注册前发布的公告不算未读）
+ *
+ * 【参数说明】
+ * @param {string} userId - 用户 ID
+ * @returns {Promise<number|null>} 已读时间戳（毫秒），用户不存在时返回 null
+ */
+async function getNotificationsReadAt(userId) {
+  const sql = `SELECT notifications_read_at, created_at FROM users WHERE id = ?`;
+  const results = await query(sql, [userId]);
+
+  if (results.length === 0) {
+    return null;
+  }
+
+  const user = results[0];
+  return Number(user.notifications_read_at || user.created_at || 0);
+}
+
+/**
+ * 更新用户的通知已读时间
+ *
+ * 【参数说明】
+ * @param {string} userId - 用户 ID
+ * @param {number} timestamp - 已读时间戳（毫秒）
+ * @returns {Promise<boolean>} 是否更新成功（用户不存在时返回 false）
+ */
+async function updateNotificationsReadAt(userId, timestamp) {
+  const sql = `UPDATE users SET notifications_read_at = ? WHERE id = ?`;
+  const result = await query(sql, [timestamp, userId]);
+  return result.affectedRows > 0;
+}
+
 /**
  * 更新用户密码
  *
@@ -186,7 +239,7 @@ async function updateLastReadVersion(userId, version) {
  *
  * 【参数说明】
  * @param {string} userId - 用户 ID
- * @param {string} newPassword - 新密码
+ * @param {string} newPassword - 新密码哈希
  * @returns {Promise<Object|null>} 更新后的用户对象，如果用户不存在则返回 null
  *
  * 【错误处理】
@@ -213,10 +266,72 @@ async function updatePassword(userId, newPassword) {
   return await findById(userId);
 }
 
+/**
+ * 更新用户角色
+ *
+ * 【功能说明】
+ * 修改指定用户的角色（user / admin）
+ *
+ * 【参数说明】
+ * @param {string} userId - 用户 ID
+ * @param {string} role - 新角色
+ * @returns {Promise<Object|null>} 更新后的用户对象，如果用户不存在则返回 null
+ */
+async function updateRole(userId, role) {
+  const now = Date.now();
+
+  const sql = `
+    UPDATE users 
+    SET role = ?, updated_at = ?
+    WHERE id = ?
+  `;
+
+  const result = await query(sql, [role, now, userId]);
+
+  if (result.affectedRows === 0) {
+    return null; // 用户不存在
+  }
+
+  return await findById(userId);
+}
+
+/**
+ * 更新账号状态
+ *
+ * 【功能说明】
+ * 启用或禁用指定用户（active / disabled）
+ *
+ * 【参数说明】
+ * @param {string} userId - 用户 ID
+ * @param {string} status - 新状态
+ * @returns {Promise<Object|null>} 更新后的用户对象，如果用户不存在则返回 null
+ */
+async function updateStatus(userId, status) {
+  const now = Date.now();
+
+  const sql = `
+    UPDATE users 
+    SET status = ?, updated_at = ?
+    WHERE id = ?
+  `;
+
+  const result = await query(sql, [status, now, userId]);
+
+  if (result.affectedRows === 0) {
+    return null; // 用户不存在
+  }
+
+  return await findById(userId);
+}
+
 module.exports = {
   create,
   findById,
   findByUsername,
   updatePassword,
   updateLastReadVersion,
+  updateRole,
+  updateStatus,
+  getNotificationsReadAt,
+  updateNotificationsReadAt,
 };
@@ -6,18 +6,49 @@
  * 管理后台专用 API 路由
  * 
  * POST /api/admin/auth/login
+ * POST /api/admin/auth/refresh               用 Refresh Token 换发新的 Token（仅管理员）
+ * POST /api/admin/auth/logout                退出登录（吊销 Refresh Token）
  * GET  /api/admin/auth/me
+ * PUT  /api/admin/users/:userId/status       启用 / 禁用用户（禁用后吊销该用户全部 Refresh Token）
+ * PUT  /api/admin/users/:userId/role
+ * POST /api/admin/users/:userId/reset-token   签发一次性重置码（用户凭此在忘记密码中设置新密码）
+ * GET  /api/admin/users/:userId/quota         查看用户今天的配额状态（已用 / 上限 / 自定义配额）
+ * PUT  /api/admin/users/:userId/quota         设置用户的自定义每日配额（null 恢复默认，0 表示不限）
+ * GET  /api/admin/settings                   系统设置（如是否允许没有个人 API Key 的用户使用共享 Key 池）
+ * PUT  /api/admin/settings/:key              修改系统设置
+ * GET  /api/admin/announcements              公告列表（包含已下线的公告）
+ * POST /api/admin/announcements              发布公告（出现在所有用户的通知中心）
+ * PUT  /api/admin/announcements/:id          修改公告（标题、内容、是否发布）
+ * DELETE /api/admin/announcements/:id        删除公告
+ * GET  /api/admin/statistics/users           按用户汇总 LLM 用量（token 数、估算费用、耗时）
+ * GET  /api/admin/statistics/agents          按 NPC 汇总 LLM 用量
+ * GET  /api/admin/statistics/conversations   按日期汇总 LLM 用量（每日回复数和费用趋势）
+ * GET  /api/admin/statistics/models          按模型汇总 LLM 用量
+ *
+ * 【用量统计参数】
+ * startDate / endDate（YYYY-MM-DD，默认最近 30 天）、userId、agentId、limit（默认 50）
+ *
+ * 【权限】
+ * 除登录接口外，所有接口都需要管理员角色（authenticate + requireRole('admin')）
+ * 登录、刷新接口只给 role 为 admin 的账号签发 Token，普通用户返回 403 FORBIDDEN
+ * 登录接口与用户登录共用 login 限流策略（按 IP 计数）
  */
 
 const express = require('express');
 const router = express.Router();
 const userService = require('../services/UserService');
 const agentService = require('../services/AgentService');
+const accountRecoveryService = require('../services/AccountRecoveryService');
+const tokenService = require('../services/TokenService');
+const settingsService = require('../services/SettingsService');
+const usageService = require('../services/UsageService');
+const quotaService = require('../services/QuotaService');
+const announcementService = require('../services/AnnouncementService');
 const userRepository = require('../repositories/UserRepository');
 const agentRepository = require('../repositories/AgentRepository');
 const sessionRepository = require('../repositories/SessionRepository');
-const { generateAccessToken } = require('../utils/jwt');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimiter');
 const { query } = require('../config/database');
 
 // 统一响应辅助函数
@@ -44,13 +75,7 @@ function sendErrorResponse(res, statusCode, code, message) {
  * 管理后台登录
  * POST /api/admin/auth/login
  */
-router.post('/auth/login', async (req, res) => {
-  console.log('🔐 Admin login route called');
-  console.log('   Method:', req.method);
-  console.log('   URL:', req.url);
-  console.log('   Original URL:', req.originalUrl);
-  console.log('   Path:', req.path);
-  console.log('   Body:', { ...req.body, password: req.body.password ? '***' : undefined });
+router.post('/auth/login', rateLimit('login'), async (req, res) => {
   try {
     const { userId, password } = req.body;
     
@@ -62,43 +87,92 @@ router.post('/auth/login', async (req, res) => {
       return sendErrorResponse(res, 400, 'VALIDATION_ERROR', 'Password is required');
     }
 
-    console.log(`🔍 Attempting login for userId: ${userId}, password length: ${password?.length || 0}`);
-    console.log(`   Password bytes (hex): ${password ? Buffer.from(password).toString('hex') : 'none'}`);
+    console.log(`🔐 Admin login attempt: ${userId}`);
 
     // 验证用户密码
     const user = await userService.login(userId, password);
 
+    // 只有管理员可以登录管理后台
+    if (user.role !== 'admin') {
+      console.warn(`⚠️  Non-admin user tried to log in to admin: ${user.id}`);
+      return sendErrorResponse(res, 403, 'FORBIDDEN', '该账号没有管理后台权限');
+    }
+
     console.log(`✅ Login successful for user: ${user.id} (${user.username})`);
 
-    // 生成 Access Token
-    const accessToken = generateAccessToken({
-      userId: user.id,
-      username: user.username,
-    });
+    // 签发 Access Token 和 Refresh Token
+    const tokens = await tokenService.issueTokens(user);
 
     // 返回 Token 和用户信息
     sendSuccessResponse(res, 200, {
       user: {
         id: user.id,
         username: user.username,
+        role: user.role,
       },
-      accessToken,
-      expiresIn: '7d', // Token 有效期
+      ...tokens,
     });
   } catch (error) {
     console.error('❌ Login error:', error.code, error.message);
     const code = error.code || 'SYSTEM_ERROR';
     // 登录失败（用户不存在或密码错误）统一返回 401 Unauthorized
-    const status = (code === 'USER_NOT_FOUND' || code === 'INVALID_PASSWORD') ? 401 : (code === 'VALIDATION_ERROR' ? 400 : 500);
+    const status = (code === 'USER_NOT_FOUND' || code === 'INVALID_PASSWORD') ? 401 :
+                   (code === 'USER_DISABLED' ? 403 : (code === 'VALIDATION_ERROR' ? 400 : 500));
     sendErrorResponse(res, status, code, error.message);
   }
 });
 
+/**
+ * 刷新 Token
+ * POST /api/admin/auth/refresh
+ *
+ * 角色以数据库为准：已被取消管理员角色的账号刷新时吊销本次登录并返回 403
+ */
+router.post('/auth/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return sendErrorResponse(res, 400, 'VALIDATION_ERROR', 'Refresh token is required');
+    }
+
+    const result = await tokenService.refreshTokens(refreshToken);
+
+    if (result.user.role !== 'admin') {
+      await tokenService.revokeToken(result.refreshToken);
+      return sendErrorResponse(res, 403, 'FORBIDDEN', '该账号没有管理后台权限');
+    }
+
+    sendSuccessResponse(res, 200, result);
+  } catch (error) {
+    const code = error.code || 'SYSTEM_ERROR';
+    const status = code.startsWith('REFRESH_TOKEN') ? 401 :
+                   (code === 'USER_DISABLED' ? 403 :
+                   (code === 'VALIDATION_ERROR' ? 400 : 500));
+    sendErrorResponse(res, status, code, error.message);
+  }
+});
+
+/**
+ * 退出登录
+ * POST /api/admin/auth/logout
+ */
+router.post('/auth/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    const revoked = await tokenService.revokeToken(refreshToken);
+    sendSuccessResponse(res, 200, { revoked });
+  } catch (error) {
+    const code = error.code || 'SYSTEM_ERROR';
+    sendErrorResponse(res, 500, code, error.message);
+  }
+});
+
 /**
  * 获取当前登录的管理员信息
  * GET /api/admin/auth/me
  */
-router.get('/auth/me', authenticate, async (req, res) => {
+router.get('/auth/me', authenticate, requireRole('admin'), async (req, res) => {
   try {
     const userId = req.user.userId;
     console.log('🔍 Admin getMe called, userId:', userId);
@@ -116,6 +190,7 @@ router.get('/auth/me', authenticate, async (req, res) => {
       user: {
         id: user.id,
         username: user.username,
+        role: user.role,
       },
     });
   } catch (error) {
@@ -131,14 +206,14 @@ router.get('/auth/me', authenticate, async (req, res) => {
  * 获取用户列表
  * GET /api/admin/users
  */
-router.get('/users', authenticate, async (req, res) => {
+router.get('/users', authenticate, requireRole('admin'), async (req, res) => {
   try {
     const { page = 1, pageSize = 20, search } = req.query;
     const pageNum = parseInt(page);
     const pageSizeNum = parseInt(pageSize);
     const offset = (pageNum - 1) * pageSizeNum;
 
-    let sql = 'SELECT id, username, created_at, updated_at FROM users WHERE 1=1';
+    let sql = 'SELECT id, username, role, status, created_at, updated_at FROM users WHERE 1=1';
     const params = [];
 
     if (search) {
@@ -148,7 +223,7 @@ router.get('/users', authenticate, async (req, res) => {
     }
 
     // 获取总数
-    const countSql = sql.replace('SELECT id, username, created_at, updated_at', 'SELECT COUNT(*) as total');
+    const countSql = sql.replace('SELECT id, username, role, status, created_at, updated_at', 'SELECT COUNT(*) as total');
     const countResult = await query(countSql, params);
     const total = countResult[0].total;
 
@@ -177,8 +252,8 @@ router.get('/users', authenticate, async (req, res) => {
         return {
           id: user.id,
           username: user.username,
-          role: 'user', // 默认角色
-          status: 'active', // 默认状态
+          role: user.role || 'user',
+          status: user.status || 'active',
           agentCount,
           conversationCount,
           createdAt: user.created_at,
@@ -202,7 +277,7 @@ router.get('/users', authenticate, async (req, res) => {
  * 获取用户详情
  * GET /api/admin/users/:userId
  */
-router.get('/users/:userId', authenticate, async (req, res) => {
+router.get('/users/:userId', authenticate, requireRole('admin'), async (req, res) => {
   try {
     const { userId } = req.params;
     const user = await userService.getUserById(userId);
@@ -223,7 +298,7 @@ router.get('/users/:userId', authenticate, async (req, res) => {
  * 更新用户状态
  * PUT /api/admin/users/:userId/status
  */
-router.put('/users/:userId/status', authenticate, async (req, res) => {
+router.put('/users/:userId/status', authenticate, requireRole('admin'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { status } = req.body;
@@ -232,20 +307,40 @@ router.put('/users/:userId/status', authenticate, async (req, res) => {
       return sendErrorResponse(res, 400, 'VALIDATION_ERROR', 'Invalid status');
     }
 
-    // TODO: 实现状态更新逻辑（需要在 UserRepository 中添加方法）
-    // 目前先返回成功
-    const user = await userService.getUserById(userId);
-    if (!user) {
-      return sendErrorResponse(res, 404, 'USER_NOT_FOUND', 'User not found');
-    }
+    const user = await userService.updateUserStatus(userId, status, req.user.userId);
 
     sendSuccessResponse(res, 200, {
-      user: { ...user, status },
+      user,
       message: 'Status updated',
     });
   } catch (error) {
     const code = error.code || 'SYSTEM_ERROR';
-    const status = code === 'USER_NOT_FOUND' ? 404 : 500;
+    const status = code === 'USER_NOT_FOUND' ? 404 : (code === 'VALIDATION_ERROR' ? 400 : 500);
+    sendErrorResponse(res, status, code, error.message);
+  }
+});
+
+/**
+ * 修改用户角色
+ * PUT /api/admin/users/:userId/role
+ *
+ * 请求体：{ "role": "admin" | "user" }
+ * 不能修改自己的角色；角色变更在对方下次刷新 Token（最长 Access Token 有效期）后生效
+ */
+router.put('/users/:userId/role', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    const user = await userService.updateUserRole(userId, role, req.user.userId);
+
+    sendSuccessResponse(res, 200, {
+      user,
+      message: 'Role updated',
+    });
+  } catch (error) {
+    const code = error.code || 'SYSTEM_ERROR';
+    const status = code === 'USER_NOT_FOUND' ? 404 : (code === 'VALIDATION_ERROR' ? 400 : 500);
     sendErrorResponse(res, status, code, error.message);
   }
 });
@@ -254,7 +349,7 @@ router.put('/users/:userId/status', authenticate, async (req, res) => {
  * 重置用户密码
  * POST /api/admin/users/:userId/reset-password
  */
-router.post('/users/:userId/reset-password', authenticate, async (req, res) => {
+router.post('/users/:userId/reset-password', authenticate, requireRole('admin'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { newPassword } = req.body;
@@ -263,11 +358,34 @@ router.post('/users/:userId/reset-password', authenticate, async (req, res) => {
       return sendErrorResponse(res, 400, 'VALIDATION_ERROR', 'New password is required');
     }
 
-    await userService.forgotPassword(userId, newPassword);
+    await userService.resetPassword(userId, newPassword);
 
     sendSuccessResponse(res, 200, {
       message: 'Password reset successfully',
     });
+  } catch (error) {
+    const code = error.code || 'SYSTEM_ERROR';
+    const status = code === 'USER_NOT_FOUND' ? 404 : (code === 'VALIDATION_ERROR' ? 400 : 500);
+    sendErrorResponse(res, status, code, error.message);
+  }
+});
+
+/**
+ * 签发一次性重置码
+ * POST /api/admin/users/:userId/reset-token
+ *
+ * 重置码只在本次响应中返回，管理员转交给用户后由用户自己在忘记密码中设置新密码
+ */
+router.post('/users/:userId/reset-token', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const { token, expiresAt } = await accountRecoveryService.issueResetToken(userId, req.user.userId);
+
+    sendSuccessResponse(res, 201, {
+      resetToken: token,
+      expiresAt,
+    });
   } catch (error) {
     const code = error.code || 'SYSTEM_ERROR';
     const status = code === 'USER_NOT_FOUND' ? 404 : 500;
@@ -275,11 +393,58 @@ router.post('/users/:userId/reset-password', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * 查看用户今天的配额状态
+ * GET /api/admin/users/:userId/quota
+ *
+ * 返回 { date, resetAt, messages: { used, limit }, tokens: { used, limit }, exceeded, custom, defaults }
+ */
+router.get('/users/:userId/quota', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    await userService.getUserById(userId);
+    const quota = await quotaService.getQuotaStatus(userId);
+
+    sendSuccessResponse(res, 200, quota);
+  } catch (error) {
+    const code = error.code || 'SYSTEM_ERROR';
+    const status = code === 'USER_NOT_FOUND' ? 404 : 500;
+    sendErrorResponse(res, status, code, error.message);
+  }
+});
+
+/**
+ * 设置用户的自定义每日配额
+ * PUT /api/admin/users/:userId/quota
+ *
+ * 请求体：{ "dailyMessages": 500, "dailyTokens": null }
+ * 某一项为 null 时使用默认配额，0 表示不限；两项都为 null 时删除自定义配额
+ */
+router.put('/users/:userId/quota', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { dailyMessages, dailyTokens } = req.body || {};
+
+    const quota = await quotaService.setUserQuota(
+      userId,
+      { dailyMessages, dailyTokens },
+      req.user.userId
+    );
+
+    sendSuccessResponse(res, 200, quota);
+  } catch (error) {
+    const code = error.code || 'SYSTEM_ERROR';
+    const status = code === 'USER_NOT_FOUND' ? 404 : (code === 'VALIDATION_ERROR' ? 400 : 500);
+    sendErrorResponse(res, status, code, error.message);
+  }
+});
+
 /**
  * 删除用户
  * DELETE /api/admin/users/:userId
  */
-router.delete('/users/:userId', authenticate, async (req, res) => {
+router.delete('/users/:userId', authenticate, requireRole('admin'), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -306,7 +471,7 @@ router.delete('/users/:userId', authenticate, async (req, res) => {
  * 获取 NPC 列表
  * GET /api/admin/agents
  */
-router.get('/agents', authenticate, async (req, res) => {
+router.get('/agents', authenticate, requireRole('admin'), async (req, res) => {
   try {
     const { page = 1, pageSize = 20, search, userId, type } = req.query;
     const pageNum = parseInt(page);
@@ -387,7 +552,7 @@ router.get('/agents', authenticate, async (req, res) => {
  * 获取 NPC 详情
  * GET /api/admin/agents/:agentId
  */
-router.get('/agents/:agentId', authenticate, async (req, res) => {
+router.get('/agents/:agentId', authenticate, requireRole('admin'), async (req, res) => {
   try {
     const { agentId } = req.params;
     const agent = await agentService.getAgentById(agentId);
@@ -408,7 +573,7 @@ router.get('/agents/:agentId', authenticate, async (req, res) => {
  * 更新 NPC
  * PUT /api/admin/agents/:agentId
  */
-router.put('/agents/:agentId', authenticate, async (req, res) => {
+router.put('/agents/:agentId', authenticate, requireRole('admin'), async (req, res) => {
   try {
     const { agentId } = req.params;
     const updateData = req.body;
@@ -434,7 +599,7 @@ router.put('/agents/:agentId', authenticate, async (req, res) => {
  * 删除 NPC
  * DELETE /api/admin/agents/:agentId
  */
-router.delete('/agents/:agentId', authenticate, async (req, res) => {
+router.delete('/agents/:agentId', authenticate, requireRole('admin'), async (req, res) => {
   try {
     const { agentId } = req.params;
 
@@ -460,7 +625,7 @@ router.delete('/agents/:agentId', authenticate, async (req, res) => {
  * 获取仪表盘统计
  * GET /api/admin/statistics/dashboard
  */
-router.get('/statistics/dashboard', authenticate, async (req, res) => {
+router.get('/statistics/dashboard', authenticate, requireRole('admin'), async (req, res) => {
   try {
     console.log('📊 Dashboard statistics requested');
     
@@ -525,57 +690,194 @@ router.get('/statistics/dashboard', authenticate, async (req, res) => {
 });
 
 /**
- * 获取用户统计
- * GET /api/admin/statistics/users
+ * 获取系统设置
+ * GET /api/admin/settings
  */
-router.get('/statistics/users', authenticate, async (req, res) => {
+router.get('/settings', authenticate, requireRole('admin'), async (req, res) => {
   try {
-    // TODO: 实现更详细的用户统计
-    sendSuccessResponse(res, 200, {
-      message: 'User statistics',
-    });
+    const settings = await settingsService.listSettings();
+
+    sendSuccessResponse(res, 200, { settings });
   } catch (error) {
     sendErrorResponse(res, 500, 'SYSTEM_ERROR', error.message);
   }
 });
 
 /**
- * 获取 NPC 统计
- * GET /api/admin/statistics/agents
+ * 修改系统设置
+ * PUT /api/admin/settings/:key
+ *
+ * 请求体：{ "value": false }
  */
-router.get('/statistics/agents', authenticate, async (req, res) => {
+router.put('/settings/:key', authenticate, requireRole('admin'), async (req, res) => {
   try {
-    // TODO: 实现更详细的 NPC 统计
-    sendSuccessResponse(res, 200, {
-      message: 'Agent statistics',
-    });
+    const setting = await settingsService.updateSetting(
+      req.params.key,
+      req.body.value,
+      req.user.userId
+    );
+
+    sendSuccessResponse(res, 200, { setting });
   } catch (error) {
-    sendErrorResponse(res, 500, 'SYSTEM_ERROR', error.message);
+    const code = error.code || 'SYSTEM_ERROR';
+    const status = code === 'SETTING_NOT_FOUND' ? 404 : (code === 'VALIDATION_ERROR' ? 400 : 500);
+    sendErrorResponse(res, status, code, error.message);
   }
 });
 
+// ==================== 公告 ====================
+
 /**
- * 获取对话统计
- * GET /api/admin/statistics/conversations
+ * 公告错误码对应的 HTTP 状态码
+ *
+ * @param {string} code - 错误码
+ * @returns {number} HTTP 状态码
+ */
+function getAnnouncementErrorStatus(code) {
+  if (code === 'VALIDATION_ERROR') return 400;
+  if (code === 'ANNOUNCEMENT_NOT_FOUND') return 404;
+  return 500;
+}
+
+/**
+ * 获取公告列表（包含已下线的公告，按发布时间倒序）
+ * GET /api/admin/announcements?limit=50
  */
-router.get('/statistics/conversations', authenticate, async (req, res) => {
+router.get('/announcements', authenticate, requireRole('admin'), async (req, res) => {
   try {
-    // TODO: 实现更详细的对话统计
-    sendSuccessResponse(res, 200, {
-      message: 'Conversation statistics',
-    });
+    const announcements = await announcementService.listAnnouncements({ limit: req.query.limit });
+
+    sendSuccessResponse(res, 200, { announcements });
   } catch (error) {
     sendErrorResponse(res, 500, 'SYSTEM_ERROR', error.message);
   }
 });
 
+/**
+ * 发布公告
+ * POST /api/admin/announcements
+ *
+ * 请求体：{ "title": "维护通知", "content": "Markdown 内容", "isActive": true }
+ */
+router.post('/announcements', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const announcement = await announcementService.createAnnouncement(req.body, req.user.userId);
+
+    sendSuccessResponse(res, 201, { announcement });
+  } catch (error) {
+    const code = error.code || 'SYSTEM_ERROR';
+    sendErrorResponse(res, getAnnouncementErrorStatus(code), code, error.message);
+  }
+});
+
+/**
+ * 修改公告
+ * PUT /api/admin/announcements/:announcementId
+ *
+ * 请求体（字段均可选）：{ "title", "content", "isActive" }
+ */
+router.put('/announcements/:announcementId', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const announcement = await announcementService.updateAnnouncement(
+      req.params.announcementId,
+      req.body
+    );
+
+    sendSuccessResponse(res, 200, { announcement });
+  } catch (error) {
+    const code = error.code || 'SYSTEM_ERROR';
+    sendErrorResponse(res, getAnnouncementErrorStatus(code), code, error.message);
+  }
+});
+
+/**
+ * 删除公告
+ * DELETE /api/admin/announcements/:announcementId
+ */
+router.delete('/announcements/:announcementId', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    await announcementService.deleteAnnouncement(req.params.announcementId);
+
+    sendSuccessResponse(res, 200, { announcementId: req.params.announcementId });
+  } catch (error) {
+    const code = error.code || 'SYSTEM_ERROR';
+    sendErrorResponse(res, getAnnouncementErrorStatus(code), code, error.message);
+  }
+});
+
+/**
+ * 用量统计路由处理函数
+ *
+ * @param {string} groupBy - 分组方式：user / agent / model / day
+ * @returns {Function} Express 路由处理函数
+ */
+function handleUsageStatistics(groupBy) {
+  return async (req, res) => {
+    try {
+      const { startDate, endDate, userId, agentId, limit } = req.query;
+      const statistics = await usageService.getUsageStatistics(groupBy, {
+        startDate,
+        endDate,
+        userId,
+        agentId,
+        limit,
+      });
+
+      sendSuccessResponse(res, 200, statistics);
+    } catch (error) {
+      const code = error.code || 'SYSTEM_ERROR';
+      const status = code === 'VALIDATION_ERROR' ? 400 : 500;
+      sendErrorResponse(res, status, code, error.message);
+    }
+  };
+}
+
+/**
+ * 获取用户统计（按用户汇总 LLM 用量，按费用降序）
+ * GET /api/admin/statistics/users?startDate=2025-12-01&endDate=2025-12-10&limit=50
+ *
+ * 响应：{ range, groupBy: 'user', totals, items: [{ key: 用户 ID, label: 用户名, requests, promptTokens,
+ *        completionTokens, totalTokens, cost, unpricedRequests, avgLatencyMs }] }
+ */
+router.get('/statistics/users', authenticate, requireRole('admin'), handleUsageStatistics('user'));
+
+/**
+ * 获取 NPC 统计（按 NPC 汇总 LLM 用量，按费用降序）
+ * GET /api/admin/statistics/agents
+ *
+ * 响应同上，key 为 NPC ID，label 为 NPC 名称
+ */
+router.get('/statistics/agents', authenticate, requireRole('admin'), handleUsageStatistics('agent'));
+
+/**
+ * 获取对话统计（按日期汇总 LLM 用量，按日期升序）
+ * GET /api/admin/statistics/conversations
+ *
+ * 响应同上，key 为日期（YYYY-MM-DD），没有回复的日期不返回
+ */
+router.get('/statistics/conversations', authenticate, requireRole('admin'), handleUsageStatistics('day'));
+
+/**
+ * 获取模型统计（按模型汇总 LLM 用量，按费用降序）
+ * GET /api/admin/statistics/models
+ *
+ * 响应同上，key 为模型名称，label 为提供商
+ */
+router.get('/statistics/models', authenticate, requireRole('admin'), handleUsageStatistics('model'));
+
 // 路由加载确认
 console.log('✅ Admin routes loaded:');
 console.log('   POST /api/admin/auth/login');
 console.log('   GET  /api/admin/auth/me');
 console.log('   GET  /api/admin/users');
+console.log('   PUT  /api/admin/users/:userId/role');
+console.log('   GET  /api/admin/users/:userId/quota');
+console.log('   PUT  /api/admin/users/:userId/quota');
 console.log('   GET  /api/admin/agents');
 console.log('   GET  /api/admin/statistics/dashboard');
+console.log('   GET  /api/admin/statistics/users|agents|conversations|models');
+console.log('   GET  /api/admin/settings');
+console.log('   GET  /api/admin/announcements');
 
 module.exports = router;
 
@@ -93,7 +93,15 @@ function sendErrorResponse(res, statusCode, code, message) {
  *   "type": "special",
  *   "systemPrompt": "你是一位专业的学习教练...",
  *   "model": "gpt-4.1",
- *   "avatarUrl": "https://..." // 可选
+ *   "avatarUrl": "https://...", // 可选
+ *   "generationParams": {        // 可选，都可以省略
+ *     "temperature": 0.9,        // 0-2
+ *     "maxTokens": 1024,         // 1-32000 的整数
+ *     "topP": 0.95,              // 0-1
+ *     "stop": ["用户："],         // 最多 4 个
+ *     "frequencyPenalty": 0,     // -2 到 2
+ *     "presencePenalty": 0.5     // -2 到 2
+ *   }
  * }
  *
  * 【工作流程】
@@ -106,6 +114,7 @@ function sendErrorResponse(res, statusCode, code, message) {
  * - VALIDATION_ERROR → 400
  * - DUPLICATE_NAME → 409
  * - INVALID_MODEL → 400
+ * - INVALID_PROVIDER → 400
  * - SYSTEM_ERROR → 500
  */
 router.post("/", authenticate, async (req, res) => {
@@ -127,7 +136,11 @@ router.post("/", authenticate, async (req, res) => {
 
     // 根据错误码设置 HTTP 状态码
     let statusCode = 500;
-    if (errorCode === "VALIDATION_ERROR" || errorCode === "INVALID_MODEL") {
+    if (
+      errorCode === "VALIDATION_ERROR" ||
+      errorCode === "INVALID_MODEL" ||
+      errorCode === "INVALID_PROVIDER"
+    ) {
       statusCode = 400;
     } else if (errorCode === "DUPLICATE_NAME") {
       statusCode = 409;
@@ -330,6 +343,7 @@ router.get("/:id", authenticate, async (req, res) => {
  *   "name": "新的名称",
  *   "systemPrompt": "新的人设描述",
  *   "model": "gpt-4",
+ *   "generationParams": { "temperature": 0.3 }, // 整体替换，null 表示全部恢复默认值
  *   ...
  * }
  *
@@ -345,6 +359,7 @@ router.get("/:id", authenticate, async (req, res) => {
  * - PERMISSION_DENIED → 403（无权修改此 Agent）
  * - DUPLICATE_NAME → 409（名称已存在）
  * - INVALID_MODEL → 400（不支持的模型）
+ * - INVALID_PROVIDER → 400（提供商未启用）
  * - SYSTEM_ERROR → 500
  */
 router.put("/:id", authenticate, async (req, res) => {
@@ -386,7 +401,7 @@ router.put("/:id", authenticate, async (req, res) => {
         ? 404
         : code === "PERMISSION_DENIED"
         ? 403
-        : code === "VALIDATION_ERROR" || code === "INVALID_MODEL"
+        : code === "VALIDATION_ERROR" || code === "INVALID_MODEL" || code === "INVALID_PROVIDER"
         ? 400
         : code === "DUPLICATE_NAME"
         ? 409
@@ -0,0 +1,199 @@
+/**
+ * ============================================
+ * API Keys 路由 (apiKeys.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 处理用户设置中"我的 API Key"相关的 HTTP 请求，调用服务层处理业务逻辑
+ *
+ * 【主要功能】
+ * 1. GET /api/v1/api-keys - 获取可填写个人 Key 的提供商和已保存的 Key（脱敏）
+ * 2. PUT /api/v1/api-keys/:provider - 保存个人 Key（先向提供商验证）
+ * 3. DELETE /api/v1/api-keys/:provider - 删除个人 Key
+ *
+ * 【工作流程】
+ * 接收请求 → 参数解析 → 调用服务层 → 格式化响应 → 返回结果
+ *
+ * 【安全】
+ * 响应中只返回脱敏后的 Key（keyHint），不返回明文或密文；请求体不写入日志
+ *
+ * 【依赖】
+ * - express: Web 框架
+ * - services/UserApiKeyService.js: 个人 API Key 管理
+ *
+ * 【被谁使用】
+ * - server.js: 注册路由
+ *
+ * 【响应格式】
+ * 成功：{ success: true, data: {...}, timestamp: ... }
+ * 错误：{ success: false, error: { code, message }, timestamp: ... }
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+const express = require("express");
+const router = express.Router();
+const userApiKeyService = require("../services/UserApiKeyService");
+const { authenticate } = require("../middleware/auth");
+
+/**
+ * 统一响应格式
+ *
+ * @param {Object} res - Express 响应对象
+ * @param {number} statusCode - HTTP 状态码
+ * @param {Object} data - 响应数据
+ */
+function sendSuccessResponse(res, statusCode, data) {
+  res.status(statusCode).json({
+    success: true,
+    data: data,
+    timestamp: Date.now(),
+  });
+}
+
+/**
+ * 统一错误响应格式
+ *
+ * @param {Object} res - Express 响应对象
+ * @param {number} statusCode - HTTP 状态码
+ * @param {string} code - 错误码
+ * @param {string} message - 错误消息
+ */
+function sendErrorResponse(res, statusCode, code, message) {
+  res.status(statusCode).json({
+    success: false,
+    error: {
+      code: code,
+      message: message,
+    },
+    timestamp: Date.now(),
+  });
+}
+
+/**
+ * 错误码映射为 HTTP 状态码
+ *
+ * @param {string} errorCode - 错误码
+ * @returns {number} HTTP 状态码
+ */
+function getStatusCodeForError(errorCode) {
+  if (
+    errorCode === "VALIDATION_ERROR" ||
+    errorCode === "INVALID_PROVIDER" ||
+    errorCode === "INVALID_API_KEY"
+  ) {
+    return 400;
+  }
+  if (errorCode === "API_KEY_NOT_FOUND") {
+    return 404;
+  }
+  if (errorCode === "API_KEY_VALIDATION_FAILED") {
+    return 502; // 提供商不可用，无法确认 Key 是否有效
+  }
+  if (errorCode === "MASTER_KEY_MISSING") {
+    return 503;
+  }
+  return 500;
+}
+
+/**
+ * 获取我的 API Key
+ *
+ * 【路由】
+ * GET /api/v1/api-keys
+ *
+ * 【响应格式】
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "keys": [
+ *       {
+ *         "provider": "openrouter",
+ *         "label": "OpenRouter",
+ *         "configured": true,
+ *         "keyHint": "sk-o…a1b2",
+ *         "validatedAt": 1703001234567,
+ *         "updatedAt": 1703001234567,
+ *         "sharedKeyAvailable": true
+ *       }
+ *     ],
+ *     "sharedPoolEnabled": true,       // 没有个人 Key 时能否使用共享 Key
+ *     "encryptionConfigured": true     // 服务器是否配置了主密钥（未配置时无法保存）
+ *   }
+ * }
+ *
+ * 【错误处理】
+ * - SYSTEM_ERROR → 500（系统错误）
+ */
+router.get("/", authenticate, async (req, res) => {
+  try {
+    const result = await userApiKeyService.listApiKeys(req.user.userId);
+
+    sendSuccessResponse(res, 200, result);
+  } catch (error) {
+    const errorCode = error.code || "SYSTEM_ERROR";
+    const errorMessage = error.message || "获取 API Key 失败，请稍后重试";
+    sendErrorResponse(res, getStatusCodeForError(errorCode), errorCode, errorMessage);
+  }
+});
+
+/**
+ * 保存我的 API Key
+ *
+ * 【路由】
+ * PUT /api/v1/api-keys/:provider
+ *
+ * 【请求体】
+ * { "apiKey": "sk-or-v1-..." }
+ *
+ * 【响应格式】
+ * { "success": true, "data": { "key": { "provider": "openrouter", "configured": true, "keyHint": "sk-o…a1b2", ... } } }
+ *
+ * 【错误处理】
+ * - VALIDATION_ERROR → 400（Key 为空或格式不正确）
+ * - INVALID_PROVIDER → 400（提供商不存在、未启用或不需要 Key）
+ * - INVALID_API_KEY → 400（提供商拒绝了这个 Key）
+ * - API_KEY_VALIDATION_FAILED → 502（提供商暂时不可用）
+ * - MASTER_KEY_MISSING → 503（服务器未配置主密钥）
+ * - SYSTEM_ERROR → 500（系统错误）
+ */
+router.put("/:provider", authenticate, async (req, res) => {
+  try {
+    const key = await userApiKeyService.saveApiKey(
+      req.user.userId,
+      req.params.provider,
+      req.body.apiKey
+    );
+
+    sendSuccessResponse(res, 200, { key });
+  } catch (error) {
+    const errorCode = error.code || "SYSTEM_ERROR";
+    const errorMessage = error.message || "保存 API Key 失败，请稍后重试";
+    sendErrorResponse(res, getStatusCodeForError(errorCode), errorCode, errorMessage);
+  }
+});
+
+/**
+ * 删除我的 API Key
+ *
+ * 【路由】
+ * DELETE /api/v1/api-keys/:provider
+ *
+ * 【错误处理】
+ * - API_KEY_NOT_FOUND → 404（没有保存该提供商的 Key）
+ * - SYSTEM_ERROR → 500（系统错误）
+ */
+router.delete("/:provider", authenticate, async (req, res) => {
+  try {
+    await userApiKeyService.deleteApiKey(req.user.userId, req.params.provider);
+
+    sendSuccessResponse(res, 200, { provider: req.params.provider });
+  } catch (error) {
+    const errorCode = error.code || "SYSTEM_ERROR";
+    const errorMessage = error.message || "删除 API Key 失败，请稍后重试";
+    sendErrorResponse(res, getStatusCodeForError(errorCode), errorCode, errorMessage);
+  }
+});
+
+module.exports = router;
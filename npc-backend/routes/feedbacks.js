@@ -11,6 +11,9 @@
  * 2. GET /api/v1/feedbacks - 查询用户的反馈列表
  * 3. GET /api/v1/feedbacks/:id - 查询反馈详情
  *
+ * 【限流】
+ * 提交反馈使用 feedback 策略（见 config/rateLimit.js），超出时返回 429 RATE_LIMIT_EXCEEDED
+ *
  * @author AI Assistant
  * @created 2025-01-XX
  */
@@ -18,6 +21,7 @@
 const express = require('express');
 const router = express.Router();
 const feedbackService = require('../services/FeedbackService');
+const { rateLimit } = require('../middleware/rateLimiter');
 
 /**
  * 统一响应格式
@@ -57,7 +61,7 @@ function sendErrorResponse(res, statusCode, code, message) {
  *   "screenshots": ["url1", "url2"] // 可选
  * }
  */
-router.post('/', async (req, res) => {
+router.post('/', rateLimit('feedback'), async (req, res) => {
   try {
     const { userId, type, title, content, screenshots } = req.body;
     
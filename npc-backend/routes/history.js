@@ -79,17 +79,20 @@ function sendErrorResponse(res, statusCode, code, message) {
  * 获取对话历史
  *
  * 【路由】
- * GET /api/v1/history?userId=xxx&agentId=yyy
+ * GET /api/v1/history?userId=xxx&agentId=yyy&sessionId=zzz&before=cursor&limit=50
  *
  * 【功能说明】
- * 获取用户与指定 Agent 的完整对话历史记录
+ * 获取用户与指定 Agent 的对话历史记录（游标分页，默认返回最新的一页）
  *
  * 【查询参数】
  * - userId: 用户 ID（必填）
  * - agentId: Agent ID（必填）
+ * - sessionId: 会话 ID（可选，默认使用最近活跃的未归档会话）
+ * - before: 游标（可选，上一页响应中的 before），只返回它之前的更早消息
+ * - limit: 每页数量（可选，默认 50，最多 200）
  *
  * 【工作流程】
- * 1. 获取查询参数（userId, agentId）
+ * 1. 获取查询参数（userId, agentId, sessionId）
  * 2. 验证参数
  * 3. 调用服务层获取对话历史
  * 4. 返回成功响应
@@ -105,6 +108,7 @@ function sendErrorResponse(res, statusCode, code, message) {
  *         { "type": "user", "id": "user_123" },
  *         { "type": "agent", "id": "agent_456" }
  *       ],
+ *       "title": "帮我制定学习计划",
  *       "createdAt": 1703001234567,
  *       "lastActiveAt": 1703001235000
  *     },
@@ -133,18 +137,21 @@ function sendErrorResponse(res, statusCode, code, message) {
  *         "content": "你好！很高兴认识你",
  *         "timestamp": 1703001235000
  *       }
- *     ]
+ *     ],
+ *     "hasMore": true,                                          // 是否还有更早的消息
+ *     "before": "1703001234567_event_1234567890_abc123"         // 加载更早一页时传入的游标（没有时为 null）
  *   },
  *   "timestamp": 1703001234567
  * }
  *
  * 【业务规则】
  * 1. 如果 Session 不存在（用户和 Agent 从未对话过），返回 session: null, events: []
- * 2. 如果 Session 存在，返回完整的 Session 信息和该 Session 的所有事件
- * 3. 事件按时间升序排列（最早的在前）
+ * 2. 如果 Session 存在，返回完整的 Session 信息和该 Session 游标之前的一页事件
+ * 3. 事件按时间升序排列（最早的在前），游标按 (timestamp, id) 排序，翻页不会重复或遗漏
  *
  * 【错误处理】
  * - VALIDATION_ERROR → 400（参数验证失败）
+ * - SESSION_NOT_FOUND → 404（指定的会话不存在或不属于当前用户）
  * - SYSTEM_ERROR → 500（系统错误）
  */
 router.get("/", authenticate, async (req, res) => {
@@ -152,6 +159,7 @@ router.get("/", authenticate, async (req, res) => {
     // 从认证中间件获取 userId（优先），如果没有则从查询参数获取（兼容旧代码）
     const userId = req.user?.userId || req.query.userId;
     const agentId = req.query.agentId;
+    const sessionId = req.query.sessionId;
 
     // 验证 userId 参数
     if (!userId || typeof userId !== "string" || !userId.trim()) {
@@ -175,13 +183,18 @@ router.get("/", authenticate, async (req, res) => {
 
     // 调用服务层获取对话历史
     // EventService.getHistoryByUserAndAgent 会：
-    // 1. 通过 userId 和 agentId 查找 Session
+    // 1. 指定 sessionId 时查询该会话，否则通过 userId 和 agentId 查找默认会话
     // 2. 如果 Session 不存在，返回 null
     // 3. 如果 Session 存在，获取该 Session 的所有事件
     // 4. 返回 Session 信息和事件列表
     const history = await eventService.getHistoryByUserAndAgent(
       userId.trim(),
-      agentId.trim()
+      agentId.trim(),
+      typeof sessionId === "string" && sessionId.trim() ? sessionId.trim() : undefined,
+      {
+        before: typeof req.query.before === "string" && req.query.before.trim() ? req.query.before : undefined,
+        limit: req.query.limit,
+      }
     );
 
     // 调试日志
@@ -196,6 +209,8 @@ router.get("/", authenticate, async (req, res) => {
       return sendSuccessResponse(res, 200, {
         session: null,
         events: [],
+        hasMore: false,
+        before: null,
       });
     }
 
@@ -204,6 +219,8 @@ router.get("/", authenticate, async (req, res) => {
     sendSuccessResponse(res, 200, {
       session: history.session,
       events: history.events || [],
+      hasMore: history.hasMore || false,
+      before: history.before || null,
     });
   } catch (error) {
     // 错误处理
@@ -214,6 +231,8 @@ router.get("/", authenticate, async (req, res) => {
     let statusCode = 500;
     if (errorCode === "VALIDATION_ERROR") {
       statusCode = 400;
+    } else if (errorCode === "SESSION_NOT_FOUND") {
+      statusCode = 404;
     }
 
     sendErrorResponse(res, statusCode, errorCode, errorMessage);
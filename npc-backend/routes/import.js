@@ -9,6 +9,9 @@
  * 【路由】
  * POST /api/v1/import/conversations - 导入对话历史
  *
+ * 【限流】
+ * 使用 import 策略（见 config/rateLimit.js），超出时返回 429 RATE_LIMIT_EXCEEDED
+ *
  * @author AI Assistant
  * @created 2025-01-XX
  */
@@ -16,6 +19,7 @@
 const express = require('express');
 const router = express.Router();
 const importService = require('../services/ImportService');
+const { rateLimit } = require('../middleware/rateLimiter');
 
 /**
  * 统一响应格式：成功
@@ -66,7 +70,7 @@ function sendErrorResponse(res, statusCode, code, message) {
  *   }
  * }
  */
-router.post('/conversations', async (req, res) => {
+router.post('/conversations', rateLimit('import'), async (req, res) => {
   try {
     // 从请求中获取userId（假设通过中间件设置，如果没有则从body获取）
     const userId = req.user?.userId || req.body.userId;
@@ -0,0 +1,183 @@
+/**
+ * ============================================
+ * Memories API 路由 (memories.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 处理 NPC 长期记忆相关的 HTTP 请求，调用服务层处理业务逻辑
+ *
+ * 【主要功能】
+ * 1. GET /api/v1/memories?agentId=xxx&sessionId=yyy - 获取 NPC 记住的关于用户的信息（和会话摘要）
+ * 2. PUT /api/v1/memories/:memoryId - 编辑记忆
+ * 3. DELETE /api/v1/memories/:memoryId - 删除记忆
+ *
+ * 【工作流程】
+ * 接收请求 → 参数解析 → 调用服务层 → 格式化响应 → 返回结果
+ *
+ * 【依赖】
+ * - express: Web 框架
+ * - services/MemoryService.js: 记忆管理
+ *
+ * 【被谁使用】
+ * - server.js: 注册路由
+ *
+ * 【响应格式】
+ * 成功：{ success: true, data: {...}, timestamp: ... }
+ * 错误：{ success: false, error: { code, message }, timestamp: ... }
+ *
+ * @author AI Assistant
+ * @created 2025-12-04
+ */
+
+const express = require("express");
+const router = express.Router();
+const memoryService = require("../services/MemoryService");
+const { authenticate } = require("../middleware/auth");
+
+/**
+ * 统一响应格式
+ *
+ * @param {Object} res - Express 响应对象
+ * @param {number} statusCode - HTTP 状态码
+ * @param {Object} data - 响应数据
+ */
+function sendSuccessResponse(res, statusCode, data) {
+  res.status(statusCode).json({
+    success: true,
+    data: data,
+    timestamp: Date.now(),
+  });
+}
+
+/**
+ * 统一错误响应格式
+ *
+ * @param {Object} res - Express 响应对象
+ * @param {number} statusCode - HTTP 状态码
+ * @param {string} code - 错误码
+ * @param {string} message - 错误消息
+ */
+function sendErrorResponse(res, statusCode, code, message) {
+  res.status(statusCode).json({
+    success: false,
+    error: {
+      code: code,
+      message: message,
+    },
+    timestamp: Date.now(),
+  });
+}
+
+/**
+ * 错误码映射为 HTTP 状态码
+ *
+ * @param {string} errorCode - 错误码
+ * @returns {number} HTTP 状态码
+ */
+function getStatusCodeForError(errorCode) {
+  if (errorCode === "VALIDATION_ERROR") {
+    return 400;
+  }
+  if (errorCode === "MEMORY_NOT_FOUND" || errorCode === "SESSION_NOT_FOUND") {
+    return 404;
+  }
+  return 500;
+}
+
+/**
+ * 获取 NPC 的记忆
+ *
+ * 【路由】
+ * GET /api/v1/memories?agentId=xxx&sessionId=yyy
+ *
+ * 【查询参数】
+ * - agentId: Agent ID（必填）
+ * - sessionId: 会话 ID（可选，提供时同时返回该会话的摘要）
+ *
+ * 【响应格式】
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "memories": [
+ *       { "id": "mem_xxx", "content": "用户是一名大三学生", "source": "auto", "createdAt": ..., "updatedAt": ... }
+ *     ],
+ *     "summary": { "sessionId": "session_xxx", "summary": "...", "coveredUntil": ..., "updatedAt": ... }  // 可能为 null
+ *   }
+ * }
+ *
+ * 【错误处理】
+ * - VALIDATION_ERROR → 400（参数验证失败）
+ * - SESSION_NOT_FOUND → 404（会话不存在或不属于当前用户）
+ * - SYSTEM_ERROR → 500（系统错误）
+ */
+router.get("/", authenticate, async (req, res) => {
+  try {
+    const { agentId, sessionId } = req.query;
+
+    const result = await memoryService.listMemories(
+      req.user.userId,
+      agentId,
+      typeof sessionId === "string" && sessionId.trim() ? sessionId.trim() : undefined
+    );
+
+    sendSuccessResponse(res, 200, result);
+  } catch (error) {
+    const errorCode = error.code || "SYSTEM_ERROR";
+    const errorMessage = error.message || "获取记忆失败，请稍后重试";
+    sendErrorResponse(res, getStatusCodeForError(errorCode), errorCode, errorMessage);
+  }
+});
+
+/**
+ * 编辑记忆
+ *
+ * 【路由】
+ * PUT /api/v1/memories/:memoryId
+ *
+ * 【请求体】
+ * { "content": "用户是一名研究生" }
+ *
+ * 【错误处理】
+ * - VALIDATION_ERROR → 400（内容为空或过长）
+ * - MEMORY_NOT_FOUND → 404（记忆不存在或不属于当前用户）
+ * - SYSTEM_ERROR → 500（系统错误）
+ */
+router.put("/:memoryId", authenticate, async (req, res) => {
+  try {
+    const memory = await memoryService.updateMemory(
+      req.user.userId,
+      req.params.memoryId,
+      req.body.content
+    );
+
+    sendSuccessResponse(res, 200, { memory });
+  } catch (error) {
+    const errorCode = error.code || "SYSTEM_ERROR";
+    const errorMessage = error.message || "编辑记忆失败，请稍后重试";
+    sendErrorResponse(res, getStatusCodeForError(errorCode), errorCode, errorMessage);
+  }
+});
+
+/**
+ * 删除记忆
+ *
+ * 【路由】
+ * DELETE /api/v1/memories/:memoryId
+ *
+ * 【错误处理】
+ * - MEMORY_NOT_FOUND → 404（记忆不存在或不属于当前用户）
+ * - SYSTEM_ERROR → 500（系统错误）
+ */
+router.delete("/:memoryId", authenticate, async (req, res) => {
+  try {
+    await memoryService.deleteMemory(req.user.userId, req.params.memoryId);
+
+    sendSuccessResponse(res, 200, { memoryId: req.params.memoryId });
+  } catch (error) {
+    const errorCode = error.code || "SYSTEM_ERROR";
+    const errorMessage = error.message || "删除记忆失败，请稍后重试";
+    sendErrorResponse(res, getStatusCodeForError(errorCode), errorCode, errorMessage);
+  }
+});
+
+module.exports = router;
@@ -8,8 +8,16 @@
  *
  * 【主要功能】
  * 1. POST /api/v1/messages - 发送消息并获取 AI 回复
- * 2. 统一响应格式处理
- * 3. 错误处理和状态码设置
+ * 2. POST /api/v1/messages/stream - 发送消息并以 SSE 流式推送 AI 回复
+ * 3. GET /api/v1/messages/check - 轮询新消息（不支持流式的客户端的降级方案）
+ * 4. POST /api/v1/messages/:eventId/regenerate - 重新生成 Agent 回复
+ * 5. PUT /api/v1/messages/:eventId - 编辑用户消息并重新生成回复
+ * 6. POST /api/v1/messages/:eventId/switch-branch - 切换对话分支
+ * 7. GET /api/v1/messages/jobs/:jobId - 查询回复任务状态
+ * 8. POST /api/v1/messages/:eventId/retry - 重试生成失败的回复
+ * 9. POST /api/v1/messages/:eventId/cancel - 停止生成中的回复
+ * 10. 统一响应格式处理
+ * 11. 错误处理和状态码设置
  *
  * 【工作流程】
  * 接收请求 → 参数解析 → 调用服务层 → 格式化响应 → 返回结果
@@ -17,6 +25,20 @@
  * 【依赖】
  * - express: Web 框架
  * - services/MessageService.js: 业务逻辑层
+ * - services/JobService.js: 回复任务状态
+ * - middleware/rateLimiter.js: 接口限流（messages 策略）
+ * - middleware/quota.js: 每日配额检查
+ * - middleware/idempotency.js: Idempotency-Key 幂等重试（POST /api/v1/messages）
+ *
+ * 【限流与配额】
+ * 会生成 AI 回复的接口（发送、流式发送、重新生成、编辑、重试）先经过限流和每日配额检查：
+ * - RATE_LIMIT_EXCEEDED → 429（请求太频繁，响应头带 Retry-After）
+ * - QUOTA_EXCEEDED → 429（今天的配额已用完，details.quota 为配额状态）
+ *
+ * 【幂等与顺序】
+ * - POST /api/v1/messages 支持 Idempotency-Key 请求头：用同一个键重试返回第一次的响应，不会重复发送
+ * - 同一会话的回复按发送顺序逐个生成；上一条回复还没开始生成时连续发送的消息合并为一轮（batched 为 true）
+ * - 流式发送时会话中有生成中的回复 → 409 REPLY_IN_PROGRESS，客户端改用 POST /api/v1/messages
  *
  * 【被谁使用】
  * - server.js: 注册路由
@@ -33,7 +55,17 @@
 const express = require("express");
 const router = express.Router();
 const messageService = require("../services/MessageService");
+const sessionService = require("../services/SessionService");
+const jobService = require("../services/JobService");
 const { authenticate } = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimiter");
+const { checkDailyQuota } = require("../middleware/quota");
+const { idempotency } = require("../middleware/idempotency");
+
+/**
+ * 生成 AI 回复的接口共用的限流和配额检查
+ */
+const replyGuards = [rateLimit("messages"), checkDailyQuota];
 
 /**
  * 统一响应格式
@@ -75,6 +107,46 @@ function sendErrorResponse(res, statusCode, code, message) {
   });
 }
 
+/**
+ * 错误码映射为 HTTP 状态码
+ *
+ * @param {string} errorCode - 错误码
+ * @returns {number} HTTP 状态码
+ */
+function getStatusCodeForError(errorCode) {
+  if (errorCode === "VALIDATION_ERROR") {
+    return 400;
+  }
+  if (
+    errorCode === "AGENT_NOT_FOUND" ||
+    errorCode === "EVENT_NOT_FOUND" ||
+    errorCode === "SESSION_NOT_FOUND" ||
+    errorCode === "JOB_NOT_FOUND"
+  ) {
+    return 404;
+  }
+  if (
+    errorCode === "EVENT_SUPERSEDED" ||
+    errorCode === "REPLY_NOT_FAILED" ||
+    errorCode === "REPLY_NOT_PENDING" ||
+    errorCode === "REPLY_IN_PROGRESS"
+  ) {
+    return 409;
+  }
+  if (errorCode === "LLM_API_ERROR" || errorCode === "LLM_TIMEOUT") {
+    return 502; // Bad Gateway，表示上游服务（LLM API）错误
+  }
+  return 500;
+}
+
+/**
+ * SSE 心跳间隔（毫秒）
+ *
+ * 【说明】
+ * LLM 首个 token 可能要等较久，定期发送注释行防止 Nginx 等代理因读超时断开连接
+ */
+const SSE_HEARTBEAT_INTERVAL = 15000;
+
 /**
  * 发送消息
  *
@@ -88,13 +160,19 @@ function sendErrorResponse(res, statusCode, code, message) {
  * {
  *   "userId": "user_123",
  *   "agentId": "agent_456",
+ *   "sessionId": "session_xxx",  // 可选，默认发送到最近活跃的会话
  *   "text": "你好，我想了解一下学习计划",
- *   "contextLimit": 20  // 可选，默认 20
+ *   "contextLimit": 20  // 可选，最多使用的历史事件条数（默认只按模型的 token 预算选取）
  * }
  *
+ * 【请求头】
+ * Idempotency-Key: 客户端生成的唯一键（可选，1-255 个字符）。网络中断后用同一个键重试，
+ * 返回第一次的响应（响应头 Idempotent-Replayed: true），不会重复保存消息；
+ * 第一次请求还在处理中 → 409 IDEMPOTENCY_IN_PROGRESS，同一个键用于不同的请求体 → 422 IDEMPOTENCY_KEY_REUSED
+ *
  * 【工作流程】
- * 1. 接收请求体（userId, agentId, text, contextLimit）
- * 2. 调用服务层发送消息（异步）
+ * 1. 接收请求体（userId, agentId, sessionId, text, contextLimit）
+ * 2. 调用服务层发送消息（保存用户消息，回复任务入队）
  * 3. 返回成功响应（HTTP 200）
  * 4. 捕获错误并返回错误响应
  *
@@ -102,22 +180,31 @@ function sendErrorResponse(res, statusCode, code, message) {
  * {
  *   "success": true,
  *   "data": {
- *     "eventId": "event_1234567890_abc123",
- *     "content": "你好！我很乐意帮助你制定学习计划...",
- *     "timestamp": 1703001234567
+ *     "userEventId": "event_1234567890_abc123",
+ *     "replyEventId": "event_1234567890_def456",  // 生成中的占位回复（status 为 pending）
+ *     "sessionId": "session_xxx",
+ *     "timestamp": 1703001234567,
+ *     "maxLineWidth": 12,
+ *     "status": "pending",
+ *     "jobId": "job_1234567890_abc123",  // 回复任务 ID，可通过 /messages/jobs/:jobId 查询状态
+ *     "batched": false  // true 表示与上一条还没回复的消息合并为一轮（replyEventId 为之前的占位回复）
  *   },
  *   "timestamp": 1703001234567
  * }
  *
+ * Agent 回复由后台任务生成，结果原地写入占位回复（complete / failed）；
+ * 前端以 userEventId 作为 lastEventId、replyEventId 作为 pending 轮询 /messages/check 获取
+ *
  * 【错误处理】
  * - VALIDATION_ERROR → 400（参数验证失败）
  * - AGENT_NOT_FOUND → 404（Agent 不存在）
+ * - SESSION_NOT_FOUND → 404（指定的会话不存在或不属于当前用户）
  * - LLM_API_ERROR → 502（LLM API 调用失败）
  * - SYSTEM_ERROR → 500（系统错误）
  */
-router.post("/", authenticate, async (req, res) => {
+router.post("/", authenticate, idempotency(), ...replyGuards, async (req, res) => {
   try {
-    const { userId: bodyUserId, agentId, text, contextLimit } = req.body;
+    const { userId: bodyUserId, agentId, sessionId, text, contextLimit } = req.body;
     // 从认证中间件获取 userId（优先），如果没有则从请求体获取（兼容旧代码）
     const userId = req.user?.userId || bodyUserId;
 
@@ -126,11 +213,12 @@ router.post("/", authenticate, async (req, res) => {
     // 1. 验证参数
     // 2. 获取或创建 Session
     // 3. 创建用户消息 Event
-    // 4. 后台异步处理 LLM 调用和 Agent 回复
-    // 5. 立即返回用户消息 Event ID
+    // 4. Agent 回复任务入队（由 Worker 在后台生成，后端重启不会丢失）
+    // 5. 立即返回用户消息 Event ID 和任务 ID
     const result = await messageService.sendMessage({
       userId,
       agentId,
+      sessionId,
       text,
       contextLimit,
     });
@@ -143,16 +231,103 @@ router.post("/", authenticate, async (req, res) => {
     const errorMessage = error.message || "发送消息失败，请稍后重试";
 
     // 根据错误码设置 HTTP 状态码
-    let statusCode = 500;
-    if (errorCode === "VALIDATION_ERROR") {
-      statusCode = 400;
-    } else if (errorCode === "AGENT_NOT_FOUND") {
-      statusCode = 404;
-    } else if (errorCode === "LLM_API_ERROR" || errorCode === "LLM_TIMEOUT") {
-      statusCode = 502; // Bad Gateway，表示上游服务（LLM API）错误
+    sendErrorResponse(res, getStatusCodeForError(errorCode), errorCode, errorMessage);
+  }
+});
+
+/**
+ * 发送消息（SSE 流式回复）
+ *
+ * 【路由】
+ * POST /api/v1/messages/stream
+ *
+ * 【功能说明】
+ * 请求体与 POST /api/v1/messages 相同，但响应是 text/event-stream，
+ * AI 回复边生成边推送，不再需要轮询 /messages/check
+ *
+ * 【事件帧】
+ * event: start  data: { userEventId, replyEventId, sessionId, timestamp, maxLineWidth, status }  // replyEventId 可用于停止生成
+ * event: delta  data: { content }                      // 增量文本，可能有多帧
+ * event: done   data: { eventId, content, status, model, provider, timestamp, maxLineWidth }  // 已持久化的回复（model 为实际使用的模型，被停止时 status 为 stopped）
+ * event: error  data: { code, message, eventId }        // eventId 为持久化的错误消息（可能为 null）
+ *
+ * 【错误处理】
+ * - 用户消息保存前出错（参数验证、Agent 不存在等）：返回普通 JSON 错误响应，状态码同 POST /
+ * - 会话中有生成中的回复：409 REPLY_IN_PROGRESS（流式回复不排队，客户端改用 POST /）
+ * - 开始推流后出错：发送 error 帧后结束流
+ * - 客户端断开：停止推送，但回复仍会生成并保存，可通过 /messages/check 获取
+ */
+router.post("/stream", authenticate, ...replyGuards, async (req, res) => {
+  let clientClosed = false;
+  let heartbeatId = null;
+
+  res.on("close", () => {
+    clientClosed = true;
+    clearInterval(heartbeatId);
+  });
+
+  const writeFrame = (event, data) => {
+    if (clientClosed || res.writableEnded) {
+      return;
+    }
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const { userId: bodyUserId, agentId, sessionId, text, contextLimit } = req.body;
+    const userId = req.user?.userId || bodyUserId;
+
+    const result = await messageService.streamMessage({
+      userId,
+      agentId,
+      sessionId,
+      text,
+      contextLimit,
+      onStart: (ack) => {
+        res.status(200);
+        res.set({
+          "Content-Type": "text/event-stream; charset=utf-8",
+          "Cache-Control": "no-cache, no-transform",
+          Connection: "keep-alive",
+          "X-Accel-Buffering": "no", // 关闭 Nginx 代理缓冲，保证增量实时到达
+        });
+        res.flushHeaders();
+        heartbeatId = setInterval(() => {
+          if (!clientClosed && !res.writableEnded) {
+            res.write(": ping\n\n");
+          }
+        }, SSE_HEARTBEAT_INTERVAL);
+        writeFrame("start", ack);
+      },
+      onDelta: (delta) => writeFrame("delta", { content: delta }),
+    });
+
+    if (result.error) {
+      writeFrame("error", {
+        ...result.error,
+        eventId: result.agentEvent ? result.agentEvent.eventId : null,
+      });
+    } else {
+      writeFrame("done", result.agentEvent);
     }
+    clearInterval(heartbeatId);
+    res.end();
+  } catch (error) {
+    clearInterval(heartbeatId);
+    const errorCode = error.code || "SYSTEM_ERROR";
+    const errorMessage = error.message || "发送消息失败，请稍后重试";
 
-    sendErrorResponse(res, statusCode, errorCode, errorMessage);
+    if (!res.headersSent) {
+      return sendErrorResponse(
+        res,
+        getStatusCodeForError(errorCode),
+        errorCode,
+        errorMessage
+      );
+    }
+
+    writeFrame("error", { code: errorCode, message: errorMessage, eventId: null });
+    res.end();
   }
 });
 
@@ -160,15 +335,18 @@ router.post("/", authenticate, async (req, res) => {
  * 检查新消息（用于轮询）
  *
  * 【路由】
- * GET /api/v1/messages/check?sessionId=xxx&lastEventId=xxx
+ * GET /api/v1/messages/check?sessionId=xxx&lastEventId=xxx&limit=50
  *
  * 【功能说明】
  * 检查指定会话中是否有新消息（在 lastEventId 之后的消息）
- * 用于前端轮询获取 Agent 回复
+ * 用于前端轮询获取 Agent 回复；按 lastEventId 的 (timestamp, id) 做有上限的查询，不加载整个会话
  *
  * 【查询参数】
  * - sessionId: 会话 ID（必填）
- * - lastEventId: 最后已知的事件 ID（可选，如果不提供则返回所有事件）
+ * - lastEventId: 最后已知的事件 ID（可选，不提供或找不到时返回最新的一页）
+ * - limit: 最多返回的数量（可选，默认 50，最多 200）
+ * - pending: 前端正在等待的回复 ID，逗号分隔（可选）。生成中的回复完成后原地更新、时间位置不变，
+ *   按 lastEventId 查询不到，通过 updated 返回这些回复的最新状态
  *
  * 【响应格式】
  * {
@@ -180,11 +358,18 @@ router.post("/", authenticate, async (req, res) => {
  *         "id": "event_123",
  *         "fromType": "agent",
  *         "content": "回复内容",
+ *         "status": "complete",     // Agent 回复：pending（生成中）/ complete / failed（生成失败，content 为错误说明）
+ *         "errorCode": null,        // failed 时的错误码
  *         "timestamp": 1703001234567
  *       }
- *     ]
+ *     ],
+ *     "updated": [ ... ],  // pending 参数中各回复的最新状态（格式同 events）
+ *     "hasMore": false   // 新消息超过 limit 时为 true，以最后一条为 lastEventId 继续获取
  *   }
  * }
+ *
+ * 【错误处理】
+ * - SESSION_NOT_FOUND → 404（会话不存在或不属于当前用户）
  */
 router.get("/check", authenticate, async (req, res) => {
   try {
@@ -200,39 +385,319 @@ router.get("/check", authenticate, async (req, res) => {
       );
     }
 
-    // 获取会话的所有事件
+    // 只能查看自己参与的会话
+    const session = await sessionService.getSessionForUser(sessionId.trim(), req.user?.userId);
+
+    // 获取 lastEventId 之后的有效事件（附带兄弟分支信息，重新生成的回复可以显示 "< 2/2 >"）
     const eventService = require("../services/EventService");
     const { calculateMaxLineWidth } = require("../utils/textUtils");
-    const allEvents = await eventService.getEventsBySession(sessionId.trim());
+    const { events: newEvents, hasMore } = await eventService.getEventsAfter(
+      session.sessionId,
+      typeof lastEventId === "string" && lastEventId.trim() ? lastEventId.trim() : null,
+      { limit: req.query.limit }
+    );
 
-    // 如果提供了 lastEventId，只返回之后的事件
-    let newEvents = allEvents;
-    if (lastEventId && typeof lastEventId === "string" && lastEventId.trim()) {
-      const lastIndex = allEvents.findIndex(
-        (e) => e.id === lastEventId.trim()
-      );
-      if (lastIndex >= 0) {
-        newEvents = allEvents.slice(lastIndex + 1);
-      }
-    }
+    // 正在等待的回复的最新状态
+    const pendingIds =
+      typeof req.query.pending === "string"
+        ? req.query.pending.split(",").map((id) => id.trim()).filter(Boolean)
+        : [];
+    const updatedEvents = pendingIds.length > 0
+      ? await eventService.getEventsByIds(session.sessionId, pendingIds)
+      : [];
 
     // 为每个事件添加最长行宽度
-    const eventsWithWidth = newEvents.map(event => ({
+    const withWidth = (event) => ({
       ...event,
       maxLineWidth: calculateMaxLineWidth(event.content || ''),
-    }));
+    });
+    const eventsWithWidth = newEvents.map(withWidth);
 
     // 返回结果
     sendSuccessResponse(res, 200, {
       hasNew: eventsWithWidth.length > 0,
       events: eventsWithWidth,
+      updated: updatedEvents.map(withWidth),
+      hasMore,
     });
   } catch (error) {
     // 错误处理
     const errorCode = error.code || "SYSTEM_ERROR";
     const errorMessage = error.message || "检查新消息失败，请稍后重试";
 
-    sendErrorResponse(res, 500, errorCode, errorMessage);
+    sendErrorResponse(res, getStatusCodeForError(errorCode), errorCode, errorMessage);
+  }
+});
+
+/**
+ * 查询回复任务状态
+ *
+ * 【路由】
+ * GET /api/v1/messages/jobs/:jobId
+ *
+ * 【功能说明】
+ * 查询发送、重新生成、编辑消息时返回的回复任务（只能查询自己的任务）
+ *
+ * 【响应格式】
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "jobId": "job_123",
+ *     "type": "llm_reply",
+ *     "sessionId": "session_xxx",
+ *     "status": "queued",        // queued / running / succeeded / failed / cancelled
+ *     "attempts": 1,
+ *     "maxAttempts": 3,
+ *     "lastError": "LLM API 调用超时",   // 最近一次失败原因（没有失败过为 null）
+ *     "runAt": 1703001239567,     // 等待重试时为下次执行时间
+ *     "createdAt": 1703001234567,
+ *     "updatedAt": 1703001234567,
+ *     "finishedAt": null
+ *   }
+ * }
+ *
+ * 【错误处理】
+ * - JOB_NOT_FOUND → 404（任务不存在、不属于当前用户或已被清理）
+ */
+router.get("/jobs/:jobId", authenticate, async (req, res) => {
+  try {
+    const job = await jobService.getJobForUser(req.params.jobId, req.user.userId);
+    sendSuccessResponse(res, 200, job);
+  } catch (error) {
+    const errorCode = error.code || "SYSTEM_ERROR";
+    const errorMessage = error.message || "查询任务状态失败，请稍后重试";
+
+    sendErrorResponse(res, getStatusCodeForError(errorCode), errorCode, errorMessage);
+  }
+});
+
+/**
+ * 重新生成 Agent 回复
+ *
+ * 【路由】
+ * POST /api/v1/messages/:eventId/regenerate
+ *
+ * 【功能说明】
+ * 丢弃指定的 Agent 回复及其之后的消息（标记为已被替代，不再出现在历史和上下文中），
+ * 基于对应的用户消息重新生成回复
+ *
+ * 【请求体】
+ * { "contextLimit": 20 }  // 可选，最多使用的历史事件条数
+ *
+ * 【响应格式】
+ * 同 POST /api/v1/messages：{ userEventId, sessionId, timestamp, maxLineWidth, status: "pending", supersededCount, jobId }
+ * userEventId 为对应的用户消息 ID，前端以它作为 lastEventId 轮询新回复
+ *
+ * 【错误处理】
+ * - EVENT_NOT_FOUND → 404（消息不存在或不属于当前用户）
+ * - EVENT_SUPERSEDED → 409（消息已被替代）
+ */
+router.post("/:eventId/regenerate", authenticate, ...replyGuards, async (req, res) => {
+  try {
+    const result = await messageService.regenerateReply({
+      userId: req.user?.userId,
+      eventId: req.params.eventId,
+      contextLimit: req.body?.contextLimit,
+    });
+
+    sendSuccessResponse(res, 200, result);
+  } catch (error) {
+    const errorCode = error.code || "SYSTEM_ERROR";
+    const errorMessage = error.message || "重新生成失败，请稍后重试";
+
+    sendErrorResponse(res, getStatusCodeForError(errorCode), errorCode, errorMessage);
+  }
+});
+
+/**
+ * 编辑用户消息
+ *
+ * 【路由】
+ * PUT /api/v1/messages/:eventId
+ *
+ * 【功能说明】
+ * 用新内容替换指定的用户消息，原消息及之后的消息都被标记为已被替代，然后重新生成回复
+ *
+ * 【请求体】
+ * { "text": "修改后的问题", "contextLimit": 20 }
+ *
+ * 【响应格式】
+ * 同 POST /api/v1/messages：{ userEventId, sessionId, timestamp, maxLineWidth, status: "pending", supersededCount, jobId }
+ * userEventId 为新创建的用户消息 ID
+ *
+ * 【错误处理】
+ * - VALIDATION_ERROR → 400（内容为空、不是用户消息等）
+ * - EVENT_NOT_FOUND → 404
+ * - EVENT_SUPERSEDED → 409
+ */
+router.put("/:eventId", authenticate, ...replyGuards, async (req, res) => {
+  try {
+    const { text, contextLimit } = req.body;
+
+    const result = await messageService.editMessage({
+      userId: req.user?.userId,
+      eventId: req.params.eventId,
+      text,
+      contextLimit,
+    });
+
+    sendSuccessResponse(res, 200, result);
+  } catch (error) {
+    const errorCode = error.code || "SYSTEM_ERROR";
+    const errorMessage = error.message || "编辑消息失败，请稍后重试";
+
+    sendErrorResponse(res, getStatusCodeForError(errorCode), errorCode, errorMessage);
+  }
+});
+
+/**
+ * 重试生成失败的回复
+ *
+ * 【路由】
+ * POST /api/v1/messages/:eventId/retry
+ *
+ * 【功能说明】
+ * 把生成失败（status 为 failed）的 Agent 回复改回 pending，基于同一条用户消息重新生成，结果写回原位置。
+ * 不截断时间线，对话中间的失败回复也可以单独重试（上下文只包含这条回复之前的消息）
+ *
+ * 【请求体】
+ * { "contextLimit": 20 }  // 可选，最多使用的历史事件条数
+ *
+ * 【响应格式】
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "userEventId": "event_123",    // 对应的用户消息
+ *     "replyEventId": "event_456",   // 被重试的回复（现在为 pending）
+ *     "sessionId": "session_xxx",
+ *     "timestamp": 1703001234567,
+ *     "status": "pending",
+ *     "jobId": "job_123"
+ *   }
+ * }
+ * 前端以 replyEventId 作为 pending 轮询 /messages/check 获取结果
+ *
+ * 【错误处理】
+ * - VALIDATION_ERROR → 400（不是 Agent 回复、找不到对应的用户消息）
+ * - EVENT_NOT_FOUND → 404
+ * - EVENT_SUPERSEDED → 409
+ * - REPLY_NOT_FAILED → 409（回复没有失败，或已经在重新生成）
+ */
+router.post("/:eventId/retry", authenticate, ...replyGuards, async (req, res) => {
+  try {
+    const result = await messageService.retryReply({
+      userId: req.user?.userId,
+      eventId: req.params.eventId,
+      contextLimit: req.body?.contextLimit,
+    });
+
+    sendSuccessResponse(res, 200, result);
+  } catch (error) {
+    const errorCode = error.code || "SYSTEM_ERROR";
+    const errorMessage = error.message || "重试失败，请稍后重试";
+
+    sendErrorResponse(res, getStatusCodeForError(errorCode), errorCode, errorMessage);
+  }
+});
+
+/**
+ * 停止生成回复
+ *
+ * 【路由】
+ * POST /api/v1/messages/:eventId/cancel
+ *
+ * 【功能说明】
+ * 停止生成中（status 为 pending）的 Agent 回复：取消回复任务、中止上游 LLM 请求，
+ * 已生成的部分（流式回复）保存为 status 为 stopped 的回复，没有生成内容时 content 为空。
+ * 流式请求会收到 done 帧（status 为 stopped）后结束
+ *
+ * 【响应格式】
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "replyEventId": "event_456",
+ *     "sessionId": "session_xxx",
+ *     "status": "stopped",       // 停止与生成完成同时发生时可能是 complete / failed
+ *     "errorCode": null,
+ *     "content": "已生成的部分",
+ *     "model": null,
+ *     "timestamp": 1703001234567,
+ *     "maxLineWidth": 12
+ *   }
+ * }
+ *
+ * 【错误处理】
+ * - VALIDATION_ERROR → 400（不是 Agent 回复）
+ * - EVENT_NOT_FOUND → 404
+ * - EVENT_SUPERSEDED → 409
+ * - REPLY_NOT_PENDING → 409（回复已经生成结束）
+ */
+router.post("/:eventId/cancel", authenticate, async (req, res) => {
+  try {
+    const result = await messageService.cancelReply({
+      userId: req.user?.userId,
+      eventId: req.params.eventId,
+    });
+
+    sendSuccessResponse(res, 200, result);
+  } catch (error) {
+    const errorCode = error.code || "SYSTEM_ERROR";
+    const errorMessage = error.message || "停止生成失败，请稍后重试";
+
+    sendErrorResponse(res, getStatusCodeForError(errorCode), errorCode, errorMessage);
+  }
+});
+
+/**
+ * 切换对话分支
+ *
+ * 【路由】
+ * POST /api/v1/messages/:eventId/switch-branch
+ *
+ * 【功能说明】
+ * 把指定的兄弟分支（重新生成前的旧回复、编辑前的旧问题）设为激活路径，
+ * 之后的对话上下文只使用新的激活路径
+ * 返回新激活路径的最新一页，更早的消息用 before 游标通过历史接口加载
+ *
+ * 【响应格式】
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "sessionId": "session_xxx",
+ *     "events": [ { id, fromType, content, timestamp, siblingIds, siblingIndex, maxLineWidth, ... } ],
+ *     "hasMore": true,
+ *     "before": "1703001234567_evt_xxx"
+ *   }
+ * }
+ *
+ * 【错误处理】
+ * - EVENT_NOT_FOUND → 404（消息不存在或不属于当前用户）
+ * - VALIDATION_ERROR → 400（分支不在当前对话路径上）
+ */
+router.post("/:eventId/switch-branch", authenticate, async (req, res) => {
+  try {
+    const eventService = require("../services/EventService");
+    const { calculateMaxLineWidth } = require("../utils/textUtils");
+
+    const { sessionId, events, hasMore, before } = await eventService.switchBranch(
+      req.params.eventId,
+      req.user?.userId
+    );
+
+    sendSuccessResponse(res, 200, {
+      sessionId,
+      events: events.map((event) => ({
+        ...event,
+        maxLineWidth: calculateMaxLineWidth(event.content || ""),
+      })),
+      hasMore,
+      before,
+    });
+  } catch (error) {
+    const errorCode = error.code || "SYSTEM_ERROR";
+    const errorMessage = error.message || "切换分支失败，请稍后重试";
+
+    sendErrorResponse(res, getStatusCodeForError(errorCode), errorCode, errorMessage);
   }
 });
 
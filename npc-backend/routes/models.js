@@ -0,0 +1,93 @@
+/**
+ * ============================================
+ * Models API 路由 (models.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 返回可用的 LLM 提供商和模型目录，供创建和编辑 NPC 时选择
+ *
+ * 【主要功能】
+ * 1. GET /api/v1/models - 获取启用的提供商及其模型列表
+ *
+ * 【说明】
+ * 只返回名称、展示名和模型列表，不包含接口地址和 API Key
+ *
+ * 【依赖】
+ * - express: Web 框架
+ * - config/models.js: 模型目录和默认模型
+ *
+ * 【被谁使用】
+ * - server.js: 注册路由
+ *
+ * 【响应格式】
+ * 成功：{ success: true, data: {...}, timestamp: ... }
+ * 错误：{ success: false, error: { code, message }, timestamp: ... }
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+const express = require("express");
+const router = express.Router();
+const { getProviderCatalog, getDefaultModel } = require("../config/models");
+const { authenticate } = require("../middleware/auth");
+
+/**
+ * 统一响应格式
+ *
+ * @param {Object} res - Express 响应对象
+ * @param {number} statusCode - HTTP 状态码
+ * @param {Object} data - 响应数据
+ */
+function sendSuccessResponse(res, statusCode, data) {
+  res.status(statusCode).json({
+    success: true,
+    data: data,
+    timestamp: Date.now(),
+  });
+}
+
+/**
+ * 统一错误响应格式
+ *
+ * @param {Object} res - Express 响应对象
+ * @param {number} statusCode - HTTP 状态码
+ * @param {string} code - 错误码
+ * @param {string} message - 错误消息
+ */
+function sendErrorResponse(res, statusCode, code, message) {
+  res.status(statusCode).json({
+    success: false,
+    error: {
+      code: code,
+      message: message,
+    },
+    timestamp: Date.now(),
+  });
+}
+
+/**
+ * 获取模型目录
+ *
+ * 【路由】
+ * GET /api/v1/models
+ *
+ * 【响应】
+ * {
+ *   providers: [{ name, label, allowCustomModels, models: [{ id, label }] }],
+ *   defaultModel: { model, provider }
+ * }
+ */
+router.get("/", authenticate, (req, res) => {
+  try {
+    sendSuccessResponse(res, 200, {
+      providers: getProviderCatalog(),
+      defaultModel: getDefaultModel(),
+    });
+  } catch (error) {
+    console.error("[Models] Failed to load model catalog:", error);
+    sendErrorResponse(res, 500, "SYSTEM_ERROR", "获取模型列表失败，请稍后重试");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,152 @@
+/**
+ * ============================================
+ * 通知中心路由 (notifications.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 处理通知中心相关的 HTTP 请求，调用服务层处理业务逻辑
+ *
+ * 【主要功能】
+ * 1. GET /api/v1/notifications - 获取通知列表（未读回复、公告、版本更新日志）和未读数
+ * 2. POST /api/v1/notifications/read - 全部标记为已读
+ *
+ * 【工作流程】
+ * 接收请求 → 参数解析 → 调用服务层 → 格式化响应 → 返回结果
+ *
+ * 【依赖】
+ * - express: Web 框架
+ * - services/NotificationService.js: 通知中心
+ *
+ * 【被谁使用】
+ * - server.js: 注册路由
+ *
+ * 【响应格式】
+ * 成功：{ success: true, data: {...}, timestamp: ... }
+ * 错误：{ success: false, error: { code, message }, timestamp: ... }
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+const express = require("express");
+const router = express.Router();
+const notificationService = require("../services/NotificationService");
+const { authenticate } = require("../middleware/auth");
+
+/**
+ * 统一响应格式
+ *
+ * @param {Object} res - Express 响应对象
+ * @param {number} statusCode - HTTP 状态码
+ * @param {Object} data - 响应数据
+ */
+function sendSuccessResponse(res, statusCode, data) {
+  res.status(statusCode).json({
+    success: true,
+    data: data,
+    timestamp: Date.now(),
+  });
+}
+
+/**
+ * 统一错误响应格式
+ *
+ * @param {Object} res - Express 响应对象
+ * @param {number} statusCode - HTTP 状态码
+ * @param {string} code - 错误码
+ * @param {string} message - 错误消息
+ */
+function sendErrorResponse(res, statusCode, code, message) {
+  res.status(statusCode).json({
+    success: false,
+    error: {
+      code: code,
+      message: message,
+    },
+    timestamp: Date.now(),
+  });
+}
+
+/**
+ * 获取通知列表
+ *
+ * 【路由】
+ * GET /api/v1/notifications?limit=30
+ *
+ * 【查询参数】
+ * - limit: 最多返回的通知数（可选，默认 30，最多 100）
+ *
+ * 【响应格式】
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "items": [
+ *       {
+ *         "id": "reply:event_123",
+ *         "type": "reply",            // reply / announcement / changelog
+ *         "title": "学习教练",         // 回复为 NPC 名称
+ *         "content": "好的，我们先...", // 回复和版本更新日志为预览，公告为全文
+ *         "createdAt": 1703001234567,
+ *         "unread": true,
+ *         "sessionId": "session_123", // 仅回复
+ *         "agentId": "agent_456",     // 仅回复
+ *         "eventId": "event_123"      // 仅回复
+ *       }
+ *     ],
+ *     "unread": { "replies": 3, "announcements": 1, "changelogs": 0, "total": 4 }
+ *   }
+ * }
+ *
+ * 【错误处理】
+ * - SYSTEM_ERROR → 500（系统错误）
+ */
+router.get("/", authenticate, async (req, res) => {
+  try {
+    const result = await notificationService.getNotifications(req.user.userId, {
+      limit: req.query.limit,
+    });
+
+    sendSuccessResponse(res, 200, result);
+  } catch (error) {
+    const errorCode = error.code || "SYSTEM_ERROR";
+    const errorMessage = error.message || "获取通知失败，请稍后重试";
+    sendErrorResponse(res, 500, errorCode, errorMessage);
+  }
+});
+
+/**
+ * 全部标记为已读
+ *
+ * 【路由】
+ * POST /api/v1/notifications/read
+ *
+ * 【请求体】
+ * {
+ *   "all": true  // 可选，true 时同时把所有会话的回复标记为已读；默认只标记公告和版本更新日志
+ * }
+ *
+ * 【响应格式】
+ * { "success": true, "data": { "readAt": 1703001234567 } }
+ *
+ * 【错误处理】
+ * - VALIDATION_ERROR → 400（all 不是布尔值）
+ * - SYSTEM_ERROR → 500（系统错误）
+ */
+router.post("/read", authenticate, async (req, res) => {
+  try {
+    const all = req.body?.all;
+    if (all !== undefined && typeof all !== "boolean") {
+      return sendErrorResponse(res, 400, "VALIDATION_ERROR", "all 必须是布尔值");
+    }
+
+    const result = await notificationService.markNotificationsRead(req.user.userId, { all });
+
+    sendSuccessResponse(res, 200, result);
+  } catch (error) {
+    const errorCode = error.code || "SYSTEM_ERROR";
+    const errorMessage = error.message || "标记已读失败，请稍后重试";
+    sendErrorResponse(res, 500, errorCode, errorMessage);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,148 @@
+/**
+ * ============================================
+ * 实时推送 API 路由 (realtime.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 为登录用户提供实时事件流（SSE），同一账号在多个设备上打开页面时保持同步
+ *
+ * 【主要功能】
+ * 1. GET /api/v1/realtime/stream - 订阅当前用户的实时事件
+ *
+ * 【事件帧】
+ * event: ready    data: { instanceId, timestamp }            // 连接建立，客户端应重新同步一次数据
+ * event: message  data: { type, data, timestamp }            // 实时事件，type 见 services/RealtimeService.js
+ * 每 15 秒一行注释心跳（": ping"），防止代理和浏览器断开空闲连接
+ *
+ * 【说明】
+ * - 使用 fetch 读取（需要 Authorization 请求头），不使用 EventSource
+ * - 访问令牌过期时服务端结束连接，客户端刷新令牌后重新连接；
+ *   单个连接最长 30 分钟，之后同样结束，由客户端重新连接
+ * - 实例退出时结束所有连接，客户端重新连接到仍在运行的实例
+ *
+ * 【依赖】
+ * - express: Web 框架
+ * - services/RealtimeService.js: 订阅和推送
+ * - middleware/auth.js: 登录认证
+ * - utils/jwt.js: 读取访问令牌的过期时间
+ *
+ * 【被谁使用】
+ * - server.js: 注册路由
+ *
+ * 【错误响应】
+ * 401：未登录或令牌过期
+ * 429：{ success: false, error: { code: 'TOO_MANY_CONNECTIONS', message } }
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+const express = require("express");
+const router = express.Router();
+const realtimeService = require("../services/RealtimeService");
+const { authenticate } = require("../middleware/auth");
+const { verifyToken } = require("../utils/jwt");
+
+/**
+ * SSE 心跳间隔（毫秒）
+ */
+const SSE_HEARTBEAT_INTERVAL = 15000;
+
+/**
+ * 单个连接的最长时长（毫秒）
+ */
+const MAX_CONNECTION_MS = 30 * 60 * 1000;
+
+/**
+ * 计算连接的结束时间：访问令牌过期时间与最长连接时长中较早的一个
+ *
+ * @param {Object} req - Express 请求对象（已通过 authenticate）
+ * @returns {number} 距离结束的毫秒数
+ */
+function getConnectionLifetime(req) {
+  try {
+    const token = req.headers.authorization.substring(7);
+    const decoded = verifyToken(token);
+    if (decoded.exp) {
+      return Math.max(0, Math.min(decoded.exp * 1000 - Date.now(), MAX_CONNECTION_MS));
+    }
+  } catch (error) {
+    // authenticate 已经验证过令牌，这里只读取过期时间
+  }
+  return MAX_CONNECTION_MS;
+}
+
+/**
+ * 订阅实时事件
+ *
+ * 【路由】
+ * GET /api/v1/realtime/stream
+ */
+router.get("/stream", authenticate, (req, res) => {
+  const userId = req.user.userId;
+  let heartbeatId = null;
+  let lifetimeId = null;
+  let unsubscribe = null;
+
+  const writeFrame = (event, data) => {
+    if (res.writableEnded) {
+      return;
+    }
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const cleanup = () => {
+    clearInterval(heartbeatId);
+    clearTimeout(lifetimeId);
+    if (unsubscribe) {
+      unsubscribe();
+      unsubscribe = null;
+    }
+  };
+
+  const close = () => {
+    cleanup();
+    if (!res.writableEnded) {
+      res.end();
+    }
+  };
+
+  try {
+    unsubscribe = realtimeService.subscribe(userId, {
+      onMessage: (message) => writeFrame("message", message),
+      onClose: close,
+    });
+  } catch (error) {
+    const statusCode = error.code === "TOO_MANY_CONNECTIONS" ? 429 : 500;
+    return res.status(statusCode).json({
+      success: false,
+      error: {
+        code: error.code || "SYSTEM_ERROR",
+        message: error.message || "订阅实时事件失败",
+      },
+      timestamp: Date.now(),
+    });
+  }
+
+  res.on("close", cleanup);
+
+  res.status(200);
+  res.set({
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // 关闭 Nginx 代理缓冲，保证事件实时到达
+  });
+  res.flushHeaders();
+
+  heartbeatId = setInterval(() => {
+    if (!res.writableEnded) {
+      res.write(": ping\n\n");
+    }
+  }, SSE_HEARTBEAT_INTERVAL);
+  lifetimeId = setTimeout(close, getConnectionLifetime(req));
+
+  writeFrame("ready", { instanceId: realtimeService.INSTANCE_ID, timestamp: Date.now() });
+});
+
+module.exports = router;
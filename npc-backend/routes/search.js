@@ -0,0 +1,132 @@
+/**
+ * ============================================
+ * 搜索路由 (search.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 处理消息搜索相关的 HTTP 请求，调用服务层处理业务逻辑
+ *
+ * 【主要功能】
+ * 1. GET /api/v1/search - 在当前用户的所有会话中全文搜索消息
+ *
+ * 【工作流程】
+ * 接收请求 → 参数解析 → 调用服务层 → 格式化响应 → 返回结果
+ *
+ * 【依赖】
+ * - express: Web 框架
+ * - services/SearchService.js: 消息搜索
+ *
+ * 【被谁使用】
+ * - server.js: 注册路由
+ *
+ * 【响应格式】
+ * 成功：{ success: true, data: {...}, timestamp: ... }
+ * 错误：{ success: false, error: { code, message }, timestamp: ... }
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+const express = require("express");
+const router = express.Router();
+const searchService = require("../services/SearchService");
+const { authenticate } = require("../middleware/auth");
+
+/**
+ * 统一响应格式
+ *
+ * @param {Object} res - Express 响应对象
+ * @param {number} statusCode - HTTP 状态码
+ * @param {Object} data - 响应数据
+ */
+function sendSuccessResponse(res, statusCode, data) {
+  res.status(statusCode).json({
+    success: true,
+    data: data,
+    timestamp: Date.now(),
+  });
+}
+
+/**
+ * 统一错误响应格式
+ *
+ * @param {Object} res - Express 响应对象
+ * @param {number} statusCode - HTTP 状态码
+ * @param {string} code - 错误码
+ * @param {string} message - 错误消息
+ */
+function sendErrorResponse(res, statusCode, code, message) {
+  res.status(statusCode).json({
+    success: false,
+    error: {
+      code: code,
+      message: message,
+    },
+    timestamp: Date.now(),
+  });
+}
+
+/**
+ * 搜索消息
+ *
+ * 【路由】
+ * GET /api/v1/search?q=学习计划&agentId=agent_123&from=agent&startDate=2025-12-01&endDate=2025-12-10&limit=20&offset=0
+ *
+ * 【查询参数】
+ * - q: 搜索内容（必填，最多 100 个字符，多个关键词用空格分隔，需全部命中）
+ * - agentId: 只搜索与该 NPC 的对话（可选）
+ * - from: 发送方，user（我）或 agent（NPC）（可选）
+ * - startDate / endDate: 日期范围（YYYY-MM-DD，含首尾两天，可选）
+ * - limit: 每页数量（可选，默认 20，最多 50）
+ * - offset: 偏移量（可选，默认 0）
+ *
+ * 【响应格式】
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "query": "学习计划",
+ *     "terms": ["学习计划"],
+ *     "total": 3,
+ *     "hasMore": false,
+ *     "items": [
+ *       {
+ *         "eventId": "evt_123",
+ *         "sessionId": "session_123",
+ *         "sessionTitle": "期末复习",
+ *         "agentId": "agent_123",
+ *         "agentName": "小助手",
+ *         "agentAvatarUrl": null,
+ *         "fromType": "agent",
+ *         "timestamp": 1703001234567,
+ *         "snippet": "…我们来制定一个学习计划吧…",
+ *         "highlights": [[9, 13]]   // 关键词在 snippet 中的位置 [start, end)
+ *       }
+ *     ]
+ *   }
+ * }
+ *
+ * 【错误处理】
+ * - VALIDATION_ERROR → 400（搜索内容为空或过长、参数格式不正确）
+ * - SYSTEM_ERROR → 500（系统错误）
+ */
+router.get("/", authenticate, async (req, res) => {
+  try {
+    const result = await searchService.searchMessages(req.user.userId, {
+      q: req.query.q,
+      agentId: req.query.agentId,
+      from: req.query.from,
+      startDate: req.query.startDate,
+      endDate: req.query.endDate,
+      limit: req.query.limit,
+      offset: req.query.offset,
+    });
+
+    sendSuccessResponse(res, 200, result);
+  } catch (error) {
+    const errorCode = error.code || "SYSTEM_ERROR";
+    const errorMessage = error.message || "搜索失败，请稍后重试";
+    sendErrorResponse(res, errorCode === "VALIDATION_ERROR" ? 400 : 500, errorCode, errorMessage);
+  }
+});
+
+module.exports = router;
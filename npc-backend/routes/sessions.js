@@ -8,8 +8,12 @@
  *
  * 【主要功能】
  * 1. GET /api/v1/sessions?userId=xxx - 获取用户的所有会话列表（包含 Agent 信息）
- * 2. 统一响应格式处理
- * 3. 错误处理和状态码设置
+ * 2. POST /api/v1/sessions - 与指定 Agent 新建会话
+ * 3. PUT /api/v1/sessions/:sessionId - 重命名、归档或取消归档会话
+ * 4. DELETE /api/v1/sessions/:sessionId - 删除会话
+ * 5. PUT /api/v1/sessions/:sessionId/read - 标记会话已读（未读计数）
+ * 6. 统一响应格式处理
+ * 7. 错误处理和状态码设置
  *
  * 【工作流程】
  * 接收请求 → 参数解析 → 调用服务层 → 格式化响应 → 返回结果
@@ -18,6 +22,7 @@
  * - express: Web 框架
  * - services/SessionService.js: 会话管理
  * - services/AgentService.js: 获取 Agent 信息
+ * - services/NotificationService.js: 会话列表的未读回复数
  *
  * 【被谁使用】
  * - server.js: 注册路由
@@ -35,6 +40,7 @@ const express = require("express");
 const router = express.Router();
 const sessionService = require("../services/SessionService");
 const agentService = require("../services/AgentService");
+const notificationService = require("../services/NotificationService");
 const { authenticate } = require("../middleware/auth");
 
 /**
@@ -77,17 +83,66 @@ function sendErrorResponse(res, statusCode, code, message) {
   });
 }
 
+/**
+ * 错误码映射为 HTTP 状态码
+ *
+ * @param {string} errorCode - 错误码
+ * @returns {number} HTTP 状态码
+ */
+function getStatusCodeForError(errorCode) {
+  if (errorCode === "VALIDATION_ERROR") {
+    return 400;
+  }
+  if (errorCode === "AGENT_NOT_FOUND" || errorCode === "SESSION_NOT_FOUND") {
+    return 404;
+  }
+  return 500;
+}
+
+/**
+ * 格式化会话响应数据
+ *
+ * @param {Object} session - Session 对象
+ * @param {Object|null} agent - 会话对应的 Agent（可能已被删除）
+ * @param {number} [unreadCount=0] - 未读回复数
+ * @returns {Object} 会话响应数据
+ */
+function formatSession(session, agent, unreadCount = 0) {
+  const agentParticipant = session.participants.find((p) => p.type === "agent");
+
+  return {
+    sessionId: session.sessionId,
+    agentId: agentParticipant ? agentParticipant.id : null,
+    agent: agent
+      ? {
+          id: agent.id,
+          name: agent.name,
+          type: agent.type,
+          model: agent.model,
+          avatarUrl: agent.avatarUrl,
+        }
+      : null,
+    title: session.title || null,
+    createdAt: session.createdAt,
+    lastActiveAt: session.lastActiveAt,
+    archivedAt: session.archivedAt || null,
+    unreadCount,
+  };
+}
+
 /**
  * 获取用户的所有会话列表
  *
  * 【路由】
- * GET /api/v1/sessions?userId=xxx
+ * GET /api/v1/sessions?userId=xxx&agentId=yyy&includeArchived=false
  *
  * 【功能说明】
  * 获取用户参与的所有会话列表，每个会话包含 Agent 信息
  *
  * 【查询参数】
  * - userId: 用户 ID（必填）
+ * - agentId: 只返回与该 Agent 的会话（可选）
+ * - includeArchived: 是否包含已归档的会话（可选，默认 true）
  *
  * 【工作流程】
  * 1. 获取查询参数 userId
@@ -112,8 +167,11 @@ function sendErrorResponse(res, statusCode, code, message) {
  *           "model": "gpt-4",
  *           "avatarUrl": "https://..."
  *         },
+ *         "title": "帮我制定学习计划",
  *         "createdAt": 1703001234567,
- *         "lastActiveAt": 1703001235000
+ *         "lastActiveAt": 1703001235000,
+ *         "archivedAt": null,
+ *         "unreadCount": 2
  *       },
  *       ...
  *     ]
@@ -126,6 +184,8 @@ function sendErrorResponse(res, statusCode, code, message) {
  * 2. 会话按最后活动时间倒序排列（最新的在前）
  * 3. 每个会话包含对应的 Agent 信息
  * 4. 如果 Agent 不存在（可能被删除），agent 字段为 null
+ * 5. 已删除的会话不会返回
+ * 6. unreadCount 为会话中未读的 Agent 回复数
  *
  * 【错误处理】
  * - VALIDATION_ERROR → 400（参数验证失败）
@@ -150,7 +210,14 @@ router.get("/", authenticate, async (req, res) => {
     // SessionService.getSessionsByUser 会：
     // 1. 查询用户参与的所有 Session
     // 2. 按最后活动时间倒序排列
-    const sessions = await sessionService.getSessionsByUser(userId.trim());
+    const sessions = await sessionService.getSessionsByUser(userId.trim(), {
+      agentId:
+        typeof req.query.agentId === "string" && req.query.agentId.trim()
+          ? req.query.agentId.trim()
+          : undefined,
+      includeArchived: req.query.includeArchived !== "false",
+    });
+    const unreadCounts = await notificationService.getUnreadCounts(userId.trim());
 
     // 为每个会话补充 Agent 信息
     // 从 Session 的 participants 中找到 agent 类型的参与者
@@ -168,21 +235,7 @@ router.get("/", authenticate, async (req, res) => {
           // 如果 Agent 不存在，agent 为 null（不抛出错误，因为 Agent 可能被删除）
         }
 
-        return {
-          sessionId: session.sessionId,
-          agentId: agentParticipant ? agentParticipant.id : null,
-          agent: agent
-            ? {
-                id: agent.id,
-                name: agent.name,
-                type: agent.type,
-                model: agent.model,
-                avatarUrl: agent.avatarUrl,
-              }
-            : null,
-          createdAt: session.createdAt,
-          lastActiveAt: session.lastActiveAt,
-        };
+        return formatSession(session, agent, unreadCounts.sessions[session.sessionId] || 0);
       })
     );
 
@@ -195,13 +248,196 @@ router.get("/", authenticate, async (req, res) => {
     const errorCode = error.code || "SYSTEM_ERROR";
     const errorMessage = error.message || "获取会话列表失败，请稍后重试";
 
-    // 根据错误码设置 HTTP 状态码
-    let statusCode = 500;
-    if (errorCode === "VALIDATION_ERROR") {
-      statusCode = 400;
+    sendErrorResponse(res, getStatusCodeForError(errorCode), errorCode, errorMessage);
+  }
+});
+
+/**
+ * 新建会话
+ *
+ * 【路由】
+ * POST /api/v1/sessions
+ *
+ * 【功能说明】
+ * 与指定 Agent 开始一个新会话，新会话成为该 Agent 的默认会话
+ *
+ * 【请求体】
+ * {
+ *   "agentId": "agent_456",
+ *   "title": "周末旅行计划"  // 可选，不填时用第一条消息生成
+ * }
+ *
+ * 【响应格式】
+ * { "success": true, "data": { "session": { 同列表项 } } }
+ *
+ * 【错误处理】
+ * - VALIDATION_ERROR → 400（参数验证失败）
+ * - AGENT_NOT_FOUND → 404（Agent 不存在）
+ * - SYSTEM_ERROR → 500（系统错误）
+ */
+router.post("/", authenticate, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { agentId, title } = req.body;
+
+    if (!agentId || typeof agentId !== "string" || !agentId.trim()) {
+      return sendErrorResponse(res, 400, "VALIDATION_ERROR", "agentId 不能为空");
+    }
+
+    const agent = await agentService.getAgentById(agentId.trim());
+    if (!agent) {
+      return sendErrorResponse(res, 404, "AGENT_NOT_FOUND", "Agent 不存在");
     }
 
-    sendErrorResponse(res, statusCode, errorCode, errorMessage);
+    const session = await sessionService.createSession(userId, agentId.trim(), title);
+
+    sendSuccessResponse(res, 201, {
+      session: formatSession(session, agent),
+    });
+  } catch (error) {
+    const errorCode = error.code || "SYSTEM_ERROR";
+    const errorMessage = error.message || "创建会话失败，请稍后重试";
+    sendErrorResponse(res, getStatusCodeForError(errorCode), errorCode, errorMessage);
+  }
+});
+
+/**
+ * 更新会话（重命名、归档）
+ *
+ * 【路由】
+ * PUT /api/v1/sessions/:sessionId
+ *
+ * 【请求体】（字段均可选，至少提供一个）
+ * {
+ *   "title": "新标题",   // 空字符串或 null 表示清除标题
+ *   "archived": true     // true 归档，false 取消归档
+ * }
+ *
+ * 【响应格式】
+ * { "success": true, "data": { "session": { 同列表项 } } }
+ *
+ * 【错误处理】
+ * - VALIDATION_ERROR → 400（参数验证失败）
+ * - SESSION_NOT_FOUND → 404（会话不存在或不属于当前用户）
+ * - SYSTEM_ERROR → 500（系统错误）
+ */
+router.put("/:sessionId", authenticate, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { sessionId } = req.params;
+    const hasTitle = Object.prototype.hasOwnProperty.call(req.body, "title");
+    const hasArchived = Object.prototype.hasOwnProperty.call(req.body, "archived");
+
+    if (!hasTitle && !hasArchived) {
+      return sendErrorResponse(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "请提供 title 或 archived 字段"
+      );
+    }
+    if (hasArchived && typeof req.body.archived !== "boolean") {
+      return sendErrorResponse(res, 400, "VALIDATION_ERROR", "archived 必须是布尔值");
+    }
+
+    let session = null;
+    if (hasTitle) {
+      session = await sessionService.renameSession(sessionId, userId, req.body.title);
+    }
+    if (hasArchived) {
+      session = await sessionService.archiveSession(sessionId, userId, req.body.archived);
+    }
+
+    const agentParticipant = session.participants.find((p) => p.type === "agent");
+    const agent = agentParticipant
+      ? await agentService.getAgentById(agentParticipant.id)
+      : null;
+
+    sendSuccessResponse(res, 200, {
+      session: formatSession(session, agent),
+    });
+  } catch (error) {
+    const errorCode = error.code || "SYSTEM_ERROR";
+    const errorMessage = error.message || "更新会话失败，请稍后重试";
+    sendErrorResponse(res, getStatusCodeForError(errorCode), errorCode, errorMessage);
+  }
+});
+
+/**
+ * 删除会话
+ *
+ * 【路由】
+ * DELETE /api/v1/sessions/:sessionId
+ *
+ * 【功能说明】
+ * 软删除会话，删除后会话及其消息不再出现在列表和历史中
+ *
+ * 【响应格式】
+ * { "success": true, "data": { "sessionId": "session_xxx" } }
+ *
+ * 【错误处理】
+ * - SESSION_NOT_FOUND → 404（会话不存在或不属于当前用户）
+ * - SYSTEM_ERROR → 500（系统错误）
+ */
+router.delete("/:sessionId", authenticate, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { sessionId } = req.params;
+
+    await sessionService.deleteSession(sessionId, userId);
+
+    sendSuccessResponse(res, 200, { sessionId });
+  } catch (error) {
+    const errorCode = error.code || "SYSTEM_ERROR";
+    const errorMessage = error.message || "删除会话失败，请稍后重试";
+    sendErrorResponse(res, getStatusCodeForError(errorCode), errorCode, errorMessage);
+  }
+});
+
+/**
+ * 标记会话已读
+ *
+ * 【路由】
+ * PUT /api/v1/sessions/:sessionId/read
+ *
+ * 【功能说明】
+ * 把会话的已读游标移到指定事件，之前的 Agent 回复不再计为未读；
+ * 游标只前进不后退，也不会越过生成中的回复（它生成完成后仍计为未读）
+ *
+ * 【请求体】
+ * {
+ *   "eventId": "event_xxx"  // 可选，读到的最后一条消息；不填时标记到当前时间
+ * }
+ *
+ * 【响应格式】
+ * { "success": true, "data": { "sessionId", "lastReadAt", "lastReadEventId", "updated" } }
+ *
+ * 【错误处理】
+ * - VALIDATION_ERROR → 400（eventId 不属于该会话）
+ * - SESSION_NOT_FOUND → 404（会话不存在或不属于当前用户）
+ * - SYSTEM_ERROR → 500（系统错误）
+ */
+router.put("/:sessionId/read", authenticate, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { sessionId } = req.params;
+    const eventId = req.body?.eventId;
+
+    if (eventId !== undefined && eventId !== null && (typeof eventId !== "string" || !eventId.trim())) {
+      return sendErrorResponse(res, 400, "VALIDATION_ERROR", "eventId 必须是非空字符串");
+    }
+
+    const result = await sessionService.markSessionRead(
+      sessionId,
+      userId,
+      eventId ? eventId.trim() : undefined
+    );
+
+    sendSuccessResponse(res, 200, result);
+  } catch (error) {
+    const errorCode = error.code || "SYSTEM_ERROR";
+    const errorMessage = error.message || "标记已读失败，请稍后重试";
+    sendErrorResponse(res, getStatusCodeForError(errorCode), errorCode, errorMessage);
   }
 });
 
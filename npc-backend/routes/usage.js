@@ -0,0 +1,153 @@
+/**
+ * ============================================
+ * 用量路由 (usage.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 处理"我的用量"相关的 HTTP 请求，调用服务层处理业务逻辑
+ *
+ * 【主要功能】
+ * 1. GET /api/v1/usage - 获取当前用户的 token 用量和估算费用（总计、每日、按 NPC、按模型）
+ * 2. GET /api/v1/usage/quota - 获取当前用户今天的配额状态
+ *
+ * 【工作流程】
+ * 接收请求 → 参数解析 → 调用服务层 → 格式化响应 → 返回结果
+ *
+ * 【依赖】
+ * - express: Web 框架
+ * - services/UsageService.js: 用量统计
+ * - services/QuotaService.js: 每日配额
+ *
+ * 【被谁使用】
+ * - server.js: 注册路由
+ *
+ * 【响应格式】
+ * 成功：{ success: true, data: {...}, timestamp: ... }
+ * 错误：{ success: false, error: { code, message }, timestamp: ... }
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+const express = require("express");
+const router = express.Router();
+const usageService = require("../services/UsageService");
+const quotaService = require("../services/QuotaService");
+const { authenticate } = require("../middleware/auth");
+
+/**
+ * 统一响应格式
+ *
+ * @param {Object} res - Express 响应对象
+ * @param {number} statusCode - HTTP 状态码
+ * @param {Object} data - 响应数据
+ */
+function sendSuccessResponse(res, statusCode, data) {
+  res.status(statusCode).json({
+    success: true,
+    data: data,
+    timestamp: Date.now(),
+  });
+}
+
+/**
+ * 统一错误响应格式
+ *
+ * @param {Object} res - Express 响应对象
+ * @param {number} statusCode - HTTP 状态码
+ * @param {string} code - 错误码
+ * @param {string} message - 错误消息
+ */
+function sendErrorResponse(res, statusCode, code, message) {
+  res.status(statusCode).json({
+    success: false,
+    error: {
+      code: code,
+      message: message,
+    },
+    timestamp: Date.now(),
+  });
+}
+
+/**
+ * 获取我的用量
+ *
+ * 【路由】
+ * GET /api/v1/usage?startDate=2025-12-01&endDate=2025-12-10
+ *
+ * 【查询参数】
+ * - startDate: 开始日期（YYYY-MM-DD，可选，默认结束日期前 29 天）
+ * - endDate: 结束日期（YYYY-MM-DD，可选，默认今天）
+ *
+ * 【响应格式】
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "range": { "startDate": "2025-11-11", "endDate": "2025-12-10" },
+ *     "totals": {
+ *       "requests": 42,
+ *       "promptTokens": 52000,
+ *       "completionTokens": 8300,
+ *       "totalTokens": 60300,
+ *       "cost": 0.2805,             // 估算费用（美元）
+ *       "unpricedRequests": 0,      // 模型没有价格、未计算费用的回复数
+ *       "avgLatencyMs": 2310
+ *     },
+ *     "daily": [{ "key": "2025-12-10", "label": null, "requests": 5, ... }],
+ *     "agents": [{ "key": "agent_123", "label": "小助手", "requests": 30, ... }],
+ *     "models": [{ "key": "openai/gpt-4.1", "label": "openrouter", "requests": 42, ... }]
+ *   }
+ * }
+ *
+ * 【错误处理】
+ * - VALIDATION_ERROR → 400（日期格式不正确或范围过大）
+ * - SYSTEM_ERROR → 500（系统错误）
+ */
+router.get("/", authenticate, async (req, res) => {
+  try {
+    const result = await usageService.getUserUsage(req.user.userId, {
+      startDate: req.query.startDate,
+      endDate: req.query.endDate,
+    });
+
+    sendSuccessResponse(res, 200, result);
+  } catch (error) {
+    const errorCode = error.code || "SYSTEM_ERROR";
+    const errorMessage = error.message || "获取用量失败，请稍后重试";
+    sendErrorResponse(res, errorCode === "VALIDATION_ERROR" ? 400 : 500, errorCode, errorMessage);
+  }
+});
+
+/**
+ * 获取我今天的配额
+ *
+ * 【路由】
+ * GET /api/v1/usage/quota
+ *
+ * 【响应格式】
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "date": "2025-12-10",
+ *     "resetAt": 1765382400000,                 // 配额恢复时间（次日 0 点）
+ *     "messages": { "used": 12, "limit": 200 }, // limit 为 null 表示不限
+ *     "tokens": { "used": 35000, "limit": null },
+ *     "exceeded": null,                         // "messages" / "tokens" / null
+ *     "custom": null,                           // 管理员设置的自定义配额
+ *     "defaults": { "dailyMessages": 200, "dailyTokens": 0 }
+ *   }
+ * }
+ */
+router.get("/quota", authenticate, async (req, res) => {
+  try {
+    const result = await quotaService.getQuotaStatus(req.user.userId);
+
+    sendSuccessResponse(res, 200, result);
+  } catch (error) {
+    const errorCode = error.code || "SYSTEM_ERROR";
+    const errorMessage = error.message || "获取配额失败，请稍后重试";
+    sendErrorResponse(res, errorCode === "VALIDATION_ERROR" ? 400 : 500, errorCode, errorMessage);
+  }
+});
+
+module.exports = router;
@@ -3,15 +3,26 @@
  * Users API 路由 (users.js)
  * ============================================
  * 
- * POST /api/v1/users/login
- * POST /api/v1/users/register
+ * POST /api/v1/users/login               登录（返回 Access Token + Refresh Token）
+ * POST /api/v1/users/refresh             用 Refresh Token 换发新的 Token（轮换）
+ * POST /api/v1/users/logout              退出登录（吊销 Refresh Token）
+ * POST /api/v1/users/register            注册（返回只展示一次的恢复码）
+ * POST /api/v1/users/forgot-password     凭恢复码或管理员重置码重置密码
+ * GET  /api/v1/users/recovery-codes      查询剩余恢复码数量（需要认证）
+ * POST /api/v1/users/recovery-codes      验证当前密码后重新生成恢复码（需要认证）
+ * POST /api/v1/users/auto-login          老用户自动登录（截止时间见 config/auth.js）
+ *
+ * 登录、忘记密码和自动登录共用 login 限流策略（按 IP 计数，见 config/rateLimit.js），
+ * 防止暴力猜测密码和恢复码，超出时返回 429 RATE_LIMIT_EXCEEDED
  */
 
 const express = require('express');
 const router = express.Router();
 const userService = require('../services/UserService');
-const { generateAccessToken, generateRefreshToken } = require('../utils/jwt');
+const accountRecoveryService = require('../services/AccountRecoveryService');
+const tokenService = require('../services/TokenService');
 const { authenticate } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimiter');
 const versionService = require('../config/version');
 
 // 统一响应辅助函数 (复制自其他路由或引入)
@@ -37,7 +48,7 @@ function sendErrorResponse(res, statusCode, code, message) {
 /**
  * 登录（返回 Token）
  */
-router.post('/login', async (req, res) => {
+router.post('/login', rateLimit('login'), async (req, res) => {
   try {
     const { userId, password } = req.body;
     
@@ -52,34 +63,67 @@ router.post('/login', async (req, res) => {
     // 验证用户密码
     const user = await userService.login(userId, password);
 
-    // 生成 Access Token
-    const accessToken = generateAccessToken({
-      userId: user.id,
-      username: user.username,
-    });
-
-    // 可选：生成 Refresh Token
-    const refreshToken = generateRefreshToken({
-      userId: user.id,
-    });
+    // 签发 Access Token 和 Refresh Token
+    const tokens = await tokenService.issueTokens(user);
 
     // 返回 Token 和用户信息
     sendSuccessResponse(res, 200, {
       user: {
         id: user.id,
         username: user.username,
+        role: user.role,
       },
-      accessToken,
-      refreshToken, // 可选
-      expiresIn: '7d', // Token 有效期
+      ...tokens,
     });
   } catch (error) {
     const code = error.code || 'SYSTEM_ERROR';
-    const status = code === 'USER_NOT_FOUND' ? 404 : (code === 'INVALID_PASSWORD' ? 401 : (code === 'VALIDATION_ERROR' ? 400 : 500));
+    const status = code === 'USER_NOT_FOUND' ? 404 :
+                   (code === 'INVALID_PASSWORD' ? 401 :
+                   (code === 'USER_DISABLED' ? 403 :
+                   (code === 'VALIDATION_ERROR' ? 400 : 500)));
+    sendErrorResponse(res, status, code, error.message);
+  }
+});
+
+/**
+ * 刷新 Token
+ * 旧的 Refresh Token 作废，返回新的 Access Token 和 Refresh Token
+ * 已轮换的 Refresh Token 再次使用时，同一次登录的所有 Token 都会被吊销
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return sendErrorResponse(res, 400, 'VALIDATION_ERROR', 'Refresh token is required');
+    }
+
+    const result = await tokenService.refreshTokens(refreshToken);
+    sendSuccessResponse(res, 200, result);
+  } catch (error) {
+    const code = error.code || 'SYSTEM_ERROR';
+    const status = code.startsWith('REFRESH_TOKEN') ? 401 :
+                   (code === 'USER_DISABLED' ? 403 :
+                   (code === 'VALIDATION_ERROR' ? 400 : 500));
     sendErrorResponse(res, status, code, error.message);
   }
 });
 
+/**
+ * 退出登录
+ * 吊销 Refresh Token（幂等，Token 无效或已吊销也返回成功）
+ */
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    const revoked = await tokenService.revokeToken(refreshToken);
+    sendSuccessResponse(res, 200, { revoked });
+  } catch (error) {
+    const code = error.code || 'SYSTEM_ERROR';
+    sendErrorResponse(res, 500, code, error.message);
+  }
+});
+
 /**
  * 注册
  */
@@ -93,7 +137,17 @@ router.post('/register', async (req, res) => {
 
     // 密码可选，如果不提供则使用默认密码123456
     const user = await userService.register({ userId, username, password });
-    sendSuccessResponse(res, 201, user);
+
+    // 生成恢复码（明文只在注册响应中返回这一次）
+    // 生成失败不影响注册，用户登录后可以在账号菜单中重新生成
+    let recoveryCodes = [];
+    try {
+      recoveryCodes = await accountRecoveryService.generateRecoveryCodes(user.id);
+    } catch (error) {
+      console.warn(`[Users] Failed to generate recovery codes for ${user.id}:`, error.message);
+    }
+
+    sendSuccessResponse(res, 201, { ...user, recoveryCodes });
   } catch (error) {
     const code = error.code || 'SYSTEM_ERROR';
     const status = code.startsWith('DUPLICATE') ? 409 : (code === 'VALIDATION_ERROR' ? 400 : 500);
@@ -103,10 +157,11 @@ router.post('/register', async (req, res) => {
 
 /**
  * 忘记密码 - 重置密码
+ * 需要提供恢复码（recoveryCode）或管理员签发的重置码（resetToken）之一
  */
-router.post('/forgot-password', async (req, res) => {
+router.post('/forgot-password', rateLimit('login'), async (req, res) => {
   try {
-    const { userId, newPassword } = req.body;
+    const { userId, recoveryCode, resetToken, newPassword } = req.body;
 
     if (!userId) {
       return sendErrorResponse(res, 400, 'VALIDATION_ERROR', 'User ID is required');
@@ -116,20 +171,73 @@ router.post('/forgot-password', async (req, res) => {
       return sendErrorResponse(res, 400, 'VALIDATION_ERROR', 'New password is required');
     }
 
-    const user = await userService.forgotPassword(userId, newPassword);
-    sendSuccessResponse(res, 200, user);
+    if (!recoveryCode && !resetToken) {
+      return sendErrorResponse(res, 400, 'VALIDATION_ERROR', 'Recovery code or reset token is required');
+    }
+
+    const result = await accountRecoveryService.recoverPassword({
+      userId,
+      recoveryCode,
+      resetToken,
+      newPassword,
+    });
+    sendSuccessResponse(res, 200, {
+      ...result.user,
+      remainingRecoveryCodes: result.remainingRecoveryCodes,
+    });
+  } catch (error) {
+    const code = error.code || 'SYSTEM_ERROR';
+    const status = code === 'USER_NOT_FOUND' ? 404 :
+                   (code === 'VALIDATION_ERROR' || code === 'INVALID_RECOVERY_CREDENTIAL' ? 400 : 500);
+    sendErrorResponse(res, status, code, error.message);
+  }
+});
+
+/**
+ * 查询剩余恢复码数量
+ * 需要认证
+ */
+router.get('/recovery-codes', authenticate, async (req, res) => {
+  try {
+    const remaining = await accountRecoveryService.getRecoveryCodeStatus(req.user.userId);
+    sendSuccessResponse(res, 200, { remaining });
+  } catch (error) {
+    const code = error.code || 'SYSTEM_ERROR';
+    sendErrorResponse(res, 500, code, error.message);
+  }
+});
+
+/**
+ * 重新生成恢复码（旧的恢复码全部作废）
+ * 需要认证，并验证当前密码
+ */
+router.post('/recovery-codes', authenticate, async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return sendErrorResponse(res, 400, 'VALIDATION_ERROR', 'Password is required');
+    }
+
+    const recoveryCodes = await accountRecoveryService.regenerateRecoveryCodes(
+      req.user.userId,
+      password
+    );
+    sendSuccessResponse(res, 200, { recoveryCodes });
   } catch (error) {
     const code = error.code || 'SYSTEM_ERROR';
-    const status = code === 'USER_NOT_FOUND' ? 404 : (code === 'VALIDATION_ERROR' ? 400 : 500);
+    const status = code === 'USER_NOT_FOUND' ? 404 :
+                   (code === 'INVALID_PASSWORD' ? 401 :
+                   (code === 'VALIDATION_ERROR' ? 400 : 500));
     sendErrorResponse(res, status, code, error.message);
   }
 });
 
 /**
  * 自动登录（用于老用户迁移）
- * 对于在 2025-11-25 之前注册的用户，允许自动登录
+ * 只对截止时间（AUTO_LOGIN_CUTOFF）之前注册、且从未设置过自己密码的用户开放
  */
-router.post('/auto-login', async (req, res) => {
+router.post('/auto-login', rateLimit('login'), async (req, res) => {
   try {
     const { userId } = req.body;
     
@@ -140,31 +248,22 @@ router.post('/auto-login', async (req, res) => {
     // 验证用户并检查注册日期
     const user = await userService.autoLogin(userId);
 
-    // 生成 Access Token
-    const accessToken = generateAccessToken({
-      userId: user.id,
-      username: user.username,
-    });
-
-    // 可选：生成 Refresh Token
-    const refreshToken = generateRefreshToken({
-      userId: user.id,
-    });
+    // 签发 Access Token 和 Refresh Token
+    const tokens = await tokenService.issueTokens(user);
 
     // 返回 Token 和用户信息
     sendSuccessResponse(res, 200, {
       user: {
         id: user.id,
         username: user.username,
+        role: user.role,
       },
-      accessToken,
-      refreshToken,
-      expiresIn: '7d',
+      ...tokens,
     });
   } catch (error) {
     const code = error.code || 'SYSTEM_ERROR';
     const status = code === 'USER_NOT_FOUND' ? 404 : 
-                   (code === 'AUTO_LOGIN_NOT_ALLOWED' ? 403 : 
+                   (code === 'AUTO_LOGIN_NOT_ALLOWED' || code === 'USER_DISABLED' ? 403 : 
                    (code === 'VALIDATION_ERROR' ? 400 : 500));
     sendErrorResponse(res, status, code, error.message);
   }
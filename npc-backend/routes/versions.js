@@ -5,14 +5,14 @@
  * 
  * GET /api/v1/versions - 获取所有版本更新日志
  * GET /api/v1/versions/:version - 获取指定版本的更新日志
- * POST /api/v1/versions - 创建版本更新日志（管理接口）
- * PUT /api/v1/versions/:version - 更新版本更新日志（管理接口）
+ * POST /api/v1/versions - 创建版本更新日志（管理接口，需要管理员角色）
+ * PUT /api/v1/versions/:version - 更新版本更新日志（管理接口，需要管理员角色）
  */
 
 const express = require('express');
 const router = express.Router();
 const versionRepository = require('../repositories/VersionRepository');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requireRole } = require('../middleware/auth');
 
 // 统一响应辅助函数
 function sendSuccessResponse(res, statusCode, data) {
@@ -73,9 +73,9 @@ router.get('/:version', async (req, res) => {
 
 /**
  * 创建版本更新日志
- * 需要认证（管理接口）
+ * 需要认证和管理员角色（管理接口）
  */
-router.post('/', authenticate, async (req, res) => {
+router.post('/', authenticate, requireRole('admin'), async (req, res) => {
   try {
     const { version, title, content, releaseDate, isActive } = req.body;
     
@@ -105,9 +105,9 @@ router.post('/', authenticate, async (req, res) => {
 
 /**
  * 更新版本更新日志
- * 需要认证（管理接口）
+ * 需要认证和管理员角色（管理接口）
  */
-router.put('/:version', authenticate, async (req, res) => {
+router.put('/:version', authenticate, requireRole('admin'), async (req, res) => {
   try {
     const { version } = req.params;
     const { title, content, releaseDate, isActive } = req.body;
@@ -10,6 +10,7 @@ const configLoader = require('../config/config-loader');
 configLoader.init();
 
 const userRepository = require('../repositories/UserRepository');
+const { isHashedPassword } = require('../utils/password');
 
 async function checkAdminUser() {
   const adminId = 'admin_Kaine';
@@ -23,7 +24,8 @@ async function checkAdminUser() {
     console.log(`📋 User by ID (${adminId}):`, userById ? '✅ EXISTS' : '❌ NOT FOUND');
     if (userById) {
       console.log(`   - Username: ${userById.username}`);
-      console.log(`   - Password: ${userById.password}`);
+      console.log(`   - Role: ${userById.role}`);
+      console.log(`   - Password stored as hash: ${isHashedPassword(userById.password) ? 'yes' : 'no'}`);
       console.log(`   - Created: ${new Date(userById.createdAt).toLocaleString()}`);
     }
 
@@ -32,7 +34,7 @@ async function checkAdminUser() {
     console.log(`\n📋 User by Username (${adminUsername}):`, userByUsername ? '✅ EXISTS' : '❌ NOT FOUND');
     if (userByUsername) {
       console.log(`   - User ID: ${userByUsername.id}`);
-      console.log(`   - Password: ${userByUsername.password}`);
+      console.log(`   - Password stored as hash: ${isHashedPassword(userByUsername.password) ? 'yes' : 'no'}`);
       console.log(`   - Created: ${new Date(userByUsername.createdAt).toLocaleString()}`);
     }
 
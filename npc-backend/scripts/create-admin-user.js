@@ -3,7 +3,7 @@
  * 创建默认管理员账号脚本
  * ============================================
  * 
- * 用于创建默认的管理员账号
+ * 用于创建默认的管理员账号（role = admin，可以登录管理后台）
  * 
  * 使用方式：
  * node scripts/create-admin-user.js
@@ -13,6 +13,7 @@ const configLoader = require('../config/config-loader');
 configLoader.init();
 
 const userRepository = require('../repositories/UserRepository');
+const { hashPassword, verifyPassword } = require('../utils/password');
 
 async function createAdminUser() {
   const adminId = 'admin_Kaine';
@@ -26,13 +27,18 @@ async function createAdminUser() {
     
     // 如果用户 ID 和用户名都正确，检查密码
     if (userById && userById.username === adminUsername) {
-      if (userById.password === adminPassword) {
+      if (userById.role !== 'admin') {
+        await userRepository.updateRole(adminId, 'admin');
+        console.log(`✅ Admin role granted: ${adminId}`);
+      }
+      const { valid, needsRehash } = await verifyPassword(adminPassword, userById.password);
+      if (valid && !needsRehash) {
         console.log(`✅ Admin user already exists: ${adminId}`);
         return;
       } else {
         // 更新密码
         console.log(`🔑 Updating admin user password...`);
-        await userRepository.updatePassword(adminId, adminPassword);
+        await userRepository.updatePassword(adminId, await hashPassword(adminPassword));
         console.log(`✅ Admin user password updated successfully!`);
         return;
       }
@@ -45,13 +51,12 @@ async function createAdminUser() {
       const { query } = require('../config/database');
       const now = Date.now();
       await query(
-        'UPDATE users SET id = ?, password = ?, updated_at = ? WHERE username = ?',
-        [adminId, adminPassword, now, adminUsername]
+        'UPDATE users SET id = ?, password = ?, role = ?, updated_at = ? WHERE username = ?',
+        [adminId, await hashPassword(adminPassword), 'admin', now, adminUsername]
       );
       console.log(`✅ Admin user updated successfully!`);
       console.log(`   User ID: ${adminId}`);
       console.log(`   Username: ${adminUsername}`);
-      console.log(`   Password: ${adminPassword}`);
       return;
     }
 
@@ -59,13 +64,13 @@ async function createAdminUser() {
     await userRepository.create({
       id: adminId,
       username: adminUsername,
-      password: adminPassword,
+      password: await hashPassword(adminPassword),
+      role: 'admin',
     });
 
     console.log(`✅ Admin user created successfully!`);
     console.log(`   User ID: ${adminId}`);
     console.log(`   Username: ${adminUsername}`);
-    console.log(`   Password: ${adminPassword}`);
   } catch (error) {
     if (error.code === 'DUPLICATE_USER_ID' || error.code === 'ER_DUP_ENTRY') {
       console.log(`ℹ️  Admin user already exists: ${adminId}`);
@@ -13,6 +13,7 @@ configLoader.init();
 
 const userRepository = require('../repositories/UserRepository');
 const { query } = require('../config/database');
+const { hashPassword, verifyPassword } = require('../utils/password');
 
 async function fixAdminUser() {
   const adminId = 'admin_Kaine';
@@ -28,9 +29,10 @@ async function fixAdminUser() {
     // 情况1：用户 ID 和用户名都正确，只需要更新密码
     if (userById && userById.username === adminUsername) {
       console.log('✅ Admin user exists with correct ID and username');
-      if (userById.password !== adminPassword) {
+      const { valid, needsRehash } = await verifyPassword(adminPassword, userById.password);
+      if (!valid || needsRehash) {
         console.log('🔑 Updating password...');
-        await userRepository.updatePassword(adminId, adminPassword);
+        await userRepository.updatePassword(adminId, await hashPassword(adminPassword));
         console.log('✅ Password updated successfully!');
       } else {
         console.log('✅ Password is already correct');
@@ -51,10 +53,10 @@ async function fixAdminUser() {
         WHERE username = ?
       `;
       
-      await query(sql, [adminId, adminPassword, now, adminUsername]);
+      await query(sql, [adminId, await hashPassword(adminPassword), now, adminUsername]);
       console.log('✅ User updated successfully!');
       console.log(`   - User ID changed from "${userByUsername.id}" to "${adminId}"`);
-      console.log(`   - Password updated to "${adminPassword}"`);
+      console.log('   - Password updated');
       return;
     }
 
@@ -79,7 +81,7 @@ async function fixAdminUser() {
         WHERE id = ?
       `;
       
-      await query(sql, [adminUsername, adminPassword, now, adminId]);
+      await query(sql, [adminUsername, await hashPassword(adminPassword), now, adminId]);
       console.log('✅ User updated successfully!');
       return;
     }
@@ -90,12 +92,12 @@ async function fixAdminUser() {
       await userRepository.create({
         id: adminId,
         username: adminUsername,
-        password: adminPassword,
+        password: await hashPassword(adminPassword),
+        role: 'admin',
       });
       console.log('✅ Admin user created successfully!');
       console.log(`   - User ID: ${adminId}`);
       console.log(`   - Username: ${adminUsername}`);
-      console.log(`   - Password: ${adminPassword}`);
       return;
     }
 
@@ -0,0 +1,57 @@
+/**
+ * ============================================
+ * 历史明文密码哈希迁移脚本
+ * ============================================
+ * 
+ * 把 users 表中仍为明文的密码一次性转换为 scrypt 哈希
+ * 
+ * 【说明】
+ * - 不运行此脚本也可以：用户登录成功后会自动把明文密码升级为哈希
+ * - 运行后数据库中不再保留明文密码（推荐上线后执行一次）
+ * - 脚本只输出数量，不输出任何密码内容
+ * 
+ * 使用方式：
+ * node scripts/hash-legacy-passwords.js
+ */
+
+const configLoader = require('../config/config-loader');
+configLoader.init();
+
+const { query } = require('../config/database');
+const { hashPassword } = require('../utils/password');
+
+async function hashLegacyPasswords() {
+  const users = await query(
+    "SELECT id, password FROM users WHERE password <> '' AND password NOT LIKE 'scrypt$%'"
+  );
+
+  console.log(`🔍 Found ${users.length} users with plaintext passwords`);
+
+  let migrated = 0;
+  for (const user of users) {
+    const hashed = await hashPassword(user.password);
+    // 条件更新：期间用户已登录升级或修改过密码时跳过
+    const result = await query(
+      'UPDATE users SET password = ? WHERE id = ? AND password = ?',
+      [hashed, user.id, user.password]
+    );
+    migrated += result.affectedRows;
+  }
+
+  console.log(`✅ Hashed ${migrated} passwords`);
+}
+
+// 如果直接运行此脚本
+if (require.main === module) {
+  hashLegacyPasswords()
+    .then(() => {
+      console.log('\n🎉 Done!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = hashLegacyPasswords;
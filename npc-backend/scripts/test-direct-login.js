@@ -45,9 +45,6 @@ async function testDirectLogin() {
   for (const testCase of testCases) {
     console.log(`\n📋 Test: ${testCase.description}`);
     console.log(`   User ID: "${testCase.userId}"`);
-    console.log(`   Password: "${testCase.password}"`);
-    console.log(`   Password length: ${testCase.password.length}`);
-    console.log(`   Password bytes (hex): ${Buffer.from(testCase.password).toString('hex')}`);
     
     try {
       const user = await userService.login(testCase.userId, testCase.password);
@@ -58,15 +55,13 @@ async function testDirectLogin() {
     }
   }
 
-  // 检查数据库中的实际密码
+  // 检查数据库中的密码存储格式（不输出密码内容）
   console.log('\n\n🔍 Database password details:');
   const userRepository = require('../repositories/UserRepository');
+  const { isHashedPassword } = require('../utils/password');
   const user = await userRepository.findById('admin_Kaine');
   if (user) {
-    console.log(`   Password: "${user.password}"`);
-    console.log(`   Length: ${user.password.length}`);
-    console.log(`   Bytes (hex): ${Buffer.from(user.password).toString('hex')}`);
-    console.log(`   Character codes:`, Array.from(user.password).map(c => c.charCodeAt(0)).join(','));
+    console.log(`   Stored as hash: ${isHashedPassword(user.password) ? 'yes' : 'no (legacy plaintext)'}`);
   }
 }
 
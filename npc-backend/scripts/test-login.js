@@ -40,7 +40,6 @@ async function testLogin() {
   for (const testCase of testCases) {
     console.log(`\n📋 Test: ${testCase.description}`);
     console.log(`   User ID: ${testCase.userId}`);
-    console.log(`   Password: "${testCase.password}" (length: ${testCase.password.length})`);
     
     try {
       const user = await userService.login(testCase.userId, testCase.password);
@@ -54,13 +53,12 @@ async function testLogin() {
   // 检查数据库中的实际密码
   console.log('\n\n🔍 Checking database password:');
   const userRepository = require('../repositories/UserRepository');
+  const { isHashedPassword } = require('../utils/password');
   const user = await userRepository.findById('admin_Kaine');
   if (user) {
     console.log(`   User ID: ${user.id}`);
     console.log(`   Username: ${user.username}`);
-    console.log(`   Password: "${user.password}"`);
-    console.log(`   Password length: ${user.password.length}`);
-    console.log(`   Password bytes:`, Buffer.from(user.password).toString('hex'));
+    console.log(`   Stored as hash: ${isHashedPassword(user.password) ? 'yes' : 'no (legacy plaintext)'}`);
   }
 }
 
@@ -12,9 +12,11 @@
  * 3. 配置基础中间件（CORS、JSON 解析）
  * 4. 配置 API 路由
  * 5. 启动 HTTP 服务器
+ * 6. 启动后台任务 Worker（Agent 回复任务），收到 SIGTERM / SIGINT 时先停止 Worker 再退出
+ *    （同时结束实时事件连接，客户端会重新连接到仍在运行的实例）
  *
  * 【工作流程】
- * 加载环境变量 → 创建 Express 应用 → 配置中间件 → 配置路由 → 启动服务器
+ * 加载环境变量 → 创建 Express 应用 → 配置中间件 → 配置路由 → 启动服务器 → 启动 Worker
  *
  * 【依赖】
  * - express: Web 框架
@@ -46,6 +48,7 @@ const {
   notFoundHandler,
   requestLogger,
 } = require("./middleware/errorHandler");
+const { getTrustProxy } = require("./config/rateLimit");
 
 /**
  * 创建 Express 应用实例
@@ -65,6 +68,10 @@ const {
 function createApp() {
   const app = express();
 
+  // 配置 trust proxy：经过 Nginx 时从 X-Forwarded-For 取客户端 IP（限流按 IP 计数依赖它）
+  // 默认只信任内网代理，直接暴露的端口（如蓝绿部署的测试端口）无法伪造 IP
+  app.set("trust proxy", getTrustProxy());
+
   // 配置 CORS：根据环境变量允许特定来源
   /**
    * 获取允许的 CORS 来源列表
@@ -165,8 +172,16 @@ function createApp() {
     },
     credentials: true, // 允许携带凭证（如 Cookie、Authorization header）
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept'],
-    exposedHeaders: ['Content-Length', 'X-Request-Id'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Idempotency-Key'],
+    exposedHeaders: [
+      'Content-Length',
+      'X-Request-Id',
+      'Retry-After',
+      'X-RateLimit-Limit',
+      'X-RateLimit-Remaining',
+      'X-RateLimit-Reset',
+      'Idempotent-Replayed',
+    ],
     maxAge: 86400 // 预检请求缓存时间（24小时）
   };
 
@@ -224,10 +239,17 @@ function createApp() {
   app.use("/api/v1/messages", require("./routes/messages"));
   app.use("/api/v1/history", require("./routes/history"));
   app.use("/api/v1/sessions", require("./routes/sessions"));
+  app.use("/api/v1/memories", require("./routes/memories")); // NPC 长期记忆路由
   app.use("/api/v1/users", require("./routes/users")); // 新增用户路由
   app.use("/api/v1/import", require("./routes/import")); // 导入路由
   app.use("/api/v1/feedbacks", require("./routes/feedbacks")); // 反馈路由
   app.use("/api/v1/versions", require("./routes/versions")); // 版本更新日志路由
+  app.use("/api/v1/models", require("./routes/models")); // 模型目录路由
+  app.use("/api/v1/api-keys", require("./routes/apiKeys")); // 个人 API Key 路由
+  app.use("/api/v1/usage", require("./routes/usage")); // 个人用量路由
+  app.use("/api/v1/search", require("./routes/search")); // 消息搜索路由
+  app.use("/api/v1/realtime", require("./routes/realtime")); // 实时事件推送路由（SSE）
+  app.use("/api/v1/notifications", require("./routes/notifications")); // 通知中心路由
   app.use("/api/admin", require("./routes/admin")); // 管理后台路由
   console.log("✅ Admin routes registered at /api/admin");
   // TODO: 后续阶段添加其他 API 路由
@@ -254,6 +276,7 @@ function createApp() {
  * 2. 从环境变量读取端口（默认 8000）
  * 3. 启动 HTTP 服务器
  * 4. 监听服务器启动事件
+ * 5. 启动后台任务 Worker，注册退出信号处理
  *
  * 【错误处理】
  * - 端口被占用 → 输出错误信息并退出
@@ -283,6 +306,26 @@ function startServer() {
     }
     process.exit(1);
   });
+
+  // 启动后台任务 Worker（会先恢复上一个实例退出时没执行完的任务）
+  const jobService = require("./services/JobService");
+  jobService.start();
+
+  // 蓝绿部署切换时 docker stop 发送 SIGTERM：停止接收请求和领取任务，
+  // 等正在执行的任务结束后退出（超时未结束的任务租约过期后由其他实例继续）
+  let shuttingDown = false;
+  const shutdown = (signal) => {
+    if (shuttingDown) {
+      return;
+    }
+    shuttingDown = true;
+    console.log(`🛑 Received ${signal}, shutting down...`);
+    require("./services/RealtimeService").stop();
+    server.close();
+    jobService.stop().finally(() => process.exit(0));
+  };
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+  process.on("SIGINT", () => shutdown("SIGINT"));
 }
 
 // 启动服务器前，先创建默认管理员账号
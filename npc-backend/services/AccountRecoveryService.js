@@ -0,0 +1,271 @@
+/**
+ * ============================================
+ * 账号恢复服务 (AccountRecoveryService.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 处理忘记密码的身份验证：恢复码和管理员签发的一次性重置码
+ *
+ * 【主要功能】
+ * 1. 生成恢复码（注册时生成，也可以登录后重新生成，明文只返回一次）
+ * 2. 管理员签发一次性重置码（有有效期）
+ * 3. 凭恢复码或重置码重置密码（每个凭证只能使用一次）
+ *
+ * 【工作流程】
+ * 忘记密码 → 校验新密码强度 → 按摘要查找可用凭证 → 条件更新标记已使用 → 保存新密码 → 作废其他重置码
+ *
+ * 【安全说明】
+ * - 凭证由 crypto.randomBytes 生成，数据库只保存 SHA-256 摘要
+ *   （凭证本身是高熵随机串，不需要 scrypt 这样的慢哈希）
+ * - 用户不存在和凭证无效返回同一个错误，不暴露账号是否存在
+ * - 日志中不输出凭证内容
+ *
+ * 【依赖】
+ * - repositories/RecoveryTokenRepository.js: 凭证数据访问
+ * - repositories/UserRepository.js: 检查用户是否存在
+ * - services/UserService.js: 验证当前密码、保存新密码
+ * - config/auth.js: 重置码有效期
+ *
+ * 【被谁使用】
+ * - routes/users.js: 注册、忘记密码、重新生成恢复码
+ * - routes/admin.js: 签发重置码
+ *
+ * @author AI Assistant
+ * @created 2025-12-08
+ */
+
+const crypto = require('crypto');
+const recoveryTokenRepository = require('../repositories/RecoveryTokenRepository');
+const userRepository = require('../repositories/UserRepository');
+const userService = require('./UserService');
+const validator = require('../utils/validator');
+const { getResetTokenTtlMs } = require('../config/auth');
+
+/**
+ * 凭证类型
+ */
+const TOKEN_TYPES = {
+  RECOVERY_CODE: 'recovery_code',
+  RESET_TOKEN: 'reset_token',
+};
+
+/**
+ * 凭证格式配置
+ *
+ * 【说明】
+ * - 字符表去掉了容易混淆的 0/O、1/I，共 32 个字符（每个字符 5 bit）
+ * - 恢复码 10 个字符（50 bit），每次生成 8 个
+ * - 重置码 16 个字符（80 bit）
+ */
+const CODE_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+const RECOVERY_CODE_COUNT = 8;
+const RECOVERY_CODE_LENGTH = 10;
+const RESET_TOKEN_LENGTH = 16;
+
+/**
+ * 生成随机凭证
+ *
+ * @param {number} length - 字符数
+ * @param {number} groupSize - 每组字符数（组之间用 - 分隔，方便抄写）
+ * @returns {string} 凭证，例如 7KQ2M-XH9PD
+ */
+function generateCode(length, groupSize) {
+  const bytes = crypto.randomBytes(length);
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    if (i > 0 && i % groupSize === 0) {
+      code += '-';
+    }
+    // 字符表长度为 32，取低 5 位没有取模偏差
+    code += CODE_ALPHABET[bytes[i] & 31];
+  }
+  return code;
+}
+
+/**
+ * 规范化用户输入的凭证（忽略大小写、空格和分隔符）
+ *
+ * @param {string} code - 用户输入
+ * @returns {string} 规范化后的凭证
+ */
+function normalizeCode(code) {
+  return String(code || '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+}
+
+/**
+ * 计算凭证摘要
+ *
+ * @param {string} code - 凭证（明文）
+ * @returns {string} SHA-256 十六进制摘要
+ */
+function hashCode(code) {
+  return crypto.createHash('sha256').update(normalizeCode(code)).digest('hex');
+}
+
+/**
+ * 生成一组新的恢复码
+ *
+ * 【功能说明】
+ * 作废用户之前的恢复码，生成新的一组，明文只在返回值中出现一次
+ *
+ * @param {string} userId - 用户 ID
+ * @returns {Promise<Array<string>>} 恢复码列表
+ */
+async function generateRecoveryCodes(userId) {
+  const now = Date.now();
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    codes.push(generateCode(RECOVERY_CODE_LENGTH, 5));
+  }
+
+  await recoveryTokenRepository.revokeTokens(userId, TOKEN_TYPES.RECOVERY_CODE, now);
+  await recoveryTokenRepository.createTokens(
+    userId,
+    TOKEN_TYPES.RECOVERY_CODE,
+    codes.map(hashCode)
+  );
+
+  return codes;
+}
+
+/**
+ * 验证当前密码后重新生成恢复码
+ *
+ * @param {string} userId - 用户 ID（当前登录用户）
+ * @param {string} password - 当前密码
+ * @returns {Promise<Array<string>>} 新的恢复码列表
+ */
+async function regenerateRecoveryCodes(userId, password) {
+  // 密码错误时 login 抛出 INVALID_PASSWORD
+  await userService.login(userId, password);
+  return await generateRecoveryCodes(userId);
+}
+
+/**
+ * 查询剩余可用的恢复码数量
+ *
+ * @param {string} userId - 用户 ID
+ * @returns {Promise<number>} 剩余数量
+ */
+async function getRecoveryCodeStatus(userId) {
+  return await recoveryTokenRepository.countActiveTokens(
+    userId,
+    TOKEN_TYPES.RECOVERY_CODE,
+    Date.now()
+  );
+}
+
+/**
+ * 管理员签发一次性重置码
+ *
+ * 【功能说明】
+ * 作废该用户之前未使用的重置码，签发新的重置码（有效期见 config/auth.js）
+ *
+ * @param {string} userId - 用户 ID
+ * @param {string} operatorId - 签发的管理员 ID
+ * @returns {Promise<Object>} { token, expiresAt }
+ */
+async function issueResetToken(userId, operatorId) {
+  const user = await userRepository.findById(userId);
+  if (!user) {
+    const error = new Error('用户不存在');
+    error.code = 'USER_NOT_FOUND';
+    throw error;
+  }
+
+  const now = Date.now();
+  const token = generateCode(RESET_TOKEN_LENGTH, 4);
+  const expiresAt = now + getResetTokenTtlMs();
+
+  await recoveryTokenRepository.revokeTokens(userId, TOKEN_TYPES.RESET_TOKEN, now);
+  await recoveryTokenRepository.createTokens(userId, TOKEN_TYPES.RESET_TOKEN, [hashCode(token)], {
+    expiresAt,
+    createdBy: operatorId,
+  });
+
+  console.log(`[AccountRecovery] Reset token issued for ${userId} by ${operatorId}`);
+
+  return { token, expiresAt };
+}
+
+/**
+ * 凭恢复码或重置码重置密码
+ *
+ * 【功能说明】
+ * 替代原来只凭 userId 就能重置密码的流程
+ *
+ * 【工作流程】
+ * 1. 校验参数和新密码强度（先校验，避免密码不合格时白白消耗凭证）
+ * 2. 按摘要查找可用凭证，条件更新标记已使用（并发时只有一个请求成功）
+ * 3. 保存新密码
+ * 4. 作废该用户其他未使用的重置码
+ *
+ * @param {Object} data
+ * @param {string} data.userId - 用户 ID
+ * @param {string} [data.recoveryCode] - 恢复码
+ * @param {string} [data.resetToken] - 管理员重置码
+ * @param {string} data.newPassword - 新密码
+ * @returns {Promise<Object>} { user, remainingRecoveryCodes }
+ */
+async function recoverPassword(data) {
+  const { userId, recoveryCode, resetToken, newPassword } = data;
+
+  if (!userId) {
+    const error = new Error('用户 ID 不能为空');
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  if (!newPassword || newPassword.trim() === '') {
+    const error = new Error('新密码不能为空');
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  const hasRecoveryCode = normalizeCode(recoveryCode) !== '';
+  const hasResetToken = normalizeCode(resetToken) !== '';
+  if (hasRecoveryCode === hasResetToken) {
+    const error = new Error('请提供恢复码或管理员重置码（二选一）');
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  const password = newPassword.trim();
+  validator.passwordStrength(password, { userId });
+
+  const now = Date.now();
+  const type = hasRecoveryCode ? TOKEN_TYPES.RECOVERY_CODE : TOKEN_TYPES.RESET_TOKEN;
+  const tokenHash = hashCode(hasRecoveryCode ? recoveryCode : resetToken);
+
+  const token = await recoveryTokenRepository.findActiveToken(userId, type, tokenHash, now);
+  const consumed = token ? await recoveryTokenRepository.markTokenUsed(token.id, now) : false;
+  if (!consumed) {
+    const error = new Error(
+      hasRecoveryCode ? '恢复码无效或已使用' : '重置码无效、已使用或已过期'
+    );
+    error.code = 'INVALID_RECOVERY_CREDENTIAL';
+    throw error;
+  }
+
+  const user = await userService.resetPassword(userId, password);
+
+  // 密码已更换，之前签发的重置码一并作废
+  await recoveryTokenRepository.revokeTokens(userId, TOKEN_TYPES.RESET_TOKEN, now);
+
+  const remainingRecoveryCodes = await recoveryTokenRepository.countActiveTokens(
+    userId,
+    TOKEN_TYPES.RECOVERY_CODE,
+    now
+  );
+
+  return { user, remainingRecoveryCodes };
+}
+
+module.exports = {
+  TOKEN_TYPES,
+  generateRecoveryCodes,
+  regenerateRecoveryCodes,
+  getRecoveryCodeStatus,
+  issueResetToken,
+  recoverPassword,
+};
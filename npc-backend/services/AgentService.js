@@ -7,11 +7,13 @@
  * 处理 Agent 相关的业务逻辑，包括数据验证、业务规则检查
  *
  * 【主要功能】
- * 1. 字段验证（名称长度、systemPrompt 长度等）
+ * 1. 字段验证（名称长度、systemPrompt 长度、生成参数范围等）
  * 2. 名称唯一性检查
- * 3. 模型有效性验证
+ * 3. 模型有效性验证（包括备用模型）
  * 4. 类型验证（general/special）
  * 5. 调用数据访问层创建和查询 Agent
+ * 6. 创建、修改、删除后推送给创建者的其他设备（agent.created / agent.updated / agent.deleted）
+ * 7. NPC 列表附带每个 NPC 的未读回复数（unreadCount）
  *
  * 【工作流程】
  * 接收数据 → 字段验证 → 业务规则检查 → 调用 Repository → 返回结果
@@ -19,6 +21,8 @@
  * 【依赖】
  * - repositories/AgentRepository.js: 数据访问层
  * - config/models.js: 模型配置验证
+ * - services/RealtimeService.js: 实时推送
+ * - services/NotificationService.js: 未读回复数
  *
  * 【被谁使用】
  * - routes/agents.js: 调用业务逻辑方法
@@ -34,6 +38,8 @@
 
 const agentRepository = require("../repositories/AgentRepository");
 const sessionService = require("./SessionService");
+const realtimeService = require("./RealtimeService");
+const notificationService = require("./NotificationService");
 const {
   isValidModel,
   isValidModelProvider,
@@ -41,6 +47,229 @@ const {
   isProviderEnabled,
 } = require("../config/models");
 
+/**
+ * 默认提供商（自定义模型未指定提供商时使用，与旧版本行为一致）
+ */
+const DEFAULT_PROVIDER = "openrouter";
+
+/**
+ * 生成参数的取值范围
+ *
+ * 【说明】
+ * 范围取各提供商中最宽的一个（OpenAI 格式）；某个提供商不支持的参数
+ * 在调用时由 LLMService 丢弃并打印警告，这里不按提供商校验
+ */
+const GENERATION_PARAM_RULES = {
+  temperature: { type: "number", min: 0, max: 2, label: "temperature" },
+  maxTokens: { type: "integer", min: 1, max: 32000, label: "最大输出 token 数" },
+  topP: { type: "number", min: 0, max: 1, label: "top_p" },
+  frequencyPenalty: { type: "number", min: -2, max: 2, label: "frequency_penalty" },
+  presencePenalty: { type: "number", min: -2, max: 2, label: "presence_penalty" },
+  stop: { type: "stop", maxItems: 4, maxLength: 50, label: "停止序列" },
+};
+
+/**
+ * 验证生成参数
+ *
+ * 【验证规则】
+ * - 必须是对象（null 表示清空，全部使用默认值）
+ * - 只能包含 GENERATION_PARAM_RULES 中的参数，值为 null 表示该参数使用默认值
+ * - 数值参数必须在范围内，maxTokens 必须是整数
+ * - stop 是字符串数组，最多 4 个，每个 1-50 字符
+ *
+ * @param {Object|null} params - 生成参数
+ * @returns {Object|null} 验证错误对象，如果验证通过则返回 null
+ */
+function validateGenerationParams(params) {
+  if (params === null) {
+    return null;
+  }
+  if (typeof params !== "object" || Array.isArray(params)) {
+    return {
+      code: "VALIDATION_ERROR",
+      message: "生成参数格式不正确",
+    };
+  }
+
+  for (const [key, value] of Object.entries(params)) {
+    const rule = GENERATION_PARAM_RULES[key];
+    if (!rule) {
+      return {
+        code: "VALIDATION_ERROR",
+        message: `不支持的生成参数：${key}`,
+      };
+    }
+    if (value === null || value === undefined) {
+      continue;
+    }
+
+    if (rule.type === "stop") {
+      if (
+        !Array.isArray(value) ||
+        value.length > rule.maxItems ||
+        value.some((item) => typeof item !== "string" || item.length === 0 || item.length > rule.maxLength)
+      ) {
+        return {
+          code: "VALIDATION_ERROR",
+          message: `${rule.label}最多 ${rule.maxItems} 个，每个 1-${rule.maxLength} 字符`,
+        };
+      }
+      continue;
+    }
+
+    if (
+      typeof value !== "number" ||
+      !Number.isFinite(value) ||
+      (rule.type === "integer" && !Number.isInteger(value)) ||
+      value < rule.min ||
+      value > rule.max
+    ) {
+      return {
+        code: "VALIDATION_ERROR",
+        message: `${rule.label} 必须是 ${rule.min} 到 ${rule.max} 之间的${rule.type === "integer" ? "整数" : "数字"}`,
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 备用模型数量上限
+ */
+const MAX_FALLBACK_MODELS = 3;
+
+/**
+ * 验证备用模型列表
+ *
+ * 【验证规则】
+ * - null 表示不使用备用模型
+ * - 数组，最多 MAX_FALLBACK_MODELS 个
+ * - 每一项为 { model, provider? }，模型必须有效，提供商必须启用且支持该模型（不填时按模型推断）
+ *
+ * @param {Array<Object>|null} fallbackModels - 备用模型列表
+ * @returns {Object|null} 验证错误对象，如果验证通过则返回 null
+ */
+function validateFallbackModels(fallbackModels) {
+  if (fallbackModels === null) {
+    return null;
+  }
+  if (!Array.isArray(fallbackModels)) {
+    return {
+      code: "VALIDATION_ERROR",
+      message: "备用模型格式不正确",
+    };
+  }
+  if (fallbackModels.length > MAX_FALLBACK_MODELS) {
+    return {
+      code: "VALIDATION_ERROR",
+      message: `备用模型最多 ${MAX_FALLBACK_MODELS} 个`,
+    };
+  }
+
+  for (const item of fallbackModels) {
+    if (
+      !item ||
+      typeof item !== "object" ||
+      typeof item.model !== "string" ||
+      !item.model.trim() ||
+      (item.provider !== undefined && item.provider !== null && typeof item.provider !== "string")
+    ) {
+      return {
+        code: "VALIDATION_ERROR",
+        message: "备用模型格式不正确",
+      };
+    }
+
+    const model = item.model.trim();
+    if (!isValidModel(model)) {
+      return {
+        code: "INVALID_MODEL",
+        message: `不支持的备用模型：${model}`,
+      };
+    }
+
+    const provider = resolveProvider(model, item.provider);
+    if (!isProviderEnabled(provider)) {
+      return {
+        code: "INVALID_PROVIDER",
+        message: `备用模型的提供商不支持：${provider}`,
+      };
+    }
+    if (!isValidModelProvider(model, provider)) {
+      return {
+        code: "INVALID_MODEL",
+        message: `提供商 ${provider} 不支持备用模型：${model}`,
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 规范化备用模型列表（补全提供商，去掉重复项）
+ *
+ * @param {Array<Object>|null} [fallbackModels] - 已通过验证的备用模型列表
+ * @returns {Array<Object>|null} [{ model, provider }]，为空时为 null
+ */
+function normalizeFallbackModels(fallbackModels) {
+  if (!Array.isArray(fallbackModels)) {
+    return null;
+  }
+
+  const result = [];
+  for (const item of fallbackModels) {
+    const model = item.model.trim();
+    const provider = resolveProvider(model, item.provider);
+    if (!result.some((existing) => existing.model === model && existing.provider === provider)) {
+      result.push({ model, provider });
+    }
+  }
+  return result.length > 0 ? result : null;
+}
+
+/**
+ * 规范化生成参数（去掉值为空的参数和空的停止序列列表）
+ *
+ * @param {Object|null} [params] - 已通过验证的生成参数
+ * @returns {Object|null} 生成参数，全部使用默认值时为 null
+ */
+function normalizeGenerationParams(params) {
+  if (!params) {
+    return null;
+  }
+
+  const result = {};
+  for (const key of Object.keys(GENERATION_PARAM_RULES)) {
+    const value = params[key];
+    if (value === null || value === undefined || (Array.isArray(value) && value.length === 0)) {
+      continue;
+    }
+    result[key] = value;
+  }
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+/**
+ * 确定 Agent 使用的提供商
+ *
+ * 【规则】
+ * 1. 显式指定的 provider 优先
+ * 2. 否则按模型推断（启用的提供商中第一个声明该模型的）
+ * 3. 都没有时使用 DEFAULT_PROVIDER
+ *
+ * @param {string} model - 模型名称
+ * @param {string} [provider] - 指定的提供商
+ * @returns {string} 提供商名称
+ */
+function resolveProvider(model, provider) {
+  if (typeof provider === "string" && provider.trim()) {
+    return provider.trim();
+  }
+  return getModelProvider(model) || DEFAULT_PROVIDER;
+}
+
 /**
  * 验证 Agent 数据
  *
@@ -53,7 +282,10 @@ const {
  * 3. type: 必填，必须是 'general' 或 'special'
  * 4. systemPrompt: 可选，0-5000 字符（不填也可以）
  * 5. model: 必填，必须在支持的模型列表中
- * 6. avatarUrl: 可选，如果提供必须是有效的 URL 格式
+ * 6. provider: 可选，必须是启用的提供商，且支持该模型（不填时按模型推断）
+ * 7. avatarUrl: 可选，如果提供必须是有效的 URL 格式
+ * 8. generationParams: 可选，见 validateGenerationParams
+ * 9. fallbackModels: 可选，见 validateFallbackModels
  *
  * @param {Object} agentData - Agent 数据
  * @returns {Object|null} 验证错误对象，如果验证通过则返回 null
@@ -127,7 +359,6 @@ function validateAgentData(agentData) {
 
   const model = agentData.model.trim();
 
-  // V1 版本统一使用 OpenRouter，只验证模型是否在预设列表中
   if (!isValidModel(model)) {
     return {
       code: "INVALID_MODEL",
@@ -135,11 +366,30 @@ function validateAgentData(agentData) {
     };
   }
 
-  // V1 版本统一使用 OpenRouter，忽略用户提供的 provider（向后兼容）
-  if (agentData.provider && agentData.provider.trim() !== "openrouter") {
-    console.warn(
-      `警告：V1 版本统一使用 OpenRouter，忽略用户提供的 provider: ${agentData.provider}`
-    );
+  // 验证 provider（可选，不填时按模型推断）
+  if (
+    agentData.provider !== undefined &&
+    agentData.provider !== null &&
+    typeof agentData.provider !== "string"
+  ) {
+    return {
+      code: "VALIDATION_ERROR",
+      message: "提供商格式不正确",
+    };
+  }
+
+  const provider = resolveProvider(model, agentData.provider);
+  if (!isProviderEnabled(provider)) {
+    return {
+      code: "INVALID_PROVIDER",
+      message: `不支持的提供商：${provider}`,
+    };
+  }
+  if (!isValidModelProvider(model, provider)) {
+    return {
+      code: "INVALID_MODEL",
+      message: `提供商 ${provider} 不支持模型：${model}`,
+    };
   }
 
   // 验证 avatarUrl（可选）
@@ -161,6 +411,22 @@ function validateAgentData(agentData) {
     }
   }
 
+  // 验证 generationParams（可选）
+  if (agentData.generationParams !== undefined) {
+    const paramsError = validateGenerationParams(agentData.generationParams);
+    if (paramsError) {
+      return paramsError;
+    }
+  }
+
+  // 验证 fallbackModels（可选）
+  if (agentData.fallbackModels !== undefined) {
+    const fallbackError = validateFallbackModels(agentData.fallbackModels);
+    if (fallbackError) {
+      return fallbackError;
+    }
+  }
+
   return null; // 验证通过
 }
 
@@ -189,6 +455,8 @@ function validateAgentData(agentData) {
  * @param {string} [agentData.provider] - LLM 提供商（可选，预设模型会自动推断）
  * @param {string} agentData.systemPrompt - 人设描述
  * @param {string} [agentData.avatarUrl] - 头像 URL（可选）
+ * @param {Object} [agentData.generationParams] - 生成参数（可选，temperature、maxTokens、topP、stop、frequencyPenalty、presencePenalty）
+ * @param {Array<Object>} [agentData.fallbackModels] - 备用模型列表（可选，[{ model, provider }]）
  * @returns {Promise<Object>} 创建的 Agent 对象
  * @throws {Object} 错误对象 { code, message }
  */
@@ -222,9 +490,8 @@ async function createAgent(agentData) {
     };
   }
 
-  // V1 版本统一使用 OpenRouter
   const model = agentData.model.trim();
-  const provider = "openrouter"; // 统一使用 OpenRouter
+  const provider = resolveProvider(model, agentData.provider);
 
   // 创建 Agent
   try {
@@ -233,11 +500,14 @@ async function createAgent(agentData) {
       name: name,
       type: agentData.type,
       model: model,
-      provider: provider, // 存储 provider（预设模型自动推断，自定义模型必填）
+      provider: provider, // 存储 provider（未指定时按模型推断）
       systemPrompt: agentData.systemPrompt ? agentData.systemPrompt.trim() : "", // 允许为空字符串
       avatarUrl: agentData.avatarUrl ? agentData.avatarUrl.trim() : null,
+      generationParams: normalizeGenerationParams(agentData.generationParams),
+      fallbackModels: normalizeFallbackModels(agentData.fallbackModels),
     });
 
+    realtimeService.publish(userId, "agent.created", { agentId: agent.id });
     return agent;
   } catch (error) {
     // 捕获创建过程中的错误
@@ -259,7 +529,7 @@ async function createAgent(agentData) {
  * 1. 验证 userId
  * 2. 调用 Repository 查询用户的所有 Agent
  * 3. 获取用户的所有 Session，构建 agentId -> lastActiveAt 映射
- * 4. 为每个 Agent 添加 lastMessageAt 字段
+ * 4. 为每个 Agent 添加 lastMessageAt、lastMessagePreview 和 unreadCount（未读回复数）字段
  * 5. 按排序规则排序：lastMessageAt 倒序，如果为 null 则按 createdAt 倒序
  * 6. 返回列表
  *
@@ -311,8 +581,11 @@ async function getAgentList(userId) {
     };
   });
 
-  // 等待所有查询完成
-  const sessionResults = await Promise.all(sessionQueries);
+  // 等待所有查询完成（同时统计未读回复数）
+  const [sessionResults, unreadCounts] = await Promise.all([
+    Promise.all(sessionQueries),
+    notificationService.getUnreadCounts(trimmedUserId),
+  ]);
 
   // 构建 agentId -> { lastActiveAt, lastMessageContent } 映射
   for (const result of sessionResults) {
@@ -340,6 +613,7 @@ async function getAgentList(userId) {
       ...agent,
       lastMessageAt: lastMessageInfo?.lastActiveAt || null,
       lastMessagePreview: lastMessageInfo?.lastMessageContent || null,
+      unreadCount: unreadCounts.agents[agent.id] || 0,
     };
   });
 
@@ -424,7 +698,7 @@ async function updateAgent(agentId, userId, updateData) {
   }
 
   // 3. 验证更新数据
-  const allowedFields = ['name', 'type', 'systemPrompt', 'model', 'provider', 'avatarUrl'];
+  const allowedFields = ['name', 'type', 'systemPrompt', 'model', 'provider', 'avatarUrl', 'generationParams', 'fallbackModels'];
   const filteredData = {};
   
   for (const field of allowedFields) {
@@ -475,20 +749,66 @@ async function updateAgent(agentId, userId, updateData) {
     }
   }
 
-  // 如果更新了 model，验证模型有效性
-  if (filteredData.model !== undefined) {
-    if (!isValidModel(filteredData.model)) {
-      const error = new Error(`不支持的模型：${filteredData.model}`);
+  // 如果更新了生成参数，验证范围（null 表示全部恢复默认值）
+  if (filteredData.generationParams !== undefined) {
+    const paramsError = validateGenerationParams(filteredData.generationParams);
+    if (paramsError) {
+      const error = new Error(paramsError.message);
+      error.code = paramsError.code;
+      throw error;
+    }
+    filteredData.generationParams = normalizeGenerationParams(filteredData.generationParams);
+  }
+
+  // 如果更新了备用模型，验证每个模型（null 表示不使用备用模型）
+  if (filteredData.fallbackModels !== undefined) {
+    const fallbackError = validateFallbackModels(filteredData.fallbackModels);
+    if (fallbackError) {
+      const error = new Error(fallbackError.message);
+      error.code = fallbackError.code;
+      throw error;
+    }
+    filteredData.fallbackModels = normalizeFallbackModels(filteredData.fallbackModels);
+  }
+
+  // 如果更新了 model 或 provider，验证组合是否有效
+  if (filteredData.model !== undefined || filteredData.provider !== undefined) {
+    const model = String(filteredData.model ?? agent.model).trim();
+    if (filteredData.model !== undefined && !isValidModel(model)) {
+      const error = new Error(`不支持的模型：${model}`);
       error.code = 'INVALID_MODEL';
       throw error;
     }
-    // V1 版本统一使用 OpenRouter
-    filteredData.provider = 'openrouter';
+
+    // 只改模型时，原提供商支持新模型就继续使用原提供商，否则按模型推断
+    let provider;
+    if (filteredData.provider !== undefined) {
+      provider = resolveProvider(model, filteredData.provider);
+    } else if (agent.provider && isValidModelProvider(model, agent.provider)) {
+      provider = agent.provider;
+    } else {
+      provider = resolveProvider(model);
+    }
+
+    if (!isProviderEnabled(provider)) {
+      const error = new Error(`不支持的提供商：${provider}`);
+      error.code = 'INVALID_PROVIDER';
+      throw error;
+    }
+    if (!isValidModelProvider(model, provider)) {
+      const error = new Error(`提供商 ${provider} 不支持模型：${model}`);
+      error.code = 'INVALID_MODEL';
+      throw error;
+    }
+
+    filteredData.model = model;
+    filteredData.provider = provider;
   }
 
   // 4. 更新 Agent
   const updatedAgent = await agentRepository.update(agentId, filteredData);
 
+  realtimeService.publish(userId, "agent.updated", { agentId });
   return updatedAgent;
 }
 
@@ -537,6 +857,7 @@ async function deleteAgent(agentId, userId, options = {}) {
     // 硬删除：物理删除 Agent
     // 注意：这会永久删除数据，关联的对话历史保留（不删除）
     await agentRepository.remove(agentId);
+    realtimeService.publish(userId, "agent.deleted", { agentId });
     
     return {
       success: true,
@@ -549,6 +870,7 @@ async function deleteAgent(agentId, userId, options = {}) {
       deleted: true,
       deletedAt: Date.now(),
     });
+    realtimeService.publish(userId, "agent.deleted", { agentId });
 
     return {
       success: true,
@@ -0,0 +1,162 @@
+/**
+ * ============================================
+ * 公告服务 (AnnouncementService.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 管理员发布、修改、下线和删除公告
+ *
+ * 【主要功能】
+ * 1. 查询公告列表（包含已下线的公告）
+ * 2. 发布公告：校验标题和内容
+ * 3. 修改公告（标题、内容、是否发布）
+ * 4. 删除公告
+ *
+ * 【说明】
+ * 已发布的公告出现在所有用户的通知中心（services/NotificationService.js），
+ * 发布时间晚于用户通知已读时间的计为未读
+ *
+ * 【依赖】
+ * - repositories/AnnouncementRepository.js: 公告数据访问
+ *
+ * 【被谁使用】
+ * - routes/admin.js: 管理后台的公告管理接口
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+const announcementRepository = require("../repositories/AnnouncementRepository");
+
+/**
+ * 标题最大长度（与 announcements.title 列一致）
+ */
+const TITLE_MAX_LENGTH = 200;
+
+/**
+ * 内容最大长度
+ */
+const CONTENT_MAX_LENGTH = 10000;
+
+/**
+ * 创建错误对象
+ *
+ * @param {string} code - 错误码
+ * @param {string} message - 错误信息
+ * @returns {Error} 错误对象
+ */
+function createError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * 校验并整理公告字段
+ *
+ * @param {Object} data - 请求数据 { title, content, isActive }
+ * @param {boolean} partial - 是否为部分更新（未提供的字段不校验）
+ * @returns {Object} 整理后的字段
+ * @throws {Error} VALIDATION_ERROR
+ */
+function validateFields(data, partial) {
+  const fields = {};
+
+  if (!partial || data.title !== undefined) {
+    if (typeof data.title !== "string" || !data.title.trim()) {
+      throw createError("VALIDATION_ERROR", "公告标题不能为空");
+    }
+    if (data.title.trim().length > TITLE_MAX_LENGTH) {
+      throw createError("VALIDATION_ERROR", `公告标题不能超过 ${TITLE_MAX_LENGTH} 个字符`);
+    }
+    fields.title = data.title.trim();
+  }
+
+  if (data.content !== undefined && data.content !== null) {
+    if (typeof data.content !== "string") {
+      throw createError("VALIDATION_ERROR", "公告内容必须是字符串");
+    }
+    if (data.content.length > CONTENT_MAX_LENGTH) {
+      throw createError("VALIDATION_ERROR", `公告内容不能超过 ${CONTENT_MAX_LENGTH} 个字符`);
+    }
+    fields.content = data.content;
+  }
+
+  if (data.isActive !== undefined) {
+    if (typeof data.isActive !== "boolean") {
+      throw createError("VALIDATION_ERROR", "isActive 必须是布尔值");
+    }
+    fields.isActive = data.isActive;
+  }
+
+  return fields;
+}
+
+/**
+ * 查询公告列表（管理后台，包含已下线的公告）
+ *
+ * @param {Object} [options] - 查询选项 { limit }
+ * @returns {Promise<Array<Object>>} 公告列表，按发布时间倒序
+ */
+async function listAnnouncements(options = {}) {
+  return await announcementRepository.findAll({ limit: options.limit });
+}
+
+/**
+ * 发布公告
+ *
+ * @param {Object} data - 公告数据 { title, content, isActive }
+ * @param {string} adminId - 发布人 ID
+ * @returns {Promise<Object>} 创建的公告
+ * @throws {Error} VALIDATION_ERROR
+ */
+async function createAnnouncement(data, adminId) {
+  const fields = validateFields(data || {}, false);
+  const announcement = await announcementRepository.create({ ...fields, createdBy: adminId });
+
+  console.log(`[AnnouncementService] Announcement ${announcement.id} created by ${adminId}`);
+  return announcement;
+}
+
+/**
+ * 修改公告
+ *
+ * @param {string} announcementId - 公告 ID
+ * @param {Object} data - 要修改的字段 { title, content, isActive }
+ * @returns {Promise<Object>} 修改后的公告
+ * @throws {Error} VALIDATION_ERROR / ANNOUNCEMENT_NOT_FOUND
+ */
+async function updateAnnouncement(announcementId, data) {
+  const fields = validateFields(data || {}, true);
+  if (Object.keys(fields).length === 0) {
+    throw createError("VALIDATION_ERROR", "请提供 title、content 或 isActive 字段");
+  }
+
+  const announcement = await announcementRepository.update(announcementId, fields);
+  if (!announcement) {
+    throw createError("ANNOUNCEMENT_NOT_FOUND", "公告不存在");
+  }
+
+  return announcement;
+}
+
+/**
+ * 删除公告
+ *
+ * @param {string} announcementId - 公告 ID
+ * @returns {Promise<void>}
+ * @throws {Error} ANNOUNCEMENT_NOT_FOUND
+ */
+async function deleteAnnouncement(announcementId) {
+  const deleted = await announcementRepository.remove(announcementId);
+  if (!deleted) {
+    throw createError("ANNOUNCEMENT_NOT_FOUND", "公告不存在");
+  }
+}
+
+module.exports = {
+  listAnnouncements,
+  createAnnouncement,
+  updateAnnouncement,
+  deleteAnnouncement,
+};
@@ -0,0 +1,151 @@
+/**
+ * ============================================
+ * 上下文构建服务 (ContextService.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 按 token 预算为 LLM 调用挑选历史消息，替代固定条数的上下文窗口
+ *
+ * 【主要功能】
+ * 1. 估算每条事件的 token 数（按字符粗略估算，不依赖具体模型的分词器）
+ * 2. 根据模型上下文大小、回复预留和 system prompt 计算可用预算
+ * 3. 从最新的消息往前选取，超出预算时从最旧的一端截断
+ * 4. 返回所选窗口的事件 ID 和 token 估算，供调试记录
+ *
+ * 【工作流程】
+ * 获取最近的候选事件 → 计算预算 → 从新到旧累加 token → 超出预算停止 → 按时间顺序返回
+ *
+ * 【截断与摘要】
+ * 被截断的旧消息不会丢失：MessageService 回复完成后以窗口第一条消息的时间为界，
+ * 由 MemoryService 把窗口之前的消息整理进会话摘要
+ *
+ * 【依赖】
+ * - services/EventService.js: 获取会话激活路径上的最近事件
+ * - config/models.js: 模型上下文配置
+ * - utils/textUtils.js: token 估算
+ *
+ * 【被谁使用】
+ * - services/MessageService.js: 发送消息、重新生成、编辑消息时构建上下文
+ *
+ * @author AI Assistant
+ * @created 2025-12-05
+ */
+
+const eventService = require("./EventService");
+const { getModelContextConfig } = require("../config/models");
+const { estimateTokens } = require("../utils/textUtils");
+
+/**
+ * 上下文构建配置
+ *
+ * 【说明】
+ * - MAX_CONTEXT_EVENTS：单次最多取出的候选事件数量（避免长会话一次读取过多数据）
+ * - MESSAGE_OVERHEAD_TOKENS：每条消息的格式开销（role 等字段）
+ */
+const MAX_CONTEXT_EVENTS = 200;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+/**
+ * 估算单条事件占用的 token 数
+ *
+ * @param {Object} event - 事件对象
+ * @returns {number} 估算的 token 数
+ */
+function estimateEventTokens(event) {
+  return estimateTokens(event.content) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+/**
+ * 在 token 预算内选取上下文窗口
+ *
+ * 【功能说明】
+ * 从最新的事件往前累加 token，超出预算时丢弃更旧的事件
+ *
+ * 【选取规则】
+ * - 预算 = 模型上下文大小 - 回复预留 - system prompt
+ * - 最新一条事件（被回复的消息）总是保留，即使它本身超出预算
+ * - 只从最旧的一端截断，保证窗口内的消息连续
+ *
+ * @param {Array<Object>} events - 候选事件列表（按时间升序）
+ * @param {Object} options - 选项
+ * @param {string} options.model - 模型名称
+ * @param {string} [options.provider] - 提供商名称（用于读取提供商配置的上下文大小）
+ * @param {string} [options.systemPrompt] - system prompt（计入预算）
+ * @returns {Object} { events, eventIds, tokenEstimate, budget, droppedCount }
+ */
+function fitContextWindow(events, options) {
+  const { model, provider, systemPrompt } = options;
+  const { contextWindow, replyReserve } = getModelContextConfig(model, provider);
+  const candidates = Array.isArray(events) ? events : [];
+
+  const systemTokens = estimateTokens(systemPrompt);
+  const budget = Math.max(contextWindow - replyReserve, 0);
+
+  let tokenEstimate = systemTokens;
+  let startIndex = candidates.length;
+
+  for (let i = candidates.length - 1; i >= 0; i--) {
+    const eventTokens = estimateEventTokens(candidates[i]);
+    const isNewest = i === candidates.length - 1;
+    if (!isNewest && tokenEstimate + eventTokens > budget) {
+      break;
+    }
+    tokenEstimate += eventTokens;
+    startIndex = i;
+  }
+
+  const selected = candidates.slice(startIndex);
+
+  return {
+    events: selected,
+    eventIds: selected.map((event) => event.id),
+    tokenEstimate,
+    budget,
+    droppedCount: startIndex,
+  };
+}
+
+/**
+ * 构建会话的 LLM 上下文窗口
+ *
+ * 【功能说明】
+ * 读取会话激活路径上的最近事件，按模型的 token 预算选取上下文
+ *
+ * 【工作流程】
+ * 1. 读取最近 maxEvents 条事件（默认 MAX_CONTEXT_EVENTS；传 before 时只读取它之前的事件）
+ * 2. 去掉生成中和生成失败的回复、没有内容的停止回复（不发送给 LLM，也不占预算）
+ * 3. 调用 fitContextWindow 按预算截断
+ *
+ * @param {Object} options - 选项
+ * @param {string} options.sessionId - 会话 ID
+ * @param {string} options.model - 模型名称
+ * @param {string} [options.provider] - 提供商名称
+ * @param {string} [options.systemPrompt] - system prompt（计入预算）
+ * @param {number} [options.maxEvents] - 最多选取的事件数量
+ * @param {Object} [options.before] - 游标 { timestamp, id }，只选取它之前的事件（重试对话中间的回复）
+ * @returns {Promise<Object>} { events, eventIds, tokenEstimate, budget, droppedCount }
+ */
+async function buildContextWindow(options) {
+  const { sessionId, model, provider, systemPrompt, maxEvents, before } = options;
+
+  const limit =
+    Number.isInteger(maxEvents) && maxEvents > 0
+      ? Math.min(maxEvents, MAX_CONTEXT_EVENTS)
+      : MAX_CONTEXT_EVENTS;
+
+  const recentEvents = before
+    ? await eventService.getEventsBefore(sessionId, before, limit)
+    : await eventService.getRecentEvents(sessionId, limit);
+  const events = recentEvents.filter((event) => {
+    const status = event.status || "complete";
+    return status === "complete" || (status === "stopped" && event.content);
+  });
+
+  return fitContextWindow(events, { model, provider, systemPrompt });
+}
+
+module.exports = {
+  buildContextWindow,
+  fitContextWindow,
+  estimateEventTokens,
+};
@@ -10,6 +10,11 @@
  * 1. 事件数据验证（字段验证、内容长度等）
  * 2. 事件创建和查询（封装 Repository 操作）
  * 3. 构建对话上下文（获取最近 N 条事件）
+ * 4. 对话分支（激活路径 + 兄弟分支信息、切换分支）
+ * 5. 游标分页：对话历史按页向前加载，轮询只查询最后一条已知事件之后的事件
+ * 6. 回复状态：后台生成的回复先以 pending 占位，生成结束后原地更新为 complete / failed
+ * 7. 连续发送：还没开始生成的占位回复移到最新的用户消息之后
+ * 8. 实时推送：新消息、回复状态变化、切换分支后通知用户的其他设备
  *
  * 【工作流程】
  * 接收数据 → 字段验证 → 业务规则检查 → 调用 Repository → 更新 Session 活动时间 → 返回结果
@@ -18,6 +23,7 @@
  * - repositories/EventRepository.js: 数据访问层
  * - services/SessionService.js: 更新会话活动时间
  * - services/AgentService.js: 获取 Agent 信息（用于验证）
+ * - services/RealtimeService.js: 实时推送
  *
  * 【被谁使用】
  * - services/MessageService.js: 调用事件创建和查询方法
@@ -35,6 +41,60 @@
 const eventRepository = require("../repositories/EventRepository");
 const sessionService = require("./SessionService");
 const agentService = require("./AgentService");
+const realtimeService = require("./RealtimeService");
+
+/**
+ * 对话历史默认每页数量
+ */
+const DEFAULT_PAGE_SIZE = 50;
+
+/**
+ * 对话历史每页最大数量
+ */
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * 回复状态
+ * - pending：后台任务生成中（占位回复，content 为空）
+ * - complete：正常消息（用户消息始终为 complete）
+ * - failed：生成失败，content 为错误说明，可以重试
+ * - stopped：用户中途停止生成，content 为已生成的部分（可能为空）
+ */
+const EVENT_STATUSES = ["pending", "complete", "failed", "stopped"];
+
+/**
+ * 推送会话时间线变化（session.updated），客户端收到后重新加载当前会话
+ *
+ * @param {Object} event - 会话中的任一 Event 对象（提供 userId、sessionId、agentId）
+ * @param {string} reason - 变化原因：reordered / branch / superseded
+ */
+function notifySessionUpdated(event, reason) {
+  realtimeService.publish(event.userId, "session.updated", {
+    sessionId: event.sessionId,
+    agentId: event.agentId,
+    reason,
+  });
+}
+
+/**
+ * 推送消息变化（event.created / event.updated）
+ *
+ * 【说明】
+ * 只推送事件标识和状态，客户端收到后通过 /messages/check 获取内容；
+ * 不等待推送完成，推送失败不影响消息保存
+ *
+ * @param {string} type - 实时事件类型
+ * @param {Object} event - Event 对象
+ */
+function notifyEvent(type, event) {
+  realtimeService.publish(event.userId, type, {
+    sessionId: event.sessionId,
+    agentId: event.agentId,
+    eventId: event.id,
+    fromType: event.fromType,
+    status: event.status,
+  });
+}
 
 /**
  * 验证事件数据
@@ -50,7 +110,8 @@ const agentService = require("./AgentService");
  * 5. fromId: 必填，字符串
  * 6. toType: 必填，必须是 'user' 或 'agent'
  * 7. toId: 必填，字符串
- * 8. content: 必填，1-50000 字符
+ * 8. content: 必填，1-50000 字符（pending 的占位回复可以为空）
+ * 9. status: 可选，pending / complete / failed / stopped
  *
  * @param {Object} eventData - Event 数据
  * @returns {Object|null} 验证错误对象，如果验证通过则返回 null
@@ -132,15 +193,25 @@ function validateEventData(eventData) {
     };
   }
 
-  // 验证 content
-  if (!eventData.content || typeof eventData.content !== "string") {
+  // 验证 status
+  if (eventData.status !== undefined && !EVENT_STATUSES.includes(eventData.status)) {
+    return {
+      code: "VALIDATION_ERROR",
+      message: "回复状态必须是 pending、complete、failed 或 stopped",
+    };
+  }
+
+  // 验证 content（生成中的占位回复、刚开始就被停止的回复没有内容）
+  const isPlaceholder =
+    (eventData.status === "pending" || eventData.status === "stopped") && eventData.content === "";
+  if (typeof eventData.content !== "string" || (!eventData.content && !isPlaceholder)) {
     return {
       code: "VALIDATION_ERROR",
       message: "消息内容不能为空",
     };
   }
   const contentLength = eventData.content.trim().length;
-  if (contentLength === 0) {
+  if (contentLength === 0 && !isPlaceholder) {
     return {
       code: "VALIDATION_ERROR",
       message: "消息内容不能为空",
@@ -202,9 +273,10 @@ function validateEventData(eventData) {
  * 【工作流程】
  * 1. 验证字段
  * 2. 验证 Agent 是否存在（如果 fromType 或 toType 是 agent）
- * 3. 调用 Repository 创建 Event
- * 4. 更新 Session 活动时间（通过 SessionService）
- * 5. 返回创建的 Event
+ * 3. 确定父事件（未指定时取会话激活路径的最后一条事件）
+ * 4. 调用 Repository 创建 Event
+ * 5. 更新 Session 活动时间（通过 SessionService）
+ * 6. 返回创建的 Event
  *
  * 【错误处理】
  * - 验证错误 → 抛出 { code: 'VALIDATION_ERROR', message: '...' }
@@ -213,6 +285,7 @@ function validateEventData(eventData) {
  *
  * @param {Object} eventData - Event 数据
  * @param {string} eventData.sessionId - 会话 ID
+ * @param {string|null} [eventData.parentId] - 父事件 ID（不传则接在激活路径末尾；传 null 表示根事件）
  * @param {string} eventData.userId - 用户 ID
  * @param {string} eventData.agentId - Agent ID
  * @param {string} eventData.fromType - 发送者类型（user/agent）
@@ -220,6 +293,12 @@ function validateEventData(eventData) {
  * @param {string} eventData.toType - 接收者类型（user/agent）
  * @param {string} eventData.toId - 接收者 ID
  * @param {string} eventData.content - 消息内容
+ * @param {Object} [eventData.contextWindow] - 生成该回复时使用的上下文窗口（仅 Agent 回复，调试用）
+ * @param {string} [eventData.model] - 生成该回复实际使用的模型（仅 Agent 回复）
+ * @param {string} [eventData.provider] - 生成该回复实际使用的提供商（仅 Agent 回复）
+ * @param {string} [eventData.status="complete"] - 回复状态（仅 Agent 回复）：pending / complete / failed / stopped
+ * @param {string} [eventData.errorCode] - 生成失败时的错误码（仅 failed）
+ * @param {number} [eventData.timestamp] - 事件时间戳（不传则取当前时间；占位回复取父事件时间戳 + 1）
  * @returns {Object} 创建的 Event 对象
  * @throws {Object} 错误对象 { code, message }
  */
@@ -249,8 +328,22 @@ async function createEvent(eventData) {
 
   // 创建 Event
   try {
+    // 确定父事件：未指定时接在激活路径末尾
+    let parentId = eventData.parentId;
+    if (parentId === undefined) {
+      const lastEvents = await eventRepository.getRecentEvents(
+        eventData.sessionId.trim(),
+        1
+      );
+      parentId =
+        Array.isArray(lastEvents) && lastEvents.length > 0
+          ? lastEvents[lastEvents.length - 1].id
+          : null;
+    }
+
     const event = await eventRepository.createEvent({
       sessionId: eventData.sessionId.trim(),
+      parentId: parentId || null,
       userId: eventData.userId.trim(),
       agentId: agentId,
       fromType: eventData.fromType,
@@ -258,11 +351,18 @@ async function createEvent(eventData) {
       toType: eventData.toType,
       toId: eventData.toId.trim(),
       content: eventData.content.trim(),
+      contextWindow: eventData.contextWindow || null,
+      model: eventData.model || null,
+      provider: eventData.provider || null,
+      status: eventData.status || "complete",
+      errorCode: eventData.errorCode || null,
+      timestamp: eventData.timestamp,
     });
 
     // 更新 Session 活动时间（通过 SessionService）
     await sessionService.updateSessionActivity(event.sessionId);
 
+    notifyEvent("event.created", event);
     return event;
   } catch (error) {
     // 捕获创建过程中的错误
@@ -322,6 +422,30 @@ async function getRecentEvents(sessionId, limit = 20) {
   return await eventRepository.getRecentEvents(sessionId.trim(), limit);
 }
 
+/**
+ * 获取会话中某条事件之前的最近 N 条事件（用于构建上下文）
+ *
+ * 【功能说明】
+ * 重试对话中间的失败回复时，上下文只能包含这条回复之前的消息
+ *
+ * @param {string} sessionId - 会话 ID
+ * @param {Object} before - 游标 { timestamp, id }，只返回它之前的事件
+ * @param {number} limit - 数量限制（默认 20）
+ * @returns {Promise<Array<Object>>} Event 对象数组，按时间升序
+ */
+async function getEventsBefore(sessionId, before, limit = 20) {
+  if (!sessionId || typeof sessionId !== "string" || !sessionId.trim()) {
+    return [];
+  }
+
+  if (typeof limit !== "number" || limit < 1) {
+    limit = 20; // 默认值
+  }
+
+  const page = await eventRepository.getEventsPage(sessionId.trim(), { before, limit });
+  return page.events;
+}
+
 /**
  * 通过 ID 查询事件
  *
@@ -347,31 +471,39 @@ async function getEventById(eventId) {
  *
  * 【工作流程】
  * 1. 验证 userId 和 agentId
- * 2. 通过参与者列表查找 Session
+ * 2. 指定 sessionId 时查询该会话（校验归属），否则通过参与者列表查找默认会话
  * 3. 如果 Session 不存在，返回 null（表示没有对话历史）
- * 4. 如果 Session 存在，获取该 Session 的所有事件
- * 5. 返回 Session 信息和事件列表
+ * 4. 如果 Session 存在，获取该 Session 激活路径的一页（默认最新的一页，附带兄弟分支信息）
+ * 5. 返回 Session 信息、事件列表和更早一页的游标
  *
  * 【使用场景】
- * - 获取用户与指定 Agent 的完整对话历史
- * - 用于前端展示对话记录
+ * - 打开对话时获取最新的一页
+ * - 向上滚动时用 before 游标加载更早的消息
  *
  * 【返回格式】
  * {
  *   session: {
  *     sessionId: "...",
  *     participants: [...],
+ *     title: "...",
  *     createdAt: 1234567890,
  *     lastActiveAt: 1234567890
  *   },
- *   events: [...]
+ *   events: [...],
+ *   hasMore: true,                      // 是否还有更早的消息
+ *   before: "1703001234567_evt_123"     // 加载更早一页时传入的游标（没有更早的消息时为 null）
  * }
  *
  * @param {string} userId - 用户 ID
  * @param {string} agentId - Agent ID
+ * @param {string} [sessionId] - 会话 ID（可选，默认使用最近活跃的未归档会话）
+ * @param {Object} [options] - 分页选项
+ * @param {string} [options.before] - 游标（上一页返回的 before），只返回它之前的消息
+ * @param {number|string} [options.limit=50] - 每页数量（最多 200）
  * @returns {Object|null} 包含 Session 和 events 的对象，如果 Session 不存在则返回 null
+ * @throws {Object} 指定的会话不存在或不属于该用户时抛出 SESSION_NOT_FOUND；游标或数量无效时抛出 VALIDATION_ERROR
  */
-async function getHistoryByUserAndAgent(userId, agentId) {
+async function getHistoryByUserAndAgent(userId, agentId, sessionId, options = {}) {
   // 验证参数
   if (!userId || typeof userId !== "string" || !userId.trim()) {
     return null;
@@ -380,21 +512,21 @@ async function getHistoryByUserAndAgent(userId, agentId) {
     return null;
   }
 
-  // 构建参与者列表（标准化排序）
-  const participants = [
-    { type: "user", id: userId.trim() },
-    { type: "agent", id: agentId.trim() },
-  ];
-
-  // 查找 Session
-  const session = await sessionService.findSessionByParticipants(participants);
+  // 查找 Session：指定 sessionId 时校验归属，否则查找默认会话
+  const session = sessionId
+    ? await sessionService.getSessionForUser(sessionId, userId.trim(), agentId.trim())
+    : await sessionService.findSessionByParticipants([
+        { type: "user", id: userId.trim() },
+        { type: "agent", id: agentId.trim() },
+      ]);
   if (!session) {
     // Session 不存在，返回 null（表示没有对话历史）
     return null;
   }
 
-  // 获取该 Session 的所有事件
-  const events = await eventRepository.getEventsBySession(session.sessionId);
+  // 获取该 Session 激活路径的一页（附带兄弟分支信息）
+  const page = await getActivePathPage(session.sessionId, options);
+  const events = page.events;
 
   // 为每个事件计算最长行宽度
   const { calculateMaxLineWidth } = require('../utils/textUtils');
@@ -408,13 +540,410 @@ async function getHistoryByUserAndAgent(userId, agentId) {
     session: {
       sessionId: session.sessionId,
       participants: session.participants,
+      title: session.title || null,
       createdAt: session.createdAt,
       lastActiveAt: session.lastActiveAt,
+      archivedAt: session.archivedAt || null,
     },
     events: eventsWithWidth,
+    hasMore: page.hasMore,
+    before: page.before,
+  };
+}
+
+/**
+ * 截断会话时间线
+ *
+ * 【功能说明】
+ * 把会话中起点事件之后（按 (timestamp, id) 排序）的有效事件标记为已被替代（重新生成、编辑消息时使用）
+ * 被替代的事件不再出现在对话历史、轮询结果和 LLM 上下文中
+ *
+ * @param {string} sessionId - 会话 ID
+ * @param {Object} from - 起点事件 { timestamp, id }
+ * @param {Object} [options] - 选项
+ * @param {boolean} [options.inclusive=true] - 是否同时替代起点事件本身
+ * @returns {Promise<number>} 被标记的事件数量
+ * @throws {Object} 错误对象 { code, message }
+ */
+async function supersedeEventsFrom(sessionId, from, options = {}) {
+  if (!sessionId || typeof sessionId !== "string" || !sessionId.trim()) {
+    throw {
+      code: "VALIDATION_ERROR",
+      message: "会话 ID 不能为空",
+    };
+  }
+
+  const timestamp = from ? Number(from.timestamp) : NaN;
+  if (!Number.isFinite(timestamp) || !from.id || typeof from.id !== "string") {
+    throw {
+      code: "VALIDATION_ERROR",
+      message: "起始事件无效",
+    };
+  }
+
+  return await eventRepository.supersedeEventsFrom(
+    sessionId.trim(),
+    { timestamp, id: from.id },
+    { inclusive: options.inclusive !== false }
+  );
+}
+
+/**
+ * 获取会话的激活路径
+ *
+ * 【功能说明】
+ * 返回会话当前激活的对话路径（未被替代的事件，按时间升序），
+ * 并为每条事件附加兄弟分支信息，供前端显示 "< 2/3 >" 切换
+ *
+ * 【兄弟分支】
+ * 父事件相同、发送者类型相同的事件互为兄弟：
+ * - 重新生成的回复：父事件都是同一条用户消息
+ * - 编辑后的问题：父事件都是原问题的上一条事件
+ *
+ * 【返回字段】
+ * 在 Event 基础上增加：
+ * - siblingIds: 兄弟分支 ID 列表（按创建时间排序，包含自身）
+ * - siblingIndex: 自身在 siblingIds 中的位置（从 0 开始）
+ *
+ * @param {string} sessionId - 会话 ID
+ * @returns {Promise<Array<Object>>} 激活路径上的 Event 数组，按时间升序
+ */
+async function getActivePath(sessionId) {
+  if (!sessionId || typeof sessionId !== "string" || !sessionId.trim()) {
+    return [];
+  }
+
+  // 只查询有效事件和它们的兄弟分支，已被替代的路径上的其他事件不需要加载
+  const events = await eventRepository.getEventsBySession(sessionId.trim());
+
+  return attachSiblingsForPage(sessionId.trim(), events);
+}
+
+/**
+ * 为事件附加兄弟分支信息
+ *
+ * 【规则】
+ * 父事件 + 发送者类型相同的事件互为兄弟（见 getActivePath）
+ *
+ * @param {Array<Object>} events - 需要附加信息的事件
+ * @param {Array<Object>} candidates - 可能的兄弟事件（包含 events 自身和已被替代的分支，按时间升序）
+ * @returns {Array<Object>} 附带 siblingIds、siblingIndex 的事件
+ */
+function attachSiblings(events, candidates) {
+  const siblingGroups = new Map();
+  candidates.forEach((event) => {
+    const key = `${event.parentId || ""}|${event.fromType}`;
+    if (!siblingGroups.has(key)) {
+      siblingGroups.set(key, []);
+    }
+    siblingGroups.get(key).push(event.id);
+  });
+
+  return events.map((event) => {
+    const siblingIds = siblingGroups.get(
+      `${event.parentId || ""}|${event.fromType}`
+    ) || [event.id];
+    return {
+      ...event,
+      siblingIds,
+      siblingIndex: siblingIds.indexOf(event.id),
+    };
+  });
+}
+
+/**
+ * 为一页事件查询并附加兄弟分支信息
+ *
+ * @param {string} sessionId - 会话 ID
+ * @param {Array<Object>} events - 一页事件
+ * @returns {Promise<Array<Object>>} 附带 siblingIds、siblingIndex 的事件
+ */
+async function attachSiblingsForPage(sessionId, events) {
+  if (events.length === 0) {
+    return [];
+  }
+
+  const parentIds = [...new Set(events.map((event) => event.parentId).filter(Boolean))];
+  const includeRoots = events.some((event) => !event.parentId);
+  const candidates = await eventRepository.getEventsByParentIds(sessionId, parentIds, includeRoots);
+
+  return attachSiblings(events, candidates);
+}
+
+/**
+ * 生成分页游标
+ *
+ * 【格式】
+ * "{timestamp}_{id}"，例如 "1703001234567_evt_1703001234567_abc123"
+ *
+ * @param {Object} event - Event 对象
+ * @returns {string} 游标
+ */
+function encodeCursor(event) {
+  return `${Number(event.timestamp)}_${event.id}`;
+}
+
+/**
+ * 解析分页游标
+ *
+ * @param {string} cursor - 游标（见 encodeCursor）
+ * @returns {Object} { timestamp, id }
+ * @throws {Object} 游标格式不正确时抛出 VALIDATION_ERROR
+ */
+function decodeCursor(cursor) {
+  const match = typeof cursor === "string" ? /^(\d+)_(.+)$/.exec(cursor.trim()) : null;
+  if (!match) {
+    throw {
+      code: "VALIDATION_ERROR",
+      message: "before 游标格式不正确",
+    };
+  }
+  return { timestamp: Number(match[1]), id: match[2] };
+}
+
+/**
+ * 解析每页数量
+ *
+ * @param {number|string} [limit] - 每页数量（不传使用默认值）
+ * @returns {number} 1-200 之间的整数
+ * @throws {Object} 不是正整数时抛出 VALIDATION_ERROR
+ */
+function resolvePageSize(limit) {
+  if (limit === undefined || limit === null || limit === "") {
+    return DEFAULT_PAGE_SIZE;
+  }
+  const value = Number(limit);
+  if (!Number.isInteger(value) || value < 1) {
+    throw {
+      code: "VALIDATION_ERROR",
+      message: "limit 必须是正整数",
+    };
+  }
+  return Math.min(value, MAX_PAGE_SIZE);
+}
+
+/**
+ * 分页获取会话的激活路径
+ *
+ * 【功能说明】
+ * 返回激活路径中游标之前的一页（不传游标时为最新的一页），附带兄弟分支信息。
+ * 只查询这一页和它们的兄弟分支，不加载整个对话树
+ *
+ * @param {string} sessionId - 会话 ID
+ * @param {Object} [options] - 分页选项
+ * @param {string} [options.before] - 游标（见 encodeCursor）
+ * @param {number|string} [options.limit=50] - 每页数量（最多 200）
+ * @returns {Promise<Object>} { events, hasMore, before } - events 按时间升序；before 为更早一页的游标，没有更早的事件时为 null
+ * @throws {Object} 游标或数量无效时抛出 VALIDATION_ERROR
+ */
+async function getActivePathPage(sessionId, options = {}) {
+  const limit = resolvePageSize(options.limit);
+  const before = options.before ? decodeCursor(options.before) : null;
+
+  const page = await eventRepository.getEventsPage(sessionId, { before, limit });
+  const events = await attachSiblingsForPage(sessionId, page.events);
+
+  return {
+    events,
+    hasMore: page.hasMore,
+    before: page.hasMore && events.length > 0 ? encodeCursor(events[0]) : null,
+  };
+}
+
+/**
+ * 获取会话中某条事件之后的新事件（用于轮询）
+ *
+ * 【功能说明】
+ * 按 lastEventId 对应事件的 (timestamp, id) 查询之后的有效事件，最多 limit 条，附带兄弟分支信息
+ *
+ * 【规则】
+ * - lastEventId 可以是已被替代的事件（只用它的时间位置）
+ * - 不传 lastEventId，或事件不存在、不属于该会话时，返回最新的一页
+ *
+ * @param {string} sessionId - 会话 ID
+ * @param {string} [lastEventId] - 最后已知的事件 ID
+ * @param {Object} [options] - 查询选项
+ * @param {number|string} [options.limit=50] - 最多返回的数量（最多 200）
+ * @returns {Promise<Object>} { events, hasMore } - hasMore 表示还有更多新事件，下次轮询继续获取
+ * @throws {Object} 数量无效时抛出 VALIDATION_ERROR
+ */
+async function getEventsAfter(sessionId, lastEventId, options = {}) {
+  const limit = resolvePageSize(options.limit);
+
+  const lastEvent = lastEventId ? await eventRepository.findEventById(lastEventId) : null;
+  const page =
+    lastEvent && lastEvent.sessionId === sessionId
+      ? await eventRepository.getEventsAfter(
+          sessionId,
+          { timestamp: Number(lastEvent.timestamp), id: lastEvent.id },
+          limit
+        )
+      : await eventRepository.getEventsPage(sessionId, { limit });
+
+  return {
+    events: await attachSiblingsForPage(sessionId, page.events),
+    // 最新一页的 hasMore 指更早的事件，对轮询没有意义
+    hasMore: lastEvent && lastEvent.sessionId === sessionId ? page.hasMore : false,
   };
 }
 
+/**
+ * 按 ID 获取会话中的事件
+ *
+ * 【功能说明】
+ * 轮询生成中的回复：回复完成后原地更新（时间位置不变），按游标查询不到，需要按 ID 重新获取
+ *
+ * @param {string} sessionId - 会话 ID
+ * @param {Array<string>} eventIds - Event ID 列表（最多 MAX_PAGE_SIZE 个，不属于该会话的忽略）
+ * @returns {Promise<Array<Object>>} Event 对象数组，按时间升序
+ */
+async function getEventsByIds(sessionId, eventIds) {
+  const ids = [...new Set((eventIds || []).filter((id) => typeof id === "string" && id))];
+  if (ids.length === 0) {
+    return [];
+  }
+
+  return await eventRepository.getEventsByIds(sessionId, ids.slice(0, MAX_PAGE_SIZE));
+}
+
+/**
+ * 更新 Agent 回复的状态和内容
+ *
+ * 【功能说明】
+ * 写入后台任务的生成结果（pending → complete / failed / stopped），或把失败的回复改回 pending 重新生成；
+ * 写入结果时更新会话活动时间
+ *
+ * @param {string} eventId - Agent 回复 Event ID
+ * @param {Object} fields - { status, errorCode, content, model, provider, contextWindow }
+ * @param {Object} [options] - { expectedStatus } 只在当前状态为该值时更新
+ * @returns {Promise<Object|null>} 更新后的 Event 对象，未更新（不存在或状态不符）时返回 null
+ * @throws {Object} 状态无效时抛出 VALIDATION_ERROR
+ */
+async function updateReplyEvent(eventId, fields, options = {}) {
+  if (!EVENT_STATUSES.includes(fields.status)) {
+    throw {
+      code: "VALIDATION_ERROR",
+      message: "回复状态必须是 pending、complete、failed 或 stopped",
+    };
+  }
+
+  const updated = await eventRepository.updateReplyEvent(eventId, fields, options);
+  if (!updated) {
+    return null;
+  }
+
+  const event = await eventRepository.findEventById(eventId);
+  if (event && fields.status !== "pending") {
+    await sessionService.updateSessionActivity(event.sessionId);
+  }
+  if (event) {
+    notifyEvent("event.updated", event);
+  }
+  return event;
+}
+
+/**
+ * 把 pending 的占位回复移到指定事件之后
+ *
+ * 【功能说明】
+ * 用户连续发送消息时使用：占位回复的父事件改为最新的用户消息，
+ * 时间戳改为该消息之后 1 毫秒，在历史和上下文中排在它后面
+ *
+ * @param {string} eventId - 占位回复 Event ID
+ * @param {Object} after - 新的父事件 { id, timestamp }
+ * @returns {Promise<Object|null>} 移动后的 Event 对象，回复已不是 pending 时返回 null
+ */
+async function moveReplyEvent(eventId, after) {
+  const moved = await eventRepository.moveReplyEvent(eventId, after.id, Number(after.timestamp) + 1);
+  if (!moved) {
+    return null;
+  }
+
+  const event = await eventRepository.findEventById(eventId);
+  if (event) {
+    notifySessionUpdated(event, "reordered");
+  }
+  return event;
+}
+
+/**
+ * 切换对话分支
+ *
+ * 【功能说明】
+ * 把指定的兄弟分支设为激活：当前激活的兄弟及其后的路径被替代，
+ * 目标分支及它当初被替代时一起被替代的后续路径恢复为有效
+ *
+ * 【工作流程】
+ * 1. 按 ID 获取目标事件
+ * 2. 如果目标已经激活，直接返回激活路径的最新一页
+ * 3. 查询目标的父事件和兄弟，找到当前激活的兄弟，截断它及之后的激活路径
+ * 4. 恢复与目标同一时刻被替代、沿父事件能追溯到目标的事件（即它当时的激活路径）
+ * 5. 返回新激活路径的最新一页
+ *
+ * 只查询目标的父事件、兄弟和同一时刻被替代的事件，不加载整个对话树
+ *
+ * @param {string} eventId - 要切换到的 Event ID
+ * @param {string} [userId] - 当前用户 ID（传入时校验事件归属）
+ * @returns {Promise<Object>} { sessionId, events, hasMore, before } - events 为新激活路径的最新一页（附带兄弟分支信息），分页字段见 getActivePathPage
+ * @throws {Object} EVENT_NOT_FOUND / VALIDATION_ERROR
+ */
+async function switchBranch(eventId, userId) {
+  const target = await getEventById(eventId);
+  if (!target || (userId && target.userId !== userId)) {
+    throw {
+      code: "EVENT_NOT_FOUND",
+      message: "消息不存在",
+    };
+  }
+
+  const sessionId = target.sessionId;
+  if (!target.supersededAt) {
+    return { sessionId, ...(await getActivePathPage(sessionId)) };
+  }
+
+  // 父事件本身不在激活路径上时不能切换（需要先切换父级分支）
+  if (target.parentId) {
+    const parent = await getEventById(target.parentId);
+    if (!parent || parent.sessionId !== sessionId || parent.supersededAt) {
+      throw {
+        code: "VALIDATION_ERROR",
+        message: "该分支不在当前对话路径上",
+      };
+    }
+  }
+
+  // 截断当前激活分支
+  const siblings = await eventRepository.getEventsByParentIds(
+    sessionId,
+    target.parentId ? [target.parentId] : [],
+    !target.parentId
+  );
+  const activeSibling = siblings.find(
+    (event) =>
+      !event.supersededAt &&
+      event.id !== target.id &&
+      event.fromType === target.fromType
+  );
+  if (activeSibling) {
+    await eventRepository.supersedeEventsFrom(sessionId, activeSibling);
+  }
+
+  // 恢复目标分支：同一时刻被替代的事件中，父事件链能追溯到目标的那些
+  // （按时间升序，父事件总在子事件之前）
+  const candidates = await eventRepository.getEventsSupersededAt(sessionId, target.supersededAt);
+  const restoreIds = new Set([target.id]);
+  candidates.forEach((event) => {
+    if (event.parentId && restoreIds.has(event.parentId)) {
+      restoreIds.add(event.id);
+    }
+  });
+
+  await eventRepository.restoreEvents([...restoreIds]);
+
+  notifySessionUpdated(target, "branch");
+  return { sessionId, ...(await getActivePathPage(sessionId)) };
+}
+
 // ==================== 未来功能（已实现但未使用） ====================
 
 /**
@@ -465,8 +994,17 @@ module.exports = {
   createEvent,
   getEventsBySession,
   getRecentEvents,
+  getEventsBefore, // 某条事件之前的最近事件（重试中间的回复）
   getEventById,
   getHistoryByUserAndAgent, // 通过用户和 Agent 获取对话历史
+  supersedeEventsFrom, // 截断时间线（重新生成/编辑）
+  getActivePath, // 激活路径（附带兄弟分支信息）
+  getActivePathPage, // 激活路径分页（游标）
+  getEventsAfter, // 轮询新事件（游标）
+  getEventsByIds, // 轮询生成中的回复
+  updateReplyEvent, // 写入回复状态（pending / complete / failed / stopped）
+  moveReplyEvent, // 连续发送时移动占位回复
+  switchBranch, // 切换对话分支
 
   // 未来功能（已实现但未使用）
   getEventsBySessionWithOptions, // ⚠️ 未来功能：主题筛选
@@ -0,0 +1,620 @@
+/**
+ * ============================================
+ * 后台任务队列服务 (JobService.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 基于 MySQL jobs 表的持久化任务队列，以及在每个后端实例中执行任务的 Worker
+ *
+ * 【主要功能】
+ * 1. 入队：保存任务后立即返回任务 ID，本实例的 Worker 会被立刻唤醒
+ * 2. Worker 循环：按并发数领取到期任务并调用对应类型的处理函数；
+ *    同一会话的同类型任务按创建顺序逐个执行（前一个结束后才会领取下一个）
+ * 3. 租约：执行期间定时续租；实例退出后租约过期，任务被放回队列由其他实例执行
+ * 4. 重试：处理函数抛出错误时按指数退避重新排队，超过最多执行次数或错误标记为
+ *    不可重试（error.retryable === false）时标记为失败
+ * 5. 启动恢复：Worker 启动时（以及之后定期）把租约过期的运行中任务放回队列
+ * 6. 定期清理已结束的旧任务
+ * 7. 取消：等待中或执行中的任务改为 cancelled，本实例正在执行时立即中止处理函数；
+ *    其他实例执行的任务在下一次续租失败时中止
+ * 8. 请求内执行（runInline）：任务由本实例直接领取并在请求中执行，实例退出后由 Worker 接着完成
+ *
+ * 【任务状态】
+ * queued → running → succeeded
+ *                  → queued（退避后重试）
+ *                  → failed（不再重试）
+ * queued / running → cancelled（用户取消）
+ *
+ * 【处理函数】
+ * registerHandler(type, handler, options)，handler(payload, context) 返回 Promise：
+ * - context: { job, attempt, isFinalAttempt, signal }
+ * - signal：任务被取消或租约丢失（已被其他实例重新领取）时中止，处理函数应停止工作且不再写入结果
+ * - 正常返回：任务成功
+ * - 抛出错误：按上面的规则重试或失败
+ * - 同一个任务可能被执行多次（实例在执行中途退出），处理函数需要自己保证幂等
+ * - options.onFailed(payload, failure)：任务最终失败时调用（包括超过最多执行次数、没有机会再执行处理函数的情况），
+ *   failure 为 { job, code, message }，用于把业务数据标记为失败
+ *
+ * 【依赖】
+ * - repositories/JobRepository.js: 任务表访问
+ * - config/jobs.js: Worker 配置
+ *
+ * 【被谁使用】
+ * - services/MessageService.js: Agent 回复任务（llm_reply）
+ * - routes/messages.js: 查询任务状态
+ * - services/MessageService.js: 停止生成时取消回复任务
+ * - server.js: 启动和停止 Worker
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+const os = require("os");
+const jobRepository = require("../repositories/JobRepository");
+const { isWorkerEnabled, getJobConfig } = require("../config/jobs");
+
+/**
+ * 本实例的 Worker 标识（主机名 + 进程 ID，Docker 中主机名即容器 ID）
+ */
+const WORKER_ID = `${os.hostname()}_${process.pid}`;
+
+/**
+ * 清理已结束任务的间隔
+ */
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * 任务类型 → { handler, onFailed }
+ */
+const handlers = new Map();
+
+/**
+ * Worker 运行状态
+ */
+const state = {
+  running: false,
+  config: null,
+  timer: null,
+  polling: false,
+  wakeRequested: false,
+  active: new Set(),
+  controllers: new Map(),
+  claimSeq: 0,
+  lastRecoverAt: 0,
+  lastCleanupAt: 0,
+};
+
+/**
+ * 注册任务处理函数
+ *
+ * @param {string} type - 任务类型
+ * @param {Function} handler - 处理函数 (payload, context) => Promise
+ * @param {Object} [options] - 选项
+ * @param {Function} [options.onFailed] - 任务最终失败时的回调 (payload, { job, code, message }) => Promise
+ */
+function registerHandler(type, handler, options = {}) {
+  handlers.set(type, { handler, onFailed: options.onFailed || null });
+}
+
+/**
+ * 标记任务失败并通知处理函数
+ *
+ * 【说明】
+ * 只有本实例仍持有任务时（标记成功）才回调 onFailed；回调出错只打印日志
+ *
+ * @param {Object} job - 任务
+ * @param {Object|null} entry - 注册信息 { handler, onFailed }
+ * @param {string} errorMessage - 失败原因
+ * @param {string} [errorCode] - 错误码
+ * @returns {Promise<void>}
+ */
+async function failJob(job, entry, errorMessage, errorCode) {
+  const failed = await jobRepository.markFailed(job.id, job.lockedBy, errorMessage);
+  if (!failed || !entry || !entry.onFailed) {
+    return;
+  }
+
+  try {
+    await entry.onFailed(job.payload, {
+      job,
+      code: errorCode || "JOB_FAILED",
+      message: errorMessage,
+    });
+  } catch (error) {
+    console.warn(`[JobService] onFailed callback failed for job ${job.id}:`, error);
+  }
+}
+
+/**
+ * 计算重试等待时间
+ *
+ * @param {number} attempts - 已执行次数
+ * @param {Object} config - Worker 配置 { retryBaseMs, retryMaxMs }
+ * @returns {number} 等待时间（毫秒）
+ *
+ * @example
+ * computeBackoff(1, { retryBaseMs: 5000, retryMaxMs: 300000 }) // 5000
+ * computeBackoff(3, { retryBaseMs: 5000, retryMaxMs: 300000 }) // 20000
+ */
+function computeBackoff(attempts, config) {
+  const exponent = Math.max(0, attempts - 1);
+  return Math.min(config.retryBaseMs * 2 ** exponent, config.retryMaxMs);
+}
+
+/**
+ * 入队
+ *
+ * @param {string} type - 任务类型
+ * @param {Object} payload - 任务参数（会保存为 JSON）
+ * @param {Object} [options] - 选项
+ * @param {string} [options.userId] - 发起任务的用户 ID（用于查询任务状态时校验归属）
+ * @param {string} [options.sessionId] - 关联的会话 ID
+ * @param {number} [options.maxAttempts] - 最多执行次数（默认 JOB_MAX_ATTEMPTS）
+ * @param {number} [options.delayMs=0] - 延迟执行（毫秒）
+ * @returns {Promise<Object>} 任务对象
+ * @throws {Object} 错误对象 { code: "VALIDATION_ERROR", message }
+ */
+async function enqueue(type, payload, options = {}) {
+  if (!type || typeof type !== "string") {
+    throw {
+      code: "VALIDATION_ERROR",
+      message: "任务类型不能为空",
+    };
+  }
+
+  const config = state.config || getJobConfig();
+  const job = await jobRepository.create({
+    id: `job_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+    type,
+    payload,
+    userId: options.userId || null,
+    sessionId: options.sessionId || null,
+    maxAttempts: options.maxAttempts || config.maxAttempts,
+    runAt: Date.now() + (options.delayMs || 0),
+  });
+
+  if (!options.delayMs) {
+    wake();
+  }
+
+  return job;
+}
+
+/**
+ * 在当前请求中执行任务（由本实例直接领取）
+ *
+ * 【功能说明】
+ * 用于必须在请求内完成的工作（例如流式回复）：任务以 running 状态创建并由本实例持有，
+ * 执行期间照常续租。实例在执行中途退出时租约过期，任务被放回队列，
+ * 由 Worker 用该类型注册的处理函数接着完成，业务数据不会一直停在中间状态
+ *
+ * 【说明】
+ * - work 收到 { job, signal }：任务被取消或租约丢失时 signal 中止
+ * - work 正常返回：任务标记成功，返回 work 的结果
+ * - work 抛出错误：任务标记失败（不重试、不回调 onFailed，错误由调用方处理），错误继续抛出
+ *
+ * @param {string} type - 任务类型（需要注册处理函数，用于实例退出后的恢复）
+ * @param {Object} payload - 任务参数（同 enqueue）
+ * @param {Object} options - 选项（同 enqueue 的 userId、sessionId、maxAttempts）
+ * @param {Function} work - 执行函数 ({ job, signal }) => Promise
+ * @returns {Promise<*>} work 的返回值
+ */
+async function runInline(type, payload, options, work) {
+  const config = state.config || getJobConfig();
+  state.claimSeq += 1;
+  const now = Date.now();
+  const job = await jobRepository.createClaimed({
+    id: `job_${now}_${Math.random().toString(36).substring(2, 8)}`,
+    type,
+    payload,
+    userId: options.userId || null,
+    sessionId: options.sessionId || null,
+    maxAttempts: options.maxAttempts || config.maxAttempts,
+    lockedBy: `${WORKER_ID}:${state.claimSeq}`,
+    leaseUntil: now + config.leaseMs,
+  });
+
+  const controller = new AbortController();
+  state.controllers.set(job.id, controller);
+  const heartbeat = startHeartbeat(job, config, controller);
+
+  let result;
+  try {
+    result = await work({ job, signal: controller.signal });
+  } catch (error) {
+    await jobRepository
+      .markFailed(job.id, job.lockedBy, (error && error.message) || String(error))
+      .catch((markError) => {
+        console.warn(`[JobService] Failed to mark inline job ${job.id} as failed:`, markError);
+      });
+    throw error;
+  } finally {
+    clearInterval(heartbeat);
+    state.controllers.delete(job.id);
+  }
+
+  await jobRepository.markSucceeded(job.id, job.lockedBy);
+  return result;
+}
+
+/**
+ * 查询用户的任务状态
+ *
+ * @param {string} jobId - 任务 ID
+ * @param {string} userId - 用户 ID
+ * @returns {Promise<Object>} { jobId, type, sessionId, status, attempts, maxAttempts, lastError, runAt, createdAt, updatedAt, finishedAt }
+ * @throws {Object} 错误对象 { code: "JOB_NOT_FOUND", message }
+ */
+async function getJobForUser(jobId, userId) {
+  const job = jobId ? await jobRepository.findById(jobId) : null;
+  if (!job || job.userId !== userId) {
+    throw {
+      code: "JOB_NOT_FOUND",
+      message: "任务不存在",
+    };
+  }
+
+  return {
+    jobId: job.id,
+    type: job.type,
+    sessionId: job.sessionId,
+    status: job.status,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    lastError: job.lastError,
+    runAt: job.runAt,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt,
+  };
+}
+
+/**
+ * 启动续租定时器
+ *
+ * 【说明】
+ * 每 1/3 租约时长续租一次；续租失败说明任务已被取消或被其他实例重新领取，中止 controller
+ *
+ * @param {Object} job - 本实例持有的任务（带 lockedBy）
+ * @param {Object} config - Worker 配置
+ * @param {AbortController} controller - 任务的中止控制器
+ * @returns {Object} 定时器（调用方结束时 clearInterval）
+ */
+function startHeartbeat(job, config, controller) {
+  const heartbeat = setInterval(() => {
+    jobRepository
+      .extendLease(job.id, job.lockedBy, Date.now() + config.leaseMs)
+      .then((extended) => {
+        if (!extended) {
+          console.warn(`[JobService] Lost lease on job ${job.id}`);
+          controller.abort();
+        }
+      })
+      .catch((error) => {
+        console.warn(`[JobService] Failed to extend lease on job ${job.id}:`, error);
+      });
+  }, Math.max(1000, Math.floor(config.leaseMs / 3)));
+  if (heartbeat.unref) {
+    heartbeat.unref();
+  }
+  return heartbeat;
+}
+
+/**
+ * 执行一个已领取的任务
+ *
+ * 【工作流程】
+ * 1. 超过最多执行次数（实例多次在执行中途退出）或没有处理函数：直接标记失败
+ * 2. 启动续租定时器，调用处理函数（续租失败说明任务已被取消或被其他实例重新领取，中止处理函数）
+ * 3. 成功：标记成功
+ * 4. 失败：还有次数且错误可重试时退避后重新排队，否则标记失败（并回调 onFailed）
+ *
+ * 【说明】
+ * 状态更新都带领取标识，租约丢失（已被其他实例重新领取）时更新不会生效
+ *
+ * @param {Object} job - 领取到的任务
+ * @param {Object} config - Worker 配置
+ * @returns {Promise<void>}
+ */
+async function runJob(job, config) {
+  const entry = handlers.get(job.type) || null;
+
+  if (job.attempts > job.maxAttempts) {
+    console.error(`[JobService] ❌ Job ${job.id} exceeded max attempts (${job.maxAttempts})`);
+    await failJob(job, entry, job.lastError || "超过最多执行次数", "JOB_MAX_ATTEMPTS");
+    return;
+  }
+
+  if (!entry) {
+    console.error(`[JobService] ❌ No handler registered for job type: ${job.type}`);
+    await jobRepository.markFailed(job.id, job.lockedBy, `未知的任务类型：${job.type}`);
+    return;
+  }
+
+  const controller = new AbortController();
+  state.controllers.set(job.id, controller);
+  const heartbeat = startHeartbeat(job, config, controller);
+
+  let failure = null;
+  try {
+    await entry.handler(job.payload, {
+      job,
+      attempt: job.attempts,
+      isFinalAttempt: job.attempts >= job.maxAttempts,
+      signal: controller.signal,
+    });
+  } catch (error) {
+    failure = error || new Error("任务执行失败");
+  } finally {
+    clearInterval(heartbeat);
+    state.controllers.delete(job.id);
+  }
+
+  if (!failure) {
+    await jobRepository.markSucceeded(job.id, job.lockedBy);
+    return;
+  }
+
+  const errorMessage = failure.message || String(failure);
+  if (job.attempts < job.maxAttempts && failure.retryable !== false) {
+    const delay = computeBackoff(job.attempts, config);
+    console.warn(
+      `[JobService] Job ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${delay}ms: ${errorMessage}`
+    );
+    await jobRepository.reschedule(job.id, job.lockedBy, Date.now() + delay, errorMessage);
+  } else {
+    console.error(
+      `[JobService] ❌ Job ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}): ${errorMessage}`
+    );
+    await failJob(job, entry, errorMessage, failure.code);
+  }
+}
+
+/**
+ * 查询会话中等待执行或执行中的任务
+ *
+ * @param {string} sessionId - 会话 ID
+ * @param {string} type - 任务类型
+ * @returns {Promise<Array<Object>>} 任务列表
+ */
+async function findActiveJobs(sessionId, type) {
+  return await jobRepository.findActiveBySession(sessionId, type);
+}
+
+/**
+ * 取消任务
+ *
+ * 【说明】
+ * 任务改为 cancelled 后不会再被领取；本实例正在执行时立即中止处理函数的 signal，
+ * 其他实例正在执行时，该实例下一次续租失败后中止（最多 1/3 租约时长）
+ *
+ * @param {string} jobId - 任务 ID
+ * @returns {Promise<boolean>} 是否取消成功（false 表示任务不存在或已经结束）
+ */
+async function cancel(jobId) {
+  const cancelled = await jobRepository.markCancelled(jobId);
+  const controller = state.controllers.get(jobId);
+  if (controller) {
+    controller.abort();
+  }
+  if (cancelled) {
+    console.log(`[JobService] Job ${jobId} cancelled`);
+  }
+  return cancelled;
+}
+
+/**
+ * 取消还没被领取过的任务
+ *
+ * 【说明】
+ * 与 cancel 不同，任务已被 Worker 领取（执行中或重试等待中）时不会被中止
+ *
+ * @param {string} jobId - 任务 ID
+ * @returns {Promise<boolean>} 是否取消成功（false 表示任务已被领取或已经结束）
+ */
+async function cancelQueued(jobId) {
+  const cancelled = await jobRepository.cancelQueued(jobId);
+  if (cancelled) {
+    console.log(`[JobService] Queued job ${jobId} cancelled`);
+  }
+  return cancelled;
+}
+
+/**
+ * 把租约过期的运行中任务放回队列
+ *
+ * @returns {Promise<number>} 放回队列的任务数
+ */
+async function recoverStaleJobs() {
+  const recovered = await jobRepository.requeueExpired(Date.now());
+  if (recovered > 0) {
+    console.warn(`[JobService] Requeued ${recovered} stale job(s) with expired leases`);
+  }
+  return recovered;
+}
+
+/**
+ * 定期维护：恢复租约过期的任务、清理已结束的旧任务
+ *
+ * @param {Object} config - Worker 配置
+ * @returns {Promise<void>}
+ */
+async function runMaintenance(config) {
+  const now = Date.now();
+
+  if (now - state.lastRecoverAt >= config.leaseMs / 3) {
+    state.lastRecoverAt = now;
+    await recoverStaleJobs();
+  }
+
+  if (now - state.lastCleanupAt >= CLEANUP_INTERVAL_MS) {
+    state.lastCleanupAt = now;
+    const deleted = await jobRepository.deleteFinishedBefore(
+      now - config.retentionDays * 24 * 60 * 60 * 1000
+    );
+    if (deleted > 0) {
+      console.log(`[JobService] Deleted ${deleted} finished job(s)`);
+    }
+  }
+}
+
+/**
+ * 领取任务直到占满并发数
+ *
+ * @param {Object} config - Worker 配置
+ * @returns {Promise<number>} 本次领取的任务数
+ */
+async function claimJobs(config) {
+  let claimed = 0;
+
+  while (state.active.size < config.concurrency) {
+    state.claimSeq += 1;
+    const job = await jobRepository.claimNext(
+      `${WORKER_ID}:${Date.now()}:${state.claimSeq}`,
+      config.leaseMs
+    );
+    if (!job) {
+      break;
+    }
+
+    claimed += 1;
+    const task = runJob(job, config)
+      .catch((error) => {
+        console.error(`[JobService] ❌ Failed to run job ${job.id}:`, error);
+      })
+      .finally(() => {
+        state.active.delete(task);
+        wake();
+      });
+    state.active.add(task);
+  }
+
+  return claimed;
+}
+
+/**
+ * 安排下一次轮询
+ *
+ * @param {number} delay - 延迟（毫秒）
+ */
+function schedulePoll(delay) {
+  if (!state.running) {
+    return;
+  }
+  clearTimeout(state.timer);
+  state.timer = setTimeout(poll, delay);
+}
+
+/**
+ * 唤醒 Worker（有新任务或有任务执行完成时立即轮询）
+ */
+function wake() {
+  if (!state.running) {
+    return;
+  }
+  if (state.polling) {
+    state.wakeRequested = true;
+    return;
+  }
+  schedulePoll(0);
+}
+
+/**
+ * Worker 轮询一次
+ *
+ * @returns {Promise<void>}
+ */
+async function poll() {
+  state.timer = null;
+  if (!state.running || state.polling) {
+    return;
+  }
+
+  state.polling = true;
+  state.wakeRequested = false;
+  try {
+    await runMaintenance(state.config);
+    await claimJobs(state.config);
+  } catch (error) {
+    console.error("[JobService] ❌ Worker poll failed:", error);
+  } finally {
+    state.polling = false;
+  }
+
+  schedulePoll(state.wakeRequested ? 0 : state.config.pollIntervalMs);
+}
+
+/**
+ * 启动 Worker
+ *
+ * 【说明】
+ * 第一次轮询会先把租约过期的任务放回队列（上一个实例退出时没执行完的任务）
+ *
+ * @returns {boolean} 是否启动（JOB_WORKER_ENABLED=false 时不启动）
+ */
+function start() {
+  if (state.running) {
+    return true;
+  }
+  if (!isWorkerEnabled()) {
+    console.log("[JobService] Worker disabled (JOB_WORKER_ENABLED=false)");
+    return false;
+  }
+
+  state.config = getJobConfig();
+  state.running = true;
+  state.lastRecoverAt = 0;
+  state.lastCleanupAt = 0;
+  console.log(
+    `[JobService] Worker ${WORKER_ID} started (concurrency: ${state.config.concurrency})`
+  );
+  schedulePoll(0);
+  return true;
+}
+
+/**
+ * 停止 Worker
+ *
+ * 【说明】
+ * 停止领取新任务，并等待正在执行的任务结束（最多 timeoutMs）；
+ * 超时后仍在执行的任务保持 running，租约过期后由其他实例重新执行
+ *
+ * @param {number} [timeoutMs=8000] - 最长等待时间（毫秒）
+ * @returns {Promise<void>}
+ */
+async function stop(timeoutMs = 8000) {
+  state.running = false;
+  clearTimeout(state.timer);
+  state.timer = null;
+
+  if (state.active.size === 0) {
+    return;
+  }
+
+  console.log(`[JobService] Waiting for ${state.active.size} running job(s)...`);
+  let timeout = null;
+  await Promise.race([
+    Promise.allSettled([...state.active]),
+    new Promise((resolve) => {
+      timeout = setTimeout(resolve, timeoutMs);
+    }),
+  ]);
+  clearTimeout(timeout);
+}
+
+module.exports = {
+  WORKER_ID,
+  registerHandler,
+  computeBackoff,
+  enqueue,
+  runInline,
+  getJobForUser,
+  findActiveJobs,
+  cancel,
+  cancelQueued,
+  runJob,
+  recoverStaleJobs,
+  claimJobs, // 导出供测试使用
+  start,
+  stop,
+};
@@ -4,34 +4,64 @@
  * ============================================
  *
  * 【文件职责】
- * 封装 LLM API 调用，支持多个提供商（OpenAI、DeepSeek、OpenRouter）
+ * 封装 LLM API 调用，支持注册表中的所有提供商，按提供商的接口格式选择适配器
  *
  * 【主要功能】
- * 1. 多提供商支持（OpenAI、DeepSeek、OpenRouter）
+ * 1. 多提供商支持（OpenRouter、OpenAI、DeepSeek、Anthropic，以及 Ollama、vLLM、LM Studio 等自定义提供商）
  * 2. Prompt 构建（systemPrompt + messages）
  * 3. 错误处理和重试机制（最多重试 2 次，间隔 1 秒）
  * 4. 超时处理（30 秒）
  * 5. 统一错误格式
+ * 6. 流式输出（stream: true，逐段解析 SSE 数据块并回调）
+ * 7. 接口格式适配（OpenAI /chat/completions、Anthropic /messages），见 services/adapters
+ * 8. 每个 Agent 的生成参数（temperature、maxTokens、topP、stop、frequencyPenalty、presencePenalty）
+ * 9. 备用模型：主模型限流、出错或超时时按顺序切换到 Agent 配置的备用模型（可以跨提供商）
  *
  * 【工作流程】
- * 接收参数 → 选择提供商 → 构建请求 → 调用 API → 重试（如需要）→ 返回结果
+ * 接收参数 → 选择提供商和适配器 → 构建请求 → 调用 API → 解析响应 → 重试（如需要）→ 返回结果
  *
  * 【依赖】
  * - config/models.js: 获取模型提供商信息
+ * - config/providers.js: 提供商接口地址、API Key 和请求头
+ * - services/adapters: 各接口格式的请求构建、响应解析和错误分类
+ * - services/UserApiKeyService.js: 用户自己的 API Key 和共享 Key 池开关
  * - Node.js 内置 fetch（Node.js 18+）
  *
  * 【被谁使用】
  * - services/MessageService.js: 调用生成回复
+ * - services/MemoryService.js: 生成对话摘要
  *
  * 【错误处理】
  * - API 错误：抛出包含错误码和消息的对象
  * - 超时错误：抛出 LLM_API_TIMEOUT
+ * - 调用方中止：抛出 LLM_API_ABORTED（不重试、不切换 API Key）
  * - 网络错误：自动重试
+ * - 请求本身有问题（适配器判定为不可重试的 4xx）：不重试
  *
  * 【环境变量】
  * - OPENAI_API_KEY: OpenAI API Key（支持多个，用逗号分隔：key1,key2,key3）
  * - DEEPSEEK_API_KEY: DeepSeek API Key（支持多个，用逗号分隔：key1,key2,key3）
  * - OPENROUTER_API_KEY: OpenRouter API Key（支持多个，用逗号分隔：key1,key2,key3）
+ * - 自定义提供商读取各自的 api_key_env（auth: none 的本地服务不需要 Key）
+ *
+ * 【用户自己的 API Key】
+ * - 传入 userId 时先查用户保存的个人 Key（services/UserApiKeyService.js），有则只用个人 Key
+ * - 没有个人 Key 时使用下面的共享 Key 池；管理员关闭共享 Key 池后抛出 API_KEY_REQUIRED
+ * - 个人 Key 调用失败的错误带 keySource: 'user'，调用方据此提示用户更新自己的 Key
+ *
+ * 【生成参数】
+ * - 未设置 temperature 时使用 0.7，其余参数未设置时不发送（由提供商决定默认值）
+ * - 适配器不支持或提供商配置为 unsupported_params 的参数调用时丢弃并打印警告，不报错
+ *
+ * 【备用模型】
+ * - 429、5xx 和超时会切换到下一个备用模型；400、401/403、中止和流式输出已开始的错误不切换
+ * - 有备用模型时，可切换的错误不在当前模型上重试，尽快换模型
+ * - 每个备用模型按自己的提供商解析 API Key；不可用（提供商未启用、没有 Key）时跳过
+ * - 所有模型都失败时抛出最后一个错误；成功时通过 onModelUsed 告知实际使用的模型
+ *
+ * 【用量】
+ * - 适配器从响应中解析 token 用量（流式请求通过 stream_options.include_usage 或事件中的 usage 获取）
+ * - 成功后随 onModelUsed 一起返回 { promptTokens, completionTokens, latencyMs }，由调用方记录（services/UsageService.js）
  *
  * 【多 API Key 故障转移】
  * - 支持在环境变量中配置多个 API Key，用逗号分隔
@@ -41,66 +71,17 @@
  *
  * @author AI Assistant
  * @created 2025-11-20
- * @lastModified 2025-11-20
+ * @lastModified 2025-12-10
  */
 
-const { getModelProvider } = require("../config/models");
-
-/**
- * 提供商配置
- *
- * 【功能说明】
- * 定义每个提供商的 API 端点和配置
- *
- * 【API Key 获取方式】
- * 当前：从环境变量读取（process.env[apiKeyEnv]）
- * - OPENAI_API_KEY
- * - DEEPSEEK_API_KEY
- * - OPENROUTER_API_KEY
- *
- * 【未来扩展】
- * 如果将来需要支持用户自定义 API Key（例如在创建 Agent 时指定），可以：
- * 1. 在 models.js 中添加 API Key 配置选项
- * 2. 在 callLLMAPI() 函数中添加参数：callLLMAPI(provider, model, systemPrompt, messages, timeout, customApiKey)
- * 3. 优先使用 customApiKey，如果未提供则使用环境变量中的 API Key
- * 4. 示例：
- *    const apiKey = customApiKey || process.env[config.apiKeyEnv];
- *
- * 【扩展示例】
- * // 在 models.js 中添加：
- * function getApiKeyForModel(modelName, customApiKeys = {}) {
- *   const provider = getModelProvider(modelName);
- *   return customApiKeys[provider] || process.env[`${provider.toUpperCase()}_API_KEY`];
- * }
- */
-const PROVIDER_CONFIG = {
-  openai: {
-    baseUrl: "https://api.openai.com/v1",
-    apiKeyEnv: "OPENAI_API_KEY", // 环境变量名称
-    headers: (apiKey) => ({
-      Authorization: `Bearer ${apiKey}`,
-      "Content-Type": "application/json",
-    }),
-  },
-  deepseek: {
-    baseUrl: "https://api.deepseek.com/v1",
-    apiKeyEnv: "DEEPSEEK_API_KEY", // 环境变量名称
-    headers: (apiKey) => ({
-      Authorization: `Bearer ${apiKey}`,
-      "Content-Type": "application/json",
-    }),
-  },
-  openrouter: {
-    baseUrl: "https://openrouter.ai/api/v1",
-    apiKeyEnv: "OPENROUTER_API_KEY", // 环境变量名称
-    headers: (apiKey) => ({
-      Authorization: `Bearer ${apiKey}`,
-      "Content-Type": "application/json",
-      "HTTP-Referer": process.env.OPENROUTER_REFERER || "https://github.com",
-      "X-Title": process.env.OPENROUTER_TITLE || "NPC Chat",
-    }),
-  },
-};
+const { getModelProvider, getModelContextConfig } = require("../config/models");
+const {
+  getProvider,
+  getProviderApiKeys,
+  buildProviderHeaders,
+} = require("../config/providers");
+const { getAdapter } = require("./adapters");
+const userApiKeyService = require("./UserApiKeyService");
 
 /**
  * 构建消息列表
@@ -109,7 +90,8 @@ const PROVIDER_CONFIG = {
  * 将历史事件转换为 LLM API 需要的消息格式
  *
  * 【工作流程】
- * 1. 遍历历史事件
+ * 1. 遍历历史事件（跳过已被替代的事件，只使用激活路径上的对话分支；
+ *    跳过生成中和生成失败的回复，错误说明不是 Agent 说的话；被停止的回复保留已生成的部分）
  * 2. 根据 fromType 转换为 role（user/assistant）
  * 3. 提取 content
  * 4. 按时间顺序排列
@@ -118,13 +100,160 @@ const PROVIDER_CONFIG = {
  * @returns {Array<Object>} 消息列表 [{ role: 'user', content: '...' }, ...]
  */
 function buildMessages(events) {
-  return events.map((event) => {
-    const role = event.fromType === "user" ? "user" : "assistant";
-    return {
-      role,
-      content: event.content,
-    };
-  });
+  return events
+    .filter((event) => {
+      const status = event.status || "complete";
+      return !event.supersededAt && (status === "complete" || (status === "stopped" && event.content));
+    })
+    .map((event) => {
+      const role = event.fromType === "user" ? "user" : "assistant";
+      return {
+        role,
+        content: event.content,
+      };
+    });
+}
+
+/**
+ * 读取流式响应
+ *
+ * 【功能说明】
+ * 解析 stream: true 时返回的 SSE 数据流，每条 data 交给适配器解析，
+ * 每收到一段增量文本就回调 onDelta，最后返回拼接好的完整回复和 token 用量
+ *
+ * 【数据格式】
+ * OpenAI：data: {"choices":[{"delta":{"content":"你"}}]} …… data: [DONE]
+ * Anthropic：event: content_block_delta / data: {"type":"content_block_delta","delta":{"text":"你"}} …… message_stop
+ *
+ * 【注意事项】
+ * - 一个网络数据块可能包含半行，需要缓冲到换行再解析
+ * - 只处理 data 行，event 行和以冒号开头的注释行（如 OpenRouter 的 ": OPENROUTER PROCESSING"）直接忽略
+ * - 无法解析的行跳过，不中断整个流
+ *
+ * @param {Response} response - fetch 响应对象
+ * @param {Object} adapter - 接口格式适配器
+ * @param {Function} [onDelta] - 增量回调 (delta: string) => void
+ * @param {Function} [onChunk] - 每收到一个网络数据块时调用（用于重置空闲超时）
+ * @returns {Promise<Object>} { content, usage } - usage 由各事件携带的用量合并而来，提供商没有返回时为 null
+ */
+async function readStreamResponse(response, adapter, onDelta, onChunk) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder("utf-8");
+  let buffer = "";
+  let content = "";
+  let usage = null;
+  let finished = false;
+
+  const handleLine = (rawLine) => {
+    const line = rawLine.trim();
+    if (!line.startsWith("data:")) {
+      return;
+    }
+
+    const payload = line.slice(5).trim();
+    if (payload === "[DONE]") {
+      finished = true;
+      return;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(payload);
+    } catch (error) {
+      return;
+    }
+
+    const event = adapter.parseStreamEvent(data);
+    if (event.done) {
+      finished = true;
+    }
+
+    // 用量可能分散在多条事件中（如 Anthropic 的 message_start 和 message_delta），逐项合并
+    if (event.usage) {
+      usage = usage || { promptTokens: null, completionTokens: null };
+      for (const [key, value] of Object.entries(event.usage)) {
+        if (value !== null && value !== undefined) {
+          usage[key] = value;
+        }
+      }
+    }
+
+    const delta = event.delta;
+    if (delta) {
+      content += delta;
+      if (typeof onDelta === "function") {
+        onDelta(delta);
+      }
+    }
+  };
+
+  while (!finished) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+
+    if (typeof onChunk === "function") {
+      onChunk();
+    }
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    for (const line of lines) {
+      handleLine(line);
+      if (finished) {
+        break;
+      }
+    }
+  }
+
+  if (!finished && buffer) {
+    handleLine(buffer);
+  }
+
+  if (finished) {
+    reader.cancel().catch(() => {});
+  }
+
+  return { content: content.trim(), usage };
+}
+
+/**
+ * 去掉提供商不支持的生成参数
+ *
+ * 【功能说明】
+ * 同一个 Agent 可能切换到不支持某些参数的提供商（例如 Anthropic 不支持 penalty），
+ * 这些参数直接丢弃并打印警告，不影响本次调用
+ *
+ * @param {Object|null} generationParams - Agent 的生成参数
+ * @param {Object} adapter - 接口格式适配器
+ * @param {Object} config - 提供商定义
+ * @returns {Object} 可以发送的生成参数
+ */
+function filterGenerationParams(generationParams, adapter, config) {
+  const result = {};
+  const dropped = [];
+  const unsupported = config.unsupportedParams || [];
+
+  for (const [key, value] of Object.entries(generationParams || {})) {
+    if (value === null || value === undefined) {
+      continue;
+    }
+    if (!adapter.supportedParams.includes(key) || unsupported.includes(key)) {
+      dropped.push(key);
+      continue;
+    }
+    result[key] = value;
+  }
+
+  if (dropped.length > 0) {
+    console.warn(
+      `[LLMService] ⚠️ Provider ${config.name} does not support generation params, dropped: ${dropped.join(", ")}`
+    );
+  }
+
+  return result;
 }
 
 /**
@@ -136,15 +265,32 @@ function buildMessages(events) {
  * 【工作流程】
  * 1. 获取提供商配置
  * 2. 获取 API Key
- * 3. 构建请求 URL 和 headers
+ * 3. 按提供商的接口格式（api）选择适配器，构建请求 URL、headers 和请求体
  * 4. 发送 POST 请求
- * 5. 解析响应
+ * 5. 用适配器解析响应（stream 模式下逐段解析 SSE 数据）和分类错误
+ *
+ * 【流式模式】
+ * - options.stream 为 true 时请求体带上 stream: true
+ * - 每段增量文本通过 options.onDelta 回调
+ * - 超时改为"空闲超时"：每收到一个数据块就重新计时，避免长回复被 30 秒总时长截断
+ * - 已经开始输出后不再切换 API Key（否则会重复输出）
  *
- * @param {string} provider - 提供商名称（openai/deepseek/openrouter）
+ * 【用量】
+ * 成功后通过 options.onUsage 回调 token 用量和耗时（从发出请求到读完响应，只计算成功的那一次请求）；
+ * 提供商没有返回用量时 token 数为 null
+ *
+ * @param {string} provider - 提供商名称（注册表中的名称，如 openrouter、ollama）
  * @param {string} model - 模型名称
  * @param {string} systemPrompt - System prompt
  * @param {Array<Object>} messages - 消息列表
  * @param {number} timeout - 超时时间（毫秒，默认 30000）
+ * @param {Object} [options] - 调用选项
+ * @param {boolean} [options.stream] - 是否使用流式输出（默认 false）
+ * @param {Function} [options.onDelta] - 流式增量回调 (delta: string) => void
+ * @param {AbortSignal} [options.signal] - 外部中止信号（如客户端断开连接）
+ * @param {Array<string>} [options.apiKeys] - 指定使用的 API Key（用户自己的 Key），不传则读取共享 Key 池
+ * @param {Object} [options.generationParams] - 生成参数（不支持的参数会被丢弃）
+ * @param {Function} [options.onUsage] - 成功后回调用量 ({ promptTokens, completionTokens, latencyMs }) => void
  * @returns {Promise<string>} AI 回复内容
  * @throws {Object} 错误对象 { code, message }
  */
@@ -153,9 +299,23 @@ async function callLLMAPI(
   model,
   systemPrompt,
   messages,
-  timeout = 30000
+  timeout = 30000,
+  options = {}
 ) {
-  const config = PROVIDER_CONFIG[provider];
+  const { stream = false, onDelta, signal, onUsage } = options;
+
+  // 成功后回调用量
+  const reportUsage = (usage, startedAt) => {
+    if (typeof onUsage === "function") {
+      onUsage({
+        promptTokens: usage?.promptTokens ?? null,
+        completionTokens: usage?.completionTokens ?? null,
+        latencyMs: Date.now() - startedAt,
+      });
+    }
+  };
+
+  const config = getProvider(provider);
   if (!config) {
     throw {
       code: "INVALID_PROVIDER",
@@ -163,43 +323,34 @@ async function callLLMAPI(
     };
   }
 
-  // 从环境变量读取 API Key（支持多个，用逗号分隔）
-  // 格式：OPENROUTER_API_KEY=key1,key2,key3
-  // 如果支持用户自定义 API Key，可以添加参数：
-  // const apiKeys = customApiKeys || process.env[config.apiKeyEnv];
-  const apiKeysStr = process.env[config.apiKeyEnv];
-  if (!apiKeysStr) {
+  // 读取 API Key（支持多个，用逗号分隔，例如 OPENROUTER_API_KEY=key1,key2,key3）
+  // 不需要认证的本地服务返回 [null]，只调用一次
+  const apiKeys = options.apiKeys || getProviderApiKeys(config);
+  if (apiKeys.length === 0) {
     throw {
       code: "API_KEY_MISSING",
       message: `缺少 ${provider} API Key，请设置环境变量 ${config.apiKeyEnv}`,
     };
   }
 
-  // 解析多个 API Key（用逗号分隔，去除空格）
-  const apiKeys = apiKeysStr
-    .split(",")
-    .map((key) => key.trim())
-    .filter((key) => key.length > 0);
-
-  if (apiKeys.length === 0) {
+  const adapter = getAdapter(config.api);
+  if (!adapter) {
     throw {
-      code: "API_KEY_MISSING",
-      message: `缺少 ${provider} API Key，请设置环境变量 ${config.apiKeyEnv}`,
+      code: "INVALID_PROVIDER",
+      message: `提供商 ${provider} 的接口格式不受支持：${config.api}`,
     };
   }
 
-  // 构建请求体
-  const requestBody = {
-    model: model,
-    messages: [
-      {
-        role: "system",
-        content: systemPrompt,
-      },
-      ...messages,
-    ],
-    temperature: 0.7,
-  };
+  // 构建请求（未设置 maxTokens 时，必须传最大输出 token 数的格式沿用上下文配置中为回复预留的大小）
+  const request = adapter.buildRequest({
+    baseUrl: config.baseUrl,
+    model,
+    systemPrompt,
+    messages,
+    stream,
+    maxTokens: getModelContextConfig(model, provider).replyReserve,
+    generationParams: filterGenerationParams(options.generationParams, adapter, config),
+  });
 
   // 按顺序尝试每个 API Key（故障转移机制）
   let lastError = null;
@@ -213,34 +364,51 @@ async function callLLMAPI(
     
     console.log(`[LLMService] 🔑 Trying API Key ${i + 1}/${apiKeys.length}...`);
 
-    // 创建 AbortController 用于超时控制
+    if (signal?.aborted) {
+      throw {
+        code: "LLM_API_ABORTED",
+        message: "LLM API 调用已中止",
+        provider,
+      };
+    }
+
+    // 创建 AbortController 用于超时控制（同时转发外部中止信号）
     const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    let timeoutId = setTimeout(() => controller.abort(), timeout);
+    const resetTimeout = () => {
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(() => controller.abort(), timeout);
+    };
+    const onExternalAbort = () => controller.abort();
+    if (signal) {
+      signal.addEventListener("abort", onExternalAbort, { once: true });
+    }
+    let hasEmitted = false;
+    const startedAt = Date.now();
 
     try {
-      const response = await fetch(`${config.baseUrl}/chat/completions`, {
+      const response = await fetch(request.url, {
         method: "POST",
-        headers: config.headers(apiKey),
-        body: JSON.stringify(requestBody),
+        headers: { ...request.headers, ...buildProviderHeaders(config, apiKey) },
+        body: JSON.stringify(request.body),
         signal: controller.signal,
       });
 
-      clearTimeout(timeoutId);
+      if (!stream) {
+        clearTimeout(timeoutId);
+      }
 
       if (!response.ok) {
+        clearTimeout(timeoutId);
         const errorData = await response.json().catch(() => ({}));
         const errorStatus = response.status;
-        const errorMessage =
-          errorData.error?.message ||
-          `LLM API 调用失败：${errorStatus} ${response.statusText}`;
 
-        // 判断是否应该尝试下一个 API Key
+        // 由适配器判断是否应该尝试下一个 API Key、是否值得稍后重试
         // 401 (Unauthorized), 403 (Forbidden), 429 (Too Many Requests) 可以尝试下一个
         // 400 (Bad Request), 500+ (Server Error) 不应该尝试下一个（可能是请求格式问题）
-        const shouldRetryNext =
-          errorStatus === 401 ||
-          errorStatus === 403 ||
-          errorStatus === 429;
+        const classified = adapter.classifyError(errorStatus, errorData, response.statusText);
+        const errorMessage = classified.message;
+        const shouldRetryNext = classified.retryNextKey;
 
         if (shouldRetryNext && i < apiKeys.length - 1) {
           // 记录错误，但继续尝试下一个 API Key
@@ -254,6 +422,8 @@ async function callLLMAPI(
             code: "LLM_API_ERROR",
             message: errorMessage,
             status: errorStatus,
+            errorType: classified.type,
+            retryable: classified.retryable,
             provider,
             apiKeyIndex: i + 1,
           };
@@ -265,6 +435,36 @@ async function callLLMAPI(
           code: "LLM_API_ERROR",
           message: errorMessage,
           status: errorStatus,
+          errorType: classified.type,
+          retryable: classified.retryable,
+          provider,
+          apiKeyIndex: i + 1,
+        };
+      }
+
+      if (stream) {
+        const { content, usage } = await readStreamResponse(
+          response,
+          adapter,
+          (delta) => {
+            hasEmitted = true;
+            if (typeof onDelta === "function") {
+              onDelta(delta);
+            }
+          },
+          resetTimeout
+        );
+        clearTimeout(timeoutId);
+
+        if (content) {
+          console.log(`[LLMService] ✅ Successfully streamed reply with API Key ${i + 1}/${apiKeys.length}`);
+          reportUsage(usage, startedAt);
+          return content;
+        }
+
+        throw {
+          code: "LLM_API_ERROR",
+          message: "LLM API 流式响应为空",
           provider,
           apiKeyIndex: i + 1,
         };
@@ -273,12 +473,13 @@ async function callLLMAPI(
       const data = await response.json();
 
       // 提取回复内容
-      if (
-        data.choices &&
-        data.choices.length > 0 &&
-        data.choices[0].message &&
-        data.choices[0].message.content
-      ) {
+      const parsed = adapter.parseResponse(data);
+      if (parsed) {
+        if (parsed.truncated) {
+          console.warn(
+            `[LLMService] ⚠️  Reply truncated by output limit (stop reason: ${parsed.stopReason})`
+          );
+        }
         // 成功！记录使用的 API Key 索引（用于日志）
         if (i > 0) {
           console.log(
@@ -287,7 +488,8 @@ async function callLLMAPI(
         } else {
           console.log(`[LLMService] ✅ Successfully used API Key ${i + 1}/${apiKeys.length}`);
         }
-        return data.choices[0].message.content.trim();
+        reportUsage(parsed.usage, startedAt);
+        return parsed.content.trim();
       }
 
       throw {
@@ -299,6 +501,27 @@ async function callLLMAPI(
     } catch (error) {
       clearTimeout(timeoutId);
 
+      // 调用方主动中止（例如客户端断开 SSE 连接）：直接抛出，不切换 API Key
+      if (signal?.aborted) {
+        throw {
+          code: "LLM_API_ABORTED",
+          message: "LLM API 调用已中止",
+          provider,
+        };
+      }
+
+      // 流式输出已经开始：不能再切换 API Key，否则前端会收到重复内容
+      if (hasEmitted) {
+        throw error.code
+          ? { ...error, partial: true }
+          : {
+              code: error.name === "AbortError" ? "LLM_API_TIMEOUT" : "LLM_API_ERROR",
+              message: `LLM API 流式响应中断：${error.message || String(error)}`,
+              provider,
+              partial: true,
+            };
+      }
+
       // 超时错误：如果是最后一个 API Key，抛出错误；否则尝试下一个
       if (error.name === "AbortError") {
         if (i < apiKeys.length - 1) {
@@ -366,6 +589,10 @@ async function callLLMAPI(
         originalError: errorMessage,
         errorType: error.name || error.constructor?.name || "Unknown",
       };
+    } finally {
+      if (signal) {
+        signal.removeEventListener("abort", onExternalAbort);
+      }
     }
   }
 
@@ -391,23 +618,151 @@ async function callLLMAPI(
 }
 
 /**
- * 生成 AI 回复
+ * 判断错误是否应该切换到备用模型
  *
- * 【功能说明】
- * 调用 LLM API 生成回复，包含重试机制
+ * 【规则】
+ * 429（限流）、5xx（服务端错误，含 Anthropic 过载的 529）和超时说明当前模型暂时不可用，
+ * 切换到下一个备用模型；请求本身有问题（400）、Key 无效（401/403）、中止、
+ * 流式输出已开始的错误不切换
  *
- * 【工作流程】
- * 1. 验证参数
- * 2. 获取模型提供商
- * 3. 构建消息列表
- * 4. 调用 LLM API（带重试）
- * 5. 返回回复内容
+ * @param {Object} error - callLLMAPI 抛出的错误
+ * @returns {boolean} 是否切换
+ */
+function shouldFallback(error) {
+  if (!error || error.partial || error.code === "LLM_API_ABORTED") {
+    return false;
+  }
+  return (
+    error.code === "LLM_API_TIMEOUT" ||
+    error.status === 429 ||
+    (typeof error.status === "number" && error.status >= 500)
+  );
+}
+
+/**
+ * 调用一个模型（带重试）
  *
  * 【重试机制】
  * - 最多重试 2 次（总共 3 次尝试）
  * - 重试间隔：1 秒（指数退避：1s, 2s）
  * - 超时错误不重试
  * - API Key 错误不重试
+ * - 中止错误不重试
+ * - 流式模式下已经输出过内容的不重试（否则会重复输出）
+ * - 还有备用模型时，429/5xx 不在当前模型上重试，直接交给调用方切换
+ *
+ * @param {Object} candidate - { model, provider, apiKeys, keySource }
+ * @param {string} systemPrompt - System prompt
+ * @param {Array<Object>} messages - 消息列表
+ * @param {number} timeout - 超时时间（毫秒）
+ * @param {Object} callOptions - { stream, onDelta, signal, generationParams, onUsage }
+ * @param {boolean} hasFallback - 后面是否还有备用模型
+ * @returns {Promise<string>} AI 回复内容
+ * @throws {Object} 错误对象 { code, message }
+ */
+async function callModelWithRetry(candidate, systemPrompt, messages, timeout, callOptions, hasFallback) {
+  const maxRetries = 2;
+  const retryDelay = 1000; // 1 秒
+
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    try {
+      const reply = await callLLMAPI(
+        candidate.provider,
+        candidate.model,
+        systemPrompt,
+        messages,
+        timeout,
+        { ...callOptions, apiKeys: candidate.apiKeys }
+      );
+      return reply;
+    } catch (error) {
+      if (candidate.keySource === "user") {
+        error.keySource = candidate.keySource;
+      }
+      lastError = error;
+
+      // 不重试的错误：超时、API Key 错误、无效模型、中止、流式输出已开始、请求本身有问题的 4xx
+      if (
+        error.partial ||
+        error.code === "LLM_API_ABORTED" ||
+        error.code === "LLM_API_TIMEOUT" ||
+        error.code === "API_KEY_MISSING" ||
+        error.code === "INVALID_MODEL" ||
+        error.code === "INVALID_PROVIDER" ||
+        error.retryable === false ||
+        (hasFallback && shouldFallback(error))
+      ) {
+        throw error;
+      }
+
+      // 最后一次尝试失败，抛出错误
+      if (attempt === maxRetries) {
+        throw error;
+      }
+
+      // 等待后重试（指数退避）
+      const delay = retryDelay * (attempt + 1);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+
+  // 理论上不会执行到这里
+  throw (
+    lastError || {
+      code: "LLM_API_ERROR",
+      message: "LLM API 调用失败",
+    }
+  );
+}
+
+/**
+ * 解析备用模型的提供商和 API Key
+ *
+ * 【说明】
+ * 备用模型只是兜底：提供商未启用、没有可用的 Key 时跳过并打印警告，不影响主模型的错误
+ *
+ * @param {Object} fallback - { model, provider }
+ * @param {string} [userId] - 用户 ID
+ * @returns {Promise<Object|null>} { model, provider, apiKeys, keySource }，不可用时为 null
+ */
+async function resolveFallbackCandidate(fallback, userId) {
+  const { isProviderEnabled } = require("../config/models");
+  const model = fallback?.model;
+  const provider = fallback?.provider || (model ? getModelProvider(model) : null);
+
+  if (!model || !provider || !isProviderEnabled(provider)) {
+    console.warn(`[LLMService] ⚠️ Fallback model ${model} (${provider}) is not available, skipped`);
+    return null;
+  }
+
+  if (!userId) {
+    return { model, provider, apiKeys: null, keySource: "pool" };
+  }
+
+  try {
+    const resolved = await userApiKeyService.resolveApiKeys(userId, provider);
+    return { model, provider, apiKeys: resolved.apiKeys, keySource: resolved.source };
+  } catch (error) {
+    console.warn(`[LLMService] ⚠️ Fallback model ${model} (${provider}) skipped: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * 生成 AI 回复
+ *
+ * 【功能说明】
+ * 调用 LLM API 生成回复，包含重试机制和备用模型
+ *
+ * 【工作流程】
+ * 1. 验证参数
+ * 2. 获取模型提供商
+ * 3. 构建消息列表
+ * 4. 调用 LLM API（带重试，见 callModelWithRetry）
+ * 5. 主模型返回 429/5xx 或超时时，按顺序切换到备用模型（见 shouldFallback）
+ * 6. 返回回复内容，通过 onModelUsed 告知实际使用的模型、token 用量和耗时
  *
  * @param {Object} options - 调用选项
  * @param {string} options.model - 模型名称
@@ -415,11 +770,32 @@ async function callLLMAPI(
  * @param {string} options.systemPrompt - System prompt
  * @param {Array<Object>} options.messages - 消息列表（历史事件）
  * @param {number} [options.timeout] - 超时时间（毫秒，默认 30000）
- * @returns {Promise<string>} AI 回复内容
+ * @param {boolean} [options.stream] - 是否使用流式输出（默认 false）
+ * @param {Function} [options.onDelta] - 流式增量回调 (delta: string) => void
+ * @param {AbortSignal} [options.signal] - 外部中止信号
+ * @param {string} [options.userId] - 用户 ID（传入时优先使用该用户自己的 API Key）
+ * @param {Object} [options.generationParams] - Agent 的生成参数（可选）
+ * @param {Array<Object>} [options.fallbackModels] - 备用模型列表 [{ model, provider }]（按顺序尝试）
+ * @param {Function} [options.onModelUsed] - 成功后回调实际使用的模型和用量
+ *   ({ model, provider, fallback, usage: { promptTokens, completionTokens, latencyMs } | null }) => void
+ * @returns {Promise<string>} AI 回复内容（流式模式下为完整拼接后的内容）
  * @throws {Object} 错误对象 { code, message }
  */
 async function generateReply(options) {
-  const { model, provider, systemPrompt, messages, timeout = 30000 } = options;
+  const {
+    model,
+    provider,
+    systemPrompt,
+    messages,
+    timeout = 30000,
+    stream = false,
+    onDelta,
+    signal,
+    userId,
+    generationParams,
+    fallbackModels = [],
+    onModelUsed,
+  } = options;
 
   // 参数验证
   if (!model || typeof model !== "string") {
@@ -467,6 +843,18 @@ async function generateReply(options) {
     };
   }
 
+  // 用户自己的 API Key 优先；没有时由共享 Key 池开关决定能否继续
+  let keySource = "pool";
+  let apiKeys = null;
+  if (userId) {
+    const resolved = await userApiKeyService.resolveApiKeys(userId, modelProvider);
+    keySource = resolved.source;
+    apiKeys = resolved.apiKeys;
+    if (keySource === "user") {
+      console.log(`[LLMService] 🔑 Using user's own ${modelProvider} API Key (user: ${userId})`);
+    }
+  }
+
   // 构建消息列表（如果传入的是事件列表，需要转换）
   let formattedMessages = messages;
   // 判断是否是事件列表：检查第一个元素是否有 fromType 字段
@@ -479,53 +867,74 @@ async function generateReply(options) {
     formattedMessages = buildMessages(messages);
   }
 
-  // 重试机制
-  const maxRetries = 2;
-  const retryDelay = 1000; // 1 秒
+  // 用量只保留最后一次成功请求的（重试和切换模型前失败的请求不计入）
+  let usage = null;
+  const callOptions = {
+    stream,
+    onDelta,
+    signal,
+    generationParams,
+    onUsage: (reported) => {
+      usage = reported;
+    },
+  };
+  const fallbacks = Array.isArray(fallbackModels) ? fallbackModels : [];
+
+  // 主模型
+  let lastError;
+  try {
+    const reply = await callModelWithRetry(
+      { model, provider: modelProvider, apiKeys, keySource },
+      systemPrompt,
+      formattedMessages,
+      timeout,
+      callOptions,
+      fallbacks.length > 0
+    );
+    if (typeof onModelUsed === "function") {
+      onModelUsed({ model, provider: modelProvider, fallback: false, usage });
+    }
+    return reply;
+  } catch (error) {
+    if (!shouldFallback(error) || fallbacks.length === 0) {
+      throw error;
+    }
+    lastError = error;
+  }
 
-  let lastError = null;
+  // 备用模型（按顺序尝试，遇到不适合切换的错误时停止）
+  for (let i = 0; i < fallbacks.length; i++) {
+    const candidate = await resolveFallbackCandidate(fallbacks[i], userId);
+    if (!candidate) {
+      continue;
+    }
+
+    console.warn(
+      `[LLMService] 🔀 Falling back to ${candidate.model} (${candidate.provider}) after: ${lastError.message}`
+    );
 
-  for (let attempt = 0; attempt <= maxRetries; attempt++) {
     try {
-      const reply = await callLLMAPI(
-        modelProvider,
-        model,
+      const reply = await callModelWithRetry(
+        candidate,
         systemPrompt,
         formattedMessages,
-        timeout
+        timeout,
+        callOptions,
+        i < fallbacks.length - 1
       );
+      if (typeof onModelUsed === "function") {
+        onModelUsed({ model: candidate.model, provider: candidate.provider, fallback: true, usage });
+      }
       return reply;
     } catch (error) {
       lastError = error;
-
-      // 不重试的错误：超时、API Key 错误、无效模型
-      if (
-        error.code === "LLM_API_TIMEOUT" ||
-        error.code === "API_KEY_MISSING" ||
-        error.code === "INVALID_MODEL" ||
-        error.code === "INVALID_PROVIDER"
-      ) {
+      if (!shouldFallback(error)) {
         throw error;
       }
-
-      // 最后一次尝试失败，抛出错误
-      if (attempt === maxRetries) {
-        throw error;
-      }
-
-      // 等待后重试（指数退避）
-      const delay = retryDelay * (attempt + 1);
-      await new Promise((resolve) => setTimeout(resolve, delay));
     }
   }
 
-  // 理论上不会执行到这里
-  throw (
-    lastError || {
-      code: "LLM_API_ERROR",
-      message: "LLM API 调用失败",
-    }
-  );
+  throw lastError;
 }
 
 /**
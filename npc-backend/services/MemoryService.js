@@ -0,0 +1,393 @@
+/**
+ * ============================================
+ * Memory 业务逻辑层 (MemoryService.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * NPC 长期记忆：把滑出上下文窗口的旧消息整理成会话滚动摘要，
+ * 并从中提取关于用户的长期事实，调用 LLM 时注入到 system prompt
+ *
+ * 【主要功能】
+ * 1. 构建记忆上下文（长期记忆 + 会话摘要），供 MessageService 拼接到 system prompt
+ * 2. 回复完成后在后台整理记忆（旧消息攒够一批才调用 LLM，避免每条消息都额外请求）
+ * 3. 用户查看、编辑、删除 NPC 记住的内容
+ *
+ * 【工作流程】
+ * 回复生成后 → 找出上下文窗口之前、摘要尚未覆盖的消息 → 数量达到阈值 →
+ * 调用 LLM 生成新摘要和新事实 → 保存摘要 → 追加不重复的事实
+ *
+ * 【依赖】
+ * - repositories/MemoryRepository.js: 数据访问层
+ * - services/EventService.js: 获取会话的激活路径
+ * - services/SessionService.js: 校验会话归属
+ * - services/LLMService.js: 调用 LLM 生成摘要
+ *
+ * 【被谁使用】
+ * - services/MessageService.js: 构建 system prompt、回复后触发记忆整理
+ * - routes/memories.js: 记忆管理接口
+ *
+ * 【错误处理】
+ * - 验证错误：抛出 VALIDATION_ERROR
+ * - 记忆不存在或不属于当前用户：抛出 MEMORY_NOT_FOUND
+ * - 记忆整理失败只记录日志，不影响对话
+ *
+ * @author AI Assistant
+ * @created 2025-12-04
+ */
+
+const memoryRepository = require("../repositories/MemoryRepository");
+const eventService = require("./EventService");
+const sessionService = require("./SessionService");
+const llmService = require("./LLMService");
+
+/**
+ * 记忆整理配置
+ *
+ * 【说明】
+ * - SUMMARY_BATCH_SIZE：窗口外未摘要的消息达到这个数量才整理一次
+ * - MAX_MEMORIES_PER_AGENT：每个用户在每个 Agent 下最多保存的事实数量
+ * - MAX_MEMORY_LENGTH：单条记忆的最大长度
+ * - SUMMARY_TIMEOUT：整理记忆时 LLM 调用的超时时间（毫秒）
+ */
+const SUMMARY_BATCH_SIZE = 6;
+const MAX_MEMORIES_PER_AGENT = 50;
+const MAX_MEMORY_LENGTH = 500;
+const SUMMARY_TIMEOUT = 60000;
+
+/**
+ * 整理记忆时使用的 system prompt
+ */
+const SUMMARY_SYSTEM_PROMPT = `你是对话记忆整理助手。根据"已有摘要"、"已知事实"和"新的对话片段"，只输出如下 JSON，不要输出其他内容：
+{"summary": "合并已有摘要和新对话后的完整摘要，保留重要情节、约定和未完成的话题，不超过 300 字", "facts": ["新对话中出现的、关于用户的持久事实"]}
+facts 只包含明确、长期有效的用户信息（身份、偏好、经历、目标、重要的人和事），不要包含一次性的请求，不要重复已知事实；没有新事实时返回空数组。`;
+
+/**
+ * 正在整理记忆的会话（同一会话同时只整理一次，避免重复摘要）
+ */
+const summarizingSessions = new Set();
+
+/**
+ * 验证记忆内容
+ *
+ * @param {string} content - 记忆内容
+ * @returns {string} 去除首尾空格后的内容
+ * @throws {Object} 错误对象 { code, message }
+ */
+function validateMemoryContent(content) {
+  if (!content || typeof content !== "string" || !content.trim()) {
+    throw {
+      code: "VALIDATION_ERROR",
+      message: "记忆内容不能为空",
+    };
+  }
+
+  if (content.trim().length > MAX_MEMORY_LENGTH) {
+    throw {
+      code: "VALIDATION_ERROR",
+      message: `记忆内容不能超过 ${MAX_MEMORY_LENGTH} 个字符`,
+    };
+  }
+
+  return content.trim();
+}
+
+/**
+ * 构建记忆上下文
+ *
+ * 【功能说明】
+ * 把长期记忆和会话摘要格式化成一段文字，由调用方拼接到 Agent 的 system prompt 后面
+ *
+ * @param {Object} options - 选项
+ * @param {string} options.userId - 用户 ID
+ * @param {string} options.agentId - Agent ID
+ * @param {string} options.sessionId - 会话 ID
+ * @returns {Promise<string>} 记忆上下文，没有任何记忆时返回空字符串
+ */
+async function getMemoryContext(options) {
+  const { userId, agentId, sessionId } = options;
+
+  const [memories, summary] = await Promise.all([
+    memoryRepository.findMemoriesByUserAndAgent(userId, agentId),
+    sessionId ? memoryRepository.getSessionSummary(sessionId) : null,
+  ]);
+
+  const sections = [];
+
+  if (memories.length > 0) {
+    sections.push(
+      "【长期记忆】以下是你记住的关于用户的信息：\n" +
+        memories.map((memory) => `- ${memory.content}`).join("\n")
+    );
+  }
+
+  if (summary && summary.summary) {
+    sections.push(`【对话摘要】以下是本次对话更早内容的摘要：\n${summary.summary}`);
+  }
+
+  return sections.join("\n\n");
+}
+
+/**
+ * 解析 LLM 返回的记忆整理结果
+ *
+ * 【说明】
+ * 模型可能把 JSON 包在 ```json 代码块里，先去掉代码块标记再解析
+ *
+ * @param {string} reply - LLM 回复
+ * @returns {Object|null} { summary, facts }，无法解析时返回 null
+ */
+function parseSummaryReply(reply) {
+  if (!reply || typeof reply !== "string") {
+    return null;
+  }
+
+  const text = reply
+    .trim()
+    .replace(/^```(?:json)?\s*/i, "")
+    .replace(/```$/, "")
+    .trim();
+
+  try {
+    const data = JSON.parse(text);
+    if (!data || typeof data.summary !== "string") {
+      return null;
+    }
+    const facts = Array.isArray(data.facts)
+      ? data.facts.filter((fact) => typeof fact === "string" && fact.trim())
+      : [];
+    return { summary: data.summary.trim(), facts: facts.map((fact) => fact.trim()) };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 整理会话记忆
+ *
+ * 【功能说明】
+ * 把上下文窗口之前、尚未被摘要覆盖的消息合并进会话摘要，并提取新的用户事实
+ *
+ * 【工作流程】
+ * 1. 获取会话摘要和激活路径
+ * 2. 找出 (摘要覆盖位置, 窗口起点) 之间的消息，不足 SUMMARY_BATCH_SIZE 条则跳过
+ * 3. 调用 LLM 生成新摘要和新事实
+ * 4. 保存摘要，追加不重复的事实（不超过数量上限）
+ *
+ * @param {Object} options - 选项
+ * @param {string} options.sessionId - 会话 ID
+ * @param {string} options.userId - 用户 ID
+ * @param {string} options.agentId - Agent ID
+ * @param {Object} options.agent - Agent 配置（使用它的模型整理记忆）
+ * @param {number} options.windowStart - 上下文窗口中最早一条消息的时间戳（窗口内的消息不需要摘要）
+ * @returns {Promise<Object|null>} { summary, addedMemories }，没有整理时返回 null
+ */
+async function updateMemories(options) {
+  const { sessionId, userId, agentId, agent, windowStart } = options;
+
+  if (!sessionId || !windowStart || summarizingSessions.has(sessionId)) {
+    return null;
+  }
+
+  summarizingSessions.add(sessionId);
+  try {
+    // 1. 获取会话摘要和激活路径
+    const existingSummary = await memoryRepository.getSessionSummary(sessionId);
+    const coveredUntil = existingSummary ? existingSummary.coveredUntil : 0;
+    const events = await eventService.getEventsBySession(sessionId);
+
+    // 2. 找出需要摘要的消息（生成中和生成失败的回复、没有内容的停止回复不计入）
+    const pendingEvents = events.filter(
+      (event) =>
+        event.timestamp > coveredUntil &&
+        event.timestamp < windowStart &&
+        ((event.status || "complete") === "complete" || (event.status === "stopped" && event.content))
+    );
+    if (pendingEvents.length < SUMMARY_BATCH_SIZE) {
+      return null;
+    }
+
+    // 3. 调用 LLM 生成新摘要和新事实
+    const existingMemories = await memoryRepository.findMemoriesByUserAndAgent(
+      userId,
+      agentId
+    );
+    const agentName = agent.name || "AI";
+    const transcript = pendingEvents
+      .map((event) => `${event.fromType === "user" ? "用户" : agentName}：${event.content}`)
+      .join("\n");
+    const knownFacts =
+      existingMemories.map((memory) => `- ${memory.content}`).join("\n") || "（无）";
+
+    const reply = await llmService.generateReply({
+      model: agent.model,
+      provider: agent.provider,
+      systemPrompt: SUMMARY_SYSTEM_PROMPT,
+      messages: [
+        {
+          role: "user",
+          content:
+            `已有摘要：\n${existingSummary?.summary || "（无）"}\n\n` +
+            `已知事实：\n${knownFacts}\n\n` +
+            `新的对话片段：\n${transcript}`,
+        },
+      ],
+      timeout: SUMMARY_TIMEOUT,
+      userId,
+    });
+
+    const result = parseSummaryReply(reply);
+    if (!result) {
+      console.warn(`[MemoryService] Unable to parse memory summary for session: ${sessionId}`);
+      return null;
+    }
+
+    // 4. 保存摘要，追加不重复的事实
+    const summary = await memoryRepository.upsertSessionSummary(
+      sessionId,
+      result.summary,
+      pendingEvents[pendingEvents.length - 1].timestamp
+    );
+
+    const knownContents = new Set(existingMemories.map((memory) => memory.content));
+    const remaining = MAX_MEMORIES_PER_AGENT - existingMemories.length;
+    const newFacts = result.facts
+      .map((fact) => fact.slice(0, MAX_MEMORY_LENGTH))
+      .filter((fact) => {
+        if (knownContents.has(fact)) {
+          return false;
+        }
+        knownContents.add(fact);
+        return true;
+      })
+      .slice(0, Math.max(remaining, 0));
+
+    const addedMemories = [];
+    for (const fact of newFacts) {
+      addedMemories.push(
+        await memoryRepository.createMemory({
+          userId,
+          agentId,
+          content: fact,
+          source: "auto",
+          sourceSessionId: sessionId,
+        })
+      );
+    }
+
+    return { summary, addedMemories };
+  } finally {
+    summarizingSessions.delete(sessionId);
+  }
+}
+
+/**
+ * 在后台整理会话记忆
+ *
+ * 【功能说明】
+ * 不阻塞回复流程；整理失败只记录日志
+ *
+ * @param {Object} options - 同 updateMemories
+ */
+function scheduleMemoryUpdate(options) {
+  updateMemories(options).catch((error) => {
+    console.warn(
+      `[MemoryService] Failed to update memories for session ${options.sessionId}:`,
+      error
+    );
+  });
+}
+
+/**
+ * 获取 NPC 的记忆列表
+ *
+ * @param {string} userId - 用户 ID
+ * @param {string} agentId - Agent ID
+ * @param {string} [sessionId] - 会话 ID（提供时同时返回该会话的摘要）
+ * @returns {Promise<Object>} { memories, summary }
+ * @throws {Object} 错误对象 { code, message }，会话不属于该用户时抛出 SESSION_NOT_FOUND
+ */
+async function listMemories(userId, agentId, sessionId) {
+  if (!agentId || typeof agentId !== "string" || !agentId.trim()) {
+    throw {
+      code: "VALIDATION_ERROR",
+      message: "Agent ID 不能为空",
+    };
+  }
+
+  if (sessionId) {
+    await sessionService.getSessionForUser(sessionId, userId, agentId.trim());
+  }
+
+  const [memories, summary] = await Promise.all([
+    memoryRepository.findMemoriesByUserAndAgent(userId, agentId.trim()),
+    sessionId ? memoryRepository.getSessionSummary(sessionId.trim()) : null,
+  ]);
+
+  return { memories, summary };
+}
+
+/**
+ * 获取用户自己的记忆
+ *
+ * @param {string} userId - 用户 ID
+ * @param {string} memoryId - 记忆 ID
+ * @returns {Promise<Object>} 记忆对象
+ * @throws {Object} 不存在或不属于该用户时抛出 MEMORY_NOT_FOUND
+ */
+async function getMemoryForUser(userId, memoryId) {
+  const memory = memoryId ? await memoryRepository.findMemoryById(memoryId) : null;
+  if (!memory || memory.userId !== userId) {
+    throw {
+      code: "MEMORY_NOT_FOUND",
+      message: "记忆不存在",
+    };
+  }
+  return memory;
+}
+
+/**
+ * 编辑记忆
+ *
+ * @param {string} userId - 用户 ID
+ * @param {string} memoryId - 记忆 ID
+ * @param {string} content - 新内容
+ * @returns {Promise<Object>} 更新后的记忆对象
+ * @throws {Object} 错误对象 { code, message }
+ */
+async function updateMemory(userId, memoryId, content) {
+  const validContent = validateMemoryContent(content);
+  const memory = await getMemoryForUser(userId, memoryId);
+
+  await memoryRepository.updateMemory(memory.id, validContent);
+
+  return {
+    ...memory,
+    content: validContent,
+    source: "user",
+    updatedAt: Date.now(),
+  };
+}
+
+/**
+ * 删除记忆
+ *
+ * @param {string} userId - 用户 ID
+ * @param {string} memoryId - 记忆 ID
+ * @returns {Promise<void>}
+ * @throws {Object} 错误对象 { code, message }
+ */
+async function deleteMemory(userId, memoryId) {
+  const memory = await getMemoryForUser(userId, memoryId);
+
+  await memoryRepository.deleteMemory(memory.id);
+}
+
+module.exports = {
+  getMemoryContext,
+  updateMemories,
+  scheduleMemoryUpdate,
+  listMemories,
+  updateMemory,
+  deleteMemory,
+  parseSummaryReply,
+};
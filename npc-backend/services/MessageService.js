@@ -11,16 +11,32 @@
  * 2. 会话管理（获取或创建 Session）
  * 3. 事件创建（用户消息和 Agent 回复）
  * 4. LLM API 调用（生成回复）
+ * 5. 流式回复（streamMessage：边生成边回调增量，供 SSE 接口使用）
+ * 6. 重新生成回复、编辑用户消息（截断旧时间线后重新生成）
+ * 7. 长期记忆（system prompt 附带记忆和会话摘要，回复后在后台整理记忆）
+ * 8. 上下文窗口（按模型的 token 预算选取历史消息，而不是固定条数）
+ * 9. 后台回复任务（sendMessage / 重新生成 / 编辑把回复生成放入持久化任务队列）
+ * 10. 回复状态：pending（生成中）/ complete / failed，失败的回复可以在原位置重试（retryReply）
+ * 11. 停止生成（cancelReply）：中止上游 LLM 请求，已生成的部分保存为 stopped
+ * 12. 会话内顺序：同一会话的发送在本实例内逐个处理，回复任务按发送顺序逐个生成；
+ *     上一条回复还没开始生成时连续发送的消息合并为一轮，由同一条回复回答
+ * 13. 实时推送：回复开始 / 结束生成（reply.typing）、编辑和重新生成截断时间线（session.updated）
  *
  * 【工作流程】
  * 验证参数 → 获取或创建 Session → 同步创建用户消息 Event → 
- * 获取历史事件 → 异步调用 LLM → 同步创建 Agent 回复 Event → 返回结果
+ * 创建 pending 的占位回复 → 回复任务入队 → 返回任务 ID →
+ * Worker 获取历史事件、调用 LLM、把结果写入占位回复（complete / failed）
  *
  * 【依赖】
  * - services/SessionService.js: 会话管理
  * - services/EventService.js: 事件创建和查询
  * - services/AgentService.js: 获取 Agent 配置
  * - services/LLMService.js: LLM API 调用
+ * - services/MemoryService.js: 长期记忆和会话摘要
+ * - services/ContextService.js: 按 token 预算构建上下文窗口
+ * - services/UsageService.js: 记录每条回复的 token 用量和费用
+ * - services/JobService.js: 回复任务队列（llm_reply）
+ * - services/RealtimeService.js: 实时推送（生成中状态、时间线变化）
  *
  * 【被谁使用】
  * - routes/messages.js: 调用消息发送方法
@@ -33,13 +49,22 @@
  *
  * 【设计决策】
  * 1. 先同步创建用户消息 Event（保证历史事件完整）
- * 2. 然后异步调用 LLM（在等待期间可以做其他事情）
- * 3. LLM 返回后，同步创建 Agent 回复 Event
+ * 2. 然后把回复生成放入任务队列（保存在数据库中，后端重启不会丢失）
+ * 3. Worker 执行任务：LLM 返回后把回复写入占位 Event；临时错误（超时、429、5xx）按退避重试，
+ *    最后一次仍失败时把占位 Event 标记为 failed（content 为错误说明，不进入 LLM 上下文）
+ * 4. 流式回复（streamMessage）仍在当前请求内完成，不经过任务队列，但同样先创建占位回复，以便停止生成
+ * 5. 正在生成的回复登记在本实例的 activeReplies 中，停止生成时直接中止；
+ *    其他实例执行的回复任务通过取消任务（续租失败）中止
+ * 6. 连续发送（用户在上一条回复生成前又发了消息）：
+ *    - 上一条回复的任务还在等待（没有开始执行）：取消该任务，占位回复移到新消息之后并重新入队，
+ *      一次回答这几条消息（返回的 batched 为 true，replyEventId 与上一次相同）
+ *    - 上一条回复已经开始生成：新消息照常入队，等上一条回复结束后再生成（JobRepository.claimNext 按会话排队）
+ *    - 流式发送不排队：会话中有生成中的回复时返回 REPLY_IN_PROGRESS，客户端应改用普通发送
  * 
- * 【Session 单会话模式】
- * - 同一参与者组合（用户 + Agent）只有一个 Session
- * - 用户 A 再次和 Agent B 对话，会复用同一个 Session
- * - 未来扩展：支持主题自动拆分，将一个 Session 拆分成多个子 Session
+ * 【Session 选择】
+ * - 请求指定 sessionId 时，发送到该会话（必须属于当前用户和 Agent）
+ * - 未指定时使用默认会话：用户与 Agent 最近活跃的未归档会话，没有则新建
+ * - 未命名的会话以第一条用户消息的开头作为标题
  *
  * @author AI Assistant
  * @created 2025-11-20
@@ -50,46 +75,523 @@ const sessionService = require("./SessionService");
 const eventService = require("./EventService");
 const agentService = require("./AgentService");
 const llmService = require("./LLMService");
+const memoryService = require("./MemoryService");
+const contextService = require("./ContextService");
+const usageService = require("./UsageService");
+const jobService = require("./JobService");
+const realtimeService = require("./RealtimeService");
 const { calculateMaxLineWidth } = require("../utils/textUtils");
 
 /**
- * 发送消息
+ * 回复任务类型
+ */
+const REPLY_JOB_TYPE = "llm_reply";
+
+/**
+ * 本实例正在生成的回复
+ * 占位回复 Event ID → { controller, stopRequested, done }
+ * - controller：中止上游 LLM 请求
+ * - stopRequested：是否由用户停止（只有用户停止时才保存已生成的部分）
+ * - done：生成结束并保存结果后 resolve
+ */
+const activeReplies = new Map();
+
+/**
+ * 推送回复生成状态（reply.typing），用户的其他设备显示 "正在输入"
+ *
+ * @param {Object} options - processLLMReplyAsync 的选项 { sessionId, userId, agentId, replyEventId }
+ * @param {boolean} active - 开始（true）或结束（false）生成
+ */
+function notifyTyping(options, active) {
+  realtimeService.publish(options.userId, "reply.typing", {
+    sessionId: options.sessionId,
+    agentId: options.agentId,
+    eventId: options.replyEventId || null,
+    active,
+  });
+}
+
+/**
+ * 推送时间线被截断（session.updated），用户的其他设备重新加载会话
+ *
+ * @param {Object} event - 被编辑或重新生成的 Event 对象
+ */
+function notifySuperseded(event) {
+  realtimeService.publish(event.userId, "session.updated", {
+    sessionId: event.sessionId,
+    agentId: event.agentId,
+    reason: "superseded",
+  });
+}
+
+/**
+ * 本实例内每个会话的发送队列
+ * 会话 ID → 最后一个排队的发送（Promise），同一会话的发送逐个创建用户消息和占位回复，
+ * 避免并发请求交错写入时间线
+ */
+const sessionQueues = new Map();
+
+/**
+ * 在会话的发送队列中执行
+ *
+ * @param {string} sessionId - 会话 ID
+ * @param {Function} task - 要执行的异步函数
+ * @returns {Promise<*>} task 的返回值
+ */
+async function runInSessionOrder(sessionId, task) {
+  const previous = sessionQueues.get(sessionId) || Promise.resolve();
+  const current = previous.then(() => task());
+  const tail = current.catch(() => {});
+  sessionQueues.set(sessionId, tail);
+
+  try {
+    return await current;
+  } finally {
+    if (sessionQueues.get(sessionId) === tail) {
+      sessionQueues.delete(sessionId);
+    }
+  }
+}
+
+/**
+ * 验证消息内容
+ *
+ * @param {string} text - 消息内容
+ * @returns {string} 去除首尾空白后的消息内容
+ * @throws {Object} 错误对象 { code: "VALIDATION_ERROR", message }
+ */
+function validateMessageText(text) {
+  if (!text || typeof text !== "string" || !text.trim()) {
+    throw {
+      code: "VALIDATION_ERROR",
+      message: "消息内容不能为空",
+    };
+  }
+
+  const trimmedText = text.trim();
+  if (trimmedText.length === 0) {
+    throw {
+      code: "VALIDATION_ERROR",
+      message: "消息内容不能为空",
+    };
+  }
+
+  if (trimmedText.length > 5000) {
+    throw {
+      code: "VALIDATION_ERROR",
+      message: "消息内容不能超过 5000 字符",
+    };
+  }
+
+  return trimmedText;
+}
+
+/**
+ * 确定消息发送到的会话
  *
  * 【功能说明】
- * 处理用户发送消息的完整流程，包括创建事件、调用 LLM、生成回复
+ * sendMessage 和 streamMessage 共用的第一步，之后的步骤在会话的发送队列中执行（见 prepareMessage）
  *
  * 【工作流程】
  * 1. 验证参数（userId, agentId, text）
- * 2. 获取或创建 Session（单会话模式：同一参与者组合只有一个 Session）
- * 3. 同步创建用户消息 Event（保证历史事件完整）
+ * 2. 获取 Session（指定 sessionId 时校验归属，否则获取或创建默认会话）
+ *
+ * @param {Object} options - 消息发送选项（同 sendMessage）
+ * @returns {Promise<Object>} { session, userId, agentId, text, contextLimit }
+ * @throws {Object} 错误对象 { code, message }
+ */
+async function resolveMessageTarget(options) {
+  const { userId, agentId, text, sessionId, contextLimit } = options;
+
+  // ==================== 步骤 1：验证参数 ====================
+  if (!userId || typeof userId !== "string" || !userId.trim()) {
+    throw {
+      code: "VALIDATION_ERROR",
+      message: "用户 ID 不能为空",
+    };
+  }
+
+  if (!agentId || typeof agentId !== "string" || !agentId.trim()) {
+    throw {
+      code: "VALIDATION_ERROR",
+      message: "Agent ID 不能为空",
+    };
+  }
+
+  const trimmedText = validateMessageText(text);
+
+  // ==================== 步骤 2：获取 Session ====================
+  // 指定 sessionId：发送到该会话（校验会话属于当前用户和 Agent）
+  // 未指定：使用默认会话（最近活跃的未归档会话），没有则新建
+  const session = sessionId
+    ? await sessionService.getSessionForUser(sessionId, userId.trim(), agentId.trim())
+    : await sessionService.getOrCreateSession([
+        { type: "user", id: userId.trim() },
+        { type: "agent", id: agentId.trim() },
+      ]);
+
+  return {
+    session,
+    userId: userId.trim(),
+    agentId: agentId.trim(),
+    text: trimmedText,
+    contextLimit,
+  };
+}
+
+/**
+ * 准备消息上下文
+ *
+ * 【功能说明】
+ * sendMessage 和 streamMessage 共用的前置步骤（在会话的发送队列中执行）：
+ * 创建用户消息 Event、获取 Agent 配置和历史事件
+ *
+ * 【工作流程】
+ * 3. 同步创建用户消息 Event（保证历史事件完整），未命名会话补充标题
  * 4. 获取 Agent 配置（systemPrompt 和 model）
- * 5. 获取最近 N 条历史事件（包含新消息，用于构建上下文）
- * 6. 异步调用 LLM API（在等待期间可以做其他事情）
- * 7. 同步创建 Agent 回复 Event
- * 8. 返回 Agent 回复内容
+ * 5. 按 token 预算选取历史事件（包含新消息，用于构建上下文；回复任务入队时跳过，由 Worker 获取）
+ *
+ * @param {Object} target - 发送目标（见 resolveMessageTarget）
+ * @param {Object} [prepareOptions] - 准备选项
+ * @param {boolean} [prepareOptions.withHistory=true] - 是否获取历史事件
+ * @param {string} [prepareOptions.parentId] - 用户消息的父事件 ID（不传则接在激活路径末尾）
+ * @returns {Promise<Object>} { session, userEvent, agent, historyEvents, userId, agentId, text }
+ * @throws {Object} 错误对象 { code, message }
+ */
+async function prepareMessage(target, { withHistory = true, parentId } = {}) {
+  const { session, userId, agentId, text, contextLimit } = target;
+
+  // ==================== 步骤 3：同步创建用户消息 Event ====================
+  // 先同步创建用户消息 Event，保证历史事件完整
+  // 这样在获取历史事件时，新消息已经包含在上下文中
+  const userEvent = await eventService.createEvent({
+    sessionId: session.sessionId,
+    ...(parentId ? { parentId } : {}),
+    userId: userId,
+    agentId: agentId,
+    fromType: "user",
+    fromId: userId,
+    toType: "agent",
+    toId: agentId,
+    content: text,
+  });
+
+  // 未命名会话以第一条消息作为标题（失败不影响发送）
+  try {
+    await sessionService.ensureSessionTitle(session, text);
+  } catch (error) {
+    console.warn("[MessageService] Failed to set session title:", error);
+  }
+
+  // ==================== 步骤 4：获取 Agent 配置 ====================
+  const agent = await agentService.getAgentById(agentId);
+  if (!agent) {
+    throw {
+      code: "AGENT_NOT_FOUND",
+      message: "Agent 不存在",
+    };
+  }
+
+  // ==================== 步骤 5：按 token 预算选取历史事件 ====================
+  // 获取历史事件（包含新消息），用于构建 LLM 上下文
+  const { events: historyEvents } = withHistory
+    ? await contextService.buildContextWindow({
+        sessionId: session.sessionId,
+        model: agent.model,
+        provider: agent.provider,
+        systemPrompt: agent.systemPrompt,
+        maxEvents: contextLimit,
+      })
+    : { events: [] };
+
+  return {
+    session,
+    userEvent,
+    agent,
+    historyEvents,
+    userId,
+    agentId,
+    text,
+  };
+}
+
+/**
+ * 取出会话中还没开始生成的回复（连续发送）
+ *
+ * 【规则】
+ * 会话最新的回复任务仍在等待（从未执行过），且它的占位回复是时间线最后一条事件时，
+ * 取消该任务并返回占位回复，由调用方把占位回复移到新消息之后重新入队；
+ * 取消只对仍在排队的任务生效（status = 'queued' 且未执行过），
+ * 任务在取消前被 Worker 领取时返回 null（新消息照常排队，创建新的占位回复）
+ *
+ * @param {string} sessionId - 会话 ID
+ * @returns {Promise<Object|null>} { job, replyEvent } 或 null
+ */
+async function takeQueuedReply(sessionId) {
+  const jobs = await jobService.findActiveJobs(sessionId, REPLY_JOB_TYPE);
+  const job = jobs[jobs.length - 1];
+  if (!job || job.status !== "queued" || job.attempts > 0 || !job.payload.replyEventId) {
+    return null;
+  }
+
+  const recentEvents = await eventService.getRecentEvents(sessionId, 1);
+  const replyEvent = recentEvents[recentEvents.length - 1];
+  if (!replyEvent || replyEvent.id !== job.payload.replyEventId || replyEvent.status !== "pending") {
+    return null;
+  }
+
+  // 只取消仍在排队的任务：查询之后被 Worker 领取的任务不会被中止
+  if (!(await jobService.cancelQueued(job.id))) {
+    return null;
+  }
+  return { job, replyEvent };
+}
+
+/**
+ * 检查会话中是否有生成中的回复（流式发送前调用）
+ *
+ * @param {string} sessionId - 会话 ID
+ * @throws {Object} 错误对象 { code: "REPLY_IN_PROGRESS", message }
+ */
+async function assertNoReplyInProgress(sessionId) {
+  const jobs = await jobService.findActiveJobs(sessionId, REPLY_JOB_TYPE);
+  const recentEvents = jobs.length > 0 ? [] : await eventService.getRecentEvents(sessionId, 1);
+  const lastEvent = recentEvents[recentEvents.length - 1];
+
+  if (jobs.length > 0 || (lastEvent && lastEvent.fromType === "agent" && lastEvent.status === "pending")) {
+    throw {
+      code: "REPLY_IN_PROGRESS",
+      message: "上一条回复还在生成中，请稍候",
+    };
+  }
+}
+
+/**
+ * 发送消息
+ *
+ * 【功能说明】
+ * 处理用户发送消息的完整流程：创建用户消息 Event，把回复生成放入任务队列后立即返回
+ *
+ * 【工作流程】
+ * 1-2. 验证参数、获取 Session（见 resolveMessageTarget）
+ * 以下步骤在会话的发送队列中执行（本实例内同一会话的发送逐个处理）：
+ * 3-4. 准备消息（见 prepareMessage，不获取历史事件）
+ * 5. 创建 pending 的占位回复，回复任务入队（见 processReplyJob）；
+ *    上一条回复还没开始生成时（连续发送），改为把它的占位回复移到新消息之后重新入队
+ * 6. 返回用户消息 Event、占位回复 ID 和任务 ID（前端通过轮询获取 Agent 回复）
  *
  * 【设计决策】
  * - 先同步创建用户消息 Event：保证历史事件完整，LLM 上下文包含新消息
- * - 然后异步调用 LLM：LLM 调用本身是异步的，在等待期间可以做其他事情
- * - LLM 返回后同步创建 Agent 回复 Event：保证回复事件及时保存
+ * - 回复生成放在持久化任务队列中：后端重启（蓝绿部署切换）后由存活的实例继续执行，
+ *   用户消息不会得不到回复
  *
  * 【错误处理】
  * - 如果步骤 3（创建用户消息 Event）失败：直接抛出错误，不继续执行
- * - 如果步骤 6（调用 LLM）失败：用户消息 Event 已创建，返回错误但不回滚
- * - 如果步骤 7（创建 Agent 回复 Event）失败：LLM 已返回回复，返回错误但不回滚
+ * - 如果入队失败：用户消息 Event 已创建，抛出错误但不回滚
+ * - LLM 调用失败：由任务重试，最后一次仍失败时占位回复标记为 failed
+ * - 连续发送时已取消上一条回复的任务、但还没重新入队就出错：恢复原来的任务
  *
  * @param {Object} options - 消息发送选项
  * @param {string} options.userId - 用户 ID
  * @param {string} options.agentId - Agent ID
  * @param {string} options.text - 消息内容
- * @param {number} [options.contextLimit] - 上下文事件数量限制（默认 20）
- * @returns {Promise<Object>} Agent 回复事件对象 { eventId, content, timestamp }
+ * @param {string} [options.sessionId] - 会话 ID（可选，默认使用最近活跃的会话）
+ * @param {number} [options.contextLimit] - 上下文事件数量上限（可选，默认只按 token 预算选取）
+ * @returns {Promise<Object>} { userEventId, replyEventId, sessionId, timestamp, maxLineWidth, status: "pending", jobId, batched }
+ * batched 为 true 表示与之前还没回复的消息合并为一轮（replyEventId 为之前的占位回复）
  * @throws {Object} 错误对象 { code, message }
  */
 async function sendMessage(options) {
-  const { userId, agentId, text, contextLimit = 20 } = options;
+  const target = await resolveMessageTarget(options);
 
-  // ==================== 步骤 1：验证参数 ====================
+  return runInSessionOrder(target.session.sessionId, async () => {
+    // 连续发送：上一条回复还没开始生成时取消它的任务，新消息接在上一条用户消息之后
+    const queued = await takeQueuedReply(target.session.sessionId);
+    let requeued = false;
+
+    try {
+      const { session, userEvent, userId, agentId, text } = await prepareMessage(target, {
+        withHistory: false,
+        parentId: queued ? queued.replyEvent.parentId : undefined,
+      });
+
+      // ==================== 步骤 5：回复任务入队 ====================
+      // 不等待 LLM 回复，由 Worker 在后台生成
+      const movedReply = queued
+        ? await eventService.moveReplyEvent(queued.replyEvent.id, userEvent)
+        : null;
+      const { job, replyEvent } = await enqueueReply({
+        sessionId: session.sessionId,
+        userId: userId,
+        agentId: agentId,
+        parentEventId: userEvent.id,
+        parentTimestamp: userEvent.timestamp,
+        replyEventId: movedReply ? movedReply.id : undefined,
+        contextLimit: target.contextLimit,
+      });
+      requeued = true;
+
+      if (movedReply) {
+        console.log(
+          `[MessageService] Batched message ${userEvent.id} into pending reply ${movedReply.id}`
+        );
+      }
+
+      // ==================== 步骤 6：立即返回用户消息 Event ====================
+      // 前端通过轮询检查新消息来获取 Agent 回复
+      return {
+        userEventId: userEvent.id, // 保持与前端适配器的兼容性
+        replyEventId: replyEvent.id, // 生成中的占位回复
+        sessionId: session.sessionId,
+        timestamp: userEvent.timestamp,
+        maxLineWidth: calculateMaxLineWidth(text), // 添加最长行宽度
+        status: "pending", // 表示 Agent 回复正在处理中
+        jobId: job.id,
+        batched: Boolean(movedReply),
+      };
+    } catch (error) {
+      if (queued && !requeued) {
+        // 恢复被取消的任务，上一条消息不会因此得不到回复
+        await enqueueReply(queued.job.payload).catch((restoreError) => {
+          console.error(
+            `[MessageService] Failed to restore reply job for ${queued.replyEvent.id}:`,
+            restoreError
+          );
+        });
+      }
+      throw error;
+    }
+  });
+}
+
+/**
+ * 流式发送消息
+ *
+ * 【功能说明】
+ * 与 sendMessage 相同的前置流程，但在当前请求内等待 LLM 回复，
+ * 并通过回调把增量文本推给调用方（routes/messages.js 的 SSE 接口）
+ *
+ * 【工作流程】
+ * 1. 准备消息上下文（验证、Session、用户消息 Event、Agent、历史事件）；
+ *    会话中有生成中的回复时不创建用户消息，抛出 REPLY_IN_PROGRESS
+ * 2. 回调 onStart（用户消息已保存，调用方此时可以开始输出流）
+ * 3. 以 stream 模式调用 LLM，每段增量回调 onDelta
+ * 4. 把结果写入占位回复（失败时写入友好错误说明，被停止时写入已生成的部分）
+ * 5. 返回最终结果（包含持久化的 Event ID）
+ *
+ * 【设计决策】
+ * - 回调 onStart 之前先创建 pending 的占位回复，ack.replyEventId 可用于停止生成（cancelReply）
+ * - 生成在一条本实例直接领取的回复任务中执行（jobService.runInline）：实例中途退出时由 Worker 接着生成，
+ *   停止生成照常通过取消任务中止
+ * - 回复和错误消息都会持久化，客户端中途断开后仍可通过轮询 /messages/check 拿到结果
+ * - 客户端断开不会中止 LLM 调用，只是不再推送增量
+ *
+ * @param {Object} options - 消息发送选项（同 sendMessage）
+ * @param {Function} [options.onStart] - 用户消息保存后回调 (ack) => void，ack 为 { userEventId, replyEventId, sessionId, timestamp, maxLineWidth, status }
+ * @param {Function} [options.onDelta] - 增量回调 (delta: string) => void
+ * @returns {Promise<Object>} { userEventId, sessionId, timestamp, maxLineWidth, status, agentEvent, error }
+ * @throws {Object} 错误对象 { code, message }（仅前置步骤失败时抛出）
+ */
+async function streamMessage(options) {
+  const { onStart, onDelta } = options;
+  const target = await resolveMessageTarget(options);
+
+  // 流式回复不经过任务队列，不能排在生成中的回复之后：这种情况由客户端改用普通发送
+  const { session, userEvent, agent, historyEvents, userId, agentId, text, replyEvent } =
+    await runInSessionOrder(target.session.sessionId, async () => {
+      await assertNoReplyInProgress(target.session.sessionId);
+      const prepared = await prepareMessage(target);
+      const placeholder = await eventService.createEvent({
+        sessionId: prepared.session.sessionId,
+        parentId: prepared.userEvent.id,
+        userId: prepared.userId,
+        agentId: prepared.agentId,
+        fromType: "agent",
+        fromId: prepared.agentId,
+        toType: "user",
+        toId: prepared.userId,
+        content: "",
+        status: "pending",
+        timestamp: Number(prepared.userEvent.timestamp) + 1,
+      });
+      return { ...prepared, replyEvent: placeholder };
+    });
+
+  const ack = {
+    userEventId: userEvent.id,
+    replyEventId: replyEvent.id,
+    sessionId: session.sessionId,
+    timestamp: userEvent.timestamp,
+    maxLineWidth: calculateMaxLineWidth(text),
+    status: "pending",
+  };
+
+  if (typeof onStart === "function") {
+    onStart(ack);
+  }
+
+  // 生成过程由一条本实例持有的回复任务兜底：实例在生成中途退出时，
+  // 租约过期后任务被放回队列，由 Worker 接着为这条占位回复生成（不会一直停在 pending）
+  const { event, error } = await jobService.runInline(
+    REPLY_JOB_TYPE,
+    {
+      sessionId: session.sessionId,
+      userId: userId,
+      agentId: agentId,
+      parentEventId: userEvent.id,
+      replyEventId: replyEvent.id,
+      contextLimit: target.contextLimit || null,
+    },
+    { userId: userId, sessionId: session.sessionId },
+    ({ signal }) =>
+      processLLMReplyAsync({
+        sessionId: session.sessionId,
+        userId: userId,
+        agentId: agentId,
+        agent: agent,
+        historyEvents: historyEvents,
+        onDelta: onDelta,
+        replyEventId: replyEvent.id,
+        signal: signal,
+      })
+  );
+
+  return {
+    ...ack,
+    status: event?.status || (error ? "failed" : "complete"),
+    agentEvent: event
+      ? {
+          eventId: event.id,
+          content: event.content,
+          status: event.status || (error ? "failed" : "complete"),
+          errorCode: event.errorCode || null,
+          model: event.model || null,
+          provider: event.provider || null,
+          timestamp: event.timestamp,
+          maxLineWidth: calculateMaxLineWidth(event.content || ""),
+        }
+      : null,
+    error: error
+      ? {
+          code: error.code || "UNKNOWN_ERROR",
+          message: event ? event.content : error.message || String(error),
+        }
+      : null,
+  };
+}
+
+/**
+ * 查找会话中的有效事件
+ *
+ * 【功能说明】
+ * 重新生成/编辑前的公共校验：事件存在、属于当前用户、且没有被替代
+ *
+ * @param {string} userId - 用户 ID
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Object>} { event }
+ * @throws {Object} EVENT_NOT_FOUND / EVENT_SUPERSEDED
+ */
+async function findActiveEvent(userId, eventId) {
   if (!userId || typeof userId !== "string" || !userId.trim()) {
     throw {
       code: "VALIDATION_ERROR",
@@ -97,59 +599,254 @@ async function sendMessage(options) {
     };
   }
 
-  if (!agentId || typeof agentId !== "string" || !agentId.trim()) {
+  if (!eventId || typeof eventId !== "string" || !eventId.trim()) {
     throw {
       code: "VALIDATION_ERROR",
-      message: "Agent ID 不能为空",
+      message: "消息 ID 不能为空",
     };
   }
 
-  if (!text || typeof text !== "string" || !text.trim()) {
+  const event = await eventService.getEventById(eventId.trim());
+  if (!event || event.userId !== userId.trim()) {
     throw {
-      code: "VALIDATION_ERROR",
-      message: "消息内容不能为空",
+      code: "EVENT_NOT_FOUND",
+      message: "消息不存在",
     };
   }
 
-  const trimmedText = text.trim();
-  if (trimmedText.length === 0) {
+  if (event.supersededAt) {
+    throw {
+      code: "EVENT_SUPERSEDED",
+      message: "该消息已被重新生成或编辑，请刷新后重试",
+    };
+  }
+
+  return { event };
+}
+
+/**
+ * 查找事件对应的用户消息
+ *
+ * 【功能说明】
+ * 用户消息返回其本身；Agent 回复沿父事件向上查找最近的用户消息，
+ * 旧数据没有父事件时取之前最近的一条用户消息。只按 ID 和游标查询，不加载整个会话
+ *
+ * @param {Object} event - 有效的 Event 对象（见 findActiveEvent）
+ * @returns {Promise<Object|null>} 用户消息 Event，找不到时返回 null
+ */
+async function findAnchorUserEvent(event) {
+  let current = event;
+  while (current.fromType !== "user") {
+    if (!current.parentId) {
+      const recentEvents = await eventService.getEventsBefore(current.sessionId, current);
+      return recentEvents.reverse().find((e) => e.fromType === "user") || null;
+    }
+
+    const parent = await eventService.getEventById(current.parentId);
+    if (!parent || parent.sessionId !== event.sessionId) {
+      return null;
+    }
+    current = parent;
+  }
+
+  return current;
+}
+
+/**
+ * 重新生成 Agent 回复
+ *
+ * 【功能说明】
+ * 丢弃某条 Agent 回复（及其之后的所有消息），基于对应的用户消息重新生成回复
+ *
+ * 【工作流程】
+ * 1. 校验事件（存在、属于当前用户、未被替代）
+ * 2. 找到对应的用户消息（沿父事件找到 Agent 回复对应的用户消息；如果传入的就是用户消息则为其本身）
+ * 3. 截断时间线：把旧回复及之后的事件标记为已被替代
+ * 4. 创建占位回复并入队，由 Worker 生成新回复
+ * 5. 立即返回（前端通过轮询获取新回复）
+ *
+ * @param {Object} options - 选项
+ * @param {string} options.userId - 用户 ID
+ * @param {string} options.eventId - 要重新生成的 Agent 回复 Event ID（也可以是用户消息 Event ID）
+ * @param {number} [options.contextLimit] - 上下文事件数量上限（可选，默认只按 token 预算选取）
+ * @returns {Promise<Object>} { userEventId, replyEventId, sessionId, timestamp, maxLineWidth, status: "pending", supersededCount, jobId }
+ * @throws {Object} 错误对象 { code, message }
+ */
+async function regenerateReply(options) {
+  const { userId, eventId, contextLimit } = options;
+  const { event } = await findActiveEvent(userId, eventId);
+
+  // 找到对应的用户消息
+  const anchorEvent = await findAnchorUserEvent(event);
+  if (!anchorEvent) {
     throw {
       code: "VALIDATION_ERROR",
-      message: "消息内容不能为空",
+      message: "找不到对应的用户消息",
     };
   }
 
-  if (trimmedText.length > 5000) {
+  const agent = await agentService.getAgentById(event.agentId);
+  if (!agent) {
+    throw {
+      code: "AGENT_NOT_FOUND",
+      message: "Agent 不存在",
+    };
+  }
+
+  // 截断时间线：用户消息之后的所有事件（包括旧回复）都被替代
+  const supersededCount = await eventService.supersedeEventsFrom(
+    event.sessionId,
+    anchorEvent,
+    { inclusive: false }
+  );
+  notifySuperseded(event);
+
+  const { job, replyEvent } = await enqueueReply({
+    sessionId: event.sessionId,
+    userId: event.userId,
+    agentId: event.agentId,
+    parentEventId: anchorEvent.id,
+    parentTimestamp: anchorEvent.timestamp,
+    contextLimit,
+  });
+
+  return {
+    userEventId: anchorEvent.id,
+    replyEventId: replyEvent.id,
+    sessionId: event.sessionId,
+    timestamp: anchorEvent.timestamp,
+    maxLineWidth: calculateMaxLineWidth(anchorEvent.content || ""),
+    status: "pending",
+    supersededCount,
+    jobId: job.id,
+  };
+}
+
+/**
+ * 编辑用户消息并重新生成回复
+ *
+ * 【功能说明】
+ * 用新内容替换某条用户消息，丢弃它及之后的所有消息，然后重新生成回复
+ *
+ * 【工作流程】
+ * 1. 验证新内容，校验事件（存在、属于当前用户、未被替代、是用户消息）
+ * 2. 截断时间线：原用户消息及之后的事件标记为已被替代
+ * 3. 创建新的用户消息 Event
+ * 4. 创建占位回复并入队，由 Worker 生成回复
+ * 5. 立即返回新用户消息（前端通过轮询获取回复）
+ *
+ * @param {Object} options - 选项
+ * @param {string} options.userId - 用户 ID
+ * @param {string} options.eventId - 要编辑的用户消息 Event ID
+ * @param {string} options.text - 新的消息内容
+ * @param {number} [options.contextLimit] - 上下文事件数量上限（可选，默认只按 token 预算选取）
+ * @returns {Promise<Object>} { userEventId, replyEventId, sessionId, timestamp, maxLineWidth, status: "pending", supersededCount, jobId }
+ * @throws {Object} 错误对象 { code, message }
+ */
+async function editMessage(options) {
+  const { userId, eventId, text, contextLimit } = options;
+  const trimmedText = validateMessageText(text);
+  const { event } = await findActiveEvent(userId, eventId);
+
+  if (event.fromType !== "user") {
     throw {
       code: "VALIDATION_ERROR",
-      message: "消息内容不能超过 5000 字符",
+      message: "只能编辑用户发送的消息",
     };
   }
 
-  // ==================== 步骤 2：获取或创建 Session ====================
-  // 单会话模式：同一参与者组合（用户 + Agent）只有一个 Session
-  // 用户 A 再次和 Agent B 对话，会复用同一个 Session
-  const session = await sessionService.getOrCreateSession([
-    { type: "user", id: userId.trim() },
-    { type: "agent", id: agentId.trim() },
-  ]);
+  const agent = await agentService.getAgentById(event.agentId);
+  if (!agent) {
+    throw {
+      code: "AGENT_NOT_FOUND",
+      message: "Agent 不存在",
+    };
+  }
 
-  // ==================== 步骤 3：同步创建用户消息 Event ====================
-  // 先同步创建用户消息 Event，保证历史事件完整
-  // 这样在获取历史事件时，新消息已经包含在上下文中
+  // 截断时间线：原用户消息及之后的所有事件都被替代
+  const supersededCount = await eventService.supersedeEventsFrom(event.sessionId, event);
+  notifySuperseded(event);
+
+  // 新消息与原消息互为兄弟分支（父事件相同），原消息可以通过切换分支找回
   const userEvent = await eventService.createEvent({
-    sessionId: session.sessionId,
-    userId: userId.trim(),
-    agentId: agentId.trim(),
+    sessionId: event.sessionId,
+    parentId: event.parentId || null,
+    userId: event.userId,
+    agentId: event.agentId,
     fromType: "user",
-    fromId: userId.trim(),
+    fromId: event.userId,
     toType: "agent",
-    toId: agentId.trim(),
+    toId: event.agentId,
     content: trimmedText,
   });
 
-  // ==================== 步骤 4：获取 Agent 配置 ====================
-  const agent = await agentService.getAgentById(agentId.trim());
+  const { job, replyEvent } = await enqueueReply({
+    sessionId: event.sessionId,
+    userId: event.userId,
+    agentId: event.agentId,
+    parentEventId: userEvent.id,
+    parentTimestamp: userEvent.timestamp,
+    contextLimit,
+  });
+
+  return {
+    userEventId: userEvent.id,
+    replyEventId: replyEvent.id,
+    sessionId: event.sessionId,
+    timestamp: userEvent.timestamp,
+    maxLineWidth: calculateMaxLineWidth(trimmedText),
+    status: "pending",
+    supersededCount,
+    jobId: job.id,
+  };
+}
+
+/**
+ * 重试生成失败的回复
+ *
+ * 【功能说明】
+ * 把一条 failed 的 Agent 回复改回 pending，基于它回复的用户消息重新生成，结果写回原位置。
+ * 与重新生成不同，不截断时间线：对话中间的失败回复也可以单独重试，之后的消息保持不变
+ *
+ * 【工作流程】
+ * 1. 校验事件（存在、属于当前用户、未被替代、是生成失败的 Agent 回复）
+ * 2. 找到对应的用户消息（父事件；旧数据没有父事件时取之前最近的一条用户消息）
+ * 3. 把回复改回 pending（只在仍为 failed 时修改，重复点击只会生效一次）
+ * 4. 回复任务入队，由 Worker 生成回复（上下文只包含这条回复之前的消息）
+ *
+ * @param {Object} options - 选项
+ * @param {string} options.userId - 用户 ID
+ * @param {string} options.eventId - 生成失败的 Agent 回复 Event ID
+ * @param {number} [options.contextLimit] - 上下文事件数量上限（可选，默认只按 token 预算选取）
+ * @returns {Promise<Object>} { userEventId, replyEventId, sessionId, timestamp, status: "pending", jobId }
+ * @throws {Object} 错误对象 { code, message }（REPLY_NOT_FAILED：回复没有失败或已经在重试）
+ */
+async function retryReply(options) {
+  const { userId, eventId, contextLimit } = options;
+  const { event } = await findActiveEvent(userId, eventId);
+
+  if (event.fromType !== "agent") {
+    throw {
+      code: "VALIDATION_ERROR",
+      message: "只能重试 Agent 的回复",
+    };
+  }
+  if (event.status !== "failed") {
+    throw {
+      code: "REPLY_NOT_FAILED",
+      message: event.status === "pending" ? "该回复正在生成中" : "只能重试生成失败的回复",
+    };
+  }
+
+  const anchorEvent = await findAnchorUserEvent(event);
+  if (!anchorEvent) {
+    throw {
+      code: "VALIDATION_ERROR",
+      message: "找不到对应的用户消息",
+    };
+  }
+
+  const agent = await agentService.getAgentById(event.agentId);
   if (!agent) {
     throw {
       code: "AGENT_NOT_FOUND",
@@ -157,41 +854,331 @@ async function sendMessage(options) {
     };
   }
 
-  // ==================== 步骤 5：获取最近 N 条历史事件 ====================
-  // 获取历史事件（包含新消息），用于构建 LLM 上下文
-  const historyEvents = await eventService.getRecentEvents(
-    session.sessionId,
-    contextLimit
+  const replyEvent = await eventService.updateReplyEvent(
+    event.id,
+    { status: "pending" },
+    { expectedStatus: "failed" }
   );
+  if (!replyEvent) {
+    throw {
+      code: "REPLY_NOT_FAILED",
+      message: "该回复正在生成中",
+    };
+  }
 
-  // ==================== 步骤 6：异步调用 LLM API（后台处理）====================
-  // 不等待 LLM 回复，立即返回用户消息 Event ID
-  // LLM 调用在后台异步处理，前端通过轮询获取回复
-  
-  // 后台异步处理 LLM 调用（不阻塞主流程）
-  processLLMReplyAsync({
-    sessionId: session.sessionId,
-    userId: userId.trim(),
-    agentId: agentId.trim(),
-    agent: agent,
-    historyEvents: historyEvents,
-  }).catch((error) => {
-    // 后台处理失败，记录错误日志（不影响用户消息的创建）
-    console.error("[MessageService] Background LLM processing failed:", error);
+  const { job } = await enqueueReply({
+    sessionId: event.sessionId,
+    userId: event.userId,
+    agentId: event.agentId,
+    parentEventId: anchorEvent.id,
+    replyEventId: event.id,
+    contextLimit,
   });
 
-  // ==================== 步骤 7：立即返回用户消息 Event ====================
-  // 不等待 LLM 回复，立即返回用户消息 Event ID
-  // 前端通过轮询检查新消息来获取 Agent 回复
   return {
-    userEventId: userEvent.id, // 保持与前端适配器的兼容性
-    sessionId: session.sessionId,
-    timestamp: userEvent.timestamp,
-    maxLineWidth: calculateMaxLineWidth(trimmedText), // 添加最长行宽度
-    status: "pending", // 表示 Agent 回复正在处理中
+    userEventId: anchorEvent.id,
+    replyEventId: event.id,
+    sessionId: event.sessionId,
+    timestamp: event.timestamp,
+    status: "pending",
+    jobId: job.id,
   };
 }
 
+/**
+ * 回复任务入队
+ *
+ * 【说明】
+ * 没有传入 replyEventId 时先创建 pending 的占位回复（挂在要回复的用户消息下面），
+ * 前端立刻就能显示"生成中"，Worker 生成结束后把结果写入这条回复
+ * 占位回复的时间戳取用户消息时间戳 + 1（与 moveReplyEvent 一致），同一毫秒内也一定排在用户消息之后
+ *
+ * @param {Object} payload - 任务参数
+ * @param {string} payload.sessionId - 会话 ID
+ * @param {string} payload.userId - 用户 ID
+ * @param {string} payload.agentId - Agent ID
+ * @param {string} payload.parentEventId - 要回复的用户消息 Event ID
+ * @param {number} [payload.parentTimestamp] - 要回复的用户消息时间戳（新建占位回复时使用，不写入任务参数）
+ * @param {string} [payload.replyEventId] - 已有的 pending 回复 Event ID（重试时）
+ * @param {number} [payload.contextLimit] - 上下文事件数量上限
+ * @returns {Promise<Object>} { job, replyEvent } - replyEvent 只有新建占位回复时包含完整字段
+ */
+async function enqueueReply(payload) {
+  const replyEvent = payload.replyEventId
+    ? { id: payload.replyEventId }
+    : await eventService.createEvent({
+        sessionId: payload.sessionId,
+        parentId: payload.parentEventId,
+        userId: payload.userId,
+        agentId: payload.agentId,
+        fromType: "agent",
+        fromId: payload.agentId,
+        toType: "user",
+        toId: payload.userId,
+        content: "",
+        status: "pending",
+        timestamp:
+          payload.parentTimestamp !== undefined ? Number(payload.parentTimestamp) + 1 : undefined,
+      });
+
+  const job = await jobService.enqueue(
+    REPLY_JOB_TYPE,
+    {
+      sessionId: payload.sessionId,
+      userId: payload.userId,
+      agentId: payload.agentId,
+      parentEventId: payload.parentEventId,
+      replyEventId: replyEvent.id,
+      contextLimit: payload.contextLimit || null,
+    },
+    { userId: payload.userId, sessionId: payload.sessionId }
+  );
+
+  console.log(`[MessageService] Reply job ${job.id} queued for session: ${payload.sessionId}`);
+  return { job, replyEvent };
+}
+
+/**
+ * 执行回复任务（Worker 调用）
+ *
+ * 【工作流程】
+ * 1. 要回复的用户消息或占位回复已不存在、已被替代（用户随后编辑或重新生成）：跳过，由新任务负责
+ * 2. 占位回复已经有结果（上一次执行写入结果后、任务标记成功前实例退出）：跳过
+ * 3. 获取 Agent 配置和历史事件（截止到占位回复之前）
+ * 4. 调用 processLLMReplyAsync 生成回复并写入占位回复
+ *
+ * 【重试】
+ * - 临时错误（超时、429、5xx、网络错误）且不是最后一次执行：回复保持 pending，抛出错误让任务重试
+ * - 其他错误或最后一次执行：回复标记为 failed，任务标记为失败（不再重试）
+ * - 任务在执行处理函数之前就失败（例如超过最多执行次数）时，由 markReplyFailed 标记回复
+ *
+ * 【兼容】
+ * 旧版本入队的任务没有 replyEventId：生成结束后新建回复 Event，已经有回复时跳过
+ *
+ * @param {Object} payload - 任务参数（见 enqueueReply）
+ * @param {Object} [context] - 任务上下文 { job, attempt, isFinalAttempt, signal }
+ * @returns {Promise<Object>} { eventId } 或 { skipped: true }
+ * @throws {Object} 错误对象 { code, message, retryable }
+ */
+async function processReplyJob(payload, context = {}) {
+  const { sessionId, userId, agentId, parentEventId, replyEventId, contextLimit } = payload;
+
+  const parentEvent = await eventService.getEventById(parentEventId);
+  if (!parentEvent || parentEvent.supersededAt) {
+    console.log(`[MessageService] Skipping reply job for superseded event: ${parentEventId}`);
+    return { skipped: true };
+  }
+
+  const replyEvent = replyEventId ? await eventService.getEventById(replyEventId) : null;
+  if (replyEventId && (!replyEvent || replyEvent.supersededAt)) {
+    console.log(`[MessageService] Skipping reply job for superseded reply: ${replyEventId}`);
+    return { skipped: true };
+  }
+  if (replyEvent && replyEvent.status !== "pending") {
+    console.log(`[MessageService] Reply ${replyEventId} already ${replyEvent.status}, skipping`);
+    return { skipped: true };
+  }
+
+  const agent = await agentService.getAgentById(agentId);
+  if (!agent) {
+    throw {
+      code: "AGENT_NOT_FOUND",
+      message: "Agent 不存在",
+      retryable: false,
+    };
+  }
+
+  const { events } = await contextService.buildContextWindow({
+    sessionId,
+    model: agent.model,
+    provider: agent.provider,
+    systemPrompt: agent.systemPrompt,
+    maxEvents: contextLimit || undefined,
+    before: replyEvent ? { timestamp: Number(replyEvent.timestamp), id: replyEvent.id } : undefined,
+  });
+
+  const index = events.findIndex((e) => e.id === parentEventId);
+  if (
+    !replyEvent &&
+    index !== -1 &&
+    events.slice(index + 1).some((e) => e.fromType === "agent" && e.parentId === parentEventId)
+  ) {
+    console.log(`[MessageService] Event ${parentEventId} already has a reply, skipping`);
+    return { skipped: true };
+  }
+
+  const { event, error } = await processLLMReplyAsync({
+    sessionId,
+    userId,
+    agentId,
+    agent,
+    historyEvents: index === -1 ? events : events.slice(0, index + 1),
+    replyEventId: replyEvent ? replyEvent.id : undefined,
+    retryable: !context.isFinalAttempt,
+    signal: context.signal,
+  });
+
+  if (error) {
+    throw {
+      code: error.code || "UNKNOWN_ERROR",
+      message: error.message || String(error),
+      retryable: false,
+    };
+  }
+
+  return { eventId: event.id };
+}
+
+/**
+ * 回复任务最终失败时标记占位回复（JobService onFailed 回调）
+ *
+ * 【说明】
+ * 只修改仍为 pending 的回复：processLLMReplyAsync 已经写入错误说明的不会被覆盖
+ *
+ * @param {Object} payload - 任务参数（见 enqueueReply）
+ * @param {Object} failure - { job, code, message }
+ * @returns {Promise<void>}
+ */
+async function markReplyFailed(payload, failure) {
+  if (!payload.replyEventId) {
+    return;
+  }
+
+  const event = await eventService.updateReplyEvent(
+    payload.replyEventId,
+    {
+      status: "failed",
+      errorCode: failure.code || "UNKNOWN_ERROR",
+      content: describeReplyError(failure),
+    },
+    { expectedStatus: "pending" }
+  );
+  if (event) {
+    console.log(`[MessageService] Reply ${payload.replyEventId} marked as failed (job ${failure.job?.id})`);
+  }
+}
+
+/**
+ * 判断回复失败是否值得稍后重试
+ *
+ * 【规则】
+ * 超时、429、5xx 和没有 HTTP 状态码的 LLM 错误（网络错误）是临时的；
+ * 配置错误、Key 无效、请求本身有问题（4xx）、流式输出已开始的错误重试也没用
+ *
+ * @param {Object} error - LLM 错误
+ * @returns {boolean} 是否重试
+ */
+function isRetryableReplyError(error) {
+  if (!error || error.partial || error.retryable === false) {
+    return false;
+  }
+  if (error.code === "LLM_API_TIMEOUT") {
+    return true;
+  }
+  if (error.code !== "LLM_API_ERROR") {
+    return false;
+  }
+  return (
+    error.status === undefined ||
+    error.status === 429 ||
+    (typeof error.status === "number" && error.status >= 500)
+  );
+}
+
+/**
+ * 生成回复失败时给用户看的错误说明
+ *
+ * @param {Object} error - 错误对象 { code, message, status, keySource }
+ * @returns {string} 错误说明（保存为 failed 回复的内容）
+ */
+function describeReplyError(error) {
+  const errorCode = error.code || "UNKNOWN_ERROR";
+  const errorMessage = error.message || String(error);
+  const errorStatus = error.status;
+
+  if (errorCode === "API_KEY_MISSING") {
+    return "AI 服务配置错误：缺少 API Key，请联系管理员。";
+  }
+  if (errorCode === "API_KEY_REQUIRED") {
+    return `${errorMessage}（管理员已关闭共享 API Key）。`;
+  }
+  if (errorCode === "LLM_API_ERROR") {
+    if (error.keySource === "user" && (errorStatus === 401 || errorStatus === 403)) {
+      return "你保存的 API Key 无效、已过期或没有权限，请在设置中更新。";
+    }
+    if (errorStatus === 401) {
+      return "AI 服务认证失败：API Key 无效或已过期，请检查配置。";
+    }
+    if (errorStatus === 403) {
+      return "AI 服务权限不足：API Key 没有访问权限，请检查配置。";
+    }
+    if (errorStatus === 429) {
+      return "AI 服务请求过于频繁，请稍后再试。";
+    }
+    return `AI 服务调用失败：${errorMessage}`;
+  }
+  if (errorCode === "LLM_API_TIMEOUT") {
+    return "AI 服务响应超时，请稍后再试。";
+  }
+  if (errorCode === "INVALID_PROVIDER") {
+    return `AI 服务提供商未启用：${errorMessage}`;
+  }
+  return `AI 回复生成失败：${errorMessage}`;
+}
+
+/**
+ * 保存 Agent 回复
+ *
+ * 【说明】
+ * 传入 replyEventId 时把结果写入该占位回复（只在它仍为 pending 时写入，已被用户停止的回复不会被覆盖），
+ * 否则新建回复 Event（旧任务）
+ *
+ * @param {Object} reply - { sessionId, parentId, userId, agentId, replyEventId, status, errorCode, content, contextWindow, model, provider }
+ * @returns {Promise<Object>} 保存的 Event（占位回复已不是 pending 时为它的当前状态）
+ * @throws {Object} 占位回复已不存在时抛出 EVENT_NOT_FOUND
+ */
+async function saveReply(reply) {
+  const fields = {
+    status: reply.status,
+    errorCode: reply.errorCode || null,
+    content: reply.content,
+    contextWindow: reply.contextWindow,
+    model: reply.model || null,
+    provider: reply.provider || null,
+  };
+
+  if (!reply.replyEventId) {
+    return await eventService.createEvent({
+      sessionId: reply.sessionId,
+      parentId: reply.parentId,
+      userId: reply.userId,
+      agentId: reply.agentId,
+      fromType: "agent",
+      fromId: reply.agentId,
+      toType: "user",
+      toId: reply.userId,
+      ...fields,
+    });
+  }
+
+  const event = await eventService.updateReplyEvent(reply.replyEventId, fields, {
+    expectedStatus: "pending",
+  });
+  if (event) {
+    return event;
+  }
+
+  const current = await eventService.getEventById(reply.replyEventId);
+  if (!current) {
+    throw {
+      code: "EVENT_NOT_FOUND",
+      message: "回复消息不存在",
+    };
+  }
+  console.log(`[MessageService] Reply ${reply.replyEventId} is already ${current.status}, result discarded`);
+  return current;
+}
+
 /**
  * 后台异步处理 LLM 回复
  *
@@ -200,12 +1187,22 @@ async function sendMessage(options) {
  * 不阻塞主流程，允许前端立即收到响应
  *
  * 【工作流程】
- * 1. 调用 LLM API 生成回复
- * 2. 创建 Agent 回复 Event
- * 3. 更新 Session 活动时间
+ * 1. 构建 system prompt（Agent 人设 + 长期记忆 + 会话摘要）
+ * 2. 按最终的 system prompt 重新核算 token 预算，必要时从最旧的一端继续截断
+ * 3. 调用 LLM API 生成回复（主模型不可用时切换到 Agent 的备用模型）
+ * 4. 保存 Agent 回复（status 为 complete；传入 replyEventId 时写入该占位回复，否则新建 Event；
+ *    记录实际使用的模型，以及所用上下文窗口的事件 ID 和 token 估算，便于调试）
+ * 5. 更新 Session 活动时间
+ * 6. 后台整理滑出上下文窗口的旧消息
+ *
+ * 【停止生成】
+ * 传入 replyEventId 时登记到 activeReplies，cancelReply 可以中止上游请求：
+ * - 用户停止：已生成的部分（流式增量）保存为 stopped，返回 { event, error: null }
+ * - 外部 signal 中止（回复任务被取消或租约丢失）：不写入结果，直接抛出 LLM_API_ABORTED
  *
  * 【错误处理】
- * - LLM 调用失败：记录错误日志，但不影响用户消息的创建
+ * - LLM 调用失败：记录错误日志，回复保存为 failed（content 为错误说明，error_code 为错误码）
+ * - retryable 为 true 且是临时错误：不保存错误消息，直接抛出（由回复任务退避后重试）
  * - Event 创建失败：记录错误日志
  *
  * @param {Object} options - LLM 处理选项
@@ -214,9 +1211,52 @@ async function sendMessage(options) {
  * @param {string} options.agentId - Agent ID
  * @param {Object} options.agent - Agent 配置对象
  * @param {Array<Object>} options.historyEvents - 历史事件列表
+ * @param {Function} [options.onDelta] - 流式增量回调（提供时以 stream 模式调用 LLM）
+ * @param {string} [options.replyEventId] - pending 的占位回复 Event ID（后台任务传入，结果写入该 Event）
+ * @param {boolean} [options.retryable=false] - 临时错误是否抛出给调用方重试（而不是保存错误消息）
+ * @param {AbortSignal} [options.signal] - 外部中止信号（回复任务被取消或租约丢失）
+ * @returns {Promise<Object>} { event, error } - event 为保存的回复（失败时为 failed 回复）Event，error 为 LLM 错误（成功和被停止时为 null）
+ * @throws {Object} retryable 为 true 时的临时错误；外部 signal 中止时的 LLM_API_ABORTED
  */
 async function processLLMReplyAsync(options) {
-  const { sessionId, userId, agentId, agent, historyEvents } = options;
+  const {
+    sessionId,
+    userId,
+    agentId,
+    agent,
+    historyEvents,
+    onDelta,
+    replyEventId,
+    retryable = false,
+    signal,
+  } = options;
+  // 回复挂在上下文最后一条事件（即被回复的用户消息）下面
+  const parentId =
+    historyEvents.length > 0 ? historyEvents[historyEvents.length - 1].id : null;
+
+  // 登记正在生成的回复（停止生成时中止上游请求），外部 signal 中止时一并中止
+  let finish = () => {};
+  const generation = {
+    controller: new AbortController(),
+    stopRequested: false,
+    done: new Promise((resolve) => {
+      finish = resolve;
+    }),
+  };
+  const onExternalAbort = () => generation.controller.abort();
+  if (signal) {
+    if (signal.aborted) {
+      generation.controller.abort();
+    } else {
+      signal.addEventListener("abort", onExternalAbort, { once: true });
+    }
+  }
+  if (replyEventId) {
+    activeReplies.set(replyEventId, generation);
+  }
+  notifyTyping(options, true);
+  // 流式模式下已经生成的内容（被停止时保存）
+  let partialContent = "";
 
   console.log(`[MessageService] Starting LLM processing for session: ${sessionId}`, {
     agentId,
@@ -225,39 +1265,151 @@ async function processLLMReplyAsync(options) {
     historyEventsCount: historyEvents.length,
   });
 
+  // 实际发送给 LLM 的上下文窗口（回复和错误消息都会记录，便于调试）
+  let windowEvents = historyEvents;
+  let contextWindow = null;
+
   try {
+    // 在 Agent 人设后附加长期记忆和会话摘要（读取失败时只使用人设）
+    let systemPrompt = agent.systemPrompt;
+    try {
+      const memoryContext = await memoryService.getMemoryContext({
+        userId,
+        agentId,
+        sessionId,
+      });
+      if (memoryContext) {
+        systemPrompt = `${agent.systemPrompt}\n\n${memoryContext}`;
+      }
+    } catch (memoryError) {
+      console.warn(`[MessageService] Failed to load memories for session ${sessionId}:`, memoryError);
+    }
+
+    // 记忆上下文也占用预算，按最终的 system prompt 再核算一次窗口
+    const window = contextService.fitContextWindow(historyEvents, {
+      model: agent.model,
+      provider: agent.provider,
+      systemPrompt,
+    });
+    contextWindow = {
+      model: agent.model,
+      eventIds: window.eventIds,
+      tokenEstimate: window.tokenEstimate,
+      budget: window.budget,
+    };
+    windowEvents = window.events;
+
     // 调用 LLM API 生成回复
-    console.log(`[MessageService] Calling LLM API for session: ${sessionId}`);
+    console.log(`[MessageService] Calling LLM API for session: ${sessionId}`, {
+      contextEvents: window.events.length,
+      droppedEvents: window.droppedCount,
+      tokenEstimate: window.tokenEstimate,
+      budget: window.budget,
+    });
+    // 实际使用的模型（主模型不可用时可能是备用模型）
+    let usedModel = { model: agent.model, provider: agent.provider };
     const reply = await llmService.generateReply({
       model: agent.model,
       provider: agent.provider,
-      systemPrompt: agent.systemPrompt,
-      messages: historyEvents,
+      systemPrompt: systemPrompt,
+      messages: windowEvents,
       timeout: 30000, // 30 秒超时
+      stream: typeof onDelta === "function",
+      onDelta:
+        typeof onDelta === "function"
+          ? (delta) => {
+              partialContent += delta;
+              onDelta(delta);
+            }
+          : undefined,
+      signal: generation.controller.signal,
+      userId: userId,
+      generationParams: agent.generationParams,
+      fallbackModels: agent.fallbackModels,
+      onModelUsed: (used) => {
+        usedModel = used;
+      },
     });
 
     console.log(`[MessageService] LLM API returned reply for session: ${sessionId}`, {
       replyLength: reply?.length || 0,
       replyPreview: reply?.substring(0, 100) || "(empty)",
+      model: usedModel.model,
+      fallback: Boolean(usedModel.fallback),
     });
 
-    // 创建 Agent 回复 Event
-    const agentEvent = await eventService.createEvent({
-      sessionId: sessionId,
-      userId: userId,
-      agentId: agentId,
-      fromType: "agent",
-      fromId: agentId,
-      toType: "user",
-      toId: userId,
+    // 保存 Agent 回复（父事件为被回复的用户消息，重新生成的回复因此互为兄弟分支）
+    const agentEvent = await saveReply({
+      sessionId,
+      parentId,
+      userId,
+      agentId,
+      replyEventId,
+      status: "complete",
       content: reply,
+      contextWindow,
+      model: usedModel.model,
+      provider: usedModel.provider,
     });
     
     // 添加最长行宽度（虽然这里不会直接返回，但会在检查新消息时用到）
     agentEvent.maxLineWidth = calculateMaxLineWidth(reply);
 
     console.log(`[MessageService] ✅ Agent reply created successfully for session: ${sessionId}`);
+
+    // 记录用量（失败只打印警告，不影响回复）
+    try {
+      await usageService.recordUsage({
+        eventId: agentEvent.id,
+        userId,
+        agentId,
+        sessionId,
+        model: usedModel.model,
+        provider: usedModel.provider,
+        usage: usedModel.usage || null,
+      });
+    } catch (usageError) {
+      console.warn(`[MessageService] Failed to record usage for event ${agentEvent.id}:`, usageError);
+    }
+
+    // 后台整理滑出上下文窗口的旧消息（摘要 + 提取用户事实）
+    memoryService.scheduleMemoryUpdate({
+      sessionId,
+      userId,
+      agentId,
+      agent,
+      windowStart: windowEvents.length > 0 ? windowEvents[0].timestamp : null,
+    });
+
+    return { event: agentEvent, error: null };
   } catch (error) {
+    if (error.code === "LLM_API_ABORTED") {
+      // 不是用户停止（回复任务被取消或租约丢失）：结果由取消方或新的执行者负责，不写入
+      if (!generation.stopRequested) {
+        console.log(`[MessageService] LLM processing aborted for session: ${sessionId}`);
+        throw error;
+      }
+
+      const stoppedEvent = await saveReply({
+        sessionId,
+        parentId,
+        userId,
+        agentId,
+        replyEventId,
+        status: "stopped",
+        content: partialContent,
+        contextWindow,
+        model: agent.model,
+        provider: agent.provider,
+      });
+      stoppedEvent.maxLineWidth = calculateMaxLineWidth(partialContent);
+
+      console.log(`[MessageService] ⏹️ Reply stopped by user for session: ${sessionId}`, {
+        partialLength: partialContent.length,
+      });
+      return { event: stoppedEvent, error: null };
+    }
+
     // LLM 调用失败，记录详细错误信息
     const errorCode = error.code || "UNKNOWN_ERROR";
     const errorMessage = error.message || String(error);
@@ -274,55 +1426,131 @@ async function processLLMReplyAsync(options) {
       provider: agent.provider,
       stack: error.stack,
     });
+
+    // 临时错误交给回复任务重试，不保存错误消息
+    if (retryable && isRetryableReplyError(error)) {
+      throw error;
+    }
     
-    // 创建错误 Event，让前端知道 LLM 调用失败
-    // 这样用户就能看到错误信息，而不是一直等待
+    // 保存为 failed 回复，让前端知道 LLM 调用失败
+    // 这样用户就能看到错误信息并重试，而不是一直等待；failed 回复不会进入之后的 LLM 上下文
     try {
-      // 构建友好的错误消息
-      let userFriendlyMessage = "抱歉，AI 回复生成失败。";
-      
-      if (errorCode === "API_KEY_MISSING") {
-        userFriendlyMessage = "AI 服务配置错误：缺少 API Key，请联系管理员。";
-      } else if (errorCode === "LLM_API_ERROR") {
-        if (errorStatus === 401) {
-          userFriendlyMessage = "AI 服务认证失败：API Key 无效或已过期，请检查配置。";
-        } else if (errorStatus === 403) {
-          userFriendlyMessage = "AI 服务权限不足：API Key 没有访问权限，请检查配置。";
-        } else if (errorStatus === 429) {
-          userFriendlyMessage = "AI 服务请求过于频繁，请稍后再试。";
-        } else {
-          userFriendlyMessage = `AI 服务调用失败：${errorMessage}`;
-        }
-      } else if (errorCode === "LLM_API_TIMEOUT") {
-        userFriendlyMessage = "AI 服务响应超时，请稍后再试。";
-      } else if (errorCode === "INVALID_PROVIDER") {
-        userFriendlyMessage = `AI 服务提供商未启用：${errorMessage}`;
-      } else {
-        userFriendlyMessage = `AI 回复生成失败：${errorMessage}`;
-      }
-      
-      // 创建错误 Event（作为 Agent 回复）
-      await eventService.createEvent({
-        sessionId: sessionId,
-        userId: userId,
-        agentId: agentId,
-        fromType: "agent",
-        fromId: agentId,
-        toType: "user",
-        toId: userId,
-        content: userFriendlyMessage,
+      const errorEvent = await saveReply({
+        sessionId,
+        parentId,
+        userId,
+        agentId,
+        replyEventId,
+        status: "failed",
+        errorCode,
+        content: describeReplyError(error),
+        contextWindow,
       });
       
       console.log(`[MessageService] ✅ Error event created for session: ${sessionId}`);
+      return { event: errorEvent, error };
     } catch (eventError) {
       // 如果创建错误 Event 也失败，只记录日志
       console.error(`[MessageService] ❌ Failed to create error event for session ${sessionId}:`, eventError);
+      return { event: null, error };
+    }
+  } finally {
+    if (signal) {
+      signal.removeEventListener("abort", onExternalAbort);
+    }
+    if (replyEventId && activeReplies.get(replyEventId) === generation) {
+      activeReplies.delete(replyEventId);
     }
+    notifyTyping(options, false);
+    finish();
   }
 }
 
+/**
+ * 停止生成回复
+ *
+ * 【工作流程】
+ * 1. 校验回复存在、属于当前用户、仍在生成中（pending）
+ * 2. 取消对应的回复任务（等待中的任务不会再执行，其他实例执行中的任务在续租失败时中止）
+ * 3. 本实例正在生成：中止上游 LLM 请求，等待已生成的部分保存为 stopped
+ * 4. 否则（任务还没开始、在其他实例执行或流式请求已经中断）：直接把回复标记为 stopped
+ *
+ * 【说明】
+ * 停止与生成完成同时发生时以先写入的为准，返回回复的最终状态（可能是 complete）
+ *
+ * @param {Object} options - 选项
+ * @param {string} options.userId - 当前用户 ID
+ * @param {string} options.eventId - 生成中的 Agent 回复 Event ID
+ * @returns {Promise<Object>} { replyEventId, sessionId, status, errorCode, content, model, timestamp, maxLineWidth }
+ * @throws {Object} 错误对象 { code, message }（REPLY_NOT_PENDING：回复已经生成结束）
+ */
+async function cancelReply(options) {
+  const { userId, eventId } = options;
+  const { event } = await findActiveEvent(userId, eventId);
+
+  if (event.fromType !== "agent") {
+    throw {
+      code: "VALIDATION_ERROR",
+      message: "只能停止 Agent 的回复",
+    };
+  }
+  if (event.status !== "pending") {
+    throw {
+      code: "REPLY_NOT_PENDING",
+      message: "该回复已经生成结束",
+    };
+  }
+
+  // 先标记为用户停止，取消任务触发的中止才会保存已生成的部分
+  const generation = activeReplies.get(event.id);
+  if (generation) {
+    generation.stopRequested = true;
+  }
+
+  const jobs = await jobService.findActiveJobs(event.sessionId, REPLY_JOB_TYPE);
+  for (const job of jobs) {
+    if (job.payload && job.payload.replyEventId === event.id) {
+      await jobService.cancel(job.id);
+    }
+  }
+
+  if (generation) {
+    generation.controller.abort();
+    await generation.done;
+  } else {
+    await eventService.updateReplyEvent(
+      event.id,
+      { status: "stopped", content: "" },
+      { expectedStatus: "pending" }
+    );
+  }
+
+  const current = (await eventService.getEventById(event.id)) || event;
+  return {
+    replyEventId: current.id,
+    sessionId: current.sessionId,
+    status: current.status,
+    errorCode: current.errorCode || null,
+    content: current.content || "",
+    model: current.model || null,
+    timestamp: current.timestamp,
+    maxLineWidth: calculateMaxLineWidth(current.content || ""),
+  };
+}
+
+// 注册回复任务的处理函数（Worker 领取到 llm_reply 任务时调用）
+jobService.registerHandler(REPLY_JOB_TYPE, processReplyJob, { onFailed: markReplyFailed });
+
 module.exports = {
+  REPLY_JOB_TYPE,
   sendMessage,
+  streamMessage,
+  regenerateReply,
+  editMessage,
+  retryReply,
+  cancelReply,
+  processReplyJob,
+  markReplyFailed,
   processLLMReplyAsync, // 导出供测试使用
 };
 
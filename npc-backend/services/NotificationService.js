@@ -0,0 +1,240 @@
+/**
+ * ============================================
+ * 通知中心服务 (NotificationService.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 汇总用户的未读回复、管理员公告和版本更新日志，管理通知的已读状态
+ *
+ * 【主要功能】
+ * 1. 未读计数：按会话和 NPC 统计未读的 Agent 回复（NPC 列表的未读角标、会话列表）
+ * 2. 通知列表：最近的未读回复、已发布的公告和版本更新日志，按时间倒序合并
+ * 3. 全部已读：公告和版本更新日志标记为已读，可选同时把所有会话标记为已读
+ *
+ * 【已读规则】
+ * - 回复：按会话的已读游标判断（SessionService.markSessionRead 更新），打开对话即已读
+ * - 公告和版本更新日志：创建时间晚于用户的通知已读时间（users.notifications_read_at）计为未读
+ *
+ * 【实时推送】
+ * 标记已读后向该用户的其他设备推送 notifications.read，其他设备刷新角标
+ *
+ * 【依赖】
+ * - repositories/EventRepository.js: 未读回复
+ * - repositories/SessionRepository.js: 全部会话标记已读
+ * - repositories/AgentRepository.js: 回复所属 NPC 的名称和头像
+ * - repositories/AnnouncementRepository.js: 公告
+ * - repositories/VersionRepository.js: 版本更新日志
+ * - repositories/UserRepository.js: 通知已读时间
+ * - services/RealtimeService.js: 推送已读状态
+ *
+ * 【被谁使用】
+ * - routes/notifications.js: 通知列表和全部已读接口
+ * - routes/sessions.js: 会话列表的未读数
+ * - services/AgentService.js: NPC 列表的未读数
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+const eventRepository = require("../repositories/EventRepository");
+const sessionRepository = require("../repositories/SessionRepository");
+const agentRepository = require("../repositories/AgentRepository");
+const announcementRepository = require("../repositories/AnnouncementRepository");
+const versionRepository = require("../repositories/VersionRepository");
+const userRepository = require("../repositories/UserRepository");
+const realtimeService = require("./RealtimeService");
+
+/**
+ * 通知列表默认条数
+ */
+const DEFAULT_LIMIT = 30;
+
+/**
+ * 通知列表最大条数
+ */
+const MAX_LIMIT = 100;
+
+/**
+ * 回复和版本更新日志的内容预览长度（公告返回全文）
+ */
+const PREVIEW_LENGTH = 120;
+
+/**
+ * 截取内容预览
+ *
+ * @param {string|null} content - 内容
+ * @returns {string} 预览文本
+ */
+function buildPreview(content) {
+  const text = (content || "").trim();
+  return text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH)}...` : text;
+}
+
+/**
+ * 按会话和 NPC 统计用户的未读回复数
+ *
+ * 【功能说明】
+ * 未读数只用于角标，读取失败时打印警告并返回空计数，不影响 NPC 列表和会话列表
+ *
+ * @param {string} userId - 用户 ID
+ * @returns {Promise<Object>} { sessions: { [sessionId]: count }, agents: { [agentId]: count } }
+ */
+async function getUnreadCounts(userId) {
+  const sessions = {};
+  const agents = {};
+
+  let rows = [];
+  try {
+    rows = await eventRepository.countUnreadReplies(userId);
+  } catch (error) {
+    console.warn(`[NotificationService] Failed to count unread replies for ${userId}:`, error.message);
+  }
+
+  for (const row of rows) {
+    sessions[row.sessionId] = (sessions[row.sessionId] || 0) + row.count;
+    agents[row.agentId] = (agents[row.agentId] || 0) + row.count;
+  }
+
+  return { sessions, agents };
+}
+
+/**
+ * 查询 NPC 信息（跳过不存在和已删除的 NPC）
+ *
+ * @param {Array<string>} agentIds - NPC ID 列表
+ * @returns {Promise<Map<string, Object>>} agentId → NPC
+ */
+async function loadAgents(agentIds) {
+  const agents = await Promise.all(
+    [...new Set(agentIds)].map((agentId) => agentRepository.findById(agentId))
+  );
+
+  return new Map(
+    agents.filter((agent) => agent && !agent.deleted).map((agent) => [agent.id, agent])
+  );
+}
+
+/**
+ * 获取用户的通知列表
+ *
+ * 【响应格式】
+ * {
+ *   items: [
+ *     { id, type: "reply", title: NPC 名称, content: 回复预览, createdAt, unread: true,
+ *       sessionId, agentId, eventId, avatarUrl, status },
+ *     { id, type: "announcement", title, content: 全文, createdAt, unread, announcementId },
+ *     { id, type: "changelog", title, content: 预览, createdAt, unread, version }
+ *   ],
+ *   unread: { replies, announcements, changelogs, total }
+ * }
+ *
+ * 【说明】
+ * 回复只列出未读的；已删除 NPC 的回复不列出也不计数
+ *
+ * @param {string} userId - 用户 ID
+ * @param {Object} [options] - 查询选项
+ * @param {number} [options.limit=30] - 最多返回的通知数（1 ~ 100）
+ * @returns {Promise<Object>} 通知列表和未读数
+ */
+async function getNotifications(userId, options = {}) {
+  const parsedLimit = parseInt(options.limit, 10);
+  const limit = parsedLimit > 0 ? Math.min(parsedLimit, MAX_LIMIT) : DEFAULT_LIMIT;
+
+  const [counts, replies, announcements, versions, readAt] = await Promise.all([
+    eventRepository.countUnreadReplies(userId),
+    eventRepository.getUnreadReplies(userId, limit),
+    announcementRepository.findAll({ activeOnly: true, limit }),
+    versionRepository.getAllActiveVersions(limit),
+    userRepository.getNotificationsReadAt(userId),
+  ]);
+
+  const agents = await loadAgents(counts.map((row) => row.agentId));
+  const lastReadAt = readAt || 0;
+
+  const items = [
+    ...replies
+      .filter((event) => agents.has(event.agentId))
+      .map((event) => {
+        const agent = agents.get(event.agentId);
+        return {
+          id: `reply:${event.id}`,
+          type: "reply",
+          title: agent.name,
+          content: buildPreview(event.content),
+          createdAt: Number(event.timestamp),
+          unread: true,
+          sessionId: event.sessionId,
+          agentId: event.agentId,
+          eventId: event.id,
+          avatarUrl: agent.avatarUrl || null,
+          status: event.status,
+        };
+      }),
+    ...announcements.map((announcement) => ({
+      id: `announcement:${announcement.id}`,
+      type: "announcement",
+      title: announcement.title,
+      content: announcement.content,
+      createdAt: announcement.createdAt,
+      unread: announcement.createdAt > lastReadAt,
+      announcementId: announcement.id,
+    })),
+    ...versions.map((version) => ({
+      id: `changelog:${version.version}`,
+      type: "changelog",
+      title: version.title,
+      content: buildPreview(version.content),
+      createdAt: Number(version.createdAt),
+      unread: Number(version.createdAt) > lastReadAt,
+      version: version.version,
+    })),
+  ];
+
+  items.sort((a, b) => b.createdAt - a.createdAt);
+
+  const unread = {
+    replies: counts
+      .filter((row) => agents.has(row.agentId))
+      .reduce((sum, row) => sum + row.count, 0),
+    announcements: items.filter((item) => item.type === "announcement" && item.unread).length,
+    changelogs: items.filter((item) => item.type === "changelog" && item.unread).length,
+  };
+  unread.total = unread.replies + unread.announcements + unread.changelogs;
+
+  return {
+    items: items.slice(0, limit),
+    unread,
+  };
+}
+
+/**
+ * 全部标记为已读
+ *
+ * 【功能说明】
+ * 公告和版本更新日志标记为已读；all 为 true 时同时把所有会话的回复标记为已读
+ * （生成中的回复除外，生成完成后仍计为未读）
+ *
+ * @param {string} userId - 用户 ID
+ * @param {Object} [options] - 选项
+ * @param {boolean} [options.all=false] - 是否同时把所有会话标记为已读
+ * @returns {Promise<Object>} { readAt }
+ */
+async function markNotificationsRead(userId, options = {}) {
+  const readAt = Date.now();
+  const all = options.all === true;
+
+  await userRepository.updateNotificationsReadAt(userId, readAt);
+  if (all) {
+    await sessionRepository.markAllSessionsRead(userId, readAt);
+  }
+
+  realtimeService.publish(userId, "notifications.read", { all });
+
+  return { readAt };
+}
+
+module.exports = {
+  getUnreadCounts,
+  getNotifications,
+  markNotificationsRead,
+};
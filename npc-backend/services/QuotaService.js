@@ -0,0 +1,248 @@
+/**
+ * ============================================
+ * 每日配额服务 (QuotaService.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 限制每个用户每天的 AI 回复数和 token 消耗，防止单个用户耗尽共享的 API Key
+ *
+ * 【主要功能】
+ * 1. 配额状态：今天已用的回复数 / token 数、上限和恢复时间
+ * 2. 配额检查：生成回复前检查，超出时抛出 QUOTA_EXCEEDED
+ * 3. 自定义配额：管理员为单个用户调高、调低或取消限制
+ *
+ * 【配额规则】
+ * - 用量取自 llm_usage 表（每条 AI 回复一行，包括重新生成和编辑后的回复）
+ * - 今天创建的、排队或生成中的回复（还没有写入 llm_usage）也计入回复数，连续发送不能绕过配额
+ * - 默认配额来自 QUOTA_DAILY_MESSAGES / QUOTA_DAILY_TOKENS（见 config/rateLimit.js）
+ * - 自定义配额的某一项为 null 时使用默认值；上限为 0 表示不限
+ * - 按服务器本地日期统计，每天 0 点恢复
+ * - 检查在生成回复之前进行，token 配额可能被最后一条回复略微超出
+ *
+ * 【依赖】
+ * - repositories/QuotaRepository.js: 自定义配额数据访问
+ * - repositories/UsageRepository.js: 今日用量
+ * - repositories/EventRepository.js: 生成中的回复数
+ * - repositories/UserRepository.js: 检查用户是否存在
+ * - config/rateLimit.js: 默认配额
+ *
+ * 【被谁使用】
+ * - middleware/quota.js: 发送消息前检查配额
+ * - routes/usage.js: 用户查看自己的配额
+ * - routes/admin.js: 管理员查看和修改用户配额
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+const quotaRepository = require('../repositories/QuotaRepository');
+const usageRepository = require('../repositories/UsageRepository');
+const eventRepository = require('../repositories/EventRepository');
+const userRepository = require('../repositories/UserRepository');
+const { getDefaultQuota } = require('../config/rateLimit');
+const { formatDate } = require('./UsageService');
+
+/**
+ * 配额上限的最大值（与数据库 INT 范围一致）
+ */
+const MAX_QUOTA_VALUE = 2147483647;
+
+/**
+ * 创建错误对象
+ *
+ * @param {string} code - 错误码
+ * @param {string} message - 错误信息
+ * @returns {Error} 错误对象
+ */
+function createError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * 计算下一个 0 点（服务器本地时间）
+ *
+ * @param {number} now - 当前时间戳（毫秒）
+ * @returns {number} 时间戳（毫秒）
+ */
+function getNextMidnight(now) {
+  const date = new Date(now);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1).getTime();
+}
+
+/**
+ * 计算今天 0 点（服务器本地时间）
+ *
+ * @param {number} now - 当前时间戳（毫秒）
+ * @returns {number} 时间戳（毫秒）
+ */
+function getStartOfDay(now) {
+  const date = new Date(now);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+}
+
+/**
+ * 合并自定义配额和默认配额
+ *
+ * @param {Object|null} custom - 自定义配额 { dailyMessages, dailyTokens }
+ * @param {Object} defaults - 默认配额 { dailyMessages, dailyTokens }
+ * @returns {Object} { dailyMessages, dailyTokens }（null 表示不限）
+ */
+function resolveLimits(custom, defaults) {
+  const pick = (value, fallback) => {
+    const limit = value ?? fallback;
+    return limit > 0 ? limit : null;
+  };
+
+  return {
+    dailyMessages: pick(custom?.dailyMessages, defaults.dailyMessages),
+    dailyTokens: pick(custom?.dailyTokens, defaults.dailyTokens),
+  };
+}
+
+/**
+ * 获取用户今天的配额状态
+ *
+ * @param {string} userId - 用户 ID
+ * @returns {Promise<Object>} 配额状态
+ * {
+ *   date: '2025-12-10',
+ *   resetAt: 1765382400000,                       // 配额恢复时间（次日 0 点）
+ *   messages: { used: 12, pending: 1, limit: 200 }, // used 包含 pending（排队或生成中的回复），limit 为 null 表示不限
+ *   tokens: { used: 35000, limit: null },
+ *   exceeded: null,                               // 'messages' / 'tokens' / null
+ *   custom: { dailyMessages: 500, dailyTokens: null } | null,  // 管理员设置的自定义配额
+ *   defaults: { dailyMessages: 200, dailyTokens: 0 }
+ * }
+ * @throws {Error} VALIDATION_ERROR
+ */
+async function getQuotaStatus(userId) {
+  if (!userId || typeof userId !== 'string') {
+    throw createError('VALIDATION_ERROR', '用户 ID 不能为空');
+  }
+
+  const now = Date.now();
+  const today = formatDate(now);
+  const defaults = getDefaultQuota();
+  const record = await quotaRepository.findByUserId(userId);
+  const custom = record
+    ? { dailyMessages: record.dailyMessages, dailyTokens: record.dailyTokens }
+    : null;
+  const limits = resolveLimits(custom, defaults);
+
+  const [totals, pending] = await Promise.all([
+    usageRepository.getTotals({ startDate: today, endDate: today, userId }),
+    eventRepository.countPendingReplies(userId, getStartOfDay(now)),
+  ]);
+
+  const messages = { used: totals.requests + pending, pending, limit: limits.dailyMessages };
+  const tokens = { used: totals.totalTokens, limit: limits.dailyTokens };
+
+  let exceeded = null;
+  if (messages.limit !== null && messages.used >= messages.limit) {
+    exceeded = 'messages';
+  } else if (tokens.limit !== null && tokens.used >= tokens.limit) {
+    exceeded = 'tokens';
+  }
+
+  return {
+    date: today,
+    resetAt: getNextMidnight(now),
+    messages,
+    tokens,
+    exceeded,
+    custom,
+    defaults,
+  };
+}
+
+/**
+ * 检查用户今天的配额
+ *
+ * 【功能说明】
+ * 生成回复前调用；默认配额和自定义配额都不限时不查询用量
+ *
+ * @param {string} userId - 用户 ID
+ * @returns {Promise<Object|null>} 配额状态（不限时为 null）
+ * @throws {Error} QUOTA_EXCEEDED（error.quota 为配额状态，error.retryAfter 为距恢复的秒数）
+ */
+async function assertWithinQuota(userId) {
+  const defaults = getDefaultQuota();
+  if (!defaults.dailyMessages && !defaults.dailyTokens) {
+    const record = await quotaRepository.findByUserId(userId);
+    if (!record || (!record.dailyMessages && !record.dailyTokens)) {
+      return null;
+    }
+  }
+
+  const status = await getQuotaStatus(userId);
+  if (!status.exceeded) {
+    return status;
+  }
+
+  const message =
+    status.exceeded === 'messages'
+      ? `今天的对话次数已用完（${status.messages.limit} 次），明天 0 点恢复`
+      : `今天的 token 额度已用完（${status.tokens.limit} token），明天 0 点恢复`;
+  const error = createError('QUOTA_EXCEEDED', message);
+  error.quota = status;
+  error.retryAfter = Math.max(Math.ceil((status.resetAt - Date.now()) / 1000), 1);
+  throw error;
+}
+
+/**
+ * 校验配额上限
+ *
+ * @param {*} value - 上限（null / undefined 表示使用默认配额）
+ * @param {string} field - 字段名（用于错误提示）
+ * @returns {number|null} 上限
+ * @throws {Error} VALIDATION_ERROR
+ */
+function normalizeLimit(value, field) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 0 || limit > MAX_QUOTA_VALUE) {
+    throw createError('VALIDATION_ERROR', `${field} 必须是非负整数（0 表示不限）`);
+  }
+  return limit;
+}
+
+/**
+ * 设置用户的自定义配额
+ *
+ * 【规则】
+ * - 两项都为 null 时删除自定义配额，恢复默认配额
+ * - 修改立即生效（下一次发送消息时检查）
+ *
+ * @param {string} userId - 用户 ID
+ * @param {Object} quota - { dailyMessages, dailyTokens }（null 使用默认值，0 表示不限）
+ * @param {string} adminId - 修改人 ID
+ * @returns {Promise<Object>} 修改后的配额状态（见 getQuotaStatus）
+ * @throws {Error} VALIDATION_ERROR / USER_NOT_FOUND
+ */
+async function setUserQuota(userId, quota = {}, adminId) {
+  const dailyMessages = normalizeLimit(quota.dailyMessages, 'dailyMessages');
+  const dailyTokens = normalizeLimit(quota.dailyTokens, 'dailyTokens');
+
+  const user = await userRepository.findById(userId);
+  if (!user) {
+    throw createError('USER_NOT_FOUND', '用户不存在');
+  }
+
+  if (dailyMessages === null && dailyTokens === null) {
+    await quotaRepository.deleteByUserId(userId);
+  } else {
+    await quotaRepository.upsert(userId, { dailyMessages, dailyTokens }, adminId);
+  }
+
+  return getQuotaStatus(userId);
+}
+
+module.exports = {
+  getQuotaStatus,
+  assertWithinQuota,
+  setUserQuota,
+};
@@ -0,0 +1,323 @@
+/**
+ * ============================================
+ * 实时推送服务 (RealtimeService.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 按用户推送实时事件：同一用户在多个设备（多个 SSE 连接）上打开页面时，
+ * 任何一端发送消息、生成回复、修改或删除 NPC，其他设备都能立即收到
+ *
+ * 【主要功能】
+ * 1. 订阅：routes/realtime.js 为每个 SSE 连接登记一个订阅者
+ * 2. 发布：业务代码调用 publish(userId, type, data)，推送给该用户在本实例上的所有连接
+ * 3. 跨实例中转：事件同时写入 realtime_events 表，每个实例轮询其他实例写入的事件，
+ *    推送给连接在本实例上的用户（蓝绿部署时两个实例同时运行，回复任务可能在另一个实例执行）
+ * 4. 定期清理中转表中的旧事件
+ *
+ * 【事件类型】
+ * - event.created：新消息（用户消息、占位回复）{ sessionId, agentId, eventId, fromType, status }
+ * - event.updated：回复状态或内容变化（生成完成、失败、停止、重试）{ sessionId, agentId, eventId, fromType, status }
+ *   （不带消息内容，客户端通过 /messages/check 获取）
+ * - session.updated：会话时间线变化，需要重新加载（编辑、重新生成、切换分支、连续发送合并）
+ *   { sessionId, agentId, reason }
+ * - reply.typing：回复开始 / 结束生成 { sessionId, agentId, eventId, active }
+ * - agent.created / agent.updated / agent.deleted：NPC 创建、修改或删除 { agentId }
+ * - session.read：会话被标记为已读 { sessionId, agentId }
+ * - notifications.read：通知中心全部已读 { all }（all 为 true 时所有会话都已读）
+ *
+ * 【说明】
+ * - 推送失败不影响业务：发布时写入中转表出错只打印警告，本实例的连接照常推送
+ * - 事件只是通知，不保证送达：客户端（重新）连接后应重新同步一次数据
+ * - 只在本实例有订阅者时轮询中转表；每次重新读取最近 10 秒内发布的事件并按 ID 去重，
+ *   晚提交的事件（排在已读取的事件之前）或实例之间的时钟略有偏差时不会被跳过
+ *
+ * 【依赖】
+ * - repositories/RealtimeRepository.js: 中转表访问
+ *
+ * 【被谁使用】
+ * - routes/realtime.js: SSE 订阅接口
+ * - services/EventService.js: 新消息、回复状态变化、切换分支
+ * - services/MessageService.js: 回复生成中、编辑和重新生成
+ * - services/AgentService.js: NPC 创建、修改、删除
+ * - services/SessionService.js: 会话已读
+ * - services/NotificationService.js: 通知全部已读
+ * - server.js: 退出时关闭所有连接
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+const os = require("os");
+const realtimeRepository = require("../repositories/RealtimeRepository");
+
+/**
+ * 本实例标识（主机名 + 进程 ID，Docker 中主机名即容器 ID）
+ */
+const INSTANCE_ID = `${os.hostname()}_${process.pid}`;
+
+/**
+ * 轮询中转表的间隔（毫秒）
+ */
+const POLL_INTERVAL_MS = 1000;
+
+/**
+ * 只读取发布时间早于该时长的事件（毫秒），等待大部分事件提交
+ */
+const SETTLE_MS = 1000;
+
+/**
+ * 每次轮询重新读取的时间窗口（毫秒），覆盖晚提交的事件
+ */
+const LOOKBACK_MS = 10 * 1000;
+
+/**
+ * 每次轮询最多读取的事件数
+ */
+const POLL_BATCH_SIZE = 500;
+
+/**
+ * 中转表中事件的保留时长（毫秒）
+ */
+const RETENTION_MS = 10 * 60 * 1000;
+
+/**
+ * 清理中转表的间隔（毫秒）
+ */
+const CLEANUP_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * 每个用户在本实例上最多的连接数
+ */
+const MAX_CONNECTIONS_PER_USER = 10;
+
+/**
+ * 用户 ID → 订阅者集合 Set<{ onMessage, onClose }>
+ */
+const subscribers = new Map();
+
+/**
+ * 中转表轮询状态
+ */
+const state = {
+  timer: null,
+  polling: false,
+  startedAt: null, // 开始轮询的时间，只读取之后发布的事件
+  deliveredIds: new Map(), // 读取窗口内已经推送的事件 ID → 发布时间
+  lastCleanupAt: 0,
+};
+
+/**
+ * 推送给本实例上该用户的所有连接
+ *
+ * @param {string} userId - 用户 ID
+ * @param {Object} message - { type, data, timestamp }
+ */
+function deliver(userId, message) {
+  const userSubscribers = subscribers.get(userId);
+  if (!userSubscribers) {
+    return;
+  }
+
+  userSubscribers.forEach((subscriber) => {
+    try {
+      subscriber.onMessage(message);
+    } catch (error) {
+      console.warn(`[RealtimeService] Failed to deliver ${message.type} to ${userId}:`, error.message);
+    }
+  });
+}
+
+/**
+ * 读取其他实例写入的新事件并推送
+ */
+async function poll() {
+  if (state.polling) {
+    return;
+  }
+  state.polling = true;
+
+  try {
+    const now = Date.now();
+    const until = now - SETTLE_MS;
+    if (state.startedAt === null) {
+      // 从当前位置开始，之前的事件已经过时（客户端连接后会自己同步）
+      state.startedAt = until;
+    }
+
+    // 每次从窗口起点重新读取：晚提交的事件可能排在已读取的事件之前，已推送过的按 ID 跳过
+    const windowStart = Math.max(state.startedAt, until - LOOKBACK_MS);
+    let cursor = { createdAt: windowStart, id: 0 };
+    let events;
+    do {
+      events = await realtimeRepository.findBetween(cursor, until, POLL_BATCH_SIZE);
+      events.forEach((event) => {
+        cursor = { createdAt: event.createdAt, id: event.id };
+        if (event.origin === INSTANCE_ID || state.deliveredIds.has(event.id)) {
+          return;
+        }
+        state.deliveredIds.set(event.id, event.createdAt);
+        deliver(event.userId, { type: event.type, data: event.payload, timestamp: event.createdAt });
+      });
+    } while (events.length === POLL_BATCH_SIZE && subscribers.size > 0);
+
+    // 移出窗口的事件不会再被读取，不需要再记录
+    state.deliveredIds.forEach((createdAt, id) => {
+      if (createdAt < until - LOOKBACK_MS) {
+        state.deliveredIds.delete(id);
+      }
+    });
+
+    if (now - state.lastCleanupAt >= CLEANUP_INTERVAL_MS) {
+      state.lastCleanupAt = now;
+      const deleted = await realtimeRepository.deleteBefore(now - RETENTION_MS);
+      if (deleted > 0) {
+        console.log(`[RealtimeService] Cleaned up ${deleted} relayed events`);
+      }
+    }
+  } catch (error) {
+    console.warn("[RealtimeService] Failed to poll relayed events:", error.message);
+  } finally {
+    state.polling = false;
+  }
+}
+
+/**
+ * 开始轮询中转表（有订阅者时）
+ */
+function startPolling() {
+  if (state.timer) {
+    return;
+  }
+  state.timer = setInterval(poll, POLL_INTERVAL_MS);
+  if (typeof state.timer.unref === "function") {
+    state.timer.unref();
+  }
+}
+
+/**
+ * 停止轮询中转表（没有订阅者时）
+ *
+ * 【说明】
+ * 重新开始轮询时从当时的最新位置读取，停止期间的事件不再推送
+ */
+function stopPolling() {
+  if (state.timer) {
+    clearInterval(state.timer);
+    state.timer = null;
+  }
+  state.startedAt = null;
+  state.deliveredIds.clear();
+}
+
+/**
+ * 获取本实例上该用户的连接数
+ *
+ * @param {string} userId - 用户 ID
+ * @returns {number} 连接数
+ */
+function getConnectionCount(userId) {
+  const userSubscribers = subscribers.get(userId);
+  return userSubscribers ? userSubscribers.size : 0;
+}
+
+/**
+ * 订阅用户的实时事件
+ *
+ * @param {string} userId - 用户 ID
+ * @param {Object} subscriber - 订阅者
+ * @param {Function} subscriber.onMessage - 收到事件时调用 ({ type, data, timestamp }) => void
+ * @param {Function} [subscriber.onClose] - 服务关闭（stop）时调用，用于结束连接
+ * @returns {Function} 取消订阅
+ * @throws {Object} 错误对象 { code: "TOO_MANY_CONNECTIONS", message }
+ */
+function subscribe(userId, subscriber) {
+  if (getConnectionCount(userId) >= MAX_CONNECTIONS_PER_USER) {
+    throw {
+      code: "TOO_MANY_CONNECTIONS",
+      message: `同时打开的页面太多（最多 ${MAX_CONNECTIONS_PER_USER} 个），请关闭一些后重试`,
+    };
+  }
+
+  if (!subscribers.has(userId)) {
+    subscribers.set(userId, new Set());
+  }
+  const entry = { onMessage: subscriber.onMessage, onClose: subscriber.onClose || null };
+  subscribers.get(userId).add(entry);
+  startPolling();
+
+  return () => {
+    const userSubscribers = subscribers.get(userId);
+    if (!userSubscribers) {
+      return;
+    }
+    userSubscribers.delete(entry);
+    if (userSubscribers.size === 0) {
+      subscribers.delete(userId);
+    }
+    if (subscribers.size === 0) {
+      stopPolling();
+    }
+  };
+}
+
+/**
+ * 发布事件
+ *
+ * 【说明】
+ * 不会抛出错误，调用方不需要等待（写入中转表失败时只推送给本实例的连接）
+ *
+ * @param {string} userId - 接收事件的用户 ID
+ * @param {string} type - 事件类型
+ * @param {Object} data - 事件数据
+ * @returns {Promise<void>}
+ */
+async function publish(userId, type, data) {
+  if (!userId) {
+    return;
+  }
+
+  const message = { type, data: data || {}, timestamp: Date.now() };
+  try {
+    await realtimeRepository.create({
+      userId,
+      type,
+      payload: message.data,
+      origin: INSTANCE_ID,
+      createdAt: message.timestamp,
+    });
+  } catch (error) {
+    console.warn(`[RealtimeService] Failed to relay ${type} for ${userId}:`, error.message);
+  }
+
+  deliver(userId, message);
+}
+
+/**
+ * 关闭所有连接并停止轮询（实例退出时调用）
+ *
+ * 【说明】
+ * 客户端随后重新连接，由仍在运行的实例接管
+ */
+function stop() {
+  const all = [...subscribers.values()].flatMap((userSubscribers) => [...userSubscribers]);
+  subscribers.clear();
+  stopPolling();
+
+  all.forEach((subscriber) => {
+    try {
+      subscriber.onClose?.();
+    } catch (error) {
+      console.warn("[RealtimeService] Failed to close connection:", error.message);
+    }
+  });
+}
+
+module.exports = {
+  subscribe,
+  publish,
+  stop,
+  getConnectionCount,
+  poll,
+  INSTANCE_ID,
+  MAX_CONNECTIONS_PER_USER,
+};
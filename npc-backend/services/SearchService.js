@@ -0,0 +1,301 @@
+/**
+ * ============================================
+ * 消息搜索服务 (SearchService.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 在用户参与的所有会话中全文搜索消息，并生成带高亮位置的摘要
+ *
+ * 【主要功能】
+ * 1. 解析搜索词：按空格拆分为多个关键词，所有关键词都要出现（AND）
+ * 2. 筛选：按 Agent、发送方（我 / NPC）和日期范围筛选
+ * 3. 摘要：截取第一个关键词附近的一段内容，返回关键词在摘要中的位置，由前端负责高亮
+ *
+ * 【搜索规则】
+ * - 使用 MySQL FULLTEXT 索引（ngram 分词器，默认按 2 个字符切分），中文无需分词
+ * - 每个关键词按短语匹配；只有 1 个字的关键词按前缀匹配（短于 ngram 分词长度）
+ * - 全文检索的特殊字符（+ - < > ( ) ~ * " @）会被当作分隔符
+ * - 日期为 YYYY-MM-DD（服务器本地时间，含首尾两天），不传表示不限
+ * - 结果按时间倒序
+ *
+ * 【依赖】
+ * - repositories/EventRepository.js: 全文搜索
+ * - services/UsageService.js: 日期解析
+ *
+ * 【被谁使用】
+ * - routes/search.js: 搜索接口
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+const eventRepository = require('../repositories/EventRepository');
+const { parseDate } = require('./UsageService');
+
+/**
+ * 搜索词最大长度
+ */
+const MAX_QUERY_LENGTH = 100;
+
+/**
+ * 最多使用的关键词数量
+ */
+const MAX_TERMS = 10;
+
+/**
+ * 默认每页数量
+ */
+const DEFAULT_LIMIT = 20;
+
+/**
+ * 每页最大数量
+ */
+const MAX_LIMIT = 50;
+
+/**
+ * 摘要长度（字符）
+ */
+const SNIPPET_LENGTH = 120;
+
+/**
+ * 摘要中第一个关键词之前保留的字符数
+ */
+const SNIPPET_CONTEXT_BEFORE = 30;
+
+/**
+ * 全文检索 BOOLEAN MODE 的特殊字符
+ */
+const BOOLEAN_OPERATORS = /[+\-<>()~*"@]/g;
+
+/**
+ * 支持的发送方筛选
+ */
+const FROM_TYPES = ['user', 'agent'];
+
+/**
+ * 创建错误对象
+ *
+ * @param {string} code - 错误码
+ * @param {string} message - 错误信息
+ * @returns {Error} 错误对象
+ */
+function createError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * 拆分搜索词
+ *
+ * @param {string} q - 搜索词
+ * @returns {Array<string>} 去重后的关键词（最多 MAX_TERMS 个）
+ *
+ * @example
+ * parseTerms('学习 "计划"') // ['学习', '计划']
+ */
+function parseTerms(q) {
+  const terms = q
+    .replace(BOOLEAN_OPERATORS, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  return [...new Set(terms)].slice(0, MAX_TERMS);
+}
+
+/**
+ * 构建 BOOLEAN MODE 查询语句
+ *
+ * @param {Array<string>} terms - 关键词
+ * @returns {string} 查询语句
+ *
+ * @example
+ * buildBooleanQuery(['学习计划', '我']) // '+"学习计划" +我*'
+ */
+function buildBooleanQuery(terms) {
+  return terms
+    .map((term) => (Array.from(term).length < 2 ? `+${term}*` : `+"${term}"`))
+    .join(' ');
+}
+
+/**
+ * 生成摘要
+ *
+ * 【规则】
+ * - 从第一个命中的关键词前 SNIPPET_CONTEXT_BEFORE 个字符开始，截取 SNIPPET_LENGTH 个字符
+ * - 截断处加省略号，换行等空白字符替换为空格
+ * - highlights 为关键词在摘要中的位置 [start, end)，不区分大小写，已按位置排序并合并重叠部分
+ * - 内容中找不到关键词时（例如全角 / 半角差异）从开头截取，highlights 为空
+ *
+ * @param {string} content - 消息内容
+ * @param {Array<string>} terms - 关键词
+ * @returns {Object} { snippet, highlights }
+ */
+function buildSnippet(content, terms) {
+  const text = (content || '').replace(/\s/g, ' ');
+  const lower = text.toLowerCase();
+
+  const ranges = [];
+  terms.forEach((term) => {
+    const needle = term.toLowerCase();
+    let index = lower.indexOf(needle);
+    while (index !== -1) {
+      ranges.push([index, index + needle.length]);
+      index = lower.indexOf(needle, index + needle.length);
+    }
+  });
+  ranges.sort((a, b) => a[0] - b[0]);
+
+  const firstMatch = ranges.length > 0 ? ranges[0][0] : 0;
+  let start = Math.max(0, firstMatch - SNIPPET_CONTEXT_BEFORE);
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  start = Math.max(0, Math.min(start, end - SNIPPET_LENGTH));
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const offset = prefix.length - start;
+
+  const highlights = [];
+  ranges.forEach(([rangeStart, rangeEnd]) => {
+    const clippedStart = Math.max(rangeStart, start);
+    const clippedEnd = Math.min(rangeEnd, end);
+    if (clippedStart >= clippedEnd) {
+      return;
+    }
+    const last = highlights[highlights.length - 1];
+    if (last && clippedStart + offset <= last[1]) {
+      last[1] = Math.max(last[1], clippedEnd + offset);
+    } else {
+      highlights.push([clippedStart + offset, clippedEnd + offset]);
+    }
+  });
+
+  return { snippet: `${prefix}${text.slice(start, end)}${suffix}`, highlights };
+}
+
+/**
+ * 解析分页参数
+ *
+ * @param {*} value - 参数值
+ * @param {number} defaultValue - 默认值
+ * @param {string} name - 参数名（用于错误信息）
+ * @returns {number} 非负整数
+ * @throws {Error} VALIDATION_ERROR
+ */
+function parseNonNegativeInteger(value, defaultValue, name) {
+  if (value === undefined || value === null || value === '') {
+    return defaultValue;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw createError('VALIDATION_ERROR', `${name} 必须是非负整数`);
+  }
+  return number;
+}
+
+/**
+ * 解析日期范围
+ *
+ * @param {string} [startDate] - 开始日期（YYYY-MM-DD，含）
+ * @param {string} [endDate] - 结束日期（YYYY-MM-DD，含）
+ * @returns {Object} { startTime, endTime }（毫秒时间戳，endTime 为结束日期次日 0 点，不传为 null）
+ * @throws {Error} VALIDATION_ERROR
+ */
+function resolveTimeRange(startDate, endDate) {
+  let startTime = null;
+  let endTime = null;
+
+  if (startDate) {
+    const start = parseDate(startDate);
+    if (!start) {
+      throw createError('VALIDATION_ERROR', 'startDate 格式不正确，应为 YYYY-MM-DD');
+    }
+    startTime = start.getTime();
+  }
+  if (endDate) {
+    const end = parseDate(endDate);
+    if (!end) {
+      throw createError('VALIDATION_ERROR', 'endDate 格式不正确，应为 YYYY-MM-DD');
+    }
+    endTime = new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1).getTime();
+  }
+  if (startTime !== null && endTime !== null && startTime >= endTime) {
+    throw createError('VALIDATION_ERROR', 'startDate 不能晚于 endDate');
+  }
+
+  return { startTime, endTime };
+}
+
+/**
+ * 搜索消息
+ *
+ * @param {string} userId - 用户 ID
+ * @param {Object} options - 搜索条件
+ * @param {string} options.q - 搜索词（多个关键词用空格分隔）
+ * @param {string} [options.agentId] - 只搜索与该 NPC 的对话
+ * @param {string} [options.from] - 发送方："user" 或 "agent"
+ * @param {string} [options.startDate] - 开始日期（YYYY-MM-DD）
+ * @param {string} [options.endDate] - 结束日期（YYYY-MM-DD）
+ * @param {number|string} [options.limit=20] - 每页数量（最多 50）
+ * @param {number|string} [options.offset=0] - 偏移量
+ * @returns {Promise<Object>} { query, terms, total, hasMore, items }
+ * @throws {Error} VALIDATION_ERROR
+ */
+async function searchMessages(userId, options = {}) {
+  const q = typeof options.q === 'string' ? options.q.trim() : '';
+  if (!q) {
+    throw createError('VALIDATION_ERROR', '请输入搜索内容');
+  }
+  if (q.length > MAX_QUERY_LENGTH) {
+    throw createError('VALIDATION_ERROR', `搜索内容不能超过 ${MAX_QUERY_LENGTH} 个字符`);
+  }
+
+  const terms = parseTerms(q);
+  if (terms.length === 0) {
+    throw createError('VALIDATION_ERROR', '搜索内容不能只包含符号');
+  }
+
+  if (options.from && !FROM_TYPES.includes(options.from)) {
+    throw createError('VALIDATION_ERROR', 'from 只能是 user 或 agent');
+  }
+
+  const { startTime, endTime } = resolveTimeRange(options.startDate, options.endDate);
+  const limit = Math.min(parseNonNegativeInteger(options.limit, DEFAULT_LIMIT, 'limit'), MAX_LIMIT) || DEFAULT_LIMIT;
+  const offset = parseNonNegativeInteger(options.offset, 0, 'offset');
+
+  const { total, events } = await eventRepository.searchEvents(userId, buildBooleanQuery(terms), {
+    agentId: options.agentId || null,
+    fromType: options.from || null,
+    startTime,
+    endTime,
+    limit,
+    offset,
+  });
+
+  const items = events.map((event) => ({
+    eventId: event.id,
+    sessionId: event.sessionId,
+    sessionTitle: event.sessionTitle,
+    agentId: event.agentId,
+    agentName: event.agentName,
+    agentAvatarUrl: event.agentAvatarUrl,
+    fromType: event.fromType,
+    timestamp: event.timestamp,
+    ...buildSnippet(event.content, terms),
+  }));
+
+  return {
+    query: q,
+    terms,
+    total,
+    hasMore: offset + items.length < total,
+    items,
+  };
+}
+
+module.exports = {
+  parseTerms,
+  buildBooleanQuery,
+  buildSnippet,
+  searchMessages,
+};
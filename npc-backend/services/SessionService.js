@@ -10,17 +10,21 @@
  * 1. 参与者列表验证
  * 2. 会话创建和查询（封装 Repository 操作）
  * 3. 会话活动时间管理
+ * 4. 多会话管理（新建、重命名、归档、删除，校验会话归属）
+ * 5. 标记会话已读（更新已读游标，用于未读计数），并推送 session.read 给该用户的其他设备
  *
  * 【工作流程】
  * 接收数据 → 字段验证 → 业务规则检查 → 调用 Repository → 返回结果
  *
  * 【依赖】
  * - repositories/SessionRepository.js: 数据访问层
+ * - repositories/EventRepository.js: 标记已读时查询事件位置和生成中的回复
+ * - services/RealtimeService.js: 推送已读状态
  *
  * 【被谁使用】
  * - services/EventService.js: 调用会话管理方法（更新活动时间）
  * - services/MessageService.js: 调用会话创建和查询方法
- * - routes/messages.js: 调用会话查询方法（未来）
+ * - routes/sessions.js: 会话列表和会话管理接口
  *
  * 【错误处理】
  * - 验证错误：抛出包含错误码和消息的对象
@@ -32,13 +36,24 @@
  */
 
 const sessionRepository = require("../repositories/SessionRepository");
+const eventRepository = require("../repositories/EventRepository");
+const realtimeService = require("./RealtimeService");
+
+/**
+ * 会话标题最大长度（与 sessions.title 字段长度一致）
+ */
+const SESSION_TITLE_MAX_LENGTH = 100;
+
+/**
+ * 自动生成标题时截取的消息长度
+ */
+const AUTO_TITLE_LENGTH = 30;
 
 /**
  * 获取或创建会话
  *
  * 【功能说明】
- * 获取指定参与者的会话，如果不存在则创建新会话
- * 同一参与者组合只有一个会话（单会话模式）
+ * 获取指定参与者的默认会话（最近活跃的未归档会话），如果不存在则创建新会话
  *
  * 【工作流程】
  * 1. 验证参与者列表
@@ -129,14 +144,31 @@ async function updateSessionActivity(sessionId) {
  * 查询指定用户参与的所有会话，按最后活动时间倒序排列
  *
  * @param {string} userId - 用户 ID
+ * @param {Object} [options] - 查询选项
+ * @param {string} [options.agentId] - 只返回与该 Agent 的会话
+ * @param {boolean} [options.includeArchived=true] - 是否包含已归档的会话
  * @returns {Promise<Array<Object>>} Session 对象数组，按最后活动时间倒序
  */
-async function getSessionsByUser(userId) {
+async function getSessionsByUser(userId, options = {}) {
   if (!userId || typeof userId !== "string" || !userId.trim()) {
     return [];
   }
 
-  return await sessionRepository.findSessionsByUser(userId.trim());
+  const { agentId, includeArchived = true } = options;
+  const sessions = await sessionRepository.findSessionsByUser(userId.trim());
+
+  return sessions.filter((session) => {
+    if (!includeArchived && session.archivedAt) {
+      return false;
+    }
+    if (
+      agentId &&
+      !session.participants.some((p) => p.type === "agent" && p.id === agentId)
+    ) {
+      return false;
+    }
+    return true;
+  });
 }
 
 /**
@@ -173,6 +205,273 @@ async function getSessionById(sessionId) {
   return await sessionRepository.findSessionById(sessionId);
 }
 
+/**
+ * 验证会话标题
+ *
+ * @param {string|null|undefined} title - 会话标题
+ * @returns {string|null} 去除首尾空格后的标题，空标题返回 null
+ * @throws {Object} 错误对象 { code, message }
+ */
+function validateSessionTitle(title) {
+  if (title === undefined || title === null) {
+    return null;
+  }
+
+  if (typeof title !== "string") {
+    throw {
+      code: "VALIDATION_ERROR",
+      message: "会话标题必须是字符串",
+    };
+  }
+
+  const trimmedTitle = title.trim();
+  if (trimmedTitle.length > SESSION_TITLE_MAX_LENGTH) {
+    throw {
+      code: "VALIDATION_ERROR",
+      message: `会话标题不能超过 ${SESSION_TITLE_MAX_LENGTH} 个字符`,
+    };
+  }
+
+  return trimmedTitle || null;
+}
+
+/**
+ * 根据消息内容生成默认会话标题
+ *
+ * 【功能说明】
+ * 会话没有标题时，用第一条用户消息的开头作为标题，方便在会话列表中辨认
+ *
+ * @param {string} text - 消息内容
+ * @returns {string} 会话标题
+ */
+function buildTitleFromMessage(text) {
+  const singleLine = String(text || "").replace(/\s+/g, " ").trim();
+  if (singleLine.length <= AUTO_TITLE_LENGTH) {
+    return singleLine;
+  }
+  return `${singleLine.slice(0, AUTO_TITLE_LENGTH)}…`;
+}
+
+/**
+ * 为未命名会话补充默认标题
+ *
+ * 【功能说明】
+ * 会话已有标题（包括用户重命名过的）时不做任何修改
+ *
+ * @param {Object} session - Session 对象
+ * @param {string} text - 用于生成标题的消息内容
+ * @returns {Promise<string|null>} 会话当前标题
+ */
+async function ensureSessionTitle(session, text) {
+  if (!session || session.title) {
+    return session ? session.title : null;
+  }
+
+  const title = buildTitleFromMessage(text);
+  if (!title) {
+    return null;
+  }
+
+  await sessionRepository.updateSessionTitle(session.sessionId, title);
+  return title;
+}
+
+/**
+ * 为用户和 Agent 新建会话
+ *
+ * 【功能说明】
+ * 总是创建新会话（不复用已有会话），新会话会成为默认会话
+ *
+ * @param {string} userId - 用户 ID
+ * @param {string} agentId - Agent ID
+ * @param {string} [title] - 会话标题（可选）
+ * @returns {Promise<Object>} Session 对象
+ * @throws {Object} 错误对象 { code, message }
+ */
+async function createSession(userId, agentId, title) {
+  if (!userId || typeof userId !== "string" || !userId.trim()) {
+    throw {
+      code: "VALIDATION_ERROR",
+      message: "用户 ID 不能为空",
+    };
+  }
+  if (!agentId || typeof agentId !== "string" || !agentId.trim()) {
+    throw {
+      code: "VALIDATION_ERROR",
+      message: "Agent ID 不能为空",
+    };
+  }
+
+  const validTitle = validateSessionTitle(title);
+
+  try {
+    return await sessionRepository.createSession(
+      [
+        { type: "user", id: userId.trim() },
+        { type: "agent", id: agentId.trim() },
+      ],
+      validTitle
+    );
+  } catch (error) {
+    throw {
+      code: "SYSTEM_ERROR",
+      message: "创建会话失败，请稍后重试",
+    };
+  }
+}
+
+/**
+ * 获取用户自己的会话
+ *
+ * 【功能说明】
+ * 根据 sessionId 查询会话，并校验用户是会话参与者
+ * 不存在、已删除或不属于该用户的会话统一视为不存在（不暴露他人会话是否存在）
+ *
+ * @param {string} sessionId - 会话 ID
+ * @param {string} userId - 用户 ID
+ * @param {string} [agentId] - Agent ID（可选，提供时同时校验 Agent 是会话参与者）
+ * @returns {Promise<Object>} Session 对象
+ * @throws {Object} 错误对象 { code: "SESSION_NOT_FOUND", message }
+ */
+async function getSessionForUser(sessionId, userId, agentId) {
+  const notFound = {
+    code: "SESSION_NOT_FOUND",
+    message: "会话不存在",
+  };
+
+  if (!sessionId || typeof sessionId !== "string" || !sessionId.trim()) {
+    throw notFound;
+  }
+
+  const session = await sessionRepository.findSessionById(sessionId.trim());
+  if (!session) {
+    throw notFound;
+  }
+
+  const hasParticipant = (type, id) =>
+    session.participants.some((p) => p.type === type && p.id === id);
+
+  if (!hasParticipant("user", userId)) {
+    throw notFound;
+  }
+  if (agentId && !hasParticipant("agent", agentId)) {
+    throw notFound;
+  }
+
+  return session;
+}
+
+/**
+ * 重命名会话
+ *
+ * @param {string} sessionId - 会话 ID
+ * @param {string} userId - 用户 ID（用于归属校验）
+ * @param {string|null} title - 新标题（空字符串或 null 表示清除标题）
+ * @returns {Promise<Object>} 更新后的 Session 对象
+ * @throws {Object} 错误对象 { code, message }
+ */
+async function renameSession(sessionId, userId, title) {
+  const session = await getSessionForUser(sessionId, userId);
+  const validTitle = validateSessionTitle(title);
+
+  await sessionRepository.updateSessionTitle(session.sessionId, validTitle);
+
+  return { ...session, title: validTitle };
+}
+
+/**
+ * 归档或取消归档会话
+ *
+ * 【功能说明】
+ * 归档的会话保留历史记录，但不再作为默认会话；取消归档后恢复
+ *
+ * @param {string} sessionId - 会话 ID
+ * @param {string} userId - 用户 ID（用于归属校验）
+ * @param {boolean} archived - true 归档，false 取消归档
+ * @returns {Promise<Object>} 更新后的 Session 对象
+ * @throws {Object} 错误对象 { code, message }
+ */
+async function archiveSession(sessionId, userId, archived) {
+  const session = await getSessionForUser(sessionId, userId);
+
+  await sessionRepository.setSessionArchived(session.sessionId, !!archived);
+
+  // 以数据库中的值为准（归档时间由 Repository 生成）
+  return await sessionRepository.findSessionById(session.sessionId);
+}
+
+/**
+ * 删除会话
+ *
+ * 【功能说明】
+ * 软删除会话，删除后会话及其消息不再出现在列表和历史中
+ *
+ * @param {string} sessionId - 会话 ID
+ * @param {string} userId - 用户 ID（用于归属校验）
+ * @returns {Promise<void>}
+ * @throws {Object} 错误对象 { code, message }
+ */
+async function deleteSession(sessionId, userId) {
+  const session = await getSessionForUser(sessionId, userId);
+
+  await sessionRepository.softDeleteSession(session.sessionId);
+}
+
+/**
+ * 标记会话已读
+ *
+ * 【功能说明】
+ * 把会话的已读游标移到指定事件（不指定时为当前时间），之前的 Agent 回复不再计为未读。
+ * 游标只前进不后退；回复的时间戳是占位创建时的时间，游标不能越过生成中的回复，
+ * 否则它生成完成后不会计为未读，这时游标停在最早的生成中回复之前
+ *
+ * @param {string} sessionId - 会话 ID
+ * @param {string} userId - 用户 ID（用于归属校验）
+ * @param {string} [eventId] - 读到的事件 ID（可选）
+ * @returns {Promise<Object>} { sessionId, lastReadAt, lastReadEventId, updated }
+ * @throws {Object} 错误对象 { code, message }
+ */
+async function markSessionRead(sessionId, userId, eventId) {
+  const session = await getSessionForUser(sessionId, userId);
+
+  let cursor = { timestamp: Date.now(), id: null };
+  if (eventId) {
+    const event = await eventRepository.findEventById(eventId);
+    if (!event || event.sessionId !== session.sessionId) {
+      throw {
+        code: "VALIDATION_ERROR",
+        message: "eventId 不属于该会话",
+      };
+    }
+    cursor = { timestamp: Number(event.timestamp), id: event.id };
+  }
+
+  const pending = await eventRepository.findFirstPendingReply(session.sessionId);
+  if (
+    pending &&
+    (cursor.timestamp > pending.timestamp ||
+      (cursor.timestamp === pending.timestamp && (cursor.id === null || cursor.id >= pending.id)))
+  ) {
+    cursor = { timestamp: pending.timestamp - 1, id: null };
+  }
+
+  const updated = await sessionRepository.updateReadCursor(session.sessionId, cursor);
+  if (updated) {
+    const agentParticipant = session.participants.find((p) => p.type === "agent");
+    realtimeService.publish(userId, "session.read", {
+      sessionId: session.sessionId,
+      agentId: agentParticipant ? agentParticipant.id : null,
+    });
+  }
+
+  return {
+    sessionId: session.sessionId,
+    lastReadAt: cursor.timestamp,
+    lastReadEventId: cursor.id,
+    updated,
+  };
+}
+
 module.exports = {
   getOrCreateSession,
   findSessionByParticipants,
@@ -180,5 +479,12 @@ module.exports = {
   updateSessionActivity,
   getSessionsByUser,
   getSessionsByAgent,
+  createSession,
+  getSessionForUser,
+  renameSession,
+  archiveSession,
+  deleteSession,
+  ensureSessionTitle,
+  markSessionRead,
 };
 
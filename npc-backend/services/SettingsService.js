@@ -0,0 +1,181 @@
+/**
+ * ============================================
+ * 系统设置服务 (SettingsService.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 读取和修改管理员可以在后台调整的运行时设置
+ *
+ * 【主要功能】
+ * 1. 设置定义：名称、类型、说明和默认值（默认值来自环境变量或 config.yaml）
+ * 2. 读取设置：数据库中有记录时使用记录，否则使用默认值
+ * 3. 修改设置：校验类型后保存，记录修改人
+ *
+ * 【已定义的设置】
+ * - shared_key_pool_enabled（boolean）：没有自己 API Key 的用户能否使用服务器配置的共享 Key 池，
+ *   默认读取 SHARED_KEY_POOL_ENABLED（未设置时为 true）
+ *
+ * 【缓存】
+ * 生成回复时每次都要读取设置，读取结果在进程内缓存 30 秒；本进程修改设置时立即刷新
+ *
+ * 【依赖】
+ * - repositories/SettingsRepository.js: 设置数据访问
+ *
+ * 【被谁使用】
+ * - routes/admin.js: 管理后台查看和修改设置
+ * - services/UserApiKeyService.js: 判断能否使用共享 Key 池
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+const settingsRepository = require('../repositories/SettingsRepository');
+
+/**
+ * 缓存有效期（毫秒）
+ */
+const CACHE_TTL = 30 * 1000;
+
+/**
+ * 设置定义
+ */
+const SETTING_DEFINITIONS = {
+  shared_key_pool_enabled: {
+    type: 'boolean',
+    description: '没有自己 API Key 的用户是否可以使用服务器配置的共享 API Key',
+    getDefault: () => process.env.SHARED_KEY_POOL_ENABLED !== 'false',
+  },
+};
+
+/**
+ * 设置缓存 { expiresAt, values: Map<key, record> }
+ */
+let cache = { expiresAt: 0, values: new Map() };
+
+/**
+ * 创建错误对象
+ *
+ * @param {string} code - 错误码
+ * @param {string} message - 错误信息
+ * @returns {Error} 错误对象
+ */
+function createError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * 清空设置缓存（下次读取时重新查询数据库）
+ */
+function clearCache() {
+  cache = { expiresAt: 0, values: new Map() };
+}
+
+/**
+ * 读取数据库中的设置记录（带缓存）
+ *
+ * @returns {Promise<Map<string, Object>>} 设置名称 → 记录
+ */
+async function loadStoredSettings() {
+  if (cache.expiresAt > Date.now()) {
+    return cache.values;
+  }
+
+  const records = await settingsRepository.findAll();
+  cache = {
+    expiresAt: Date.now() + CACHE_TTL,
+    values: new Map(records.map((record) => [record.key, record])),
+  };
+  return cache.values;
+}
+
+/**
+ * 合并设置定义和数据库记录
+ *
+ * @param {string} key - 设置名称
+ * @param {Object} [record] - 数据库记录
+ * @returns {Object} { key, value, defaultValue, type, description, updatedBy, updatedAt }
+ */
+function buildSetting(key, record) {
+  const definition = SETTING_DEFINITIONS[key];
+  const defaultValue = definition.getDefault();
+  const hasValue = record && typeof record.value === definition.type;
+
+  return {
+    key,
+    value: hasValue ? record.value : defaultValue,
+    defaultValue,
+    type: definition.type,
+    description: definition.description,
+    updatedBy: hasValue ? record.updatedBy : null,
+    updatedAt: hasValue ? record.updatedAt : null,
+  };
+}
+
+/**
+ * 获取全部设置
+ *
+ * @returns {Promise<Array<Object>>} 设置列表
+ */
+async function listSettings() {
+  const stored = await loadStoredSettings();
+  return Object.keys(SETTING_DEFINITIONS).map((key) => buildSetting(key, stored.get(key)));
+}
+
+/**
+ * 获取设置值
+ *
+ * 【功能说明】
+ * 数据库读取失败时使用默认值并打印警告，不影响调用方的主流程
+ *
+ * @param {string} key - 设置名称
+ * @returns {Promise<*>} 设置值
+ * @throws {Error} 设置不存在时抛出 SETTING_NOT_FOUND
+ */
+async function getSetting(key) {
+  if (!SETTING_DEFINITIONS[key]) {
+    throw createError('SETTING_NOT_FOUND', `设置不存在：${key}`);
+  }
+
+  try {
+    const stored = await loadStoredSettings();
+    return buildSetting(key, stored.get(key)).value;
+  } catch (error) {
+    console.warn(`[SettingsService] Failed to load settings, using default for ${key}:`, error.message);
+    return SETTING_DEFINITIONS[key].getDefault();
+  }
+}
+
+/**
+ * 修改设置
+ *
+ * @param {string} key - 设置名称
+ * @param {*} value - 新值
+ * @param {string} adminId - 修改人 ID
+ * @returns {Promise<Object>} 修改后的设置
+ * @throws {Error} SETTING_NOT_FOUND / VALIDATION_ERROR
+ */
+async function updateSetting(key, value, adminId) {
+  const definition = SETTING_DEFINITIONS[key];
+  if (!definition) {
+    throw createError('SETTING_NOT_FOUND', `设置不存在：${key}`);
+  }
+
+  if (typeof value !== definition.type) {
+    throw createError('VALIDATION_ERROR', `设置 ${key} 的值必须是 ${definition.type}`);
+  }
+
+  const record = await settingsRepository.upsert(key, value, adminId);
+  clearCache();
+
+  console.log(`[SettingsService] Setting ${key} updated by ${adminId}: ${JSON.stringify(value)}`);
+  return buildSetting(key, record);
+}
+
+module.exports = {
+  listSettings,
+  getSetting,
+  updateSetting,
+  clearCache,
+};
@@ -0,0 +1,249 @@
+/**
+ * ============================================
+ * Token 服务 (TokenService.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 签发、刷新和吊销登录 Token
+ *
+ * 【主要功能】
+ * 1. 登录时签发 Access Token + Refresh Token，并登记 Refresh Token
+ * 2. 刷新：校验 Refresh Token → 轮换（旧 Token 作废，换发新 Token）→ 签发新的 Access Token
+ * 3. 重复使用检测：已轮换的 Refresh Token 再次出现时，吊销整个家族（同一次登录的所有 Token）
+ * 4. 退出登录吊销当前家族；修改密码、禁用用户时吊销该用户全部 Token
+ *
+ * 【工作流程】
+ * 登录 → issueTokens → 新家族
+ * 刷新 → refreshTokens → 查登记 → 已轮换？吊销家族 : 轮换并签发新 Token
+ *
+ * 【说明】
+ * Access Token 是无状态的，吊销只作用于 Refresh Token，已签发的 Access Token 在短有效期
+ * （JWT_ACCESS_EXPIRES_IN，默认 15 分钟）结束后失效
+ *
+ * 【依赖】
+ * - repositories/RefreshTokenRepository.js: Refresh Token 登记
+ * - repositories/UserRepository.js: 刷新时读取最新的用户信息和状态
+ * - utils/jwt.js: Token 生成和验证
+ *
+ * 【被谁使用】
+ * - routes/users.js: 登录、刷新、退出登录
+ * - routes/admin.js: 管理后台登录
+ * - services/UserService.js: 修改密码、禁用用户时吊销 Token
+ *
+ * @author AI Assistant
+ * @created 2025-12-09
+ */
+
+const refreshTokenRepository = require('../repositories/RefreshTokenRepository');
+const userRepository = require('../repositories/UserRepository');
+const {
+  ACCESS_TOKEN_EXPIRES_IN,
+  generateAccessToken,
+  generateRefreshToken,
+  verifyToken,
+  decodeToken,
+} = require('../utils/jwt');
+
+/**
+ * 吊销原因
+ */
+const REVOKE_REASONS = {
+  LOGOUT: 'logout',
+  REUSE_DETECTED: 'reuse_detected',
+  PASSWORD_CHANGED: 'password_changed',
+  USER_DISABLED: 'user_disabled',
+};
+
+/**
+ * 生成 ID
+ *
+ * 【ID 格式】
+ * rt_1703001234567_abc123（Token）、rtf_1703001234567_abc123（家族）
+ *
+ * @param {string} prefix - ID 前缀
+ * @returns {string} ID
+ */
+function generateId(prefix) {
+  const timestamp = Date.now();
+  const random = Math.random().toString(36).substring(2, 8);
+  return `${prefix}_${timestamp}_${random}`;
+}
+
+/**
+ * 创建错误对象
+ *
+ * @param {string} code - 错误码
+ * @param {string} message - 错误信息
+ * @returns {Error} 错误对象
+ */
+function createError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * 签发一对 Token 并登记 Refresh Token
+ *
+ * @param {Object} user - 用户信息 { id, username, role }
+ * @param {string} familyId - 家族 ID
+ * @param {string} tokenId - Refresh Token ID
+ * @returns {Promise<Object>} { accessToken, refreshToken, expiresIn }
+ */
+async function createTokenPair(user, familyId, tokenId) {
+  const refreshToken = generateRefreshToken({ userId: user.id, tokenId, familyId });
+  const { exp } = decodeToken(refreshToken);
+
+  await refreshTokenRepository.create({
+    id: tokenId,
+    userId: user.id,
+    familyId,
+    expiresAt: exp * 1000,
+  });
+
+  const accessToken = generateAccessToken({
+    userId: user.id,
+    username: user.username,
+    role: user.role,
+  });
+
+  return {
+    accessToken,
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  };
+}
+
+/**
+ * 登录时签发 Token（开始一个新的家族）
+ *
+ * @param {Object} user - 用户信息 { id, username, role }
+ * @returns {Promise<Object>} { accessToken, refreshToken, expiresIn }
+ */
+async function issueTokens(user) {
+  return await createTokenPair(user, generateId('rtf'), generateId('rt'));
+}
+
+/**
+ * 用 Refresh Token 换发新的 Token
+ *
+ * 【工作流程】
+ * 1. 验证签名和类型，按 jti 查登记记录
+ * 2. 记录已轮换 → 重复使用，吊销整个家族；已吊销 → 拒绝
+ * 3. 用户不存在或已禁用 → 吊销家族并拒绝
+ * 4. 条件更新标记旧 Token 已轮换（并发刷新中只有一个成功，其余按重复使用处理）
+ * 5. 用最新的用户信息签发新的 Token（角色变更在刷新后生效）
+ *
+ * @param {string} refreshToken - Refresh Token
+ * @returns {Promise<Object>} { user, accessToken, refreshToken, expiresIn }
+ */
+async function refreshTokens(refreshToken) {
+  if (!refreshToken) {
+    throw createError('VALIDATION_ERROR', 'Refresh Token 不能为空');
+  }
+
+  let decoded;
+  try {
+    decoded = verifyToken(refreshToken);
+  } catch (error) {
+    throw createError('REFRESH_TOKEN_INVALID', '登录已过期，请重新登录');
+  }
+
+  if (decoded.type !== 'refresh' || !decoded.jti) {
+    throw createError('REFRESH_TOKEN_INVALID', '登录已过期，请重新登录');
+  }
+
+  const record = await refreshTokenRepository.findById(decoded.jti);
+  if (!record || record.userId !== decoded.userId) {
+    throw createError('REFRESH_TOKEN_INVALID', '登录已过期，请重新登录');
+  }
+
+  const now = Date.now();
+
+  if (record.revokedAt) {
+    if (record.revokeReason === 'rotated') {
+      await refreshTokenRepository.revokeFamily(record.familyId, REVOKE_REASONS.REUSE_DETECTED, now);
+      console.warn(`[TokenService] Refresh token reuse detected for user ${record.userId}, family revoked`);
+      throw createError('REFRESH_TOKEN_REUSED', '登录状态异常，请重新登录');
+    }
+    throw createError('REFRESH_TOKEN_REVOKED', '登录已失效，请重新登录');
+  }
+
+  const user = await userRepository.findById(record.userId);
+  if (!user || user.status === 'disabled') {
+    await refreshTokenRepository.revokeFamily(record.familyId, REVOKE_REASONS.USER_DISABLED, now);
+    throw createError('USER_DISABLED', '账号不存在或已被禁用');
+  }
+
+  const newTokenId = generateId('rt');
+  const rotated = await refreshTokenRepository.markRotated(record.id, newTokenId, now);
+  if (!rotated) {
+    // 另一个请求已经用这个 Token 刷新过
+    await refreshTokenRepository.revokeFamily(record.familyId, REVOKE_REASONS.REUSE_DETECTED, now);
+    console.warn(`[TokenService] Concurrent refresh token reuse for user ${record.userId}, family revoked`);
+    throw createError('REFRESH_TOKEN_REUSED', '登录状态异常，请重新登录');
+  }
+
+  const tokens = await createTokenPair(user, record.familyId, newTokenId);
+
+  return {
+    user: {
+      id: user.id,
+      username: user.username,
+      role: user.role,
+    },
+    ...tokens,
+  };
+}
+
+/**
+ * 退出登录：吊销 Refresh Token 所在的家族
+ *
+ * 【说明】
+ * 幂等：Token 无效、过期或已吊销时直接返回 0
+ *
+ * @param {string} refreshToken - Refresh Token
+ * @returns {Promise<number>} 吊销数量
+ */
+async function revokeToken(refreshToken) {
+  if (!refreshToken) {
+    return 0;
+  }
+
+  let decoded;
+  try {
+    decoded = verifyToken(refreshToken);
+  } catch (error) {
+    return 0;
+  }
+
+  if (decoded.type !== 'refresh' || !decoded.jti) {
+    return 0;
+  }
+
+  const record = await refreshTokenRepository.findById(decoded.jti);
+  if (!record) {
+    return 0;
+  }
+
+  return await refreshTokenRepository.revokeFamily(record.familyId, REVOKE_REASONS.LOGOUT, Date.now());
+}
+
+/**
+ * 吊销用户的全部 Refresh Token（所有设备退出登录）
+ *
+ * @param {string} userId - 用户 ID
+ * @param {string} reason - 吊销原因（REVOKE_REASONS）
+ * @returns {Promise<number>} 吊销数量
+ */
+async function revokeAllForUser(userId, reason) {
+  return await refreshTokenRepository.revokeAllForUser(userId, reason, Date.now());
+}
+
+module.exports = {
+  REVOKE_REASONS,
+  issueTokens,
+  refreshTokens,
+  revokeToken,
+  revokeAllForUser,
+};
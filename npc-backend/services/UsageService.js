@@ -0,0 +1,292 @@
+/**
+ * ============================================
+ * LLM 用量服务 (UsageService.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 记录每条 Agent 回复的 token 用量和费用，并按用户、Agent、模型和日期汇总
+ *
+ * 【主要功能】
+ * 1. 记录用量：实际使用的模型、输入/输出 token 数、耗时，按模型价格估算费用
+ * 2. 个人用量：当前用户在时间范围内的总计、每日趋势、按 Agent 和模型的明细
+ * 3. 全站统计：管理后台按用户、Agent、模型或日期分组汇总
+ *
+ * 【费用计算】
+ * 费用 = 输入 token 数 × 输入价格 + 输出 token 数 × 输出价格（价格单位为美元 / 百万 token，见 config/models.js）
+ * - 模型没有价格时费用为 null（只记录 token 数）
+ * - 费用在记录时计算，之后调整价格不影响历史记录
+ *
+ * 【日期范围】
+ * startDate / endDate 为 YYYY-MM-DD（服务器本地时间，含首尾两天），
+ * 默认最近 30 天，最长 366 天
+ *
+ * 【依赖】
+ * - repositories/UsageRepository.js: 用量数据访问
+ * - config/models.js: 模型价格
+ *
+ * 【被谁使用】
+ * - services/MessageService.js: Agent 回复保存后记录用量
+ * - routes/usage.js: 个人用量
+ * - routes/admin.js: 管理后台用量统计
+ * - services/QuotaService.js: 统计日期
+ * - services/SearchService.js: 解析搜索日期范围
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+const usageRepository = require('../repositories/UsageRepository');
+const { getModelPricing } = require('../config/models');
+
+/**
+ * 默认统计天数
+ */
+const DEFAULT_RANGE_DAYS = 30;
+
+/**
+ * 最长统计天数
+ */
+const MAX_RANGE_DAYS = 366;
+
+/**
+ * 分组统计默认返回的条数
+ */
+const DEFAULT_GROUP_LIMIT = 50;
+
+/**
+ * 支持的分组方式
+ */
+const GROUP_BY_OPTIONS = ['user', 'agent', 'model', 'day'];
+
+/**
+ * 日期格式
+ */
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * 生成用量记录 ID
+ *
+ * 【ID 格式】
+ * usage_1703001234567_abc123
+ *
+ * @returns {string} 记录 ID
+ */
+function generateId() {
+  const timestamp = Date.now();
+  const random = Math.random().toString(36).substring(2, 8);
+  return `usage_${timestamp}_${random}`;
+}
+
+/**
+ * 创建错误对象
+ *
+ * @param {string} code - 错误码
+ * @param {string} message - 错误信息
+ * @returns {Error} 错误对象
+ */
+function createError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * 格式化为本地日期（YYYY-MM-DD）
+ *
+ * @param {Date|number} date - 日期或时间戳
+ * @returns {string} 日期字符串
+ */
+function formatDate(date) {
+  const value = new Date(date);
+  const month = String(value.getMonth() + 1).padStart(2, '0');
+  const day = String(value.getDate()).padStart(2, '0');
+  return `${value.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * 解析 YYYY-MM-DD 为本地日期，格式不正确或日期不存在时返回 null
+ *
+ * @param {string} value - 日期字符串
+ * @returns {Date|null} 当天 0 点
+ */
+function parseDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+    return null;
+  }
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  return formatDate(date) === value ? date : null;
+}
+
+/**
+ * 计算费用
+ *
+ * @param {Object} usage - { promptTokens, completionTokens }
+ * @param {Object|null} pricing - { input, output }（美元 / 百万 token）
+ * @returns {number|null} 费用（美元，保留 6 位小数），没有价格或没有 token 数时为 null
+ *
+ * @example
+ * calculateCost({ promptTokens: 1000, completionTokens: 500 }, { input: 3, output: 15 }) // 0.0105
+ */
+function calculateCost(usage, pricing) {
+  if (!pricing || !usage) {
+    return null;
+  }
+  const promptTokens = usage.promptTokens;
+  const completionTokens = usage.completionTokens;
+  if (promptTokens == null && completionTokens == null) {
+    return null;
+  }
+
+  const cost =
+    ((promptTokens || 0) * pricing.input + (completionTokens || 0) * pricing.output) / 1000000;
+  return Math.round(cost * 1000000) / 1000000;
+}
+
+/**
+ * 解析统计日期范围
+ *
+ * @param {Object} [range] - { startDate, endDate }（均可省略）
+ * @returns {Object} { startDate, endDate }
+ * @throws {Error} VALIDATION_ERROR（格式不正确、开始晚于结束或超过最长天数）
+ */
+function resolveDateRange(range = {}) {
+  const { startDate, endDate } = range;
+
+  const end = endDate ? parseDate(endDate) : parseDate(formatDate(Date.now()));
+  if (!end) {
+    throw createError('VALIDATION_ERROR', 'endDate 格式不正确，应为 YYYY-MM-DD');
+  }
+
+  let start;
+  if (startDate) {
+    start = parseDate(startDate);
+    if (!start) {
+      throw createError('VALIDATION_ERROR', 'startDate 格式不正确，应为 YYYY-MM-DD');
+    }
+  } else {
+    start = new Date(end.getFullYear(), end.getMonth(), end.getDate() - (DEFAULT_RANGE_DAYS - 1));
+  }
+
+  if (start > end) {
+    throw createError('VALIDATION_ERROR', 'startDate 不能晚于 endDate');
+  }
+
+  const days = Math.round((end - start) / (24 * 60 * 60 * 1000)) + 1;
+  if (days > MAX_RANGE_DAYS) {
+    throw createError('VALIDATION_ERROR', `统计范围不能超过 ${MAX_RANGE_DAYS} 天`);
+  }
+
+  return { startDate: formatDate(start), endDate: formatDate(end) };
+}
+
+/**
+ * 记录一条回复的用量
+ *
+ * 【说明】
+ * 提供商没有返回用量时仍然记录（token 数为 null），保证请求数和耗时统计完整
+ *
+ * @param {Object} options - 用量信息
+ * @param {string} options.eventId - Agent 回复的 Event ID
+ * @param {string} options.userId - 用户 ID
+ * @param {string} options.agentId - Agent ID
+ * @param {string} options.sessionId - 会话 ID
+ * @param {string} options.model - 实际使用的模型
+ * @param {string} options.provider - 实际使用的提供商
+ * @param {Object|null} options.usage - { promptTokens, completionTokens, latencyMs }
+ * @returns {Promise<Object>} 保存的记录
+ */
+async function recordUsage(options) {
+  const { eventId, userId, agentId, sessionId, model, provider, usage } = options;
+  const createdAt = Date.now();
+
+  return usageRepository.create({
+    id: generateId(),
+    eventId,
+    userId,
+    agentId,
+    sessionId,
+    model,
+    provider,
+    promptTokens: usage?.promptTokens ?? null,
+    completionTokens: usage?.completionTokens ?? null,
+    latencyMs: usage?.latencyMs || 0,
+    cost: calculateCost(usage, getModelPricing(model, provider)),
+    usageDate: formatDate(createdAt),
+    createdAt,
+  });
+}
+
+/**
+ * 获取用户自己的用量
+ *
+ * @param {string} userId - 用户 ID
+ * @param {Object} [range] - { startDate, endDate }
+ * @returns {Promise<Object>} { range, totals, daily, agents, models }
+ * @throws {Error} VALIDATION_ERROR
+ */
+async function getUserUsage(userId, range) {
+  if (!userId || typeof userId !== 'string') {
+    throw createError('VALIDATION_ERROR', '用户 ID 不能为空');
+  }
+
+  const resolved = resolveDateRange(range);
+  const filters = { ...resolved, userId };
+
+  const [totals, daily, agents, models] = await Promise.all([
+    usageRepository.getTotals(filters),
+    usageRepository.aggregate('day', filters),
+    usageRepository.aggregate('agent', filters, DEFAULT_GROUP_LIMIT),
+    usageRepository.aggregate('model', filters, DEFAULT_GROUP_LIMIT),
+  ]);
+
+  return { range: resolved, totals, daily, agents, models };
+}
+
+/**
+ * 获取全站用量统计（管理后台）
+ *
+ * @param {string} groupBy - 分组方式：user / agent / model / day
+ * @param {Object} [options] - 选项
+ * @param {string} [options.startDate] - 开始日期
+ * @param {string} [options.endDate] - 结束日期
+ * @param {string} [options.userId] - 只统计该用户
+ * @param {string} [options.agentId] - 只统计该 Agent
+ * @param {number|string} [options.limit] - 最多返回的分组数（按日期分组时忽略，默认 50，最大 500）
+ * @returns {Promise<Object>} { range, groupBy, totals, items }
+ * @throws {Error} VALIDATION_ERROR
+ */
+async function getUsageStatistics(groupBy, options = {}) {
+  if (!GROUP_BY_OPTIONS.includes(groupBy)) {
+    throw createError('VALIDATION_ERROR', `不支持的分组方式：${groupBy}`);
+  }
+
+  const resolved = resolveDateRange(options);
+  const filters = { ...resolved, userId: options.userId, agentId: options.agentId };
+
+  let limit = null;
+  if (groupBy !== 'day') {
+    limit = parseInt(options.limit, 10);
+    if (!Number.isFinite(limit) || limit < 1) {
+      limit = DEFAULT_GROUP_LIMIT;
+    }
+    limit = Math.min(limit, 500);
+  }
+
+  const [totals, items] = await Promise.all([
+    usageRepository.getTotals(filters),
+    usageRepository.aggregate(groupBy, filters, limit),
+  ]);
+
+  return { range: resolved, groupBy, totals, items };
+}
+
+module.exports = {
+  formatDate,
+  parseDate,
+  calculateCost,
+  resolveDateRange,
+  recordUsage,
+  getUserUsage,
+  getUsageStatistics,
+};
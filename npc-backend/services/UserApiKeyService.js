@@ -0,0 +1,317 @@
+/**
+ * ============================================
+ * 用户 API Key 服务 (UserApiKeyService.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 管理用户为各个提供商保存的个人 API Key，并在生成回复时决定使用哪个 Key
+ *
+ * 【主要功能】
+ * 1. 列表：返回可以填写个人 Key 的提供商及脱敏后的 Key（接口中不出现明文）
+ * 2. 保存：校验格式 → 向提供商发起一次不消耗 token 的请求验证 Key → 加密后保存
+ * 3. 删除
+ * 4. 解析调用用的 Key：有个人 Key 用个人 Key；没有时按管理员设置决定能否使用共享 Key 池
+ *
+ * 【工作流程】
+ * 生成回复 → resolveApiKeys(userId, provider)
+ *   → 本地服务（auth: none）：不需要 Key
+ *   → 有个人 Key：解密后使用（只用这一个 Key，不回退到共享 Key 池）
+ *   → 没有个人 Key：shared_key_pool_enabled 为 true 时使用共享 Key 池，否则抛出 API_KEY_REQUIRED
+ *
+ * 【安全】
+ * - 明文 Key 只在保存时和调用 LLM 时短暂出现在内存中
+ * - 日志只记录用户 ID、提供商和脱敏后的 Key
+ * - 个人 Key 解密失败（例如主密钥已更换）时按"没有个人 Key"处理并打印警告
+ *
+ * 【依赖】
+ * - repositories/UserApiKeyRepository.js: 数据访问
+ * - services/SettingsService.js: 共享 Key 池开关
+ * - services/adapters: 构建 Key 校验请求
+ * - config/providers.js: 提供商信息
+ * - utils/encryption.js: 加密、解密和脱敏
+ *
+ * 【被谁使用】
+ * - routes/apiKeys.js: 用户设置中的 API Key 管理
+ * - services/LLMService.js: 生成回复时解析 API Key
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+const userApiKeyRepository = require('../repositories/UserApiKeyRepository');
+const settingsService = require('./SettingsService');
+const { getAdapter } = require('./adapters');
+const {
+  getProviders,
+  getProvider,
+  getProviderApiKeys,
+  buildProviderHeaders,
+} = require('../config/providers');
+const {
+  isEncryptionConfigured,
+  encryptSecret,
+  decryptSecret,
+  maskSecret,
+} = require('../utils/encryption');
+
+/**
+ * 共享 Key 池开关的设置名称
+ */
+const SHARED_POOL_SETTING = 'shared_key_pool_enabled';
+
+/**
+ * Key 校验请求超时时间（毫秒）
+ */
+const VALIDATION_TIMEOUT = 10000;
+
+/**
+ * API Key 长度限制
+ */
+const MIN_KEY_LENGTH = 8;
+const MAX_KEY_LENGTH = 500;
+
+/**
+ * 生成 ID
+ *
+ * 【ID 格式】
+ * uak_1703001234567_abc123
+ *
+ * @returns {string} ID
+ */
+function generateId() {
+  const timestamp = Date.now();
+  const random = Math.random().toString(36).substring(2, 8);
+  return `uak_${timestamp}_${random}`;
+}
+
+/**
+ * 创建错误对象
+ *
+ * @param {string} code - 错误码
+ * @param {string} message - 错误信息
+ * @returns {Error} 错误对象
+ */
+function createError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * 提供商是否接受个人 API Key
+ *
+ * @param {Object} provider - 提供商定义
+ * @returns {boolean} 已启用且需要认证
+ */
+function acceptsUserKey(provider) {
+  return Boolean(provider && provider.enabled && provider.authStyle !== 'none');
+}
+
+/**
+ * 获取接受个人 Key 的提供商，不存在或不接受时抛出错误
+ *
+ * @param {string} providerName - 提供商名称
+ * @returns {Object} 提供商定义
+ * @throws {Error} INVALID_PROVIDER
+ */
+function getKeyProvider(providerName) {
+  const provider = getProvider(providerName);
+  if (!provider || !provider.enabled) {
+    throw createError('INVALID_PROVIDER', `不支持的提供商：${providerName}`);
+  }
+  if (provider.authStyle === 'none') {
+    throw createError('INVALID_PROVIDER', `提供商 ${providerName} 不需要 API Key`);
+  }
+  return provider;
+}
+
+/**
+ * 转换为接口返回格式（不包含密文）
+ *
+ * @param {Object} provider - 提供商定义
+ * @param {Object|null} record - API Key 记录
+ * @returns {Object} { provider, label, configured, keyHint, validatedAt, updatedAt, sharedKeyAvailable }
+ */
+function toPublicKey(provider, record) {
+  return {
+    provider: provider.name,
+    label: provider.label,
+    configured: Boolean(record),
+    keyHint: record ? record.keyHint : null,
+    validatedAt: record ? record.validatedAt : null,
+    updatedAt: record ? record.updatedAt : null,
+    sharedKeyAvailable: getProviderApiKeys(provider).length > 0,
+  };
+}
+
+/**
+ * 向提供商验证 API Key
+ *
+ * 【功能说明】
+ * 发送一个不消耗 token 的 GET 请求（OpenAI 格式为 /models，OpenRouter 为 /key，
+ * Anthropic 为 /v1/models，自定义提供商可用 validate_path 覆盖）
+ *
+ * @param {Object} provider - 提供商定义
+ * @param {string} apiKey - 明文 Key
+ * @returns {Promise<void>}
+ * @throws {Error} INVALID_API_KEY（401/403）/ API_KEY_VALIDATION_FAILED（其他失败）
+ */
+async function verifyWithProvider(provider, apiKey) {
+  const adapter = getAdapter(provider.api);
+  if (!adapter) {
+    throw createError('INVALID_PROVIDER', `提供商 ${provider.name} 的接口格式不受支持：${provider.api}`);
+  }
+
+  const request = adapter.buildValidationRequest({ baseUrl: provider.baseUrl });
+  const url = provider.validatePath ? `${provider.baseUrl}${provider.validatePath}` : request.url;
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), VALIDATION_TIMEOUT);
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'GET',
+      headers: { ...request.headers, ...buildProviderHeaders(provider, apiKey) },
+      signal: controller.signal,
+    });
+  } catch (error) {
+    throw createError(
+      'API_KEY_VALIDATION_FAILED',
+      error.name === 'AbortError'
+        ? '验证 API Key 超时，请稍后重试'
+        : `无法连接 ${provider.label}，请稍后重试`
+    );
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  if (response.status === 401 || response.status === 403) {
+    throw createError('INVALID_API_KEY', `API Key 无效或没有权限（${provider.label} 返回 ${response.status}）`);
+  }
+  if (!response.ok) {
+    throw createError('API_KEY_VALIDATION_FAILED', `验证 API Key 失败：${provider.label} 返回 ${response.status}`);
+  }
+}
+
+/**
+ * 获取用户的 API Key 列表
+ *
+ * @param {string} userId - 用户 ID
+ * @returns {Promise<Object>} { keys: [...], sharedPoolEnabled, encryptionConfigured }
+ */
+async function listApiKeys(userId) {
+  const [records, sharedPoolEnabled] = await Promise.all([
+    userApiKeyRepository.findByUser(userId),
+    settingsService.getSetting(SHARED_POOL_SETTING),
+  ]);
+  const recordMap = new Map(records.map((record) => [record.provider, record]));
+
+  return {
+    keys: getProviders()
+      .filter(acceptsUserKey)
+      .map((provider) => toPublicKey(provider, recordMap.get(provider.name) || null)),
+    sharedPoolEnabled,
+    encryptionConfigured: isEncryptionConfigured(),
+  };
+}
+
+/**
+ * 保存 API Key
+ *
+ * @param {string} userId - 用户 ID
+ * @param {string} providerName - 提供商名称
+ * @param {string} apiKey - 明文 Key
+ * @returns {Promise<Object>} 脱敏后的 Key 信息
+ * @throws {Error} VALIDATION_ERROR / INVALID_PROVIDER / MASTER_KEY_MISSING / INVALID_API_KEY / API_KEY_VALIDATION_FAILED
+ */
+async function saveApiKey(userId, providerName, apiKey) {
+  const provider = getKeyProvider(providerName);
+
+  const key = typeof apiKey === 'string' ? apiKey.trim() : '';
+  if (!key) {
+    throw createError('VALIDATION_ERROR', 'API Key 不能为空');
+  }
+  if (key.length < MIN_KEY_LENGTH || key.length > MAX_KEY_LENGTH || /\s/.test(key)) {
+    throw createError('VALIDATION_ERROR', 'API Key 格式不正确');
+  }
+
+  if (!isEncryptionConfigured()) {
+    throw createError('MASTER_KEY_MISSING', '服务器未配置 API_KEY_MASTER_KEY，暂时无法保存个人 API Key');
+  }
+
+  await verifyWithProvider(provider, key);
+
+  const record = await userApiKeyRepository.upsert({
+    id: generateId(),
+    userId,
+    provider: provider.name,
+    encryptedKey: encryptSecret(key),
+    keyHint: maskSecret(key),
+    validatedAt: Date.now(),
+  });
+
+  console.log(`[UserApiKeyService] User ${userId} saved ${provider.name} API Key ${maskSecret(key)}`);
+  return toPublicKey(provider, record);
+}
+
+/**
+ * 删除 API Key
+ *
+ * @param {string} userId - 用户 ID
+ * @param {string} providerName - 提供商名称
+ * @returns {Promise<void>}
+ * @throws {Error} API_KEY_NOT_FOUND
+ */
+async function deleteApiKey(userId, providerName) {
+  const deleted = await userApiKeyRepository.deleteByUserAndProvider(userId, providerName);
+  if (!deleted) {
+    throw createError('API_KEY_NOT_FOUND', '没有保存该提供商的 API Key');
+  }
+
+  console.log(`[UserApiKeyService] User ${userId} deleted ${providerName} API Key`);
+}
+
+/**
+ * 解析生成回复时使用的 API Key
+ *
+ * @param {string} userId - 用户 ID
+ * @param {string} providerName - 提供商名称
+ * @returns {Promise<Object>} { source: 'user' | 'pool' | 'none', apiKeys: Array<string>|null }
+ *   apiKeys 为 null 表示使用共享 Key 池（由 LLMService 读取环境变量）
+ * @throws {Error} API_KEY_REQUIRED（没有个人 Key 且共享 Key 池已关闭）
+ */
+async function resolveApiKeys(userId, providerName) {
+  const provider = getProvider(providerName);
+  if (!provider || provider.authStyle === 'none') {
+    return { source: 'none', apiKeys: null };
+  }
+
+  const record = await userApiKeyRepository.findByUserAndProvider(userId, provider.name);
+  if (record) {
+    try {
+      return { source: 'user', apiKeys: [decryptSecret(record.encryptedKey)] };
+    } catch (error) {
+      console.warn(
+        `[UserApiKeyService] Unable to decrypt ${provider.name} API Key ${record.keyHint} for user ${userId}: ${error.code}`
+      );
+    }
+  }
+
+  const sharedPoolEnabled = await settingsService.getSetting(SHARED_POOL_SETTING);
+  if (!sharedPoolEnabled) {
+    throw createError(
+      'API_KEY_REQUIRED',
+      `请先在设置中填写你自己的 ${provider.label} API Key`
+    );
+  }
+
+  return { source: 'pool', apiKeys: null };
+}
+
+module.exports = {
+  listApiKeys,
+  saveApiKey,
+  deleteApiKey,
+  resolveApiKeys,
+};
@@ -4,10 +4,56 @@
  * ============================================
  *
  * 【职责】
- * 处理用户相关的业务逻辑：注册、登录验证
+ * 处理用户相关的业务逻辑：注册、登录验证、角色管理
+ *
+ * 【密码存储】
+ * - 所有设置密码的入口（注册、凭恢复码重置、管理员重置、自动登录补默认密码）都经过 savePassword / hashPassword
+ * - 密码以 scrypt 哈希保存（utils/password.js），历史明文密码在登录成功后自动升级为哈希
+ * - 用户自己设置的密码需要通过强度校验（utils/validator.js）
+ * - 不在日志中输出任何密码相关内容
+ *
+ * 【登录状态】
+ * - 被禁用（status = disabled）的账号不能登录
+ * - 修改密码、禁用账号时吊销该用户的全部 Refresh Token（services/TokenService.js），所有设备需要重新登录
  */
 
 const userRepository = require('../repositories/UserRepository');
+const validator = require('../utils/validator');
+const { hashPassword, verifyPassword } = require('../utils/password');
+const { getAutoLoginCutoff } = require('../config/auth');
+const tokenService = require('./TokenService');
+
+/**
+ * 支持的用户角色
+ * - user：普通用户
+ * - admin：管理员
+ */
+const USER_ROLES = ['user', 'admin'];
+
+/**
+ * 未设置密码时使用的默认密码（注册时不填密码、老用户自动登录）
+ */
+const DEFAULT_PASSWORD = '123456';
+
+/**
+ * 支持的账号状态
+ * - active：正常
+ * - disabled：已禁用，不能登录
+ */
+const USER_STATUSES = ['active', 'disabled'];
+
+/**
+ * 检查账号是否被禁用
+ *
+ * @param {Object} user - 用户对象
+ */
+function assertUserActive(user) {
+  if (user.status === 'disabled') {
+    const error = new Error('账号已被禁用');
+    error.code = 'USER_DISABLED';
+    throw error;
+  }
+}
 
 /**
  * 用户登录
@@ -37,32 +83,25 @@ async function login(userId, password) {
     throw error;
   }
 
-  // 验证密码（账号密码双重匹配）
-  // 添加调试日志
-  console.log('🔐 Password verification:');
-  console.log(`   User ID: ${userId}`);
-  console.log(`   Expected password: "${user.password}" (length: ${user.password?.length || 0})`);
-  console.log(`   Expected password bytes (hex): ${user.password ? Buffer.from(user.password).toString('hex') : 'none'}`);
-  console.log(`   Received password: "${password}" (length: ${password?.length || 0})`);
-  console.log(`   Received password bytes (hex): ${password ? Buffer.from(password).toString('hex') : 'none'}`);
-  console.log(`   Passwords match: ${user.password === password}`);
-  console.log(`   Character-by-character comparison:`);
-  if (user.password && password) {
-    const maxLen = Math.max(user.password.length, password.length);
-    for (let i = 0; i < maxLen; i++) {
-      const expectedChar = user.password[i] || '(missing)';
-      const receivedChar = password[i] || '(missing)';
-      const match = expectedChar === receivedChar ? '✓' : '✗';
-      console.log(`     [${i}]: expected="${expectedChar}" (${expectedChar.charCodeAt(0)}), received="${receivedChar}" (${receivedChar.charCodeAt(0)}), ${match}`);
-    }
-  }
-  
-  if (user.password !== password) {
+  // 验证密码（兼容历史明文密码）
+  const { valid, needsRehash } = await verifyPassword(password, user.password);
+  if (!valid) {
     const error = new Error('密码错误');
     error.code = 'INVALID_PASSWORD';
     throw error;
   }
 
+  assertUserActive(user);
+
+  // 明文或参数过时的密码：登录成功后重新哈希保存（失败不影响登录）
+  if (needsRehash) {
+    try {
+      await userRepository.updatePassword(user.id, await hashPassword(password));
+    } catch (error) {
+      console.warn(`[UserService] Failed to upgrade password hash for user ${user.id}:`, error.message);
+    }
+  }
+
   // 返回用户信息（不含密码）
   const { password: _, ...userInfo } = user;
   return userInfo;
@@ -95,14 +134,18 @@ async function register(data) {
     throw error;
   }
 
-  // 3. 如果密码为空或未提供，使用默认密码123456
-  const finalPassword = password && password.trim() !== '' ? password : '123456';
+  // 3. 如果密码为空或未提供，使用默认密码123456；用户自己设置的密码需要通过强度校验
+  const hasPassword = password && password.trim() !== '';
+  if (hasPassword) {
+    validator.passwordStrength(password, { userId });
+  }
+  const finalPassword = hasPassword ? password : DEFAULT_PASSWORD;
 
-  // 4. 创建用户
+  // 4. 创建用户（保存密码哈希）
   const newUser = await userRepository.create({
     id: userId, // 这里允许前端传入自定义 ID，或者后端生成
     username,
-    password: finalPassword
+    password: await hashPassword(finalPassword)
   });
 
   const { password: _, ...userInfo } = newUser;
@@ -110,13 +153,18 @@ async function register(data) {
 }
 
 /**
- * 忘记密码 - 重置密码
+ * 重置用户密码
+ *
+ * 【功能说明】
+ * 不校验旧密码，调用方负责身份验证：
+ * - 管理员重置（routes/admin.js，需要管理员角色）
+ * - 忘记密码（AccountRecoveryService，需要恢复码或重置码）
+ *
  * @param {string} userId - 用户 ID
  * @param {string} newPassword - 新密码
  * @returns {Promise<Object>} 更新后的用户信息
  */
-async function forgotPassword(userId, newPassword) {
-  // 验证必填参数
+async function resetPassword(userId, newPassword) {
   if (!userId) {
     const error = new Error('用户 ID 不能为空');
     error.code = 'VALIDATION_ERROR';
@@ -129,6 +177,20 @@ async function forgotPassword(userId, newPassword) {
     throw error;
   }
 
+  return await savePassword(userId, newPassword.trim());
+}
+
+/**
+ * 校验并保存新密码
+ *
+ * 【功能说明】
+ * 所有修改密码的入口共用：检查用户存在 → 强度校验 → 哈希 → 保存
+ *
+ * @param {string} userId - 用户 ID
+ * @param {string} newPassword - 新密码（已去除首尾空格）
+ * @returns {Promise<Object>} 更新后的用户信息（不含密码）
+ */
+async function savePassword(userId, newPassword) {
   // 检查用户是否存在
   const user = await userRepository.findById(userId);
   if (!user) {
@@ -137,8 +199,10 @@ async function forgotPassword(userId, newPassword) {
     throw error;
   }
 
-  // 更新密码
-  const updatedUser = await userRepository.updatePassword(userId, newPassword.trim());
+  validator.passwordStrength(newPassword, { userId });
+
+  // 更新密码（保存哈希）
+  const updatedUser = await userRepository.updatePassword(userId, await hashPassword(newPassword));
   
   if (!updatedUser) {
     const error = new Error('更新密码失败');
@@ -146,6 +210,9 @@ async function forgotPassword(userId, newPassword) {
     throw error;
   }
 
+  // 密码已更换，其他设备上的登录全部失效
+  await tokenService.revokeAllForUser(userId, tokenService.REVOKE_REASONS.PASSWORD_CHANGED);
+
   // 返回用户信息（不含密码）
   const { password: _, ...userInfo } = updatedUser;
   return userInfo;
@@ -153,7 +220,12 @@ async function forgotPassword(userId, newPassword) {
 
 /**
  * 自动登录（用于老用户迁移）
- * 对于在 2025-11-25 之前注册的用户，允许自动登录
+ *
+ * 【允许条件】
+ * 1. 自动登录未关闭（AUTO_LOGIN_CUTOFF，见 config/auth.js）
+ * 2. 注册时间早于截止时间
+ * 3. 从未设置过自己的密码（密码为空或仍是默认密码），设置过密码的账号必须用密码登录
+ *
  * @param {string} userId - 用户 ID
  * @returns {Promise<Object>} 用户信息
  */
@@ -174,23 +246,28 @@ async function autoLogin(userId) {
     throw error;
   }
 
-  // 检查注册日期：2025-11-25 00:00:00 的时间戳（毫秒）
-  // 注意：使用 UTC 时间，确保时区一致
-  const migrationDate = new Date('2025-11-25T00:00:00.000Z').getTime();
-  
-  // 如果用户注册日期在迁移日期之后（包括等于），不允许自动登录
-  // 只有注册日期在 2025-11-25 00:00:00 之前的用户才能自动登录
-  if (user.createdAt >= migrationDate) {
+  assertUserActive(user);
+
+  // 检查注册日期：只有注册时间早于截止时间的用户才能自动登录
+  const cutoff = getAutoLoginCutoff();
+  if (cutoff === null || user.createdAt >= cutoff) {
     const error = new Error('该用户需要密码登录');
     error.code = 'AUTO_LOGIN_NOT_ALLOWED';
     throw error;
   }
 
-  // 如果用户密码为空或等于默认密码，自动设置为默认密码（确保后续可以正常登录）
+  // 已设置自己密码的账号不能跳过密码
+  const hasPassword = Boolean(user.password);
+  if (hasPassword && !(await verifyPassword(DEFAULT_PASSWORD, user.password)).valid) {
+    const error = new Error('该用户需要密码登录');
+    error.code = 'AUTO_LOGIN_NOT_ALLOWED';
+    throw error;
+  }
+
+  // 密码为空时设置为默认密码（确保后续可以正常登录）
   let finalUser = user;
-  if (!user.password || user.password === '') {
-    // 为老用户设置默认密码（如果还没有）
-    const updatedUser = await userRepository.updatePassword(userId, '123456');
+  if (!hasPassword) {
+    const updatedUser = await userRepository.updatePassword(userId, await hashPassword(DEFAULT_PASSWORD));
     if (updatedUser) {
       finalUser = updatedUser; // 使用更新后的用户信息
     }
@@ -258,12 +335,107 @@ async function markVersionRead(userId, version) {
   return userInfo;
 }
 
+/**
+ * 修改用户角色（管理员操作）
+ *
+ * 【功能说明】
+ * 管理员不能修改自己的角色，避免误操作后没有管理员可以登录管理后台
+ *
+ * @param {string} userId - 目标用户 ID
+ * @param {string} role - 新角色（user / admin）
+ * @param {string} operatorId - 执行操作的管理员 ID
+ * @returns {Promise<Object>} 更新后的用户信息
+ */
+async function updateUserRole(userId, role, operatorId) {
+  if (!userId) {
+    const error = new Error('用户 ID 不能为空');
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  if (!USER_ROLES.includes(role)) {
+    const error = new Error('无效的用户角色');
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  if (userId === operatorId) {
+    const error = new Error('不能修改自己的角色');
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  const updatedUser = await userRepository.updateRole(userId, role);
+
+  if (!updatedUser) {
+    const error = new Error('用户不存在');
+    error.code = 'USER_NOT_FOUND';
+    throw error;
+  }
+
+  // 返回用户信息（不含密码）
+  const { password: _, ...userInfo } = updatedUser;
+  return userInfo;
+}
+
+/**
+ * 启用或禁用用户（管理员操作）
+ *
+ * 【功能说明】
+ * 禁用后该用户不能登录，已有的 Refresh Token 全部吊销；
+ * 管理员不能修改自己的状态，避免把自己锁在管理后台外
+ *
+ * @param {string} userId - 目标用户 ID
+ * @param {string} status - 新状态（active / disabled）
+ * @param {string} operatorId - 执行操作的管理员 ID
+ * @returns {Promise<Object>} 更新后的用户信息
+ */
+async function updateUserStatus(userId, status, operatorId) {
+  if (!userId) {
+    const error = new Error('用户 ID 不能为空');
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  if (!USER_STATUSES.includes(status)) {
+    const error = new Error('无效的账号状态');
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  if (userId === operatorId) {
+    const error = new Error('不能修改自己的账号状态');
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  const updatedUser = await userRepository.updateStatus(userId, status);
+
+  if (!updatedUser) {
+    const error = new Error('用户不存在');
+    error.code = 'USER_NOT_FOUND';
+    throw error;
+  }
+
+  if (status === 'disabled') {
+    await tokenService.revokeAllForUser(userId, tokenService.REVOKE_REASONS.USER_DISABLED);
+  }
+
+  // 返回用户信息（不含密码）
+  const { password: _, ...userInfo } = updatedUser;
+  return userInfo;
+}
+
 module.exports = {
+  USER_ROLES,
+  USER_STATUSES,
   login,
   register,
-  forgotPassword,
+  resetPassword,
   autoLogin,
   getUserById,
   markVersionRead,
+  updateUserRole,
+  updateUserStatus,
 };
 
@@ -0,0 +1,282 @@
+/**
+ * ============================================
+ * Anthropic Messages 适配器 (AnthropicMessagesAdapter.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 把统一的调用参数转换为 Anthropic 原生的 /v1/messages 请求，并解析响应
+ *
+ * 【与 OpenAI 格式的区别】
+ * - system prompt 放在顶层 system 字段，不在 messages 里
+ * - 消息内容是内容块数组 [{ type: 'text', text }]，响应也是内容块
+ * - 必须传 max_tokens
+ * - temperature 范围是 0-1（超出时截断），停止序列字段为 stop_sequences，不支持 frequency/presence penalty
+ * - 结束原因是 stop_reason（end_turn / max_tokens / stop_sequence）
+ * - 流式事件带 type 字段：content_block_delta 携带增量文本，message_stop 表示结束
+ * - token 用量字段为 usage.input_tokens / output_tokens；流式时分别在 message_start 和 message_delta 中返回
+ * - 错误格式：{ type: 'error', error: { type, message } }，过载时返回 529
+ *
+ * 【消息整理】
+ * - 连续同角色的消息合并为一条（内容块依次排列）
+ * - 开头的 assistant 消息丢弃（第一条消息必须来自 user）
+ * - role 为 system 的消息追加到顶层 system
+ * - 空内容的消息跳过（API 不接受空文本块）
+ *
+ * 【被谁使用】
+ * - services/adapters/index.js: 按提供商的 api 字段选择适配器
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+/**
+ * Anthropic API 版本（请求头 anthropic-version）
+ */
+const ANTHROPIC_VERSION = "2023-06-01";
+
+/**
+ * 未指定时的最大输出 token 数
+ */
+const DEFAULT_MAX_TOKENS = 4096;
+
+/**
+ * 支持的生成参数
+ */
+const SUPPORTED_PARAMS = ["temperature", "maxTokens", "topP", "stop"];
+
+/**
+ * 未指定时的 temperature
+ */
+const DEFAULT_TEMPERATURE = 0.7;
+
+/**
+ * 把统一格式的消息整理为 Anthropic 格式
+ *
+ * @param {string} systemPrompt - System prompt
+ * @param {Array<Object>} messages - 消息列表 [{ role, content }]
+ * @returns {Object} { system, messages }
+ */
+function toAnthropicMessages(systemPrompt, messages) {
+  const systemParts = systemPrompt ? [systemPrompt] : [];
+  const result = [];
+
+  for (const message of messages) {
+    const text = typeof message.content === "string" ? message.content : "";
+    if (!text.trim()) {
+      continue;
+    }
+
+    if (message.role === "system") {
+      systemParts.push(text);
+      continue;
+    }
+
+    const role = message.role === "assistant" ? "assistant" : "user";
+    if (result.length === 0 && role === "assistant") {
+      continue;
+    }
+
+    const last = result[result.length - 1];
+    if (last && last.role === role) {
+      last.content.push({ type: "text", text });
+    } else {
+      result.push({ role, content: [{ type: "text", text }] });
+    }
+  }
+
+  return {
+    system: systemParts.join("\n\n"),
+    messages: result,
+  };
+}
+
+/**
+ * 构建请求
+ *
+ * @param {Object} params - 调用参数
+ * @param {string} params.baseUrl - 提供商接口地址（如 https://api.anthropic.com/v1）
+ * @param {string} params.model - 模型名称
+ * @param {string} params.systemPrompt - System prompt
+ * @param {Array<Object>} params.messages - 消息列表 [{ role, content }]
+ * @param {boolean} [params.stream] - 是否流式输出
+ * @param {number} [params.maxTokens] - 最大输出 token 数（生成参数中没有 maxTokens 时使用）
+ * @param {Object} [params.generationParams] - 生成参数（已去掉不支持的参数）
+ * @returns {Object} { url, headers, body }
+ */
+function buildRequest(params) {
+  const { baseUrl, model, systemPrompt, messages, stream, maxTokens, generationParams = {} } = params;
+  const converted = toAnthropicMessages(systemPrompt, messages);
+
+  const body = {
+    model: model,
+    max_tokens: generationParams.maxTokens || maxTokens || DEFAULT_MAX_TOKENS,
+    messages: converted.messages,
+    temperature: Math.min(generationParams.temperature ?? DEFAULT_TEMPERATURE, 1),
+  };
+  if (generationParams.topP !== undefined) {
+    body.top_p = generationParams.topP;
+  }
+  if (generationParams.stop !== undefined) {
+    body.stop_sequences = generationParams.stop;
+  }
+  if (converted.system) {
+    body.system = converted.system;
+  }
+  if (stream) {
+    body.stream = true;
+  }
+
+  return {
+    url: `${baseUrl}/messages`,
+    headers: {
+      "anthropic-version": ANTHROPIC_VERSION,
+    },
+    body,
+  };
+}
+
+/**
+ * 构建 API Key 校验请求
+ *
+ * 【说明】
+ * GET /v1/models 同样需要 x-api-key 和 anthropic-version，不消耗 token
+ *
+ * @param {Object} params - 参数
+ * @param {string} params.baseUrl - 提供商接口地址
+ * @returns {Object} { url, headers }
+ */
+function buildValidationRequest(params) {
+  return {
+    url: `${params.baseUrl}/models`,
+    headers: {
+      "anthropic-version": ANTHROPIC_VERSION,
+    },
+  };
+}
+
+/**
+ * 拼接文本内容块
+ *
+ * @param {Array<Object>} blocks - 内容块列表
+ * @returns {string} 文本
+ */
+function joinTextBlocks(blocks) {
+  return (Array.isArray(blocks) ? blocks : [])
+    .filter((block) => block && block.type === "text" && typeof block.text === "string")
+    .map((block) => block.text)
+    .join("");
+}
+
+/**
+ * 解析 token 用量
+ *
+ * @param {Object} [usage] - 响应或事件中的 usage 字段
+ * @returns {Object|null} { promptTokens, completionTokens }，没有用量信息时返回 null
+ */
+function parseUsage(usage) {
+  if (!usage || typeof usage !== "object") {
+    return null;
+  }
+  return {
+    promptTokens: Number.isFinite(usage.input_tokens) ? usage.input_tokens : null,
+    completionTokens: Number.isFinite(usage.output_tokens) ? usage.output_tokens : null,
+  };
+}
+
+/**
+ * 解析非流式响应
+ *
+ * @param {Object} data - 响应 JSON
+ * @returns {Object|null} { content, stopReason, truncated, usage }，没有文本内容时返回 null
+ */
+function parseResponse(data) {
+  const content = joinTextBlocks(data?.content);
+  if (!content) {
+    return null;
+  }
+
+  return {
+    content,
+    stopReason: data.stop_reason || null,
+    truncated: data.stop_reason === "max_tokens",
+    usage: parseUsage(data.usage),
+  };
+}
+
+/**
+ * 解析一条流式事件（SSE data 行的 JSON）
+ *
+ * @param {Object} data - 事件 JSON
+ * @returns {Object} { delta, done, stopReason, usage? }（usage 只在 message_start / message_delta 中出现）
+ * @throws {Object} 收到 error 事件时抛出 { code, message, errorType }
+ */
+function parseStreamEvent(data) {
+  switch (data.type) {
+    case "message_start": {
+      // 输入 token 数在 message_start 中给出（output_tokens 此时只是初始值，以 message_delta 为准）
+      const usage = parseUsage(data.message?.usage);
+      const event = { delta: "", done: false, stopReason: null };
+      if (usage) {
+        event.usage = { promptTokens: usage.promptTokens };
+      }
+      return event;
+    }
+    case "content_block_delta":
+      return {
+        delta: data.delta?.type === "text_delta" ? data.delta.text || "" : "",
+        done: false,
+        stopReason: null,
+      };
+    case "message_delta": {
+      const usage = parseUsage(data.usage);
+      const event = { delta: "", done: false, stopReason: data.delta?.stop_reason || null };
+      if (usage) {
+        event.usage = { completionTokens: usage.completionTokens };
+      }
+      return event;
+    }
+    case "message_stop":
+      return { delta: "", done: true, stopReason: null };
+    case "error":
+      throw {
+        code: "LLM_API_ERROR",
+        message: data.error?.message || "LLM API 流式响应出错",
+        errorType: data.error?.type || null,
+      };
+    default:
+      // content_block_start、content_block_stop、ping 不携带文本
+      return { delta: "", done: false, stopReason: null };
+  }
+}
+
+/**
+ * 错误分类
+ *
+ * 【分类规则】
+ * - retryNextKey：401/403/429，换一个 API Key 可能成功
+ * - retryable：408/429/5xx（含 529 overloaded_error），稍后重试可能成功
+ *
+ * @param {number} status - HTTP 状态码
+ * @param {Object} data - 错误响应 JSON（解析失败时为空对象）
+ * @param {string} [statusText] - HTTP 状态文本
+ * @returns {Object} { message, type, retryNextKey, retryable }
+ */
+function classifyError(status, data, statusText) {
+  return {
+    message: data?.error?.message || `LLM API 调用失败：${status} ${statusText || ""}`.trim(),
+    type: data?.error?.type || null,
+    retryNextKey: status === 401 || status === 403 || status === 429,
+    retryable: status === 408 || status === 429 || status >= 500,
+  };
+}
+
+module.exports = {
+  name: "anthropic",
+  ANTHROPIC_VERSION,
+  supportedParams: SUPPORTED_PARAMS,
+  buildRequest,
+  buildValidationRequest,
+  parseResponse,
+  parseStreamEvent,
+  classifyError,
+};
@@ -0,0 +1,202 @@
+/**
+ * ============================================
+ * OpenAI Chat Completions 适配器 (OpenAIChatAdapter.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 把统一的调用参数转换为 OpenAI 兼容的 /chat/completions 请求，并解析响应
+ *
+ * 【适用提供商】
+ * OpenRouter、OpenAI、DeepSeek，以及 Ollama、vLLM、LM Studio 等 OpenAI 兼容接口
+ *
+ * 【接口格式】
+ * - 请求：{ model, messages: [{ role: 'system' }, ...], temperature, max_tokens, top_p, stop,
+ *   frequency_penalty, presence_penalty, stream }
+ * - 响应：choices[0].message.content、choices[0].finish_reason、usage: { prompt_tokens, completion_tokens }
+ * - 流式：data: { choices: [{ delta: { content } }] }，以 data: [DONE] 结束；
+ *   请求带 stream_options.include_usage 时，[DONE] 之前多一条 choices 为空、只带 usage 的数据
+ * - 错误：{ error: { message, type, code } }
+ *
+ * 【被谁使用】
+ * - services/adapters/index.js: 按提供商的 api 字段选择适配器
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+/**
+ * 支持的生成参数
+ */
+const SUPPORTED_PARAMS = ["temperature", "maxTokens", "topP", "stop", "frequencyPenalty", "presencePenalty"];
+
+/**
+ * 未指定时的 temperature
+ */
+const DEFAULT_TEMPERATURE = 0.7;
+
+/**
+ * 构建请求
+ *
+ * @param {Object} params - 调用参数
+ * @param {string} params.baseUrl - 提供商接口地址
+ * @param {string} params.model - 模型名称
+ * @param {string} params.systemPrompt - System prompt
+ * @param {Array<Object>} params.messages - 消息列表 [{ role, content }]
+ * @param {boolean} [params.stream] - 是否流式输出
+ * @param {Object} [params.generationParams] - 生成参数（已去掉不支持的参数）
+ * @returns {Object} { url, headers, body }
+ */
+function buildRequest(params) {
+  const { baseUrl, model, systemPrompt, messages, stream, generationParams = {} } = params;
+
+  const body = {
+    model: model,
+    messages: [
+      {
+        role: "system",
+        content: systemPrompt,
+      },
+      ...messages,
+    ],
+    temperature: generationParams.temperature ?? DEFAULT_TEMPERATURE,
+  };
+  if (generationParams.maxTokens !== undefined) {
+    body.max_tokens = generationParams.maxTokens;
+  }
+  if (generationParams.topP !== undefined) {
+    body.top_p = generationParams.topP;
+  }
+  if (generationParams.stop !== undefined) {
+    body.stop = generationParams.stop;
+  }
+  if (generationParams.frequencyPenalty !== undefined) {
+    body.frequency_penalty = generationParams.frequencyPenalty;
+  }
+  if (generationParams.presencePenalty !== undefined) {
+    body.presence_penalty = generationParams.presencePenalty;
+  }
+  if (stream) {
+    body.stream = true;
+    body.stream_options = { include_usage: true };
+  }
+
+  return {
+    url: `${baseUrl}/chat/completions`,
+    headers: {},
+    body,
+  };
+}
+
+/**
+ * 构建 API Key 校验请求
+ *
+ * 【说明】
+ * GET /models 需要有效的 Key，且不消耗 token
+ *
+ * @param {Object} params - 参数
+ * @param {string} params.baseUrl - 提供商接口地址
+ * @returns {Object} { url, headers }
+ */
+function buildValidationRequest(params) {
+  return {
+    url: `${params.baseUrl}/models`,
+    headers: {},
+  };
+}
+
+/**
+ * 解析 token 用量
+ *
+ * @param {Object} [usage] - 响应中的 usage 字段
+ * @returns {Object|null} { promptTokens, completionTokens }，没有用量信息时返回 null
+ */
+function parseUsage(usage) {
+  if (!usage || typeof usage !== "object") {
+    return null;
+  }
+  return {
+    promptTokens: Number.isFinite(usage.prompt_tokens) ? usage.prompt_tokens : null,
+    completionTokens: Number.isFinite(usage.completion_tokens) ? usage.completion_tokens : null,
+  };
+}
+
+/**
+ * 解析非流式响应
+ *
+ * @param {Object} data - 响应 JSON
+ * @returns {Object|null} { content, stopReason, truncated, usage }，格式异常时返回 null
+ */
+function parseResponse(data) {
+  const choice = data?.choices?.[0];
+  const content = choice?.message?.content;
+  if (typeof content !== "string" || !content) {
+    return null;
+  }
+
+  return {
+    content,
+    stopReason: choice.finish_reason || null,
+    truncated: choice.finish_reason === "length",
+    usage: parseUsage(data.usage),
+  };
+}
+
+/**
+ * 解析一条流式事件（SSE data 行的 JSON）
+ *
+ * @param {Object} data - 事件 JSON
+ * @returns {Object} { delta, done, stopReason }
+ * @throws {Object} 流中返回错误时抛出 { code, message, status }
+ */
+function parseStreamEvent(data) {
+  if (data.error) {
+    throw {
+      code: "LLM_API_ERROR",
+      message: data.error.message || "LLM API 流式响应出错",
+      status: data.error.code,
+    };
+  }
+
+  const choice = data.choices?.[0];
+  const event = {
+    delta: choice?.delta?.content || "",
+    done: false,
+    stopReason: choice?.finish_reason || null,
+  };
+  const usage = parseUsage(data.usage);
+  if (usage) {
+    event.usage = usage;
+  }
+  return event;
+}
+
+/**
+ * 错误分类
+ *
+ * 【分类规则】
+ * - retryNextKey：401/403/429，换一个 API Key 可能成功
+ * - retryable：408/429/5xx，稍后重试可能成功；其他 4xx 是请求本身的问题，重试无意义
+ *
+ * @param {number} status - HTTP 状态码
+ * @param {Object} data - 错误响应 JSON（解析失败时为空对象）
+ * @param {string} [statusText] - HTTP 状态文本
+ * @returns {Object} { message, type, retryNextKey, retryable }
+ */
+function classifyError(status, data, statusText) {
+  return {
+    message: data?.error?.message || `LLM API 调用失败：${status} ${statusText || ""}`.trim(),
+    type: data?.error?.type || data?.error?.code || null,
+    retryNextKey: status === 401 || status === 403 || status === 429,
+    retryable: status === 408 || status === 429 || status >= 500,
+  };
+}
+
+module.exports = {
+  name: "openai",
+  supportedParams: SUPPORTED_PARAMS,
+  buildRequest,
+  buildValidationRequest,
+  parseResponse,
+  parseStreamEvent,
+  classifyError,
+};
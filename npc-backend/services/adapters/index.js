@@ -0,0 +1,60 @@
+/**
+ * ============================================
+ * LLM 接口适配器 (adapters/index.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 按提供商的接口格式（api 字段）选择适配器，屏蔽不同厂商的请求和响应差异
+ *
+ * 【适配器接口】
+ * - name: 接口格式名称
+ * - supportedParams: 支持的生成参数名称（temperature、maxTokens、topP、stop、frequencyPenalty、presencePenalty 的子集）
+ * - buildRequest(params) → { url, headers, body }：构建请求（认证头由 config/providers.js 统一添加，
+ *   params.generationParams 中只会出现 supportedParams 里的参数）
+ * - buildValidationRequest({ baseUrl }) → { url, headers }：校验 API Key 的 GET 请求（不消耗 token）
+ * - parseResponse(data) → { content, stopReason, truncated, usage } | null：解析非流式响应，
+ *   usage 为 { promptTokens, completionTokens }，提供商没有返回用量时为 null
+ * - parseStreamEvent(data) → { delta, done, stopReason, usage? }：解析一条 SSE 事件，出错时抛出 { code, message }；
+ *   携带用量的事件返回 usage（可以只包含其中一项，由调用方合并）
+ * - classifyError(status, data, statusText) → { message, type, retryNextKey, retryable }：HTTP 错误分类
+ *
+ * 【已支持的格式】
+ * - openai: /chat/completions（默认，OpenRouter、OpenAI、DeepSeek、Ollama、vLLM、LM Studio）
+ * - anthropic: /v1/messages（Anthropic 原生接口）
+ *
+ * 【新增格式】
+ * 1. 在本目录实现上面的接口
+ * 2. 在 ADAPTERS 中登记
+ * 3. 在 config/providers.js 的 API_STYLES 中加入格式名称
+ *
+ * 【被谁使用】
+ * - services/LLMService.js: 调用 LLM API
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+const openaiChatAdapter = require("./OpenAIChatAdapter");
+const anthropicMessagesAdapter = require("./AnthropicMessagesAdapter");
+
+/**
+ * 已登记的适配器
+ */
+const ADAPTERS = {
+  [openaiChatAdapter.name]: openaiChatAdapter,
+  [anthropicMessagesAdapter.name]: anthropicMessagesAdapter,
+};
+
+/**
+ * 获取接口格式对应的适配器
+ *
+ * @param {string} [api] - 接口格式（默认 openai）
+ * @returns {Object|undefined} 适配器，不支持的格式返回 undefined
+ */
+function getAdapter(api) {
+  return ADAPTERS[api || openaiChatAdapter.name];
+}
+
+module.exports = {
+  getAdapter,
+};
@@ -0,0 +1,151 @@
+/**
+ * ============================================
+ * 密钥加密工具 (encryption.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 用服务端主密钥加密和解密需要落库的敏感字符串（用户自己的 API Key），并提供脱敏展示
+ *
+ * 【主要功能】
+ * 1. 加密：AES-256-GCM，每次使用随机 IV，带认证标签（密文被篡改时解密失败）
+ * 2. 解密
+ * 3. 脱敏：只保留首尾几位，用于接口返回和日志
+ *
+ * 【存储格式】
+ * v1:<iv(base64)>:<tag(base64)>:<密文(base64)>
+ * 版本号随密文一起保存，以后更换算法时旧数据仍然可以识别
+ *
+ * 【主密钥】
+ * 环境变量 API_KEY_MASTER_KEY（或 config.yaml 的 llm.user_api_keys.master_key），
+ * 任意长度的字符串，经 SHA-256 得到 32 字节密钥。未配置时加密和解密都会抛出
+ * MASTER_KEY_MISSING。更换主密钥后已保存的 Key 无法解密，用户需要重新填写
+ *
+ * 【被谁使用】
+ * - services/UserApiKeyService.js: 保存和读取用户 API Key
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const FORMAT_VERSION = 'v1';
+const IV_LENGTH = 12;
+const AUTH_TAG_LENGTH = 16;
+
+/**
+ * 创建错误对象
+ *
+ * @param {string} code - 错误码
+ * @param {string} message - 错误信息
+ * @returns {Error} 错误对象
+ */
+function createError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * 是否已配置主密钥
+ *
+ * @returns {boolean} 是否已配置
+ */
+function isEncryptionConfigured() {
+  return Boolean((process.env.API_KEY_MASTER_KEY || '').trim());
+}
+
+/**
+ * 读取主密钥（每次调用时读取环境变量）
+ *
+ * @returns {Buffer} 32 字节密钥
+ * @throws {Error} 未配置时抛出 MASTER_KEY_MISSING
+ */
+function getMasterKey() {
+  const secret = (process.env.API_KEY_MASTER_KEY || '').trim();
+  if (!secret) {
+    throw createError('MASTER_KEY_MISSING', '服务器未配置 API_KEY_MASTER_KEY，无法保存个人 API Key');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+/**
+ * 加密字符串
+ *
+ * @param {string} plaintext - 明文
+ * @returns {string} 密文（v1:iv:tag:data）
+ */
+function encryptSecret(plaintext) {
+  const key = getMasterKey();
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv, { authTagLength: AUTH_TAG_LENGTH });
+  const encrypted = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [
+    FORMAT_VERSION,
+    iv.toString('base64'),
+    tag.toString('base64'),
+    encrypted.toString('base64'),
+  ].join(':');
+}
+
+/**
+ * 解密字符串
+ *
+ * @param {string} stored - encryptSecret 生成的密文
+ * @returns {string} 明文
+ * @throws {Error} 格式错误、主密钥不匹配或密文被篡改时抛出 DECRYPTION_FAILED
+ */
+function decryptSecret(stored) {
+  const key = getMasterKey();
+  const parts = typeof stored === 'string' ? stored.split(':') : [];
+  if (parts.length !== 4 || parts[0] !== FORMAT_VERSION) {
+    throw createError('DECRYPTION_FAILED', '密文格式不正确');
+  }
+
+  // 只接受完整长度的认证标签，截短的标签会降低篡改检测的强度
+  const tag = Buffer.from(parts[2], 'base64');
+  if (tag.length !== AUTH_TAG_LENGTH) {
+    throw createError('DECRYPTION_FAILED', '密文格式不正确');
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(parts[1], 'base64'), {
+      authTagLength: AUTH_TAG_LENGTH,
+    });
+    decipher.setAuthTag(tag);
+    const decrypted = Buffer.concat([
+      decipher.update(Buffer.from(parts[3], 'base64')),
+      decipher.final(),
+    ]);
+    return decrypted.toString('utf8');
+  } catch (error) {
+    throw createError('DECRYPTION_FAILED', '解密失败，主密钥可能已更换');
+  }
+}
+
+/**
+ * 脱敏展示
+ *
+ * 【规则】
+ * 保留前 4 位和后 4 位，中间用省略号；12 位以下的只保留后 2 位
+ *
+ * @param {string} secret - 明文
+ * @returns {string} 脱敏后的字符串
+ */
+function maskSecret(secret) {
+  const value = String(secret || '');
+  if (value.length < 12) {
+    return `…${value.slice(-2)}`;
+  }
+  return `${value.slice(0, 4)}…${value.slice(-4)}`;
+}
+
+module.exports = {
+  isEncryptionConfigured,
+  encryptSecret,
+  decryptSecret,
+  maskSecret,
+};
@@ -7,22 +7,30 @@
  * 提供 JWT Token 生成和验证功能
  *
  * 【主要功能】
- * 1. 生成 Access Token
- * 2. 生成 Refresh Token（可选）
+ * 1. 生成 Access Token（短期有效，默认 15 分钟）
+ * 2. 生成 Refresh Token（长期有效，默认 30 天，每次刷新后轮换）
  * 3. 验证 Token
  * 4. 解析 Token 载荷
+ *
+ * 【有效期配置】
+ * - JWT_ACCESS_EXPIRES_IN：Access Token 有效期（默认 15m）
+ * - JWT_REFRESH_EXPIRES_IN：Refresh Token 有效期（默认 30d）
+ * Access Token 无法单独吊销，有效期越短，吊销 Refresh Token（改密码、禁用用户）后生效越快
  */
 
 const jwt = require('jsonwebtoken');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-const ACCESS_TOKEN_EXPIRES_IN = '7d'; // Access Token 有效期：7天
-const REFRESH_TOKEN_EXPIRES_IN = '30d'; // Refresh Token 有效期：30天（可选）
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m'; // Access Token 有效期
+const REFRESH_TOKEN_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '30d'; // Refresh Token 有效期
 
 /**
  * 生成 Access Token
  *
  * @param {Object} payload - Token 载荷（包含用户信息）
+ * @param {string} payload.userId - 用户 ID
+ * @param {string} payload.username - 用户名
+ * @param {string} [payload.role] - 用户角色（默认 user）
  * @returns {string} JWT Token
  */
 function generateAccessToken(payload) {
@@ -30,6 +38,7 @@ function generateAccessToken(payload) {
     {
       userId: payload.userId,
       username: payload.username,
+      role: payload.role || 'user', // 用户角色（user / admin），用于接口权限校验
       type: 'access', // Token 类型
     },
     JWT_SECRET,
@@ -40,22 +49,36 @@ function generateAccessToken(payload) {
 }
 
 /**
- * 生成 Refresh Token（可选）
+ * 生成 Refresh Token
+ *
+ * 【说明】
+ * tokenId 和 familyId 用于服务端存储和轮换（见 services/TokenService.js）：
+ * - tokenId：本 Token 的唯一 ID（JWT 的 jti）
+ * - familyId：同一次登录轮换出的所有 Token 共用，检测到重复使用时整个家族一起吊销
  *
  * @param {Object} payload - Token 载荷
+ * @param {string} payload.userId - 用户 ID
+ * @param {string} [payload.tokenId] - Token ID
+ * @param {string} [payload.familyId] - Token 家族 ID
  * @returns {string} Refresh Token
  */
 function generateRefreshToken(payload) {
-  return jwt.sign(
-    {
-      userId: payload.userId,
-      type: 'refresh',
-    },
-    JWT_SECRET,
-    {
-      expiresIn: REFRESH_TOKEN_EXPIRES_IN,
-    }
-  );
+  const claims = {
+    userId: payload.userId,
+    type: 'refresh',
+  };
+  if (payload.familyId) {
+    claims.familyId = payload.familyId;
+  }
+
+  const options = {
+    expiresIn: REFRESH_TOKEN_EXPIRES_IN,
+  };
+  if (payload.tokenId) {
+    options.jwtid = payload.tokenId;
+  }
+
+  return jwt.sign(claims, JWT_SECRET, options);
 }
 
 /**
@@ -94,6 +117,7 @@ function decodeToken(token) {
 }
 
 module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
   generateAccessToken,
   generateRefreshToken,
   verifyToken,
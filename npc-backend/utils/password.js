@@ -0,0 +1,144 @@
+/**
+ * ============================================
+ * 密码哈希工具 (password.js)
+ * ============================================
+ *
+ * 【文件职责】
+ * 提供密码哈希和校验功能（scrypt，来自 node:crypto）
+ *
+ * 【主要功能】
+ * 1. 生成密码哈希（随机盐 + scrypt）
+ * 2. 校验密码（兼容历史明文密码）
+ * 3. 判断存储的密码是否需要重新哈希
+ *
+ * 【存储格式】
+ * scrypt$<N>$<r>$<p>$<salt(base64)>$<hash(base64)>
+ * 参数随哈希一起保存，以后调整参数时旧哈希仍然可以校验
+ *
+ * 【历史数据】
+ * V1 版本密码以明文存储：校验时按明文比较，登录成功后由 UserService 重新哈希保存
+ *
+ * 【被谁使用】
+ * - services/UserService.js: 注册、登录、重置密码
+ * - scripts/create-admin-user.js: 创建默认管理员
+ *
+ * @author AI Assistant
+ * @created 2025-12-07
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * scrypt 参数
+ *
+ * 【说明】
+ * - N=16384, r=8, p=1 为 node 默认值，单次计算约几十毫秒，内存约 16MB
+ * - KEY_LENGTH：输出哈希长度（字节）
+ * - SALT_LENGTH：随机盐长度（字节）
+ */
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+const HASH_PREFIX = 'scrypt';
+
+/**
+ * 判断存储的密码是否为哈希格式
+ *
+ * @param {string} stored - 数据库中的 password 字段
+ * @returns {boolean} 是否为 scrypt 哈希
+ */
+function isHashedPassword(stored) {
+  return typeof stored === 'string' && stored.startsWith(`${HASH_PREFIX}$`);
+}
+
+/**
+ * 生成密码哈希
+ *
+ * @param {string} password - 明文密码
+ * @returns {Promise<string>} 哈希字符串（包含参数和盐）
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const derivedKey = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+
+  return [
+    HASH_PREFIX,
+    N,
+    r,
+    p,
+    salt.toString('base64'),
+    derivedKey.toString('base64'),
+  ].join('$');
+}
+
+/**
+ * 常量时间比较两个 Buffer（长度不同时直接返回 false）
+ *
+ * @param {Buffer} a
+ * @param {Buffer} b
+ * @returns {boolean} 是否相等
+ */
+function safeEqual(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * 校验密码
+ *
+ * 【功能说明】
+ * 哈希格式按 scrypt 校验；历史明文密码按常量时间比较
+ *
+ * @param {string} password - 用户输入的明文密码
+ * @param {string} stored - 数据库中的 password 字段
+ * @returns {Promise<Object>} { valid: boolean, needsRehash: boolean }
+ *   needsRehash 为 true 表示校验通过但存储格式过时（明文或参数变化），应重新哈希保存
+ */
+async function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string' || !stored) {
+    return { valid: false, needsRehash: false };
+  }
+
+  if (!isHashedPassword(stored)) {
+    const valid = safeEqual(Buffer.from(password), Buffer.from(stored));
+    return { valid, needsRehash: valid };
+  }
+
+  const parts = stored.split('$');
+  if (parts.length !== 6) {
+    return { valid: false, needsRehash: false };
+  }
+
+  const [, n, r, p, saltBase64, hashBase64] = parts;
+  const N = parseInt(n, 10);
+  const blockSize = parseInt(r, 10);
+  const parallelization = parseInt(p, 10);
+  const expected = Buffer.from(hashBase64, 'base64');
+
+  try {
+    const derivedKey = await scrypt(password, Buffer.from(saltBase64, 'base64'), expected.length, {
+      N,
+      r: blockSize,
+      p: parallelization,
+    });
+    const valid = safeEqual(derivedKey, expected);
+    const outdated =
+      N !== SCRYPT_PARAMS.N || blockSize !== SCRYPT_PARAMS.r || parallelization !== SCRYPT_PARAMS.p;
+    return { valid, needsRehash: valid && outdated };
+  } catch (error) {
+    // 参数损坏等情况按校验失败处理
+    return { valid: false, needsRehash: false };
+  }
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  isHashedPassword,
+};
@@ -62,7 +62,34 @@ function calculateMaxLineWidth(text) {
   return maxWidth;
 }
 
+/**
+ * 估算文本的 token 数
+ *
+ * 【功能说明】
+ * 不依赖具体模型的分词器，按字符类型粗略估算 token 数，用于上下文预算控制
+ *
+ * 【估算规则】
+ * - 中日韩字符：每个字符约 1 个 token
+ * - 其他字符（英文、数字、标点、空白）：约 4 个字符 1 个 token
+ * - 结果向上取整，宁可高估也不要超出模型上下文
+ *
+ * @param {string} text - 文本内容
+ * @returns {number} 估算的 token 数
+ */
+function estimateTokens(text) {
+  if (!text || typeof text !== 'string') {
+    return 0;
+  }
+
+  const cjkMatches = text.match(/[\u3000-\u303f\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uff00-\uffef]/g);
+  const cjkCount = cjkMatches ? cjkMatches.length : 0;
+  const otherCount = text.length - cjkCount;
+
+  return cjkCount + Math.ceil(otherCount / 4);
+}
+
 module.exports = {
   calculateMaxLineWidth,
+  estimateTokens,
 };
 
@@ -11,6 +11,7 @@
  * 2. 类型验证：字符串、数字、对象、数组
  * 3. 格式验证：邮箱、URL、ID 格式
  * 4. 范围验证：数字范围、数组长度
+ * 5. 密码强度验证：长度、纯数字、重复字符、常见弱密码
  *
  * 【工作流程】
  * 调用验证方法 → 检查数据 → 返回验证结果或抛出错误
@@ -45,6 +46,28 @@ class ValidationError extends Error {
   }
 }
 
+/**
+ * 密码强度规则
+ *
+ * 【说明】
+ * - PASSWORD_MIN_LENGTH / PASSWORD_MAX_LENGTH：密码长度范围
+ * - COMMON_PASSWORDS：常见弱密码（小写比较）
+ */
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_LENGTH = 128;
+const COMMON_PASSWORDS = [
+  "password",
+  "password1",
+  "qwertyui",
+  "qwerty123",
+  "abc12345",
+  "abcd1234",
+  "iloveyou",
+  "admin123",
+  "welcome1",
+  "1q2w3e4r",
+];
+
 /**
  * 验证工具对象
  */
@@ -203,6 +226,46 @@ const validator = {
     }
     return value;
   },
+
+  /**
+   * 验证密码强度
+   *
+   * 【功能说明】
+   * 检查用户设置的新密码是否足够安全（只在设置密码时校验，登录不校验）
+   *
+   * 【规则】
+   * 1. 长度 8-128 个字符
+   * 2. 不能是纯数字
+   * 3. 不能由同一个字符重复组成
+   * 4. 不能与用户 ID 相同
+   * 5. 不能是常见弱密码
+   *
+   * @param {string} value - 要验证的密码
+   * @param {Object} [options] - 选项
+   * @param {string} [options.userId] - 用户 ID（密码不能与之相同）
+   * @returns {string} 验证通过返回原值
+   * @throws {ValidationError} 验证失败时抛出错误
+   */
+  passwordStrength(value, options = {}) {
+    const fieldName = "密码";
+    if (typeof value !== "string" || value === "") {
+      throw new ValidationError(`${fieldName}不能为空`, fieldName);
+    }
+    this.stringLength(value, PASSWORD_MIN_LENGTH, PASSWORD_MAX_LENGTH, fieldName);
+    if (/^\d+$/.test(value)) {
+      throw new ValidationError(`${fieldName}不能是纯数字`, fieldName);
+    }
+    if (/^(.)\1+$/.test(value)) {
+      throw new ValidationError(`${fieldName}不能由同一个字符重复组成`, fieldName);
+    }
+    if (options.userId && value.toLowerCase() === String(options.userId).toLowerCase()) {
+      throw new ValidationError(`${fieldName}不能与用户 ID 相同`, fieldName);
+    }
+    if (COMMON_PASSWORDS.includes(value.toLowerCase())) {
+      throw new ValidationError(`${fieldName}过于常见，请换一个更安全的密码`, fieldName);
+    }
+    return value;
+  },
 };
 
 module.exports = validator;
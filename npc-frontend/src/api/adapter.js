@@ -40,8 +40,17 @@
  * - agents.getList(userId)
  * - agents.getById(agentId, userId)
  * - messages.send(data)
- * - history.get(userId, agentId)
- * - sessions.getList(userId)
+ * - messages.stream(data, handlers)（可选，默认返回 STREAM_UNSUPPORTED）
+ * - messages.regenerate(eventId)、messages.edit(eventId, data)、messages.switchBranch(eventId)、messages.retry(eventId)、messages.cancel(eventId)（可选）
+ * - history.get(userId, agentId, sessionId?, options?)
+ * - sessions.getList(userId, options?)
+ * - sessions.create(agentId, title)、sessions.update(sessionId, data)、sessions.remove(sessionId)（可选）
+ * - sessions.markRead(sessionId, eventId?)（可选，默认不记录已读位置）
+ * - memories.getList(agentId, sessionId)、memories.update(memoryId, content)、memories.remove(memoryId)（可选）
+ * - usage.get(options?)、usage.getQuota()（可选）
+ * - search.messages(options)（可选）
+ * - realtime.subscribe({ onEvent, onStatusChange })（可选，默认不连接，调用方应降级为轮询）
+ * - notifications.getList(options?)、notifications.markRead(options?)（可选，默认没有通知）
  *
  * 【返回值规范】
  * 所有方法返回 Promise，resolve 的数据格式：
@@ -76,6 +85,7 @@ class ApiAdapter {
      * @param {string} data.type - NPC 类型（general/special）
      * @param {string} data.systemPrompt - NPC 人设描述
      * @param {string} data.model - LLM 模型名称
+     * @param {string} [data.provider] - LLM 提供商（可选，不填时按模型推断）
      * @param {string} [data.avatarUrl] - 头像 URL（可选）
      * @returns {Promise<object>} 创建的 NPC 数据
      */
@@ -148,6 +158,76 @@ class ApiAdapter {
     send: async (data) => {
       throw new Error('Not implemented: messages.send');
     },
+
+    /**
+     * 发送消息（流式回复，可选实现）
+     *
+     * 【说明】
+     * 未实现流式的适配器可以不覆盖此方法，调用方收到 STREAM_UNSUPPORTED 后
+     * 应降级为 send + checkNew 轮询
+     *
+     * @param {object} data - 消息数据（同 send）
+     * @param {object} [handlers] - 回调 { onStart, onDelta, signal }
+     * @returns {Promise<object>} { success, data: { userMessage, message } }
+     */
+    stream: async (data, handlers) => {
+      return {
+        success: false,
+        error: { code: 'STREAM_UNSUPPORTED', message: 'Not implemented: messages.stream' },
+        timestamp: Date.now(),
+      };
+    },
+
+    /**
+     * 重新生成 Agent 回复
+     *
+     * @param {string} eventId - Agent 回复 ID
+     * @returns {Promise<object>} 对应的用户消息数据（包含 sessionId，用于轮询）
+     */
+    regenerate: async (eventId) => {
+      throw new Error('Not implemented: messages.regenerate');
+    },
+
+    /**
+     * 编辑用户消息并重新生成回复
+     *
+     * @param {string} eventId - 用户消息 ID
+     * @param {object} data - { message }
+     * @returns {Promise<object>} 新的用户消息数据（包含 sessionId，用于轮询）
+     */
+    edit: async (eventId, data) => {
+      throw new Error('Not implemented: messages.edit');
+    },
+
+    /**
+     * 切换对话分支
+     *
+     * @param {string} eventId - 要切换到的消息 ID
+     * @returns {Promise<object>} { sessionId, messages: [] } 新的激活路径
+     */
+    switchBranch: async (eventId) => {
+      throw new Error('Not implemented: messages.switchBranch');
+    },
+
+    /**
+     * 重试生成失败的 Agent 回复
+     *
+     * @param {string} eventId - 生成失败的回复 ID
+     * @returns {Promise<object>} { id, replyEventId, sessionId, status }（以 replyEventId 作为 pending 轮询）
+     */
+    retry: async (eventId) => {
+      throw new Error('Not implemented: messages.retry');
+    },
+
+    /**
+     * 停止生成中的 Agent 回复
+     *
+     * @param {string} eventId - 生成中的占位回复 ID
+     * @returns {Promise<object>} 停止后的回复消息（status 为 stopped）
+     */
+    cancel: async (eventId) => {
+      throw new Error('Not implemented: messages.cancel');
+    },
   };
 
   /**
@@ -159,9 +239,14 @@ class ApiAdapter {
      *
      * @param {string} userId - 用户 ID
      * @param {string} agentId - NPC ID
-     * @returns {Promise<object>} 对话历史数据 { messages: [] }
+     * @param {string} [sessionId] - 会话 ID（可选，默认最近活跃的会话）
+     * @param {object} [options] - 分页选项
+     * @param {string} [options.before] - 游标（上一页返回的 before），加载更早的消息
+     * @param {number} [options.limit] - 每页数量（默认 50）
+     * @returns {Promise<object>} 对话历史数据 { session, messages: [], hasMore, before }
+     * hasMore 表示还有更早的消息，before 为加载更早一页时传入的游标
      */
-    get: async (userId, agentId) => {
+    get: async (userId, agentId, sessionId, options) => {
       throw new Error('Not implemented: history.get');
     },
   };
@@ -174,11 +259,99 @@ class ApiAdapter {
      * 获取会话列表
      *
      * @param {string} userId - 用户 ID
+     * @param {object} [options] - 过滤条件 { agentId, includeArchived }
      * @returns {Promise<object>} 会话列表数据 { sessions: [] }
      */
-    getList: async (userId) => {
+    getList: async (userId, options) => {
       throw new Error('Not implemented: sessions.getList');
     },
+
+    /**
+     * 新建会话
+     *
+     * @param {string} agentId - NPC ID
+     * @param {string} [title] - 会话标题
+     * @returns {Promise<object>} { session }
+     */
+    create: async (agentId, title) => {
+      throw new Error('Not implemented: sessions.create');
+    },
+
+    /**
+     * 更新会话（重命名、归档或取消归档）
+     *
+     * @param {string} sessionId - 会话 ID
+     * @param {object} data - { title?, archived? }
+     * @returns {Promise<object>} { session }
+     */
+    update: async (sessionId, data) => {
+      throw new Error('Not implemented: sessions.update');
+    },
+
+    /**
+     * 删除会话
+     *
+     * @param {string} sessionId - 会话 ID
+     * @returns {Promise<object>} { sessionId }
+     */
+    remove: async (sessionId) => {
+      throw new Error('Not implemented: sessions.remove');
+    },
+
+    /**
+     * 把会话标记为已读到指定消息（可选实现）
+     *
+     * 【说明】
+     * 已读位置只前进不后退；未实现的适配器不记录已读位置，未读数始终为 0
+     *
+     * @param {string} sessionId - 会话 ID
+     * @param {string} [eventId] - 已读到的消息 ID（默认读到当前时间）
+     * @returns {Promise<object>} { sessionId, lastReadAt, lastReadEventId, updated }
+     */
+    markRead: async (sessionId, eventId) => {
+      return {
+        success: true,
+        data: { sessionId, lastReadAt: null, lastReadEventId: null, updated: false },
+        timestamp: Date.now(),
+      };
+    },
+  };
+
+  /**
+   * Memories API（NPC 长期记忆）
+   */
+  memories = {
+    /**
+     * 获取 NPC 的记忆
+     *
+     * @param {string} agentId - NPC ID
+     * @param {string} [sessionId] - 会话 ID（提供时同时返回会话摘要）
+     * @returns {Promise<object>} { memories: [], summary }
+     */
+    getList: async (agentId, sessionId) => {
+      throw new Error('Not implemented: memories.getList');
+    },
+
+    /**
+     * 编辑记忆
+     *
+     * @param {string} memoryId - 记忆 ID
+     * @param {string} content - 新内容
+     * @returns {Promise<object>} { memory }
+     */
+    update: async (memoryId, content) => {
+      throw new Error('Not implemented: memories.update');
+    },
+
+    /**
+     * 删除记忆
+     *
+     * @param {string} memoryId - 记忆 ID
+     * @returns {Promise<object>} { memoryId }
+     */
+    remove: async (memoryId) => {
+      throw new Error('Not implemented: memories.remove');
+    },
   };
 
   /**
@@ -195,6 +368,15 @@ class ApiAdapter {
       throw new Error('Not implemented: users.login');
     },
 
+    /**
+     * 退出登录（吊销 Refresh Token）
+     * @param {string|null} refreshToken - Refresh Token
+     * @returns {Promise<object>} 吊销结果
+     */
+    logout: async (refreshToken) => {
+      throw new Error('Not implemented: users.logout');
+    },
+
     /**
      * 用户注册
      * @param {string} userId - 用户 ID
@@ -207,14 +389,34 @@ class ApiAdapter {
     },
 
     /**
-     * 忘记密码 - 重置密码
-     * @param {string} userId - 用户 ID
-     * @param {string} newPassword - 新密码
-     * @returns {Promise<object>} 用户信息
+     * 忘记密码 - 凭恢复码或管理员重置码设置新密码
+     * @param {object} data
+     * @param {string} data.userId - 用户 ID
+     * @param {string} [data.recoveryCode] - 恢复码（与 resetToken 二选一）
+     * @param {string} [data.resetToken] - 管理员重置码
+     * @param {string} data.newPassword - 新密码
+     * @returns {Promise<object>} 用户信息和剩余恢复码数量
      */
-    forgotPassword: async (userId, newPassword) => {
+    forgotPassword: async (data) => {
       throw new Error('Not implemented: users.forgotPassword');
     },
+
+    /**
+     * 查询剩余恢复码数量
+     * @returns {Promise<object>} { remaining }
+     */
+    getRecoveryCodeStatus: async () => {
+      throw new Error('Not implemented: users.getRecoveryCodeStatus');
+    },
+
+    /**
+     * 验证当前密码后重新生成恢复码（旧恢复码全部作废）
+     * @param {string} password - 当前密码
+     * @returns {Promise<object>} { recoveryCodes }
+     */
+    regenerateRecoveryCodes: async (password) => {
+      throw new Error('Not implemented: users.regenerateRecoveryCodes');
+    },
   };
 
   /**
@@ -232,6 +434,157 @@ class ApiAdapter {
       throw new Error('Not implemented: import.conversations');
     },
   };
+
+  /**
+   * Models API
+   */
+  models = {
+    /**
+     * 获取可用的提供商和模型目录
+     *
+     * @returns {Promise<object>} { providers: [{ name, label, allowCustomModels, models: [{ id, label }] }], defaultModel: { model, provider } }
+     */
+    getList: async () => {
+      throw new Error('Not implemented: models.getList');
+    },
+  };
+
+  /**
+   * API Keys API（用户自己的 LLM API Key）
+   */
+  apiKeys = {
+    /**
+     * 获取可填写个人 Key 的提供商和已保存的 Key（脱敏）
+     *
+     * @returns {Promise<object>} { keys: [{ provider, label, configured, keyHint, validatedAt, updatedAt, sharedKeyAvailable }], sharedPoolEnabled, encryptionConfigured }
+     */
+    getList: async () => {
+      throw new Error('Not implemented: apiKeys.getList');
+    },
+
+    /**
+     * 保存个人 Key（服务器先向提供商验证）
+     *
+     * @param {string} provider - 提供商名称
+     * @param {string} apiKey - API Key
+     * @returns {Promise<object>} { key }
+     */
+    save: async (provider, apiKey) => {
+      throw new Error('Not implemented: apiKeys.save');
+    },
+
+    /**
+     * 删除个人 Key
+     *
+     * @param {string} provider - 提供商名称
+     * @returns {Promise<object>} { provider }
+     */
+    delete: async (provider) => {
+      throw new Error('Not implemented: apiKeys.delete');
+    },
+  };
+
+  /**
+   * Usage API（我的 token 用量和估算费用）
+   */
+  usage = {
+    /**
+     * 获取当前用户的用量
+     *
+     * @param {object} [options] - 查询选项
+     * @param {string} [options.startDate] - 开始日期（YYYY-MM-DD，默认最近 30 天）
+     * @param {string} [options.endDate] - 结束日期（YYYY-MM-DD，默认今天）
+     * @returns {Promise<object>} { range, totals, daily, agents, models }
+     */
+    get: async (options) => {
+      throw new Error('Not implemented: usage.get');
+    },
+
+    /**
+     * 获取当前用户今天的配额
+     *
+     * @returns {Promise<object>} { date, resetAt, messages: { used, limit }, tokens: { used, limit }, exceeded, ... }
+     * limit 为 null 表示不限，exceeded 为 'messages' / 'tokens' / null
+     */
+    getQuota: async () => {
+      throw new Error('Not implemented: usage.getQuota');
+    },
+  };
+
+  /**
+   * Search API（在我的所有对话中搜索消息）
+   */
+  search = {
+    /**
+     * 搜索消息
+     *
+     * @param {object} options - 搜索条件
+     * @param {string} options.q - 搜索内容（多个关键词用空格分隔，需全部命中）
+     * @param {string} [options.agentId] - 只搜索与该 NPC 的对话
+     * @param {string} [options.from] - 发送方：'user'（我）或 'agent'（NPC）
+     * @param {string} [options.startDate] - 开始日期（YYYY-MM-DD）
+     * @param {string} [options.endDate] - 结束日期（YYYY-MM-DD）
+     * @param {number} [options.limit] - 每页数量（默认 20，最多 50）
+     * @param {number} [options.offset] - 偏移量
+     * @returns {Promise<object>} { query, terms, total, hasMore, items }
+     * items 包含 eventId、sessionId、sessionTitle、agentId、agentName、fromType、timestamp、
+     * snippet 和 highlights（关键词在 snippet 中的位置 [start, end)）
+     */
+    messages: async (options) => {
+      throw new Error('Not implemented: search.messages');
+    },
+  };
+
+  /**
+   * Realtime API（同一账号多设备同步）
+   */
+  realtime = {
+    /**
+     * 订阅当前用户的实时事件（可选实现）
+     *
+     * 【说明】
+     * 未实现的适配器不会连接，也不会调用 onStatusChange(true)，调用方应降级为轮询
+     *
+     * @param {object} handlers - 回调 { onEvent, onStatusChange }
+     * onEvent 收到 { type, data, timestamp }，type 为 event.created、event.updated、session.updated、
+     * session.read、notifications.read、reply.typing、agent.created、agent.updated、agent.deleted
+     * @returns {Function} 取消订阅
+     */
+    subscribe: (handlers) => {
+      return () => {};
+    },
+  };
+
+  /**
+   * Notifications API（通知中心：未读回复、公告、版本更新日志）
+   */
+  notifications = {
+    /**
+     * 获取通知列表（可选实现，默认没有通知）
+     *
+     * @param {object} [options] - { limit }
+     * @returns {Promise<object>} { items, unread: { replies, announcements, changelogs, total } }
+     * items 的 type 为 reply（未读回复，带 sessionId、agentId、eventId）、announcement（公告）
+     * 或 changelog（版本更新日志，带 version），都带 id、title、content、createdAt、unread
+     */
+    getList: async (options) => {
+      return {
+        success: true,
+        data: { items: [], unread: { replies: 0, announcements: 0, changelogs: 0, total: 0 } },
+        timestamp: Date.now(),
+      };
+    },
+
+    /**
+     * 把公告和版本更新日志标记为已读（可选实现）
+     *
+     * @param {object} [options] - { all }，all 为 true 时同时把所有会话标记为已读
+     * @returns {Promise<object>} { readAt }
+     */
+    markRead: async (options) => {
+      return { success: true, data: { readAt: Date.now() }, timestamp: Date.now() };
+    },
+  };
 }
 
 export default ApiAdapter;
@@ -11,6 +11,10 @@
  * 2. 调用真实后端 HTTP API
  * 3. 处理错误和响应格式化
  * 4. 适配后端数据格式到前端 API 格式
+ * 5. Access Token 过期（TOKEN_EXPIRED）时用 Refresh Token 自动刷新并重试一次
+ * 6. 发送消息带 Idempotency-Key，网络中断时用同一个键重试，不会重复发送
+ * 7. 订阅实时事件（SSE 长连接），断线后按退避间隔自动重新连接
+ * 8. 会话已读位置和通知中心（未读回复、公告、版本更新日志）
  *
  * 【工作流程】
  * 业务代码调用 → HTTP适配器 → 后端API → 适配数据格式 → 返回统一格式
@@ -28,6 +32,93 @@
 
 import ApiAdapter from "./adapter.js";
 
+/**
+ * 发送消息网络中断时的重试次数和间隔（毫秒）
+ */
+const SEND_RETRY_ATTEMPTS = 2;
+const SEND_RETRY_DELAY = 1000;
+
+/**
+ * 实时事件连接断开后的重新连接间隔（毫秒），从最小值开始每次翻倍，连接成功后重置
+ */
+const REALTIME_RETRY_MIN = 1000;
+const REALTIME_RETRY_MAX = 30000;
+
+/**
+ * 解析 SSE 事件帧
+ *
+ * @param {string} frame - 一个事件帧（不含结尾的空行）
+ * @returns {object|null} { event, payload }，心跳注释帧或无法解析时返回 null
+ */
+const parseSseFrame = (frame) => {
+  let event = "message";
+  const dataLines = [];
+  frame.split("\n").forEach((line) => {
+    if (line.startsWith("event:")) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith("data:")) {
+      dataLines.push(line.slice(5).trim());
+    }
+  });
+  if (dataLines.length === 0) {
+    return null; // 心跳注释帧
+  }
+
+  try {
+    return { event, payload: JSON.parse(dataLines.join("\n")) };
+  } catch (parseError) {
+    console.error(`[DEBUG] SSE frame parse error:`, parseError, frame);
+    return null;
+  }
+};
+
+/**
+ * 逐帧读取 SSE 响应体
+ *
+ * @param {Response} response - fetch 响应（Content-Type 为 text/event-stream）
+ * @param {Function} onFrame - 每个事件帧的回调 ({ event, payload }) => void
+ * @param {Function} [shouldStop] - 返回 true 时停止读取
+ * @returns {Promise<void>} 流结束（或 shouldStop 返回 true）时 resolve，读取出错时 reject
+ */
+const readSseFrames = async (response, onFrame, shouldStop = () => false) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder("utf-8");
+  let buffer = "";
+
+  const handle = (frame) => {
+    const parsed = parseSseFrame(frame);
+    if (parsed) {
+      onFrame(parsed);
+    }
+  };
+
+  while (!shouldStop()) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, "\n");
+    const frames = buffer.split("\n\n");
+    buffer = frames.pop();
+    frames.forEach(handle);
+  }
+  if (!shouldStop() && buffer.trim()) {
+    handle(buffer);
+  }
+};
+
+/**
+ * 生成 Idempotency-Key
+ *
+ * @returns {string} 随机的唯一键（优先使用 crypto.randomUUID，非安全上下文下降级为时间戳 + 随机数）
+ */
+const createIdempotencyKey = () => {
+  if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+};
+
 /**
  * HTTP API 适配器
  *
@@ -73,6 +164,11 @@ class HttpAdapter extends ApiAdapter {
    */
   token = null;
 
+  /**
+   * 进行中的刷新请求（同一时间只发一次刷新，其他请求等待同一个结果）
+   */
+  refreshPromise = null;
+
   /**
    * 设置 Token
    * 
@@ -100,6 +196,142 @@ class HttpAdapter extends ApiAdapter {
     return token;
   }
 
+  /**
+   * 设置 Refresh Token
+   *
+   * 【说明】
+   * Refresh Token 只保存在 localStorage，刷新时再读取，多个标签页共用同一份
+   *
+   * @param {string|null} refreshToken - Refresh Token，如果为 null 则清除
+   */
+  setRefreshToken(refreshToken) {
+    if (refreshToken) {
+      localStorage.setItem('npc_refresh_token', refreshToken);
+    } else {
+      localStorage.removeItem('npc_refresh_token');
+    }
+  }
+
+  /**
+   * 使用其他标签页刷新得到的 Access Token
+   *
+   * @param {string|null} failedToken - 收到 TOKEN_EXPIRED 的请求所用的 Access Token
+   * @returns {boolean} localStorage 中是否已有不同于 failedToken 的 Access Token
+   */
+  adoptStoredToken(failedToken) {
+    const storedToken = localStorage.getItem('npc_access_token');
+    if (storedToken && storedToken !== failedToken) {
+      this.token = storedToken;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 在所有标签页共用的刷新锁内执行
+   *
+   * 【说明】
+   * 使用 Web Locks API，同一时间只有一个标签页在刷新；
+   * 浏览器不支持时直接执行（只能保证本标签页内只刷新一次）
+   *
+   * @param {Function} work - 持有锁时执行的异步函数
+   * @returns {Promise<*>} work 的返回值
+   */
+  async withRefreshLock(work) {
+    if (typeof navigator !== 'undefined' && navigator.locks?.request) {
+      return await navigator.locks.request('npc_token_refresh', work);
+    }
+    return await work();
+  }
+
+  /**
+   * 刷新 Access Token
+   *
+   * 【工作流程】
+   * 1. localStorage 中已有不同于失败请求的 Access Token（其他标签页刚刷新过）→ 直接使用
+   * 2. 已有刷新请求在进行 → 等待同一个结果
+   * 3. 否则获取跨标签页的刷新锁；拿到锁后再检查一次 localStorage（等锁期间其他标签页可能已经刷新）
+   * 4. 仍需刷新时调用 /api/v1/users/refresh，保存新的 Access Token 和 Refresh Token
+   *
+   * 【说明】
+   * Refresh Token 每次刷新后轮换，旧的再次使用会被后端视为泄露并吊销整个登录，
+   * 所以所有标签页同一时间只能有一个在刷新，且刷新前必须读取最新的 Refresh Token
+   *
+   * @param {string|null} failedToken - 收到 TOKEN_EXPIRED 的请求所用的 Access Token
+   * @returns {Promise<boolean>} 是否刷新成功
+   */
+  async refreshAccessToken(failedToken) {
+    if (this.adoptStoredToken(failedToken)) {
+      return true;
+    }
+
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.withRefreshLock(async () => {
+        if (this.adoptStoredToken(failedToken)) {
+          return true;
+        }
+
+        const refreshToken = localStorage.getItem('npc_refresh_token');
+        if (!refreshToken) {
+          return false;
+        }
+
+        try {
+          const response = await fetch(`${this.baseURL}/api/v1/users/refresh`, {
+            method: "POST",
+            headers: {
+              "Content-Type": "application/json",
+              Accept: "application/json",
+            },
+            body: JSON.stringify({ refreshToken }),
+          });
+          const responseData = await response.json().catch(() => ({}));
+
+          if (!response.ok || !responseData.success) {
+            return false;
+          }
+
+          const { user, accessToken, refreshToken: nextRefreshToken } = responseData.data;
+          this.setToken(accessToken);
+          this.setRefreshToken(nextRefreshToken);
+
+          // 角色等信息以刷新结果为准
+          const storedUser = localStorage.getItem('npc_user');
+          if (storedUser && user) {
+            try {
+              localStorage.setItem('npc_user', JSON.stringify({ ...JSON.parse(storedUser), ...user }));
+            } catch (e) {
+              localStorage.setItem('npc_user', JSON.stringify(user));
+            }
+          }
+          return true;
+        } catch (error) {
+          console.error("Refresh token error:", error);
+          return false;
+        }
+      }).finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+
+    return await this.refreshPromise;
+  }
+
+  /**
+   * 登录失效：清除本地登录状态并跳转到登录页
+   */
+  handleAuthExpired() {
+    this.setToken(null);
+    this.setRefreshToken(null);
+    localStorage.removeItem('npc_user');
+    // 延迟跳转，避免在请求过程中立即跳转
+    setTimeout(() => {
+      if (window.location.pathname !== '/register') {
+        window.location.href = '/';
+      }
+    }, 100);
+  }
+
   /**
    * 发送 HTTP 请求
    *
@@ -116,9 +348,12 @@ class HttpAdapter extends ApiAdapter {
    * @param {string} path - API 路径（如 /api/v1/agents）
    * @param {object} [params] - 查询参数（GET 请求）
    * @param {object} [data] - 请求体数据（POST/PUT 请求）
+   * @param {boolean} [retried=false] - 是否是刷新 Token 后的重试（内部使用）
+   * @param {object} [extraHeaders] - 额外的请求头（如 Idempotency-Key）
    * @returns {Promise<object>} 前端 API 统一格式的响应数据
    */
-  async request(method, path, params = null, data = null) {
+  async request(method, path, params = null, data = null, retried = false, extraHeaders = null) {
+    const sentToken = this.token;
     try {
       // 构建 URL
       let url = `${this.baseURL}${path}`;
@@ -136,6 +371,7 @@ class HttpAdapter extends ApiAdapter {
       const headers = {
         "Content-Type": "application/json",
         Accept: "application/json",
+        ...extraHeaders,
       };
 
       // 添加 Token 到请求头（如果存在）
@@ -208,19 +444,14 @@ class HttpAdapter extends ApiAdapter {
         };
       }
 
-      // Token 过期处理（401 错误）
+      // Token 过期处理（401 错误）：先尝试刷新并重试一次，刷新失败再跳转到登录页
       if (response.status === 401) {
         const errorCode = responseData.error?.code;
+        if (errorCode === 'TOKEN_EXPIRED' && !retried && (await this.refreshAccessToken(sentToken))) {
+          return await this.request(method, path, params, data, true, extraHeaders);
+        }
         if (errorCode === 'TOKEN_EXPIRED' || errorCode === 'TOKEN_INVALID' || errorCode === 'UNAUTHORIZED') {
-          // 清除 Token，跳转到登录页
-          this.setToken(null);
-          localStorage.removeItem('npc_user');
-          // 延迟跳转，避免在请求过程中立即跳转
-          setTimeout(() => {
-            if (window.location.pathname !== '/register') {
-              window.location.href = '/';
-            }
-          }, 100);
+          this.handleAuthExpired();
         }
       }
 
@@ -427,28 +658,39 @@ class HttpAdapter extends ApiAdapter {
      * @param {string} data.userId - 用户 ID
      * @param {string} data.agentId - NPC ID
      * @param {string} data.message - 消息内容（前端使用 message，后端使用 text）
-     * @returns {Promise<object>} 用户消息数据（包含 sessionId，用于轮询）
+     * @param {string} [data.sessionId] - 会话 ID（可选，默认发送到最近活跃的会话）
+     * @returns {Promise<object>} 用户消息数据（包含 sessionId，用于轮询；batched 为 true 表示与上一条还没回复的消息合并为一轮）
+     *
+     * 【幂等重试】
+     * 每次发送生成一个 Idempotency-Key，网络中断或第一次请求还在处理中（IDEMPOTENCY_IN_PROGRESS）时
+     * 用同一个键重试，后端返回第一次的结果，不会重复保存消息
      */
     send: async (data) => {
       // 适配请求格式：前端使用 message，后端使用 text
       const requestData = {
         userId: data.userId,
         agentId: data.agentId,
+        sessionId: data.sessionId || undefined,
         text: data.message || data.text, // 兼容两种字段名
       };
 
-      const response = await this.request(
-        "POST",
-        "/api/v1/messages",
-        null,
-        requestData
-      );
+      const idempotencyHeaders = { "Idempotency-Key": createIdempotencyKey() };
+      let response = await this.request("POST", "/api/v1/messages", null, requestData, false, idempotencyHeaders);
+      for (
+        let attempt = 0;
+        attempt < SEND_RETRY_ATTEMPTS &&
+        ["NETWORK_ERROR", "IDEMPOTENCY_IN_PROGRESS"].includes(response.error?.code);
+        attempt++
+      ) {
+        await new Promise((resolve) => setTimeout(resolve, SEND_RETRY_DELAY));
+        response = await this.request("POST", "/api/v1/messages", null, requestData, false, idempotencyHeaders);
+      }
 
       if (!response.success) {
         return response;
       }
 
-      // 后端现在返回：{ userEventId, sessionId, timestamp, maxLineWidth, status: "pending" }
+      // 后端现在返回：{ userEventId, replyEventId, sessionId, timestamp, maxLineWidth, status: "pending" }
       // 前端需要：{ id, sessionId, role: "user", content, createdAt, maxLineWidth, status }
       const userMessage = {
         id: response.data.userEventId || `msg_${Date.now()}`,
@@ -458,6 +700,8 @@ class HttpAdapter extends ApiAdapter {
         createdAt: response.data.timestamp || Date.now(),
         maxLineWidth: response.data.maxLineWidth || 0, // 保留最长行宽度字段
         status: response.data.status || "pending", // pending 表示 Agent 回复正在处理
+        replyEventId: response.data.replyEventId || null, // 生成中的占位回复，作为 pending 轮询
+        batched: Boolean(response.data.batched), // 与上一条还没回复的消息合并为一轮
       };
 
       return {
@@ -467,18 +711,382 @@ class HttpAdapter extends ApiAdapter {
       };
     },
 
+    /**
+     * 发送消息（HTTP - SSE 流式模式）
+     *
+     * 【功能说明】
+     * 调用 POST /api/v1/messages/stream，AI 回复边生成边通过回调推送
+     * 使用 fetch + ReadableStream 读取（EventSource 只支持 GET 且无法携带 Authorization 头）
+     *
+     * 【事件帧】
+     * - start：用户消息和占位回复已保存 → handlers.onStart(userMessage)
+     *   （userMessage.replyEventId 为占位回复 ID，可以调用 cancel 停止生成）
+     * - delta：增量文本 → handlers.onDelta(text)
+     * - done：AI 回复已保存 → 返回 { success: true, data: { userMessage, message } }
+     *   （停止生成时 message.status 为 stopped，content 为已生成的部分）
+     * - error：AI 回复失败 → 返回 { success: false, error, data: { userMessage, message } }
+     *   （message 为后端保存的失败回复，status 为 failed，可以调用 retry 重试；可能为 null）
+     *
+     * 【降级说明】
+     * - 浏览器不支持流式读取：返回 STREAM_UNSUPPORTED，调用方应改用 send + checkNew 轮询
+     * - 流在 start 之后意外中断：返回 STREAM_INTERRUPTED（data.userMessage 有值），
+     *   回复仍会在后端生成，调用方应改用 checkNew 轮询获取
+     *
+     * @param {object} data - 消息数据（同 send）
+     * @param {object} [handlers] - 回调
+     * @param {Function} [handlers.onStart] - 用户消息保存后回调
+     * @param {Function} [handlers.onDelta] - 增量文本回调
+     * @param {AbortSignal} [handlers.signal] - 中止信号（如页面卸载）
+     * @param {boolean} [retried=false] - 是否是刷新 Token 后的重试（内部使用）
+     * @returns {Promise<object>} 统一格式的响应数据
+     */
+    stream: async (data, handlers = {}, retried = false) => {
+      const { onStart, onDelta, signal } = handlers;
+
+      if (typeof ReadableStream === "undefined" || typeof TextDecoder === "undefined") {
+        return {
+          success: false,
+          error: { code: "STREAM_UNSUPPORTED", message: "当前浏览器不支持流式响应" },
+          timestamp: Date.now(),
+        };
+      }
+
+      const content = data.message || data.text;
+      const sentToken = this.token;
+      const headers = {
+        "Content-Type": "application/json",
+        Accept: "text/event-stream",
+      };
+      if (this.token) {
+        headers["Authorization"] = `Bearer ${this.token}`;
+      }
+
+      let response;
+      try {
+        response = await fetch(`${this.baseURL}/api/v1/messages/stream`, {
+          method: "POST",
+          headers,
+          body: JSON.stringify({
+            userId: data.userId,
+            agentId: data.agentId,
+            sessionId: data.sessionId || undefined,
+            text: content,
+          }),
+          signal,
+        });
+      } catch (error) {
+        return {
+          success: false,
+          error: { code: "NETWORK_ERROR", message: `网络错误: ${error.message}` },
+          timestamp: Date.now(),
+        };
+      }
+
+      // 开始推流前的错误（参数验证、认证失败等）仍是普通 JSON 响应
+      const contentType = response.headers.get("content-type") || "";
+      if (!contentType.includes("text/event-stream")) {
+        const responseData = await response.json().catch(() => ({}));
+        if (response.status === 401) {
+          const errorCode = responseData.error?.code;
+          if (errorCode === 'TOKEN_EXPIRED' && !retried && (await this.refreshAccessToken(sentToken))) {
+            return await this.messages.stream(data, handlers, true);
+          }
+          if (errorCode === 'TOKEN_EXPIRED' || errorCode === 'TOKEN_INVALID' || errorCode === 'UNAUTHORIZED') {
+            this.handleAuthExpired();
+          }
+        }
+        return {
+          success: false,
+          error: {
+            code: responseData.error?.code || (response.body ? "HTTP_ERROR" : "STREAM_UNSUPPORTED"),
+            message: responseData.error?.message || `HTTP ${response.status}: ${response.statusText}`,
+            details: responseData.error?.details,
+          },
+          timestamp: responseData.timestamp || Date.now(),
+        };
+      }
+
+      const toMessage = (event) => ({
+        id: event.eventId,
+        sessionId: userMessage?.sessionId || null,
+        role: "assistant",
+        content: event.content || "",
+        model: event.model || null, // 实际生成回复的模型（用户消息为 null）
+        createdAt: event.timestamp || Date.now(),
+        maxLineWidth: event.maxLineWidth || 0,
+        status: event.status || "complete",
+        errorCode: event.errorCode || null,
+      });
+
+      let userMessage = null;
+      let result = null;
+
+      // 处理单个事件帧
+      const handleFrame = ({ event: eventName, payload }) => {
+        if (eventName === "start") {
+          userMessage = {
+            id: payload.userEventId,
+            sessionId: payload.sessionId || null,
+            role: "user",
+            content,
+            createdAt: payload.timestamp || Date.now(),
+            maxLineWidth: payload.maxLineWidth || 0,
+            status: payload.status || "pending",
+            replyEventId: payload.replyEventId || null,
+          };
+          onStart?.(userMessage);
+        } else if (eventName === "delta") {
+          onDelta?.(payload.content || "");
+        } else if (eventName === "done") {
+          result = {
+            success: true,
+            data: { userMessage, message: toMessage(payload) },
+            timestamp: Date.now(),
+          };
+        } else if (eventName === "error") {
+          result = {
+            success: false,
+            error: { code: payload.code || "STREAM_ERROR", message: payload.message || "AI 回复生成失败" },
+            data: {
+              userMessage,
+              message: payload.eventId
+                ? toMessage({ ...payload, content: payload.message, status: "failed", errorCode: payload.code })
+                : null,
+            },
+            timestamp: Date.now(),
+          };
+        }
+      };
+
+      try {
+        await readSseFrames(response, handleFrame, () => Boolean(result));
+      } catch (error) {
+        console.error(`[DEBUG] SSE stream error:`, error);
+      }
+
+      return (
+        result || {
+          success: false,
+          error: { code: "STREAM_INTERRUPTED", message: "回复流意外中断" },
+          data: { userMessage, message: null },
+          timestamp: Date.now(),
+        }
+      );
+    },
+
+    /**
+     * 重新生成 Agent 回复（HTTP - 异步模式）
+     *
+     * 【功能说明】
+     * 后端会把旧回复及之后的消息标记为已被替代，然后基于对应的用户消息重新生成
+     *
+     * @param {string} eventId - 要重新生成的 Agent 回复 ID
+     * @returns {Promise<object>} 对应的用户消息数据（包含 sessionId，用于轮询）
+     */
+    regenerate: async (eventId) => {
+      const response = await this.request(
+        "POST",
+        `/api/v1/messages/${encodeURIComponent(eventId)}/regenerate`,
+        null,
+        {}
+      );
+
+      if (!response.success) {
+        return response;
+      }
+
+      return {
+        success: true,
+        data: {
+          id: response.data.userEventId,
+          sessionId: response.data.sessionId || null,
+          role: "user",
+          createdAt: response.data.timestamp || Date.now(),
+          maxLineWidth: response.data.maxLineWidth || 0,
+          status: response.data.status || "pending",
+          replyEventId: response.data.replyEventId || null,
+        },
+        timestamp: response.timestamp,
+      };
+    },
+
+    /**
+     * 编辑用户消息并重新生成回复（HTTP - 异步模式）
+     *
+     * 【功能说明】
+     * 后端会把原消息及之后的消息标记为已被替代，创建新的用户消息并重新生成回复
+     *
+     * @param {string} eventId - 要编辑的用户消息 ID
+     * @param {object} data - 编辑数据
+     * @param {string} data.message - 新的消息内容
+     * @returns {Promise<object>} 新的用户消息数据（包含 sessionId，用于轮询）
+     */
+    edit: async (eventId, data) => {
+      const content = data.message || data.text;
+      const response = await this.request(
+        "PUT",
+        `/api/v1/messages/${encodeURIComponent(eventId)}`,
+        null,
+        { text: content }
+      );
+
+      if (!response.success) {
+        return response;
+      }
+
+      return {
+        success: true,
+        data: {
+          id: response.data.userEventId,
+          sessionId: response.data.sessionId || null,
+          role: "user",
+          content,
+          createdAt: response.data.timestamp || Date.now(),
+          maxLineWidth: response.data.maxLineWidth || 0,
+          status: response.data.status || "pending",
+          replyEventId: response.data.replyEventId || null,
+        },
+        timestamp: response.timestamp,
+      };
+    },
+
+    /**
+     * 切换对话分支（HTTP）
+     *
+     * 【功能说明】
+     * 把指定的兄弟分支设为激活路径，返回新激活路径的最新一页
+     *
+     * @param {string} eventId - 要切换到的消息 ID
+     * @returns {Promise<object>} { sessionId, messages: [], hasMore, before } - before 为加载更早一页的游标
+     */
+    switchBranch: async (eventId) => {
+      const response = await this.request(
+        "POST",
+        `/api/v1/messages/${encodeURIComponent(eventId)}/switch-branch`,
+        null,
+        {}
+      );
+
+      if (!response.success) {
+        return response;
+      }
+
+      const events = response.data.events || [];
+      const messages = events.map((event) => ({
+        id: event.id,
+        sessionId: event.sessionId,
+        role: event.fromType === "user" ? "user" : "assistant",
+        content: event.content || "",
+        model: event.model || null, // 实际生成回复的模型（用户消息为 null）
+        createdAt: event.timestamp || Date.now(),
+        maxLineWidth: event.maxLineWidth || 0,
+        siblingIds: event.siblingIds || [],
+        siblingIndex: event.siblingIndex || 0,
+        status: event.status || "complete",
+        errorCode: event.errorCode || null,
+      }));
+
+      return {
+        success: true,
+        data: {
+          sessionId: response.data.sessionId,
+          messages,
+          hasMore: response.data.hasMore || false, // 是否还有更早的消息
+          before: response.data.before || null, // 加载更早一页的游标
+        },
+        timestamp: response.timestamp,
+      };
+    },
+
+    /**
+     * 重试生成失败的回复（HTTP - 异步模式）
+     *
+     * 【功能说明】
+     * 后端把失败的回复改回 pending，基于同一条用户消息重新生成，结果写回原位置
+     *
+     * @param {string} eventId - 生成失败的 Agent 回复 ID
+     * @returns {Promise<object>} { id, replyEventId, sessionId, status }（以 replyEventId 作为 pending 轮询）
+     */
+    retry: async (eventId) => {
+      const response = await this.request(
+        "POST",
+        `/api/v1/messages/${encodeURIComponent(eventId)}/retry`,
+        null,
+        {}
+      );
+
+      if (!response.success) {
+        return response;
+      }
+
+      return {
+        success: true,
+        data: {
+          id: response.data.userEventId,
+          replyEventId: response.data.replyEventId,
+          sessionId: response.data.sessionId || null,
+          status: response.data.status || "pending",
+        },
+        timestamp: response.timestamp,
+      };
+    },
+
+    /**
+     * 停止生成中的回复（HTTP）
+     *
+     * 【功能说明】
+     * 后端中止正在进行的生成，已生成的部分以 stopped 状态保存；
+     * 流式请求会随后收到 done 帧，轮询模式直接使用返回的回复
+     *
+     * @param {string} eventId - 生成中的占位回复 ID（replyEventId）
+     * @returns {Promise<object>} 停止后的回复消息 { id, sessionId, role, content, status, ... }
+     */
+    cancel: async (eventId) => {
+      const response = await this.request(
+        "POST",
+        `/api/v1/messages/${encodeURIComponent(eventId)}/cancel`,
+        null,
+        {}
+      );
+
+      if (!response.success) {
+        return response;
+      }
+
+      return {
+        success: true,
+        data: {
+          id: response.data.replyEventId,
+          sessionId: response.data.sessionId || null,
+          role: "assistant",
+          content: response.data.content || "",
+          model: response.data.model || null,
+          createdAt: response.data.timestamp || Date.now(),
+          maxLineWidth: response.data.maxLineWidth || 0,
+          status: response.data.status || "stopped",
+          errorCode: response.data.errorCode || null,
+        },
+        timestamp: response.timestamp,
+      };
+    },
+
     /**
      * 检查新消息（用于轮询）
      *
      * @param {string} sessionId - 会话 ID
      * @param {string} [lastEventId] - 最后已知的事件 ID（可选）
-     * @returns {Promise<object>} 新消息数据 { hasNew: boolean, messages: [] }
+     * @param {Array<string>} [pendingIds] - 正在等待的回复 ID（生成中的回复原地更新，通过 updated 返回）
+     * @returns {Promise<object>} 新消息数据 { hasNew: boolean, messages: [], updated: [], hasMore: boolean }
+     * hasMore 表示新消息超过一页，下次轮询继续获取
      */
-    checkNew: async (sessionId, lastEventId = null) => {
+    checkNew: async (sessionId, lastEventId = null, pendingIds = []) => {
       const params = { sessionId };
       if (lastEventId) {
         params.lastEventId = lastEventId;
       }
+      if (pendingIds.length > 0) {
+        params.pending = pendingIds.join(",");
+      }
 
       const response = await this.request("GET", "/api/v1/messages/check", params);
 
@@ -487,21 +1095,29 @@ class HttpAdapter extends ApiAdapter {
       }
 
       // 适配数据格式：后端返回 events 数组，前端需要 messages 数组
-      const events = response.data.events || [];
-      const messages = events.map((event) => ({
+      const toMessage = (event) => ({
         id: event.id || `msg_${event.timestamp}`,
         sessionId: event.sessionId,
         role: event.fromType === "user" ? "user" : "assistant",
         content: event.content || "",
+        model: event.model || null, // 实际生成回复的模型（用户消息为 null）
         createdAt: event.timestamp || Date.now(),
         maxLineWidth: event.maxLineWidth || 0, // 保留最长行宽度字段
-      }));
+        siblingIds: event.siblingIds || [], // 兄弟分支 ID 列表（对话分支）
+        siblingIndex: event.siblingIndex || 0, // 当前分支在兄弟分支中的位置
+        status: event.status || "complete", // Agent 回复：pending（生成中）/ complete / failed（生成失败）
+        errorCode: event.errorCode || null, // 生成失败的错误码
+      });
+      const messages = (response.data.events || []).map(toMessage);
+      const updated = (response.data.updated || []).map(toMessage);
 
       return {
         success: true,
         data: {
           hasNew: response.data.hasNew || messages.length > 0,
           messages: messages,
+          updated,
+          hasMore: response.data.hasMore || false,
         },
         timestamp: response.timestamp,
       };
@@ -517,13 +1133,23 @@ class HttpAdapter extends ApiAdapter {
      *
      * @param {string} userId - 用户 ID
      * @param {string} agentId - NPC ID
-     * @returns {Promise<object>} 对话历史数据
+     * @param {string} [sessionId] - 会话 ID（可选，默认最近活跃的会话）
+     * @param {object} [options] - 分页选项 { before, limit }
+     * @returns {Promise<object>} 对话历史数据 { session, messages, total, hasMore, before }
      */
-    get: async (userId, agentId) => {
-      const response = await this.request("GET", "/api/v1/history", {
-        userId,
-        agentId,
-      });
+    get: async (userId, agentId, sessionId = null, options = {}) => {
+      const params = { userId, agentId };
+      if (sessionId) {
+        params.sessionId = sessionId;
+      }
+      if (options.before) {
+        params.before = options.before;
+      }
+      if (options.limit) {
+        params.limit = options.limit;
+      }
+
+      const response = await this.request("GET", "/api/v1/history", params);
 
       // 调试日志
       console.log(`[DEBUG] Frontend: history.get response:`, response);
@@ -545,8 +1171,13 @@ class HttpAdapter extends ApiAdapter {
         sessionId: event.sessionId,
         role: event.fromType === "user" ? "user" : "assistant",
         content: event.content || "",
+        model: event.model || null, // 实际生成回复的模型（用户消息为 null）
         createdAt: event.timestamp || Date.now(),
         maxLineWidth: event.maxLineWidth || 0, // 保留最长行宽度字段
+        siblingIds: event.siblingIds || [], // 兄弟分支 ID 列表（对话分支）
+        siblingIndex: event.siblingIndex || 0, // 当前分支在兄弟分支中的位置
+        status: event.status || "complete", // Agent 回复：pending（生成中）/ complete / failed（生成失败）
+        errorCode: event.errorCode || null, // 生成失败的错误码
       }));
 
       console.log(`[DEBUG] Frontend: converted messages count:`, messages.length);
@@ -555,8 +1186,11 @@ class HttpAdapter extends ApiAdapter {
       return {
         success: true,
         data: {
+          session: response.data.session || null,
           messages: messages,
           total: response.data.total || messages.length,
+          hasMore: response.data.hasMore || false, // 是否还有更早的消息
+          before: response.data.before || null, // 加载更早一页的游标
         },
         timestamp: response.timestamp,
       };
@@ -571,12 +1205,21 @@ class HttpAdapter extends ApiAdapter {
      * 获取会话列表（HTTP）
      *
      * @param {string} userId - 用户 ID
+     * @param {object} [options] - 过滤条件
+     * @param {string} [options.agentId] - 只返回与该 NPC 的会话
+     * @param {boolean} [options.includeArchived] - 是否包含已归档的会话（默认包含）
      * @returns {Promise<object>} 会话列表数据
      */
-    getList: async (userId) => {
-      const response = await this.request("GET", "/api/v1/sessions", {
-        userId,
-      });
+    getList: async (userId, options = {}) => {
+      const params = { userId };
+      if (options.agentId) {
+        params.agentId = options.agentId;
+      }
+      if (options.includeArchived === false) {
+        params.includeArchived = "false";
+      }
+
+      const response = await this.request("GET", "/api/v1/sessions", params);
 
       if (!response.success) {
         return response;
@@ -591,6 +1234,98 @@ class HttpAdapter extends ApiAdapter {
         timestamp: response.timestamp,
       };
     },
+
+    /**
+     * 新建会话（HTTP）
+     *
+     * @param {string} agentId - NPC ID
+     * @param {string} [title] - 会话标题（可选）
+     * @returns {Promise<object>} { session }
+     */
+    create: async (agentId, title) => {
+      return await this.request("POST", "/api/v1/sessions", null, {
+        agentId,
+        title,
+      });
+    },
+
+    /**
+     * 更新会话（HTTP）：重命名、归档或取消归档
+     *
+     * @param {string} sessionId - 会话 ID
+     * @param {object} data - { title?, archived? }
+     * @returns {Promise<object>} { session }
+     */
+    update: async (sessionId, data) => {
+      return await this.request("PUT", `/api/v1/sessions/${sessionId}`, null, data);
+    },
+
+    /**
+     * 删除会话（HTTP）
+     *
+     * @param {string} sessionId - 会话 ID
+     * @returns {Promise<object>} { sessionId }
+     */
+    remove: async (sessionId) => {
+      return await this.request("DELETE", `/api/v1/sessions/${sessionId}`);
+    },
+
+    /**
+     * 把会话标记为已读到指定消息（HTTP）
+     *
+     * @param {string} sessionId - 会话 ID
+     * @param {string} [eventId] - 已读到的消息 ID（默认读到当前时间）
+     * @returns {Promise<object>} { sessionId, lastReadAt, lastReadEventId, updated }
+     */
+    markRead: async (sessionId, eventId) => {
+      return await this.request(
+        "PUT",
+        `/api/v1/sessions/${sessionId}/read`,
+        null,
+        eventId ? { eventId } : {}
+      );
+    },
+  };
+
+  /**
+   * Memories API - HTTP 实现
+   */
+  memories = {
+    /**
+     * 获取 NPC 的记忆（HTTP）
+     *
+     * @param {string} agentId - NPC ID
+     * @param {string} [sessionId] - 会话 ID（提供时同时返回会话摘要）
+     * @returns {Promise<object>} { memories: [], summary }
+     */
+    getList: async (agentId, sessionId = null) => {
+      const params = { agentId };
+      if (sessionId) {
+        params.sessionId = sessionId;
+      }
+      return await this.request("GET", "/api/v1/memories", params);
+    },
+
+    /**
+     * 编辑记忆（HTTP）
+     *
+     * @param {string} memoryId - 记忆 ID
+     * @param {string} content - 新内容
+     * @returns {Promise<object>} { memory }
+     */
+    update: async (memoryId, content) => {
+      return await this.request("PUT", `/api/v1/memories/${memoryId}`, null, { content });
+    },
+
+    /**
+     * 删除记忆（HTTP）
+     *
+     * @param {string} memoryId - 记忆 ID
+     * @returns {Promise<object>} { memoryId }
+     */
+    remove: async (memoryId) => {
+      return await this.request("DELETE", `/api/v1/memories/${memoryId}`);
+    },
   };
 
   /**
@@ -611,6 +1346,17 @@ class HttpAdapter extends ApiAdapter {
       return response;
     },
 
+    /**
+     * 退出登录（吊销 Refresh Token）
+     * @param {string|null} refreshToken - Refresh Token
+     * @returns {Promise<object>} 吊销结果
+     */
+    logout: async (refreshToken) => {
+      return await this.request("POST", "/api/v1/users/logout", null, {
+        refreshToken,
+      });
+    },
+
     /**
      * 用户注册
      * @param {string} userId - 用户 ID
@@ -629,24 +1375,46 @@ class HttpAdapter extends ApiAdapter {
     },
 
     /**
-     * 忘记密码 - 重置密码
-     * @param {string} userId - 用户 ID
-     * @param {string} newPassword - 新密码
-     * @returns {Promise<object>} 用户信息
+     * 忘记密码 - 凭恢复码或管理员重置码设置新密码
+     * @param {object} data
+     * @param {string} data.userId - 用户 ID
+     * @param {string} [data.recoveryCode] - 恢复码（与 resetToken 二选一）
+     * @param {string} [data.resetToken] - 管理员重置码
+     * @param {string} data.newPassword - 新密码
+     * @returns {Promise<object>} 用户信息和剩余恢复码数量
      */
-    forgotPassword: async (userId, newPassword) => {
+    forgotPassword: async ({ userId, recoveryCode, resetToken, newPassword }) => {
       const response = await this.request(
         "POST",
         "/api/v1/users/forgot-password",
         null,
-        { userId, newPassword }
+        { userId, recoveryCode, resetToken, newPassword }
       );
       return response;
     },
 
+    /**
+     * 查询剩余恢复码数量
+     * @returns {Promise<object>} { remaining }
+     */
+    getRecoveryCodeStatus: async () => {
+      return await this.request("GET", "/api/v1/users/recovery-codes");
+    },
+
+    /**
+     * 验证当前密码后重新生成恢复码（旧恢复码全部作废）
+     * @param {string} password - 当前密码
+     * @returns {Promise<object>} { recoveryCodes }
+     */
+    regenerateRecoveryCodes: async (password) => {
+      return await this.request("POST", "/api/v1/users/recovery-codes", null, {
+        password,
+      });
+    },
+
     /**
      * 自动登录（用于老用户迁移）
-     * 对于在 2025-11-25 之前注册的用户，允许自动登录
+     * 只对截止时间之前注册、且从未设置过自己密码的用户开放（截止时间由后端配置）
      * @param {string} userId - 用户 ID
      * @returns {Promise<object>} 用户信息和 Token
      */
@@ -707,6 +1475,106 @@ class HttpAdapter extends ApiAdapter {
     },
   };
 
+  /**
+   * Models API - HTTP 实现
+   */
+  models = {
+    /**
+     * 获取可用的提供商和模型目录
+     * @returns {Promise<object>} { providers, defaultModel }
+     */
+    getList: async () => {
+      const response = await this.request("GET", "/api/v1/models");
+      return response;
+    },
+  };
+
+  /**
+   * API Keys API - HTTP 实现
+   */
+  apiKeys = {
+    /**
+     * 获取我的 API Key（脱敏）
+     * @returns {Promise<object>} { keys, sharedPoolEnabled, encryptionConfigured }
+     */
+    getList: async () => {
+      return await this.request("GET", "/api/v1/api-keys");
+    },
+
+    /**
+     * 保存我的 API Key
+     * @param {string} provider - 提供商名称
+     * @param {string} apiKey - API Key
+     * @returns {Promise<object>} { key }
+     */
+    save: async (provider, apiKey) => {
+      return await this.request(
+        "PUT",
+        `/api/v1/api-keys/${encodeURIComponent(provider)}`,
+        null,
+        { apiKey }
+      );
+    },
+
+    /**
+     * 删除我的 API Key
+     * @param {string} provider - 提供商名称
+     * @returns {Promise<object>} { provider }
+     */
+    delete: async (provider) => {
+      return await this.request("DELETE", `/api/v1/api-keys/${encodeURIComponent(provider)}`);
+    },
+  };
+
+  /**
+   * Usage API - HTTP 实现
+   */
+  usage = {
+    /**
+     * 获取我的用量
+     * @param {object} [options] - { startDate, endDate }（YYYY-MM-DD）
+     * @returns {Promise<object>} { range, totals, daily, agents, models }
+     */
+    get: async (options = {}) => {
+      const params = {};
+      if (options.startDate) params.startDate = options.startDate;
+      if (options.endDate) params.endDate = options.endDate;
+      return await this.request(
+        "GET",
+        "/api/v1/usage",
+        Object.keys(params).length > 0 ? params : null
+      );
+    },
+
+    /**
+     * 获取我今天的配额
+     * @returns {Promise<object>} { date, resetAt, messages, tokens, exceeded, custom, defaults }
+     */
+    getQuota: async () => {
+      return await this.request("GET", "/api/v1/usage/quota");
+    },
+  };
+
+  /**
+   * Search API - HTTP 实现
+   */
+  search = {
+    /**
+     * 搜索消息
+     * @param {object} options - { q, agentId, from, startDate, endDate, limit, offset }
+     * @returns {Promise<object>} { query, terms, total, hasMore, items }
+     */
+    messages: async (options = {}) => {
+      const params = {};
+      ["q", "agentId", "from", "startDate", "endDate", "limit", "offset"].forEach((key) => {
+        if (options[key] !== undefined && options[key] !== null && options[key] !== "") {
+          params[key] = options[key];
+        }
+      });
+      return await this.request("GET", "/api/v1/search", params);
+    },
+  };
+
   /**
    * Feedbacks API - HTTP 实现
    */
@@ -759,6 +1627,170 @@ class HttpAdapter extends ApiAdapter {
       return response;
     },
   };
+
+  /**
+   * Realtime API - HTTP 实现
+   */
+  realtime = {
+    /**
+     * 订阅当前用户的实时事件
+     *
+     * 【功能说明】
+     * 连接 GET /api/v1/realtime/stream（fetch + ReadableStream，需要携带 Authorization 头），
+     * 同一账号在其他设备上的操作（新消息、回复生成、NPC 修改和删除）通过 onEvent 推送
+     *
+     * 【重新连接】
+     * - 网络中断、服务端结束连接（令牌即将过期、实例切换）：按 1 秒起、最长 30 秒的退避间隔重新连接
+     * - TOKEN_EXPIRED：刷新 Access Token 后立即重新连接
+     * - 其他认证失败：停止订阅（由普通请求处理登录失效）
+     *
+     * 【说明】
+     * 事件只是通知，不保证送达；onStatusChange(true) 时（包括重新连接后）调用方应重新同步一次数据
+     *
+     * @param {object} handlers - 回调
+     * @param {Function} handlers.onEvent - 收到事件 ({ type, data, timestamp }) => void
+     * @param {Function} [handlers.onStatusChange] - 连接状态变化 (connected: boolean) => void
+     * @returns {Function} 取消订阅
+     */
+    subscribe: ({ onEvent, onStatusChange } = {}) => {
+      if (typeof ReadableStream === "undefined" || typeof TextDecoder === "undefined") {
+        return () => {};
+      }
+
+      let stopped = false;
+      let controller = null;
+      let retryTimer = null;
+      let connected = false;
+      let retryDelay = REALTIME_RETRY_MIN;
+
+      const setConnected = (value) => {
+        if (connected !== value) {
+          connected = value;
+          onStatusChange?.(value);
+        }
+      };
+
+      const wait = (ms) =>
+        new Promise((resolve) => {
+          retryTimer = setTimeout(resolve, ms);
+        });
+
+      const backoff = async () => {
+        const delay = retryDelay;
+        retryDelay = Math.min(retryDelay * 2, REALTIME_RETRY_MAX);
+        await wait(delay);
+      };
+
+      const run = async () => {
+        // 刷新令牌后仍然 TOKEN_EXPIRED 时不再刷新（连接成功后重置）
+        let refreshed = false;
+        while (!stopped) {
+          controller = new AbortController();
+          const sentToken = this.token;
+          const headers = { Accept: "text/event-stream" };
+          if (sentToken) {
+            headers["Authorization"] = `Bearer ${sentToken}`;
+          }
+
+          let response;
+          try {
+            response = await fetch(`${this.baseURL}/api/v1/realtime/stream`, {
+              method: "GET",
+              headers,
+              signal: controller.signal,
+            });
+          } catch (error) {
+            if (stopped) {
+              return;
+            }
+            await backoff();
+            continue;
+          }
+
+          const contentType = response.headers.get("content-type") || "";
+          if (!contentType.includes("text/event-stream")) {
+            const responseData = await response.json().catch(() => ({}));
+            if (response.status === 401) {
+              if (
+                responseData.error?.code === "TOKEN_EXPIRED" &&
+                !refreshed &&
+                (await this.refreshAccessToken(sentToken))
+              ) {
+                refreshed = true;
+                continue;
+              }
+              setConnected(false);
+              return;
+            }
+            await backoff();
+            continue;
+          }
+
+          try {
+            await readSseFrames(
+              response,
+              ({ event, payload }) => {
+                if (event === "ready") {
+                  retryDelay = REALTIME_RETRY_MIN;
+                  refreshed = false;
+                  setConnected(true);
+                } else if (event === "message") {
+                  onEvent?.(payload);
+                }
+              },
+              () => stopped
+            );
+          } catch (error) {
+            // 连接中断，稍后重新连接
+          }
+
+          if (stopped) {
+            return;
+          }
+          setConnected(false);
+          await backoff();
+        }
+      };
+
+      run();
+
+      return () => {
+        stopped = true;
+        clearTimeout(retryTimer);
+        controller?.abort();
+        setConnected(false);
+      };
+    },
+  };
+
+  /**
+   * Notifications API - HTTP 实现
+   */
+  notifications = {
+    /**
+     * 获取通知列表
+     * @param {object} [options] - { limit }
+     * @returns {Promise<object>} { items, unread: { replies, announcements, changelogs, total } }
+     */
+    getList: async (options = {}) => {
+      const params = {};
+      if (options.limit) {
+        params.limit = options.limit;
+      }
+      return await this.request("GET", "/api/v1/notifications", params);
+    },
+
+    /**
+     * 把公告和版本更新日志标记为已读
+     * @param {object} [options] - { all }，all 为 true 时同时把所有会话标记为已读
+     * @returns {Promise<object>} { readAt }
+     */
+    markRead: async (options = {}) => {
+      return await this.request("POST", "/api/v1/notifications/read", null, {
+        all: options.all === true,
+      });
+    },
+  };
 }
 
 export default HttpAdapter;
@@ -315,6 +315,15 @@ const api = new Proxy(
           }
         };
       }
+      if (prop === "setRefreshToken") {
+        return (refreshToken) => {
+          if (refreshToken) {
+            localStorage.setItem('npc_refresh_token', refreshToken);
+          } else {
+            localStorage.removeItem('npc_refresh_token');
+          }
+        };
+      }
       if (prop === "loadToken") {
         return () => {
           // 优先从适配器读取（如果已初始化且有实现）
@@ -325,12 +334,13 @@ const api = new Proxy(
           return localStorage.getItem('npc_access_token');
         };
       }
-      // 如果访问的是适配器的方法（agents, messages, history, sessions, users, import, feedbacks）
+      // 如果访问的是适配器的方法（agents, messages, history, sessions, memories, users, import, feedbacks）
       if (
         prop === "agents" ||
         prop === "messages" ||
         prop === "history" ||
         prop === "sessions" ||
+        prop === "memories" ||
         prop === "users" ||
         prop === "import" ||
         prop === "feedbacks"
@@ -35,6 +35,21 @@ import mockHistory from '../mocks/data/history.js';
  */
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+/**
+ * 生成一组 Mock 恢复码（格式与后端一致：XXXXX-XXXXX）
+ */
+const mockRecoveryCodes = () => {
+  const alphabet = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+  return Array.from({ length: 8 }, () => {
+    let code = '';
+    for (let i = 0; i < 10; i++) {
+      if (i === 5) code += '-';
+      code += alphabet[Math.floor(Math.random() * alphabet.length)];
+    }
+    return code;
+  });
+};
+
 /**
  * Mock API 适配器
  *
@@ -367,7 +382,9 @@ class MockAdapter extends ApiAdapter {
         success: true,
         data: {
           messages: messages,
-          total: messages.length
+          total: messages.length,
+          hasMore: false, // Mock 数据一次返回全部
+          before: null
         },
         timestamp: Date.now()
       };
@@ -420,6 +437,20 @@ class MockAdapter extends ApiAdapter {
       };
     },
 
+    /**
+     * 退出登录（Mock）
+     * @param {string|null} refreshToken - Refresh Token
+     * @returns {Promise<object>} 吊销结果
+     */
+    logout: async (refreshToken) => {
+      await delay(100);
+      return {
+        success: true,
+        data: { revoked: refreshToken ? 1 : 0 },
+        timestamp: Date.now(),
+      };
+    },
+
     /**
      * 用户注册（Mock）
      * @param {string} userId - 用户 ID
@@ -442,23 +473,27 @@ class MockAdapter extends ApiAdapter {
           id: userId,
           username: username,
           createdAt: Date.now(),
+          recoveryCodes: mockRecoveryCodes(),
         },
         timestamp: Date.now(),
       };
     },
 
     /**
-     * 忘记密码 - 重置密码（Mock）
-     * @param {string} userId - 用户 ID
-     * @param {string} newPassword - 新密码
-     * @returns {Promise<object>} 用户信息
+     * 忘记密码 - 凭恢复码或管理员重置码设置新密码（Mock）
+     * @param {object} data
+     * @param {string} data.userId - 用户 ID
+     * @param {string} [data.recoveryCode] - 恢复码
+     * @param {string} [data.resetToken] - 管理员重置码
+     * @param {string} data.newPassword - 新密码
+     * @returns {Promise<object>} 用户信息和剩余恢复码数量
      */
-    forgotPassword: async (userId, newPassword) => {
+    forgotPassword: async ({ userId, recoveryCode, resetToken, newPassword }) => {
       await delay(500);
-      if (userId === 'not_exist_user') {
+      if (userId === 'not_exist_user' || (!recoveryCode && !resetToken)) {
         return {
           success: false,
-          error: { code: 'USER_NOT_FOUND', message: '账号不存在' },
+          error: { code: 'INVALID_RECOVERY_CREDENTIAL', message: '恢复码无效或已使用' },
           timestamp: Date.now(),
         };
       }
@@ -468,10 +503,38 @@ class MockAdapter extends ApiAdapter {
           id: userId,
           username: `MockUser_${userId}`,
           createdAt: Date.now(),
+          remainingRecoveryCodes: recoveryCode ? 7 : 8,
         },
         timestamp: Date.now(),
       };
     },
+
+    /**
+     * 查询剩余恢复码数量（Mock）
+     * @returns {Promise<object>} { remaining }
+     */
+    getRecoveryCodeStatus: async () => {
+      await delay(200);
+      return {
+        success: true,
+        data: { remaining: 8 },
+        timestamp: Date.now(),
+      };
+    },
+
+    /**
+     * 重新生成恢复码（Mock）
+     * @param {string} password - 当前密码
+     * @returns {Promise<object>} { recoveryCodes }
+     */
+    regenerateRecoveryCodes: async (password) => {
+      await delay(300);
+      return {
+        success: true,
+        data: { recoveryCodes: mockRecoveryCodes() },
+        timestamp: Date.now(),
+      };
+    },
   };
 
   /**
@@ -521,6 +584,248 @@ class MockAdapter extends ApiAdapter {
     },
   };
 
+  /**
+   * Models API - Mock 实现
+   */
+  models = {
+    /**
+     * 获取可用的提供商和模型目录（Mock）
+     * @returns {Promise<object>} { providers, defaultModel }
+     */
+    getList: async () => {
+      await delay(200);
+
+      return {
+        success: true,
+        data: {
+          providers: [
+            {
+              name: 'openrouter',
+              label: 'OpenRouter',
+              allowCustomModels: true,
+              models: [
+                { id: 'anthropic/claude-sonnet-4.5', label: 'Claude Sonnet 4.5 (推荐)' },
+                { id: 'google/gemini-2.5-pro', label: 'Gemini 2.5 Pro' },
+                { id: 'openai/gpt-4.1', label: 'GPT-4.1' },
+              ],
+            },
+            {
+              name: 'ollama',
+              label: 'Ollama（本地）',
+              allowCustomModels: true,
+              models: [{ id: 'llama3.1:8b', label: 'Llama 3.1 8B' }],
+            },
+          ],
+          defaultModel: { model: 'anthropic/claude-sonnet-4.5', provider: 'openrouter' },
+        },
+        timestamp: Date.now(),
+      };
+    },
+  };
+
+  /**
+   * API Keys API - Mock 实现
+   */
+  apiKeys = {
+    /**
+     * 获取我的 API Key（Mock）
+     * @returns {Promise<object>} { keys, sharedPoolEnabled, encryptionConfigured }
+     */
+    getList: async () => {
+      await delay(200);
+
+      return {
+        success: true,
+        data: {
+          keys: [
+            {
+              provider: 'openrouter',
+              label: 'OpenRouter',
+              configured: false,
+              keyHint: null,
+              validatedAt: null,
+              updatedAt: null,
+              sharedKeyAvailable: true,
+            },
+          ],
+          sharedPoolEnabled: true,
+          encryptionConfigured: true,
+        },
+        timestamp: Date.now(),
+      };
+    },
+
+    /**
+     * 保存我的 API Key（Mock）
+     * @param {string} provider - 提供商名称
+     * @param {string} apiKey - API Key
+     * @returns {Promise<object>} { key }
+     */
+    save: async (provider, apiKey) => {
+      await delay(500);
+
+      if (!apiKey || apiKey.length < 8) {
+        return {
+          success: false,
+          error: { code: 'VALIDATION_ERROR', message: 'API Key 格式不正确' },
+          timestamp: Date.now(),
+        };
+      }
+
+      return {
+        success: true,
+        data: {
+          key: {
+            provider,
+            label: 'OpenRouter',
+            configured: true,
+            keyHint: `${apiKey.slice(0, 4)}…${apiKey.slice(-4)}`,
+            validatedAt: Date.now(),
+            updatedAt: Date.now(),
+            sharedKeyAvailable: true,
+          },
+        },
+        timestamp: Date.now(),
+      };
+    },
+
+    /**
+     * 删除我的 API Key（Mock）
+     * @param {string} provider - 提供商名称
+     * @returns {Promise<object>} { provider }
+     */
+    delete: async (provider) => {
+      await delay(200);
+
+      return {
+        success: true,
+        data: { provider },
+        timestamp: Date.now(),
+      };
+    },
+  };
+
+  /**
+   * Usage API - Mock 实现
+   */
+  usage = {
+    /**
+     * 获取我的用量（Mock）
+     * @param {object} [options] - { startDate, endDate }
+     * @returns {Promise<object>} { range, totals, daily, agents, models }
+     */
+    get: async (options = {}) => {
+      await delay(200);
+
+      const today = new Date().toISOString().slice(0, 10);
+      const stats = (requests) => ({
+        requests,
+        promptTokens: requests * 1200,
+        completionTokens: requests * 200,
+        totalTokens: requests * 1400,
+        cost: requests * 0.0066,
+        unpricedRequests: 0,
+        avgLatencyMs: 2100,
+      });
+      const row = (key, label, requests) => ({ key, label, ...stats(requests) });
+
+      return {
+        success: true,
+        data: {
+          range: { startDate: options.startDate || today, endDate: options.endDate || today },
+          totals: stats(5),
+          daily: [row(today, null, 5)],
+          agents: [row('agent_mock', '示例 NPC', 5)],
+          models: [row('anthropic/claude-sonnet-4.5', 'openrouter', 5)],
+        },
+        timestamp: Date.now(),
+      };
+    },
+
+    /**
+     * 获取我今天的配额（Mock）
+     * @returns {Promise<object>} { date, resetAt, messages, tokens, exceeded, custom, defaults }
+     */
+    getQuota: async () => {
+      await delay(100);
+
+      const now = new Date();
+      return {
+        success: true,
+        data: {
+          date: now.toISOString().slice(0, 10),
+          resetAt: new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1).getTime(),
+          messages: { used: 5, limit: 200 },
+          tokens: { used: 7000, limit: null },
+          exceeded: null,
+          custom: null,
+          defaults: { dailyMessages: 200, dailyTokens: 0 },
+        },
+        timestamp: Date.now(),
+      };
+    },
+  };
+
+  /**
+   * Search API - Mock 实现
+   */
+  search = {
+    /**
+     * 搜索消息（Mock，在示例对话历史中做简单的包含匹配）
+     * @param {object} options - { q, agentId, from, startDate, endDate, limit, offset }
+     * @returns {Promise<object>} { query, terms, total, hasMore, items }
+     */
+    messages: async (options = {}) => {
+      await delay(200);
+
+      const q = (options.q || '').trim();
+      const terms = q.split(/\s+/).filter(Boolean);
+      const limit = options.limit || 20;
+      const offset = options.offset || 0;
+
+      const matches = Object.entries(mockHistory)
+        .filter(([agentId]) => !options.agentId || agentId === options.agentId)
+        .flatMap(([agentId, messages]) =>
+          messages.map((msg) => ({ ...msg, agentId }))
+        )
+        .filter((msg) => !options.from || (options.from === 'user') === (msg.role === 'user'))
+        .filter((msg) => terms.length > 0 && terms.every((term) => msg.content.toLowerCase().includes(term.toLowerCase())))
+        .sort((a, b) => b.createdAt - a.createdAt);
+
+      const items = matches.slice(offset, offset + limit).map((msg) => {
+        const index = msg.content.toLowerCase().indexOf(terms[0].toLowerCase());
+        const start = Math.max(0, index - 30);
+        const prefix = start > 0 ? '…' : '';
+        const snippet = `${prefix}${msg.content.slice(start, start + 120).replace(/\s/g, ' ')}`;
+        const highlightStart = index - start + prefix.length;
+        return {
+          eventId: msg.id,
+          sessionId: msg.sessionId,
+          sessionTitle: null,
+          agentId: msg.agentId,
+          agentName: mockAgents.find((agent) => agent.id === msg.agentId)?.name || null,
+          agentAvatarUrl: null,
+          fromType: msg.role === 'user' ? 'user' : 'agent',
+          timestamp: msg.createdAt,
+          snippet,
+          highlights: [[highlightStart, highlightStart + terms[0].length]],
+        };
+      });
+
+      return {
+        success: true,
+        data: {
+          query: q,
+          terms,
+          total: matches.length,
+          hasMore: offset + items.length < matches.length,
+          items,
+        },
+        timestamp: Date.now(),
+      };
+    },
+  };
+
   /**
    * Feedbacks API - Mock 实现
    */
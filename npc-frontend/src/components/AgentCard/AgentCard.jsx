@@ -14,7 +14,9 @@
  *   - avatarUrl: string
  *   - lastMessageAt: number
  *   - lastMessagePreview: string
+ *   - unreadCount: number (未读回复数，头像右上角显示角标)
  * - onClick: function (点击事件)
+ * - typing: boolean (NPC 正在生成回复，预览处显示"正在输入...")
  *
  * @author AI Assistant
  * @created 2025-11-21
@@ -22,7 +24,7 @@
 
 import React from 'react';
 import PropTypes from 'prop-types';
-import { Avatar, Tag, Typography, Space, Dropdown, Button } from 'antd';
+import { Avatar, Badge, Tag, Typography, Space, Dropdown, Button } from 'antd';
 import { UserOutlined, EditOutlined, DeleteOutlined, MoreOutlined } from '@ant-design/icons';
 import Card from '../Card/Card';
 import styles from './AgentCard.module.css';
@@ -114,8 +116,8 @@ const cleanMarkdownPreview = (markdown, maxLength = 50) => {
   return text;
 };
 
-const AgentCard = ({ agent, onClick, onEdit, onDelete }) => {
-  const { name, type, avatarUrl, lastMessageAt, lastMessagePreview } = agent;
+const AgentCard = ({ agent, onClick, onEdit, onDelete, typing = false }) => {
+  const { name, type, avatarUrl, lastMessageAt, lastMessagePreview, unreadCount = 0 } = agent;
 
   // 类型标签颜色映射
   const typeColors = {
@@ -173,13 +175,15 @@ const AgentCard = ({ agent, onClick, onEdit, onDelete }) => {
       <div style={{ display: 'flex', alignItems: 'center' }}>
         {/* 头像区域 */}
         <div style={{ marginRight: 16, flexShrink: 0 }} className={styles.avatarContainer}>
-          <Avatar 
-            size={60} 
-            src={avatarUrl} 
-            icon={<UserOutlined />} 
-            style={{ backgroundColor: '#fde3cf', verticalAlign: 'middle' }}
-            className={styles.avatar}
-          />
+          <Badge count={unreadCount} overflowCount={99} offset={[-4, 4]}>
+            <Avatar 
+              size={60} 
+              src={avatarUrl} 
+              icon={<UserOutlined />} 
+              style={{ backgroundColor: '#fde3cf', verticalAlign: 'middle' }}
+              className={styles.avatar}
+            />
+          </Badge>
         </div>
 
         {/* 信息区域 */}
@@ -201,9 +205,15 @@ const AgentCard = ({ agent, onClick, onEdit, onDelete }) => {
 
           {/* 底部：最后消息预览 */}
           <div style={{ display: 'flex' }}>
-            <Text type="secondary" ellipsis className={styles.previewText}>
-              {lastMessagePreview ? cleanMarkdownPreview(lastMessagePreview, 60) : '暂无对话记录'}
-            </Text>
+            {typing ? (
+              <Text type="success" ellipsis className={styles.previewText}>
+                正在输入...
+              </Text>
+            ) : (
+              <Text type="secondary" ellipsis className={styles.previewText}>
+                {lastMessagePreview ? cleanMarkdownPreview(lastMessagePreview, 60) : '暂无对话记录'}
+              </Text>
+            )}
           </div>
         </div>
 
@@ -239,11 +249,13 @@ AgentCard.propTypes = {
     avatarUrl: PropTypes.string,
     lastMessageAt: PropTypes.number,
     lastMessagePreview: PropTypes.string,
+    unreadCount: PropTypes.number,
     createdBy: PropTypes.string,
   }).isRequired,
   onClick: PropTypes.func,
   onEdit: PropTypes.func,
   onDelete: PropTypes.func,
+  typing: PropTypes.bool,
 };
 
 export default AgentCard;
@@ -4,7 +4,7 @@
  * ============================================
  *
  * 【功能说明】
- * 提供编辑 NPC 信息的模态框，支持修改名称、人设、模型等
+ * 提供编辑 NPC 信息的模态框，支持修改名称、人设、模型、备用模型和生成参数等
  *
  * 【工作流程】
  * 1. 接收 Agent 数据并初始化表单
@@ -18,12 +18,14 @@
  */
 
 import React, { useEffect } from 'react';
-import { Modal, Form, Select, Input, message } from 'antd';
+import { Modal, Form, Input, message } from 'antd';
 import api from '../../api';
 import CustomInput from '../Input/Input';
+import ModelFields from '../ModelFields/ModelFields';
+import GenerationParamsFields from '../GenerationParamsFields/GenerationParamsFields';
+import FallbackModelsFields from '../FallbackModelsFields/FallbackModelsFields';
 import styles from './AgentEditModal.module.css';
 
-const { Option } = Select;
 const { TextArea } = Input;
 
 /**
@@ -39,25 +41,16 @@ const AgentEditModal = ({ agent, open, onCancel, onSuccess }) => {
   const [form] = Form.useForm();
   const [loading, setLoading] = React.useState(false);
 
-  // 支持的模型列表（统一使用 OpenRouter）
-  const modelOptions = [
-    { value: 'anthropic/claude-sonnet-4.5', label: 'Claude Sonnet 4.5 (推荐)' },
-    { value: 'anthropic/claude-sonnet-4', label: 'Claude Sonnet 4' },
-    { value: 'anthropic/claude-3.7-sonnet', label: 'Claude 3.7 Sonnet' },
-    { value: 'google/gemini-3-pro-preview', label: 'Gemini 3 Pro Preview' },
-    { value: 'google/gemini-2.5-pro', label: 'Gemini 2.5 Pro' },
-    { value: 'openai/gpt-5', label: 'GPT-5' },
-    { value: 'openai/gpt-4.1', label: 'GPT-4.1' },
-    { value: 'tngtech/deepseek-r1t2-chimera:free', label: 'DeepSeek R1 T2 Chimera (免费)' },
-  ];
-
   // 当 Agent 数据变化时，更新表单初始值
   useEffect(() => {
     if (agent && open) {
       form.setFieldsValue({
         name: agent.name,
         systemPrompt: agent.systemPrompt || '',
+        provider: agent.provider || 'openrouter',
         model: agent.model,
+        fallbackModels: agent.fallbackModels || [],
+        generationParams: agent.generationParams || {},
       });
     }
   }, [agent, open, form]);
@@ -139,19 +132,11 @@ const AgentEditModal = ({ agent, open, onCancel, onSuccess }) => {
           />
         </Form.Item>
 
-        <Form.Item
-          name="model"
-          label="AI 模型"
-          rules={[{ required: true, message: '请选择 AI 模型' }]}
-        >
-          <Select placeholder="请选择 AI 模型" size="large">
-            {modelOptions.map((option) => (
-              <Option key={option.value} value={option.value}>
-                {option.label}
-              </Option>
-            ))}
-          </Select>
-        </Form.Item>
+        <ModelFields form={form} size="large" modelLabel="AI 模型" />
+
+        <FallbackModelsFields form={form} size="large" />
+
+        <GenerationParamsFields size="large" />
       </Form>
     </Modal>
   );
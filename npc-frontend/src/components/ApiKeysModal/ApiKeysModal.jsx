@@ -0,0 +1,208 @@
+/**
+ * ============================================
+ * 我的 API Key 弹窗组件 (ApiKeysModal.jsx)
+ * ============================================
+ *
+ * 【功能说明】
+ * 用户为各个 LLM 提供商填写自己的 API Key。生成回复时优先使用自己的 Key，
+ * 没有填写时按管理员设置决定能否使用服务器的共享 Key
+ *
+ * 【交互规则】
+ * - 保存前服务器会向提供商验证 Key，验证失败时显示原因，不会保存
+ * - 服务器只返回脱敏后的 Key（如 sk-o…a1b2），已保存的 Key 无法再次查看，只能替换或删除
+ * - 服务器未配置加密主密钥时只展示提示，不允许填写
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Modal, Alert, Button, Input, Typography, Space, List, Tag, Popconfirm, message } from 'antd';
+import api from '../../api';
+
+const { Text, Paragraph } = Typography;
+
+/**
+ * 我的 API Key 弹窗组件
+ *
+ * @param {Object} props - 组件属性
+ * @param {boolean} props.open - 是否显示弹窗
+ * @param {Function} props.onClose - 关闭回调
+ */
+const ApiKeysModal = ({ open, onClose }) => {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [inputs, setInputs] = useState({});
+  const [savingProvider, setSavingProvider] = useState(null);
+  const [errors, setErrors] = useState({});
+
+  const loadKeys = async () => {
+    setLoading(true);
+    try {
+      const response = await api.apiKeys.getList();
+      if (response.success) {
+        setData(response.data);
+      } else {
+        message.error(response.error?.message || '获取 API Key 失败');
+      }
+    } catch (err) {
+      console.error('Load api keys error:', err);
+      message.error('获取 API Key 失败');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // 打开时重置输入并加载列表
+  useEffect(() => {
+    if (!open) return;
+
+    setInputs({});
+    setErrors({});
+    loadKeys();
+  }, [open]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const updateKey = (provider, key) => {
+    setData((prev) => ({
+      ...prev,
+      keys: prev.keys.map((item) => (item.provider === provider ? key : item)),
+    }));
+  };
+
+  const handleSave = async (provider) => {
+    const value = (inputs[provider] || '').trim();
+    if (!value) {
+      setErrors((prev) => ({ ...prev, [provider]: '请输入 API Key' }));
+      return;
+    }
+
+    setSavingProvider(provider);
+    setErrors((prev) => ({ ...prev, [provider]: null }));
+    try {
+      const response = await api.apiKeys.save(provider, value);
+      if (response.success) {
+        updateKey(provider, response.data.key);
+        setInputs((prev) => ({ ...prev, [provider]: '' }));
+        message.success('API Key 已验证并保存');
+      } else {
+        setErrors((prev) => ({ ...prev, [provider]: response.error?.message || '保存失败' }));
+      }
+    } catch (err) {
+      setErrors((prev) => ({ ...prev, [provider]: '发生未知错误' }));
+    } finally {
+      setSavingProvider(null);
+    }
+  };
+
+  const handleDelete = async (item) => {
+    try {
+      const response = await api.apiKeys.delete(item.provider);
+      if (response.success) {
+        updateKey(item.provider, { ...item, configured: false, keyHint: null, validatedAt: null });
+        message.success('API Key 已删除');
+      } else {
+        message.error(response.error?.message || '删除失败');
+      }
+    } catch (err) {
+      message.error('删除失败，请稍后重试');
+    }
+  };
+
+  // 没有自己的 Key 时这个提供商会使用什么
+  const renderFallback = (item) => {
+    if (item.configured) {
+      return <Tag color="green">使用我的 Key</Tag>;
+    }
+    if (data.sharedPoolEnabled && item.sharedKeyAvailable) {
+      return <Tag>使用共享 Key</Tag>;
+    }
+    return <Tag color="orange">需要填写 Key</Tag>;
+  };
+
+  return (
+    <Modal
+      title="我的 API Key"
+      open={open}
+      onCancel={onClose}
+      footer={null}
+      centered
+      width={560}
+    >
+      <Paragraph type="secondary">
+        填写后，与 NPC 对话时优先使用你自己的 API Key。Key 加密保存在服务器上，保存后只显示首尾几位。
+      </Paragraph>
+
+      {data && !data.sharedPoolEnabled && (
+        <Alert
+          type="warning"
+          showIcon
+          style={{ marginBottom: 16 }}
+          message="管理员已关闭共享 API Key，需要填写自己的 Key 才能使用对应提供商的模型"
+        />
+      )}
+
+      {data && !data.encryptionConfigured && (
+        <Alert
+          type="info"
+          showIcon
+          style={{ marginBottom: 16 }}
+          message="服务器未配置加密主密钥，暂时无法保存个人 API Key，请联系管理员"
+        />
+      )}
+
+      <List
+        loading={loading}
+        dataSource={data?.keys || []}
+        locale={{ emptyText: '当前没有需要 API Key 的模型提供商' }}
+        renderItem={(item) => (
+          <List.Item>
+            <div style={{ width: '100%' }}>
+              <Space style={{ marginBottom: 8 }}>
+                <Text strong>{item.label}</Text>
+                {renderFallback(item)}
+                {item.keyHint && <Text code>{item.keyHint}</Text>}
+                {item.configured && (
+                  <Popconfirm
+                    title="删除这个 API Key？"
+                    okText="删除"
+                    cancelText="取消"
+                    onConfirm={() => handleDelete(item)}
+                  >
+                    <Button type="link" size="small" danger>
+                      删除
+                    </Button>
+                  </Popconfirm>
+                )}
+              </Space>
+              <Space.Compact style={{ width: '100%' }}>
+                <Input.Password
+                  placeholder={item.configured ? '输入新的 Key 以替换' : `输入 ${item.label} API Key`}
+                  value={inputs[item.provider] || ''}
+                  disabled={!data.encryptionConfigured}
+                  autoComplete="off"
+                  onChange={(e) => setInputs((prev) => ({ ...prev, [item.provider]: e.target.value }))}
+                  onPressEnter={() => handleSave(item.provider)}
+                />
+                <Button
+                  type="primary"
+                  loading={savingProvider === item.provider}
+                  disabled={!data.encryptionConfigured}
+                  onClick={() => handleSave(item.provider)}
+                >
+                  验证并保存
+                </Button>
+              </Space.Compact>
+              {errors[item.provider] && (
+                <Text type="danger" style={{ display: 'block', marginTop: 4, fontSize: 12 }}>
+                  {errors[item.provider]}
+                </Text>
+              )}
+            </div>
+          </List.Item>
+        )}
+      />
+    </Modal>
+  );
+};
+
+export default ApiKeysModal;
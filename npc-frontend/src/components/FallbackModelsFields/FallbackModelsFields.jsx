@@ -0,0 +1,169 @@
+/**
+ * ============================================
+ * 备用模型字段 (FallbackModelsFields.jsx)
+ * ============================================
+ *
+ * 【功能说明】
+ * 创建和编辑 NPC 时设置备用模型列表：主模型限流、出错或超时时，
+ * 按顺序改用这些模型生成回复（可以选择其他提供商的模型）
+ *
+ * 【交互规则】
+ * - 最多 3 个，按列表顺序尝试
+ * - 每一项选择提供商和模型，规则与主模型相同（允许自定义模型的提供商可以直接输入模型名称）
+ * - 模型目录加载失败时只能输入模型名称（提供商由后端按模型推断）
+ *
+ * 【使用方式】
+ * 放在 antd Form 内，字段名为 fallbackModels（提交时得到 [{ provider, model }]）
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Form, Select, AutoComplete, Input, Button, Space, Typography } from 'antd';
+import { PlusOutlined, MinusCircleOutlined } from '@ant-design/icons';
+import api from '../../api';
+
+const { Text } = Typography;
+
+/**
+ * 备用模型数量上限（与后端 AgentService 一致）
+ */
+const MAX_FALLBACK_MODELS = 3;
+
+/**
+ * 单个备用模型
+ *
+ * @param {Object} props - 组件属性
+ * @param {Object} props.form - antd Form 实例
+ * @param {Object} props.field - Form.List 字段
+ * @param {Array<Object>} props.providers - 模型目录中的提供商
+ * @param {string} [props.size] - 控件尺寸
+ * @param {Function} props.onRemove - 删除回调
+ */
+const FallbackModelRow = ({ form, field, providers, size, onRemove }) => {
+  const selectedProvider = Form.useWatch(['fallbackModels', field.name, 'provider'], form);
+  const current = providers.find((provider) => provider.name === selectedProvider);
+  const modelOptions = (current?.models || []).map((model) => ({
+    value: model.id,
+    label: model.label,
+  }));
+
+  // 切换提供商时重置模型
+  const handleProviderChange = (name) => {
+    const next = providers.find((provider) => provider.name === name);
+    form.setFieldValue(['fallbackModels', field.name, 'model'], next?.models[0]?.id);
+  };
+
+  return (
+    <Space align="start" style={{ display: 'flex', width: '100%' }}>
+      {providers.length > 0 && (
+        <Form.Item
+          name={[field.name, 'provider']}
+          rules={[{ required: true, message: '请选择提供商' }]}
+          style={{ width: 160, marginBottom: 8 }}
+        >
+          <Select
+            size={size}
+            placeholder="提供商"
+            onChange={handleProviderChange}
+            options={providers.map((provider) => ({
+              value: provider.name,
+              label: provider.label,
+            }))}
+          />
+        </Form.Item>
+      )}
+      <Form.Item
+        name={[field.name, 'model']}
+        rules={[{ required: true, message: '请选择模型' }]}
+        style={{ flex: 1, minWidth: 200, marginBottom: 8 }}
+      >
+        {providers.length === 0 ? (
+          <Input size={size} placeholder="输入模型名称" />
+        ) : current?.allowCustomModels ? (
+          <AutoComplete size={size} options={modelOptions} placeholder="选择或输入模型名称" />
+        ) : (
+          <Select size={size} options={modelOptions} placeholder="选择模型" />
+        )}
+      </Form.Item>
+      <Button
+        type="text"
+        size={size}
+        icon={<MinusCircleOutlined />}
+        onClick={onRemove}
+        aria-label="删除备用模型"
+      />
+    </Space>
+  );
+};
+
+/**
+ * 备用模型字段
+ *
+ * @param {Object} props - 组件属性
+ * @param {Object} props.form - antd Form 实例
+ * @param {string} [props.size] - 控件尺寸
+ */
+const FallbackModelsFields = ({ form, size }) => {
+  const [providers, setProviders] = useState([]);
+
+  // 加载模型目录
+  useEffect(() => {
+    let cancelled = false;
+
+    api.models.getList()
+      .then((response) => {
+        if (!cancelled && response.success) {
+          setProviders(response.data.providers || []);
+        }
+      })
+      .catch((err) => console.error('Load model catalog error:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return (
+    <Form.Item
+      label="备用模型"
+      tooltip="主模型限流、出错或超时时，按顺序改用这些模型生成回复"
+      style={{ marginBottom: 16 }}
+    >
+      <Form.List name="fallbackModels">
+        {(fields, { add, remove }) => (
+          <>
+            {fields.map((field) => (
+              <FallbackModelRow
+                key={field.key}
+                form={form}
+                field={field}
+                providers={providers}
+                size={size}
+                onRemove={() => remove(field.name)}
+              />
+            ))}
+            {fields.length < MAX_FALLBACK_MODELS ? (
+              <Button
+                type="dashed"
+                size={size}
+                icon={<PlusOutlined />}
+                onClick={() => add()}
+                block
+              >
+                添加备用模型
+              </Button>
+            ) : (
+              <Text type="secondary" style={{ fontSize: 12 }}>
+                最多 {MAX_FALLBACK_MODELS} 个备用模型
+              </Text>
+            )}
+          </>
+        )}
+      </Form.List>
+    </Form.Item>
+  );
+};
+
+export default FallbackModelsFields;
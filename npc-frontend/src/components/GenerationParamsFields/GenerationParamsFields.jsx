@@ -0,0 +1,154 @@
+/**
+ * ============================================
+ * 生成参数字段 (GenerationParamsFields.jsx)
+ * ============================================
+ *
+ * 【功能说明】
+ * 创建和编辑 NPC 时设置生成参数（temperature、最大输出长度、top_p、停止序列、
+ * frequency/presence penalty），默认收起在"高级设置"里
+ *
+ * 【交互规则】
+ * - 留空表示使用默认值（temperature 默认 0.7，其余由模型提供商决定）
+ * - 当前提供商不支持的参数（例如 Anthropic 的 penalty）会在对话时被忽略，不会报错
+ *
+ * 【使用方式】
+ * 放在 antd Form 内，字段名为 generationParams.*（提交时得到 generationParams 对象）
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+import React from 'react';
+import { Form, InputNumber, Select, Collapse, Row, Col } from 'antd';
+
+/**
+ * 数值参数（范围与后端 AgentService 的校验一致）
+ */
+const NUMBER_PARAMS = [
+  {
+    name: 'temperature',
+    label: 'Temperature',
+    min: 0,
+    max: 2,
+    step: 0.1,
+    placeholder: '默认 0.7',
+    tooltip: '越高回复越随机、越有创意；越低越稳定、越严谨',
+  },
+  {
+    name: 'maxTokens',
+    label: '最大输出 token 数',
+    min: 1,
+    max: 32000,
+    step: 1,
+    precision: 0,
+    placeholder: '默认',
+    tooltip: '单条回复最多生成的 token 数，过小会导致回复被截断',
+  },
+  {
+    name: 'topP',
+    label: 'Top P',
+    min: 0,
+    max: 1,
+    step: 0.05,
+    placeholder: '默认',
+    tooltip: '只从累计概率前 P 的词中采样，一般只调整 temperature 和 top_p 其中一个',
+  },
+  {
+    name: 'frequencyPenalty',
+    label: 'Frequency Penalty',
+    min: -2,
+    max: 2,
+    step: 0.1,
+    placeholder: '默认',
+    tooltip: '正值会减少重复用词',
+  },
+  {
+    name: 'presencePenalty',
+    label: 'Presence Penalty',
+    min: -2,
+    max: 2,
+    step: 0.1,
+    placeholder: '默认',
+    tooltip: '正值会鼓励谈论新话题',
+  },
+];
+
+/**
+ * 生成参数字段
+ *
+ * @param {Object} props - 组件属性
+ * @param {string} [props.size] - 控件尺寸
+ */
+const GenerationParamsFields = ({ size }) => {
+  const fields = (
+    <>
+      <Row gutter={16}>
+        {NUMBER_PARAMS.map((param) => (
+          <Col xs={24} sm={12} key={param.name}>
+            <Form.Item
+              label={param.label}
+              name={['generationParams', param.name]}
+              tooltip={param.tooltip}
+            >
+              <InputNumber
+                size={size}
+                min={param.min}
+                max={param.max}
+                step={param.step}
+                precision={param.precision}
+                placeholder={param.placeholder}
+                style={{ width: '100%' }}
+              />
+            </Form.Item>
+          </Col>
+        ))}
+      </Row>
+
+      <Form.Item
+        label="停止序列"
+        name={['generationParams', 'stop']}
+        tooltip="生成到这些文本时停止，最多 4 个"
+        rules={[
+          {
+            validator: (_, value) =>
+              !value || value.length <= 4
+                ? Promise.resolve()
+                : Promise.reject(new Error('停止序列最多 4 个')),
+          },
+          {
+            validator: (_, value) =>
+              !value || value.every((item) => item.length <= 50)
+                ? Promise.resolve()
+                : Promise.reject(new Error('每个停止序列不能超过 50 个字符')),
+          },
+        ]}
+      >
+        <Select
+          size={size}
+          mode="tags"
+          open={false}
+          tokenSeparators={[]}
+          placeholder="输入后按回车添加，例如：用户："
+        />
+      </Form.Item>
+    </>
+  );
+
+  return (
+    <Collapse
+      ghost
+      size="small"
+      style={{ marginBottom: 16 }}
+      items={[
+        {
+          key: 'advanced',
+          label: '高级设置（生成参数）',
+          forceRender: true,
+          children: fields,
+        },
+      ]}
+    />
+  );
+};
+
+export default GenerationParamsFields;
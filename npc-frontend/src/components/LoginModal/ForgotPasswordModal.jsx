@@ -1,24 +1,34 @@
 import React, { useState } from 'react';
-import { Modal, Input, Form, Button, Alert, message } from 'antd';
+import { Modal, Input, Form, Button, Alert, Radio, message } from 'antd';
 import api from '../../api';
 
 const ForgotPasswordModal = ({ open, onClose }) => {
   const [form] = Form.useForm();
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  // 验证方式：recoveryCode（注册时保存的恢复码）或 resetToken（管理员签发的重置码）
+  const [method, setMethod] = useState('recoveryCode');
 
   const handleSubmit = async (values) => {
     setLoading(true);
     setError(null);
     try {
-      const response = await api.users.forgotPassword(values.userId, values.newPassword);
+      const response = await api.users.forgotPassword({
+        userId: values.userId,
+        [method]: values.credential,
+        newPassword: values.newPassword,
+      });
       if (response.success) {
+        const remaining = response.data?.remainingRecoveryCodes;
         message.success('密码重置成功，请使用新密码登录');
+        if (method === 'recoveryCode' && remaining !== undefined && remaining <= 2) {
+          message.warning(`剩余 ${remaining} 个恢复码，登录后请在账号菜单中重新生成`);
+        }
         form.resetFields();
         onClose();
       } else {
-        if (response.error?.code === 'USER_NOT_FOUND') {
-          setError('账号不存在');
+        if (response.error?.code === 'INVALID_RECOVERY_CREDENTIAL') {
+          setError(method === 'recoveryCode' ? '恢复码无效或已使用' : '重置码无效、已使用或已过期');
         } else {
           setError(response.error?.message || '重置密码失败');
         }
@@ -53,12 +63,45 @@ const ForgotPasswordModal = ({ open, onClose }) => {
           <Input placeholder="请输入您的账号（User ID）" />
         </Form.Item>
 
+        <Form.Item label="验证方式">
+          <Radio.Group
+            value={method}
+            onChange={(e) => {
+              setMethod(e.target.value);
+              form.setFieldsValue({ credential: '' });
+            }}
+            optionType="button"
+            options={[
+              { value: 'recoveryCode', label: '恢复码' },
+              { value: 'resetToken', label: '管理员重置码' },
+            ]}
+          />
+        </Form.Item>
+
+        <Form.Item
+          name="credential"
+          label={method === 'recoveryCode' ? '恢复码' : '重置码'}
+          extra={
+            method === 'recoveryCode'
+              ? '注册时展示的恢复码之一，每个只能使用一次'
+              : '没有恢复码时，请联系管理员获取一次性重置码'
+          }
+          rules={[{ required: true, message: method === 'recoveryCode' ? '请输入恢复码' : '请输入重置码' }]}
+        >
+          <Input
+            placeholder={method === 'recoveryCode' ? '例如 7KQ2M-XH9PD' : '例如 ABCD-EFGH-JKLM-NPQR'}
+            autoComplete="off"
+          />
+        </Form.Item>
+
         <Form.Item
           name="newPassword"
           label="新密码"
+          extra="至少 8 位，不能是纯数字或常见密码"
           rules={[
             { required: true, message: '请输入新密码' },
-            { min: 1, message: '密码不能为空' }
+            { min: 8, message: '密码至少 8 位' },
+            { pattern: /\D/, message: '密码不能是纯数字' }
           ]}
         >
           <Input.Password placeholder="请输入新密码" />
@@ -0,0 +1,184 @@
+/**
+ * ============================================
+ * NPC 记忆抽屉组件 (MemoryDrawer.jsx)
+ * ============================================
+ *
+ * 【功能说明】
+ * 在对话页侧边展示 NPC 记住的关于用户的信息和当前会话的摘要，
+ * 用户可以编辑或删除记忆（NPC 之后的回复会使用修改后的记忆）
+ *
+ * 【工作流程】
+ * 1. 打开抽屉时加载记忆列表和会话摘要
+ * 2. 编辑 → 弹出编辑框 → 保存后刷新列表
+ * 3. 删除 → 二次确认 → 删除后刷新列表
+ *
+ * @author AI Assistant
+ * @created 2025-12-04
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Drawer, List, Button, Modal, Input, Popconfirm, Tag, Typography, Empty, message } from 'antd';
+import { EditOutlined, DeleteOutlined } from '@ant-design/icons';
+import api from '../../api';
+import styles from './MemoryDrawer.module.css';
+
+const { Text, Paragraph } = Typography;
+const { TextArea } = Input;
+
+/**
+ * NPC 记忆抽屉组件
+ *
+ * @param {Object} props - 组件属性
+ * @param {boolean} props.open - 是否显示抽屉
+ * @param {string} props.agentId - 当前 NPC ID
+ * @param {string} [props.sessionId] - 当前会话 ID（用于显示会话摘要）
+ * @param {Function} props.onClose - 关闭回调
+ */
+const MemoryDrawer = ({ open, agentId, sessionId, onClose }) => {
+  const [memories, setMemories] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [editingMemory, setEditingMemory] = useState(null); // 正在编辑的记忆
+  const [editValue, setEditValue] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  // 加载记忆和会话摘要
+  const loadMemories = useCallback(async () => {
+    if (!agentId) return;
+
+    setLoading(true);
+    try {
+      const response = await api.memories.getList(agentId, sessionId);
+      if (response.success) {
+        setMemories(response.data.memories || []);
+        setSummary(response.data.summary || null);
+      } else {
+        message.error(response.error?.message || '获取记忆失败');
+      }
+    } catch (error) {
+      console.error('Load memories error:', error);
+      message.error('获取记忆失败');
+    } finally {
+      setLoading(false);
+    }
+  }, [agentId, sessionId]);
+
+  useEffect(() => {
+    if (open) {
+      loadMemories();
+    }
+  }, [open, loadMemories]);
+
+  // 保存编辑
+  const handleSave = async () => {
+    if (!editingMemory) return;
+    if (!editValue.trim()) {
+      message.warning('记忆内容不能为空');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await api.memories.update(editingMemory.id, editValue.trim());
+      if (!response.success) {
+        message.error(response.error?.message || '保存失败');
+        return;
+      }
+      setEditingMemory(null);
+      await loadMemories();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // 删除记忆
+  const handleDelete = async (memory) => {
+    const response = await api.memories.remove(memory.id);
+    if (!response.success) {
+      message.error(response.error?.message || '删除失败');
+      return;
+    }
+    message.success('已删除');
+    await loadMemories();
+  };
+
+  return (
+    <Drawer title="NPC 的记忆" placement="right" width={360} open={open} onClose={onClose}>
+      {summary?.summary && (
+        <div className={styles.summary}>
+          <Text strong>本次对话摘要</Text>
+          <Paragraph type="secondary" className={styles.summaryText}>
+            {summary.summary}
+          </Paragraph>
+        </div>
+      )}
+
+      <Text strong>记住的关于你的信息</Text>
+      <List
+        className={styles.list}
+        loading={loading}
+        dataSource={memories}
+        locale={{
+          emptyText: (
+            <Empty
+              description="聊得更多之后，NPC 会记住关于你的信息"
+              image={Empty.PRESENTED_IMAGE_SIMPLE}
+            />
+          ),
+        }}
+        renderItem={(memory) => (
+          <List.Item
+            actions={[
+              <Button
+                key="edit"
+                type="text"
+                size="small"
+                icon={<EditOutlined />}
+                onClick={() => {
+                  setEditingMemory(memory);
+                  setEditValue(memory.content);
+                }}
+                title="编辑"
+              />,
+              <Popconfirm
+                key="delete"
+                title="确定删除这条记忆吗？"
+                okText="删除"
+                cancelText="取消"
+                onConfirm={() => handleDelete(memory)}
+              >
+                <Button type="text" size="small" danger icon={<DeleteOutlined />} title="删除" />
+              </Popconfirm>,
+            ]}
+          >
+            <div className={styles.content}>
+              {memory.content}
+              {memory.source === 'user' && <Tag className={styles.tag}>已编辑</Tag>}
+            </div>
+          </List.Item>
+        )}
+      />
+
+      <Modal
+        title="编辑记忆"
+        open={!!editingMemory}
+        onOk={handleSave}
+        onCancel={() => setEditingMemory(null)}
+        confirmLoading={saving}
+        okText="保存"
+        cancelText="取消"
+        destroyOnClose
+      >
+        <TextArea
+          value={editValue}
+          onChange={(e) => setEditValue(e.target.value)}
+          autoSize={{ minRows: 2, maxRows: 6 }}
+          maxLength={500}
+          showCount
+        />
+      </Modal>
+    </Drawer>
+  );
+};
+
+export default MemoryDrawer;
@@ -13,7 +13,18 @@
  *   - role: 'user' | 'assistant'
  *   - content: string
  *   - createdAt: number
+ *   - model: string (AI 回复实际使用的模型，可选)
+ *   - status: 'pending' | 'complete' | 'failed' | 'stopped' (AI 回复状态：生成中显示加载提示，生成失败显示错误和"重试"，
+ *     被用户停止的回复显示已生成的部分并标注"已停止")
  * - avatarUrl: string (AI 头像 URL)
+ * - primaryModel: string (NPC 配置的主模型，回复由备用模型生成时额外标注"备用")
+ * - isStreaming: boolean (AI 回复是否仍在流式生成中，显示光标并隐藏操作按钮)
+ * - onRetry: function (重试生成失败的回复，可返回 Promise，完成前按钮显示加载状态)
+ * - onSwitchBranch: function (切换对话分支，message.siblingIds 多于 1 个时显示 "< 2/3 >")
+ * - highlighted: boolean (从搜索结果跳转过来的消息：自动展开并闪烁高亮)
+ *
+ * 【DOM】
+ * 根元素 id 为 message-{message.id}，用于滚动定位
  *
  * @author AI Assistant
  * @created 2025-11-21
@@ -22,8 +33,8 @@
 
 import React, { useState, useRef, useEffect } from 'react';
 import PropTypes from 'prop-types';
-import { Avatar, Typography, Button, message, Input } from 'antd';
-import { UserOutlined, RobotOutlined, CopyOutlined, CheckOutlined, ReloadOutlined, EditOutlined, CloseOutlined } from '@ant-design/icons';
+import { Avatar, Typography, Button, message, Input, Tooltip } from 'antd';
+import { UserOutlined, RobotOutlined, CopyOutlined, CheckOutlined, ReloadOutlined, EditOutlined, CloseOutlined, LeftOutlined, RightOutlined, LoadingOutlined, ExclamationCircleOutlined, RedoOutlined, StopOutlined } from '@ant-design/icons';
 import ReactMarkdown from 'react-markdown';
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { vscDarkPlus } from 'react-syntax-highlighter/dist/esm/styles/prism';
@@ -110,21 +121,64 @@ const CodeBlock = ({ node, inline, className, children, ...props }) => {
   );
 };
 
+/**
+ * 对话分支切换组件（< 2/3 >）
+ */
+const BranchNavigator = ({ message: msg, onSwitchBranch, disabled }) => {
+  const siblingIds = msg.siblingIds || [];
+  const index = msg.siblingIndex || 0;
+  const buttonStyle = { padding: '0 2px', height: 'auto', fontSize: 12, color: '#999' };
+
+  return (
+    <span style={{ display: 'inline-flex', alignItems: 'center', fontSize: 12, color: '#999' }}>
+      <Button
+        type="text"
+        size="small"
+        icon={<LeftOutlined />}
+        disabled={disabled || index <= 0}
+        onClick={() => onSwitchBranch(msg, siblingIds[index - 1])}
+        style={buttonStyle}
+      />
+      <span>{index + 1}/{siblingIds.length}</span>
+      <Button
+        type="text"
+        size="small"
+        icon={<RightOutlined />}
+        disabled={disabled || index >= siblingIds.length - 1}
+        onClick={() => onSwitchBranch(msg, siblingIds[index + 1])}
+        style={buttonStyle}
+      />
+    </span>
+  );
+};
+
 const MessageBubble = ({ 
   message, 
   avatarUrl, 
+  primaryModel, // NPC 配置的主模型（用于标注备用模型生成的回复）
   onRegenerate, 
   onEdit, 
+  onRetry, // 重试生成失败的回复 (message) => Promise|void
   isRegenerating = false,
   isEditing = false,
-  autoCollapse = false // 是否自动压缩（用于历史消息）
+  autoCollapse = false, // 是否自动压缩（用于历史消息）
+  isStreaming = false, // 是否正在流式生成（内容逐段追加）
+  onSwitchBranch, // 切换对话分支回调 (message, targetId) => void
+  isSwitchingBranch = false, // 是否正在切换分支
+  highlighted = false // 是否高亮（搜索结果定位）
 }) => {
   const isUser = message.role === 'user';
+  const isPending = !isUser && message.status === 'pending'; // 回复生成中（占位回复）
+  const isFailed = !isUser && message.status === 'failed'; // 回复生成失败（content 为错误说明）
+  const isStopped = !isUser && message.status === 'stopped'; // 用户停止生成（content 为已生成的部分，可能为空）
+  const hasBranches = !!onSwitchBranch && (message.siblingIds?.length || 0) > 1;
+  const usedFallback = !!message.model && !!primaryModel && message.model !== primaryModel;
   const [copied, setCopied] = useState(false);
   const [isExpanded, setIsExpanded] = useState(!autoCollapse); // 如果autoCollapse为true，默认收起
   const [showToggle, setShowToggle] = useState(false); // 是否显示收起/展开按钮
   const [editingContent, setEditingContent] = useState(message.content);
   const [isEditMode, setIsEditMode] = useState(false);
+  const [retrying, setRetrying] = useState(false);
   const contentRef = useRef(null);
 
   // 复制单条AI消息
@@ -211,6 +265,13 @@ const MessageBubble = ({
     };
   }, [message.content, isUser, isExpanded, autoCollapse]);
 
+  // 搜索结果定位到的消息：展开被压缩的内容
+  useEffect(() => {
+    if (highlighted) {
+      setIsExpanded(true);
+    }
+  }, [highlighted]);
+
   // 切换展开/收起状态
   const toggleExpand = () => {
     setIsExpanded(!isExpanded);
@@ -223,6 +284,17 @@ const MessageBubble = ({
     }
   };
 
+  // 重试生成失败的回复
+  const handleRetry = async () => {
+    if (!onRetry || retrying) return;
+    setRetrying(true);
+    try {
+      await onRetry(message);
+    } finally {
+      setRetrying(false);
+    }
+  };
+
   // 处理编辑
   const handleEdit = () => {
     setIsEditMode(true);
@@ -346,7 +418,7 @@ const MessageBubble = ({
   };
 
   return (
-    <div style={containerStyle}>
+    <div style={containerStyle} id={message.id ? `message-${message.id}` : undefined}>
       {/* AI 头像 (左侧) */}
       {!isUser && (
         <Avatar 
@@ -359,7 +431,10 @@ const MessageBubble = ({
 
       {/* 消息内容 */}
       <div style={{ display: 'flex', flexDirection: 'column', alignItems: isUser ? 'flex-end' : 'flex-start' }}>
-        <div style={bubbleStyle} className={styles.bubble}>
+        <div
+          style={bubbleStyle}
+          className={`${styles.bubble} ${isFailed ? styles.failedBubble : ''} ${highlighted ? styles.highlighted : ''}`}
+        >
           {isUser ? (
             // 用户消息：纯文本显示（支持编辑）
             isEditMode ? (
@@ -411,6 +486,24 @@ const MessageBubble = ({
                 {message.content}
               </div>
             )
+          ) : isPending ? (
+            // 生成中的占位回复
+            <div className={styles.pendingContent}>
+              <LoadingOutlined />
+              <span>正在生成…</span>
+            </div>
+          ) : isStopped && !message.content ? (
+            // 还没生成任何内容就被停止
+            <div className={styles.pendingContent}>
+              <StopOutlined />
+              <span>已停止生成</span>
+            </div>
+          ) : isFailed ? (
+            // 生成失败：显示错误说明（纯文本）
+            <div className={styles.failedContent}>
+              <ExclamationCircleOutlined />
+              <span>{message.content || '回复生成失败'}</span>
+            </div>
           ) : (
             // AI 消息：Markdown 渲染
             <div 
@@ -483,15 +576,38 @@ const MessageBubble = ({
               >
                 {message.content}
               </ReactMarkdown>
+              {isStreaming && <span className={styles.streamingCursor} />}
             </div>
           )}
         </div>
         
-        {/* AI消息的操作按钮（收起/展开、复制、重新生成） */}
-        {!isUser && (
+        {/* AI消息的操作按钮（收起/展开、复制、重新生成），流式生成中和生成中的占位回复不显示 */}
+        {!isUser && !isStreaming && !isPending && (
           <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginTop: 4 }}>
+            {/* 对话分支切换 */}
+            {hasBranches && (
+              <BranchNavigator message={message} onSwitchBranch={onSwitchBranch} disabled={isSwitchingBranch} />
+            )}
+            {/* 重试按钮（仅生成失败的回复） */}
+            {isFailed && onRetry && (
+              <Button
+                type="text"
+                size="small"
+                icon={<RedoOutlined />}
+                onClick={handleRetry}
+                loading={retrying}
+                style={{
+                  padding: '0 4px',
+                  height: 'auto',
+                  fontSize: 12,
+                  color: '#ff4d4f'
+                }}
+              >
+                重试
+              </Button>
+            )}
             {/* 收起/展开按钮 */}
-            {showToggle && (
+            {showToggle && !isFailed && (
               <Button
                 type="text"
                 size="small"
@@ -526,43 +642,69 @@ const MessageBubble = ({
                 重新生成
               </Button>
             )}
-            {/* 复制按钮 */}
-            <Button
-              type="text"
-              size="small"
-              icon={copied ? <CheckOutlined /> : <CopyOutlined />}
-              onClick={handleCopyMessage}
-              style={{
-                padding: '0 4px',
-                height: 'auto',
-                fontSize: 12,
-                color: '#999'
-              }}
-              className={styles.copyButton}
-            >
-              {copied ? '已复制' : '复制'}
-            </Button>
+            {/* 复制按钮（生成失败或停止时还没有内容的回复没有可复制的内容） */}
+            {!isFailed && !(isStopped && !message.content) && (
+              <Button
+                type="text"
+                size="small"
+                icon={copied ? <CheckOutlined /> : <CopyOutlined />}
+                onClick={handleCopyMessage}
+                style={{
+                  padding: '0 4px',
+                  height: 'auto',
+                  fontSize: 12,
+                  color: '#999'
+                }}
+                className={styles.copyButton}
+              >
+                {copied ? '已复制' : '复制'}
+              </Button>
+            )}
+            {/* 被用户停止的回复 */}
+            {isStopped && (
+              <Text type="secondary" style={{ fontSize: 11, color: '#bfbfbf' }}>
+                已停止
+              </Text>
+            )}
+            {/* 实际生成回复的模型 */}
+            {message.model && (
+              <Tooltip title={usedFallback ? `主模型 ${primaryModel} 暂时不可用，由备用模型生成` : '生成这条回复的模型'}>
+                <Text
+                  type="secondary"
+                  className={styles.modelLabel}
+                  style={{ fontSize: 11, color: usedFallback ? '#d48806' : '#bfbfbf' }}
+                >
+                  {usedFallback ? `备用 · ${message.model}` : message.model}
+                </Text>
+              </Tooltip>
+            )}
           </div>
         )}
         
         {/* 用户消息的操作按钮（编辑） */}
-        {isUser && !isEditMode && onEdit && (
+        {isUser && !isEditMode && (onEdit || hasBranches) && (
           <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginTop: 4 }}>
-            <Button
-              type="text"
-              size="small"
-              icon={<EditOutlined />}
-              onClick={handleEdit}
-              style={{
-                padding: '0 4px',
-                height: 'auto',
-                fontSize: 12,
-                color: '#999'
-              }}
-              className={styles.actionButton}
-            >
-              编辑
-            </Button>
+            {/* 对话分支切换 */}
+            {hasBranches && (
+              <BranchNavigator message={message} onSwitchBranch={onSwitchBranch} disabled={isSwitchingBranch} />
+            )}
+            {onEdit && (
+              <Button
+                type="text"
+                size="small"
+                icon={<EditOutlined />}
+                onClick={handleEdit}
+                style={{
+                  padding: '0 4px',
+                  height: 'auto',
+                  fontSize: 12,
+                  color: '#999'
+                }}
+                className={styles.actionButton}
+              >
+                编辑
+              </Button>
+            )}
           </div>
         )}
       </div>
@@ -584,14 +726,25 @@ MessageBubble.propTypes = {
     role: PropTypes.oneOf(['user', 'assistant']).isRequired,
     content: PropTypes.string.isRequired,
     createdAt: PropTypes.number,
+    model: PropTypes.string, // 实际生成回复的模型
     id: PropTypes.string,
+    siblingIds: PropTypes.arrayOf(PropTypes.string), // 兄弟分支 ID 列表
+    siblingIndex: PropTypes.number, // 当前分支位置
+    status: PropTypes.oneOf(['pending', 'complete', 'failed', 'stopped']), // AI 回复状态
+    errorCode: PropTypes.string, // 生成失败的错误码
   }).isRequired,
   avatarUrl: PropTypes.string,
+  primaryModel: PropTypes.string, // NPC 配置的主模型
   onRegenerate: PropTypes.func, // 重新生成回调函数
   onEdit: PropTypes.func, // 编辑回调函数
+  onRetry: PropTypes.func, // 重试生成失败的回复
   isRegenerating: PropTypes.bool, // 是否正在重新生成
   isEditing: PropTypes.bool, // 是否正在编辑
   autoCollapse: PropTypes.bool, // 是否自动压缩（用于历史消息）
+  isStreaming: PropTypes.bool, // 是否正在流式生成
+  onSwitchBranch: PropTypes.func, // 切换对话分支回调
+  isSwitchingBranch: PropTypes.bool, // 是否正在切换分支
+  highlighted: PropTypes.bool, // 是否高亮（搜索结果定位）
 };
 
 export default MessageBubble;
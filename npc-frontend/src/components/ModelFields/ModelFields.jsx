@@ -0,0 +1,132 @@
+/**
+ * ============================================
+ * 提供商和模型选择字段 (ModelFields.jsx)
+ * ============================================
+ *
+ * 【功能说明】
+ * 创建和编辑 NPC 时选择 LLM 提供商和模型，选项从后端模型目录（/api/v1/models）读取，
+ * 包括管理员配置的 Ollama、vLLM、LM Studio 等自定义提供商
+ *
+ * 【交互规则】
+ * - 切换提供商时，模型重置为该提供商的第一个模型
+ * - 提供商允许自定义模型时，可以输入列表外的模型名称
+ * - 模型目录加载失败时，只显示模型输入框（提供商由后端按模型推断）
+ *
+ * 【使用方式】
+ * 放在 antd Form 内，字段名为 provider 和 model
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Form, Select, AutoComplete, Input } from 'antd';
+import api from '../../api';
+
+/**
+ * 提供商和模型选择字段
+ *
+ * @param {Object} props - 组件属性
+ * @param {Object} props.form - antd Form 实例
+ * @param {string} [props.size] - 控件尺寸
+ * @param {string} [props.modelLabel] - 模型字段标题
+ * @param {Function} [props.onLoaded] - 模型目录加载完成回调 (catalog) => void
+ */
+const ModelFields = ({ form, size, modelLabel = '使用模型', onLoaded }) => {
+  const [providers, setProviders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const selectedProvider = Form.useWatch('provider', form);
+
+  // 加载模型目录
+  useEffect(() => {
+    let cancelled = false;
+
+    api.models.getList()
+      .then((response) => {
+        if (cancelled || !response.success) return;
+        setProviders(response.data.providers || []);
+        onLoaded && onLoaded(response.data);
+      })
+      .catch((err) => console.error('Load model catalog error:', err))
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const current = providers.find((provider) => provider.name === selectedProvider);
+  const modelOptions = (current?.models || []).map((model) => ({
+    value: model.id,
+    label: model.label,
+  }));
+
+  // 切换提供商时重置模型
+  const handleProviderChange = (name) => {
+    const next = providers.find((provider) => provider.name === name);
+    form.setFieldsValue({ model: next?.models[0]?.id });
+  };
+
+  if (!loading && providers.length === 0) {
+    return (
+      <Form.Item
+        label={modelLabel}
+        name="model"
+        rules={[{ required: true, message: '请输入模型名称' }]}
+      >
+        <Input size={size} placeholder="输入模型名称，例如 openai/gpt-4.1" />
+      </Form.Item>
+    );
+  }
+
+  return (
+    <>
+      <Form.Item
+        label="模型提供商"
+        name="provider"
+        rules={[{ required: true, message: '请选择模型提供商' }]}
+      >
+        <Select
+          size={size}
+          loading={loading}
+          placeholder="选择模型提供商"
+          onChange={handleProviderChange}
+          options={providers.map((provider) => ({
+            value: provider.name,
+            label: provider.label,
+          }))}
+        />
+      </Form.Item>
+
+      <Form.Item
+        label={modelLabel}
+        name="model"
+        rules={[{ required: true, message: '请选择模型' }]}
+        extra={current?.allowCustomModels ? '可以从列表中选择，也可以直接输入模型名称' : undefined}
+      >
+        {current?.allowCustomModels ? (
+          <AutoComplete
+            size={size}
+            options={modelOptions}
+            placeholder="选择或输入模型名称"
+            filterOption={(inputValue, option) =>
+              option.value.toLowerCase().includes(inputValue.toLowerCase()) ||
+              String(option.label).toLowerCase().includes(inputValue.toLowerCase())
+            }
+          />
+        ) : (
+          <Select
+            size={size}
+            loading={loading}
+            placeholder="选择 LLM 模型"
+            options={modelOptions}
+          />
+        )}
+      </Form.Item>
+    </>
+  );
+};
+
+export default ModelFields;
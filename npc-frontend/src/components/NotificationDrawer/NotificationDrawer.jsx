@@ -0,0 +1,180 @@
+/**
+ * ============================================
+ * 通知抽屉组件 (NotificationDrawer.jsx)
+ * ============================================
+ *
+ * 【功能说明】
+ * 展示通知中心：未读的 NPC 回复、管理员公告和版本更新日志，按时间倒序排列
+ *
+ * 【工作流程】
+ * 1. 打开抽屉时刷新通知列表（数据来自 NotificationContext）
+ * 2. 点击回复 → 跳转到对应对话（打开对话后该会话自动标记为已读）
+ * 3. 点击公告 → 展开 / 收起全文；点击版本更新日志 → 跳转到更新日志页
+ * 4. "全部已读"：公告、版本更新日志和所有会话的回复都标记为已读
+ * 5. 开关浏览器通知：页面在后台时收到新回复弹出系统通知
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Drawer, List, Button, Switch, Tag, Typography, Empty, Avatar, Badge, message } from 'antd';
+import { CheckOutlined, NotificationOutlined, FileTextOutlined, RobotOutlined } from '@ant-design/icons';
+import { useNotifications } from '../../context/NotificationContext';
+import styles from './NotificationDrawer.module.css';
+
+const { Text } = Typography;
+
+/**
+ * 各类通知的标签和图标
+ */
+const TYPE_META = {
+  reply: { label: '新回复', color: 'blue', icon: <RobotOutlined /> },
+  announcement: { label: '公告', color: 'orange', icon: <NotificationOutlined /> },
+  changelog: { label: '版本更新', color: 'green', icon: <FileTextOutlined /> },
+};
+
+/**
+ * 格式化通知时间
+ *
+ * @param {number} timestamp - 时间戳（毫秒）
+ * @returns {string} 格式化后的时间
+ */
+const formatTime = (timestamp) => {
+  if (!timestamp) return '';
+  const date = new Date(timestamp);
+  const now = new Date();
+  if (date.toDateString() === now.toDateString()) {
+    return date.toLocaleTimeString('zh-CN', { hour: '2-digit', minute: '2-digit' });
+  }
+  return date.toLocaleDateString('zh-CN');
+};
+
+/**
+ * 通知抽屉组件
+ *
+ * @param {Object} props - 组件属性
+ * @param {boolean} props.open - 是否显示抽屉
+ * @param {Function} props.onClose - 关闭回调
+ */
+const NotificationDrawer = ({ open, onClose }) => {
+  const navigate = useNavigate();
+  const {
+    notifications,
+    unread,
+    loading,
+    refresh,
+    markAllRead,
+    browserNotify,
+    browserNotifySupported,
+    setBrowserNotify,
+  } = useNotifications();
+  const [expandedId, setExpandedId] = useState(null); // 展开全文的公告
+  const [marking, setMarking] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      refresh();
+    }
+  }, [open, refresh]);
+
+  const handleClick = (item) => {
+    if (item.type === 'reply') {
+      onClose();
+      navigate(`/chat/${item.agentId}?session=${encodeURIComponent(item.sessionId)}`);
+    } else if (item.type === 'changelog') {
+      onClose();
+      navigate('/updates');
+    } else {
+      setExpandedId((prev) => (prev === item.id ? null : item.id));
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      setMarking(true);
+      await markAllRead({ all: true });
+      message.success('已全部标记为已读');
+    } catch (error) {
+      message.error(error.message || '操作失败，请稍后重试');
+    } finally {
+      setMarking(false);
+    }
+  };
+
+  const handleBrowserNotifyChange = async (checked) => {
+    const enabled = await setBrowserNotify(checked);
+    if (checked && !enabled) {
+      message.warning('浏览器未允许通知，请在浏览器的网站设置中开启');
+    }
+  };
+
+  return (
+    <Drawer
+      title="通知"
+      placement="right"
+      width={360}
+      open={open}
+      onClose={onClose}
+      extra={
+        <Button
+          size="small"
+          icon={<CheckOutlined />}
+          onClick={handleMarkAllRead}
+          loading={marking}
+          disabled={unread.total === 0}
+        >
+          全部已读
+        </Button>
+      }
+    >
+      {browserNotifySupported && (
+        <div className={styles.toolbar}>
+          <Text type="secondary">页面在后台时用浏览器通知提醒新回复</Text>
+          <Switch size="small" checked={browserNotify} onChange={handleBrowserNotifyChange} />
+        </div>
+      )}
+
+      <List
+        loading={loading && notifications.length === 0}
+        dataSource={notifications}
+        locale={{ emptyText: <Empty description="暂无通知" image={Empty.PRESENTED_IMAGE_SIMPLE} /> }}
+        renderItem={(item) => {
+          const meta = TYPE_META[item.type] || TYPE_META.announcement;
+          const expanded = expandedId === item.id;
+          return (
+            <List.Item
+              className={`${styles.item} ${item.unread ? styles.unread : ''}`}
+              onClick={() => handleClick(item)}
+            >
+              <List.Item.Meta
+                avatar={
+                  <Badge dot={item.unread}>
+                    <Avatar src={item.avatarUrl || undefined} icon={meta.icon} />
+                  </Badge>
+                }
+                title={
+                  <>
+                    <span className={styles.title}>{item.title}</span>
+                    <Tag color={meta.color} className={styles.tag}>{meta.label}</Tag>
+                  </>
+                }
+                description={
+                  <>
+                    <span className={`${styles.content} ${expanded ? '' : styles.collapsed}`}>
+                      {item.content}
+                    </span>
+                    <Text type="secondary" className={styles.time}>{formatTime(item.createdAt)}</Text>
+                  </>
+                }
+              />
+            </List.Item>
+          );
+        }}
+      />
+    </Drawer>
+  );
+};
+
+export default NotificationDrawer;
@@ -0,0 +1,181 @@
+/**
+ * ============================================
+ * 恢复码弹窗组件 (RecoveryCodesModal.jsx)
+ * ============================================
+ *
+ * 【功能说明】
+ * 展示和重新生成账号恢复码。恢复码用于忘记密码时验证身份，每个只能使用一次，
+ * 服务器只保存摘要，明文只在生成时展示一次
+ *
+ * 【使用场景】
+ * 1. 注册成功后：传入 codes，直接展示新生成的恢复码
+ * 2. 账号菜单：不传 codes，显示剩余数量，验证当前密码后重新生成
+ *
+ * @author AI Assistant
+ * @created 2025-12-08
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Modal, Alert, Button, Input, Typography, Space, message } from 'antd';
+import { CopyOutlined } from '@ant-design/icons';
+import api from '../../api';
+
+const { Text, Paragraph } = Typography;
+
+/**
+ * 恢复码弹窗组件
+ *
+ * @param {Object} props - 组件属性
+ * @param {boolean} props.open - 是否显示弹窗
+ * @param {Array<string>} [props.codes] - 新生成的恢复码（注册后传入）
+ * @param {Function} props.onClose - 关闭回调
+ */
+const RecoveryCodesModal = ({ open, codes, onClose }) => {
+  const [generatedCodes, setGeneratedCodes] = useState(null);
+  const [remaining, setRemaining] = useState(null);
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const displayCodes = codes && codes.length > 0 ? codes : generatedCodes;
+
+  // 打开时重置状态，并查询剩余数量（只在账号菜单场景）
+  useEffect(() => {
+    if (!open) return;
+
+    setGeneratedCodes(null);
+    setPassword('');
+    setError(null);
+    setRemaining(null);
+
+    if (!codes || codes.length === 0) {
+      api.users.getRecoveryCodeStatus()
+        .then((response) => {
+          if (response.success) {
+            setRemaining(response.data.remaining);
+          }
+        })
+        .catch((err) => console.error('Load recovery code status error:', err));
+    }
+  }, [open, codes]);
+
+  // 验证当前密码后重新生成
+  const handleGenerate = async () => {
+    if (!password) {
+      setError('请输入当前密码');
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await api.users.regenerateRecoveryCodes(password);
+      if (response.success) {
+        setGeneratedCodes(response.data.recoveryCodes);
+        setPassword('');
+      } else if (response.error?.code === 'INVALID_PASSWORD') {
+        setError('密码错误');
+      } else {
+        setError(response.error?.message || '生成恢复码失败');
+      }
+    } catch (err) {
+      setError('发生未知错误');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(displayCodes.join('\n'));
+      message.success('已复制到剪贴板');
+    } catch (err) {
+      message.error('复制失败，请手动抄写');
+    }
+  };
+
+  return (
+    <Modal
+      title="账号恢复码"
+      open={open}
+      onCancel={onClose}
+      maskClosable={!displayCodes}
+      centered
+      footer={
+        displayCodes ? (
+          <Button type="primary" onClick={onClose}>
+            我已妥善保存
+          </Button>
+        ) : null
+      }
+    >
+      {displayCodes ? (
+        <>
+          <Alert
+            type="warning"
+            showIcon
+            style={{ marginBottom: 16 }}
+            message="恢复码只显示这一次"
+            description="忘记密码时可以用任意一个恢复码重置密码，每个只能使用一次。请复制或抄写后保存在安全的地方。"
+          />
+          <div
+            style={{
+              display: 'grid',
+              gridTemplateColumns: 'repeat(2, 1fr)',
+              gap: 8,
+              padding: 16,
+              background: '#fafafa',
+              borderRadius: 8,
+              fontFamily: 'monospace',
+              fontSize: 16,
+              textAlign: 'center',
+            }}
+          >
+            {displayCodes.map((code) => (
+              <Text key={code} code>{code}</Text>
+            ))}
+          </div>
+          <Button icon={<CopyOutlined />} onClick={handleCopy} style={{ marginTop: 12 }} block>
+            复制全部
+          </Button>
+        </>
+      ) : (
+        <>
+          <Paragraph>
+            忘记密码时，可以用恢复码验证身份并设置新密码。
+            {remaining !== null && (
+              <>
+                当前剩余 <Text strong>{remaining}</Text> 个可用恢复码。
+              </>
+            )}
+          </Paragraph>
+          {remaining === 0 && (
+            <Alert
+              type="info"
+              showIcon
+              style={{ marginBottom: 16 }}
+              message="您还没有可用的恢复码，建议现在生成"
+            />
+          )}
+          {error && <Alert message={error} type="error" showIcon style={{ marginBottom: 16 }} />}
+          <Space.Compact style={{ width: '100%' }}>
+            <Input.Password
+              placeholder="输入当前密码"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              onPressEnter={handleGenerate}
+            />
+            <Button type="primary" loading={loading} onClick={handleGenerate}>
+              生成新的恢复码
+            </Button>
+          </Space.Compact>
+          <Text type="secondary" style={{ display: 'block', marginTop: 8, fontSize: 12 }}>
+            生成后，之前的恢复码全部失效
+          </Text>
+        </>
+      )}
+    </Modal>
+  );
+};
+
+export default RecoveryCodesModal;
@@ -0,0 +1,253 @@
+/**
+ * ============================================
+ * 会话列表抽屉组件 (SessionDrawer.jsx)
+ * ============================================
+ *
+ * 【功能说明】
+ * 在对话页侧边展示与当前 NPC 的所有会话，支持新建、切换、重命名、归档和删除
+ *
+ * 【工作流程】
+ * 1. 打开抽屉时加载会话列表（默认隐藏已归档的会话）
+ * 2. 点击会话 → 通知父组件切换会话
+ * 3. 重命名 / 归档 / 删除 → 调用会话 API 后刷新列表
+ * 4. 有未读回复的会话在标题后显示未读数
+ *
+ * @author AI Assistant
+ * @created 2025-12-03
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Drawer, List, Button, Dropdown, Modal, Input, Switch, Tag, Typography, Empty, Badge, message } from 'antd';
+import { PlusOutlined, MoreOutlined, EditOutlined, InboxOutlined, DeleteOutlined } from '@ant-design/icons';
+import api from '../../api';
+import styles from './SessionDrawer.module.css';
+
+const { Text } = Typography;
+
+/**
+ * 格式化最后活跃时间
+ *
+ * @param {number} timestamp - 时间戳（毫秒）
+ * @returns {string} 格式化后的时间
+ */
+const formatLastActive = (timestamp) => {
+  if (!timestamp) return '';
+  const date = new Date(timestamp);
+  const now = new Date();
+  if (date.toDateString() === now.toDateString()) {
+    return date.toLocaleTimeString('zh-CN', { hour: '2-digit', minute: '2-digit' });
+  }
+  return date.toLocaleDateString('zh-CN');
+};
+
+/**
+ * 会话列表抽屉组件
+ *
+ * @param {Object} props - 组件属性
+ * @param {boolean} props.open - 是否显示抽屉
+ * @param {string} props.userId - 当前用户 ID
+ * @param {string} props.agentId - 当前 NPC ID
+ * @param {string} [props.currentSessionId] - 正在查看的会话 ID
+ * @param {Function} props.onClose - 关闭回调
+ * @param {Function} props.onSelect - 切换会话回调 (sessionId) => void
+ * @param {Function} props.onCreate - 新建会话回调 () => void
+ * @param {Function} [props.onChanged] - 会话被修改后的回调 (session) => void
+ * @param {Function} [props.onRemoved] - 会话被删除后的回调 (sessionId) => void
+ */
+const SessionDrawer = ({
+  open,
+  userId,
+  agentId,
+  currentSessionId,
+  onClose,
+  onSelect,
+  onCreate,
+  onChanged,
+  onRemoved,
+}) => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [showArchived, setShowArchived] = useState(false);
+  const [renamingSession, setRenamingSession] = useState(null); // 正在重命名的会话
+  const [renameValue, setRenameValue] = useState('');
+
+  // 加载会话列表
+  const loadSessions = useCallback(async () => {
+    if (!userId || !agentId) return;
+
+    setLoading(true);
+    try {
+      const response = await api.sessions.getList(userId, {
+        agentId,
+        includeArchived: showArchived,
+      });
+      if (response.success) {
+        setSessions(response.data.sessions || []);
+      } else {
+        message.error(response.error?.message || '获取会话列表失败');
+      }
+    } catch (error) {
+      console.error('Load sessions error:', error);
+      message.error('获取会话列表失败');
+    } finally {
+      setLoading(false);
+    }
+  }, [userId, agentId, showArchived]);
+
+  useEffect(() => {
+    if (open) {
+      loadSessions();
+    }
+  }, [open, loadSessions]);
+
+  // 更新会话（重命名、归档）
+  const updateSession = async (sessionId, data) => {
+    const response = await api.sessions.update(sessionId, data);
+    if (!response.success) {
+      message.error(response.error?.message || '更新会话失败');
+      return false;
+    }
+    onChanged?.(response.data.session);
+    await loadSessions();
+    return true;
+  };
+
+  // 提交重命名
+  const handleRename = async () => {
+    if (!renamingSession) return;
+    const ok = await updateSession(renamingSession.sessionId, { title: renameValue.trim() });
+    if (ok) {
+      setRenamingSession(null);
+    }
+  };
+
+  // 删除会话（二次确认）
+  const handleDelete = (session) => {
+    Modal.confirm({
+      title: '删除会话',
+      content: `确定删除「${session.title || '未命名对话'}」吗？删除后无法恢复。`,
+      okText: '删除',
+      okButtonProps: { danger: true },
+      cancelText: '取消',
+      onOk: async () => {
+        const response = await api.sessions.remove(session.sessionId);
+        if (!response.success) {
+          message.error(response.error?.message || '删除会话失败');
+          return;
+        }
+        message.success('会话已删除');
+        onRemoved?.(session.sessionId);
+        await loadSessions();
+      },
+    });
+  };
+
+  // 会话操作菜单
+  const getMenuItems = (session) => [
+    {
+      key: 'rename',
+      label: '重命名',
+      icon: <EditOutlined />,
+      onClick: ({ domEvent }) => {
+        domEvent.stopPropagation();
+        setRenamingSession(session);
+        setRenameValue(session.title || '');
+      },
+    },
+    {
+      key: 'archive',
+      label: session.archivedAt ? '取消归档' : '归档',
+      icon: <InboxOutlined />,
+      onClick: ({ domEvent }) => {
+        domEvent.stopPropagation();
+        updateSession(session.sessionId, { archived: !session.archivedAt });
+      },
+    },
+    {
+      key: 'delete',
+      label: '删除',
+      icon: <DeleteOutlined />,
+      danger: true,
+      onClick: ({ domEvent }) => {
+        domEvent.stopPropagation();
+        handleDelete(session);
+      },
+    },
+  ];
+
+  return (
+    <Drawer
+      title="会话列表"
+      placement="right"
+      width={320}
+      open={open}
+      onClose={onClose}
+      extra={
+        <Button type="primary" size="small" icon={<PlusOutlined />} onClick={onCreate}>
+          新对话
+        </Button>
+      }
+    >
+      <div className={styles.toolbar}>
+        <Text type="secondary">显示已归档</Text>
+        <Switch size="small" checked={showArchived} onChange={setShowArchived} />
+      </div>
+
+      <List
+        loading={loading}
+        dataSource={sessions}
+        locale={{ emptyText: <Empty description="还没有会话" image={Empty.PRESENTED_IMAGE_SIMPLE} /> }}
+        renderItem={(session) => (
+          <List.Item
+            className={`${styles.item} ${session.sessionId === currentSessionId ? styles.active : ''}`}
+            onClick={() => onSelect(session.sessionId)}
+            actions={[
+              <Dropdown key="more" menu={{ items: getMenuItems(session) }} trigger={['click']}>
+                <Button
+                  type="text"
+                  size="small"
+                  icon={<MoreOutlined />}
+                  onClick={(e) => e.stopPropagation()}
+                />
+              </Dropdown>,
+            ]}
+          >
+            <List.Item.Meta
+              title={
+                <>
+                  <span className={styles.title}>{session.title || '未命名对话'}</span>
+                  {session.archivedAt && <Tag className={styles.tag}>已归档</Tag>}
+                  {session.unreadCount > 0 && session.sessionId !== currentSessionId && (
+                    <Badge count={session.unreadCount} overflowCount={99} size="small" className={styles.tag} />
+                  )}
+                </>
+              }
+              description={formatLastActive(session.lastActiveAt)}
+            />
+          </List.Item>
+        )}
+      />
+
+      <Modal
+        title="重命名会话"
+        open={!!renamingSession}
+        onOk={handleRename}
+        onCancel={() => setRenamingSession(null)}
+        okText="保存"
+        cancelText="取消"
+        destroyOnClose
+      >
+        <Input
+          value={renameValue}
+          onChange={(e) => setRenameValue(e.target.value)}
+          onPressEnter={handleRename}
+          maxLength={100}
+          placeholder="留空则使用默认标题"
+          autoFocus
+        />
+      </Modal>
+    </Drawer>
+  );
+};
+
+export default SessionDrawer;
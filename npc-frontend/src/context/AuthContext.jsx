@@ -56,12 +56,15 @@ export const AuthProvider = ({ children }) => {
           const response = await api.users.autoLogin(userData.id);
           
           if (response.success) {
-            const { user: updatedUser, accessToken } = response.data;
+            const { user: updatedUser, accessToken, refreshToken } = response.data;
             
             // 保存 Token
             if (accessToken) {
               api.setToken(accessToken);
             }
+            if (refreshToken) {
+              api.setRefreshToken(refreshToken);
+            }
             
             // 更新用户信息
             setUser(updatedUser);
@@ -151,12 +154,15 @@ export const AuthProvider = ({ children }) => {
     try {
       const response = await api.users.login(userId, password);
       if (response.success) {
-        const { user, accessToken } = response.data;
+        const { user, accessToken, refreshToken } = response.data;
         
-        // 保存 Token
+        // 保存 Token（Access Token 过期后由 API 适配器用 Refresh Token 自动刷新）
         if (accessToken) {
           api.setToken(accessToken);
         }
+        if (refreshToken) {
+          api.setRefreshToken(refreshToken);
+        }
         
         // 保存用户信息
         setUser(user);
@@ -177,11 +183,12 @@ export const AuthProvider = ({ children }) => {
     try {
       const response = await api.users.register(userId, username, password);
       if (response.success) {
-        const userData = response.data;
+        // 恢复码只展示一次，不写入本地存储
+        const { recoveryCodes, ...userData } = response.data;
         setUser(userData);
         localStorage.setItem('npc_user', JSON.stringify(userData));
         message.success(`注册成功，欢迎 ${userData.username}`);
-        return { success: true };
+        return { success: true, recoveryCodes: recoveryCodes || [] };
       } else {
         return { success: false, error: response.error };
       }
@@ -192,13 +199,23 @@ export const AuthProvider = ({ children }) => {
   };
 
   const logout = () => {
+    // 通知后端吊销 Refresh Token（失败不影响本地退出）
+    const refreshToken = localStorage.getItem('npc_refresh_token');
+    if (refreshToken) {
+      api.users.logout(refreshToken).catch((error) => {
+        console.error('Logout error:', error);
+      });
+    }
+
     // 清除 Token
     api.setToken(null);
+    api.setRefreshToken(null);
     
     // 清除用户信息
     setUser(null);
     localStorage.removeItem('npc_user');
     localStorage.removeItem('npc_access_token');
+    localStorage.removeItem('npc_refresh_token');
     
     message.info('已退出登录');
   };
@@ -0,0 +1,255 @@
+/**
+ * ============================================
+ * 通知中心上下文 (NotificationContext.jsx)
+ * ============================================
+ *
+ * 【文件职责】
+ * 登录后维护通知列表（未读回复、公告、版本更新日志）和未读数，
+ * 并在页面处于后台时为新回复弹出浏览器通知
+ *
+ * 【主要功能】
+ * 1. notifications / unread：通知列表和未读数（{ replies, announcements, changelogs, total }）
+ * 2. refresh()：重新拉取通知；收到回复、已读等实时事件时自动合并刷新，
+ *    实时连接断开时退回每 60 秒轮询
+ * 3. markAllRead({ all })：公告和版本更新日志标记为已读，all 为 true 时同时把所有会话标记为已读
+ * 4. 浏览器通知：用户开启后（偏好保存在 localStorage），页面在后台时出现新的未读回复会弹出系统通知，
+ *    点击通知回到对应对话；首次加载已有的未读回复不弹通知
+ *
+ * 【依赖】
+ * - api: notifications.getList、notifications.markRead
+ * - context/AuthContext.jsx: 当前登录用户
+ * - context/RealtimeContext.jsx: 实时事件
+ *
+ * 【被谁使用】
+ * - main.jsx: 包裹在 RealtimeProvider 内
+ * - components/NotificationDrawer/NotificationDrawer.jsx: 通知抽屉
+ * - pages/AgentList/AgentList.jsx: 通知按钮的未读角标
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+import React, { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
+import api from '../api';
+import { useAuth } from './AuthContext';
+import { useRealtime, useRealtimeEvents } from './RealtimeContext';
+
+const NotificationContext = createContext(null);
+
+// 实时事件触发的刷新合并窗口（毫秒）
+const REFRESH_DELAY = 800;
+
+// 实时连接断开时的轮询间隔（毫秒）
+const POLLING_INTERVAL = 60000;
+
+// 浏览器通知偏好的 localStorage 键
+const BROWSER_NOTIFY_KEY = 'npc_browser_notifications';
+
+const EMPTY_UNREAD = { replies: 0, announcements: 0, changelogs: 0, total: 0 };
+
+/**
+ * 当前浏览器是否支持系统通知
+ */
+const browserNotificationSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+export const NotificationProvider = ({ children }) => {
+  const { user } = useAuth();
+  const { connected } = useRealtime();
+  const [notifications, setNotifications] = useState([]);
+  const [unread, setUnread] = useState(EMPTY_UNREAD);
+  const [loading, setLoading] = useState(false);
+  const [apiReady, setApiReady] = useState(api.isInitialized);
+  const [browserNotify, setBrowserNotifyState] = useState(
+    () => browserNotificationSupported()
+      && Notification.permission === 'granted'
+      && localStorage.getItem(BROWSER_NOTIFY_KEY) === 'on'
+  );
+  const seenReplyIdsRef = useRef(null); // 已见过的未读回复（null 表示尚未完成首次加载）
+  const browserNotifyRef = useRef(browserNotify);
+  const refreshTimerRef = useRef(null);
+
+  // 等待 API 适配器初始化
+  useEffect(() => {
+    if (!apiReady) {
+      api.onInitialized(() => setApiReady(true));
+    }
+  }, [apiReady]);
+
+  useEffect(() => {
+    browserNotifyRef.current = browserNotify;
+  }, [browserNotify]);
+
+  /**
+   * 为新出现的未读回复弹出浏览器通知（只在页面处于后台时）
+   */
+  const notifyNewReplies = useCallback((items) => {
+    const replies = items.filter((item) => item.type === 'reply');
+    const seen = seenReplyIdsRef.current;
+    seenReplyIdsRef.current = new Set(replies.map((item) => item.id));
+
+    if (!seen || !browserNotifyRef.current || !document.hidden) {
+      return;
+    }
+    if (!browserNotificationSupported() || Notification.permission !== 'granted') {
+      return;
+    }
+
+    replies
+      .filter((item) => !seen.has(item.id))
+      .forEach((item) => {
+        try {
+          const notification = new Notification(item.title, {
+            body: item.content,
+            icon: item.avatarUrl || undefined,
+            tag: item.sessionId, // 同一会话的通知互相替换
+          });
+          notification.onclick = () => {
+            window.focus();
+            window.location.assign(`/chat/${item.agentId}?session=${encodeURIComponent(item.sessionId)}`);
+            notification.close();
+          };
+        } catch (error) {
+          // 部分移动端浏览器只允许通过 Service Worker 弹出通知
+          console.warn('弹出浏览器通知失败:', error);
+        }
+      });
+  }, []);
+
+  const refresh = useCallback(async () => {
+    if (!user?.id || !api.notifications?.getList) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await api.notifications.getList();
+      if (response.success) {
+        const items = response.data.items || [];
+        setNotifications(items);
+        setUnread(response.data.unread || EMPTY_UNREAD);
+        notifyNewReplies(items);
+      }
+    } catch (error) {
+      // 通知只用于提示，失败时保留上一次的结果
+      console.warn('获取通知失败:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [user?.id, notifyNewReplies]);
+
+  const scheduleRefresh = useCallback(() => {
+    if (refreshTimerRef.current) {
+      return;
+    }
+    refreshTimerRef.current = setTimeout(() => {
+      refreshTimerRef.current = null;
+      refresh();
+    }, REFRESH_DELAY);
+  }, [refresh]);
+
+  // 登录后加载，退出登录时清空
+  useEffect(() => {
+    seenReplyIdsRef.current = null;
+    setNotifications([]);
+    setUnread(EMPTY_UNREAD);
+    if (user?.id && apiReady) {
+      refresh();
+    }
+  }, [user?.id, apiReady, refresh]);
+
+  useEffect(() => () => {
+    if (refreshTimerRef.current) {
+      clearTimeout(refreshTimerRef.current);
+      refreshTimerRef.current = null;
+    }
+  }, []);
+
+  // 实时连接断开时退回轮询
+  useEffect(() => {
+    if (!user?.id || !apiReady || connected) {
+      return undefined;
+    }
+    const timer = setInterval(refresh, POLLING_INTERVAL);
+    return () => clearInterval(timer);
+  }, [user?.id, apiReady, connected, refresh]);
+
+  useRealtimeEvents((event) => {
+    if (!user?.id) return;
+
+    switch (event.type) {
+      case 'event.created':
+      case 'event.updated':
+        if (event.data?.fromType === 'agent') {
+          scheduleRefresh();
+        }
+        break;
+      case 'realtime.connected':
+      case 'session.updated':
+      case 'session.read':
+      case 'notifications.read':
+      case 'agent.deleted':
+        scheduleRefresh();
+        break;
+      default:
+        break;
+    }
+  });
+
+  const markAllRead = useCallback(async ({ all = false } = {}) => {
+    if (!api.notifications?.markRead) {
+      return;
+    }
+    await api.notifications.markRead({ all });
+    await refresh();
+  }, [refresh]);
+
+  /**
+   * 开启或关闭浏览器通知（开启时请求通知权限）
+   *
+   * @param {boolean} enabled - 是否开启
+   * @returns {Promise<boolean>} 实际是否开启（用户拒绝授权时为 false）
+   */
+  const setBrowserNotify = useCallback(async (enabled) => {
+    if (!enabled) {
+      localStorage.setItem(BROWSER_NOTIFY_KEY, 'off');
+      setBrowserNotifyState(false);
+      return false;
+    }
+    if (!browserNotificationSupported()) {
+      return false;
+    }
+
+    const permission = Notification.permission === 'granted'
+      ? 'granted'
+      : await Notification.requestPermission();
+    const granted = permission === 'granted';
+    localStorage.setItem(BROWSER_NOTIFY_KEY, granted ? 'on' : 'off');
+    setBrowserNotifyState(granted);
+    return granted;
+  }, []);
+
+  return (
+    <NotificationContext.Provider
+      value={{
+        notifications,
+        unread,
+        loading,
+        refresh,
+        markAllRead,
+        browserNotify,
+        browserNotifySupported: browserNotificationSupported(),
+        setBrowserNotify,
+      }}
+    >
+      {children}
+    </NotificationContext.Provider>
+  );
+};
+
+export const useNotifications = () => {
+  const context = useContext(NotificationContext);
+  if (!context) {
+    throw new Error('useNotifications must be used within a NotificationProvider');
+  }
+  return context;
+};
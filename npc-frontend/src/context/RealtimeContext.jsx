@@ -0,0 +1,115 @@
+/**
+ * ============================================
+ * 实时事件上下文 (RealtimeContext.jsx)
+ * ============================================
+ *
+ * 【文件职责】
+ * 登录后为整个应用维持一条实时事件连接，把事件分发给各个页面
+ *
+ * 【主要功能】
+ * 1. 用户登录且 API 适配器初始化完成后订阅实时事件，退出登录时断开
+ * 2. connected：连接状态（未连接时页面应降级为轮询）
+ * 3. useRealtimeEvents(handler)：页面订阅事件；（重新）连接成功时额外分发
+ *    { type: 'realtime.connected' }，页面收到后应重新同步一次数据
+ *
+ * 【依赖】
+ * - api: realtime.subscribe
+ * - context/AuthContext.jsx: 当前登录用户
+ *
+ * 【被谁使用】
+ * - main.jsx: 包裹在 AuthProvider 内
+ * - context/NotificationContext.jsx: 回复和已读事件触发通知刷新
+ * - pages/Chat/Chat.jsx: 新消息、回复生成中、NPC 修改和删除
+ * - pages/AgentList/AgentList.jsx: 列表实时刷新
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+import React, { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
+import api from '../api';
+import { useAuth } from './AuthContext';
+
+const RealtimeContext = createContext(null);
+
+export const RealtimeProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [connected, setConnected] = useState(false);
+  const [apiReady, setApiReady] = useState(api.isInitialized);
+  const listenersRef = useRef(new Set());
+
+  // 等待 API 适配器初始化（Mock 适配器不会连接）
+  useEffect(() => {
+    if (!apiReady) {
+      api.onInitialized(() => setApiReady(true));
+    }
+  }, [apiReady]);
+
+  const emit = useCallback((event) => {
+    listenersRef.current.forEach((listener) => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('处理实时事件失败:', event.type, error);
+      }
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!user?.id || !apiReady || !api.realtime?.subscribe) {
+      return undefined;
+    }
+
+    const unsubscribe = api.realtime.subscribe({
+      onEvent: emit,
+      onStatusChange: (value) => {
+        setConnected(value);
+        if (value) {
+          emit({ type: 'realtime.connected', data: {}, timestamp: Date.now() });
+        }
+      },
+    });
+
+    return () => {
+      unsubscribe();
+      setConnected(false);
+    };
+  }, [user?.id, apiReady, emit]);
+
+  const subscribe = useCallback((listener) => {
+    listenersRef.current.add(listener);
+    return () => {
+      listenersRef.current.delete(listener);
+    };
+  }, []);
+
+  return (
+    <RealtimeContext.Provider value={{ connected, subscribe }}>
+      {children}
+    </RealtimeContext.Provider>
+  );
+};
+
+export const useRealtime = () => {
+  const context = useContext(RealtimeContext);
+  if (!context) {
+    throw new Error('useRealtime must be used within a RealtimeProvider');
+  }
+  return context;
+};
+
+/**
+ * 订阅实时事件
+ *
+ * @param {Function} handler - 收到事件时调用 ({ type, data, timestamp }) => void，可以是每次渲染新建的函数
+ */
+export const useRealtimeEvents = (handler) => {
+  const { subscribe } = useRealtime();
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  useEffect(() => subscribe((event) => handlerRef.current?.(event)), [subscribe]);
+};
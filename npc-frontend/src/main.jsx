@@ -31,6 +31,8 @@ import ReactDOM from 'react-dom/client';
 import { RouterProvider } from 'react-router-dom';
 import router from './router/index.jsx';
 import { AuthProvider } from './context/AuthContext';
+import { RealtimeProvider } from './context/RealtimeContext';
+import { NotificationProvider } from './context/NotificationContext';
 import './index.css';
 
 /**
@@ -43,12 +45,18 @@ import './index.css';
  * 1. 获取 #root DOM 元素
  * 2. 创建 React 根节点
  * 3. 使用 AuthProvider 包裹应用以提供用户认证状态
- * 4. 使用 RouterProvider 渲染路由
+ * 4. 使用 RealtimeProvider 维持登录用户的实时事件连接（多设备同步）
+ * 5. 使用 NotificationProvider 维护通知中心和未读数
+ * 6. 使用 RouterProvider 渲染路由
  */
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <AuthProvider>
-      <RouterProvider router={router} />
+      <RealtimeProvider>
+        <NotificationProvider>
+          <RouterProvider router={router} />
+        </NotificationProvider>
+      </RealtimeProvider>
     </AuthProvider>
   </React.StrictMode>
 );
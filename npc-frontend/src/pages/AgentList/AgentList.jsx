@@ -11,6 +11,10 @@
  * 2. 显示加载状态
  * 3. 渲染 NPC 列表（使用 AgentCard）
  * 4. 处理空状态和错误状态
+ * 5. 搜索框按名称筛选 NPC，也可以跳转到消息搜索页搜索聊天记录
+ * 6. 实时事件：有新消息或 NPC 变化时静默刷新列表，NPC 生成回复时卡片显示"正在输入..."；
+ *    实时连接断开时退回每 30 秒轮询
+ * 7. 卡片头像显示未读回复数；顶部通知按钮显示通知中心的未读数，点击打开通知抽屉
  *
  * @author AI Assistant
  * @created 2025-11-21
@@ -18,23 +22,33 @@
 
 import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
-import { Layout, Typography, Space, Button, Empty, message, Avatar, Dropdown, Alert, Input, Modal } from 'antd';
-import { PlusOutlined, RobotOutlined, UserOutlined, LogoutOutlined, SearchOutlined, FileTextOutlined, MessageOutlined } from '@ant-design/icons';
+import { Layout, Typography, Space, Button, Empty, message, Avatar, Dropdown, Alert, Input, Modal, Badge } from 'antd';
+import { PlusOutlined, RobotOutlined, UserOutlined, LogoutOutlined, SearchOutlined, FileTextOutlined, MessageOutlined, SafetyOutlined, KeyOutlined, BarChartOutlined, BellOutlined } from '@ant-design/icons';
 import api from '../../api';
 import AgentCard from '../../components/AgentCard/AgentCard';
 import AgentEditModal from '../../components/AgentEditModal/AgentEditModal';
 import Loading from '../../components/Loading/Loading';
 import { useAuth } from '../../context/AuthContext';
+import { useRealtime, useRealtimeEvents } from '../../context/RealtimeContext';
+import { useNotifications } from '../../context/NotificationContext';
+import NotificationDrawer from '../../components/NotificationDrawer/NotificationDrawer';
 import LoginModal from '../../components/LoginModal/LoginModal';
+import RecoveryCodesModal from '../../components/RecoveryCodesModal/RecoveryCodesModal';
+import ApiKeysModal from '../../components/ApiKeysModal/ApiKeysModal';
 import styles from './AgentList.module.css';
 
 const { Header, Content } = Layout;
 const { Title, Text } = Typography;
 
+// 实时事件触发的刷新合并窗口（毫秒），避免连续事件导致重复请求
+const REALTIME_REFRESH_DELAY = 500;
+
 const AgentList = () => {
   const navigate = useNavigate();
   const location = useLocation();
   const { user, logout, loading: authLoading } = useAuth();
+  const { connected: realtimeConnected } = useRealtime();
+  const { unread: notificationUnread } = useNotifications();
   const [agents, setAgents] = useState([]);
   // 初始加载状态：如果用户已登录，应该显示加载状态（避免闪烁）
   const [loading, setLoading] = useState(() => {
@@ -50,13 +64,21 @@ const AgentList = () => {
   const lastFetchTimeRef = useRef(0); // 上次获取数据的时间戳
   const [editingAgent, setEditingAgent] = useState(null); // 正在编辑的Agent
   const [isEditModalVisible, setIsEditModalVisible] = useState(false); // 编辑模态框显示状态
+  const [isRecoveryModalOpen, setIsRecoveryModalOpen] = useState(false); // 恢复码弹窗显示状态
+  const [isApiKeysModalOpen, setIsApiKeysModalOpen] = useState(false); // 我的 API Key 弹窗显示状态
+  const [typingAgentIds, setTypingAgentIds] = useState(() => new Set()); // 正在生成回复的 NPC
+  const refreshTimerRef = useRef(null); // 实时事件刷新的合并定时器
+  const [isNotificationDrawerOpen, setIsNotificationDrawerOpen] = useState(false); // 通知抽屉显示状态
 
   // 获取 NPC 列表
-  const fetchAgents = async () => {
+  // silent: 静默刷新（不显示加载状态、失败不弹提示），用于实时事件和轮询
+  const fetchAgents = async ({ silent = false } = {}) => {
     if (!user) return; // 未登录不获取
 
     try {
-      setLoading(true);
+      if (!silent) {
+        setLoading(true);
+      }
       setError(null);
       
       const response = await api.agents.getList(user.id);
@@ -69,6 +91,9 @@ const AgentList = () => {
       }
     } catch (err) {
       console.error('Fetch agents error:', err);
+      if (silent) {
+        return;
+      }
       setError(err.message);
       message.error(`获取列表失败: ${err.message}`);
     } finally {
@@ -76,6 +101,63 @@ const AgentList = () => {
     }
   };
 
+  // 合并短时间内的多个实时事件，只刷新一次
+  const scheduleRefresh = () => {
+    if (refreshTimerRef.current) {
+      return;
+    }
+    refreshTimerRef.current = setTimeout(() => {
+      refreshTimerRef.current = null;
+      fetchAgents({ silent: true });
+    }, REALTIME_REFRESH_DELAY);
+  };
+
+  useEffect(() => () => {
+    if (refreshTimerRef.current) {
+      clearTimeout(refreshTimerRef.current);
+      refreshTimerRef.current = null;
+    }
+  }, []);
+
+  // 实时事件：新消息、回复完成、NPC 增删改都会影响列表的排序和预览
+  useRealtimeEvents((event) => {
+    if (!user) return;
+
+    switch (event.type) {
+      case 'realtime.connected':
+        // 断开期间的"正在输入"状态已不可信，重新拉取一次列表
+        setTypingAgentIds(new Set());
+        scheduleRefresh();
+        break;
+      case 'reply.typing': {
+        const { agentId, active } = event.data || {};
+        if (!agentId) break;
+        setTypingAgentIds((prev) => {
+          const next = new Set(prev);
+          if (active) {
+            next.add(agentId);
+          } else {
+            next.delete(agentId);
+          }
+          return next;
+        });
+        break;
+      }
+      case 'event.created':
+      case 'event.updated':
+      case 'session.updated':
+      case 'session.read':
+      case 'notifications.read':
+      case 'agent.created':
+      case 'agent.updated':
+      case 'agent.deleted':
+        scheduleRefresh();
+        break;
+      default:
+        break;
+    }
+  });
+
   // 监听 API 初始化状态，10秒后显示后端未连接警告
   useEffect(() => {
     const checkBackendStatus = () => {
@@ -175,10 +257,10 @@ const AgentList = () => {
     };
   }, [user]); // eslint-disable-line react-hooks/exhaustive-deps
 
-  // 添加轻量级轮询：每 30 秒刷新一次（只在页面可见时）
+  // 添加轻量级轮询：每 30 秒刷新一次（只在页面可见且实时连接不可用时）
   useEffect(() => {
-    if (!user) {
-      // 用户未登录，清除轮询
+    if (!user || realtimeConnected) {
+      // 用户未登录或实时连接可用，清除轮询
       if (pollingRef.current) {
         clearInterval(pollingRef.current);
         pollingRef.current = null;
@@ -191,7 +273,7 @@ const AgentList = () => {
       // 只在页面可见时刷新
       if (!document.hidden) {
         console.log('[DEBUG] AgentList: Polling refresh agent list...');
-        fetchAgents();
+        fetchAgents({ silent: true });
       }
     }, 30000); // 30 秒
 
@@ -202,7 +284,7 @@ const AgentList = () => {
         pollingRef.current = null;
       }
     };
-  }, [user]); // eslint-disable-line react-hooks/exhaustive-deps
+  }, [user, realtimeConnected]); // eslint-disable-line react-hooks/exhaustive-deps
 
   // 跳转到创建页面
   const handleCreate = () => {
@@ -268,9 +350,39 @@ const AgentList = () => {
     );
   }, [agents, searchKeyword]);
 
+  // 跳转到消息搜索页（搜索所有对话的聊天记录）
+  const handleSearchMessages = () => {
+    const keyword = searchKeyword.trim();
+    navigate(keyword ? `/search?q=${encodeURIComponent(keyword)}` : '/search');
+  };
+
   // 用户菜单
   const userMenuProps = {
     items: [
+      {
+        key: 'recovery-codes',
+        label: '账号恢复码',
+        icon: <SafetyOutlined />,
+        onClick: () => setIsRecoveryModalOpen(true),
+      },
+      {
+        key: 'api-keys',
+        label: '我的 API Key',
+        icon: <KeyOutlined />,
+        onClick: () => setIsApiKeysModalOpen(true),
+      },
+      {
+        key: 'search',
+        label: '搜索聊天记录',
+        icon: <SearchOutlined />,
+        onClick: handleSearchMessages,
+      },
+      {
+        key: 'usage',
+        label: '我的用量',
+        icon: <BarChartOutlined />,
+        onClick: () => navigate('/usage'),
+      },
       {
         key: 'logout',
         label: '退出登录',
@@ -322,7 +434,7 @@ const AgentList = () => {
             image={Empty.PRESENTED_IMAGE_SIMPLE}
             description={<span style={{ color: '#ff4d4f' }}>{error}</span>}
           >
-            <Button type="primary" onClick={fetchAgents}>
+            <Button type="primary" onClick={() => fetchAgents()}>
               重试
             </Button>
           </Empty>
@@ -355,10 +467,21 @@ const AgentList = () => {
           prefix={<SearchOutlined />}
           value={searchKeyword}
           onChange={(e) => setSearchKeyword(e.target.value)}
+          onPressEnter={() => filteredAgents.length === 0 && handleSearchMessages()}
           allowClear
           className={styles.searchInput}
-          style={{ marginBottom: 16, height: 40 }}
+          style={{ marginBottom: searchKeyword.trim() ? 4 : 16, height: 40 }}
         />
+        {searchKeyword.trim() && (
+          <Button
+            type="link"
+            icon={<MessageOutlined />}
+            onClick={handleSearchMessages}
+            style={{ padding: 0, marginBottom: 12 }}
+          >
+            在聊天记录中搜索"{searchKeyword.trim()}"
+          </Button>
+        )}
 
         {/* 创建按钮放在搜索框下方 */}
         <Button 
@@ -386,6 +509,7 @@ const AgentList = () => {
               onClick={handleChat}
               onEdit={handleEdit}
               onDelete={handleDelete}
+              typing={typingAgentIds.has(agent.id)}
             />
           ))
         )}
@@ -439,6 +563,19 @@ const AgentList = () => {
             更新日志
           </Button>
           
+          {/* 通知按钮 */}
+          {user && (
+            <Badge count={notificationUnread.total} overflowCount={99} size="small">
+              <Button
+                type="text"
+                icon={<BellOutlined />}
+                onClick={() => setIsNotificationDrawerOpen(true)}
+                style={{ color: '#595959' }}
+                aria-label="通知"
+              />
+            </Badge>
+          )}
+
           {user ? (
             <Dropdown menu={userMenuProps} placement="bottomRight">
               <Space style={{ cursor: 'pointer' }}>
@@ -483,6 +620,24 @@ const AgentList = () => {
         onClose={() => setIsLoginModalOpen(false)} 
       />
 
+      {/* 账号恢复码弹窗 */}
+      <RecoveryCodesModal
+        open={isRecoveryModalOpen}
+        onClose={() => setIsRecoveryModalOpen(false)}
+      />
+
+      {/* 我的 API Key 弹窗 */}
+      <ApiKeysModal
+        open={isApiKeysModalOpen}
+        onClose={() => setIsApiKeysModalOpen(false)}
+      />
+
+      {/* 通知抽屉 */}
+      <NotificationDrawer
+        open={isNotificationDrawerOpen}
+        onClose={() => setIsNotificationDrawerOpen(false)}
+      />
+
       {/* 编辑NPC模态框 */}
       <AgentEditModal
         agent={editingAgent}
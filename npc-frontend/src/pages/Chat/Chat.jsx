@@ -7,22 +7,36 @@
  * 提供与 NPC 对话的界面，支持查看历史消息和发送新消息
  *
  * 【工作流程】
- * 1. 页面加载时获取 NPC 详情和对话历史
- * 2. 显示消息列表，自动滚动到底部
+ * 1. 页面加载时获取 NPC 详情和对话历史（URL 参数 ?session= 指定会话，默认最近活跃的会话）
+ * 2. 显示消息列表，自动滚动到底部（历史按页加载，默认最新的一页，向上滚动到顶部时加载更早的消息）
  * 3. 用户输入消息并发送
- * 4. 显示发送状态和 AI 回复
+ * 4. 显示发送状态和 AI 回复（优先 SSE 流式逐字显示，不支持或会话中还有生成中的回复时改为普通发送，
+ *    等待回复生成完成）
+ * 5. 会话列表抽屉：新建、切换、重命名、归档、删除会话
+ * 6. NPC 记忆抽屉：查看、编辑、删除 NPC 记住的信息
+ * 7. 今天的对话配额用完时在输入框上方提示恢复时间，并禁用输入
+ * 8. 从搜索结果跳转时（URL 参数 ?highlight=消息 ID）滚动到该消息并高亮
+ * 9. 生成回复期间输入框旁显示"停止"按钮，停止后保留已生成的部分
+ * 10. 多设备同步：通过实时连接接收同一账号在其他设备上的操作——新消息和回复状态变化时同步新消息，
+ *     编辑、重新生成、切换分支时重新加载当前会话，其他设备生成回复时显示"正在输入"，
+ *     NPC 被修改时刷新 NPC 信息，被删除时返回列表；实时连接不可用时等待中的回复每 5 秒同步一次
+ * 11. 已读位置：页面可见时把当前会话标记为已读到最后一条已完成的消息（NPC 列表和通知中心的未读数随之更新），
+ *     页面在后台时不标记，切回前台时再标记
  *
  * @author AI Assistant
  * @created 2025-11-21
  */
 
-import React, { useState, useEffect, useRef } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
-import { Layout, Typography, Input, Button, Space, message, Avatar, Empty, Spin, Dropdown } from 'antd';
-import { ArrowLeftOutlined, SendOutlined, UserOutlined, RobotOutlined, LoadingOutlined, DownloadOutlined, FileTextOutlined, FileWordOutlined, FileMarkdownOutlined } from '@ant-design/icons';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
+import { Layout, Typography, Input, Button, Space, message, Avatar, Empty, Spin, Dropdown, Alert } from 'antd';
+import { ArrowLeftOutlined, SendOutlined, UserOutlined, RobotOutlined, LoadingOutlined, StopOutlined, DownloadOutlined, FileTextOutlined, FileWordOutlined, FileMarkdownOutlined, UnorderedListOutlined, BulbOutlined } from '@ant-design/icons';
 import api from '../../api';
 import { useAuth } from '../../context/AuthContext';
+import { useRealtime, useRealtimeEvents } from '../../context/RealtimeContext';
 import MessageBubble from '../../components/MessageBubble/MessageBubble';
+import SessionDrawer from '../../components/SessionDrawer/SessionDrawer';
+import MemoryDrawer from '../../components/MemoryDrawer/MemoryDrawer';
 import { exportConversation } from '../../utils/export';
 import styles from './Chat.module.css';
 
@@ -30,11 +44,51 @@ const { Header, Content, Footer } = Layout;
 const { Title, Text } = Typography;
 const { TextArea } = Input;
 
+/**
+ * 实时连接不可用时，等待回复期间的轮询间隔（毫秒）
+ * 连接正常时不轮询：由实时事件触发同步，重新连接或页面切回前台时补同步一次
+ */
+const POLL_INTERVAL = 5000;
+
+/**
+ * 等待回复的最长时间（毫秒）
+ */
+const REPLY_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * 标记已读的合并窗口（毫秒），连续收到多条消息时只请求一次
+ */
+const MARK_READ_DELAY = 1000;
+
+/**
+ * 格式化配额恢复时间
+ *
+ * @param {number} resetAt - 恢复时间戳（毫秒，服务器的次日 0 点）
+ * @returns {string} 例如 "明天 00:00"
+ */
+const formatQuotaReset = (resetAt) => {
+  if (!resetAt) {
+    return '明天';
+  }
+  const date = new Date(resetAt);
+  const time = `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+  const tomorrow = new Date();
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  return date.toDateString() === tomorrow.toDateString() ? `明天 ${time}` : `${date.toLocaleDateString()} ${time}`;
+};
+
 const Chat = () => {
   const { agentId } = useParams();
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const requestedSessionId = searchParams.get('session'); // URL 中指定的会话（未指定时使用最近活跃的会话）
+  const highlightEventId = searchParams.get('highlight'); // 搜索结果跳转：需要定位并高亮的消息
   const { user, loading: authLoading } = useAuth();
+  const { connected: realtimeConnected } = useRealtime();
   const messagesEndRef = useRef(null);
+  const contentRef = useRef(null); // 消息列表滚动容器
+  const scrollRestoreRef = useRef(null); // 加载更早的消息前距离底部的高度（用于保持可见位置）
+  const lastScrollTopRef = useRef(0); // 上一次的滚动位置（判断是否在向上滚动）
   
   // 状态管理
   const [agent, setAgent] = useState(null);
@@ -45,6 +99,280 @@ const Chat = () => {
   const [error, setError] = useState(null);
   const [regeneratingMessageId, setRegeneratingMessageId] = useState(null); // 正在重新生成的消息ID
   const [editingMessageId, setEditingMessageId] = useState(null); // 正在编辑的消息ID
+  const [switchingBranch, setSwitchingBranch] = useState(false); // 是否正在切换对话分支
+  const [session, setSession] = useState(null); // 当前会话（尚未发送过消息时为 null）
+  const [sessionDrawerOpen, setSessionDrawerOpen] = useState(false); // 是否显示会话列表
+  const [memoryDrawerOpen, setMemoryDrawerOpen] = useState(false); // 是否显示 NPC 记忆
+  const [reloadToken, setReloadToken] = useState(0); // 变化时重新加载默认会话
+  const [quota, setQuota] = useState(null); // 今天的配额状态（exceeded 不为空时禁用输入）
+  const [olderCursor, setOlderCursor] = useState(null); // 加载更早消息的游标（没有更早的消息时为 null）
+  const [loadingOlder, setLoadingOlder] = useState(false); // 是否正在加载更早的消息
+  const [stopping, setStopping] = useState(false); // 是否正在停止生成
+  const [typingReplyIds, setTypingReplyIds] = useState(() => new Set()); // 其他设备上正在生成的回复
+
+  // 自动滚动到底部
+  const scrollToBottom = () => {
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  };
+
+  // 搜索结果定位到的消息（高亮显示）
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+
+  // 加载更早的一页消息（插入到列表顶部）
+  const loadOlderMessages = useCallback(async () => {
+    if (!olderCursor || loadingOlder || !session) {
+      return;
+    }
+
+    setLoadingOlder(true);
+    try {
+      const response = await api.history.get(user.id, agentId, session.sessionId, { before: olderCursor });
+      if (!response.success) {
+        throw new Error(response.error?.message || '加载更早的消息失败');
+      }
+
+      const container = contentRef.current;
+      scrollRestoreRef.current = container ? container.scrollHeight - container.scrollTop : null;
+      setMessages(prev => {
+        const knownIds = new Set(prev.map(m => m.id));
+        return [...response.data.messages.filter(m => !knownIds.has(m.id)), ...prev];
+      });
+      setOlderCursor(response.data.hasMore ? response.data.before : null);
+    } catch (err) {
+      console.error('Load older messages error:', err);
+      message.error(err.message);
+    } finally {
+      setLoadingOlder(false);
+    }
+  }, [olderCursor, loadingOlder, session, user, agentId]);
+
+  // 上一次滚动时的消息列表（跳转目标、游标等其他依赖变化时不重复滚动到底部）
+  const scrolledMessagesRef = useRef(null);
+
+  useEffect(() => {
+    if (loading) {
+      scrolledMessagesRef.current = null;
+      return;
+    }
+    const messagesChanged = scrolledMessagesRef.current !== messages;
+    scrolledMessagesRef.current = messages;
+
+    // 加载了更早的消息：保持当前可见位置（新内容插入在上方），不滚动到底部
+    const restoring = scrollRestoreRef.current !== null;
+    if (restoring) {
+      const container = contentRef.current;
+      if (container) {
+        container.scrollTop = container.scrollHeight - scrollRestoreRef.current;
+      }
+      scrollRestoreRef.current = null;
+    }
+
+    // 从搜索结果跳转：历史加载完成后滚动到目标消息，之后去掉 URL 参数，恢复自动滚动到底部
+    if (highlightEventId) {
+      const target = document.getElementById(`message-${highlightEventId}`);
+      if (!target && olderCursor) {
+        // 目标消息在更早的页中：继续向前加载
+        loadOlderMessages();
+        return;
+      }
+      if (target) {
+        target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        setHighlightedMessageId(highlightEventId);
+      } else {
+        message.info('没有找到这条消息，可能已被编辑或重新生成');
+        scrollToBottom();
+      }
+      setSearchParams(requestedSessionId ? { session: requestedSessionId } : {}, { replace: true });
+      return;
+    }
+
+    if (!restoring && messagesChanged) {
+      scrollToBottom();
+    }
+  }, [messages, loading, highlightEventId, olderCursor, loadOlderMessages, requestedSessionId, setSearchParams]);
+
+  // 向上滚动到接近顶部时加载更早的消息（自动滚动到底部时 scrollTop 增大，不会触发）
+  const handleMessagesScroll = (e) => {
+    const { scrollTop } = e.currentTarget;
+    const scrollingUp = scrollTop < lastScrollTopRef.current;
+    lastScrollTopRef.current = scrollTop;
+    if (scrollingUp && scrollTop < 80) {
+      loadOlderMessages();
+    }
+  };
+
+  // 正在等待的回复（代替定时轮询）
+  // 后端先保存一条 pending 的占位回复，生成完成后原地更新为 complete / failed：
+  // 新消息按 cursor 获取，占位回复的最新状态通过 waiting 获取，所有回复都不再是 pending 时结束等待
+  // { sessionId, cursor, waiting: Set<回复 ID>, receivedReply, deadline }
+  const watchRef = useRef(null);
+  const [watching, setWatching] = useState(false);
+
+  // 流式回复的中止控制器（组件卸载时断开 SSE 连接）
+  const streamAbortRef = useRef(null);
+
+  // 正在生成的回复 ID（停止生成时使用）：流式模式为 start 帧返回的占位回复，否则为 watchRef 中仍在等待的回复
+  const streamReplyIdRef = useRef(null);
+
+  // 最新的消息列表和会话（同步时读取，定时器和实时事件回调中的 state 可能已过期）
+  const messagesRef = useRef(messages);
+  messagesRef.current = messages;
+  const sessionRef = useRef(session);
+  sessionRef.current = session;
+
+  // 同步状态：同一时间只发一个请求，请求期间又收到通知时结束后再同步一次
+  const syncStateRef = useRef({ running: false, again: false, skipped: false });
+
+  // 正在提交会改变时间线的请求（发送、重新生成、编辑、重试）：期间不同步，
+  // 避免后端已保存的消息和本地的临时消息重复显示；请求结束后由 watchReplies 补一次同步
+  const submittingRef = useRef(false);
+
+  // 提交会改变时间线的请求
+  const submit = async (request) => {
+    submittingRef.current = true;
+    try {
+      return await request();
+    } finally {
+      submittingRef.current = false;
+    }
+  };
+
+  // 组件卸载时断开流式连接
+  useEffect(() => {
+    return () => {
+      watchRef.current = null;
+      if (streamAbortRef.current) {
+        streamAbortRef.current.abort();
+        streamAbortRef.current = null;
+      }
+    };
+  }, []);
+
+  // 结束等待回复
+  const stopWatching = useCallback(() => {
+    watchRef.current = null;
+    setWatching(false);
+  }, []);
+
+  // 结束发送状态
+  const finishSending = useCallback(() => {
+    setSending(false);
+    setRegeneratingMessageId(null); // 清除重新生成状态
+    setEditingMessageId(null); // 清除编辑状态
+  }, []);
+
+  // 同步一次新消息和生成中的回复（由 syncMessages 调用，同一时间只执行一次）
+  const syncOnce = useCallback(async () => {
+    const watch = watchRef.current;
+    const sessionId = watch?.sessionId || sessionRef.current?.sessionId;
+    if (!sessionId) {
+      return;
+    }
+
+    syncStateRef.current.skipped = false;
+    try {
+      const persisted = messagesRef.current.filter(m => !m.isTemp && !m.isStreaming);
+      const cursor = watch ? watch.cursor : persisted[persisted.length - 1]?.id || null;
+      const pendingIds = new Set([
+        ...(watch ? watch.waiting : []),
+        ...persisted.filter(m => m.status === 'pending').map(m => m.id),
+      ]);
+
+      const response = await api.messages.checkNew(sessionId, cursor, [...pendingIds]);
+      // 等待期间切换了会话或开始了新的等待：丢弃结果
+      if (watchRef.current !== watch || (!watch && sessionRef.current?.sessionId !== sessionId)) {
+        return;
+      }
+      const newMessages = response.success ? response.data.messages : [];
+      const updated = response.success ? response.data.updated || [] : [];
+
+      if (newMessages.length > 0 || updated.length > 0) {
+        // 生成中的回复原地替换（保留兄弟分支信息），新消息追加到列表
+        setMessages(prev => {
+          const updates = new Map(updated.map(m => [m.id, m]));
+          const merged = prev
+            .filter(m => !m.isTemp)
+            .map(m => (updates.has(m.id)
+              ? { ...m, ...updates.get(m.id), siblingIds: m.siblingIds, siblingIndex: m.siblingIndex }
+              : m));
+          const knownIds = new Set(merged.map(m => m.id));
+          return [...merged, ...newMessages.filter(m => !knownIds.has(m.id))];
+        });
+      }
+
+      if (watch) {
+        newMessages.forEach(m => {
+          if (m.role === 'assistant') {
+            watch.receivedReply = true;
+            if (m.status === 'pending') {
+              watch.waiting.add(m.id);
+            }
+          }
+        });
+        updated.forEach(m => {
+          if (m.status !== 'pending') {
+            watch.waiting.delete(m.id);
+          }
+        });
+        if (newMessages.length > 0) {
+          watch.cursor = newMessages[newMessages.length - 1].id;
+        }
+
+        if (watch.receivedReply && watch.waiting.size === 0) {
+          // 回复已全部生成完成（或失败）
+          stopWatching();
+          finishSending();
+        }
+      }
+    } catch (error) {
+      console.error('Sync messages error:', error);
+      // 同步出错不中断等待，下一次通知或轮询会再次同步
+    }
+  }, [stopWatching, finishSending]);
+
+  // 同步新消息和生成中的回复
+  // 由实时事件（本会话的 event.created / event.updated、重新连接）、页面切回前台和实时连接不可用时的轮询触发
+  const syncMessages = useCallback(async () => {
+    const state = syncStateRef.current;
+    if (typeof api.messages.checkNew !== 'function') {
+      return;
+    }
+    if (state.running) {
+      state.again = true;
+      return;
+    }
+
+    state.running = true;
+    try {
+      do {
+        state.again = false;
+        if (streamAbortRef.current || submittingRef.current) {
+          state.skipped = true;
+          return;
+        }
+        await syncOnce();
+      } while (state.again); // 同步期间又收到通知：结束后再同步一次
+    } finally {
+      state.running = false;
+    }
+  }, [syncOnce]);
+
+  // 开始等待回复
+  const watchReplies = useCallback((sessionId, lastEventId, pendingIds = []) => {
+    watchRef.current = {
+      sessionId,
+      cursor: lastEventId,
+      waiting: new Set(pendingIds),
+      receivedReply: pendingIds.length > 0, // 是否已收到（或正在等待）Agent 回复
+      deadline: Date.now() + REPLY_TIMEOUT,
+    };
+    setWatching(true);
+
+    // 提交请求期间收到过通知（回复可能已经生成完成）：立即同步一次
+    if (syncStateRef.current.skipped) {
+      syncMessages();
+    }
+  }, [syncMessages]);
 
   // 获取数据（NPC 详情和对话历史）
   useEffect(() => {
@@ -76,10 +404,19 @@ const Chat = () => {
         // 调试日志
         console.log(`[DEBUG] Chat page: Fetching data for agentId=${agentId}, userId=${user.id}, apiMode=${api.mode}`);
 
+        // 切换会话时停止等待上一个会话的回复，断开流式连接
+        stopWatching();
+        setTypingReplyIds(new Set());
+        if (streamAbortRef.current) {
+          streamAbortRef.current.abort();
+          streamAbortRef.current = null;
+        }
+        setSending(false);
+
         // 并行获取 NPC 详情和对话历史
         const [agentRes, historyRes] = await Promise.all([
           api.agents.getById(agentId, user.id),
-          api.history.get(user.id, agentId)
+          api.history.get(user.id, agentId, requestedSessionId)
         ]);
 
         // 调试日志
@@ -104,13 +441,38 @@ const Chat = () => {
           // 调试日志：记录历史数据
           console.log(`[DEBUG] Chat page: historyRes.data:`, historyRes.data);
           console.log(`[DEBUG] Chat page: messages count:`, historyRes.data?.messages?.length || 0);
-          setMessages(historyRes.data.messages || []);
+          const historyMessages = historyRes.data.messages || [];
+          setMessages(historyMessages);
+          setSession(historyRes.data.session || null);
+          setOlderCursor(historyRes.data.hasMore ? historyRes.data.before : null);
+
+          // 还有正在生成的回复（例如生成过程中刷新了页面）：继续等待直到生成完成
+          const pendingIds = historyMessages
+            .filter(m => m.role === 'assistant' && m.status === 'pending')
+            .map(m => m.id);
+          if (pendingIds.length > 0 && historyRes.data.session) {
+            setSending(true);
+            watchReplies(
+              historyRes.data.session.sessionId,
+              historyMessages[historyMessages.length - 1].id,
+              pendingIds
+            );
+          }
+        } else if (historyRes.error?.code === 'SESSION_NOT_FOUND' && requestedSessionId) {
+          // 指定的会话不存在或已删除：回到默认会话
+          message.warning('会话不存在或已被删除');
+          // 用 navigate 去掉 URL 参数（setSearchParams 随查询参数变化，作为依赖会导致重复加载）
+          navigate({ search: '' }, { replace: true });
+          return;
         } else {
           // 历史获取失败不阻止页面显示，只是没有历史记录
           console.warn('获取对话历史失败:', historyRes.error);
           setMessages([]); // 确保设置为空数组
+          setSession(null);
+          setOlderCursor(null);
         }
 
+        loadQuota();
       } catch (err) {
         console.error('Chat page load error:', err);
         setError(err.message);
@@ -134,80 +496,289 @@ const Chat = () => {
 
     // API 已初始化，直接获取数据
     fetchData();
-  }, [agentId, user, authLoading]);
-
-  // 自动滚动到底部
-  const scrollToBottom = () => {
-    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  };
+  }, [agentId, user, authLoading, requestedSessionId, reloadToken, navigate, stopWatching, watchReplies]);
 
+  // 实时连接不可用时，等待回复期间每 5 秒轮询一次
   useEffect(() => {
-    scrollToBottom();
-  }, [messages, loading]);
+    if (!watching || realtimeConnected) {
+      return undefined;
+    }
 
-  // 轮询检查新消息的引用（用于清理）
-  const pollingRef = useRef(null);
+    const timer = setInterval(syncMessages, POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [watching, realtimeConnected, syncMessages]);
 
-  // 清理轮询（组件卸载或发送新消息时）
+  // 等待回复超时后结束等待（连续发送时 deadline 会延后，到期时按最新的 deadline 重新计时）
   useEffect(() => {
-    return () => {
-      if (pollingRef.current) {
-        clearInterval(pollingRef.current);
-        pollingRef.current = null;
+    if (!watching) {
+      return undefined;
+    }
+
+    let timer = null;
+    const checkDeadline = () => {
+      const watch = watchRef.current;
+      if (!watch) {
+        return;
+      }
+      const remaining = watch.deadline - Date.now();
+      if (remaining > 0) {
+        timer = setTimeout(checkDeadline, remaining);
+        return;
       }
+      stopWatching();
+      finishSending();
+      message.warning('等待 AI 回复超时，请稍后刷新页面查看');
     };
-  }, []);
+    checkDeadline();
 
-  // 轮询检查新消息
-  const startPolling = (sessionId, lastEventId) => {
-    // 如果已有轮询，先清除
-    if (pollingRef.current) {
-      clearInterval(pollingRef.current);
-    }
+    return () => clearTimeout(timer);
+  }, [watching, stopWatching, finishSending]);
 
-    let pollCount = 0;
-    const maxPolls = 60; // 最多轮询 60 次（5秒 × 60 = 5分钟）
-    const pollInterval = 5000; // 每 5 秒轮询一次
+  // 静默重新加载当前会话（其他设备编辑、重新生成或切换了分支）
+  const reloadHistory = async () => {
+    const sessionId = sessionRef.current?.sessionId;
+    if (!sessionId) {
+      return;
+    }
+    try {
+      const response = await api.history.get(user.id, agentId, sessionId);
+      if (response.success && sessionRef.current?.sessionId === sessionId) {
+        setMessages(response.data.messages || []);
+        setOlderCursor(response.data.hasMore ? response.data.before : null);
+      }
+    } catch (err) {
+      console.warn('Reload history error:', err);
+    }
+  };
 
-    pollingRef.current = setInterval(async () => {
-      pollCount++;
+  // 实时事件（同一账号在其他设备上的操作，以及本设备请求产生的通知）
+  useRealtimeEvents((event) => {
+    const { type, data = {} } = event;
 
-      try {
-        const response = await api.messages.checkNew(sessionId, lastEventId);
+    if (type === 'realtime.connected') {
+      // 连接（或重新连接）成功：补上断开期间错过的消息（断开期间的"正在输入"状态已不可信）
+      setTypingReplyIds(new Set());
+      syncMessages();
+      return;
+    }
 
-        if (response.success && response.data.hasNew) {
-          // 收到新消息，停止轮询
-          if (pollingRef.current) {
-            clearInterval(pollingRef.current);
-            pollingRef.current = null;
+    if (type === 'agent.updated' || type === 'agent.deleted') {
+      if (data.agentId !== agentId) {
+        return;
+      }
+      if (type === 'agent.deleted') {
+        message.warning('该 NPC 已被删除');
+        navigate('/agents', { replace: true });
+        return;
+      }
+      api.agents.getById(agentId, user.id)
+        .then((response) => {
+          if (response.success) {
+            setAgent(response.data);
           }
+        })
+        .catch((err) => console.warn('Refresh agent error:', err));
+      return;
+    }
+
+    const currentSessionId = watchRef.current?.sessionId || session?.sessionId;
+    if (!data.sessionId || data.sessionId !== currentSessionId || loading) {
+      return;
+    }
+
+    if (type === 'event.created' || type === 'event.updated') {
+      syncMessages();
+    } else if (type === 'reply.typing') {
+      setTypingReplyIds(prev => {
+        const next = new Set(prev);
+        if (data.active) {
+          next.add(data.eventId);
+        } else {
+          next.delete(data.eventId);
+        }
+        return next;
+      });
+    } else if (type === 'session.updated' && !sending && !switchingBranch) {
+      // 本设备正在发送或切换分支时，结果由本设备的请求更新
+      reloadHistory();
+    }
+  });
 
-          // 添加新消息到列表
-          setMessages(prev => {
-            // 过滤掉临时消息，添加新消息
-            const filtered = prev.filter(m => !m.isTemp);
-            return [...filtered, ...response.data.messages];
-          });
+  // 已读位置：已标记的 "会话 ID:消息 ID"（避免重复请求）和合并定时器
+  const lastMarkedReadRef = useRef(null);
+  const markReadTimerRef = useRef(null);
 
-          setSending(false);
-          setRegeneratingMessageId(null); // 清除重新生成状态
-          setEditingMessageId(null); // 清除编辑状态
-        } else if (pollCount >= maxPolls) {
-          // 达到最大轮询次数，停止轮询
-          if (pollingRef.current) {
-            clearInterval(pollingRef.current);
-            pollingRef.current = null;
-          }
-          setSending(false);
-          setRegeneratingMessageId(null); // 清除重新生成状态
-          setEditingMessageId(null); // 清除编辑状态
-          message.warning('等待 AI 回复超时，请稍后刷新页面查看');
+  // 把当前会话标记为已读到最后一条已完成的消息（生成中的回复和本地临时消息除外）
+  const markSessionRead = useCallback(() => {
+    const sessionId = sessionRef.current?.sessionId;
+    if (!sessionId || document.hidden || typeof api.sessions?.markRead !== 'function') {
+      return;
+    }
+    const lastRead = [...messagesRef.current].reverse().find(m => (
+      m.id && !m.isStreaming && m.status !== 'pending' && !/^(temp|streaming)_/.test(m.id)
+    ));
+    if (!lastRead) {
+      return;
+    }
+    const key = `${sessionId}:${lastRead.id}`;
+    if (lastMarkedReadRef.current === key) {
+      return;
+    }
+    lastMarkedReadRef.current = key;
+    api.sessions.markRead(sessionId, lastRead.id).catch((err) => {
+      lastMarkedReadRef.current = null;
+      console.warn('Mark session read error:', err);
+    });
+  }, []);
+
+  const scheduleMarkRead = useCallback(() => {
+    clearTimeout(markReadTimerRef.current);
+    markReadTimerRef.current = setTimeout(markSessionRead, MARK_READ_DELAY);
+  }, [markSessionRead]);
+
+  // 消息变化时标记已读；页面从后台切回前台时补标记，并补同步一次（后台标签页的实时事件可能被浏览器延迟或丢失）
+  useEffect(() => {
+    if (!loading) {
+      scheduleMarkRead();
+    }
+  }, [messages, session?.sessionId, loading, scheduleMarkRead]);
+
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      if (!document.hidden) {
+        syncMessages();
+        scheduleMarkRead();
+      }
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      clearTimeout(markReadTimerRef.current);
+    };
+  }, [syncMessages, scheduleMarkRead]);
+
+  // 获取今天的配额（失败时不提示，发送时后端仍会检查）
+  const loadQuota = async () => {
+    if (typeof api.usage?.getQuota !== 'function') {
+      return;
+    }
+    try {
+      const response = await api.usage.getQuota();
+      if (response.success) {
+        setQuota(response.data);
+      }
+    } catch (err) {
+      console.warn('Load quota error:', err);
+    }
+  };
+
+  // 处理限流和配额错误，返回是否已处理
+  // 配额用完：记录配额状态，由输入框上方的提示说明恢复时间；请求太频繁：提示稍后再试
+  const handleLimitError = (error) => {
+    if (error?.code === 'QUOTA_EXCEEDED') {
+      setQuota(prev => error.details?.quota || { ...prev, exceeded: 'messages' });
+      return true;
+    }
+    if (error?.code === 'RATE_LIMIT_EXCEEDED') {
+      message.warning(error.message || '发送太频繁，请稍后再试');
+      return true;
+    }
+    return false;
+  };
+
+  // 记录首条消息所在的会话，后续消息继续发送到同一会话
+  const rememberSession = (sessionId) => {
+    if (sessionId) {
+      setSession(prev => (prev?.sessionId === sessionId ? prev : { sessionId }));
+    }
+  };
+
+  // 发送消息并接收 Agent 回复
+  // 优先使用 SSE 流式接口逐字显示回复；适配器不支持流式、或会话中还有生成中的回复（例如在其他设备上发送）时
+  // 改为普通发送并等待回复（回复在后端按发送顺序排队生成）
+  // onAccepted(userMessage)：用户消息已被后端保存时回调，由调用方更新消息列表
+  const deliverMessage = async (content, onAccepted) => {
+    if (typeof api.messages.stream === 'function') {
+      const streamingId = `streaming_${Date.now()}`;
+      const controller = new AbortController();
+      streamAbortRef.current = controller;
+
+      const result = await api.messages.stream(
+        { agentId, userId: user.id, sessionId: session?.sessionId, message: content },
+        {
+          signal: controller.signal,
+          onStart: (userMessage) => {
+            streamReplyIdRef.current = userMessage.replyEventId || null;
+            rememberSession(userMessage.sessionId);
+            onAccepted(userMessage);
+            setMessages(prev => [...prev, {
+              id: streamingId,
+              sessionId: userMessage.sessionId,
+              role: 'assistant',
+              content: '',
+              createdAt: Date.now(),
+              isStreaming: true,
+            }]);
+          },
+          onDelta: (delta) => {
+            setMessages(prev => prev.map(m => (
+              m.id === streamingId ? { ...m, content: m.content + delta } : m
+            )));
+          },
         }
-      } catch (error) {
-        console.error('Polling error:', error);
-        // 轮询错误不中断流程，继续轮询
+      );
+
+      if (streamAbortRef.current === controller) {
+        streamAbortRef.current = null;
+        streamReplyIdRef.current = null;
+      }
+      if (controller.signal.aborted) {
+        return { success: true }; // 页面已卸载，无需再更新状态
+      }
+
+      if (result.data?.message) {
+        // 用后端保存的回复（或错误提示）替换流式占位消息
+        setMessages(prev => prev.map(m => (m.id === streamingId ? result.data.message : m)));
+        finishSending();
+        return { success: true };
+      }
+
+      if (result.data?.userMessage) {
+        // 用户消息已保存但流中断：移除占位消息，改为等待回复
+        const { replyEventId } = result.data.userMessage;
+        setMessages(prev => prev.filter(m => m.id !== streamingId));
+        watchReplies(result.data.userMessage.sessionId, result.data.userMessage.id, replyEventId ? [replyEventId] : []);
+        return { success: true };
+      }
+
+      if (result.error?.code !== 'STREAM_UNSUPPORTED' && result.error?.code !== 'REPLY_IN_PROGRESS') {
+        return result;
+      }
+    }
+
+    // 降级：普通发送 + 等待 Agent 回复
+    const response = await submit(() => api.messages.send({
+      agentId,
+      userId: user.id,
+      sessionId: session?.sessionId,
+      message: content
+    }));
+
+    if (response.success) {
+      rememberSession(response.data.sessionId);
+      onAccepted(response.data);
+
+      if (response.data.sessionId) {
+        const { replyEventId } = response.data;
+        watchReplies(response.data.sessionId, response.data.id, replyEventId ? [replyEventId] : []);
+      } else {
+        // 如果没有 sessionId，回退到同步模式（兼容旧版本）
+        finishSending();
+        message.warning('无法获取回复，请刷新页面查看');
       }
-    }, pollInterval);
+    }
+
+    return response;
   };
 
   // 发送消息
@@ -235,37 +806,33 @@ const Chat = () => {
         return;
       }
 
-      const response = await api.messages.send({
-        agentId,
-        userId: user.id,
-        message: content
-      });
-
-      if (response.success) {
-        // 发送成功后，更新消息列表
+      const response = await deliverMessage(content, (acceptedMessage) => {
+        // 用户消息已保存，更新消息列表
         // 1. 移除临时用户消息
         // 2. 添加真实的用户消息
         const userMsg = {
           ...tempUserMsg,
           isTemp: false,
-          id: response.data.id,
-          sessionId: response.data.sessionId,
+          id: acceptedMessage.id,
+          sessionId: acceptedMessage.sessionId,
         };
 
         setMessages(prev => {
-          const filtered = prev.filter(m => !m.isTemp);
+          // 同步可能已经带回了这条消息
+          const filtered = prev.filter(m => !m.isTemp && m.id !== userMsg.id);
           return [...filtered, userMsg];
         });
+      });
 
-        // 开始轮询检查 Agent 回复
-        if (response.data.sessionId) {
-          startPolling(response.data.sessionId, response.data.id);
-        } else {
-          // 如果没有 sessionId，回退到同步模式（兼容旧版本）
+      if (!response.success) {
+        if (handleLimitError(response.error)) {
+          // 限流或配额用完：移除临时消息并恢复输入，不再弹出错误提示
+          setMessages(prev => prev.filter(m => m.id !== tempUserMsg.id));
+          setInputValue(content);
           setSending(false);
-          message.warning('无法开始轮询，请刷新页面查看回复');
+          return;
         }
-      } else {
+
         // 根据错误码提供更友好的错误提示
         let errorMessage = response.error?.message || '发送失败';
         if (response.error?.code === 'LLM_API_ERROR' || response.error?.code === 'LLM_API_TIMEOUT') {
@@ -323,27 +890,42 @@ const Chat = () => {
     }
 
     setRegeneratingMessageId(aiMessage.id);
-    setSending(true); // 设置发送状态，触发轮询
+    setSending(true); // 设置发送状态，等待回复
 
     try {
-      // 删除旧的AI回复
+      if (typeof api.messages.regenerate === 'function') {
+        // 服务端重新生成：后端把旧回复及之后的消息标记为已被替代，刷新后也不会再出现
+        const response = await submit(() => api.messages.regenerate(aiMessage.id));
+        if (!response.success) {
+          handleLimitError(response.error);
+          throw new Error(response.error?.message || '重新生成失败');
+        }
+
+        // 同步截断本地时间线：移除旧回复及之后的所有消息
+        setMessages(prev => {
+          const index = prev.findIndex(m => m.id === aiMessage.id);
+          return index === -1 ? prev : prev.slice(0, index);
+        });
+        watchReplies(
+          response.data.sessionId || userMessage.sessionId,
+          response.data.id,
+          response.data.replyEventId ? [response.data.replyEventId] : []
+        );
+        return;
+      }
+
+      // 适配器不支持服务端重新生成（如 Mock 模式）：删除旧的AI回复后重新发送
       setMessages(prev => prev.filter(m => m.id !== aiMessage.id));
 
       // 使用相同的用户消息内容重新发送
-      const response = await api.messages.send({
-        agentId,
-        userId: user.id,
-        message: userMessage.content
-      });
-
-      if (response.success) {
+      const response = await deliverMessage(userMessage.content, (acceptedMessage) => {
         // 重新生成时，用户消息内容不变，但需要更新为新的事件ID和sessionId
         // 因为后端会创建新的事件记录
         const updatedUserMsg = {
           ...userMessage,
-          id: response.data.id, // 新的用户消息事件ID
-          sessionId: response.data.sessionId || userMessage.sessionId, // 保持或更新sessionId
-          createdAt: response.data.createdAt || response.data.timestamp || userMessage.createdAt,
+          id: acceptedMessage.id, // 新的用户消息事件ID
+          sessionId: acceptedMessage.sessionId || userMessage.sessionId, // 保持或更新sessionId
+          createdAt: acceptedMessage.createdAt || acceptedMessage.timestamp || userMessage.createdAt,
         };
 
         setMessages(prev => {
@@ -351,16 +933,10 @@ const Chat = () => {
           const filtered = prev.filter(m => m.id !== userMessage.id);
           return [...filtered, updatedUserMsg];
         });
+      });
 
-        // 开始轮询检查 Agent 回复
-        if (response.data.sessionId) {
-          startPolling(response.data.sessionId, response.data.id);
-        } else {
-          setRegeneratingMessageId(null);
-          setSending(false);
-          message.warning('无法开始轮询，请刷新页面查看回复');
-        }
-      } else {
+      if (!response.success) {
+        handleLimitError(response.error);
         throw new Error(response.error?.message || '重新生成失败');
       }
     } catch (err) {
@@ -371,6 +947,84 @@ const Chat = () => {
     }
   };
 
+  // 重试生成失败的回复（结果写回原位置，不影响之后的消息）
+  const handleRetry = async (aiMessage) => {
+    if (!user || sending || typeof api.messages.retry !== 'function') {
+      return;
+    }
+
+    setSending(true);
+    try {
+      const response = await submit(() => api.messages.retry(aiMessage.id));
+      if (!response.success) {
+        handleLimitError(response.error);
+        throw new Error(response.error?.message || '重试失败');
+      }
+
+      setMessages(prev => prev.map(m => (
+        m.id === aiMessage.id ? { ...m, content: '', status: 'pending', errorCode: null } : m
+      )));
+      const lastMessage = messages[messages.length - 1];
+      watchReplies(
+        response.data.sessionId || aiMessage.sessionId,
+        lastMessage?.id || aiMessage.id,
+        [response.data.replyEventId || aiMessage.id]
+      );
+    } catch (err) {
+      console.error('Retry reply error:', err);
+      message.error(`重试失败: ${err.message}`);
+      setSending(false);
+    }
+  };
+
+  // 停止生成中的回复
+  // 流式模式：后端中止生成后通过 done 帧返回已生成的部分，由 deliverMessage 替换流式消息；
+  // 否则直接用返回的回复替换占位回复并结束等待
+  const handleStop = async () => {
+    if (!sending || stopping || typeof api.messages.cancel !== 'function') {
+      return;
+    }
+
+    const streamReplyId = streamReplyIdRef.current;
+    const replyIds = streamReplyId ? [streamReplyId] : [...(watchRef.current?.waiting || [])];
+    if (replyIds.length === 0) {
+      message.info('回复还没有开始生成，请稍候');
+      return;
+    }
+
+    setStopping(true);
+    try {
+      const results = await Promise.all(replyIds.map(id => api.messages.cancel(id)));
+      const stopped = results.filter(r => r.success).map(r => r.data);
+      const failed = results.find(r => !r.success);
+      if (failed && stopped.length === 0) {
+        // 通常是回复刚好生成结束（REPLY_NOT_PENDING），之后的同步或流会带回结果
+        message.info(failed.error?.message || '回复已经生成结束');
+        return;
+      }
+
+      if (!streamReplyId) {
+        const updates = new Map(stopped.map(m => [m.id, m]));
+        setMessages(prev => prev.map(m => (
+          updates.has(m.id)
+            ? { ...m, ...updates.get(m.id), siblingIds: m.siblingIds, siblingIndex: m.siblingIndex }
+            : m
+        )));
+        const watch = watchRef.current;
+        stopped.forEach(m => watch?.waiting.delete(m.id));
+        if (!watch || watch.waiting.size === 0) {
+          stopWatching();
+          finishSending();
+        }
+      }
+    } catch (err) {
+      console.error('Stop generation error:', err);
+      message.error('停止生成失败，请稍后重试');
+    } finally {
+      setStopping(false);
+    }
+  };
+
   // 编辑问题并重新生成
   const handleEdit = async (userMessage, newContent) => {
     if (!user || !agentId || sending || editingMessageId) {
@@ -382,7 +1036,7 @@ const Chat = () => {
     }
 
     setEditingMessageId(userMessage.id);
-    setSending(true); // 设置发送状态，触发轮询
+    setSending(true); // 设置发送状态，等待回复
 
     try {
       // 找到当前用户消息的位置
@@ -394,7 +1048,35 @@ const Chat = () => {
         return;
       }
 
-      // 删除该用户消息及其后的所有AI回复（直到下一个用户消息）
+      if (typeof api.messages.edit === 'function') {
+        // 服务端编辑：后端把原消息及之后的消息标记为已被替代，并创建新的用户消息
+        const response = await submit(() => api.messages.edit(userMessage.id, { message: newContent.trim() }));
+        if (!response.success) {
+          handleLimitError(response.error);
+          throw new Error(response.error?.message || '发送失败');
+        }
+
+        // 同步截断本地时间线：原消息及之后的消息替换为新的用户消息
+        const updatedUserMsg = {
+          id: response.data.id,
+          sessionId: response.data.sessionId,
+          role: 'user',
+          content: newContent.trim(),
+          createdAt: response.data.createdAt || Date.now(),
+        };
+        setMessages(prev => {
+          const index = prev.findIndex(m => m.id === userMessage.id);
+          return [...(index === -1 ? prev : prev.slice(0, index)), updatedUserMsg];
+        });
+        watchReplies(
+          response.data.sessionId,
+          response.data.id,
+          response.data.replyEventId ? [response.data.replyEventId] : []
+        );
+        return;
+      }
+
+      // 适配器不支持服务端编辑（如 Mock 模式）：删除该用户消息及其后的所有AI回复（直到下一个用户消息）后重新发送
       // 找到当前用户消息的索引
       const currentIndex = messages.findIndex(m => m.id === userMessage.id);
       
@@ -416,33 +1098,21 @@ const Chat = () => {
       setMessages(messagesToKeep);
 
       // 使用新内容重新发送
-      const response = await api.messages.send({
-        agentId,
-        userId: user.id,
-        message: newContent.trim()
-      });
-
-      if (response.success) {
+      const response = await deliverMessage(newContent.trim(), (acceptedMessage) => {
         // 添加更新后的用户消息
         const updatedUserMsg = {
-          id: response.data.id,
-          sessionId: response.data.sessionId,
+          id: acceptedMessage.id,
+          sessionId: acceptedMessage.sessionId,
           role: 'user',
           content: newContent.trim(),
-          createdAt: response.data.timestamp || Date.now(),
+          createdAt: acceptedMessage.createdAt || Date.now(),
         };
 
         setMessages(prev => [...prev, updatedUserMsg]);
+      });
 
-        // 开始轮询检查 Agent 回复
-        if (response.data.sessionId) {
-          startPolling(response.data.sessionId, response.data.id);
-        } else {
-          setEditingMessageId(null);
-          setSending(false);
-          message.warning('无法开始轮询，请刷新页面查看回复');
-        }
-      } else {
+      if (!response.success) {
+        handleLimitError(response.error);
         throw new Error(response.error?.message || '发送失败');
       }
     } catch (err) {
@@ -453,6 +1123,72 @@ const Chat = () => {
     }
   };
 
+  // 切换对话分支（< 2/3 >）
+  const handleSwitchBranch = async (currentMessage, targetId) => {
+    if (!targetId || sending || switchingBranch || typeof api.messages.switchBranch !== 'function') {
+      return;
+    }
+
+    setSwitchingBranch(true);
+    try {
+      const response = await api.messages.switchBranch(targetId);
+      if (!response.success) {
+        throw new Error(response.error?.message || '切换分支失败');
+      }
+
+      // 后端返回新激活路径的最新一页，替换消息列表，更早的消息按游标继续加载
+      setMessages(response.data.messages);
+      setOlderCursor(response.data.hasMore ? response.data.before : null);
+    } catch (err) {
+      console.error('Switch branch error:', err);
+      message.error(`切换分支失败: ${err.message}`);
+    } finally {
+      setSwitchingBranch(false);
+    }
+  };
+
+  // 切换到指定会话（写入 URL，刷新页面后仍停留在该会话）
+  const handleSelectSession = (sessionId) => {
+    setSessionDrawerOpen(false);
+    if (sessionId !== session?.sessionId) {
+      setSearchParams({ session: sessionId });
+    }
+  };
+
+  // 新建会话并切换过去
+  const handleCreateSession = async () => {
+    if (typeof api.sessions.create !== 'function') {
+      message.warning('当前模式不支持多会话');
+      return;
+    }
+    const response = await api.sessions.create(agentId);
+    if (!response.success) {
+      message.error(response.error?.message || '新建会话失败');
+      return;
+    }
+    handleSelectSession(response.data.session.sessionId);
+  };
+
+  // 会话被重命名或归档后同步当前会话信息
+  const handleSessionChanged = (updatedSession) => {
+    if (updatedSession && updatedSession.sessionId === session?.sessionId) {
+      setSession(prev => ({ ...prev, ...updatedSession }));
+    }
+  };
+
+  // 当前会话被删除后回到默认会话
+  const handleSessionRemoved = (sessionId) => {
+    if (sessionId === session?.sessionId) {
+      setSessionDrawerOpen(false);
+      if (requestedSessionId) {
+        setSearchParams({}, { replace: true });
+      } else {
+        // URL 未变化不会触发重新加载，需要主动重新加载默认会话
+        setReloadToken(token => token + 1);
+      }
+    }
+  };
+
   // 返回列表页
   const handleBack = () => {
     navigate('/agents', { state: { fromChat: true } });
@@ -499,8 +1235,20 @@ const Chat = () => {
           }
         : undefined;
 
+      // 导出完整对话：先加载还没有显示的更早的消息
+      let allMessages = messages;
+      let cursor = olderCursor;
+      while (cursor && session) {
+        const response = await api.history.get(user.id, agentId, session.sessionId, { before: cursor, limit: 200 });
+        if (!response.success) {
+          throw new Error(response.error?.message || '加载完整对话失败');
+        }
+        allMessages = [...response.data.messages, ...allMessages];
+        cursor = response.data.hasMore ? response.data.before : null;
+      }
+
       // 调用导出函数
-      await exportConversation(format, messages, agent, filename, onProgress);
+      await exportConversation(format, allMessages, agent, filename, onProgress);
 
       console.log('[导出] 导出成功');
 
@@ -546,6 +1294,9 @@ const Chat = () => {
     );
   }
 
+  // 配额已用完（过了恢复时间后不再限制输入，发送时由后端重新检查）
+  const quotaExceeded = !!quota?.exceeded && (!quota.resetAt || Date.now() < quota.resetAt);
+
   if (error && !agent) {
     return (
       <div style={{ textAlign: 'center', marginTop: 100 }}>
@@ -603,9 +1354,28 @@ const Chat = () => {
           </div>
           <div className={styles.agentInfo} style={{ fontSize: 12, color: '#999', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
             {agent?.model || '未知模型'} • {agent?.type === 'special' ? '特定角色' : '通用助手'}
+            {session?.title && ` • ${session.title}`}
           </div>
         </div>
 
+        {/* NPC 记忆按钮 */}
+        <Button
+          type="text"
+          icon={<BulbOutlined />}
+          onClick={() => setMemoryDrawerOpen(true)}
+          style={{ marginLeft: 8, flexShrink: 0, color: '#666' }}
+          title="NPC 的记忆"
+        />
+
+        {/* 会话列表按钮 */}
+        <Button
+          type="text"
+          icon={<UnorderedListOutlined />}
+          onClick={() => setSessionDrawerOpen(true)}
+          style={{ marginLeft: 8, flexShrink: 0, color: '#666' }}
+          title="会话列表"
+        />
+
         {/* 导出按钮 */}
         {messages.length > 0 && (
           <Dropdown 
@@ -628,12 +1398,26 @@ const Chat = () => {
       </Header>
 
       {/* 消息列表区域 */}
-      <Content className={styles.content} style={{ 
-        padding: '20px 16px', 
-        overflowY: 'auto', 
-        display: 'flex', 
-        flexDirection: 'column' 
-      }}>
+      <Content
+        ref={contentRef}
+        onScroll={handleMessagesScroll}
+        className={styles.content}
+        style={{ 
+          padding: '20px 16px', 
+          overflowY: 'auto', 
+          display: 'flex', 
+          flexDirection: 'column' 
+        }}
+      >
+        {/* 更早的消息（向上滚动自动加载，也可以点击加载） */}
+        {olderCursor && messages.length > 0 && (
+          <div style={{ textAlign: 'center', marginBottom: 12 }}>
+            <Button type="link" size="small" loading={loadingOlder} onClick={loadOlderMessages}>
+              {loadingOlder ? '加载中...' : '加载更早的消息'}
+            </Button>
+          </div>
+        )}
+
         {messages.length === 0 ? (
           <div style={{ textAlign: 'center', marginTop: 60, color: '#999' }}>
             <RobotOutlined style={{ fontSize: 48, marginBottom: 16, color: '#d9d9d9' }} />
@@ -664,19 +1448,25 @@ const Chat = () => {
                   key={msg.id} 
                   message={msg} 
                   avatarUrl={agent?.avatarUrl}
+                  primaryModel={agent?.model}
                   onRegenerate={msg.role === 'assistant' ? handleRegenerate : undefined}
+                  onRetry={msg.role === 'assistant' && typeof api.messages.retry === 'function' ? handleRetry : undefined}
                   onEdit={msg.role === 'user' ? handleEdit : undefined}
                   isRegenerating={regeneratingMessageId === msg.id}
                   isEditing={editingMessageId === msg.id}
                   autoCollapse={autoCollapse}
+                  isStreaming={!!msg.isStreaming}
+                  onSwitchBranch={handleSwitchBranch}
+                  isSwitchingBranch={switchingBranch || sending}
+                  highlighted={highlightedMessageId === msg.id}
                 />
               );
             });
           })()
         )}
         
-        {/* AI 正在输入提示 */}
-        {sending && (
+        {/* AI 正在输入提示（包括其他设备上正在生成的回复；流式回复已开始输出、或已显示生成中的占位回复时不再显示） */}
+        {(sending || typingReplyIds.size > 0) && !messages.some(m => (m.isStreaming && m.content) || m.status === 'pending') && (
           <div style={{ display: 'flex', alignItems: 'center', marginLeft: 12, marginBottom: 16 }}>
              <Avatar 
               src={agent?.avatarUrl} 
@@ -700,12 +1490,28 @@ const Chat = () => {
         padding: '12px 16px', 
         borderTop: '1px solid #f0f0f0' 
       }}>
+        {quotaExceeded && (
+          <Alert
+            type="warning"
+            showIcon
+            style={{ maxWidth: 800, margin: '0 auto 12px' }}
+            message="今天的对话额度已用完"
+            description={`${quota.exceeded === 'tokens'
+              ? `今天已使用 ${quota.tokens?.used} / ${quota.tokens?.limit} token`
+              : `今天已发送 ${quota.messages?.used} / ${quota.messages?.limit} 条消息`}，将于 ${formatQuotaReset(quota.resetAt)} 恢复。`}
+            action={
+              <Button size="small" onClick={() => navigate('/usage')}>
+                查看用量
+              </Button>
+            }
+          />
+        )}
         <div style={{ maxWidth: 800, margin: '0 auto', display: 'flex', alignItems: 'flex-end', gap: 12 }}>
           <TextArea
             value={inputValue}
             onChange={(e) => setInputValue(e.target.value)}
             onKeyDown={handleKeyDown}
-            placeholder="输入消息..."
+            placeholder={quotaExceeded ? '今天的对话额度已用完' : '输入消息...'}
             autoSize={{ minRows: 1, maxRows: 4 }}
             className={styles.inputArea}
             style={{ 
@@ -714,20 +1520,54 @@ const Chat = () => {
               padding: '8px 16px',
               fontSize: 15
             }}
-            disabled={sending}
-          />
-          <Button 
-            type="primary" 
-            shape="circle" 
-            icon={<SendOutlined />} 
-            onClick={handleSend}
-            disabled={!inputValue.trim() || sending}
-            size="large"
-            className={styles.sendButton}
-            style={{ flexShrink: 0, marginBottom: 2 }} // 对齐
+            disabled={sending || quotaExceeded}
           />
+          {sending && typeof api.messages.cancel === 'function' ? (
+            <Button
+              shape="circle"
+              danger
+              icon={<StopOutlined />}
+              onClick={handleStop}
+              loading={stopping}
+              size="large"
+              title="停止生成"
+              aria-label="停止生成"
+              className={styles.sendButton}
+              style={{ flexShrink: 0, marginBottom: 2 }} // 对齐
+            />
+          ) : (
+            <Button 
+              type="primary" 
+              shape="circle" 
+              icon={<SendOutlined />} 
+              onClick={handleSend}
+              disabled={!inputValue.trim() || sending || quotaExceeded}
+              size="large"
+              className={styles.sendButton}
+              style={{ flexShrink: 0, marginBottom: 2 }} // 对齐
+            />
+          )}
         </div>
       </Footer>
+
+      <SessionDrawer
+        open={sessionDrawerOpen}
+        userId={user?.id}
+        agentId={agentId}
+        currentSessionId={session?.sessionId}
+        onClose={() => setSessionDrawerOpen(false)}
+        onSelect={handleSelectSession}
+        onCreate={handleCreateSession}
+        onChanged={handleSessionChanged}
+        onRemoved={handleSessionRemoved}
+      />
+
+      <MemoryDrawer
+        open={memoryDrawerOpen}
+        agentId={agentId}
+        sessionId={session?.sessionId}
+        onClose={() => setMemoryDrawerOpen(false)}
+      />
     </Layout>
   );
 };
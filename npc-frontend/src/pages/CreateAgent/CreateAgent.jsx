@@ -7,7 +7,7 @@
  * 提供创建 NPC 的表单页面，支持基本信息配置
  *
  * 【工作流程】
- * 1. 填写表单（名称、类型、人设、模型）
+ * 1. 填写表单（名称、类型、人设、提供商和模型）
  * 2. 实时验证
  * 3. 提交表单
  * 4. 创建成功跳转列表页
@@ -23,7 +23,6 @@ import {
   Typography, 
   Form, 
   Radio, 
-  Select, 
   Space, 
   message,
   Alert
@@ -34,11 +33,13 @@ import { useAuth } from '../../context/AuthContext';
 import Button from '../../components/Button/Button';
 import Input from '../../components/Input/Input';
 import Card from '../../components/Card/Card';
+import ModelFields from '../../components/ModelFields/ModelFields';
+import GenerationParamsFields from '../../components/GenerationParamsFields/GenerationParamsFields';
+import FallbackModelsFields from '../../components/FallbackModelsFields/FallbackModelsFields';
 import styles from './CreateAgent.module.css';
 
 const { Header, Content } = Layout;
 const { Title } = Typography;
-const { Option } = Select;
 
 const CreateAgent = () => {
   const navigate = useNavigate();
@@ -55,17 +56,15 @@ const CreateAgent = () => {
     }
   }, [user, navigate]);
 
-  // 支持的模型列表（统一使用 OpenRouter）
-  const modelOptions = [
-    { value: 'anthropic/claude-sonnet-4.5', label: 'Claude Sonnet 4.5 (推荐)' },
-    { value: 'anthropic/claude-sonnet-4', label: 'Claude Sonnet 4' },
-    { value: 'anthropic/claude-3.7-sonnet', label: 'Claude 3.7 Sonnet' },
-    { value: 'google/gemini-3-pro-preview', label: 'Gemini 3 Pro Preview' },
-    { value: 'google/gemini-2.5-pro', label: 'Gemini 2.5 Pro' },
-    { value: 'openai/gpt-5', label: 'GPT-5' },
-    { value: 'openai/gpt-4.1', label: 'GPT-4.1' },
-    { value: 'tngtech/deepseek-r1t2-chimera:free', label: 'DeepSeek R1 T2 Chimera (免费)' },
-  ];
+  // 模型目录加载后，用后端的默认模型填充表单
+  const handleCatalogLoaded = ({ defaultModel }) => {
+    if (defaultModel && !form.getFieldValue('provider')) {
+      form.setFieldsValue({
+        provider: defaultModel.provider,
+        model: defaultModel.model,
+      });
+    }
+  };
 
   // 提交表单
   const handleSubmit = async (values) => {
@@ -158,8 +157,7 @@ const CreateAgent = () => {
             layout="vertical"
             onFinish={handleSubmit}
             initialValues={{
-              type: 'general',
-              model: 'anthropic/claude-sonnet-4.5'
+              type: 'general'
             }}
           >
             <Form.Item
@@ -201,19 +199,9 @@ const CreateAgent = () => {
               />
             </Form.Item>
 
-            <Form.Item
-              label="使用模型"
-              name="model"
-              rules={[{ required: true, message: '请选择模型' }]}
-            >
-              <Select placeholder="选择 LLM 模型">
-                {modelOptions.map(option => (
-                  <Option key={option.value} value={option.value}>
-                    {option.label}
-                  </Option>
-                ))}
-              </Select>
-            </Form.Item>
+            <ModelFields form={form} onLoaded={handleCatalogLoaded} />
+
+            <FallbackModelsFields form={form} />
 
             <Form.Item
               label="头像 URL (可选)"
@@ -223,6 +211,8 @@ const CreateAgent = () => {
               <Input placeholder="https://example.com/avatar.png" />
             </Form.Item>
 
+            <GenerationParamsFields />
+
             <Form.Item style={{ marginTop: 32, marginBottom: 0 }}>
               <Space size="middle" style={{ width: '100%', justifyContent: 'flex-end' }}>
                 <Button onClick={handleCancel} disabled={loading}>
@@ -3,6 +3,7 @@ import { Card, Form, Input, Button, Typography, Space, Alert } from 'antd';
 import { UserOutlined, LockOutlined, IdcardOutlined } from '@ant-design/icons';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
+import RecoveryCodesModal from '../../components/RecoveryCodesModal/RecoveryCodesModal';
 
 const { Title } = Typography;
 
@@ -11,6 +12,7 @@ const Register = () => {
   const { register } = useAuth();
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null); // 注册后展示一次的恢复码
 
   const onFinish = async (values) => {
     setLoading(true);
@@ -18,7 +20,11 @@ const Register = () => {
     try {
       const result = await register(values.userId, values.username, values.password);
       if (result.success) {
-        navigate('/agents'); // 注册成功后跳转到列表页
+        if (result.recoveryCodes.length > 0) {
+          setRecoveryCodes(result.recoveryCodes); // 先展示恢复码，关闭后再跳转
+        } else {
+          navigate('/agents'); // 注册成功后跳转到列表页
+        }
       } else {
         setError(result.error?.message || '注册失败');
       }
@@ -71,7 +77,11 @@ const Register = () => {
           <Form.Item
             name="password"
             label="密码（可选，不填则默认为123456）"
-            rules={[]}
+            extra="至少 8 位，不能是纯数字或常见密码"
+            rules={[
+              { min: 8, message: '密码至少 8 位' },
+              { pattern: /\D/, message: '密码不能是纯数字' },
+            ]}
           >
             <Input.Password prefix={<LockOutlined />} placeholder="设置密码（不填则默认为123456）" />
           </Form.Item>
@@ -89,6 +99,12 @@ const Register = () => {
           </div>
         </Form>
       </Card>
+
+      <RecoveryCodesModal
+        open={Boolean(recoveryCodes)}
+        codes={recoveryCodes}
+        onClose={() => navigate('/agents')}
+      />
     </div>
   );
 };
@@ -0,0 +1,391 @@
+/**
+ * ============================================
+ * 消息搜索页面 (Search.jsx)
+ * ============================================
+ *
+ * 【功能说明】
+ * 在当前用户与所有 NPC 的对话中搜索消息内容，点击结果跳转到对应会话并高亮该消息
+ *
+ * 【工作流程】
+ * 1. 输入搜索内容，可按 NPC、发送方和日期范围筛选
+ * 2. 搜索条件写入 URL（从对话页返回时保留搜索结果）
+ * 3. 调用 api.search.messages 获取结果，"加载更多"继续翻页
+ * 4. 点击结果跳转到 /chat/:agentId?session=...&highlight=...
+ *
+ * 【说明】
+ * - 多个关键词用空格分隔，需要全部命中
+ * - 被编辑或重新生成替代的旧消息、已删除的会话和 NPC 不会出现在结果中
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import {
+  Layout,
+  Typography,
+  Button,
+  Input,
+  Select,
+  Segmented,
+  Space,
+  List,
+  Avatar,
+  Tag,
+  Empty,
+  Spin,
+  message,
+} from 'antd';
+import { ArrowLeftOutlined, SearchOutlined, RobotOutlined, UserOutlined } from '@ant-design/icons';
+import { useAuth } from '../../context/AuthContext';
+import api from '../../api';
+import styles from './Search.module.css';
+
+const { Header, Content } = Layout;
+const { Title, Text } = Typography;
+
+/**
+ * 每页数量
+ */
+const PAGE_SIZE = 20;
+
+/**
+ * 发送方筛选选项
+ */
+const FROM_OPTIONS = [
+  { label: '全部', value: '' },
+  { label: '我', value: 'user' },
+  { label: 'NPC', value: 'agent' },
+];
+
+/**
+ * URL 中保存的搜索条件
+ */
+const FILTER_KEYS = ['q', 'agentId', 'from', 'startDate', 'endDate'];
+
+/**
+ * 格式化消息时间
+ *
+ * @param {number} timestamp - 时间戳（毫秒）
+ * @returns {string} 今年的消息显示"月-日 时:分"，更早的显示完整日期
+ */
+const formatTime = (timestamp) => {
+  const date = new Date(timestamp);
+  const pad = (value) => String(value).padStart(2, '0');
+  const time = `${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  return date.getFullYear() === new Date().getFullYear() ? time : `${date.getFullYear()}-${time}`;
+};
+
+/**
+ * 高亮摘要中的关键词
+ *
+ * @param {Object} props - 组件属性
+ * @param {string} props.snippet - 摘要
+ * @param {Array<Array<number>>} props.highlights - 关键词位置 [start, end)
+ */
+const HighlightedSnippet = ({ snippet, highlights }) => {
+  const parts = [];
+  let cursor = 0;
+  (highlights || []).forEach(([start, end]) => {
+    if (start > cursor) {
+      parts.push(snippet.slice(cursor, start));
+    }
+    parts.push(<mark key={start} className={styles.highlight}>{snippet.slice(start, end)}</mark>);
+    cursor = end;
+  });
+  parts.push(snippet.slice(cursor));
+
+  return <span className={styles.snippet}>{parts}</span>;
+};
+
+/**
+ * 消息搜索页面组件
+ */
+const Search = () => {
+  const navigate = useNavigate();
+  const { user, loading: authLoading } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  // searchParams 只在 URL 查询参数变化时更新，filters 随之更新（作为搜索的依赖）
+  const filters = useMemo(
+    () => Object.fromEntries(FILTER_KEYS.map((key) => [key, searchParams.get(key) || ''])),
+    [searchParams]
+  );
+  const [keyword, setKeyword] = useState(filters.q);
+  const [agents, setAgents] = useState([]);
+  const [result, setResult] = useState(null); // { total, hasMore, items }
+  const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  // 加载 NPC 列表（用于筛选）
+  useEffect(() => {
+    if (!user) return;
+
+    api.agents
+      .getList(user.id)
+      .then((response) => {
+        if (response.success) {
+          setAgents(response.data || []);
+        }
+      })
+      .catch((err) => console.error('Load agents error:', err));
+  }, [user]);
+
+  // URL 中的搜索内容变化时（例如浏览器后退）同步输入框
+  useEffect(() => {
+    setKeyword(filters.q);
+  }, [filters.q]);
+
+  // 搜索条件变化时重新搜索
+  useEffect(() => {
+    if (!user || !filters.q.trim()) {
+      setResult(null);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    api.search
+      .messages({ ...filters, limit: PAGE_SIZE, offset: 0 })
+      .then((response) => {
+        if (cancelled) return;
+        if (response.success) {
+          setResult(response.data);
+        } else {
+          setResult(null);
+          message.error(response.error?.message || '搜索失败');
+        }
+      })
+      .catch((err) => {
+        console.error('Search error:', err);
+        if (!cancelled) message.error('搜索失败');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [user, filters]);
+
+  /**
+   * 更新搜索条件（写入 URL）
+   *
+   * @param {Object} changes - 要修改的条件，空值表示移除
+   */
+  const updateFilters = (changes) => {
+    const next = { ...filters, ...changes };
+    setSearchParams(
+      Object.fromEntries(Object.entries(next).filter(([, value]) => value)),
+      { replace: true }
+    );
+  };
+
+  const handleLoadMore = async () => {
+    try {
+      setLoadingMore(true);
+      const response = await api.search.messages({
+        ...filters,
+        limit: PAGE_SIZE,
+        offset: result.items.length,
+      });
+      if (response.success) {
+        setResult({
+          ...response.data,
+          items: [...result.items, ...response.data.items],
+        });
+      } else {
+        message.error(response.error?.message || '加载失败');
+      }
+    } catch (err) {
+      console.error('Search load more error:', err);
+      message.error('加载失败');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const handleOpen = (item) => {
+    const params = new URLSearchParams({ session: item.sessionId, highlight: item.eventId });
+    navigate(`/chat/${item.agentId}?${params.toString()}`);
+  };
+
+  const renderResults = () => {
+    if (authLoading) {
+      return (
+        <div style={{ textAlign: 'center', padding: '60px 0' }}>
+          <Spin size="large" />
+        </div>
+      );
+    }
+
+    if (!user) {
+      return (
+        <Empty description="登录后搜索消息" style={{ marginTop: 60 }}>
+          <Button type="primary" onClick={() => navigate('/agents')}>
+            返回首页
+          </Button>
+        </Empty>
+      );
+    }
+
+    if (!filters.q.trim()) {
+      return (
+        <Empty
+          image={<SearchOutlined style={{ fontSize: 60, color: '#d9d9d9' }} />}
+          description="输入关键词，搜索你和所有 NPC 的对话"
+          style={{ marginTop: 60 }}
+        />
+      );
+    }
+
+    if (loading && !result) {
+      return (
+        <div style={{ textAlign: 'center', padding: '60px 0' }}>
+          <Spin size="large" />
+        </div>
+      );
+    }
+
+    if (!result) {
+      return null;
+    }
+
+    return (
+      <Spin spinning={loading}>
+        <Text type="secondary" style={{ display: 'block', marginBottom: 8 }}>
+          找到 {result.total} 条消息
+        </Text>
+        <List
+          className={styles.results}
+          dataSource={result.items}
+          locale={{ emptyText: <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="没有找到相关消息" /> }}
+          renderItem={(item) => (
+            <List.Item className={styles.resultItem} onClick={() => handleOpen(item)}>
+              <List.Item.Meta
+                avatar={
+                  <Avatar
+                    src={item.agentAvatarUrl}
+                    icon={<RobotOutlined />}
+                    style={{ backgroundColor: '#fde3cf' }}
+                  />
+                }
+                title={
+                  <div className={styles.resultTitle}>
+                    <Text strong ellipsis>{item.agentName || '未知 NPC'}</Text>
+                    {item.sessionTitle && (
+                      <Text type="secondary" ellipsis style={{ fontSize: 12 }}>
+                        · {item.sessionTitle}
+                      </Text>
+                    )}
+                    <Text type="secondary" style={{ fontSize: 12, marginLeft: 'auto', flexShrink: 0 }}>
+                      {formatTime(item.timestamp)}
+                    </Text>
+                  </div>
+                }
+                description={
+                  <div>
+                    <Tag
+                      icon={item.fromType === 'user' ? <UserOutlined /> : <RobotOutlined />}
+                      color={item.fromType === 'user' ? 'blue' : 'orange'}
+                      style={{ marginRight: 6 }}
+                    >
+                      {item.fromType === 'user' ? '我' : 'NPC'}
+                    </Tag>
+                    <HighlightedSnippet snippet={item.snippet} highlights={item.highlights} />
+                  </div>
+                }
+              />
+            </List.Item>
+          )}
+        />
+        {result.hasMore && (
+          <div style={{ textAlign: 'center', marginTop: 16 }}>
+            <Button onClick={handleLoadMore} loading={loadingMore}>
+              加载更多
+            </Button>
+          </div>
+        )}
+      </Spin>
+    );
+  };
+
+  return (
+    <Layout style={{ minHeight: '100vh', background: '#f5f5f5' }}>
+      {/* 顶部导航栏 */}
+      <Header className={styles.header}>
+        <Button
+          type="text"
+          icon={<ArrowLeftOutlined />}
+          onClick={() => navigate('/agents')}
+          style={{ marginRight: 16 }}
+        >
+          返回
+        </Button>
+        <SearchOutlined style={{ fontSize: 20, color: '#1890ff', marginRight: 8 }} />
+        <Title level={3} style={{ margin: 0, fontSize: 18 }}>
+          搜索消息
+        </Title>
+      </Header>
+
+      {/* 内容区域 */}
+      <Content style={{ padding: '24px', maxWidth: 800, margin: '0 auto', width: '100%' }}>
+        <Input.Search
+          placeholder="搜索消息内容，多个关键词用空格分隔"
+          value={keyword}
+          onChange={(e) => setKeyword(e.target.value)}
+          onSearch={(value) => updateFilters({ q: value.trim() })}
+          maxLength={100}
+          enterButton
+          allowClear
+          autoFocus
+          size="large"
+          style={{ marginBottom: 12 }}
+        />
+
+        {/* 筛选条件 */}
+        <Space wrap className={styles.filters}>
+          <Select
+            placeholder="全部 NPC"
+            value={filters.agentId || undefined}
+            onChange={(value) => updateFilters({ agentId: value || '' })}
+            options={agents.map((agent) => ({ label: agent.name, value: agent.id }))}
+            allowClear
+            showSearch
+            optionFilterProp="label"
+            style={{ width: 160 }}
+          />
+          <Segmented
+            options={FROM_OPTIONS}
+            value={filters.from}
+            onChange={(value) => updateFilters({ from: value })}
+          />
+          <Space.Compact>
+            <Input
+              type="date"
+              value={filters.startDate}
+              max={filters.endDate || undefined}
+              onChange={(e) => updateFilters({ startDate: e.target.value })}
+              aria-label="开始日期"
+              style={{ width: 150 }}
+            />
+            <Input
+              type="date"
+              value={filters.endDate}
+              min={filters.startDate || undefined}
+              onChange={(e) => updateFilters({ endDate: e.target.value })}
+              aria-label="结束日期"
+              style={{ width: 150 }}
+            />
+          </Space.Compact>
+        </Space>
+
+        {renderResults()}
+      </Content>
+    </Layout>
+  );
+};
+
+export default Search;
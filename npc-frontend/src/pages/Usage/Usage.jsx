@@ -0,0 +1,350 @@
+/**
+ * ============================================
+ * 我的用量页面 (Usage.jsx)
+ * ============================================
+ *
+ * 【功能说明】
+ * 展示当前用户与 NPC 对话消耗的 token 和估算费用：总计、每日趋势、按 NPC 和按模型的明细
+ *
+ * 【工作流程】
+ * 1. 选择统计范围（最近 7 / 30 / 90 天）
+ * 2. 调用 api.usage.get 获取用量
+ * 3. 渲染汇总卡片、每日柱状图和明细表格
+ *
+ * 【说明】
+ * - 费用按服务器配置的模型价格估算（美元），与提供商账单可能略有出入
+ * - 模型没有价格的回复只统计 token 数，不计入费用
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Layout,
+  Typography,
+  Button,
+  Segmented,
+  Card,
+  Row,
+  Col,
+  Statistic,
+  Table,
+  Tooltip,
+  Alert,
+  Empty,
+  Spin,
+  message,
+} from 'antd';
+import { ArrowLeftOutlined, BarChartOutlined } from '@ant-design/icons';
+import { useAuth } from '../../context/AuthContext';
+import api from '../../api';
+import styles from './Usage.module.css';
+
+const { Header, Content } = Layout;
+const { Title, Text } = Typography;
+
+/**
+ * 统计范围选项（天数）
+ */
+const RANGE_OPTIONS = [
+  { label: '最近 7 天', value: 7 },
+  { label: '最近 30 天', value: 30 },
+  { label: '最近 90 天', value: 90 },
+];
+
+/**
+ * 格式化为本地日期（YYYY-MM-DD，与后端统计日期一致）
+ *
+ * @param {Date} date - 日期
+ * @returns {string} 日期字符串
+ */
+const formatDate = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * 格式化费用（美元）
+ *
+ * @param {number} cost - 费用
+ * @returns {string} 例如 $0.0123
+ */
+const formatCost = (cost) => `$${(cost || 0).toFixed(cost >= 1 ? 2 : 4)}`;
+
+/**
+ * 格式化 token 数
+ *
+ * @param {number} tokens - token 数
+ * @returns {string} 例如 12.3k、1.2M
+ */
+const formatTokens = (tokens) => {
+  if (tokens >= 1000000) return `${(tokens / 1000000).toFixed(1)}M`;
+  if (tokens >= 1000) return `${(tokens / 1000).toFixed(1)}k`;
+  return String(tokens || 0);
+};
+
+/**
+ * 明细表格的公共列
+ */
+const STAT_COLUMNS = [
+  {
+    title: '回复数',
+    dataIndex: 'requests',
+    align: 'right',
+    width: 90,
+  },
+  {
+    title: '输入 / 输出 token',
+    key: 'tokens',
+    align: 'right',
+    render: (_, row) => `${formatTokens(row.promptTokens)} / ${formatTokens(row.completionTokens)}`,
+  },
+  {
+    title: '估算费用',
+    dataIndex: 'cost',
+    align: 'right',
+    width: 110,
+    render: (cost, row) => (
+      <Tooltip title={row.unpricedRequests > 0 ? `${row.unpricedRequests} 条回复的模型没有价格，未计入费用` : null}>
+        <span>{formatCost(cost)}{row.unpricedRequests > 0 ? ' *' : ''}</span>
+      </Tooltip>
+    ),
+  },
+  {
+    title: '平均耗时',
+    dataIndex: 'avgLatencyMs',
+    align: 'right',
+    width: 100,
+    render: (ms) => `${(ms / 1000).toFixed(1)}s`,
+  },
+];
+
+/**
+ * 每日柱状图（按 token 数）
+ *
+ * @param {Object} props - 组件属性
+ * @param {Array<Object>} props.daily - 每日统计（只包含有回复的日期）
+ * @param {Object} props.range - { startDate, endDate }
+ */
+const DailyChart = ({ daily, range }) => {
+  const byDate = new Map(daily.map((item) => [item.key, item]));
+
+  // 补齐没有回复的日期
+  const days = [];
+  const [year, month, day] = range.startDate.split('-').map(Number);
+  for (let date = new Date(year, month - 1, day); formatDate(date) <= range.endDate; date.setDate(date.getDate() + 1)) {
+    const key = formatDate(date);
+    days.push(byDate.get(key) || { key, requests: 0, totalTokens: 0, cost: 0 });
+  }
+
+  const maxTokens = Math.max(...days.map((item) => item.totalTokens), 1);
+
+  return (
+    <div className={styles.chart}>
+      {days.map((item) => (
+        <Tooltip
+          key={item.key}
+          title={`${item.key}：${item.requests} 条回复，${formatTokens(item.totalTokens)} token，${formatCost(item.cost)}`}
+        >
+          <div className={styles.barSlot}>
+            <div
+              className={styles.bar}
+              style={{ height: `${Math.max((item.totalTokens / maxTokens) * 100, item.totalTokens > 0 ? 2 : 0)}%` }}
+            />
+          </div>
+        </Tooltip>
+      ))}
+    </div>
+  );
+};
+
+const Usage = () => {
+  const navigate = useNavigate();
+  const { user, loading: authLoading } = useAuth();
+  const [rangeDays, setRangeDays] = useState(30);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  // 加载用量
+  useEffect(() => {
+    if (!user) return;
+
+    let cancelled = false;
+    const end = new Date();
+    const start = new Date(end.getFullYear(), end.getMonth(), end.getDate() - (rangeDays - 1));
+
+    setLoading(true);
+    api.usage
+      .get({ startDate: formatDate(start), endDate: formatDate(end) })
+      .then((response) => {
+        if (cancelled) return;
+        if (response.success) {
+          setData(response.data);
+        } else {
+          message.error(response.error?.message || '获取用量失败');
+        }
+      })
+      .catch((err) => {
+        console.error('Load usage error:', err);
+        if (!cancelled) message.error('获取用量失败');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [user, rangeDays]);
+
+  const renderContent = () => {
+    if (authLoading || (loading && !data)) {
+      return (
+        <div style={{ textAlign: 'center', padding: '60px 0' }}>
+          <Spin size="large" />
+        </div>
+      );
+    }
+
+    if (!user) {
+      return (
+        <Empty description="登录后查看用量" style={{ marginTop: 60 }}>
+          <Button type="primary" onClick={() => navigate('/agents')}>
+            返回首页
+          </Button>
+        </Empty>
+      );
+    }
+
+    if (!data) {
+      return null;
+    }
+
+    const { totals } = data;
+
+    return (
+      <Spin spinning={loading}>
+        {totals.unpricedRequests > 0 && (
+          <Alert
+            type="info"
+            showIcon
+            style={{ marginBottom: 16 }}
+            message={`${totals.unpricedRequests} 条回复使用的模型没有配置价格，只统计 token 数，未计入估算费用`}
+          />
+        )}
+
+        <Row gutter={[16, 16]} style={{ marginBottom: 16 }}>
+          <Col xs={12} md={6}>
+            <Card size="small">
+              <Statistic title="回复数" value={totals.requests} />
+            </Card>
+          </Col>
+          <Col xs={12} md={6}>
+            <Card size="small">
+              <Statistic title="总 token" value={formatTokens(totals.totalTokens)} />
+              <Text type="secondary" style={{ fontSize: 12 }}>
+                输入 {formatTokens(totals.promptTokens)} · 输出 {formatTokens(totals.completionTokens)}
+              </Text>
+            </Card>
+          </Col>
+          <Col xs={12} md={6}>
+            <Card size="small">
+              <Statistic title="估算费用（美元）" value={formatCost(totals.cost)} />
+            </Card>
+          </Col>
+          <Col xs={12} md={6}>
+            <Card size="small">
+              <Statistic title="平均耗时" value={(totals.avgLatencyMs / 1000).toFixed(1)} suffix="s" />
+            </Card>
+          </Col>
+        </Row>
+
+        <Card size="small" title="每日 token 用量" style={{ marginBottom: 16 }}>
+          {totals.requests > 0 ? (
+            <DailyChart daily={data.daily} range={data.range} />
+          ) : (
+            <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="这段时间还没有对话" />
+          )}
+        </Card>
+
+        <Card size="small" title="按 NPC" style={{ marginBottom: 16 }}>
+          <Table
+            size="small"
+            rowKey="key"
+            pagination={false}
+            dataSource={data.agents}
+            scroll={{ x: 520 }}
+            columns={[
+              {
+                title: 'NPC',
+                dataIndex: 'label',
+                ellipsis: true,
+                render: (label, row) => label || <Text type="secondary">已删除的 NPC（{row.key}）</Text>,
+              },
+              ...STAT_COLUMNS,
+            ]}
+          />
+        </Card>
+
+        <Card size="small" title="按模型">
+          <Table
+            size="small"
+            rowKey="key"
+            pagination={false}
+            dataSource={data.models}
+            scroll={{ x: 520 }}
+            columns={[
+              {
+                title: '模型',
+                dataIndex: 'key',
+                ellipsis: true,
+                render: (model, row) => (
+                  <span>
+                    {model} <Text type="secondary" style={{ fontSize: 12 }}>{row.label}</Text>
+                  </span>
+                ),
+              },
+              ...STAT_COLUMNS,
+            ]}
+          />
+        </Card>
+      </Spin>
+    );
+  };
+
+  return (
+    <Layout style={{ minHeight: '100vh', background: '#f5f5f5' }}>
+      {/* 顶部导航栏 */}
+      <Header className={styles.header}>
+        <Button
+          type="text"
+          icon={<ArrowLeftOutlined />}
+          onClick={() => navigate(-1)}
+          style={{ marginRight: 16 }}
+        >
+          返回
+        </Button>
+        <BarChartOutlined style={{ fontSize: 20, color: '#1890ff', marginRight: 8 }} />
+        <Title level={3} style={{ margin: 0, fontSize: 18, flex: 1 }}>
+          我的用量
+        </Title>
+        {user && (
+          <Segmented options={RANGE_OPTIONS} value={rangeDays} onChange={setRangeDays} />
+        )}
+      </Header>
+
+      {/* 内容区域 */}
+      <Content style={{ padding: '24px', maxWidth: 960, margin: '0 auto', width: '100%' }}>
+        {renderContent()}
+        <Text type="secondary" style={{ display: 'block', marginTop: 16, fontSize: 12 }}>
+          费用按服务器配置的模型价格估算，仅供参考；使用自己的 API Key 时以提供商账单为准。
+        </Text>
+      </Content>
+    </Layout>
+  );
+};
+
+export default Usage;
@@ -33,6 +33,8 @@ import ApiTest from '../pages/ApiTest/ApiTest';
 import Register from '../pages/Register/Register';
 import UpdateLog from '../pages/UpdateLog/UpdateLog';
 import Feedback from '../pages/Feedback/Feedback';
+import Usage from '../pages/Usage/Usage';
+import Search from '../pages/Search/Search';
 
 /**
  * 路由配置
@@ -44,6 +46,8 @@ import Feedback from '../pages/Feedback/Feedback';
  * /chat/:agentId - 对话页
  * /test - API 测试页
  * /register - 注册页
+ * /usage - 我的用量页
+ * /search - 消息搜索页
  *
  * 【路由说明】
  * - 使用 createBrowserRouter 创建路由
@@ -71,6 +75,14 @@ const router = createBrowserRouter([
     path: '/feedback',
     element: <Feedback />, // 用户反馈页
   },
+  {
+    path: '/usage',
+    element: <Usage />, // 我的用量页
+  },
+  {
+    path: '/search',
+    element: <Search />, // 消息搜索页
+  },
   {
     path: '/agents',
     element: <AgentList />,
@@ -0,0 +1,86 @@
+/**
+ * ============================================
+ * Mock 适配器冒烟测试 (test-mock-adapter.js)
+ * ============================================
+ *
+ * 【功能说明】
+ * 在 Node 中直接加载 MockAdapter，检查 Mock 模式下页面用到的接口结构完整、返回格式正确
+ * （Mock 适配器不经过 HTTP，括号错位之类的问题只会在 Mock 模式运行时暴露）
+ *
+ * 【测试内容】
+ * 1. usage.get / usage.getQuota：用量页和配额组件
+ * 2. search.messages：搜索页
+ *
+ * 【使用方法】
+ * npm run test:mock
+ *
+ * @author AI Assistant
+ * @created 2025-12-10
+ */
+
+/* eslint-env node */
+
+import MockAdapter from '../src/api/mockAdapter.js';
+
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+};
+
+let failed = 0;
+
+function check(name, condition) {
+  if (condition) {
+    console.log(`${colors.green}✓ ${name}${colors.reset}`);
+  } else {
+    failed += 1;
+    console.log(`${colors.red}✗ ${name}${colors.reset}`);
+  }
+}
+
+async function run() {
+  const api = new MockAdapter();
+
+  // ==================== 用量和配额 ====================
+  check('usage.get 是函数', typeof api.usage?.get === 'function');
+  check('usage.getQuota 是函数', typeof api.usage?.getQuota === 'function');
+
+  const usage = await api.usage.get();
+  check('usage.get 返回 totals 和 daily', usage.success && Boolean(usage.data.totals) && Array.isArray(usage.data.daily));
+
+  const quota = await api.usage.getQuota();
+  check(
+    'usage.getQuota 返回消息和 token 配额',
+    quota.success
+      && typeof quota.data.messages?.used === 'number'
+      && 'limit' in quota.data.messages
+      && typeof quota.data.tokens?.used === 'number'
+      && typeof quota.data.resetAt === 'number'
+  );
+
+  // ==================== 搜索 ====================
+  check('search.messages 是函数', typeof api.search?.messages === 'function');
+
+  const result = await api.search.messages({ q: '你好', limit: 5 });
+  check(
+    'search.messages 返回结果和高亮位置',
+    result.success
+      && Array.isArray(result.data.items)
+      && result.data.items.every((item) => item.eventId && Array.isArray(item.highlights))
+  );
+
+  const empty = await api.search.messages({ q: '' });
+  check('空关键词不返回结果', empty.success && empty.data.total === 0);
+
+  if (failed > 0) {
+    console.log(`${colors.red}${failed} 项检查失败${colors.reset}`);
+    process.exit(1);
+  }
+  console.log(`${colors.green}全部检查通过${colors.reset}`);
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});